@@ -30,6 +30,13 @@ const CheckoutSuccessView = () => import('@/views/checkout/SuccessView.vue')
 const CheckoutCancelView = () => import('@/views/checkout/CancelView.vue')
 const OrderConfirmationView = () => import('@/views/order/ConfirmationView.vue')
 const OrderHistoryView = () => import('@/views/order/OrderHistoryView.vue')
+const PreordersView = () => import('@/views/order/PreordersView.vue')
+const OrderTrackingView = () => import('@/views/order/TrackingView.vue')
+const GuestOrderView = () => import('@/views/order/GuestOrderView.vue')
+const GiftCardsView = () => import('@/views/giftcards/GiftCardsView.vue')
+const UnsubscribeView = () => import('@/views/notifications/UnsubscribeView.vue')
+const WishlistsView = () => import('@/views/wishlist/WishlistsView.vue')
+const SharedWishlistView = () => import('@/views/wishlist/SharedWishlistView.vue')
 
 // Documentation Views
 const DocumentationListView = () => import('@/views/documentation/ListView.vue')
@@ -82,6 +89,36 @@ const routes = [
         component: CheckoutCancelView,
         meta: { title: 'Payment Cancelled' }
       },
+      {
+        path: 'track-order',
+        name: 'track-order',
+        component: OrderTrackingView,
+        meta: { title: 'Track Order' }
+      },
+      {
+        path: 'order/access',
+        name: 'guest-order',
+        component: GuestOrderView,
+        meta: { title: 'Your Order' }
+      },
+      {
+        path: 'gift-cards',
+        name: 'gift-cards',
+        component: GiftCardsView,
+        meta: { title: 'Gift Cards' }
+      },
+      {
+        path: 'notifications/unsubscribe',
+        name: 'notifications-unsubscribe',
+        component: UnsubscribeView,
+        meta: { title: 'Product Notifications' }
+      },
+      {
+        path: 'wishlists/shared/:token',
+        name: 'shared-wishlist',
+        component: SharedWishlistView,
+        meta: { title: 'Wishlist' }
+      },
     ]
   },
   {
@@ -138,9 +175,29 @@ const routes = [
           requiresAuth: true
         }
       },
+      {
+        path: 'order/preorders',
+        name: 'preorders',
+        component: PreordersView,
+        meta: { 
+          title: 'Pre-orders',
+          requiresAuth: true
+        }
+      },
+      {
+        path: 'wishlists',
+        name: 'wishlists',
+        component: WishlistsView,
+        meta: { 
+          title: 'Wishlists',
+          requiresAuth: true
+        }
+      },
       {
         path: 'order/tracking',
-        redirect: { name: 'orders' }
+        name: 'order-tracking',
+        component: OrderTrackingView,
+        meta: { title: 'Track Order' }
       },
       // Documentation routes
       {
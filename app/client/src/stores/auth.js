@@ -2,6 +2,7 @@ import { defineStore } from 'pinia';
 import axios from 'axios';
 import router from '@/router';
 import { useToast } from '@/composables/useToast';
+import { usePrintifyStore } from './printify';
 
 export const useAuthStore = defineStore('auth', {
   state: () => ({
@@ -98,6 +99,13 @@ export const useAuthStore = defineStore('auth', {
               await this.fetchUserProfile();
             }
             
+            // Bring the cart built before signing in into the account's cart
+            try {
+              await usePrintifyStore().mergeCart();
+            } catch (error) {
+              console.error('Error merging cart:', error);
+            }
+
             // Show welcome toast notification
             const { showToast } = useToast();
             showToast(`Welcome back, ${this.user?.firstName || 'User'}!`, 'success');
@@ -163,6 +171,9 @@ export const useAuthStore = defineStore('auth', {
     },
 
     async logout() {
+      // The cart belongs to the account; don't leave it on a shared device
+      usePrintifyStore().clearCart();
+
       try {
         await axios.post('/api/auth/logout');
         this.clearTokens();
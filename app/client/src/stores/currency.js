@@ -0,0 +1,122 @@
+import { defineStore } from 'pinia'
+import axios from '@/utils/axios'
+import { formatCurrency, setDefaultCurrency } from '@/utils/formatters'
+
+/**
+ * Currency Store
+ * The currency the storefront shows prices in. Catalog prices and the cart
+ * are kept in the shop's base currency and converted here with the same
+ * rates and rounding rules the server charges with; cart previews and
+ * checkout are priced by the server in the chosen currency.
+ */
+
+/**
+ * Convert cents of the base currency to cents of a currency, rounding
+ * prices by the currency's rule like currencyService.convertPrice
+ */
+const convertPrice = (cents, { rate, rounding }) => {
+  const converted = Math.round(cents * rate)
+  const { increment, ending } = rounding || {}
+
+  if (Number(ending) >= 0 && Number(ending) < 1) {
+    const end = Math.round(Number(ending) * 100)
+    const below = Math.floor((converted - end) / 100) * 100 + end
+    const price = converted - below < below + 100 - converted ? below : below + 100
+    return Math.max(price, end)
+  }
+
+  if (Number(increment) > 0) {
+    const step = Math.round(Number(increment) * 100)
+    return Math.max(Math.round(converted / step) * step, step)
+  }
+
+  return converted
+}
+
+export const useCurrencyStore = defineStore('currency', {
+  state: () => ({
+    base: 'USD',
+    // Chosen by the customer; detected from their country until they pick one
+    currency: localStorage.getItem('shop-currency') || 'USD',
+    currencies: [],
+    loaded: false
+  }),
+
+  getters: {
+    isBase: (state) => state.currency === state.base,
+
+    current: (state) => state.currencies.find(currency => currency.code === state.currency) || null,
+
+    /**
+     * A catalog price, in dollars of the base currency, in dollars of the
+     * customer's currency
+     */
+    toCurrency() {
+      return (amount) => {
+        if (this.isBase || !this.current) return Number(amount)
+        return convertPrice(Math.round(Number(amount) * 100), this.current) / 100
+      }
+    },
+
+    /**
+     * Format a catalog price, in dollars of the base currency, in the
+     * customer's currency
+     */
+    formatPrice() {
+      return (amount) => {
+        if (amount === null || amount === undefined || isNaN(Number(amount))) {
+          return formatCurrency(amount)
+        }
+
+        return this.current
+          ? formatCurrency(this.toCurrency(amount), this.currency)
+          : formatCurrency(amount, this.base)
+      }
+    },
+
+    /**
+     * Format an amount already in the customer's currency (the base
+     * currency until the rates are loaded)
+     */
+    format() {
+      return (amount) => formatCurrency(amount, this.current ? this.currency : this.base)
+    }
+  },
+
+  actions: {
+    /**
+     * Load the currencies we sell in; the first time, pick the one suggested
+     * for the visitor's country
+     */
+    async fetchCurrencies() {
+      try {
+        const { data } = await axios.get('/api/currencies')
+        const { base, detected, currencies } = data.data
+
+        this.base = base
+        this.currencies = currencies
+        this.loaded = true
+
+        const saved = localStorage.getItem('shop-currency')
+        this.currency = currencies.some(currency => currency.code === saved) ? saved : detected
+      } catch (error) {
+        console.error('Error loading currencies:', error)
+        this.currency = this.base
+      }
+
+      setDefaultCurrency(this.currency)
+      return this.currencies
+    },
+
+    /**
+     * Show prices in another currency and remember the choice
+     */
+    setCurrency(code) {
+      if (!this.currencies.some(currency => currency.code === code)) return
+
+      this.currency = code
+      localStorage.setItem('shop-currency', code)
+      setDefaultCurrency(code)
+    }
+  }
+})
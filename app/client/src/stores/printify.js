@@ -1,6 +1,40 @@
 import { defineStore } from 'pinia'
 import axios from '@/utils/axios'
 import { useAuthStore } from './auth'
+import { useCurrencyStore } from './currency'
+
+/**
+ * Save a downloaded file, named by the server's Content-Disposition header
+ */
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || ''
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName
+  const url = URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Cart requests of signed-in customers, sent one at a time so each one
+ * carries the cart version the previous one returned
+ */
+let cartSyncQueue = Promise.resolve()
+
+const toCartLine = (item) => ({
+  id: item.id,
+  variantId: item.variantId,
+  quantity: item.quantity,
+  price: item.price,
+  title: item.title,
+  variantTitle: item.variantTitle,
+  image: item.image
+})
 
 export const usePrintifyStore = defineStore('printify', {
   state: () => ({
@@ -16,9 +50,31 @@ export const usePrintifyStore = defineStore('printify', {
     products: [], // Admin products
     selectedProduct: null,
     upcomingProducts: [], // New state property
+    // Launch and back-in-stock notifications the signed-in customer waits for
+    productSubscriptions: [],
+    // Upcoming products that can be pre-ordered ({ productId, payment, depositPercent, expectedReleaseAt })
+    preorderOffers: [],
+    // The signed-in customer's wishlists, each with its saved items
+    wishlists: [],
+
+    // Storefront search (results, facets and pagination from /api/printify/search)
+    searchResults: [],
+    searchFacets: { categories: [], tags: [], price: [], availability: [] },
+    searchPagination: { total: 0, page: 1, limit: 12, pages: 0 },
     
     // Shopping cart
     cart: [],
+    // Server cart version the local cart is based on (signed-in customers)
+    cartVersion: null,
+    // Discount code applied in the cart and the totals it gives
+    promotionCode: localStorage.getItem('printify-promotion-code'),
+    // Gift card code applied in the cart; kept in memory only, as anyone
+    // holding it can spend the card
+    giftCardCode: null,
+    // Pay with the signed-in customer's store credit
+    useStoreCredit: false,
+    storeCredit: null,
+    cartPreview: null,
     currentOrder: null,
     orderHistory: [],
     
@@ -34,7 +90,8 @@ export const usePrintifyStore = defineStore('printify', {
       orderHistory: false,
       shops: false,
       orders: false,
-      upcomingProducts: false // New loading state
+      upcomingProducts: false, // New loading state
+      search: false
     },
     error: {
       products: null,
@@ -47,7 +104,8 @@ export const usePrintifyStore = defineStore('printify', {
       orderHistory: null,
       shops: null,
       orders: null,
-      upcomingProducts: null // New error state
+      upcomingProducts: null, // New error state
+      search: null
     }
   }),
 
@@ -84,6 +142,20 @@ export const usePrintifyStore = defineStore('printify', {
       }
       
       return 'processing';
+    },
+
+    /**
+     * The customer's subscription to a product's launch (no variant) or to
+     * a variant coming back in stock
+     */
+    getProductSubscription: (state) => (productId, variantId = null) => {
+      return state.productSubscriptions.find(subscription =>
+        subscription.product_id === String(productId) && subscription.variant_id === variantId
+      ) || null
+    },
+
+    getPreorderOffer: (state) => (productId) => {
+      return state.preorderOffers.find(offer => offer.productId === String(productId)) || null
     }
   },
 
@@ -115,6 +187,38 @@ export const usePrintifyStore = defineStore('printify', {
       }
     },
     
+    /**
+     * Search public products with facet counts
+     * No authentication required
+     * @param {Object} params - query, category, tags (array), priceBucket, availability, sort, page, limit
+     */
+    async searchProducts(params = {}) {
+      this.loading.search = true
+      this.error.search = null
+
+      try {
+        const { data } = await axios.get('/api/printify/search', {
+          params: {
+            ...params,
+            tags: params.tags && params.tags.length ? params.tags.join(',') : undefined
+          }
+        })
+        const result = data.data || {}
+
+        this.searchResults = result.results || []
+        this.searchFacets = result.facets || { categories: [], tags: [], price: [], availability: [] }
+        this.searchPagination = result.pagination || { total: 0, page: 1, limit: 12, pages: 0 }
+        return result
+      } catch (error) {
+        this.error.search = error.response?.data?.message || 'Failed to search products'
+        console.error('Error searching products:', error)
+        this.searchResults = []
+        throw error
+      } finally {
+        this.loading.search = false
+      }
+    },
+
     /**
      * Fetch featured products for homepage
      * No authentication required
@@ -493,6 +597,20 @@ export const usePrintifyStore = defineStore('printify', {
       }
     },
 
+    /**
+     * Start a full catalog sync from Printify (admin only)
+     * The sync runs in the background; returns the started sync run
+     */
+    async syncCatalog() {
+      const authStore = useAuthStore()
+      if (!authStore.isAuthenticated) {
+        throw new Error('Authentication required to sync the catalog')
+      }
+
+      const { data } = await axios.post('/api/printify/admin/catalog/sync')
+      return data.data
+    },
+
     // ==== CART MANAGEMENT (No authentication required) ====
     
     /**
@@ -512,43 +630,668 @@ export const usePrintifyStore = defineStore('printify', {
           image: product.images?.[0]?.src || '',
           variantId: variant.id,
           variantTitle: variant.title,
-          price: variant.price,
+          // Variant prices come from the API in cents; the cart works in dollars
+          price: variant.price / 100,
           quantity: quantity
         })
       }
       
-      // Save cart to localStorage for persistence
-      localStorage.setItem('printify-cart', JSON.stringify(this.cart))
+      this.persistCart()
+      this.syncCart(version => axios.post('/api/cart/items', {
+        id: product.id,
+        variantId: variant.id,
+        quantity,
+        version
+      }))
     },
     
     /**
      * Update a cart item's quantity
      */
     updateCartItem(itemIndex, quantity) {
+      const { id, variantId } = this.cart[itemIndex]
+
       if (quantity <= 0) {
         this.cart.splice(itemIndex, 1)
       } else {
         this.cart[itemIndex].quantity = quantity
       }
       
-      // Update localStorage
-      localStorage.setItem('printify-cart', JSON.stringify(this.cart))
+      this.persistCart()
+      this.syncCart(version => axios.put(`/api/cart/items/${id}/${variantId}`, {
+        quantity: Math.max(quantity, 0),
+        version
+      }))
     },
     
     /**
      * Remove an item from the cart
      */
     removeFromCart(itemIndex) {
-      this.cart.splice(itemIndex, 1)
-      localStorage.setItem('printify-cart', JSON.stringify(this.cart))
+      const [{ id, variantId }] = this.cart.splice(itemIndex, 1)
+
+      this.persistCart()
+      this.syncCart(version => axios.delete(`/api/cart/items/${id}/${variantId}`, {
+        params: { version }
+      }))
     },
     
     /**
-     * Clear the entire cart
+     * Clear the local cart
+     * Checkout converts the server cart, so only the local copy is cleared.
      */
     clearCart() {
       this.cart = []
+      this.cartVersion = null
       localStorage.removeItem('printify-cart')
+      this.removePromotionCode()
+      this.removeGiftCardCode()
+      this.useStoreCredit = false
+      this.storeCredit = null
+    },
+
+    /**
+     * Load the signed-in customer's cart from the server
+     * The server re-prices it; returns { changes, unavailable } like
+     * validateCart.
+     */
+    async fetchCart() {
+      // Changes still on their way would be missing from the loaded cart
+      await cartSyncQueue
+
+      const { data } = await axios.get('/api/cart')
+      const { cart, changes, unavailable } = data.data
+
+      this.applyServerCart(cart)
+
+      return { changes, unavailable }
+    },
+
+    /**
+     * Merge the cart built before signing in into the account's cart
+     * Called after login; the local cart becomes the merged, re-priced cart.
+     */
+    async mergeCart() {
+      const { data } = await axios.post('/api/cart/merge', {
+        items: this.cart.map(toCartLine)
+      })
+      const { cart, changes, unavailable } = data.data
+
+      this.applyServerCart(cart)
+
+      return { changes, unavailable }
+    },
+
+    /**
+     * Send a cart change of a signed-in customer to the server
+     * The local cart was already changed. When another device changed the
+     * cart first, the server refuses the change with a 409: the cart is
+     * reloaded and the change sent again on top of it.
+     *
+     * @param {Function} request - Sends the change for a cart version
+     */
+    syncCart(request) {
+      if (!useAuthStore().isAuthenticated) return cartSyncQueue
+
+      cartSyncQueue = cartSyncQueue.then(async () => {
+        try {
+          const { data } = await request(this.cartVersion ?? undefined)
+          this.cartVersion = data.data.version
+        } catch (error) {
+          if (error.response?.status !== 409) {
+            // The local cart is kept; the next load from the server reconciles it
+            console.error('Error saving cart:', error)
+            return
+          }
+
+          const { data: current } = await axios.get('/api/cart')
+
+          try {
+            const { data } = await request(current.data.cart.version)
+            this.applyServerCart(data.data)
+          } catch (retryError) {
+            // e.g. the other device removed the line this change was for
+            this.applyServerCart(current.data.cart)
+            console.error('Error saving cart:', retryError)
+          }
+        }
+      }).catch(error => {
+        // Keeps the queue going for later changes
+        console.error('Error reloading cart:', error)
+      })
+
+      return cartSyncQueue
+    },
+
+    /**
+     * Replace the local cart with the server's
+     */
+    applyServerCart(cart) {
+      this.cart = cart.items.map(item => ({
+        id: item.id,
+        title: item.title,
+        image: item.image || '',
+        variantId: item.variantId,
+        variantTitle: item.variantTitle,
+        price: item.price,
+        quantity: item.quantity
+      }))
+      this.cartVersion = cart.version
+      this.persistCart()
+    },
+
+    /**
+     * Re-price the cart against the catalog
+     * Updates prices, titles and images from the server and drops lines that
+     * can no longer be bought. Returns { changes, unavailable } so the cart
+     * page can tell the customer what changed.
+     */
+    async validateCart() {
+      if (this.cart.length === 0) {
+        return { changes: [], unavailable: [] }
+      }
+
+      const { data } = await axios.post('/api/payment/cart/validate', {
+        items: this.cart.map(item => ({
+          id: item.id,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          price: item.price
+        }))
+      })
+      const { items, changes, unavailable } = data.data
+      const lineKey = (item) => `${item.id}:${item.variantId}`
+      const priced = new Map(items.map(item => [lineKey(item), item]))
+
+      this.cart = this.cart
+        .filter(item => priced.has(lineKey(item)))
+        .map(item => {
+          const line = priced.get(lineKey(item))
+          return {
+            ...item,
+            title: line.title,
+            variantTitle: line.variantTitle,
+            image: line.image || item.image,
+            price: line.price
+          }
+        })
+
+      this.saveCart()
+
+      return { changes, unavailable }
+    },
+
+    /**
+     * Save the whole cart: in localStorage, and on the server for signed-in
+     * customers so it follows them between devices
+     */
+    saveCart() {
+      const items = this.cart.map(toCartLine)
+
+      this.persistCart()
+      this.syncCart(version => axios.put('/api/cart', { items, version }))
+    },
+
+    /**
+     * Keep the cart in localStorage
+     */
+    persistCart() {
+      localStorage.setItem('printify-cart', JSON.stringify(this.cart))
+    },
+
+    /**
+     * Restore an abandoned cart from the link in its recovery email
+     * Replaces the local cart with the saved one at current prices and
+     * returns { changes, unavailable } like validateCart.
+     */
+    async recoverCart(cartId, token) {
+      const { data } = await axios.post('/api/cart/recover', { cartId, token })
+      const { items, changes, unavailable } = data.data
+
+      this.cart = items.map(item => ({
+        id: item.id,
+        title: item.title,
+        image: item.image || '',
+        variantId: item.variantId,
+        variantTitle: item.variantTitle,
+        price: item.price,
+        quantity: item.quantity
+      }))
+      this.saveCart()
+
+      return { changes, unavailable }
+    },
+
+    /**
+     * Apply a discount code to the cart
+     * Throws when the code can't be used; the error's userMessage says why.
+     * Returns the cart preview with the discounted totals.
+     */
+    async applyPromotionCode(code) {
+      const preview = await this.previewCart(code)
+
+      this.promotionCode = preview.promotion.code
+      localStorage.setItem('printify-promotion-code', this.promotionCode)
+
+      return preview
+    },
+
+    /**
+     * Take the discount code off the cart
+     */
+    removePromotionCode() {
+      this.promotionCode = null
+      this.cartPreview = null
+      localStorage.removeItem('printify-promotion-code')
+    },
+
+    /**
+     * Pay for the cart with a gift card
+     * Throws when the code can't be used; the error's userMessage says why.
+     * Returns the cart preview with what the card pays.
+     */
+    async applyGiftCardCode(code) {
+      const preview = await this.previewCart(this.promotionCode, { giftCardCode: code })
+
+      this.giftCardCode = code
+      return preview
+    },
+
+    /**
+     * Take the gift card off the cart
+     */
+    removeGiftCardCode() {
+      this.giftCardCode = null
+    },
+
+    /**
+     * Turn paying with store credit on or off
+     */
+    async setUseStoreCredit(useStoreCredit) {
+      this.useStoreCredit = useStoreCredit
+      return this.previewCart()
+    },
+
+    /**
+     * Load the signed-in customer's store credit
+     */
+    async fetchStoreCredit() {
+      const { data } = await axios.get('/api/gift-cards/credit')
+
+      this.storeCredit = data.data
+      return this.storeCredit
+    },
+
+    /**
+     * Launch and back-in-stock notifications the customer is waiting for
+     */
+    async fetchProductSubscriptions() {
+      const { data } = await axios.get('/api/product-subscriptions')
+
+      this.productSubscriptions = data.data
+      return this.productSubscriptions
+    },
+
+    /**
+     * Get an email when a product launches, or when a variant is back in stock
+     */
+    async subscribeToProduct(productId, variantId = null) {
+      const { data } = await axios.post('/api/product-subscriptions', {
+        productId: String(productId),
+        ...(variantId !== null && { variantId })
+      })
+
+      if (!this.getProductSubscription(productId, variantId)) {
+        this.productSubscriptions.unshift(data.data)
+      }
+
+      return data.data
+    },
+
+    async unsubscribeFromProduct(subscriptionId) {
+      await axios.delete(`/api/product-subscriptions/${subscriptionId}`)
+
+      this.productSubscriptions = this.productSubscriptions.filter(subscription => subscription.id !== subscriptionId)
+    },
+
+    /**
+     * Customers waiting for each product (admin): [{ productId, title, waiting,
+     * notified, launch, variants }]
+     */
+    async fetchProductDemand() {
+      const { data } = await axios.get('/api/product-subscriptions/admin/demand')
+      return data.data
+    },
+
+    /**
+     * Stop product notifications from the link in a notification email
+     */
+    async unsubscribeFromProductEmails(subscriptionId, token) {
+      const { data } = await axios.post('/api/product-subscriptions/unsubscribe', { subscriptionId, token })
+      return data.data
+    },
+
+    async fetchPreorderOffers() {
+      const { data } = await axios.get('/api/preorders/offers')
+
+      this.preorderOffers = data.data
+      return this.preorderOffers
+    },
+
+    /**
+     * Start the checkout for a pre-order; returns { url, sessionId } of the
+     * Stripe checkout to send the customer to
+     */
+    async createPreorderCheckout({ productId, variantId, quantity = 1, shippingAddress }) {
+      const { data } = await axios.post('/api/preorders/checkout', {
+        productId: String(productId),
+        variantId,
+        quantity,
+        shippingAddress
+      })
+
+      return data.data
+    },
+
+    /**
+     * The signed-in customer's pre-orders
+     */
+    async fetchPreorders() {
+      const { data } = await axios.get('/api/preorders')
+      return data.data
+    },
+
+    /**
+     * Start the checkout for a pre-order balance the saved card did not pay
+     */
+    async payPreorderBalance(preorderId) {
+      const { data } = await axios.post(`/api/preorders/${preorderId}/balance-checkout`)
+      return data.data
+    },
+
+    /**
+     * Pre-orders by product (admin): [{ productId, title, settings, waiting,
+     * balanceDue, released, cancelled, units, paid }]
+     */
+    async fetchPreorderSummary() {
+      const { data } = await axios.get('/api/preorders/admin/summary')
+      return data.data
+    },
+
+    /**
+     * Turn pre-orders of an upcoming product on or off (admin)
+     */
+    async updatePreorderSettings(productId, settings) {
+      const { data } = await axios.put(`/api/preorders/admin/products/${productId}`, settings)
+      return data.data
+    },
+
+    /**
+     * Cancel and refund every pre-order of a product (admin); returns { cancelled, failed }
+     */
+    async cancelProductPreorders(productId, reason = '') {
+      const { data } = await axios.post(`/api/preorders/admin/products/${productId}/cancel`, { reason })
+      return data.data
+    },
+
+    /**
+     * Approved reviews of a product: { reviews, summary, pagination }
+     * params: { sort, rating, withPhotos, page, limit }
+     */
+    async fetchProductReviews(productId, params = {}) {
+      const { data } = await axios.get(`/api/reviews/products/${productId}`, { params })
+      return data.data
+    },
+
+    /**
+     * Whether the signed-in customer can review a product: { canReview, reason, review }
+     */
+    async fetchReviewEligibility(productId) {
+      const { data } = await axios.get(`/api/reviews/products/${productId}/eligibility`)
+      return data.data
+    },
+
+    /**
+     * Review a product the customer bought; photos are [{ filename, contentType, data }]
+     */
+    async submitReview(productId, review) {
+      const { data } = await axios.post(`/api/reviews/products/${productId}`, review)
+      return data.data
+    },
+
+    async updateReview(reviewId, changes) {
+      const { data } = await axios.put(`/api/reviews/${reviewId}`, changes)
+      return data.data
+    },
+
+    async deleteReview(reviewId) {
+      await axios.delete(`/api/reviews/${reviewId}`)
+    },
+
+    async reportReview(reviewId, reason, details = '') {
+      const { data } = await axios.post(`/api/reviews/${reviewId}/report`, { reason, details })
+      return data.data
+    },
+
+    /**
+     * Products related to a product ("You May Also Like")
+     */
+    async fetchRelatedProducts(productId, limit = 4) {
+      const { data } = await axios.get(`/api/printify/products/${productId}/related`, { params: { limit } })
+      return data.data
+    },
+
+    /**
+     * Picks for the signed-in customer from their orders: { products, personalized }.
+     * personalized is false when the picks are best sellers
+     */
+    async fetchRecommendations(limit = 8) {
+      const { data } = await axios.get('/api/recommendations/me', { params: { limit } })
+      return data.data
+    },
+
+    async fetchWishlists() {
+      const { data } = await axios.get('/api/wishlists')
+
+      this.wishlists = data.data
+      return this.wishlists
+    },
+
+    /**
+     * Start a named list; notifyChanges emails the customer when a saved
+     * option drops in price or comes back in stock
+     */
+    async createWishlist(name, { notifyChanges = false } = {}) {
+      const { data } = await axios.post('/api/wishlists', { name, notifyChanges })
+
+      this.wishlists.push(data.data)
+      return data.data
+    },
+
+    async updateWishlist(wishlistId, changes) {
+      const { data } = await axios.put(`/api/wishlists/${wishlistId}`, changes)
+
+      this.replaceWishlist(data.data)
+      return data.data
+    },
+
+    async deleteWishlist(wishlistId) {
+      await axios.delete(`/api/wishlists/${wishlistId}`)
+
+      this.wishlists = this.wishlists.filter(wishlist => wishlist.id !== wishlistId)
+    },
+
+    /**
+     * Save a product option on a list; saving it again only changes the note
+     */
+    async addToWishlist(wishlistId, { productId, variantId, note }) {
+      await axios.post(`/api/wishlists/${wishlistId}/items`, {
+        productId: String(productId),
+        variantId,
+        ...(note !== undefined && { note })
+      })
+
+      return this.refreshWishlist(wishlistId)
+    },
+
+    async updateWishlistItem(wishlistId, itemId, note) {
+      await axios.put(`/api/wishlists/${wishlistId}/items/${itemId}`, { note })
+
+      return this.refreshWishlist(wishlistId)
+    },
+
+    async removeWishlistItem(wishlistId, itemId) {
+      await axios.delete(`/api/wishlists/${wishlistId}/items/${itemId}`)
+
+      const wishlist = this.wishlists.find(entry => entry.id === wishlistId)
+      if (wishlist) {
+        wishlist.items = wishlist.items.filter(item => item.id !== itemId)
+      }
+    },
+
+    /**
+     * Put a saved option in the cart and take it off the list
+     */
+    async moveWishlistItemToCart(wishlistId, item, quantity = 1) {
+      const { product } = item
+
+      if (!product?.variant || !product.available) {
+        throw new Error('This item is not available right now')
+      }
+
+      this.addToCart(
+        { id: product.id, title: product.title, images: product.image ? [{ src: product.image }] : [] },
+        product.variant,
+        quantity
+      )
+
+      await this.removeWishlistItem(wishlistId, item.id)
+    },
+
+    /**
+     * Give a list a public link; sharing again replaces the old link.
+     * Returns { shareToken, shareUrl }
+     */
+    async shareWishlist(wishlistId) {
+      const { data } = await axios.post(`/api/wishlists/${wishlistId}/share`)
+
+      const wishlist = this.wishlists.find(entry => entry.id === wishlistId)
+      if (wishlist) {
+        wishlist.shared = true
+        wishlist.shareUrl = data.data.shareUrl
+      }
+
+      return data.data
+    },
+
+    async unshareWishlist(wishlistId) {
+      await axios.delete(`/api/wishlists/${wishlistId}/share`)
+
+      const wishlist = this.wishlists.find(entry => entry.id === wishlistId)
+      if (wishlist) {
+        wishlist.shared = false
+        wishlist.shareUrl = null
+      }
+    },
+
+    /**
+     * A list someone shared: { name, ownerName, items }
+     */
+    async fetchSharedWishlist(token) {
+      const { data } = await axios.get(`/api/wishlists/shared/${token}`)
+      return data.data
+    },
+
+    async refreshWishlist(wishlistId) {
+      const { data } = await axios.get(`/api/wishlists/${wishlistId}`)
+
+      this.replaceWishlist(data.data)
+      return data.data
+    },
+
+    replaceWishlist(wishlist) {
+      const index = this.wishlists.findIndex(entry => entry.id === wishlist.id)
+
+      if (index === -1) {
+        this.wishlists.push(wishlist)
+      } else {
+        this.wishlists.splice(index, 1, wishlist)
+      }
+    },
+
+    /**
+     * Gift card amounts the shop sells: { enabled, amounts, minAmount, maxAmount }
+     */
+    async fetchGiftCardOptions() {
+      const { data } = await axios.get('/api/gift-cards/options')
+      return data.data
+    },
+
+    /**
+     * Balance left on a gift card code
+     */
+    async checkGiftCardBalance(code) {
+      const { data } = await axios.post('/api/gift-cards/balance', { code })
+      return data.data
+    },
+
+    /**
+     * Start the checkout for a gift card; returns { url, sessionId } of the
+     * Stripe checkout to send the customer to
+     */
+    async purchaseGiftCard({ amount, recipientEmail, recipientName, message, email }) {
+      const { data } = await axios.post('/api/gift-cards/purchase', {
+        amount,
+        ...(recipientEmail && { recipientEmail }),
+        ...(recipientName && { recipientName }),
+        ...(message && { message }),
+        ...(email && { email })
+      })
+
+      return data.data
+    },
+
+    /**
+     * Cart totals as checkout will charge them, with the applied discount
+     * code, gift card and store credit, in the customer's currency
+     */
+    async previewCart(code = this.promotionCode, { giftCardCode = this.giftCardCode } = {}) {
+      if (this.cart.length === 0) {
+        this.cartPreview = null
+        return null
+      }
+
+      const currencyStore = useCurrencyStore()
+      // Gift cards and store credit only pay in the base currency
+      if (!currencyStore.isBase) {
+        giftCardCode = null
+        this.giftCardCode = null
+        this.useStoreCredit = false
+      }
+
+      const { data } = await axios.post('/api/payment/cart/preview', {
+        currency: currencyStore.currency,
+        items: this.cart.map(item => ({
+          id: item.id,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          price: item.price
+        })),
+        ...(code && { promotionCode: code }),
+        ...(giftCardCode && { giftCardCode }),
+        ...(this.useStoreCredit && { useStoreCredit: true })
+      })
+
+      this.cartPreview = data.data
+      return this.cartPreview
+    },
+
+    /**
+     * Abandoned cart recovery results (admin only)
+     */
+    async fetchCartRecoveryStats({ from, to } = {}) {
+      const { data } = await axios.get('/api/cart/admin/abandoned/stats', { params: { from, to } })
+      return data.data
     },
     
     // Load cart from localStorage on store initialization
@@ -564,6 +1307,115 @@ export const usePrintifyStore = defineStore('printify', {
       }
     },
     
+    /**
+     * Download an order's PDF invoice (own orders, or any order for admins)
+     */
+    async downloadInvoice(orderId) {
+      const response = await axios.get(`/api/payment/order/${orderId}/invoice.pdf`, {
+        responseType: 'blob'
+      })
+      saveDownload(response, `invoice-${orderId}.pdf`)
+    },
+
+    /**
+     * Open an order's packing slip in a new tab for printing (admin only)
+     * Accepts our order ID or the Printify order ID.
+     */
+    async printPackingSlip(orderId) {
+      // Opened before the request so popup blockers allow it
+      const printWindow = window.open('', '_blank')
+
+      try {
+        const { data } = await axios.get(`/api/payment/admin/orders/${orderId}/packing-slip.pdf`, {
+          responseType: 'blob'
+        })
+        const url = URL.createObjectURL(data)
+
+        if (printWindow) {
+          printWindow.location.href = url
+        } else {
+          window.open(url, '_blank')
+        }
+        // Give the new tab time to load the PDF before releasing it
+        setTimeout(() => URL.revokeObjectURL(url), 60000)
+      } catch (error) {
+        printWindow?.close()
+        throw error
+      }
+    },
+
+    /**
+     * Download packing slips for several orders as one zip (admin only)
+     */
+    async downloadPackingSlips(orderIds) {
+      const response = await axios.post('/api/payment/admin/orders/packing-slips', { orderIds }, {
+        responseType: 'blob',
+        // Rendering many slips takes longer than a regular request
+        timeout: 60000
+      })
+      saveDownload(response, 'packing-slips.zip')
+    },
+    
+    /**
+     * Fulfillment timeline and shipments of one of your orders
+     */
+    async fetchOrderTimeline(orderId) {
+      const { data } = await axios.get(`/api/payment/order/${orderId}/timeline`)
+      return data.data
+    },
+
+    /**
+     * Find an order's timeline by email and order number, without signing in
+     */
+    async lookupOrder(email, orderNumber) {
+      const { data } = await axios.post('/api/payment/order/lookup', { email, orderNumber })
+      return data.data
+    },
+
+    /**
+     * Open a guest order with the link from its confirmation email
+     */
+    async accessGuestOrder(orderId, token) {
+      const { data } = await axios.post('/api/payment/order/access', { orderId, token })
+      return data.data
+    },
+
+    /**
+     * Add guest orders to your account: the order of an access link, or
+     * without one every guest order placed with your email
+     */
+    async claimGuestOrders({ orderId, token } = {}) {
+      const { data } = await axios.post('/api/payment/orders/claim', orderId ? { orderId, token } : {})
+      return data.data
+    },
+
+    /**
+     * Order detail with its refund history and what is left to refund (admin only)
+     * Accepts our order ID or the Printify order ID.
+     */
+    async fetchAdminOrder(orderId) {
+      const { data } = await axios.get(`/api/payment/admin/orders/${orderId}`)
+      return data.data
+    },
+
+    /**
+     * Refund part of an order, or of one of its lines (admin only)
+     * Without an amount the server refunds what is left on the line or order.
+     * `method` is 'original_payment' (the default) or 'store_credit'; returns
+     * { refunds, order, balance }, with one refund per payment or credit used.
+     */
+    async refundOrder(orderId, { amount, orderItemId, quantity, reason, note, method } = {}) {
+      const { data } = await axios.post(`/api/payment/admin/refund/${orderId}`, {
+        amount,
+        orderItemId,
+        quantity,
+        reason,
+        note,
+        method
+      })
+      return data.data
+    },
+    
     // Customer order history (requires authentication)
     async fetchCustomerOrders() {
       if (this.loading.orderHistory) return
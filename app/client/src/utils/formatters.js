@@ -4,14 +4,26 @@
  * These functions handle common formatting tasks like currency, dates, and text
  */
 
+// Currency amounts are shown in unless another one is given; the currency
+// store sets it to the currency the customer picked
+let defaultCurrency = 'USD';
+
+/**
+ * Set the currency formatCurrency uses by default
+ * @param {string} currencyCode - ISO 4217 code
+ */
+export function setDefaultCurrency(currencyCode) {
+  defaultCurrency = currencyCode || 'USD';
+}
+
 /**
  * Format a number as currency
  * @param {number|string} amount - The amount to format
- * @param {string} [currencyCode='USD'] - The currency code
+ * @param {string} [currencyCode] - The currency code (the storefront's currency by default)
  * @param {string} [locale='en-US'] - The locale to use for formatting
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(amount, currencyCode = 'USD', locale = 'en-US') {
+export function formatCurrency(amount, currencyCode = defaultCurrency, locale = 'en-US') {
   // Handle invalid inputs
   if (amount === null || amount === undefined || isNaN(Number(amount))) {
     return 'N/A';
@@ -20,7 +32,7 @@ export function formatCurrency(amount, currencyCode = 'USD', locale = 'en-US') {
   try {
     return new Intl.NumberFormat(locale, {
       style: 'currency',
-      currency: currencyCode
+      currency: String(currencyCode).toUpperCase()
     }).format(Number(amount));
   } catch (error) {
     console.error('Error formatting currency:', error);
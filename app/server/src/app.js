@@ -11,6 +11,7 @@ const routes = require('./routes');
 const securityConfig = require('./config/security');
 // Custom middleware to ensure Printify domains are allowed in CSP
 const printifyCSPMiddleware = require('./middleware/printifyCSPMiddleware');
+const { captureRawBody } = require('./middleware/rawBodyMiddleware');
 // Add request timing middleware to track performance metrics
 const requestTimingMiddleware = require('./middleware/requestTimingMiddleware');
 // Use enhanced middleware that integrates with our response system
@@ -55,7 +56,7 @@ app.use(printifyCSPMiddleware);
 app.use(helmet(securityConfig.helmet));
 
 // Request parsing
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(compression());
 
@@ -0,0 +1,178 @@
+/**
+ * Cart Controller
+ *
+ * Reads and changes the carts of signed-in customers, merges the cart they
+ * built before signing in, restores abandoned carts from their recovery
+ * link and reports recovery results to admins.
+ *
+ * @module controllers/cartController
+ */
+
+const cartService = require('../services/cartService');
+const cartRecoveryService = require('../services/cartRecoveryService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class CartController {
+    constructor() {
+        this.logger = logger.child({ component: 'CartController' });
+    }
+
+    /**
+     * The customer's cart at current catalog prices
+     * @route GET /api/cart
+     * @access Authenticated customer
+     */
+    getCart = catchAsync(async (req, res) => {
+        const result = await cartService.getCart(req.user);
+
+        return res.sendSuccess(result, 'Cart retrieved successfully');
+    });
+
+    /**
+     * Replace the customer's cart
+     * Body: { items: [{ id, variantId, quantity, price, title, variantTitle, image }], version }
+     * @route PUT /api/cart
+     * @access Authenticated customer
+     */
+    saveCart = catchAsync(async (req, res) => {
+        const cart = await cartService.saveCart(req.user, req.body.items, {
+            version: req.body.version
+        });
+
+        return res.sendSuccess(cart, 'Cart saved successfully');
+    });
+
+    /**
+     * Empty the customer's cart
+     * Query: version
+     * @route DELETE /api/cart
+     * @access Authenticated customer
+     */
+    clearCart = catchAsync(async (req, res) => {
+        const cart = await cartService.clearCart(req.user, { version: req.query.version });
+
+        return res.sendSuccess(cart, 'Cart cleared successfully');
+    });
+
+    /**
+     * Add a product variant to the customer's cart
+     * Body: { id, variantId, quantity, version }
+     * @route POST /api/cart/items
+     * @access Authenticated customer
+     */
+    addItem = catchAsync(async (req, res) => {
+        const { version, ...item } = req.body;
+
+        const cart = await cartService.addItem(req.user, item, { version });
+
+        return res.sendSuccess(cart, 'Item added to cart', 201);
+    });
+
+    /**
+     * Change the quantity of a cart line; 0 removes it
+     * Body: { quantity, version }
+     * @route PUT /api/cart/items/:productId/:variantId
+     * @access Authenticated customer
+     */
+    updateItem = catchAsync(async (req, res) => {
+        const { productId, variantId } = req.params;
+
+        const cart = await cartService.updateItem(req.user, productId, variantId, req.body.quantity, {
+            version: req.body.version
+        });
+
+        return res.sendSuccess(cart, 'Cart item updated successfully');
+    });
+
+    /**
+     * Remove a line from the customer's cart
+     * Query: version
+     * @route DELETE /api/cart/items/:productId/:variantId
+     * @access Authenticated customer
+     */
+    removeItem = catchAsync(async (req, res) => {
+        const { productId, variantId } = req.params;
+
+        const cart = await cartService.removeItem(req.user, productId, variantId, {
+            version: req.query.version
+        });
+
+        return res.sendSuccess(cart, 'Cart item removed successfully');
+    });
+
+    /**
+     * Merge the cart built before signing in into the customer's cart
+     * Body: { items: [{ id, variantId, quantity, price, title, variantTitle, image }] }
+     * @route POST /api/cart/merge
+     * @access Authenticated customer
+     */
+    mergeCart = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+
+        const result = await cartService.mergeCart(req.user, req.body.items);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Signed-out cart merged',
+                data: {
+                    userId: req.user.id,
+                    merged: req.body.items.length,
+                    items: result.cart.items.length,
+                    unavailable: result.unavailable.length
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(result, 'Cart merged successfully');
+    });
+
+    /**
+     * Restore an abandoned cart from the link in its recovery email
+     * Body: { cartId, token }
+     * @route POST /api/cart/recover
+     * @access Public (rate limited)
+     */
+    recoverCart = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { cartId, token } = req.body;
+
+        const cart = await cartRecoveryService.recoverCart(cartId, token);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Abandoned cart recovered',
+                data: {
+                    cartId,
+                    items: cart.items.length,
+                    unavailable: cart.unavailable.length
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(cart, 'Cart restored successfully');
+    });
+
+    /**
+     * Abandoned cart recovery results for a period
+     * Query: from, to (ISO dates; defaults to the last 30 days)
+     * @route GET /api/cart/admin/abandoned/stats
+     * @access Admin (payment:manage)
+     */
+    getRecoveryStats = catchAsync(async (req, res) => {
+        const stats = await cartRecoveryService.getStats({
+            from: req.query.from,
+            to: req.query.to
+        });
+
+        return res.sendSuccess(stats, 'Cart recovery stats retrieved successfully');
+    });
+}
+
+module.exports = new CartController();
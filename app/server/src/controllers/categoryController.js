@@ -0,0 +1,201 @@
+/**
+ * Category Controller
+ *
+ * Admin management of the storefront category taxonomy and of the rules
+ * that map Printify tags and blueprints to categories.
+ *
+ * @module controllers/categoryController
+ */
+
+const categoryService = require('../services/categoryService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class CategoryController {
+    constructor() {
+        this.logger = logger.child({ component: 'CategoryController' });
+    }
+
+    /**
+     * List all categories (including inactive) with their rules
+     * @route GET /api/printify/admin/categories
+     * @access Admin only
+     */
+    getCategories = catchAsync(async (req, res) => {
+        const categories = await categoryService.listCategories({ includeInactive: true });
+
+        return res.sendSuccess(
+            categories,
+            'Categories retrieved successfully',
+            200
+        );
+    });
+
+    /**
+     * Get a single category by ID or slug
+     * @route GET /api/printify/admin/categories/:categoryId
+     * @access Admin only
+     */
+    getCategory = catchAsync(async (req, res) => {
+        const category = await categoryService.getCategory(req.params.categoryId);
+
+        return res.sendSuccess(
+            category,
+            'Category retrieved successfully',
+            200
+        );
+    });
+
+    /**
+     * Create a category
+     * @route POST /api/printify/admin/categories
+     * @access Admin only
+     */
+    createCategory = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin creating category',
+                data: {
+                    adminId: req.user.id,
+                    name: req.body.name,
+                    parentId: req.body.parent_id || null
+                }
+            }).withRequestDetails(req)
+        );
+
+        const category = await categoryService.createCategory(req.body);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Category created',
+                data: { categoryId: category.id, slug: category.slug }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            category,
+            'Category created successfully',
+            201
+        );
+    });
+
+    /**
+     * Update a category
+     * @route PUT /api/printify/admin/categories/:categoryId
+     * @access Admin only
+     */
+    updateCategory = catchAsync(async (req, res) => {
+        const { categoryId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin updating category',
+                data: {
+                    adminId: req.user.id,
+                    categoryId,
+                    fields: Object.keys(req.body)
+                }
+            }).withRequestDetails(req)
+        );
+
+        const category = await categoryService.updateCategory(categoryId, req.body);
+
+        return res.sendSuccess(
+            category,
+            'Category updated successfully',
+            200
+        );
+    });
+
+    /**
+     * Delete a category
+     * Subcategories move up to the deleted category's parent.
+     * @route DELETE /api/printify/admin/categories/:categoryId
+     * @access Admin only
+     */
+    deleteCategory = catchAsync(async (req, res) => {
+        const { categoryId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin deleting category',
+                data: {
+                    adminId: req.user.id,
+                    categoryId
+                }
+            }).withRequestDetails(req)
+        );
+
+        await categoryService.deleteCategory(categoryId);
+
+        return res.sendSuccess(
+            { categoryId },
+            'Category deleted successfully',
+            200
+        );
+    });
+
+    /**
+     * Add a tag or blueprint rule to a category
+     * @route POST /api/printify/admin/categories/:categoryId/rules
+     * @access Admin only
+     */
+    addRule = catchAsync(async (req, res) => {
+        const { categoryId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin adding category rule',
+                data: {
+                    adminId: req.user.id,
+                    categoryId,
+                    ruleType: req.body.rule_type,
+                    matchValue: req.body.match_value
+                }
+            }).withRequestDetails(req)
+        );
+
+        const rule = await categoryService.addRule(categoryId, req.body);
+
+        return res.sendSuccess(
+            rule,
+            'Category rule created successfully',
+            201
+        );
+    });
+
+    /**
+     * Remove a rule from a category
+     * @route DELETE /api/printify/admin/categories/:categoryId/rules/:ruleId
+     * @access Admin only
+     */
+    removeRule = catchAsync(async (req, res) => {
+        const { categoryId, ruleId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin removing category rule',
+                data: {
+                    adminId: req.user.id,
+                    categoryId,
+                    ruleId
+                }
+            }).withRequestDetails(req)
+        );
+
+        await categoryService.removeRule(categoryId, ruleId);
+
+        return res.sendSuccess(
+            { categoryId, ruleId },
+            'Category rule removed successfully',
+            200
+        );
+    });
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,114 @@
+/**
+ * Currency Controller
+ *
+ * Currencies the storefront can show prices in, and admin management of
+ * their exchange rates.
+ *
+ * @module controllers/currencyController
+ */
+
+const currencyService = require('../services/currencyService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class CurrencyController {
+    constructor() {
+        this.logger = logger.child({ component: 'CurrencyController' });
+    }
+
+    /**
+     * Currencies with their rates and rounding rules, and the one suggested
+     * for the visitor's country (from a CDN country header, or the region of
+     * their preferred language)
+     * @route GET /api/currencies
+     * @access Public
+     */
+    getCurrencies = catchAsync(async (req, res) => {
+        const currencies = await currencyService.getPublicCurrencies({ country: this._visitorCountry(req) });
+
+        return res.sendSuccess(currencies, 'Currencies retrieved successfully');
+    });
+
+    /**
+     * Exchange rates with where each one comes from
+     * @route GET /api/currencies/admin
+     * @access Admin (payment:manage)
+     */
+    getRates = catchAsync(async (req, res) => {
+        const rates = await currencyService.listRates();
+
+        return res.sendSuccess({
+            base: currencyService.getBaseCurrency(),
+            reporting: currencyService.getReportingCurrency(),
+            rates
+        }, 'Exchange rates retrieved successfully');
+    });
+
+    /**
+     * Set the exchange rate of a currency
+     * @route PUT /api/currencies/admin/:currency
+     * @access Admin (payment:manage)
+     */
+    setRate = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { currency } = req.params;
+
+        const rate = await currencyService.setRate(currency, req.body.rate, { user: req.user, req });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Exchange rate updated',
+                data: {
+                    adminId: req.user.id,
+                    currency: rate.currency,
+                    rate: Number(rate.rate)
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(rate, 'Exchange rate updated successfully');
+    });
+
+    /**
+     * Go back to the exchange rate in the config
+     * @route DELETE /api/currencies/admin/:currency
+     * @access Admin (payment:manage)
+     */
+    deleteRate = catchAsync(async (req, res) => {
+        const { currency } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin removing exchange rate',
+                data: {
+                    adminId: req.user.id,
+                    currency
+                }
+            }).withRequestDetails(req)
+        );
+
+        await currencyService.deleteRate(currency, { user: req.user, req });
+
+        return res.sendSuccess({ currency: currency.toUpperCase() }, 'Exchange rate removed successfully');
+    });
+
+    /**
+     * @private
+     * @returns {string|null} ISO 3166-1 alpha-2 country
+     */
+    _visitorCountry(req) {
+        const header = req.get('cf-ipcountry') || req.get('x-country-code');
+
+        if (/^[A-Z]{2}$/i.test(header || '')) {
+            return header.toUpperCase();
+        }
+
+        const region = String(req.get('accept-language') || '').split(',')[0].match(/^[a-z]{2,3}-([A-Z]{2})\b/i);
+        return region ? region[1].toUpperCase() : null;
+    }
+}
+
+module.exports = new CurrencyController();
@@ -0,0 +1,248 @@
+/**
+ * Gift Card Controller
+ *
+ * Buying gift cards, checking balances and store credit, and admin
+ * management of the gift card and store credit ledger. Paying with a gift
+ * card happens in the cart preview and checkout (paymentController).
+ *
+ * @module controllers/giftCardController
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const giftCardService = require('../services/giftCardService');
+const guestOrderService = require('../services/guestOrderService');
+const { catchAsync, createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class GiftCardController {
+    constructor() {
+        this.logger = logger.child({ component: 'GiftCardController' });
+    }
+
+    /**
+     * Gift card amounts the shop sells
+     * @route GET /api/gift-cards/options
+     * @access Public
+     */
+    getOptions = catchAsync(async (req, res) => {
+        return res.sendSuccess(
+            { enabled: giftCardService.isEnabled(), ...giftCardService.getPurchaseOptions() },
+            'Gift card options retrieved successfully'
+        );
+    });
+
+    /**
+     * Start a checkout for a digital gift card
+     * The card is emailed to the recipient (or the purchaser) once paid.
+     * Body: { amount, recipientEmail?, recipientName?, message?, email? }
+     * @route POST /api/gift-cards/purchase
+     * @access Public (guests when guest checkout is enabled)
+     */
+    purchaseGiftCard = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { amount, recipientEmail, recipientName, message, email } = req.body;
+        const isGuest = !req.user;
+
+        if (!giftCardService.isEnabled()) {
+            throw createError('Gift cards are not available', 404);
+        }
+
+        if (isGuest && !guestOrderService.isEnabled()) {
+            throw createError('Authentication required', 401, null, 'Please sign in to check out.');
+        }
+
+        const purchaserEmail = req.user?.email || email || null;
+        const card = await giftCardService.createPurchase({
+            amount,
+            recipientEmail,
+            recipientName,
+            message,
+            userId: req.user?.id || null,
+            purchaserEmail
+        });
+
+        let session;
+
+        try {
+            session = await stripe.checkout.sessions.create({
+                payment_method_types: ['card'],
+                mode: 'payment',
+                line_items: [{
+                    price_data: {
+                        currency: card.currency,
+                        product_data: {
+                            name: `ILYTAT Designs gift card ($${Number(card.initial_amount).toFixed(2)})`,
+                            ...((recipientName || recipientEmail) && { description: `For ${recipientName || recipientEmail}` }),
+                            metadata: {
+                                product_id: giftCardService.GIFT_CARD_PRODUCT_ID
+                            }
+                        },
+                        unit_amount: Math.round(Number(card.initial_amount) * 100)
+                    },
+                    quantity: 1
+                }],
+                success_url: `${process.env.CLIENT_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${process.env.CLIENT_URL}/gift-cards`,
+                ...(purchaserEmail && { customer_email: purchaserEmail }),
+                metadata: {
+                    ...(isGuest ? { checkout: 'guest' } : { userId: String(req.user.id) }),
+                    giftCardId: card.id
+                }
+            });
+        } catch (error) {
+            await card.destroy();
+            throw error;
+        }
+
+        await giftCardService.attachPurchaseSession(card, session);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Gift card checkout session created',
+                data: {
+                    sessionId: session.id,
+                    giftCardId: card.id,
+                    amount: Number(card.initial_amount),
+                    guest: isGuest
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            { url: session.url, sessionId: session.id },
+            'Checkout session created successfully'
+        );
+    });
+
+    /**
+     * Balance of a gift card code
+     * Body: { code }
+     * @route POST /api/gift-cards/balance
+     * @access Public (rate limited)
+     */
+    checkBalance = catchAsync(async (req, res) => {
+        const balance = await giftCardService.checkBalance(req.body.code);
+
+        return res.sendSuccess(balance, 'Gift card balance retrieved successfully');
+    });
+
+    /**
+     * The signed-in customer's store credit
+     * @route GET /api/gift-cards/credit
+     * @access Private
+     */
+    getStoreCredit = catchAsync(async (req, res) => {
+        const credit = await giftCardService.getStoreCredit(req.user.id);
+
+        return res.sendSuccess(credit, 'Store credit retrieved successfully');
+    });
+
+    /**
+     * List gift cards and store credit
+     * Query: { kind, status, email, last4, limit, offset }
+     * @route GET /api/gift-cards/admin
+     * @access Admin (payment:manage)
+     */
+    getGiftCards = catchAsync(async (req, res) => {
+        const result = await giftCardService.listCards(req.query);
+
+        return res.sendSuccess(result, 'Gift cards retrieved successfully');
+    });
+
+    /**
+     * Get a gift card with its ledger
+     * @route GET /api/gift-cards/admin/:giftCardId
+     * @access Admin (payment:manage)
+     */
+    getGiftCard = catchAsync(async (req, res) => {
+        const card = await giftCardService.getCard(req.params.giftCardId);
+
+        return res.sendSuccess(card, 'Gift card retrieved successfully');
+    });
+
+    /**
+     * Issue a gift card or store credit; the code is emailed
+     * Body: { kind, amount, email, userId, expiresAt, note }
+     * @route POST /api/gift-cards/admin
+     * @access Admin (payment:manage)
+     */
+    issueGiftCard = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+
+        const card = await giftCardService.issue(req.body, { user: req.user, req });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Gift card issued',
+                data: {
+                    adminId: req.user.id,
+                    giftCardId: card.id,
+                    kind: card.kind,
+                    amount: Number(card.initial_amount)
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(card, 'Gift card issued successfully', 201);
+    });
+
+    /**
+     * Add to or take off a gift card's balance
+     * Body: { amount, note }
+     * @route POST /api/gift-cards/admin/:giftCardId/adjust
+     * @access Admin (payment:manage)
+     */
+    adjustGiftCard = catchAsync(async (req, res) => {
+        const { giftCardId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin adjusting gift card balance',
+                data: {
+                    adminId: req.user.id,
+                    giftCardId,
+                    amount: req.body.amount
+                }
+            }).withRequestDetails(req)
+        );
+
+        const card = await giftCardService.adjust(giftCardId, req.body, { user: req.user, req });
+
+        return res.sendSuccess(card, 'Gift card balance adjusted successfully');
+    });
+
+    /**
+     * Disable, re-enable or change the expiry or recipient of a gift card
+     * @route PUT /api/gift-cards/admin/:giftCardId
+     * @access Admin (payment:manage)
+     */
+    updateGiftCard = catchAsync(async (req, res) => {
+        const card = await giftCardService.updateCard(req.params.giftCardId, req.body, { user: req.user, req });
+
+        return res.sendSuccess(card, 'Gift card updated successfully');
+    });
+
+    /**
+     * Email a gift card again with a new code
+     * Body: { email? }
+     * @route POST /api/gift-cards/admin/:giftCardId/resend
+     * @access Admin (payment:manage)
+     */
+    resendGiftCard = catchAsync(async (req, res) => {
+        const card = await giftCardService.resendCode(req.params.giftCardId, {
+            email: req.body.email || null,
+            user: req.user,
+            req
+        });
+
+        return res.sendSuccess(card, 'Gift card sent successfully');
+    });
+}
+
+module.exports = new GiftCardController();
@@ -0,0 +1,136 @@
+/**
+ * Order Submission Controller
+ *
+ * Admin view of the Printify order submission queue: list stuck or
+ * dead-lettered submissions, inspect their attempts, retry or cancel them.
+ *
+ * @module controllers/orderSubmissionController
+ */
+
+const orderSubmissionService = require('../services/orderSubmissionService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class OrderSubmissionController {
+    constructor() {
+        this.logger = logger.child({ component: 'OrderSubmissionController' });
+    }
+
+    /**
+     * List order submissions, optionally filtered by status
+     * @route GET /api/printify/admin/order-submissions?status=dead_letter
+     * @access Admin only
+     */
+    getSubmissions = catchAsync(async (req, res) => {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const result = await orderSubmissionService.listSubmissions({
+            status: req.query.status,
+            page,
+            limit
+        });
+
+        return res.sendSuccess({
+            submissions: result.submissions,
+            pagination: {
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                pages: Math.ceil(result.total / result.limit)
+            }
+        }, 'Order submissions retrieved successfully', 200);
+    });
+
+    /**
+     * Get a submission with its attempt history
+     * @route GET /api/printify/admin/order-submissions/:submissionId
+     * @access Admin only
+     */
+    getSubmission = catchAsync(async (req, res) => {
+        const submission = await orderSubmissionService.getSubmission(req.params.submissionId);
+
+        return res.sendSuccess(
+            submission,
+            'Order submission retrieved successfully',
+            200
+        );
+    });
+
+    /**
+     * Requeue a submission and try it immediately
+     * @route POST /api/printify/admin/order-submissions/:submissionId/retry
+     * @access Admin only
+     */
+    retrySubmission = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { submissionId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin retrying order submission',
+                data: {
+                    adminId: req.user.id,
+                    submissionId
+                }
+            }).withRequestDetails(req)
+        );
+
+        const submission = await orderSubmissionService.retrySubmission(submissionId);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: submission.status === 'submitted',
+                message: 'Order submission retried',
+                data: {
+                    submissionId,
+                    status: submission.status,
+                    printifyOrderId: submission.printify_order_id
+                }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            submission,
+            submission.status === 'submitted'
+                ? 'Order submitted to Printify'
+                : 'Order submission failed again and is queued for retry',
+            200
+        );
+    });
+
+    /**
+     * Stop retrying a submission
+     * @route POST /api/printify/admin/order-submissions/:submissionId/cancel
+     * @access Admin only
+     */
+    cancelSubmission = catchAsync(async (req, res) => {
+        const { submissionId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin cancelling order submission',
+                data: {
+                    adminId: req.user.id,
+                    submissionId,
+                    reason: req.body?.reason || null
+                }
+            }).withRequestDetails(req)
+        );
+
+        const submission = await orderSubmissionService.cancelSubmission(submissionId, {
+            userId: req.user.id,
+            reason: req.body?.reason || null
+        });
+
+        return res.sendSuccess(
+            submission,
+            'Order submission cancelled',
+            200
+        );
+    });
+}
+
+module.exports = new OrderSubmissionController();
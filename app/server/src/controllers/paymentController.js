@@ -1,9 +1,24 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const printifyService = require('../services/printifyService');
 const orderService = require('../services/orderService'); 
+const orderSubmissionService = require('../services/orderSubmissionService');
+const stripeEventService = require('../services/stripeEventService');
+const shippingService = require('../services/shippingService');
+const pricingService = require('../services/pricingService');
+const orderModificationService = require('../services/orderModificationService');
+const documentService = require('../services/documentService');
+const refundService = require('../services/refundService');
+const orderEventService = require('../services/orderEventService');
+const guestOrderService = require('../services/guestOrderService');
+const cartService = require('../services/cartService');
+const promotionService = require('../services/promotionService');
+const giftCardService = require('../services/giftCardService');
+const taxService = require('../services/taxService');
+const currencyService = require('../services/currencyService');
+const preorderService = require('../services/preorderService');
+const { PERMISSIONS, userHasPermission } = require('../middleware/permissions');
 const { catchAsync, createError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
-const { sequelize, Order, User } = require('../models');
+const { sequelize, Order, Preorder, User } = require('../models');
 
 /**
  * PaymentController handles all payment processing operations
@@ -12,15 +27,35 @@ const { sequelize, Order, User } = require('../models');
 class PaymentController {
     constructor() {
         this.logger = logger.child({ component: 'PaymentController' });
+
+        // Stripe webhook events are stored first and handled asynchronously
+        stripeEventService
+            .registerHandler('checkout.session.completed', session => this.handleCheckoutCompleted(session, Date.now()))
+            // Unpaid sessions leave their cart to abandoned cart recovery and
+            // give back the gift card balance they held
+            .registerHandler('checkout.session.expired', session => this.handleCheckoutExpired(session))
+            .registerHandler('payment_intent.succeeded', paymentIntent => this.handlePaymentIntentSucceeded(paymentIntent, Date.now()))
+            .registerHandler('payment_intent.payment_failed', paymentIntent => this.handlePaymentFailed(paymentIntent, Date.now()))
+            // Keeps refund history in step with refunds made in the Stripe dashboard
+            .registerHandler('charge.refunded', charge => refundService.syncChargeRefunds(charge))
+            .registerHandler('charge.refund.updated', refund => refundService.syncStripeRefund(refund));
     }
     
     /**
      * Create a Stripe checkout session
+     * Guests check out without an account when guest checkout is enabled,
+     * and must give the email their order link is sent to. A gift card code and the customer's store
+     * credit pay for items (not shipping) and are held until the session is
+     * paid or expires. Sales tax is added for taxed destinations, which then
+     * need a state (see taxService). The session charges in the currency the
+     * customer picked, converted from catalog prices at the current rate.
      * @route POST /api/payment/create-checkout
      */
     createCheckoutSession = catchAsync(async (req, res) => {
         const startTime = Date.now();
-        const { items, customerId } = req.body;
+        const { items, customerId, shippingAddress, email, cartId, promotionCode, giftCardCode, useStoreCredit = false } = req.body;
+        const currency = await currencyService.getCurrency(req.body.currency);
+        const isGuest = !req.user;
         
         // Log payment attempt with sanitized data
         this.logger.info(
@@ -29,29 +64,110 @@ class PaymentController {
                 data: {
                     itemCount: items?.length || 0,
                     totalAmount: items?.reduce((sum, item) => sum + (item.price * item.quantity), 0) || 0,
-                    customerId: customerId ? 'present' : 'not provided'
+                    customerId: customerId ? 'present' : 'not provided',
+                    guest: isGuest,
+                    currency: currency.code
                 }
             }).withRequestDetails(req)
         );
+
+        if (isGuest && !guestOrderService.isEnabled()) {
+            throw createError('Authentication required', 401, null, 'Please sign in to check out.');
+        }
         
+        // Guests get their order link by email
+        if (isGuest && !email) {
+            throw createError('Email is required for guest checkout', 400, null, 'Please enter your email address.');
+        }
+
         if (!items || items.length === 0) {
             throw createError('Cart is empty', 400);
         }
+
+        if (!shippingAddress?.country) {
+            throw createError('Shipping country is required', 400, {
+                allowedCountries: shippingService.getAllowedCountries()
+            });
+        }
+
+        // Never trust client prices: price every line from the catalog and
+        // send the customer back to the cart if anything changed
+        const pricing = await pricingService.priceCart(items);
+
+        if (pricing.changes.length || pricing.unavailable.length) {
+            this.logger.warn(
+                this.logger.response.business({
+                    success: false,
+                    message: 'Checkout rejected, cart is out of date',
+                    data: {
+                        changes: pricing.changes.length,
+                        unavailable: pricing.unavailable.length
+                    }
+                }).withRequestDetails(req)
+            );
+
+            throw createError(
+                'Some items in your cart have changed',
+                409,
+                {
+                    changes: pricing.changes,
+                    unavailable: pricing.unavailable,
+                    items: pricing.items
+                },
+                'Some items in your cart have changed. Please review your cart before checking out.'
+            );
+        }
+
+        // Everything from here on is charged in the customer's currency
+        const charged = currencyService.convertPricing(pricing, currency);
+
+        // The code is checked again: the cart preview may be out of date
+        const promotion = typeof promotionCode === 'string' && promotionCode.trim()
+            ? await promotionService.applyCode(promotionCode, charged.items, {
+                userId: req.user?.id || null,
+                email: req.user?.email || (typeof email === 'string' && email) || null,
+                currency
+            })
+            : null;
+
+        // Rates depend on the destination, so checkout only accepts the
+        // country they were quoted for
+        let shippingQuote = await shippingService.getQuote({ items: charged.items, address: shippingAddress, currency });
+        const freeShipping = promotion?.freeShipping ? promotionService.applyFreeShipping(shippingQuote) : null;
+
+        if (freeShipping) {
+            shippingQuote = freeShipping.quote;
+        }
+
+        // Saved so the cart can be recovered if the customer leaves checkout
+        const cart = await cartService.startCheckout(pricing.items, {
+            userId: req.user?.id || null,
+            email: req.user?.email || (typeof email === 'string' && email) || null,
+            cartId: isGuest ? cartId : null
+        });
         
+        // Held now so the same balance cannot pay for two checkouts
+        const giftCardHold = await giftCardService.holdBalance({
+            amount: charged.subtotal - (promotion?.discount || 0),
+            code: typeof giftCardCode === 'string' && giftCardCode.trim() ? giftCardCode : null,
+            userId: useStoreCredit && req.user ? req.user.id : null,
+            currency: currency.code
+        });
+
         // Create line items for Stripe
-        const lineItems = items.map(item => ({
+        const lineItems = charged.items.map(item => ({
             price_data: {
-                currency: 'usd',
+                currency: currency.currency,
                 product_data: {
                     name: item.title,
-                    description: item.variantTitle,
+                    ...(item.variantTitle && { description: item.variantTitle }),
                     images: item.image ? [item.image] : [],
                     metadata: {
                         product_id: item.id,
                         variant_id: item.variantId
                     }
                 },
-                unit_amount: Math.round(item.price * 100), // Convert to cents
+                unit_amount: item.unitAmount,
             },
             quantity: item.quantity,
         }));
@@ -63,15 +179,25 @@ class PaymentController {
             mode: 'payment',
             success_url: `${process.env.CLIENT_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
             cancel_url: `${process.env.CLIENT_URL}/checkout/cancel`,
-            // Enable shipping address collection if needed
             shipping_address_collection: {
-                allowed_countries: ['US', 'CA'], // Add more countries as needed
+                allowed_countries: [shippingQuote.country],
             },
-            // Allow promotion codes
-            allow_promotion_codes: true,
+            shipping_options: shippingService.toStripeShippingOptions(shippingQuote),
+            // Prefills the email of guests, who have no Stripe customer
+            ...(isGuest && typeof email === 'string' && email && { customer_email: email }),
             metadata: {
                 // Store minimal info in metadata, we'll use this in the webhook
-                cartItems: JSON.stringify(items.map(item => ({
+                // Links the order to the signed-in customer, or marks it as a guest order
+                ...(isGuest ? { checkout: 'guest' } : { userId: String(req.user.id) }),
+                ...(cart && { cartId: cart.id }),
+                ...(promotion && { promotionId: promotion.promotion.id, promotionCode: promotion.promotion.code }),
+                // Rate made free by the promotion and what it would have cost, in cents
+                ...(freeShipping?.method && { freeShipping: `${freeShipping.method}:${freeShipping.amount}` }),
+                // Cents paid with gift cards and store credit, part of the coupon
+                ...(giftCardHold.amount && { giftCardAmount: String(giftCardHold.amount) }),
+                // Rate the catalog prices were converted at, kept on the order
+                exchangeRate: String(currency.rate),
+                cartItems: JSON.stringify(charged.items.map(item => ({
                     id: item.id,
                     variantId: item.variantId,
                     quantity: item.quantity,
@@ -81,12 +207,46 @@ class PaymentController {
         };
         
         // Add customer ID if provided
-        if (customerId) {
+        if (customerId && !isGuest) {
             sessionParams.customer = customerId;
         }
         
         // Create checkout session
-        const session = await stripe.checkout.sessions.create(sessionParams);
+        let session;
+        let tax;
+        let promotionHold = null;
+
+        try {
+            // Held before the session exists so checkouts open at the same
+            // time cannot use the code past its limits
+            promotionHold = await promotionService.holdRedemption(promotion, {
+                userId: req.user?.id || null,
+                email: req.user?.email || email
+            });
+
+            // Added last, once the line items and shipping options are final
+            tax = await taxService.prepareCheckout(sessionParams, {
+                items: charged.items,
+                promotion,
+                giftCardAmount: giftCardHold.amount,
+                address: shippingAddress,
+                currency: shippingQuote.currency
+            });
+
+            // Discount codes and gift cards are applied in the cart, not in Stripe
+            sessionParams.discounts = await promotionService.toStripeDiscounts(promotion, shippingQuote.currency, {
+                giftCardAmount: giftCardHold.amount
+            });
+            session = await stripe.checkout.sessions.create(sessionParams);
+        } catch (error) {
+            await promotionService.releaseHold(promotionHold);
+            await giftCardService.releaseHold(giftCardHold);
+            throw error;
+        }
+
+        await cartService.attachSession(cart, session);
+        await promotionService.attachSession(promotionHold, session);
+        await giftCardService.attachSession(giftCardHold, session);
         
         // Log successful checkout session creation
         this.logger.info(
@@ -96,7 +256,12 @@ class PaymentController {
                 userMessage: 'Redirecting to checkout',
                 data: {
                     sessionId: session.id,
-                    items: items.length
+                    items: items.length,
+                    promotionCode: promotion?.promotion.code || null,
+                    currency: currency.code,
+                    giftCardAmount: giftCardHold.amount / 100,
+                    taxProvider: tax?.provider || null,
+                    taxAmount: tax ? tax.amount / 100 : null
                 }
             }).withPerformanceMetrics({
                 duration: Date.now() - startTime
@@ -112,6 +277,91 @@ class PaymentController {
         );
     });
     
+    /**
+     * Check a cart against current catalog prices and availability
+     * @route POST /api/payment/cart/validate
+     */
+    validateCart = catchAsync(async (req, res) => {
+        const pricing = await pricingService.priceCart(req.body.items);
+
+        return res.sendSuccess(
+            {
+                ...pricing,
+                valid: pricing.changes.length === 0 && pricing.unavailable.length === 0
+            },
+            'Cart validated successfully'
+        );
+    });
+
+    /**
+     * Price the cart as checkout will charge it, with a discount code and gift card
+     * Body: { items, promotionCode?, giftCardCode?, useStoreCredit?, shippingAddress?, email?, currency? }
+     * @route POST /api/payment/cart/preview
+     */
+    previewCart = catchAsync(async (req, res) => {
+        const { items, promotionCode, giftCardCode, useStoreCredit, shippingAddress, email, currency } = req.body;
+
+        const preview = await promotionService.previewCart(items, {
+            code: promotionCode || null,
+            address: shippingAddress || null,
+            userId: req.user?.id || null,
+            email: req.user?.email || email || null,
+            giftCardCode: giftCardCode || null,
+            useStoreCredit: Boolean(useStoreCredit && req.user),
+            currency: currency || null
+        });
+
+        return res.sendSuccess(
+            {
+                ...preview,
+                valid: preview.changes.length === 0 && preview.unavailable.length === 0
+            },
+            'Cart preview calculated successfully'
+        );
+    });
+
+    /**
+     * Get the countries we ship to
+     * @route GET /api/payment/shipping/countries
+     */
+    getShippingCountries = catchAsync(async (req, res) => {
+        return res.sendSuccess(
+            { countries: shippingService.getAllowedCountries() },
+            'Shipping countries retrieved successfully'
+        );
+    });
+
+    /**
+     * Quote shipping options for a cart and destination
+     * @route POST /api/payment/shipping/quote
+     */
+    getShippingQuote = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { items, address } = req.body;
+
+        const quote = await shippingService.getQuote({
+            items,
+            address,
+            currency: await currencyService.getCurrency(req.body.currency)
+        });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Shipping quote calculated',
+                data: {
+                    country: quote.country,
+                    itemCount: items.length,
+                    methods: quote.options.map(option => option.method)
+                }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(quote, 'Shipping quote calculated successfully');
+    });
+
     /**
      * Get user's order history
      * @route GET /api/payment/orders
@@ -324,71 +574,394 @@ class PaymentController {
             throw createError(`Webhook Error: ${err.message}`, 400);
         }
         
-        // Handle specific events with an async function to process safely
-        await this.processWebhookEvent(event, startTime);
+        // Store the event before acknowledging it; Stripe redeliveries of an
+        // event we already have are skipped
+        const { record, duplicate } = await stripeEventService.recordEvent(event);
+
+        if (!duplicate) {
+            setImmediate(() => {
+                stripeEventService.processEvent(record)
+                    .then(processed => {
+                        this.logger.info(
+                            this.logger.response.network({
+                                success: processed.status !== 'failed',
+                                message: `Stripe webhook event ${processed.status}: ${event.type}`,
+                                data: {
+                                    eventId: event.id,
+                                    attempts: processed.attempts
+                                },
+                                endpoint: 'stripe-webhook'
+                            }).withPerformanceMetrics({
+                                duration: Date.now() - startTime
+                            })
+                        );
+                    })
+                    .catch(error => {
+                        this.logger.error(`Error processing Stripe event ${event.id}`, { error: error.message });
+                    });
+            });
+        }
         
-        // Return a 200 response to acknowledge receipt of the event
-        // Always return a 200 quickly to acknowledge receipt, even if processing failed
+        // Return a 200 quickly to acknowledge receipt; processing continues in the background
         return res.sendSuccess(
-            { received: true },
+            { received: true, duplicate },
             'Webhook event received successfully'
         );
     });
-    
+
+    /**
+     * Cancel one of the customer's own orders before it goes into production
+     * @route POST /api/payment/order/:orderId/cancel
+     */
+    cancelOrder = catchAsync(async (req, res) => {
+        const order = await orderModificationService.getCustomerOrder(req.params.orderId, req.user);
+
+        return this._cancelOrder(req, res, order, 'customer');
+    });
+
+    /**
+     * Cancel any order before it goes into production (admin only)
+     * @route POST /api/payment/admin/orders/:orderId/cancel
+     */
+    adminCancelOrder = catchAsync(async (req, res) => {
+        const order = await Order.findByPk(req.params.orderId);
+
+        if (!order) {
+            throw createError('Order not found', 404);
+        }
+
+        return this._cancelOrder(req, res, order, 'admin');
+    });
+
+    /**
+     * Change the shipping address of the customer's own order during the
+     * modification window
+     * @route PUT /api/payment/order/:orderId/shipping-address
+     */
+    updateOrderShippingAddress = catchAsync(async (req, res) => {
+        const order = await orderModificationService.getCustomerOrder(req.params.orderId, req.user);
+
+        await orderModificationService.updateShippingAddress(order, req.body, {
+            userId: req.user.id,
+            req
+        });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Order shipping address updated',
+                data: { orderId: order.id }
+            }).withRequestDetails(req)
+        );
+
+        return res.sendSuccess(
+            {
+                order: order.toJSON(),
+                modifiableUntil: orderModificationService.getModificationDeadline(order)
+            },
+            'Shipping address updated successfully'
+        );
+    });
+
+    /**
+     * Download an order's invoice as PDF (owner or admin)
+     * @route GET /api/payment/order/:orderId/invoice.pdf
+     */
+    getOrderInvoice = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const order = await Order.findByPk(req.params.orderId);
+
+        // Orders of other customers are reported as not found
+        if (!order || !(orderModificationService.isOwner(order, req.user)
+            || await userHasPermission(req.user, PERMISSIONS.PAYMENT_MANAGE))) {
+            throw createError('Order not found', 404);
+        }
+
+        const pdf = await documentService.renderInvoice(order);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Invoice generated',
+                data: { orderId: order.id, bytes: pdf.length }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return this._sendDocument(res, pdf, {
+            contentType: 'application/pdf',
+            filename: documentService.getInvoiceFilename(order)
+        });
+    });
+
+    /**
+     * Fulfillment timeline and shipment tracking of an order (owner or admin)
+     * Admins also see who recorded each step and its notes.
+     * @route GET /api/payment/order/:orderId/timeline
+     */
+    getOrderTimeline = catchAsync(async (req, res) => {
+        const order = await Order.findByPk(req.params.orderId);
+        const isAdmin = await userHasPermission(req.user, PERMISSIONS.PAYMENT_MANAGE);
+
+        // Orders of other customers are reported as not found
+        if (!order || !(isAdmin || orderModificationService.isOwner(order, req.user))) {
+            throw createError('Order not found', 404);
+        }
+
+        const timeline = await orderEventService.getTimeline(order, { internal: isAdmin });
+
+        return res.sendSuccess(timeline, 'Order timeline retrieved successfully');
+    });
+
+    /**
+     * Look up an order's timeline without an account
+     * Body: { email, orderNumber }
+     * @route POST /api/payment/order/lookup
+     */
+    lookupOrder = catchAsync(async (req, res) => {
+        const { email, orderNumber } = req.body;
+        const order = await orderEventService.lookupOrder(email, orderNumber);
+        const timeline = await orderEventService.getTimeline(order);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Guest order lookup',
+                data: { orderId: order.id }
+            }).withRequestDetails(req)
+        );
+
+        return res.sendSuccess(timeline, 'Order found');
+    });
+
     /**
-     * Process webhook events in a separate method to handle errors safely
+     * Guest order opened from the link in its confirmation email
+     * Body: { orderId, token }
+     * @route POST /api/payment/order/access
+     */
+    getGuestOrder = catchAsync(async (req, res) => {
+        const { orderId, token } = req.body;
+        const order = await guestOrderService.getOrderByAccessToken(orderId, token);
+        const timeline = await orderEventService.getTimeline(order);
+
+        return res.sendSuccess({ order, timeline }, 'Order retrieved successfully');
+    });
+
+    /**
+     * Add guest orders to the signed-in customer's account
+     * With { orderId, token } from an access link claims that order; without,
+     * claims every guest order placed with the account's verified email.
+     * @route POST /api/payment/orders/claim
+     */
+    claimGuestOrders = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { orderId, token } = req.body;
+
+        const orders = orderId
+            ? [await guestOrderService.claimOrder(req.user, orderId, token, { req })]
+            : await guestOrderService.claimOrders(req.user, { req });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Guest orders claimed',
+                data: { orderIds: orders.map(order => order.id) }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            { orders, claimed: orders.length },
+            orders.length ? 'Orders added to your account' : 'No guest orders to add'
+        );
+    });
+
+    /**
+     * Packing slip of one order as PDF (admin only)
+     * @route GET /api/payment/admin/orders/:orderId/packing-slip.pdf
+     */
+    getPackingSlip = catchAsync(async (req, res) => {
+        const [order] = await documentService.findOrders([req.params.orderId]);
+        const pdf = await documentService.renderPackingSlip(order);
+
+        return this._sendDocument(res, pdf, {
+            contentType: 'application/pdf',
+            filename: documentService.getPackingSlipFilename(order),
+            inline: true
+        });
+    });
+
+    /**
+     * Packing slips of several orders as a zip of PDFs (admin only)
+     * Accepts our order IDs or Printify order IDs.
+     * @route POST /api/payment/admin/orders/packing-slips
+     */
+    getPackingSlips = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const orders = await documentService.findOrders(req.body.orderIds);
+        const zip = await documentService.renderPackingSlips(orders);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Packing slips generated',
+                data: { orders: orders.length, bytes: zip.length }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return this._sendDocument(res, zip, {
+            contentType: 'application/zip',
+            filename: `packing-slips-${new Date().toISOString().slice(0, 10)}.zip`
+        });
+    });
+
+    /**
+     * Shared cancel flow for customers and admins
      * @private
      */
-    async processWebhookEvent(event, startTime) {
-        try {
-            switch (event.type) {
-                case 'checkout.session.completed':
-                    await this.handleCheckoutCompleted(event.data.object, startTime);
-                    break;
-                    
-                case 'payment_intent.succeeded':
-                    await this.handlePaymentIntentSucceeded(event.data.object, startTime);
-                    break;
-                    
-                case 'payment_intent.payment_failed':
-                    await this.handlePaymentFailed(event.data.object, startTime);
-                    break;
-                    
-                default:
-                    this.logger.info(
-                        this.logger.response.network({
-                            message: `Unhandled webhook event: ${event.type}`,
-                            data: { eventId: event.id },
-                            endpoint: 'stripe-webhook'
-                        })
-                    );
+    _cancelOrder = async (req, res, order, cancelledBy) => {
+        const startTime = Date.now();
+        const reason = req.body.reason || null;
+
+        const { refunds } = await orderModificationService.cancelOrder(order, {
+            reason,
+            userId: req.user.id,
+            cancelledBy,
+            req
+        });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Order cancelled',
+                data: {
+                    orderId: order.id,
+                    cancelledBy,
+                    refundIds: refunds.map(refund => refund.id)
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            {
+                order: order.toJSON(),
+                refunds: refunds.map(refund => ({
+                    id: refund.id,
+                    amount: Number(refund.amount),
+                    method: refund.method,
+                    status: refund.status
+                }))
+            },
+            'Order cancelled successfully'
+        );
+    };
+
+    /**
+     * Send a generated document; never cached since it reflects the current order
+     * @private
+     */
+    _sendDocument = (res, buffer, { contentType, filename, inline = false }) => {
+        res.set({
+            'Content-Type': contentType,
+            'Content-Length': buffer.length,
+            'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${filename}"`,
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        return res.send(buffer);
+    };
+
+    /**
+     * List stored Stripe webhook events (admin only)
+     * @route GET /api/payment/admin/webhook-events?status=failed
+     */
+    getWebhookEvents = catchAsync(async (req, res) => {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const result = await stripeEventService.listEvents({
+            status: req.query.status,
+            type: req.query.type,
+            page,
+            limit
+        });
+
+        return res.sendSuccess({
+            events: result.events,
+            pagination: {
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                pages: Math.ceil(result.total / result.limit)
             }
-        } catch (error) {
-            // We don't want to crash or cause the webhook to return a non-200 response
-            // So we catch all errors and just log them
-            this.logger.error(
-                this.logger.response.error({
-                    success: false,
-                    message: `Error processing webhook event: ${event.type}`,
-                    error,
-                    data: { 
-                        eventId: event.id,
-                        errorMessage: error.message
-                    }
-                }).withPerformanceMetrics({
-                    duration: Date.now() - startTime
-                })
-            );
-        }
-    }
+        }, 'Webhook events retrieved successfully');
+    });
+
+    /**
+     * Replay a failed Stripe webhook event (admin only)
+     * @route POST /api/payment/admin/webhook-events/:eventId/replay
+     */
+    replayWebhookEvent = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { eventId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin replaying Stripe webhook event',
+                data: {
+                    adminId: req.user.id,
+                    eventId
+                }
+            }).withRequestDetails(req)
+        );
+
+        const record = await stripeEventService.replayEvent(eventId);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: record.status !== 'failed',
+                message: 'Stripe webhook event replayed',
+                data: {
+                    eventId: record.event_id,
+                    status: record.status,
+                    attempts: record.attempts
+                }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            record,
+            record.status === 'failed'
+                ? 'Webhook event replay failed'
+                : 'Webhook event replayed successfully'
+        );
+    });
     
     /**
      * Handle checkout.session.completed webhook event
      * @private
      */
     async handleCheckoutCompleted(session, startTime) {
-        // Process the order if payment was successful
-        if (session.payment_status === 'paid') {
+        // Process the order if payment was successful; carts paid in full
+        // with a gift card need no payment
+        if (['paid', 'no_payment_required'].includes(session.payment_status)) {
+            if (session.metadata?.giftCardId) {
+                return this.handleGiftCardPurchased(session, startTime);
+            }
+
+            if (session.metadata?.preorderId) {
+                return this.handlePreorderBalancePaid(session, startTime);
+            }
+
             try {
                 // Extract cart items from metadata
                 const cartItems = JSON.parse(session.metadata.cartItems);
@@ -404,25 +977,59 @@ class PaymentController {
                     })
                 );
                 
-                // Use the OrderService to create order
-                const order = await orderService.createOrderFromStripeSession(session, cartItems);
+                // Pre-orders are held until their product is published; deposits
+                // pay shipping with the balance
+                const isPreorder = Boolean(session.metadata?.preorderProductId);
+
+                // Map the shipping rate the customer picked back to a Printify method
+                const shipping = session.metadata?.preorderPayment === 'deposit'
+                    ? null
+                    : await shippingService.getSelectedMethod(session);
+
+                // A replayed event finds the order it created the first time
+                const existingOrder = await Order.findOne({ where: { stripeSessionId: session.id } });
+                const order = existingOrder
+                    || await orderService.createOrderFromStripeSession(session, cartItems, {
+                        shipping,
+                        ...(isPreorder && { status: 'preorder' })
+                    });
+
+                // Guests have no account to find the order in, so they get a link to it
+                if (!existingOrder && order.isGuest) {
+                    await guestOrderService.sendAccessLink(order);
+                }
+
+                await cartService.markConverted(session, order);
+
+                if (isPreorder) {
+                    const preorder = await preorderService.recordPreorder(session, order, shipping);
+
+                    this.logger.info(
+                        this.logger.response.business({
+                            success: true,
+                            message: 'Pre-order processed, held until the product is published',
+                            data: {
+                                sessionId: session.id,
+                                orderId: order.id,
+                                preorderId: preorder.id,
+                                payment: preorder.payment
+                            }
+                        }).withPerformanceMetrics({
+                            duration: Date.now() - startTime
+                        })
+                    );
+                    return;
+                }
                 
                 // Format order data for Printify
                 const shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID;
                 const orderData = {
                     external_id: session.id,
-                    shipping_method: 1, // Default shipping method
-                    shipping: {
-                        name: session.shipping_details?.name || session.customer_details.name,
-                        address1: session.shipping_details?.address?.line1 || '',
-                        address2: session.shipping_details?.address?.line2 || '',
-                        city: session.shipping_details?.address?.city || '',
-                        state: session.shipping_details?.address?.state || '',
-                        zip: session.shipping_details?.address?.postal_code || '',
-                        country: session.shipping_details?.address?.country || '',
-                        phone: session.customer_details?.phone || '',
-                        email: session.customer_details?.email || ''
-                    },
+                    shipping_method: order.printifyShippingMethod || shipping.printifyMethod,
+                    address_to: orderService.toPrintifyAddress(order.shippingAddress, {
+                        email: session.customer_details?.email,
+                        phone: session.customer_details?.phone
+                    }),
                     line_items: cartItems.map(item => ({
                         product_id: item.id,
                         variant_id: item.variantId,
@@ -430,13 +1037,44 @@ class PaymentController {
                     }))
                 };
                 
-                // Try to submit the order to Printify
-                try {
-                    const printifyOrder = await printifyService.createOrder(shopId, orderData);
-                    
-                    // Update our order with Printify ID
-                    await orderService.updateOrderStatus(order.id, 'submitted_to_printify');
-                    
+                // Queue the Printify submission before trying it, so a failed
+                // attempt is retried by the submission worker instead of lost.
+                // During the modification window the order is held back so the
+                // customer can still change the address or cancel for free.
+                const holdUntil = orderModificationService.getModificationDeadline(order);
+                const submission = await orderSubmissionService.enqueue(order, orderData, { shopId, holdUntil });
+
+                // Rate table tax is charged for the address given before
+                // checkout. An order shipped where other rates apply is not
+                // sent until staff settle the tax and retry the submission.
+                const taxMismatch = !existingOrder && taxService.getTaxAddressMismatch(session);
+                let result = submission;
+
+                if (taxMismatch) {
+                    const place = ({ state, zip }) => [state, zip].filter(Boolean).join(' ');
+
+                    result = await orderSubmissionService.cancelSubmission(submission.id, {
+                        reason: `Tax was charged for ${place(taxMismatch.quoted)} but the order ships to ${place(taxMismatch.shippedTo)}`
+                    });
+                } else if (submission.status === 'pending' && !holdUntil) {
+                    result = await orderSubmissionService.submitNow(submission);
+                }
+
+                if (taxMismatch) {
+                    this.logger.warn(
+                        this.logger.response.business({
+                            success: false,
+                            message: 'Order ships to another tax address than it was charged for, submission held',
+                            data: { 
+                                sessionId: session.id,
+                                orderId: order.id,
+                                submissionId: result.id,
+                                quoted: taxMismatch.quoted,
+                                shippedTo: taxMismatch.shippedTo
+                            }
+                        })
+                    );
+                } else if (result.status === 'submitted') {
                     // Log successful Printify order submission
                     this.logger.info(
                         this.logger.response.business({
@@ -444,26 +1082,35 @@ class PaymentController {
                             message: 'Order submitted to Printify',
                             data: { 
                                 sessionId: session.id,
-                                printifyOrderId: printifyOrder.id
+                                printifyOrderId: result.printify_order_id
+                            }
+                        })
+                    );
+                } else if (holdUntil && result.status === 'pending') {
+                    this.logger.info(
+                        this.logger.response.business({
+                            message: 'Order held for the modification window before Printify submission',
+                            data: { 
+                                sessionId: session.id,
+                                submissionId: result.id,
+                                holdUntil: holdUntil.toISOString()
                             }
                         })
                     );
-                } catch (printifyError) {
+                } else {
                     // Log Printify order submission failure
                     this.logger.error(
                         this.logger.response.business({
                             success: false,
-                            message: 'Failed to submit order to Printify',
-                            error: printifyError,
+                            message: 'Failed to submit order to Printify, queued for retry',
                             data: { 
                                 sessionId: session.id,
-                                errorMessage: printifyError.message
+                                submissionId: result.id,
+                                submissionStatus: result.status,
+                                errorMessage: result.last_error
                             }
                         })
                     );
-                    
-                    // Order is still valid even if Printify submission fails
-                    // We can handle this manually or with a retry mechanism
                 }
                 
                 // Log successful order processing
@@ -511,6 +1158,87 @@ class PaymentController {
         }
     }
     
+    /**
+     * Handle a paid gift card checkout: record the order and send the card
+     * Gift cards are not printed, so nothing goes to Printify.
+     * @private
+     */
+    async handleGiftCardPurchased(session, startTime) {
+        const existingOrder = await Order.findOne({ where: { stripeSessionId: session.id } });
+        const order = existingOrder || await orderService.createOrderFromStripeSession(session, [{
+            id: giftCardService.GIFT_CARD_PRODUCT_ID,
+            variantId: session.amount_subtotal,
+            quantity: 1,
+            price: session.amount_subtotal / 100,
+            title: 'Gift card'
+        }]);
+
+        if (!existingOrder && order.isGuest) {
+            await guestOrderService.sendAccessLink(order);
+        }
+
+        const card = await giftCardService.completePurchase(session, order);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Gift card purchase processed successfully',
+                data: {
+                    sessionId: session.id,
+                    orderId: order.id,
+                    giftCardId: card?.id || null
+                }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+    }
+
+    /**
+     * Handle a paid pre-order balance: release the order to Printify
+     * @private
+     */
+    async handlePreorderBalancePaid(session, startTime) {
+        const preorder = await Preorder.findByPk(session.metadata.preorderId);
+
+        if (!preorder) {
+            this.logger.warn(
+                this.logger.response.business({
+                    success: false,
+                    message: 'Balance paid for an unknown pre-order',
+                    data: { sessionId: session.id, preorderId: session.metadata.preorderId }
+                })
+            );
+            return;
+        }
+
+        await preorderService.completeBalance(preorder, session.payment_intent);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Pre-order balance paid',
+                data: {
+                    sessionId: session.id,
+                    orderId: preorder.order_id,
+                    preorderId: preorder.id
+                }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+    }
+
+    /**
+     * Handle checkout.session.expired webhook event
+     * @private
+     */
+    async handleCheckoutExpired(session) {
+        await promotionService.releaseSession(session);
+        await giftCardService.releaseSession(session);
+        return cartService.handleSessionExpired(session);
+    }
+
     /**
      * Handle payment_intent.succeeded webhook event
      * @private
@@ -778,10 +1506,18 @@ class PaymentController {
         );
         
         try {
+            // Orders are paid in several currencies; amounts are summed in the
+            // base currency at the rate each order was paid at, then shown in
+            // the reporting currency at today's rate
+            const inBase = column => sequelize.fn('SUM', sequelize.literal(`\`${column}\` / \`exchangeRate\``));
+            const rates = await currencyService.getRates();
+            const toReporting = amount => Math.round(currencyService.toReporting(amount, 1, rates) * 100) / 100;
+
             // Get total sales and order count
             const salesStats = await Order.findAll({
                 attributes: [
-                    [sequelize.fn('SUM', sequelize.col('totalAmount')), 'totalSales'],
+                    [inBase('totalAmount'), 'totalSales'],
+                    [inBase('taxAmount'), 'totalTax'],
                     [sequelize.fn('COUNT', sequelize.col('id')), 'totalOrders']
                 ],
                 where: {
@@ -798,7 +1534,8 @@ class PaymentController {
             const dailySales = await Order.findAll({
                 attributes: [
                     [sequelize.fn('DATE', sequelize.col('createdAt')), 'date'],
-                    [sequelize.fn('SUM', sequelize.col('totalAmount')), 'amount'],
+                    [inBase('totalAmount'), 'amount'],
+                    [inBase('taxAmount'), 'tax'],
                     [sequelize.fn('COUNT', sequelize.col('id')), 'count']
                 ],
                 where: {
@@ -813,6 +1550,24 @@ class PaymentController {
                 order: [[sequelize.fn('DATE', sequelize.col('createdAt')), 'ASC']]
             });
             
+            // Sales in the currencies customers paid in
+            const currencySales = await Order.findAll({
+                attributes: [
+                    'currency',
+                    [sequelize.fn('SUM', sequelize.col('totalAmount')), 'amount'],
+                    [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+                ],
+                where: {
+                    createdAt: {
+                        [sequelize.Op.between]: [startDate, now]
+                    },
+                    status: {
+                        [sequelize.Op.not]: 'cancelled'
+                    }
+                },
+                group: ['currency']
+            });
+
             // Get stats by status
             const statusStats = await Order.findAll({
                 attributes: [
@@ -824,15 +1579,25 @@ class PaymentController {
             
             return res.sendSuccess(
                 {
+                    // Currency of the summary and daily amounts
+                    currency: currencyService.getReportingCurrency(),
                     summary: {
-                        totalSales: parseFloat(salesStats[0]?.dataValues?.totalSales || 0),
+                        totalSales: toReporting(salesStats[0]?.dataValues?.totalSales || 0),
+                        // Sales tax collected, included in totalSales
+                        totalTax: toReporting(salesStats[0]?.dataValues?.totalTax || 0),
                         totalOrders: parseInt(salesStats[0]?.dataValues?.totalOrders || 0)
                     },
                     dailySales: dailySales.map(day => ({
                         date: day.dataValues.date,
-                        amount: parseFloat(day.dataValues.amount),
+                        amount: toReporting(day.dataValues.amount || 0),
+                        tax: toReporting(day.dataValues.tax || 0),
                         count: parseInt(day.dataValues.count)
                     })),
+                    byCurrency: currencySales.map(entry => ({
+                        currency: String(entry.dataValues.currency || 'usd').toUpperCase(),
+                        amount: parseFloat(entry.dataValues.amount || 0),
+                        count: parseInt(entry.dataValues.count)
+                    })),
                     byStatus: statusStats.map(status => ({
                         status: status.dataValues.status,
                         count: parseInt(status.dataValues.count)
@@ -858,16 +1623,57 @@ class PaymentController {
     });
     
     /**
-     * Process a refund for an order (admin only)
+     * Sales tax collected by jurisdiction and period, for filing (admin only)
+     * Query: { from, to, period: day|month|quarter|year, format: json|csv }
+     * @route GET /api/payment/admin/tax-report
+     */
+    getTaxReport = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { from, to, period, format } = req.query;
+
+        const report = await taxService.getReport({ from, to, period });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Tax report generated',
+                data: {
+                    adminId: req.user.id,
+                    from: report.from.toISOString(),
+                    to: report.to.toISOString(),
+                    period,
+                    rows: report.rows.length,
+                    format
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        if (format === 'csv') {
+            const day = date => date.toISOString().slice(0, 10);
+
+            return this._sendDocument(res, Buffer.from(taxService.reportToCsv(report)), {
+                contentType: 'text/csv; charset=utf-8',
+                // The report ends just before `to`
+                filename: `tax-report-${day(report.from)}-${day(new Date(report.to.getTime() - 1))}.csv`
+            });
+        }
+
+        return res.sendSuccess(report, 'Tax report generated successfully');
+    });
+    
+    /**
+     * Refund part or all of an order, optionally against one order line (admin only)
+     * Body: { amount, orderItemId, quantity, reason, note, refundAll, method }. Without an
+     * amount, refunds what is left on the line or the order. `method: 'store_credit'`
+     * issues the amount as store credit for the customer instead of refunding the card.
      * @route POST /api/payment/admin/refund/:orderId
      */
     processRefund = catchAsync(async (req, res) => {
+        const startTime = Date.now();
         const { orderId } = req.params;
-        const { reason, amount, refundAll = false } = req.body;
-        
-        if (!orderId) {
-            throw createError('Order ID is required', 400);
-        }
+        const { amount, orderItemId, quantity, reason, note, refundAll = false, method = 'original_payment' } = req.body;
         
         // Log refund request
         this.logger.info(
@@ -875,76 +1681,80 @@ class PaymentController {
                 message: 'Admin processing refund',
                 data: { 
                     orderId,
-                    refundAll,
-                    amount: refundAll ? 'full amount' : amount
+                    orderItemId,
+                    amount: refundAll || amount === undefined ? 'remaining balance' : amount,
+                    method
                 }
             }).withRequestDetails(req)
         );
         
-        try {
-            // Get order details
-            const order = await Order.findByPk(orderId);
-            
-            if (!order) {
-                throw createError('Order not found', 404);
-            }
-            
-            if (order.refunded) {
-                throw createError('Order has already been refunded', 400);
-            }
-            
-            // Get payment intent from Stripe
-            const session = await stripe.checkout.sessions.retrieve(order.sessionId, {
-                expand: ['payment_intent']
-            });
-            
-            if (!session.payment_intent) {
-                throw createError('Payment intent not found for this order', 404);
-            }
-            
-            // Process refund in Stripe
-            const refundAmount = refundAll 
-                ? undefined // Refund the full amount
-                : Math.round(parseFloat(amount) * 100); // Convert to cents
-            
-            const refund = await stripe.refunds.create({
-                payment_intent: session.payment_intent.id,
-                amount: refundAmount,
-                reason: reason || 'requested_by_customer'
-            });
-            
-            // Update order status
-            await order.update({
-                refunded: true,
-                refundedAt: new Date(),
-                refundAmount: refundAll ? order.totalAmount : parseFloat(amount),
-                refundReason: reason,
-                status: 'refunded'
-            });
-            
-            return res.sendSuccess(
-                {
-                    refund,
-                    order: order.toJSON()
-                },
-                'Refund processed successfully'
-            );
-        } catch (error) {
-            // Log error
-            this.logger.error(
-                this.logger.response.error({
-                    success: false,
-                    message: 'Error processing refund',
-                    error,
-                    data: { 
-                        orderId,
-                        errorMessage: error.message
-                    }
-                })
-            );
-            
-            throw error;
+        const order = await Order.findByPk(orderId);
+        
+        if (!order) {
+            throw createError('Order not found', 404);
         }
+        
+        const refunds = await refundService.refundOrder(order, {
+            amount: refundAll ? undefined : amount,
+            orderItemId,
+            quantity,
+            reason,
+            note,
+            method
+        }, {
+            userId: req.user.id,
+            req
+        });
+        
+        const balance = await refundService.getRefundableBalance(order);
+        
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Refund processed',
+                data: {
+                    orderId,
+                    refundIds: refunds.map(refund => refund.id),
+                    amount: refunds.reduce((sum, refund) => sum + Number(refund.amount), 0),
+                    refundable: balance.refundable
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+        
+        return res.sendSuccess(
+            {
+                refunds: refunds.map(refund => refund.toJSON()),
+                order: order.toJSON(),
+                balance
+            },
+            'Refund processed successfully'
+        );
+    });
+
+    /**
+     * Order detail with its refund history and refundable balance (admin only)
+     * Accepts our order ID or the Printify order ID; the balance lists the
+     * order lines with what is left to refund on each.
+     * @route GET /api/payment/admin/orders/:orderId
+     */
+    getAdminOrder = catchAsync(async (req, res) => {
+        const [order] = await documentService.findOrders([req.params.orderId]);
+        
+        const [refunds, balance] = await Promise.all([
+            refundService.listRefunds(order.id),
+            refundService.getRefundableBalance(order)
+        ]);
+        
+        return res.sendSuccess(
+            {
+                order: order.toJSON(),
+                refunds: refunds.map(refund => refund.toJSON()),
+                balance
+            },
+            'Order retrieved successfully'
+        );
     });
 }
 
@@ -0,0 +1,149 @@
+/**
+ * Preorder Controller
+ *
+ * Customers pre-ordering upcoming products and paying a balance their
+ * saved card could not, and admin pre-order settings, counts and bulk
+ * cancellation. Releasing pre-orders when their product is published
+ * happens in preorderService.
+ *
+ * @module controllers/preorderController
+ */
+
+const preorderService = require('../services/preorderService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class PreorderController {
+    constructor() {
+        this.logger = logger.child({ component: 'PreorderController' });
+    }
+
+    /**
+     * Upcoming products that can be pre-ordered, and how they are paid
+     * @route GET /api/preorders/offers
+     * @access Authenticated
+     */
+    getOffers = catchAsync(async (req, res) => {
+        const offers = await preorderService.getOffers();
+
+        return res.sendSuccess(offers, 'Pre-order offers retrieved successfully');
+    });
+
+    /**
+     * The signed-in customer's pre-orders
+     * @route GET /api/preorders
+     * @access Authenticated
+     */
+    getPreorders = catchAsync(async (req, res) => {
+        const preorders = await preorderService.getCustomerPreorders(req.user.id);
+
+        return res.sendSuccess(preorders, 'Pre-orders retrieved successfully');
+    });
+
+    /**
+     * Start a Stripe checkout for a pre-order
+     * Body: { productId, variantId, quantity?, shippingAddress }
+     * @route POST /api/preorders/checkout
+     * @access Authenticated
+     */
+    createCheckout = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { productId, variantId, quantity, shippingAddress } = req.body;
+
+        const session = await preorderService.createCheckout(req.user, { productId, variantId, quantity, shippingAddress });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Pre-order checkout session created',
+                data: {
+                    userId: req.user.id,
+                    sessionId: session.sessionId,
+                    productId,
+                    variantId
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(session, 'Checkout session created successfully');
+    });
+
+    /**
+     * Start a Stripe checkout for the balance of a pre-order
+     * @route POST /api/preorders/:preorderId/balance-checkout
+     * @access Authenticated
+     */
+    createBalanceCheckout = catchAsync(async (req, res) => {
+        const session = await preorderService.createBalanceCheckout(req.user, req.params.preorderId);
+
+        return res.sendSuccess(session, 'Checkout session created successfully');
+    });
+
+    /**
+     * Pre-order counts and payments by product
+     * @route GET /api/preorders/admin/summary
+     * @access Admin (printify:manage)
+     */
+    getSummary = catchAsync(async (req, res) => {
+        const summary = await preorderService.getSummary();
+
+        return res.sendSuccess(summary, 'Pre-order summary retrieved successfully');
+    });
+
+    /**
+     * Turn pre-orders of an upcoming product on or off, or change how they are paid
+     * Body: { enabled?, payment?, depositPercent?, expectedReleaseAt? }
+     * @route PUT /api/preorders/admin/products/:productId
+     * @access Admin (printify:manage)
+     */
+    updateSettings = catchAsync(async (req, res) => {
+        const settings = await preorderService.updateSettings(req.params.productId, req.body, {
+            user: req.user,
+            req
+        });
+
+        return res.sendSuccess(settings, 'Pre-order settings updated successfully');
+    });
+
+    /**
+     * Cancel and refund every pre-order of a product
+     * Body: { reason? }
+     * @route POST /api/preorders/admin/products/:productId/cancel
+     * @access Admin (printify:manage)
+     */
+    cancelProduct = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { productId } = req.params;
+
+        const result = await preorderService.cancelProduct(productId, {
+            reason: req.body.reason || null,
+            user: req.user,
+            req
+        });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: result.failed.length === 0,
+                message: 'Pre-orders of product cancelled',
+                data: {
+                    productId,
+                    cancelled: result.cancelled,
+                    failed: result.failed.length
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            result,
+            result.failed.length
+                ? `Cancelled ${result.cancelled} pre-orders, ${result.failed.length} failed`
+                : `Cancelled ${result.cancelled} pre-orders`
+        );
+    });
+}
+
+module.exports = new PreorderController();
@@ -1,5 +1,10 @@
 const printifyService = require('../services/printifyService');
+const catalogService = require('../services/catalogService');
+const catalogSyncService = require('../services/catalogSyncService');
+const searchService = require('../services/searchService');
+const categoryService = require('../services/categoryService');
 const featuredProductService = require('../services/featuredProductService');
+const reviewService = require('../services/reviewService');
 const { catchAsync, createError, createNotFoundError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 
@@ -51,8 +56,8 @@ class PrintifyController {
             this.logger.info(`Retrieved ${bestSellingProductIds.length} best-selling product IDs`);
         }
         
-        // Get products and filter only published ones
-        const products = await printifyService.getProducts(shopId);
+        // Get products from the local catalog and filter only published ones
+        const products = await catalogService.getProducts(shopId);
         
         // Defensive check - ensure products is an array
         if (!Array.isArray(products)) {
@@ -332,12 +337,12 @@ class PrintifyController {
         );
         
         try {
-            // Call Printify API through our service
-            this.logger.debug(`Calling printifyService.getProduct with shopId=${shopId}, productId=${productId}`);
-            const product = await printifyService.getProduct(shopId, productId);
+            // Read from the local catalog kept in sync with Printify
+            this.logger.debug(`Calling catalogService.getProduct with shopId=${shopId}, productId=${productId}`);
+            const product = await catalogService.getProduct(shopId, productId);
             
-            // Enhanced debugging to see what we're getting from the service
-            this.logger.debug('Product data received from printifyService:', {
+            // Enhanced debugging to see what we're getting from the catalog
+            this.logger.debug('Product data received from catalogService:', {
                 productId,
                 productExists: !!product,
                 productType: typeof product,
@@ -380,6 +385,12 @@ class PrintifyController {
                 );
             }
     
+            // Categories come from the admin-managed category rules
+            const productCategories = await categoryService.getProductCategories(product);
+
+            // Rating from approved reviews
+            const ratingSummary = await reviewService.getRatingSummary(product.id || productId);
+
             // Return complete product information necessary for the detail view
             const publicProduct = {
                 id: product.id || productId,
@@ -400,8 +411,11 @@ class PrintifyController {
                 tags: Array.isArray(product.tags) ? product.tags : [],
                 created_at: product.created_at || new Date().toISOString(),
                 updated_at: product.updated_at || product.created_at || new Date().toISOString(),
-                category: this._extractCategory(product),
+                category: productCategories.primary ? productCategories.primary.name : 'Other',
+                categories: productCategories.slugs,
                 shipping: 'Standard shipping (7-14 business days)',
+                rating: ratingSummary.average,
+                reviewCount: ratingSummary.count,
                 metadata: product.metadata || {}
             };
     
@@ -465,33 +479,6 @@ class PrintifyController {
         }
     });
 
-    /**
-     * Extract category from product tags or metadata
-     * @private
-     */
-    _extractCategory(product) {
-        // Check if we have a category in metadata
-        if (product.metadata && product.metadata.category) {
-            return product.metadata.category;
-        }
-
-        // Default categories to check in tags
-        const categoryTags = ['clothing', 'accessories', 'home-decor', 'wall-art'];
-        
-        // Check if any of the product tags match our category list
-        if (Array.isArray(product.tags)) {
-            for (const tag of product.tags) {
-                if (categoryTags.includes(tag.toLowerCase())) {
-                    // Convert to title case for display
-                    return tag.charAt(0).toUpperCase() + tag.slice(1);
-                }
-            }
-        }
-        
-        // Default category
-        return 'Other';
-    }
-
     /**
      * Get product categories
      * @route GET /api/printify/categories
@@ -507,48 +494,9 @@ class PrintifyController {
             }).withRequestDetails(req)
         );
         
-        // For now, return predefined categories
-        // In a production environment, this would come from Printify or your database
-        const categories = [
-            { id: 'clothing', name: 'Clothing', count: 0 },
-            { id: 'accessories', name: 'Accessories', count: 0 },
-            { id: 'home-decor', name: 'Home Decor', count: 0 },
-            { id: 'wall-art', name: 'Wall Art', count: 0 }
-        ];
-        
-        // Count products in each category from default shop
+        // Category tree with product counts, driven by the admin-managed taxonomy
         const shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID;
-        const products = await printifyService.getProducts(shopId);
-        
-        // Defensive check - ensure products is an array
-        if (Array.isArray(products)) {
-            // Update category counts only if products is an array
-            products.forEach(product => {
-                const productTags = product.tags || [];
-                categories.forEach(category => {
-                    if (productTags.includes(category.id)) {
-                        category.count++;
-                    }
-                });
-            });
-        } else {
-            this.logger.warn(`Products returned from API is not an array: ${typeof products}`, {
-                shopId,
-                productsType: typeof products,
-                productsValue: products
-            });
-
-            // Add more detailed debugging to see the full API response structure
-            this.logger.debug("Detailed API response debugging", {
-                shopId, 
-                responseType: typeof products,
-                isNull: products === null,
-                isUndefined: products === undefined,
-                hasData: products && typeof products === 'object',
-                keys: products && typeof products === 'object' ? Object.keys(products) : [],
-                stringified: JSON.stringify(products, null, 2)
-            });
-        }
+        const categories = await categoryService.getCategoryTree(shopId);
 
         // Log successful response
         this.logger.info(
@@ -572,105 +520,77 @@ class PrintifyController {
     
     /**
      * Search for products
+     * Ranked full-text search over the local catalog with facet counts.
+     * Query params: query (or q), category (slug, includes subcategories),
+     * tags (comma separated), priceBucket, minPrice, maxPrice, availability,
+     * sort, page, limit.
      * @route GET /api/printify/search
      * @public
      */
     searchProducts = catchAsync(async (req, res) => {
         const startTime = Date.now();
-        const { query, category, sort, page = 1, limit = 20 } = req.query;
-        
+        const {
+            category,
+            priceBucket,
+            minPrice,
+            maxPrice,
+            availability,
+            sort,
+            page = 1,
+            limit = 20
+        } = req.query;
+        const query = (req.query.query || req.query.q || '').trim();
+
+        const tags = []
+            .concat(req.query.tags || [])
+            .flatMap(value => String(value).split(','))
+            .map(tag => tag.trim())
+            .filter(Boolean);
+
+        if (sort && !searchService.SORT_OPTIONS.includes(sort)) {
+            throw createError(
+                `Invalid sort option. Use one of: ${searchService.SORT_OPTIONS.join(', ')}`,
+                400
+            );
+        }
+
         // Log search request
         this.logger.info(
             this.logger.response.business({
                 message: 'Searching products',
-                data: { query, category, sort, page, limit }
+                data: { query, category, tags, priceBucket, availability, sort, page, limit }
             }).withRequestDetails(req)
         );
-        
-        // Get all products from default shop
-        const shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID;
-        const allProducts = await printifyService.getProducts(shopId);
-        
-        // Filter products by query and category
-        let filteredProducts = allProducts.filter(product => {
-            // Only include published products
-            if (!product.visible) return false;
-            
-            // Filter by search query
-            const matchesQuery = !query || 
-                product.title.toLowerCase().includes(query.toLowerCase()) ||
-                product.description.toLowerCase().includes(query.toLowerCase());
-                
-            // Filter by category
-            const matchesCategory = !category || 
-                (product.tags && product.tags.includes(category));
-                
-            return matchesQuery && matchesCategory;
+
+        const result = await searchService.search({
+            query,
+            category,
+            tags,
+            priceBucket,
+            minPrice,
+            maxPrice,
+            availability,
+            sort,
+            page,
+            limit
         });
-        
-        // Sort products
-        if (sort) {
-            switch(sort) {
-                case 'price-asc':
-                    filteredProducts.sort((a, b) => {
-                        const aPrice = a.variants[0]?.price || 0;
-                        const bPrice = b.variants[0]?.price || 0;
-                        return aPrice - bPrice;
-                    });
-                    break;
-                case 'price-desc':
-                    filteredProducts.sort((a, b) => {
-                        const aPrice = a.variants[0]?.price || 0;
-                        const bPrice = b.variants[0]?.price || 0;
-                        return bPrice - aPrice;
-                    });
-                    break;
-                case 'newest':
-                    filteredProducts.sort((a, b) => {
-                        return new Date(b.created_at) - new Date(a.created_at);
-                    });
-                    break;
-                case 'oldest':
-                    filteredProducts.sort((a, b) => {
-                        return new Date(a.created_at) - new Date(b.created_at);
-                    });
-                    break;
-            }
-        }
-        
-        // Paginate results
-        const totalCount = filteredProducts.length;
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
-        
-        // Map to public product format
-        const results = paginatedProducts.map(product => ({
-            id: product.id,
-            title: product.title,
-            description: product.description,
-            images: product.images,
-            variants: product.variants.map(variant => ({
-                id: variant.id,
-                title: variant.title,
-                price: variant.price,
-                sku: variant.sku,
-                is_available: variant.is_available
-            })),
-            tags: product.tags,
-            created_at: product.created_at
+
+        // Map to public product format, keeping the relevance score
+        const results = result.products.map(product => ({
+            ...this._formatProduct(product),
+            score: product.score
         }));
-        
+
         // Log successful response
         this.logger.info(
             this.logger.response.business({
                 success: true,
                 message: 'Product search completed successfully',
                 data: {
-                    totalCount,
+                    totalCount: result.total,
                     returnedCount: results.length,
-                    page,
-                    limit
+                    page: result.page,
+                    limit: result.limit
                 }
             }).withPerformanceMetrics({
                 duration: Date.now() - startTime
@@ -679,11 +599,13 @@ class PrintifyController {
 
         return res.sendSuccess({
             results,
+            facets: result.facets,
+            sort: result.sort,
             pagination: {
-                total: totalCount,
-                page: parseInt(page),
-                limit: parseInt(limit),
-                pages: Math.ceil(totalCount / limit)
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                pages: Math.ceil(result.total / result.limit)
             }
         }, 'Search completed successfully', 200);
     });
@@ -1081,6 +1003,91 @@ class PrintifyController {
         );
     });
 
+    /**
+     * Start a full catalog sync from Printify
+     * Runs in the background; poll the status endpoint for the result.
+     * @route POST /api/printify/admin/catalog/sync
+     * @access Admin only
+     */
+    syncCatalog = catchAsync(async (req, res) => {
+        // Log admin request
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin starting catalog sync',
+                data: {
+                    adminId: req.user.id
+                }
+            }).withRequestDetails(req)
+        );
+
+        const run = await catalogSyncService.startSync({
+            trigger: 'manual',
+            userId: req.user.id
+        });
+
+        return res.sendSuccess(
+            run,
+            'Catalog sync started',
+            202
+        );
+    });
+
+    /**
+     * Re-sync a single product from Printify
+     * @route POST /api/printify/admin/catalog/sync/:productId
+     * @access Admin only
+     */
+    syncCatalogProduct = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { productId } = req.params;
+
+        // Log admin request
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin syncing catalog product',
+                data: {
+                    adminId: req.user.id,
+                    productId
+                }
+            }).withRequestDetails(req)
+        );
+
+        const outcome = await catalogSyncService.syncProduct(productId);
+
+        // Log successful response
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Catalog product synced',
+                data: { productId, outcome }
+            }).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            { productId, outcome },
+            `Product ${outcome}`,
+            200
+        );
+    });
+
+    /**
+     * Get catalog sync status and recent runs
+     * @route GET /api/printify/admin/catalog/sync
+     * @access Admin only
+     */
+    getCatalogSyncStatus = catchAsync(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+        const status = await catalogSyncService.getSyncStatus(limit);
+
+        return res.sendSuccess(
+            status,
+            'Catalog sync status retrieved successfully',
+            200
+        );
+    });
+
     /**
      * Get upcoming products (products marked as not visible)
      * @route GET /api/printify/upcoming-products
@@ -1103,8 +1110,8 @@ class PrintifyController {
         // Get configured default shop ID from environment or config
         const shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID;
         
-        // Get all products
-        const products = await printifyService.getProducts(shopId);
+        // Get all products from the local catalog
+        const products = await catalogService.getProducts(shopId);
         
         // Defensive check - ensure products is an array
         if (!Array.isArray(products)) {
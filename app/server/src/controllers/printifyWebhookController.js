@@ -0,0 +1,76 @@
+/**
+ * Printify Webhook Controller
+ *
+ * Receives product and order events pushed by Printify.
+ *
+ * @module controllers/printifyWebhookController
+ */
+
+const printifyWebhookService = require('../services/printifyWebhookService');
+const { SIGNATURE_HEADER } = require('../services/printifyWebhookService');
+const { catchAsync, createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class PrintifyWebhookController {
+    constructor() {
+        this.logger = logger.child({ component: 'PrintifyWebhookController' });
+    }
+
+    /**
+     * Handle a Printify webhook delivery
+     * The event is stored before we acknowledge it and applied afterwards, so
+     * Printify gets a fast 200. Printify does not send an acknowledged event
+     * again; the scheduled sweep retries events that failed or were never applied.
+     * @route POST /api/printify/webhook
+     * @access Public (secured by Printify signature verification)
+     */
+    handleWebhook = catchAsync(async (req, res) => {
+        const signature = req.headers[SIGNATURE_HEADER];
+
+        if (!printifyWebhookService.verifySignature(req.rawBody, signature)) {
+            this.logger.error(
+                this.logger.response.network({
+                    success: false,
+                    message: 'Printify webhook signature verification failed',
+                    data: { hasSignature: Boolean(signature) },
+                    endpoint: 'printify-webhook'
+                })
+            );
+
+            throw createError('Webhook Error: invalid signature', 400);
+        }
+
+        const { event, duplicate } = await printifyWebhookService.recordEvent(req.body);
+
+        this.logger.info(
+            this.logger.response.network({
+                success: true,
+                message: 'Printify webhook received',
+                data: {
+                    eventId: event.event_id,
+                    topic: event.topic,
+                    resourceId: event.resource_id,
+                    duplicate
+                },
+                endpoint: 'printify-webhook'
+            })
+        );
+
+        if (!duplicate) {
+            setImmediate(() => {
+                printifyWebhookService.processEvent(event).catch(error => {
+                    this.logger.error(`Error processing Printify event ${event.event_id}`, {
+                        error: error.message
+                    });
+                });
+            });
+        }
+
+        return res.sendSuccess(
+            { received: true, duplicate },
+            'Webhook event received successfully'
+        );
+    });
+}
+
+module.exports = new PrintifyWebhookController();
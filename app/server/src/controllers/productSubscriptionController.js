@@ -0,0 +1,101 @@
+/**
+ * Product Subscription Controller
+ *
+ * Customers asking to hear when an upcoming product launches or a variant
+ * is back in stock, unsubscribing from the notification emails, and the
+ * admin view of demand for products customers are waiting for.
+ *
+ * @module controllers/productSubscriptionController
+ */
+
+const productSubscriptionService = require('../services/productSubscriptionService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class ProductSubscriptionController {
+    constructor() {
+        this.logger = logger.child({ component: 'ProductSubscriptionController' });
+    }
+
+    /**
+     * The signed-in customer's subscriptions that are still waiting
+     * @route GET /api/product-subscriptions
+     * @access Authenticated
+     */
+    getSubscriptions = catchAsync(async (req, res) => {
+        const subscriptions = await productSubscriptionService.getSubscriptions(req.user.id);
+
+        return res.sendSuccess(subscriptions, 'Product subscriptions retrieved successfully');
+    });
+
+    /**
+     * Get notified when a product launches, or a variant is back in stock
+     * Body: { productId, variantId? }
+     * @route POST /api/product-subscriptions
+     * @access Authenticated
+     */
+    subscribe = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { productId, variantId } = req.body;
+
+        const subscription = await productSubscriptionService.subscribe(req.user, { productId, variantId });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Customer subscribed to product',
+                data: {
+                    userId: req.user.id,
+                    subscriptionId: subscription.id,
+                    productId,
+                    variantId: variantId ?? null,
+                    kind: subscription.kind
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(subscription, 'We will let you know when it is available', 201);
+    });
+
+    /**
+     * Cancel one of the signed-in customer's subscriptions
+     * @route DELETE /api/product-subscriptions/:subscriptionId
+     * @access Authenticated
+     */
+    unsubscribe = catchAsync(async (req, res) => {
+        const { subscriptionId } = req.params;
+
+        await productSubscriptionService.unsubscribe(req.user.id, subscriptionId);
+
+        return res.sendSuccess({ subscriptionId }, 'Product subscription cancelled');
+    });
+
+    /**
+     * Stop product notifications from the link in a notification email
+     * Body: { subscriptionId, token }
+     * @route POST /api/product-subscriptions/unsubscribe
+     * @access Public (rate limited)
+     */
+    unsubscribeWithToken = catchAsync(async (req, res) => {
+        const { subscriptionId, token } = req.body;
+
+        const result = await productSubscriptionService.unsubscribeWithToken(subscriptionId, token);
+
+        return res.sendSuccess(result, 'You will no longer receive product notifications');
+    });
+
+    /**
+     * Customers waiting for each product, most wanted first
+     * @route GET /api/product-subscriptions/admin/demand
+     * @access Admin (printify:manage)
+     */
+    getDemand = catchAsync(async (req, res) => {
+        const demand = await productSubscriptionService.getDemand();
+
+        return res.sendSuccess(demand, 'Product demand retrieved successfully');
+    });
+}
+
+module.exports = new ProductSubscriptionController();
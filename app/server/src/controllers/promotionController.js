@@ -0,0 +1,117 @@
+/**
+ * Promotion Controller
+ *
+ * Admin management of discount codes and their results.
+ *
+ * @module controllers/promotionController
+ */
+
+const promotionService = require('../services/promotionService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class PromotionController {
+    constructor() {
+        this.logger = logger.child({ component: 'PromotionController' });
+    }
+
+    /**
+     * List all promotions, including inactive ones
+     * @route GET /api/promotions/admin
+     * @access Admin (payment:manage)
+     */
+    getPromotions = catchAsync(async (req, res) => {
+        const promotions = await promotionService.listPromotions({ includeInactive: true });
+
+        return res.sendSuccess(promotions, 'Promotions retrieved successfully');
+    });
+
+    /**
+     * Get a promotion with its redemptions, discount total and revenue
+     * @route GET /api/promotions/admin/:promotionId
+     * @access Admin (payment:manage)
+     */
+    getPromotion = catchAsync(async (req, res) => {
+        const promotion = await promotionService.getPromotion(req.params.promotionId);
+
+        return res.sendSuccess(promotion, 'Promotion retrieved successfully');
+    });
+
+    /**
+     * Create a promotion
+     * @route POST /api/promotions/admin
+     * @access Admin (payment:manage)
+     */
+    createPromotion = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+
+        const promotion = await promotionService.createPromotion(req.body, { user: req.user, req });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Promotion created',
+                data: {
+                    adminId: req.user.id,
+                    promotionId: promotion.id,
+                    code: promotion.code,
+                    type: promotion.type
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(promotion, 'Promotion created successfully', 201);
+    });
+
+    /**
+     * Update a promotion
+     * @route PUT /api/promotions/admin/:promotionId
+     * @access Admin (payment:manage)
+     */
+    updatePromotion = catchAsync(async (req, res) => {
+        const { promotionId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin updating promotion',
+                data: {
+                    adminId: req.user.id,
+                    promotionId,
+                    fields: Object.keys(req.body)
+                }
+            }).withRequestDetails(req)
+        );
+
+        const promotion = await promotionService.updatePromotion(promotionId, req.body, { user: req.user, req });
+
+        return res.sendSuccess(promotion, 'Promotion updated successfully');
+    });
+
+    /**
+     * Delete a promotion
+     * Orders it was used on keep their code and discount.
+     * @route DELETE /api/promotions/admin/:promotionId
+     * @access Admin (payment:manage)
+     */
+    deletePromotion = catchAsync(async (req, res) => {
+        const { promotionId } = req.params;
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Admin deleting promotion',
+                data: {
+                    adminId: req.user.id,
+                    promotionId
+                }
+            }).withRequestDetails(req)
+        );
+
+        await promotionService.deletePromotion(promotionId, { user: req.user, req });
+
+        return res.sendSuccess({ promotionId }, 'Promotion deleted successfully');
+    });
+}
+
+module.exports = new PromotionController();
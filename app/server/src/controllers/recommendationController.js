@@ -0,0 +1,76 @@
+/**
+ * Recommendation Controller
+ *
+ * Related products on the product page and personal picks for signed-in
+ * customers. Products are returned in the storefront's public format.
+ *
+ * @module controllers/recommendationController
+ */
+
+const recommendationService = require('../services/recommendationService');
+const printifyController = require('./printifyController');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+/** Most products a single request returns */
+const MAX_LIMIT = 12;
+
+class RecommendationController {
+    constructor() {
+        this.logger = logger.child({ component: 'RecommendationController' });
+    }
+
+    /**
+     * Products related to a product ("You May Also Like")
+     * Query: limit (default 4, at most 12)
+     * @route GET /api/printify/products/:productId/related
+     * @access Public
+     */
+    getRelatedProducts = catchAsync(async (req, res) => {
+        const products = await recommendationService.getRelated(req.params.productId, {
+            limit: this._limit(req.query.limit, 4)
+        });
+
+        return res.sendSuccess(
+            products.map(product => printifyController._formatProduct(product)),
+            'Related products retrieved successfully'
+        );
+    });
+
+    /**
+     * Personal picks from the signed-in customer's orders
+     * Query: limit (default 8, at most 12)
+     * @route GET /api/recommendations/me
+     * @access Authenticated
+     */
+    getMyRecommendations = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { products, personalized } = await recommendationService.getForUser(req.user, {
+            limit: this._limit(req.query.limit, 8)
+        });
+
+        this.logger.info(
+            this.logger.response.business({
+                message: 'Recommendations served',
+                data: { userId: req.user.id, count: products.length, personalized }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess({
+            products: products.map(product => printifyController._formatProduct(product)),
+            personalized
+        }, 'Recommendations retrieved successfully');
+    });
+
+    /**
+     * @private
+     */
+    _limit(value, fallback) {
+        const limit = parseInt(value, 10);
+        return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : fallback;
+    }
+}
+
+module.exports = new RecommendationController();
@@ -0,0 +1,251 @@
+/**
+ * Return Controller
+ *
+ * Customers request returns or damaged-item claims for their shipped
+ * orders and follow their progress; admins review them, refund or reprint,
+ * and close them.
+ *
+ * @module controllers/returnController
+ */
+
+const returnService = require('../services/returnService');
+const orderModificationService = require('../services/orderModificationService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class ReturnController {
+    constructor() {
+        this.logger = logger.child({ component: 'ReturnController' });
+    }
+
+    /**
+     * Request a return for lines of one of the customer's orders
+     * @route POST /api/returns
+     * @access Authenticated customer (order owner)
+     */
+    createReturn = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { orderId, items, reasonCode, description, photos } = req.body;
+
+        const order = await orderModificationService.getCustomerOrder(orderId, req.user);
+        const returnRequest = await returnService.requestReturn(
+            order,
+            { items, reasonCode, description, photos },
+            { userId: req.user.id, req }
+        );
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Return requested',
+                data: {
+                    orderId,
+                    returnId: returnRequest.id,
+                    rmaNumber: returnRequest.rma_number,
+                    reasonCode
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(returnRequest, 'Return requested successfully', 201);
+    });
+
+    /**
+     * List the customer's own returns
+     * @route GET /api/returns
+     * @access Authenticated customer
+     */
+    getMyReturns = catchAsync(async (req, res) => {
+        const returns = await returnService.listCustomerReturns(req.user);
+
+        return res.sendSuccess(returns, 'Returns retrieved successfully', 200);
+    });
+
+    /**
+     * Get one of the customer's own returns
+     * @route GET /api/returns/:returnId
+     * @access Authenticated customer (return owner)
+     */
+    getMyReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.getCustomerReturn(req.params.returnId, req.user);
+
+        return res.sendSuccess(returnRequest, 'Return retrieved successfully', 200);
+    });
+
+    /**
+     * Download a photo of one of the customer's own returns
+     * @route GET /api/returns/:returnId/attachments/:attachmentId
+     * @access Authenticated customer (return owner)
+     */
+    getMyAttachment = catchAsync(async (req, res) => {
+        await returnService.getCustomerReturn(req.params.returnId, req.user);
+
+        return this._sendAttachment(req, res);
+    });
+
+    /**
+     * List all returns, optionally filtered by status or order
+     * @route GET /api/returns/admin?status=requested
+     * @access Admin only
+     */
+    getReturns = catchAsync(async (req, res) => {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const result = await returnService.listReturns({
+            status: req.query.status,
+            orderId: req.query.orderId,
+            page,
+            limit
+        });
+
+        return res.sendSuccess({
+            returns: result.returns,
+            pagination: {
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                pages: Math.ceil(result.total / result.limit)
+            }
+        }, 'Returns retrieved successfully', 200);
+    });
+
+    /**
+     * Get any return
+     * @route GET /api/returns/admin/:returnId
+     * @access Admin only
+     */
+    getReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.getReturn(req.params.returnId);
+
+        return res.sendSuccess(returnRequest, 'Return retrieved successfully', 200);
+    });
+
+    /**
+     * Download a photo of any return
+     * @route GET /api/returns/admin/:returnId/attachments/:attachmentId
+     * @access Admin only
+     */
+    getAttachment = catchAsync(async (req, res) => {
+        return this._sendAttachment(req, res);
+    });
+
+    /**
+     * Approve a return as a refund or a reprint
+     * @route POST /api/returns/admin/:returnId/approve
+     * @access Admin only
+     */
+    approveReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.approveReturn(
+            req.params.returnId,
+            { resolution: req.body.resolution, notes: req.body.notes },
+            this._actor(req)
+        );
+
+        return this._sendReviewed(req, res, returnRequest, 'Return approved');
+    });
+
+    /**
+     * Reject a return
+     * @route POST /api/returns/admin/:returnId/reject
+     * @access Admin only
+     */
+    rejectReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.rejectReturn(
+            req.params.returnId,
+            { notes: req.body.notes },
+            this._actor(req)
+        );
+
+        return this._sendReviewed(req, res, returnRequest, 'Return rejected');
+    });
+
+    /**
+     * Refund an approved return, fully or partially
+     * @route POST /api/returns/admin/:returnId/refund
+     * @access Admin with refund permission
+     */
+    refundReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.refundReturn(
+            req.params.returnId,
+            { amount: req.body.amount, method: req.body.method },
+            this._actor(req)
+        );
+
+        return this._sendReviewed(req, res, returnRequest, 'Return refunded');
+    });
+
+    /**
+     * Create a replacement Printify order for an approved return
+     * @route POST /api/returns/admin/:returnId/reprint
+     * @access Admin only
+     */
+    reprintReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.reprintReturn(req.params.returnId, this._actor(req));
+
+        return this._sendReviewed(req, res, returnRequest, 'Replacement order created');
+    });
+
+    /**
+     * Close a settled or rejected return
+     * @route POST /api/returns/admin/:returnId/close
+     * @access Admin only
+     */
+    closeReturn = catchAsync(async (req, res) => {
+        const returnRequest = await returnService.closeReturn(
+            req.params.returnId,
+            { notes: req.body.notes },
+            this._actor(req)
+        );
+
+        return this._sendReviewed(req, res, returnRequest, 'Return closed');
+    });
+
+    /**
+     * @private
+     */
+    _actor(req) {
+        return { userId: req.user.id, req };
+    }
+
+    /**
+     * @private
+     */
+    _sendReviewed(req, res, returnRequest, message) {
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message,
+                data: {
+                    adminId: req.user.id,
+                    returnId: returnRequest.id,
+                    rmaNumber: returnRequest.rma_number,
+                    status: returnRequest.status
+                }
+            }).withRequestDetails(req)
+        );
+
+        return res.sendSuccess(returnRequest, `${message} successfully`, 200);
+    }
+
+    /**
+     * @private
+     */
+    async _sendAttachment(req, res) {
+        const attachment = await returnService.getAttachment(req.params.returnId, req.params.attachmentId);
+
+        res.set({
+            'Content-Type': attachment.content_type,
+            'Content-Length': attachment.size,
+            'Content-Disposition': `inline; filename="${attachment.filename.replace(/"/g, '')}"`,
+            'Cache-Control': 'private, max-age=3600',
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        return res.send(attachment.data);
+    }
+}
+
+module.exports = new ReturnController();
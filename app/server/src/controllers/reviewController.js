@@ -0,0 +1,226 @@
+/**
+ * Review Controller
+ *
+ * Product reviews on the storefront, customers writing, editing and
+ * reporting them, and the admin moderation queue.
+ *
+ * @module controllers/reviewController
+ */
+
+const reviewService = require('../services/reviewService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class ReviewController {
+    constructor() {
+        this.logger = logger.child({ component: 'ReviewController' });
+    }
+
+    /**
+     * Approved reviews of a product with its rating
+     * Query: sort=newest|oldest|highest|lowest, rating=1-5, withPhotos, page, limit
+     * @route GET /api/reviews/products/:productId
+     * @access Public
+     */
+    getProductReviews = catchAsync(async (req, res) => {
+        const { sort, rating, withPhotos, page, limit } = req.query;
+
+        const result = await reviewService.getProductReviews(req.params.productId, {
+            sort,
+            rating,
+            withPhotos,
+            page,
+            limit
+        });
+
+        return res.sendSuccess({
+            reviews: result.reviews,
+            summary: result.summary,
+            pagination: {
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                pages: Math.ceil(result.total / result.limit)
+            }
+        }, 'Reviews retrieved successfully');
+    });
+
+    /**
+     * A photo of an approved review
+     * @route GET /api/reviews/:reviewId/photos/:photoId
+     * @access Public
+     */
+    getPhoto = catchAsync(async (req, res) => {
+        const photo = await reviewService.getPhoto(req.params.reviewId, req.params.photoId);
+
+        return this._sendPhoto(res, photo, 'public, max-age=86400');
+    });
+
+    /**
+     * Whether the signed-in customer can review a product, and their review
+     * @route GET /api/reviews/products/:productId/eligibility
+     * @access Authenticated
+     */
+    getEligibility = catchAsync(async (req, res) => {
+        const eligibility = await reviewService.getEligibility(req.user, req.params.productId);
+
+        return res.sendSuccess(eligibility, 'Review eligibility retrieved successfully');
+    });
+
+    /**
+     * Review a product the customer bought
+     * Body: { rating, title?, body?, photos? }
+     * @route POST /api/reviews/products/:productId
+     * @access Authenticated
+     */
+    submitReview = catchAsync(async (req, res) => {
+        const startTime = Date.now();
+        const { productId } = req.params;
+
+        const review = await reviewService.submitReview(req.user, productId, req.body);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Review submitted',
+                data: {
+                    userId: req.user.id,
+                    reviewId: review.id,
+                    productId,
+                    rating: review.rating
+                }
+            }).withRequestDetails(req).withPerformanceMetrics({
+                duration: Date.now() - startTime
+            })
+        );
+
+        return res.sendSuccess(
+            review,
+            review.status === 'approved'
+                ? 'Review published successfully'
+                : 'Review submitted for moderation',
+            201
+        );
+    });
+
+    /**
+     * Edit the customer's own review
+     * Body: { rating?, title?, body? }
+     * @route PUT /api/reviews/:reviewId
+     * @access Authenticated
+     */
+    updateReview = catchAsync(async (req, res) => {
+        const review = await reviewService.updateReview(req.user, req.params.reviewId, req.body);
+
+        return res.sendSuccess(review, 'Review updated successfully');
+    });
+
+    /**
+     * Delete the customer's own review
+     * @route DELETE /api/reviews/:reviewId
+     * @access Authenticated
+     */
+    deleteReview = catchAsync(async (req, res) => {
+        await reviewService.deleteReview(req.user, req.params.reviewId);
+
+        return res.sendSuccess(null, 'Review deleted successfully');
+    });
+
+    /**
+     * Report a review as abusive
+     * Body: { reason, details? }
+     * @route POST /api/reviews/:reviewId/report
+     * @access Authenticated
+     */
+    reportReview = catchAsync(async (req, res) => {
+        const result = await reviewService.reportReview(req.user, req.params.reviewId, req.body);
+
+        return res.sendSuccess(result, 'Review reported successfully');
+    });
+
+    /**
+     * Moderation queue
+     * Query: status=pending|approved|rejected, reported=true, productId, page, limit
+     * @route GET /api/reviews/admin
+     * @access Admin (printify:manage)
+     */
+    getReviews = catchAsync(async (req, res) => {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const result = await reviewService.listReviews({
+            status: req.query.status || 'pending',
+            reported: req.query.reported === 'true',
+            productId: req.query.productId,
+            page,
+            limit
+        });
+
+        return res.sendSuccess({
+            reviews: result.reviews,
+            pagination: {
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                pages: Math.ceil(result.total / result.limit)
+            }
+        }, 'Reviews retrieved successfully');
+    });
+
+    /**
+     * Approve or reject a review
+     * Body: { action: 'approve' | 'reject', note? }
+     * @route POST /api/reviews/admin/:reviewId/moderate
+     * @access Admin (printify:manage)
+     */
+    moderateReview = catchAsync(async (req, res) => {
+        const review = await reviewService.moderateReview(req.params.reviewId, req.body, {
+            user: req.user,
+            req
+        });
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Review moderated',
+                data: {
+                    reviewId: review.id,
+                    productId: review.product_id,
+                    status: review.status
+                }
+            }).withRequestDetails(req)
+        );
+
+        return res.sendSuccess(review, `Review ${review.status} successfully`);
+    });
+
+    /**
+     * A photo of any review, for moderation
+     * @route GET /api/reviews/admin/:reviewId/photos/:photoId
+     * @access Admin (printify:manage)
+     */
+    getAdminPhoto = catchAsync(async (req, res) => {
+        const photo = await reviewService.getPhoto(req.params.reviewId, req.params.photoId, {
+            approvedOnly: false
+        });
+
+        return this._sendPhoto(res, photo, 'private, max-age=3600');
+    });
+
+    /**
+     * @private
+     */
+    _sendPhoto(res, photo, cacheControl) {
+        res.set({
+            'Content-Type': photo.content_type,
+            'Content-Length': photo.size,
+            'Content-Disposition': `inline; filename="${photo.filename.replace(/"/g, '')}"`,
+            'Cache-Control': cacheControl,
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        return res.send(photo.data);
+    }
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,154 @@
+/**
+ * Wishlist Controller
+ *
+ * Customers' wishlists, the product options saved on them, sharing a list
+ * through a link, and opening a shared list. Price-drop and back-in-stock
+ * emails are sent by wishlistService.
+ *
+ * @module controllers/wishlistController
+ */
+
+const wishlistService = require('../services/wishlistService');
+const { catchAsync } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class WishlistController {
+    constructor() {
+        this.logger = logger.child({ component: 'WishlistController' });
+    }
+
+    /**
+     * The signed-in customer's wishlists with their items
+     * @route GET /api/wishlists
+     * @access Authenticated
+     */
+    getWishlists = catchAsync(async (req, res) => {
+        const wishlists = await wishlistService.getWishlists(req.user.id);
+
+        return res.sendSuccess(wishlists, 'Wishlists retrieved successfully');
+    });
+
+    /**
+     * Body: { name, notifyChanges? }
+     * @route POST /api/wishlists
+     * @access Authenticated
+     */
+    createWishlist = catchAsync(async (req, res) => {
+        const wishlist = await wishlistService.createWishlist(req.user.id, req.body);
+
+        return res.sendSuccess(wishlist, 'Wishlist created successfully', 201);
+    });
+
+    /**
+     * @route GET /api/wishlists/:wishlistId
+     * @access Authenticated
+     */
+    getWishlist = catchAsync(async (req, res) => {
+        const wishlist = await wishlistService.getWishlist(req.user.id, req.params.wishlistId);
+
+        return res.sendSuccess(wishlist, 'Wishlist retrieved successfully');
+    });
+
+    /**
+     * Rename a wishlist or turn its emails on or off
+     * Body: { name?, notifyChanges? }
+     * @route PUT /api/wishlists/:wishlistId
+     * @access Authenticated
+     */
+    updateWishlist = catchAsync(async (req, res) => {
+        const wishlist = await wishlistService.updateWishlist(req.user.id, req.params.wishlistId, req.body);
+
+        return res.sendSuccess(wishlist, 'Wishlist updated successfully');
+    });
+
+    /**
+     * @route DELETE /api/wishlists/:wishlistId
+     * @access Authenticated
+     */
+    deleteWishlist = catchAsync(async (req, res) => {
+        await wishlistService.deleteWishlist(req.user.id, req.params.wishlistId);
+
+        return res.sendSuccess(null, 'Wishlist deleted successfully');
+    });
+
+    /**
+     * Save a product option on a wishlist
+     * Body: { productId, variantId, note? }
+     * @route POST /api/wishlists/:wishlistId/items
+     * @access Authenticated
+     */
+    addItem = catchAsync(async (req, res) => {
+        const item = await wishlistService.addItem(req.user.id, req.params.wishlistId, req.body);
+
+        return res.sendSuccess(item, 'Saved to wishlist successfully', 201);
+    });
+
+    /**
+     * Body: { note }
+     * @route PUT /api/wishlists/:wishlistId/items/:itemId
+     * @access Authenticated
+     */
+    updateItem = catchAsync(async (req, res) => {
+        const { wishlistId, itemId } = req.params;
+        const item = await wishlistService.updateItem(req.user.id, wishlistId, itemId, req.body);
+
+        return res.sendSuccess(item, 'Wishlist item updated successfully');
+    });
+
+    /**
+     * @route DELETE /api/wishlists/:wishlistId/items/:itemId
+     * @access Authenticated
+     */
+    removeItem = catchAsync(async (req, res) => {
+        const { wishlistId, itemId } = req.params;
+        await wishlistService.removeItem(req.user.id, wishlistId, itemId);
+
+        return res.sendSuccess(null, 'Removed from wishlist successfully');
+    });
+
+    /**
+     * Share a wishlist, or replace its link with a new one
+     * @route POST /api/wishlists/:wishlistId/share
+     * @access Authenticated
+     */
+    share = catchAsync(async (req, res) => {
+        const result = await wishlistService.share(req.user.id, req.params.wishlistId);
+
+        this.logger.info(
+            this.logger.response.business({
+                success: true,
+                message: 'Wishlist shared',
+                data: {
+                    userId: req.user.id,
+                    wishlistId: req.params.wishlistId
+                }
+            }).withRequestDetails(req)
+        );
+
+        return res.sendSuccess(result, 'Wishlist shared successfully');
+    });
+
+    /**
+     * Stop sharing a wishlist
+     * @route DELETE /api/wishlists/:wishlistId/share
+     * @access Authenticated
+     */
+    unshare = catchAsync(async (req, res) => {
+        await wishlistService.unshare(req.user.id, req.params.wishlistId);
+
+        return res.sendSuccess(null, 'Wishlist is no longer shared');
+    });
+
+    /**
+     * A wishlist someone shared
+     * @route GET /api/wishlists/shared/:token
+     * @access Public
+     */
+    getSharedWishlist = catchAsync(async (req, res) => {
+        const wishlist = await wishlistService.getSharedWishlist(req.params.token);
+
+        return res.sendSuccess(wishlist, 'Wishlist retrieved successfully');
+    });
+}
+
+module.exports = new WishlistController();
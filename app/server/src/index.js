@@ -11,6 +11,17 @@ const { initializeDatabase } = require('./database');
 const http = require('http');
 const communicationMiddleware = require('./middleware/communicationMiddleware');
 const printifyCSPMiddleware = require('./middleware/printifyCSPMiddleware');
+const { captureRawBody } = require('./middleware/rawBodyMiddleware');
+const schedulerService = require('./services/schedulerService');
+const catalogSyncService = require('./services/catalogSyncService');
+const orderSubmissionService = require('./services/orderSubmissionService');
+const stripeEventService = require('./services/stripeEventService');
+const printifyWebhookService = require('./services/printifyWebhookService');
+const cartRecoveryService = require('./services/cartRecoveryService');
+const productSubscriptionService = require('./services/productSubscriptionService');
+const preorderService = require('./services/preorderService');
+const wishlistService = require('./services/wishlistService');
+const recommendationService = require('./services/recommendationService');
 
 const app = express();
 
@@ -50,7 +61,9 @@ app.use(cors({
 }));
 
 // Request parsing
-app.use(express.json());
+// Return requests carry base64 photos; everything else keeps the default limit
+app.use('/api/returns', express.json({ limit: '25mb', verify: captureRawBody }));
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -89,6 +102,18 @@ const startServer = async () => {
         // Setup communication middleware
         communicationMiddleware.setup(app, server);
 
+        // Start background jobs once the database is ready
+        catalogSyncService.registerSchedule();
+        orderSubmissionService.registerSchedule();
+        stripeEventService.registerSchedule();
+        printifyWebhookService.registerSchedule();
+        cartRecoveryService.registerSchedule();
+        productSubscriptionService.registerSchedule();
+        preorderService.registerSchedule();
+        wishlistService.registerSchedule();
+        recommendationService.registerSchedule();
+        schedulerService.start();
+
         // Start server
         server.listen(PORT, () => {
             logger.info(`Server is running on port ${PORT}`);
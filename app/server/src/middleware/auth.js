@@ -122,6 +122,22 @@ const authenticateToken = async (req, res, next) => {
   }
 }
 
+/**
+ * Middleware for routes open to guests that also serve signed-in users
+ * Requests without an Authorization header continue without `req.user`; a
+ * token that is sent must be valid.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next()
+  }
+
+  return authenticateToken(req, res, next)
+}
+
 /**
  * Middleware to check if user has required roles and permissions
  * @param {string|string[]|Object} requirements - Required roles/permissions
@@ -220,5 +236,6 @@ const normalizeRequirements = (requirements) => {
 
 module.exports = {
   authenticateToken,
+  optionalAuth,
   authorize
 };
@@ -1,23 +1,47 @@
 /**
  * Raw Body Middleware
- * Preserves the raw request body for Stripe webhook signature verification
- * Required for Stripe webhook verification which needs to verify the exact body content
+ * Preserves the raw request body for webhook signature verification
+ * Required for Stripe and Printify webhook verification which needs to verify the exact body content
  */
-module.exports = (req, res, next) => {
-  // Skip if not a webhook route
-  if (req.originalUrl !== '/api/payment/webhook') {
+
+// Routes whose signatures are computed over the exact request body
+const WEBHOOK_ROUTES = [
+  '/api/payment/webhook',
+  '/api/printify/payment/webhook',
+  '/api/printify/webhook'
+];
+
+const isWebhookRoute = (url = '') => WEBHOOK_ROUTES.includes(url.split('?')[0]);
+
+/**
+ * `verify` hook for express.json(): keeps a copy of the body on webhook routes
+ * before the global JSON parser consumes the stream.
+ */
+const captureRawBody = (req, res, buf) => {
+  if (isWebhookRoute(req.originalUrl) && buf && buf.length) {
+    req.rawBody = buf.toString('utf8');
+  }
+};
+
+const rawBodyMiddleware = (req, res, next) => {
+  // Skip if not a webhook route, or the body parser already consumed the stream
+  if (!isWebhookRoute(req.originalUrl) || req.rawBody !== undefined || req._body) {
     return next();
   }
 
-  // Save raw body for Stripe webhook verification
+  // Save raw body for webhook verification
   let rawBody = '';
-  
+
   req.on('data', (chunk) => {
     rawBody += chunk.toString();
   });
-  
+
   req.on('end', () => {
     req.rawBody = rawBody;
     next();
   });
 };
+
+module.exports = rawBodyMiddleware;
+module.exports.captureRawBody = captureRawBody;
+module.exports.WEBHOOK_ROUTES = WEBHOOK_ROUTES;
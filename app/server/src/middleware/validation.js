@@ -75,6 +75,55 @@ module.exports = {
   validateUserRoles: createValidationMiddleware('userRolesUpdate'),
   validateForgotPassword: createValidationMiddleware('forgotPassword'),
   validatePasswordReset: createValidationMiddleware('passwordReset'),
+  validateCategory: createValidationMiddleware('categoryCreate'),
+  validateCategoryUpdate: createValidationMiddleware('categoryUpdate'),
+  validateCategoryRule: createValidationMiddleware('categoryRuleCreate'),
+  validateShippingQuote: createValidationMiddleware('shippingQuote'),
+  validateCart: createValidationMiddleware('cartValidate'),
+  validateCartPreview: createValidationMiddleware('cartPreview'),
+  validateCheckout: createValidationMiddleware('checkout'),
+  validateCartSave: createValidationMiddleware('cartSave'),
+  validateCartItemAdd: createValidationMiddleware('cartItemAdd'),
+  validateCartItemUpdate: createValidationMiddleware('cartItemUpdate'),
+  validateCartVersion: createValidationMiddleware('cartVersionQuery', 'query'),
+  validateCartMerge: createValidationMiddleware('cartMerge'),
+  validateCartRecover: createValidationMiddleware('cartRecover'),
+  validatePromotionCreate: createValidationMiddleware('promotionCreate'),
+  validatePromotionUpdate: createValidationMiddleware('promotionUpdate'),
+  validateGiftCardBalance: createValidationMiddleware('giftCardBalance'),
+  validateGiftCardPurchase: createValidationMiddleware('giftCardPurchase'),
+  validateGiftCardIssue: createValidationMiddleware('giftCardIssue'),
+  validateGiftCardAdjust: createValidationMiddleware('giftCardAdjust'),
+  validateGiftCardUpdate: createValidationMiddleware('giftCardUpdate'),
+  validateGiftCardResend: createValidationMiddleware('giftCardResend'),
+  validateGiftCardList: createValidationMiddleware('giftCardListQuery', 'query'),
+  validateProductSubscription: createValidationMiddleware('productSubscription'),
+  validateProductUnsubscribe: createValidationMiddleware('productUnsubscribe'),
+  validatePreorderCheckout: createValidationMiddleware('preorderCheckout'),
+  validatePreorderSettings: createValidationMiddleware('preorderSettings'),
+  validatePreorderCancel: createValidationMiddleware('preorderCancel'),
+  validateReviewCreate: createValidationMiddleware('reviewCreate'),
+  validateReviewUpdate: createValidationMiddleware('reviewUpdate'),
+  validateReviewList: createValidationMiddleware('reviewListQuery', 'query'),
+  validateReviewReport: createValidationMiddleware('reviewReport'),
+  validateReviewModeration: createValidationMiddleware('reviewModeration'),
+  validateWishlistCreate: createValidationMiddleware('wishlistCreate'),
+  validateWishlistUpdate: createValidationMiddleware('wishlistUpdate'),
+  validateWishlistItem: createValidationMiddleware('wishlistItem'),
+  validateWishlistItemUpdate: createValidationMiddleware('wishlistItemUpdate'),
+  validateOrderCancel: createValidationMiddleware('orderCancel'),
+  validateOrderLookup: createValidationMiddleware('orderLookup'),
+  validateOrderAccess: createValidationMiddleware('orderAccess'),
+  validateOrderClaim: createValidationMiddleware('orderClaim'),
+  validateOrderShippingAddress: createValidationMiddleware('orderShippingAddress'),
+  validateReturnRequest: createValidationMiddleware('returnRequest'),
+  validateReturnApproval: createValidationMiddleware('returnApproval'),
+  validateReturnNotes: createValidationMiddleware('returnNotes'),
+  validateReturnRefund: createValidationMiddleware('returnRefund'),
+  validateOrderRefund: createValidationMiddleware('orderRefund'),
+  validatePackingSlips: createValidationMiddleware('packingSlips'),
+  validateTaxReport: createValidationMiddleware('taxReportQuery', 'query'),
+  validateExchangeRate: createValidationMiddleware('exchangeRateUpdate'),
   
   // Generic validation middleware creator for custom use
   validate: createValidationMiddleware
@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * Creates the local Printify catalog tables filled by the catalog sync
+ * (products, variants, images, tags) and the sync run log.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const timestamps = {
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    await queryInterface.createTable('catalog_products', {
+      id: {
+        type: Sequelize.STRING(64),
+        primaryKey: true,
+        comment: 'Printify product ID'
+      },
+      shop_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      visible: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_locked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      blueprint_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      print_provider_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      printify_created_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      printify_updated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      content_hash: {
+        type: Sequelize.STRING(40),
+        allowNull: false
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ...timestamps,
+      deleted_at: {
+        allowNull: true,
+        type: Sequelize.DATE,
+        comment: 'Set when the product is no longer returned by Printify'
+      }
+    });
+
+    await queryInterface.addIndex('catalog_products', ['shop_id'], {
+      name: 'idx_catalog_products_shop_id'
+    });
+    await queryInterface.addIndex('catalog_products', ['visible'], {
+      name: 'idx_catalog_products_visible'
+    });
+    await queryInterface.addIndex('catalog_products', ['blueprint_id'], {
+      name: 'idx_catalog_products_blueprint_id'
+    });
+
+    await queryInterface.createTable('catalog_variants', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        references: {
+          model: 'catalog_products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      printify_variant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      sku: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      price: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      cost: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      grams: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      is_enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      is_available: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('catalog_variants', ['product_id', 'printify_variant_id'], {
+      name: 'idx_catalog_variants_product_variant',
+      unique: true
+    });
+
+    await queryInterface.createTable('catalog_images', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        references: {
+          model: 'catalog_products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      src: {
+        type: Sequelize.STRING(1024),
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      variant_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('catalog_images', ['product_id'], {
+      name: 'idx_catalog_images_product_id'
+    });
+
+    await queryInterface.createTable('catalog_product_tags', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        references: {
+          model: 'catalog_products',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      tag: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('catalog_product_tags', ['product_id', 'tag'], {
+      name: 'idx_catalog_product_tags_product_tag',
+      unique: true
+    });
+    await queryInterface.addIndex('catalog_product_tags', ['tag'], {
+      name: 'idx_catalog_product_tags_tag'
+    });
+
+    await queryInterface.createTable('catalog_sync_runs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      shop_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      trigger: {
+        type: Sequelize.ENUM('schedule', 'manual', 'product', 'webhook'),
+        allowNull: false,
+        defaultValue: 'schedule'
+      },
+      status: {
+        type: Sequelize.ENUM('running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      products_seen: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      products_created: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      products_updated: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      products_unchanged: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      products_deleted: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      started_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('catalog_sync_runs', ['status'], {
+      name: 'idx_catalog_sync_runs_status'
+    });
+    await queryInterface.addIndex('catalog_sync_runs', ['started_at'], {
+      name: 'idx_catalog_sync_runs_started_at'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('catalog_sync_runs');
+    await queryInterface.dropTable('catalog_product_tags');
+    await queryInterface.dropTable('catalog_images');
+    await queryInterface.dropTable('catalog_variants');
+    await queryInterface.dropTable('catalog_products');
+  }
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Creates the admin-managed category taxonomy (categories with a parent/child
+ * hierarchy) and the rules that map Printify tags and blueprints to them.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('categories', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      parent_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      slug: {
+        type: Sequelize.STRING(120),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      image_url: {
+        type: Sequelize.STRING(1024),
+        allowNull: true
+      },
+      display_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      deleted_at: {
+        allowNull: true,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('categories', ['parent_id'], {
+      name: 'idx_categories_parent_id'
+    });
+
+    await queryInterface.createTable('category_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      category_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'categories',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      rule_type: {
+        type: Sequelize.ENUM('tag', 'blueprint'),
+        allowNull: false
+      },
+      match_value: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('category_rules', ['category_id', 'rule_type', 'match_value'], {
+      name: 'idx_category_rules_unique',
+      unique: true
+    });
+    await queryInterface.addIndex('category_rules', ['rule_type', 'match_value'], {
+      name: 'idx_category_rules_match'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('category_rules');
+    await queryInterface.dropTable('categories');
+  }
+};
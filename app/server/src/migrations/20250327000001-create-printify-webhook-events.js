@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Creates the store of raw Printify webhook deliveries.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('printify_webhook_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      event_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'Printify event ID'
+      },
+      topic: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      resource_type: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      resource_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      shop_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('received', 'processed', 'ignored', 'failed'),
+        allowNull: false,
+        defaultValue: 'received'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('printify_webhook_events', ['topic'], {
+      name: 'idx_printify_webhook_events_topic'
+    });
+    await queryInterface.addIndex('printify_webhook_events', ['status'], {
+      name: 'idx_printify_webhook_events_status'
+    });
+    await queryInterface.addIndex('printify_webhook_events', ['resource_id'], {
+      name: 'idx_printify_webhook_events_resource_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('printify_webhook_events');
+  }
+};
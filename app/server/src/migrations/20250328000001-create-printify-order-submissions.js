@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Creates the durable Printify order submission queue and its attempt log.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const timestamps = {
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    await queryInterface.createTable('printify_order_submissions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      shop_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'submitted', 'dead_letter', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 8
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      locked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      printify_order_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      cancel_reason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('printify_order_submissions', ['status', 'next_attempt_at'], {
+      name: 'idx_printify_order_submissions_status_next_attempt'
+    });
+
+    await queryInterface.createTable('printify_order_submission_attempts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      submission_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'printify_order_submissions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attempt_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      outcome: {
+        type: Sequelize.ENUM('succeeded', 'failed'),
+        allowNull: false
+      },
+      http_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      attempted_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('printify_order_submission_attempts', ['submission_id'], {
+      name: 'idx_printify_order_submission_attempts_submission'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('printify_order_submission_attempts');
+    await queryInterface.dropTable('printify_order_submissions');
+  }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Creates the store of Stripe webhook events.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stripe_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      event_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true,
+        comment: 'Stripe event ID (evt_...)'
+      },
+      type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      livemode: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('received', 'processing', 'processed', 'ignored', 'failed'),
+        allowNull: false,
+        defaultValue: 'received'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      locked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('stripe_events', ['type'], {
+      name: 'idx_stripe_events_type'
+    });
+    await queryInterface.addIndex('stripe_events', ['status'], {
+      name: 'idx_stripe_events_status'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('stripe_events');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Stores the shipping method and cost chosen at checkout on each order.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Orders', 'shippingMethod', {
+      type: Sequelize.STRING(32),
+      allowNull: true
+    });
+    await queryInterface.addColumn('Orders', 'printifyShippingMethod', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Orders', 'shippingCost', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Orders', 'shippingCost');
+    await queryInterface.removeColumn('Orders', 'printifyShippingMethod');
+    await queryInterface.removeColumn('Orders', 'shippingMethod');
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Adds the 'cancelled' order status and records when and why an order was
+ * cancelled.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('Orders', 'status', {
+      type: Sequelize.ENUM('pending', 'paid', 'failed', 'refunded', 'cancelled'),
+      defaultValue: 'pending'
+    });
+    await queryInterface.addColumn('Orders', 'cancelledAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Orders', 'cancellationReason', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Orders', 'cancellationReason');
+    await queryInterface.removeColumn('Orders', 'cancelledAt');
+    await queryInterface.bulkUpdate('Orders', { status: 'refunded' }, { status: 'cancelled' });
+    await queryInterface.changeColumn('Orders', 'status', {
+      type: Sequelize.ENUM('pending', 'paid', 'failed', 'refunded'),
+      defaultValue: 'pending'
+    });
+  }
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Creates returns (RMAs) with the order lines they cover and the photos
+ * customers attach to them.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const timestamps = {
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    await queryInterface.createTable('returns', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      rma_number: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      customer_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      customer_email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      reason_code: {
+        type: Sequelize.ENUM(
+          'damaged',
+          'defective',
+          'misprint',
+          'wrong_item',
+          'wrong_size',
+          'not_as_described',
+          'other'
+        ),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('requested', 'approved', 'rejected', 'reprinted', 'refunded', 'closed'),
+        allowNull: false,
+        defaultValue: 'requested'
+      },
+      resolution: {
+        type: Sequelize.ENUM('refund', 'reprint'),
+        allowNull: true
+      },
+      refund_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      stripe_refund_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      replacement_printify_order_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      admin_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      closed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('returns', ['order_id'], { name: 'idx_returns_order' });
+    await queryInterface.addIndex('returns', ['customer_id'], { name: 'idx_returns_customer' });
+    await queryInterface.addIndex('returns', ['status'], { name: 'idx_returns_status' });
+
+    await queryInterface.createTable('return_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      return_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'returns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('return_items', ['return_id'], { name: 'idx_return_items_return' });
+    await queryInterface.addIndex('return_items', ['order_item_id'], { name: 'idx_return_items_order_item' });
+
+    await queryInterface.createTable('return_attachments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      return_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'returns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      content_type: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      data: {
+        type: Sequelize.BLOB('medium'),
+        allowNull: false
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('return_attachments', ['return_id'], { name: 'idx_return_attachments_return' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('return_attachments');
+    await queryInterface.dropTable('return_items');
+    await queryInterface.dropTable('returns');
+  }
+};
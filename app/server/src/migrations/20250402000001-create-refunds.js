@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Creates refunds: every refund of an order's payment, optionally tied to an
+ * order line or a return, replacing the single refund the order used to
+ * assume.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('refunds', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      return_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'returns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'usd'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'requires_action', 'succeeded', 'failed', 'canceled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reason: {
+        type: Sequelize.ENUM('duplicate', 'fraudulent', 'requested_by_customer'),
+        allowNull: true
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.ENUM('admin', 'cancellation', 'return', 'stripe'),
+        allowNull: false,
+        defaultValue: 'admin'
+      },
+      stripe_refund_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        unique: true
+      },
+      idempotency_key: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        unique: true
+      },
+      refunded_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      failure_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      refunded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('refunds', ['order_id'], { name: 'idx_refunds_order' });
+    await queryInterface.addIndex('refunds', ['order_item_id'], { name: 'idx_refunds_order_item' });
+    await queryInterface.addIndex('refunds', ['return_id'], { name: 'idx_refunds_return' });
+    await queryInterface.addIndex('refunds', ['status'], { name: 'idx_refunds_status' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('refunds');
+  }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Creates order_events: the fulfillment timeline of each order (paid,
+ * submitted, in production, shipped with tracking, delivered, refunded,
+ * cancelled).
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('order_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM(
+          'paid',
+          'submitted',
+          'in_production',
+          'shipped',
+          'delivered',
+          'refunded',
+          'cancelled'
+        ),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('stripe', 'printify', 'admin', 'customer', 'system'),
+        allowNull: false,
+        defaultValue: 'system'
+      },
+      carrier: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      tracking_number: {
+        type: Sequelize.STRING(128),
+        allowNull: true
+      },
+      tracking_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      data: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      actor_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      dedupe_key: {
+        type: Sequelize.STRING(191),
+        allowNull: true
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('order_events', ['order_id', 'occurred_at'], { name: 'idx_order_events_order' });
+    await queryInterface.addIndex('order_events', ['order_id', 'dedupe_key'], {
+      name: 'idx_order_events_dedupe',
+      unique: true
+    });
+    await queryInterface.addIndex('order_events', ['type'], { name: 'idx_order_events_type' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('order_events');
+  }
+};
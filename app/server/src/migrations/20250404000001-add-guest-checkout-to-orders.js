@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Marks orders placed through guest checkout, stores the hash of the token in
+ * their emailed access link and records when an account claimed them.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Orders', 'isGuest', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('Orders', 'accessTokenHash', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await queryInterface.addColumn('Orders', 'claimedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Orders', 'claimedAt');
+    await queryInterface.removeColumn('Orders', 'accessTokenHash');
+    await queryInterface.removeColumn('Orders', 'isGuest');
+  }
+};
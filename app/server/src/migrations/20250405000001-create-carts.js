@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * Creates carts and cart_items: carts of signed-in customers and of guests
+ * who reached checkout, kept to email a recovery link once they are
+ * abandoned.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('carts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'abandoned', 'recovered', 'converted'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'usd'
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      stripe_session_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true
+      },
+      checkout_started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      session_expired_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_activity_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      recovery_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      recovery_email_sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      recovered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      converted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('carts', ['user_id', 'status'], { name: 'idx_carts_user' });
+    await queryInterface.addIndex('carts', ['status', 'last_activity_at'], { name: 'idx_carts_status_activity' });
+    await queryInterface.addIndex('carts', ['recovery_email_sent_at'], { name: 'idx_carts_recovery_email_sent' });
+
+    await queryInterface.createTable('cart_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      cart_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'carts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      product_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      variant_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      variant_title: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      image: {
+        type: Sequelize.STRING(1024),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('cart_items', ['cart_id', 'product_id', 'variant_id'], {
+      name: 'idx_cart_items_line',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('cart_items');
+    await queryInterface.dropTable('carts');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Adds a version to carts, raised on every change, so a device that saves
+ * an outdated cart gets a conflict instead of overwriting newer changes.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('carts', 'version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('carts', 'version');
+  }
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Creates promotions (discount codes) and promotion_redemptions, one row per
+ * order a code was used on, and records the applied discount on Orders.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('promotions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      type: {
+        type: Sequelize.ENUM('percent', 'fixed', 'free_shipping'),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      min_subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      product_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      category_slugs: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      usage_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      usage_limit_per_user: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      times_used: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ends_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      deleted_at: {
+        allowNull: true,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('promotions', ['is_active', 'starts_at', 'ends_at'], { name: 'idx_promotions_active' });
+
+    await queryInterface.createTable('promotion_redemptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      promotion_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'promotions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('promotion_redemptions', ['promotion_id', 'user_id'], { name: 'idx_promotion_redemptions_user' });
+    await queryInterface.addIndex('promotion_redemptions', ['promotion_id', 'email'], { name: 'idx_promotion_redemptions_email' });
+
+    await queryInterface.addColumn('Orders', 'promotionId', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Orders', 'promotionCode', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+    await queryInterface.addColumn('Orders', 'discountAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Orders', 'discountAmount');
+    await queryInterface.removeColumn('Orders', 'promotionCode');
+    await queryInterface.removeColumn('Orders', 'promotionId');
+    await queryInterface.dropTable('promotion_redemptions');
+    await queryInterface.dropTable('promotions');
+  }
+};
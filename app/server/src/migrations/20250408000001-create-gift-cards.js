@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Creates gift_cards, which hold both purchased gift cards and store credit,
+ * and gift_card_transactions, the ledger of every change to their balance.
+ * Refunds can be paid out as store credit, and Orders record how much was
+ * paid with a gift card or store credit.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('gift_cards', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      kind: {
+        type: Sequelize.ENUM('gift_card', 'store_credit'),
+        allowNull: false,
+        defaultValue: 'gift_card'
+      },
+      code_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      code_last4: {
+        type: Sequelize.STRING(4),
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'usd'
+      },
+      initial_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      balance: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'active', 'disabled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      purchaser_email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      recipient_email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      recipient_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      stripe_session_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      issued_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('gift_cards', ['user_id', 'kind', 'status'], { name: 'idx_gift_cards_user' });
+    await queryInterface.addIndex('gift_cards', ['status', 'expires_at'], { name: 'idx_gift_cards_status' });
+
+    await queryInterface.createTable('gift_card_transactions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      gift_card_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'gift_cards',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('issue', 'redeem', 'release', 'adjust'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      balance_after: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      stripe_session_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      refund_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('gift_card_transactions', ['gift_card_id'], { name: 'idx_gift_card_transactions_gift_card_id' });
+    await queryInterface.addIndex('gift_card_transactions', ['stripe_session_id'], { name: 'idx_gift_card_transactions_stripe_session_id' });
+    await queryInterface.addIndex('gift_card_transactions', ['order_id'], { name: 'idx_gift_card_transactions_order_id' });
+
+    await queryInterface.addColumn('refunds', 'method', {
+      type: Sequelize.ENUM('original_payment', 'store_credit'),
+      allowNull: false,
+      defaultValue: 'original_payment'
+    });
+    await queryInterface.addColumn('refunds', 'gift_card_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'gift_cards',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('Orders', 'giftCardAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Orders', 'giftCardAmount');
+    await queryInterface.removeColumn('refunds', 'gift_card_id');
+    await queryInterface.removeColumn('refunds', 'method');
+    await queryInterface.dropTable('gift_card_transactions');
+    await queryInterface.dropTable('gift_cards');
+  }
+};
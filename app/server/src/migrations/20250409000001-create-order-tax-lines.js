@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Creates order_tax_lines, the sales tax charged on each order line and on
+ * shipping by jurisdiction, and adds the tax totals to Orders and
+ * order_items.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('order_tax_lines', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      provider: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      country: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      state: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      jurisdiction: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      jurisdiction_type: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(7, 6),
+        allowNull: false
+      },
+      taxable_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      tax_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('order_tax_lines', ['order_id'], { name: 'idx_order_tax_lines_order_id' });
+    await queryInterface.addIndex('order_tax_lines', ['state', 'jurisdiction'], { name: 'idx_order_tax_lines_jurisdiction' });
+
+    await queryInterface.addColumn('Orders', 'taxAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('order_items', 'tax_amount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('order_items', 'tax_amount');
+    await queryInterface.removeColumn('Orders', 'taxAmount');
+    await queryInterface.dropTable('order_tax_lines');
+  }
+};
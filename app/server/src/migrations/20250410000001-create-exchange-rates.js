@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Creates exchange_rates, the rates admins set for the currencies we sell
+ * in, and adds the rate each order was paid at to Orders.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('exchange_rates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: false
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('exchange_rates', ['currency'], {
+      unique: true,
+      name: 'idx_exchange_rates_currency'
+    });
+
+    await queryInterface.addColumn('Orders', 'exchangeRate', {
+      type: Sequelize.DECIMAL(18, 8),
+      allowNull: false,
+      defaultValue: 1
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Orders', 'exchangeRate');
+    await queryInterface.dropTable('exchange_rates');
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Creates product_subscriptions: customers waiting for an upcoming product
+ * to launch or for a variant to come back in stock.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('product_subscriptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      variant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      kind: {
+        type: Sequelize.ENUM('launch', 'back_in_stock'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'notified', 'unsubscribed'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      available_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      notified_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      unsubscribe_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      unsubscribed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('product_subscriptions', ['product_id', 'status'], {
+      name: 'idx_product_subscriptions_product'
+    });
+    await queryInterface.addIndex('product_subscriptions', ['user_id', 'product_id', 'variant_id'], {
+      name: 'idx_product_subscriptions_user'
+    });
+    await queryInterface.addIndex('product_subscriptions', ['status', 'available_at'], {
+      name: 'idx_product_subscriptions_due'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_subscriptions');
+  }
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Adds the 'preorder' order status and creates preorder_products, the
+ * pre-order settings of upcoming products, and preorders, the orders held
+ * until their product is published.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('Orders', 'status', {
+      type: Sequelize.ENUM('pending', 'preorder', 'paid', 'failed', 'refunded', 'cancelled'),
+      defaultValue: 'pending'
+    });
+
+    await queryInterface.createTable('preorder_products', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      payment: {
+        type: Sequelize.ENUM('full', 'deposit'),
+        allowNull: false,
+        defaultValue: 'full'
+      },
+      deposit_percent: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      expected_release_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('preorders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      variant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      payment: {
+        type: Sequelize.ENUM('full', 'deposit'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('waiting', 'balance_due', 'released', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'waiting'
+      },
+      deposit_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      balance_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      balance: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      balance_payment_intent_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      balance_session_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      balance_error: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      released_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('preorders', ['product_id', 'status'], {
+      name: 'idx_preorders_product'
+    });
+    await queryInterface.addIndex('preorders', ['user_id'], {
+      name: 'idx_preorders_user'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('preorders');
+    await queryInterface.dropTable('preorder_products');
+    await queryInterface.bulkUpdate('Orders', { status: 'paid' }, { status: 'preorder' });
+    await queryInterface.changeColumn('Orders', 'status', {
+      type: Sequelize.ENUM('pending', 'paid', 'failed', 'refunded', 'cancelled'),
+      defaultValue: 'pending'
+    });
+  }
+};
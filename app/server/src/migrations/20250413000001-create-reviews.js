@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Creates product reviews from verified purchases, with their photos and
+ * the abuse reports customers file against them.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const timestamps = {
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    await queryInterface.createTable('reviews', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      rating: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      author_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      verified_purchase: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      report_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      moderated_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      moderated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      moderation_note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('reviews', ['user_id', 'product_id'], {
+      name: 'idx_reviews_user_product',
+      unique: true
+    });
+    await queryInterface.addIndex('reviews', ['product_id', 'status', 'rating'], { name: 'idx_reviews_product' });
+    await queryInterface.addIndex('reviews', ['status', 'created_at'], { name: 'idx_reviews_status' });
+
+    await queryInterface.createTable('review_photos', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      review_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'reviews',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      content_type: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      data: {
+        type: Sequelize.BLOB('medium'),
+        allowNull: false
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('review_photos', ['review_id'], { name: 'idx_review_photos_review' });
+
+    await queryInterface.createTable('review_reports', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      review_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'reviews',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reason: {
+        type: Sequelize.ENUM('spam', 'offensive', 'off_topic', 'fake', 'other'),
+        allowNull: false
+      },
+      details: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('review_reports', ['review_id', 'user_id'], {
+      name: 'idx_review_reports_review_user',
+      unique: true
+    });
+    await queryInterface.addIndex('review_reports', ['status'], { name: 'idx_review_reports_status' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('review_reports');
+    await queryInterface.dropTable('review_photos');
+    await queryInterface.dropTable('reviews');
+  }
+};
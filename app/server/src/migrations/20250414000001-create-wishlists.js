@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Creates wishlists and the product options saved on them, with what each
+ * option cost and whether it was in stock when the customer last heard.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const timestamps = {
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    await queryInterface.createTable('wishlists', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      share_token: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      notify_changes: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('wishlists', ['user_id'], { name: 'idx_wishlists_user' });
+
+    await queryInterface.createTable('wishlist_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      wishlist_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'wishlists',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      product_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      variant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      price_seen: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      available_seen: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      alert: {
+        type: Sequelize.ENUM('price_drop', 'back_in_stock'),
+        allowNull: true
+      },
+      alert_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      notified_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('wishlist_items', ['wishlist_id', 'product_id', 'variant_id'], {
+      name: 'idx_wishlist_items_entry',
+      unique: true
+    });
+    await queryInterface.addIndex('wishlist_items', ['product_id'], { name: 'idx_wishlist_items_product' });
+    await queryInterface.addIndex('wishlist_items', ['alert', 'alert_at'], { name: 'idx_wishlist_items_alert' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('wishlist_items');
+    await queryInterface.dropTable('wishlists');
+  }
+};
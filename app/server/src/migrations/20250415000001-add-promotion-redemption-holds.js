@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Lets promotion_redemptions hold a redemption for a checkout session that
+ * is not paid yet: order_id is null until the order is placed, and the row
+ * records the session so it can be released when the session expires.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('promotion_redemptions', 'order_id', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+    await queryInterface.addColumn('promotion_redemptions', 'stripe_session_id', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('promotion_redemptions', ['stripe_session_id'], { name: 'idx_promotion_redemptions_stripe_session_id' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('promotion_redemptions', { order_id: null });
+
+    await queryInterface.removeIndex('promotion_redemptions', 'idx_promotion_redemptions_stripe_session_id');
+    await queryInterface.removeColumn('promotion_redemptions', 'stripe_session_id');
+    await queryInterface.changeColumn('promotion_redemptions', 'order_id', {
+      type: Sequelize.UUID,
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Records the payment each refund went to, as a pre-order paid in two parts
+ * (deposit and balance) has two.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refunds', 'stripe_payment_intent_id', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('refunds', 'stripe_payment_intent_id');
+  }
+};
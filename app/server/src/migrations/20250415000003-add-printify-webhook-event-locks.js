@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Adds the 'processing' webhook event status and locked_at, set while a
+ * worker processes an event, so a sweep can claim events left unprocessed
+ * without two workers handling the same one.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('printify_webhook_events', 'status', {
+      type: Sequelize.ENUM('received', 'processing', 'processed', 'ignored', 'failed'),
+      allowNull: false,
+      defaultValue: 'received'
+    });
+    await queryInterface.addColumn('printify_webhook_events', 'locked_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('printify_webhook_events', 'locked_at');
+    await queryInterface.bulkUpdate('printify_webhook_events', { status: 'received' }, { status: 'processing' });
+    await queryInterface.changeColumn('printify_webhook_events', 'status', {
+      type: Sequelize.ENUM('received', 'processed', 'ignored', 'failed'),
+      allowNull: false,
+      defaultValue: 'received'
+    });
+  }
+};
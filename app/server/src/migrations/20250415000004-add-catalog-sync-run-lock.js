@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Adds active_shop_id to catalog_sync_runs: the shop of a run while it is
+ * running, null once it finishes. It is unique, so only one run per shop can
+ * be running across every server instance.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('catalog_sync_runs', 'active_shop_id', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('catalog_sync_runs', ['active_shop_id'], {
+      name: 'idx_catalog_sync_runs_active_shop',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('catalog_sync_runs', 'idx_catalog_sync_runs_active_shop');
+    await queryInterface.removeColumn('catalog_sync_runs', 'active_shop_id');
+  }
+};
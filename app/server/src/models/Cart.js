@@ -0,0 +1,147 @@
+/**
+ * Cart Model
+ *
+ * Saved cart of a signed-in customer, or of a guest who reached checkout.
+ * A cart stays `active` while it is being shopped; once nothing happened on
+ * it for `features.cart.abandonedCartTimeout` hours it is `abandoned` and its
+ * email gets a recovery link. Carts the customer came back to through that
+ * link are `recovered`, and a cart that ends in a paid order is `converted`.
+ * A customer has one open cart, shared by all their devices.
+ *
+ * @module models/Cart
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Cart extends Model {
+    static associate(models) {
+      this.hasMany(models.CartItem, {
+        foreignKey: 'cart_id',
+        as: 'items'
+      });
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Null for guest carts
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Where the recovery email goes; guests' email comes from checkout
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'abandoned', 'recovered', 'converted'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'usd'
+    },
+    // Sum of the lines at their saved prices, in dollars
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Raised on every change; devices send the version they last saw
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Latest Stripe checkout session started for the cart
+    stripe_session_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    checkout_started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Set by the checkout.session.expired webhook
+    session_expired_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Last change to the cart or checkout started; the abandonment timeout counts from here
+    last_activity_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // SHA-256 of the token in the emailed recovery link
+    recovery_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    recovery_email_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // First time the recovery link was opened
+    recovered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Order the cart was paid as
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    converted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Cart',
+    tableName: 'carts',
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id', 'status'] },
+      { fields: ['status', 'last_activity_at'] },
+      { fields: ['recovery_email_sent_at'] }
+    ]
+  });
+
+  Cart.init(attributes, options);
+
+  return Cart;
+};
@@ -0,0 +1,89 @@
+/**
+ * CartItem Model
+ *
+ * One line of a saved cart: a product variant, its quantity and the unit
+ * price the customer saw when it was saved. Titles and images are kept so
+ * recovery emails can show the cart without loading the catalog.
+ *
+ * @module models/CartItem
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CartItem extends Model {
+    static associate(models) {
+      this.belongsTo(models.Cart, {
+        foreignKey: 'cart_id',
+        as: 'cart'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    cart_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'carts',
+        key: 'id'
+      }
+    },
+    // Printify product and variant IDs
+    product_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    variant_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    // Unit price in dollars
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    variant_title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    image: {
+      type: DataTypes.STRING(1024),
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CartItem',
+    tableName: 'cart_items',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['cart_id', 'product_id', 'variant_id'] }
+    ]
+  });
+
+  CartItem.init(attributes, options);
+
+  return CartItem;
+};
@@ -0,0 +1,80 @@
+/**
+ * Catalog Image Model
+ *
+ * Mockup image for a catalog product, optionally scoped to specific variants.
+ *
+ * @module models/CatalogImage
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CatalogImage extends Model {
+    static associate(models) {
+      if (models.CatalogProduct) {
+        this.belongsTo(models.CatalogProduct, {
+          foreignKey: 'product_id',
+          as: 'product'
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      references: {
+        model: 'catalog_products',
+        key: 'id'
+      }
+    },
+    src: {
+      type: DataTypes.STRING(1024),
+      allowNull: false
+    },
+    position: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Print position shown in the mockup (front, back, ...)'
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    variant_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Printify variant IDs this image applies to'
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Position of the image in the Printify image list'
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CatalogImage',
+    tableName: 'catalog_images',
+    timestamps: true,
+    indexes: [
+      { fields: ['product_id'] }
+    ]
+  });
+
+  CatalogImage.init(attributes, options);
+
+  return CatalogImage;
+};
@@ -0,0 +1,124 @@
+/**
+ * Catalog Product Model
+ *
+ * Local copy of a Printify product. The catalog sync keeps these rows in step
+ * with Printify so the storefront never has to call Printify on a request.
+ * Products that disappear from Printify are soft-deleted (paranoid) so order
+ * history can still resolve their titles.
+ *
+ * @module models/CatalogProduct
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CatalogProduct extends Model {
+    static associate(models) {
+      if (models.CatalogVariant) {
+        this.hasMany(models.CatalogVariant, {
+          foreignKey: 'product_id',
+          as: 'variants'
+        });
+      }
+
+      if (models.CatalogImage) {
+        this.hasMany(models.CatalogImage, {
+          foreignKey: 'product_id',
+          as: 'images'
+        });
+      }
+
+      if (models.CatalogProductTag) {
+        this.hasMany(models.CatalogProductTag, {
+          foreignKey: 'product_id',
+          as: 'tags'
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.STRING(64),
+      primaryKey: true,
+      comment: 'Printify product ID'
+    },
+    shop_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Printify shop the product belongs to'
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    visible: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the product is published to the storefront'
+    },
+    is_locked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Printify locks products while a publish is in progress'
+    },
+    blueprint_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    print_provider_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    options: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Printify option definitions (sizes, colors, ...)'
+    },
+    printify_created_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    printify_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    content_hash: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      comment: 'SHA-1 of the synced fields, used to skip unchanged products'
+    },
+    last_synced_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CatalogProduct',
+    tableName: 'catalog_products',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['shop_id'] },
+      { fields: ['visible'] },
+      { fields: ['blueprint_id'] }
+    ],
+    comment: 'Local copy of Printify products maintained by the catalog sync'
+  });
+
+  CatalogProduct.init(attributes, options);
+
+  return CatalogProduct;
+};
@@ -0,0 +1,64 @@
+/**
+ * Catalog Product Tag Model
+ *
+ * One row per Printify tag on a catalog product, so products can be filtered
+ * and counted by tag in SQL.
+ *
+ * @module models/CatalogProductTag
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CatalogProductTag extends Model {
+    static associate(models) {
+      if (models.CatalogProduct) {
+        this.belongsTo(models.CatalogProduct, {
+          foreignKey: 'product_id',
+          as: 'product'
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      references: {
+        model: 'catalog_products',
+        key: 'id'
+      }
+    },
+    tag: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CatalogProductTag',
+    tableName: 'catalog_product_tags',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['product_id', 'tag']
+      },
+      { fields: ['tag'] }
+    ]
+  });
+
+  CatalogProductTag.init(attributes, options);
+
+  return CatalogProductTag;
+};
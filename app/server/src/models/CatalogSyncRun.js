@@ -0,0 +1,103 @@
+/**
+ * Catalog Sync Run Model
+ *
+ * Records each catalog sync (scheduled, manual or single-product) with its
+ * outcome and counters so admins can see when the local catalog last caught up.
+ *
+ * @module models/CatalogSyncRun
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CatalogSyncRun extends Model {}
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shop_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    trigger: {
+      type: DataTypes.ENUM('schedule', 'manual', 'product', 'webhook'),
+      allowNull: false,
+      defaultValue: 'schedule'
+    },
+    status: {
+      type: DataTypes.ENUM('running', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'running'
+    },
+    // Shop of the run while it is running; unique, so one run per shop at a time
+    active_shop_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    products_seen: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    products_created: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    products_updated: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    products_unchanged: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    products_deleted: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    started_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'User who requested a manual sync'
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CatalogSyncRun',
+    tableName: 'catalog_sync_runs',
+    timestamps: true,
+    indexes: [
+      { fields: ['status'] },
+      { fields: ['started_at'] },
+      { unique: true, fields: ['active_shop_id'] }
+    ]
+  });
+
+  CatalogSyncRun.init(attributes, options);
+
+  return CatalogSyncRun;
+};
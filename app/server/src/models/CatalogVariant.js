@@ -0,0 +1,107 @@
+/**
+ * Catalog Variant Model
+ *
+ * A purchasable variant of a catalog product. Printify variant IDs come from
+ * the blueprint and repeat across products, so they are only unique together
+ * with the product ID.
+ *
+ * @module models/CatalogVariant
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CatalogVariant extends Model {
+    static associate(models) {
+      if (models.CatalogProduct) {
+        this.belongsTo(models.CatalogProduct, {
+          foreignKey: 'product_id',
+          as: 'product'
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      references: {
+        model: 'catalog_products',
+        key: 'id'
+      }
+    },
+    printify_variant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Printify variant ID (unique per product)'
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    sku: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    price: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Retail price in cents'
+    },
+    cost: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Printify production cost in cents'
+    },
+    grams: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    is_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    is_available: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    options: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Option value IDs selected by this variant'
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CatalogVariant',
+    tableName: 'catalog_variants',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['product_id', 'printify_variant_id']
+      }
+    ]
+  });
+
+  CatalogVariant.init(attributes, options);
+
+  return CatalogVariant;
+};
@@ -0,0 +1,104 @@
+/**
+ * Category Model
+ *
+ * Admin-managed storefront category. Categories form a tree through
+ * parent_id and products are assigned to them by CategoryRule entries
+ * (Printify tags or blueprints) rather than by hand.
+ *
+ * @module models/Category
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Category extends Model {
+    static associate(models) {
+      this.belongsTo(models.Category, {
+        foreignKey: 'parent_id',
+        as: 'parent'
+      });
+
+      this.hasMany(models.Category, {
+        foreignKey: 'parent_id',
+        as: 'children'
+      });
+
+      if (models.CategoryRule) {
+        this.hasMany(models.CategoryRule, {
+          foreignKey: 'category_id',
+          as: 'rules'
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    parent_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      comment: 'Parent category; null for top-level categories'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    slug: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    image_url: {
+      type: DataTypes.STRING(1024),
+      allowNull: true
+    },
+    display_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sort position among siblings'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Inactive categories are hidden from the storefront'
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Category',
+    tableName: 'categories',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['parent_id'] }
+    ]
+  });
+
+  Category.init(attributes, options);
+
+  return Category;
+};
@@ -0,0 +1,70 @@
+/**
+ * Category Rule Model
+ *
+ * Maps Printify products to a Category automatically: a product belongs to
+ * the category when one of its tags, or its blueprint, matches a rule.
+ *
+ * @module models/CategoryRule
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class CategoryRule extends Model {
+    static associate(models) {
+      this.belongsTo(models.Category, {
+        foreignKey: 'category_id',
+        as: 'category'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    category_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'categories',
+        key: 'id'
+      }
+    },
+    rule_type: {
+      type: DataTypes.ENUM('tag', 'blueprint'),
+      allowNull: false
+    },
+    match_value: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Lowercase tag, or Printify blueprint ID',
+      validate: {
+        notEmpty: true
+      }
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'CategoryRule',
+    tableName: 'category_rules',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['category_id', 'rule_type', 'match_value']
+      },
+      { fields: ['rule_type', 'match_value'] }
+    ]
+  });
+
+  CategoryRule.init(attributes, options);
+
+  return CategoryRule;
+};
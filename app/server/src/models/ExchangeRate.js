@@ -0,0 +1,69 @@
+/**
+ * ExchangeRate Model
+ *
+ * Exchange rate of a currency we sell in, set by an admin. Overrides the
+ * default rate in config/application.json (`features.currency`); see
+ * currencyService.
+ *
+ * @module models/ExchangeRate
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class ExchangeRate extends Model {
+    static associate(models) {
+      this.belongsTo(models.User, {
+        foreignKey: 'updated_by',
+        as: 'updatedBy'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // ISO 4217 code, upper case
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      unique: true
+    },
+    // Units of the currency per unit of the base currency
+    rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      validate: {
+        min: 0.00000001
+      }
+    },
+    updated_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'ExchangeRate',
+    tableName: 'exchange_rates',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['currency'] }
+    ]
+  });
+
+  ExchangeRate.init(attributes, options);
+
+  return ExchangeRate;
+};
@@ -0,0 +1,159 @@
+/**
+ * GiftCard Model
+ *
+ * A balance customers can pay with: a gift card bought in the shop, or
+ * store credit issued by an admin or as a refund. Store credit belongs to a
+ * customer account; both kinds also have a code that anyone holding it can
+ * redeem. Only the SHA-256 hash and the last four characters of the code
+ * are stored.
+ *
+ * The balance always equals the sum of the card's transactions.
+ *
+ * @module models/GiftCard
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class GiftCard extends Model {
+    static associate(models) {
+      this.hasMany(models.GiftCardTransaction, {
+        foreignKey: 'gift_card_id',
+        as: 'transactions'
+      });
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    kind: {
+      type: DataTypes.ENUM('gift_card', 'store_credit'),
+      allowNull: false,
+      defaultValue: 'gift_card'
+    },
+    // Null until a purchased card is paid for
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    code_last4: {
+      type: DataTypes.STRING(4),
+      allowNull: true
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'usd'
+    },
+    initial_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    balance: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    // Purchased cards are pending until their checkout is paid
+    status: {
+      type: DataTypes.ENUM('pending', 'active', 'disabled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Customer the store credit belongs to, or who bought the gift card
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    purchaser_email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    // Where the code is emailed
+    recipient_email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    recipient_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    // Order the gift card was bought with, or refunded as store credit
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    // Checkout session a purchased card is waiting on
+    stripe_session_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Admin who issued store credit
+    issued_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'GiftCard',
+    tableName: 'gift_cards',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['code_hash'] },
+      { unique: true, fields: ['stripe_session_id'] },
+      { fields: ['user_id', 'kind', 'status'] },
+      { fields: ['status', 'expires_at'] }
+    ]
+  });
+
+  GiftCard.init(attributes, options);
+
+  return GiftCard;
+};
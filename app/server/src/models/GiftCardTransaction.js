@@ -0,0 +1,103 @@
+/**
+ * GiftCardTransaction Model
+ *
+ * One change to the balance of a gift card or store credit: issuing it,
+ * spending it at checkout (redeem), giving back what an unpaid checkout
+ * held (release) or an admin correction (adjust). Amounts are signed, so a
+ * redemption is negative.
+ *
+ * @module models/GiftCardTransaction
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class GiftCardTransaction extends Model {
+    static associate(models) {
+      this.belongsTo(models.GiftCard, {
+        foreignKey: 'gift_card_id',
+        as: 'giftCard'
+      });
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    gift_card_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'gift_cards',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('issue', 'redeem', 'release', 'adjust'),
+      allowNull: false
+    },
+    // Dollars; negative when the balance went down
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    // Order the balance was spent on, set once its checkout is paid
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    // Checkout session holding a redemption
+    stripe_session_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Refund paid out as this store credit
+    refund_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    note: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    // Admin who issued or adjusted the balance
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'GiftCardTransaction',
+    tableName: 'gift_card_transactions',
+    timestamps: true,
+    indexes: [
+      { fields: ['gift_card_id'] },
+      { fields: ['stripe_session_id'] },
+      { fields: ['order_id'] }
+    ]
+  });
+
+  GiftCardTransaction.init(attributes, options);
+
+  return GiftCardTransaction;
+};
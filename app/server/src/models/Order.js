@@ -10,6 +10,12 @@ const logger = require('../utils/logger');
  */
 module.exports = (sequelize) => {
     class Order extends Model {
+        toJSON() {
+            const values = { ...this.get() };
+            delete values.accessTokenHash;
+            return values;
+        }
+
         static associate(models) {
             // Define associations - only if OrderItem exists
             if (models.OrderItem) {
@@ -19,6 +25,41 @@ module.exports = (sequelize) => {
                 });
             }
             
+            if (models.Return) {
+                this.hasMany(models.Return, {
+                    foreignKey: 'order_id',
+                    as: 'returns'
+                });
+            }
+            
+            if (models.Refund) {
+                this.hasMany(models.Refund, {
+                    foreignKey: 'order_id',
+                    as: 'refunds'
+                });
+            }
+            
+            if (models.OrderTaxLine) {
+                this.hasMany(models.OrderTaxLine, {
+                    foreignKey: 'order_id',
+                    as: 'taxLines'
+                });
+            }
+            
+            if (models.OrderEvent) {
+                this.hasMany(models.OrderEvent, {
+                    foreignKey: 'order_id',
+                    as: 'events'
+                });
+            }
+
+            if (models.Preorder) {
+                this.hasOne(models.Preorder, {
+                    foreignKey: 'order_id',
+                    as: 'preorder'
+                });
+            }
+
             // Add user association
             if (models.User) {
                 this.belongsTo(models.User, { 
@@ -53,6 +94,23 @@ module.exports = (sequelize) => {
                 key: 'id'
             }
         },
+        // Placed through guest checkout; only the emailed access link or a
+        // claim by an account with a verified matching email reaches it
+        isGuest: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // SHA-256 of the token in the guest's order access link
+        accessTokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        // When a registered customer claimed the guest order
+        claimedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
         customerEmail: {
             type: DataTypes.STRING,
             allowNull: false,
@@ -73,10 +131,27 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             defaultValue: 'usd'
         },
+        // Units of the currency per unit of the shop's base currency at
+        // checkout, to report sales in one currency
+        exchangeRate: {
+            type: DataTypes.DECIMAL(18, 8),
+            allowNull: false,
+            defaultValue: 1
+        },
+        // 'preorder' orders are paid but held until their product is published
         status: {
-            type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
+            type: DataTypes.ENUM('pending', 'preorder', 'paid', 'failed', 'refunded', 'cancelled'),
             defaultValue: 'pending'
         },
+        // Set when the customer or an admin cancels the order
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        cancellationReason: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
         // External fulfillment reference
         printifyOrderId: {
             type: DataTypes.STRING,
@@ -86,6 +161,47 @@ module.exports = (sequelize) => {
             type: DataTypes.ENUM('pending', 'processing', 'shipped', 'delivered', 'cancelled'),
             allowNull: true
         },
+        // Shipping method chosen at checkout ('standard', 'express', ...)
+        shippingMethod: {
+            type: DataTypes.STRING(32),
+            allowNull: true
+        },
+        // Printify shipping method ID the order is submitted with
+        printifyShippingMethod: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        shippingCost: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true
+        },
+        // Discount code applied at checkout and what it took off, shipping included
+        promotionId: {
+            type: DataTypes.UUID,
+            allowNull: true
+        },
+        promotionCode: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        discountAmount: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Paid with gift cards and store credit, on top of totalAmount
+        giftCardAmount: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Sales tax charged on items and shipping, part of totalAmount;
+        // the tax by jurisdiction is in order_tax_lines
+        taxAmount: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
         // Shipping information stored as JSON
         shippingAddress: {
             type: DataTypes.TEXT,
@@ -0,0 +1,115 @@
+/**
+ * OrderEvent Model
+ *
+ * One step in an order's fulfillment timeline: paid, submitted to Printify,
+ * in production, shipped (with carrier and tracking number), delivered,
+ * refunded or cancelled. Written by the Stripe and Printify webhooks, the
+ * submission queue and admin actions; the order's `fulfillmentStatus` stays
+ * the current state, the events are its history.
+ *
+ * @module models/OrderEvent
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class OrderEvent extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(
+        'paid',
+        'submitted',
+        'in_production',
+        'shipped',
+        'delivered',
+        'refunded',
+        'cancelled'
+      ),
+      allowNull: false
+    },
+    // Who wrote the event
+    source: {
+      type: DataTypes.ENUM('stripe', 'printify', 'admin', 'customer', 'system'),
+      allowNull: false,
+      defaultValue: 'system'
+    },
+    // Set for shipments
+    carrier: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    tracking_number: {
+      type: DataTypes.STRING(128),
+      allowNull: true
+    },
+    // Tracking link Printify sent, used for carriers we have no URL for
+    tracking_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    note: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    // Event details, e.g. the refund amount
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // User behind an admin or customer action
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Unique per order, so a redelivered webhook does not add the step twice
+    dedupe_key: {
+      type: DataTypes.STRING(191),
+      allowNull: true
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'OrderEvent',
+    tableName: 'order_events',
+    timestamps: true,
+    indexes: [
+      { fields: ['order_id', 'occurred_at'] },
+      { unique: true, fields: ['order_id', 'dedupe_key'] },
+      { fields: ['type'] }
+    ]
+  });
+
+  OrderEvent.init(attributes, options);
+
+  return OrderEvent;
+};
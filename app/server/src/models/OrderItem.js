@@ -15,6 +15,13 @@ module.exports = (sequelize) => {
                     as: 'order'
                 });
             }
+            
+            if (models.OrderTaxLine) {
+                this.hasMany(models.OrderTaxLine, {
+                    foreignKey: 'order_item_id',
+                    as: 'taxLines'
+                });
+            }
         }
     }
 
@@ -56,6 +63,12 @@ module.exports = (sequelize) => {
             type: DataTypes.DECIMAL(10, 2),
             allowNull: false
         },
+        // Sales tax charged on the line, in dollars
+        tax_amount: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
         // Additional information
         title: {
             type: DataTypes.STRING,
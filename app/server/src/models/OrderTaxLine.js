@@ -0,0 +1,103 @@
+/**
+ * OrderTaxLine Model
+ *
+ * Sales tax one jurisdiction charged on an order line, or on the order's
+ * shipping when order_item_id is empty. Amounts are in dollars.
+ *
+ * @module models/OrderTaxLine
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class OrderTaxLine extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      this.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'item'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    // Empty for tax on shipping
+    order_item_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    // Tax provider that worked the tax out ('table', 'stripe')
+    provider: {
+      type: DataTypes.STRING(32),
+      allowNull: false
+    },
+    country: {
+      type: DataTypes.STRING(2),
+      allowNull: true
+    },
+    state: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    jurisdiction: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // 'state', 'county', 'city', ...
+    jurisdiction_type: {
+      type: DataTypes.STRING(32),
+      allowNull: false
+    },
+    // Fraction, e.g. 0.0725
+    rate: {
+      type: DataTypes.DECIMAL(7, 6),
+      allowNull: false
+    },
+    taxable_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'OrderTaxLine',
+    tableName: 'order_tax_lines',
+    timestamps: true,
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['state', 'jurisdiction'] }
+    ]
+  });
+
+  OrderTaxLine.init(attributes, options);
+
+  return OrderTaxLine;
+};
@@ -0,0 +1,146 @@
+/**
+ * Preorder Model
+ *
+ * The pre-order behind an order in the `preorder` status. It is `waiting`
+ * until the product is published, then `released` to Printify. Deposit
+ * pre-orders are charged the `balance` on release; when the saved card is
+ * declined the pre-order is `balance_due` until the customer pays it.
+ * Cancelling the order cancels the pre-order.
+ *
+ * @module models/Preorder
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Preorder extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      if (models.CatalogProduct) {
+        this.belongsTo(models.CatalogProduct, {
+          foreignKey: 'product_id',
+          as: 'product',
+          constraints: false
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Printify product ID'
+    },
+    variant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Printify variant ID'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    payment: {
+      type: DataTypes.ENUM('full', 'deposit'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('waiting', 'balance_due', 'released', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'waiting'
+    },
+    // Paid at checkout; the whole order for full payment
+    deposit_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    // Rest of the price, shipping and tax, worked out on release
+    balance_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // What the balance is made of, in cents
+    // ({ items, shipping, method, printifyMethod, tax: taxService.calculate result })
+    balance: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Printify order, sent on release
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    balance_payment_intent_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Checkout session the customer pays a declined balance with
+    balance_session_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    balance_error: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    released_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Preorder',
+    tableName: 'preorders',
+    timestamps: true,
+    indexes: [
+      { fields: ['product_id', 'status'] },
+      { fields: ['user_id'] }
+    ]
+  });
+
+  Preorder.init(attributes, options);
+
+  return Preorder;
+};
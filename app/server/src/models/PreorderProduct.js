@@ -0,0 +1,81 @@
+/**
+ * Preorder Product Model
+ *
+ * Pre-order settings of an upcoming product. While the product is not
+ * published and pre-orders are `enabled`, customers can order it and pay in
+ * `full` or a `deposit` of `deposit_percent` of the price up front.
+ *
+ * @module models/PreorderProduct
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class PreorderProduct extends Model {
+    static associate(models) {
+      if (models.CatalogProduct) {
+        this.belongsTo(models.CatalogProduct, {
+          foreignKey: 'product_id',
+          as: 'product',
+          constraints: false
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Printify product ID'
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    payment: {
+      type: DataTypes.ENUM('full', 'deposit'),
+      allowNull: false,
+      defaultValue: 'full'
+    },
+    // Share of the price charged at checkout for deposit pre-orders
+    deposit_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+        max: 99
+      }
+    },
+    // Shown to customers; the product ships once it is published
+    expected_release_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    updated_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'PreorderProduct',
+    tableName: 'preorder_products',
+    timestamps: true
+  });
+
+  PreorderProduct.init(attributes, options);
+
+  return PreorderProduct;
+};
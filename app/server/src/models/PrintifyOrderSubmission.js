@@ -0,0 +1,113 @@
+/**
+ * Printify Order Submission Model
+ *
+ * A durable job that submits a paid order to Printify. Jobs are retried with
+ * backoff until they succeed, run out of attempts (dead letter) or are
+ * cancelled by an admin. Living in the database, they survive restarts.
+ *
+ * @module models/PrintifyOrderSubmission
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class PrintifyOrderSubmission extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      this.hasMany(models.PrintifyOrderSubmissionAttempt, {
+        foreignKey: 'submission_id',
+        as: 'attemptLog'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    shop_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Order body sent to Printify'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'submitted', 'dead_letter', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 8
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    locked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When a worker claimed the job; stale locks are reclaimed'
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    printify_order_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    cancel_reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'PrintifyOrderSubmission',
+    tableName: 'printify_order_submissions',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'next_attempt_at'] }
+    ]
+  });
+
+  PrintifyOrderSubmission.init(attributes, options);
+
+  return PrintifyOrderSubmission;
+};
@@ -0,0 +1,80 @@
+/**
+ * Printify Order Submission Attempt Model
+ *
+ * One row per try at submitting an order to Printify, with the error when
+ * it failed, so admins can see why a submission is stuck.
+ *
+ * @module models/PrintifyOrderSubmissionAttempt
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class PrintifyOrderSubmissionAttempt extends Model {
+    static associate(models) {
+      this.belongsTo(models.PrintifyOrderSubmission, {
+        foreignKey: 'submission_id',
+        as: 'submission'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    submission_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'printify_order_submissions',
+        key: 'id'
+      }
+    },
+    attempt_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    outcome: {
+      type: DataTypes.ENUM('succeeded', 'failed'),
+      allowNull: false
+    },
+    http_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'HTTP status from Printify, if it responded'
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    attempted_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'PrintifyOrderSubmissionAttempt',
+    tableName: 'printify_order_submission_attempts',
+    timestamps: true,
+    indexes: [
+      { fields: ['submission_id'] }
+    ]
+  });
+
+  PrintifyOrderSubmissionAttempt.init(attributes, options);
+
+  return PrintifyOrderSubmissionAttempt;
+};
@@ -0,0 +1,96 @@
+/**
+ * Printify Webhook Event Model
+ *
+ * Stores every webhook delivery from Printify exactly once (keyed by the
+ * Printify event ID) together with its processing outcome, so redeliveries
+ * are ignored and failed events can be inspected and retried.
+ *
+ * @module models/PrintifyWebhookEvent
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class PrintifyWebhookEvent extends Model {}
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    event_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Printify event ID'
+    },
+    topic: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    resource_type: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    resource_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    shop_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('received', 'processing', 'processed', 'ignored', 'failed'),
+      allowNull: false,
+      defaultValue: 'received'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Set while a worker is processing the event; a stale lock means it died
+    locked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'PrintifyWebhookEvent',
+    tableName: 'printify_webhook_events',
+    timestamps: true,
+    indexes: [
+      { fields: ['topic'] },
+      { fields: ['status'] },
+      { fields: ['resource_id'] }
+    ]
+  });
+
+  PrintifyWebhookEvent.init(attributes, options);
+
+  return PrintifyWebhookEvent;
+};
@@ -0,0 +1,113 @@
+/**
+ * Product Subscription Model
+ *
+ * A customer waiting to hear about a product: its launch, for a product that
+ * is not published yet, or a variant coming back in stock. A subscription is
+ * `active` until the catalog shows what it waits for (`available_at`), then
+ * `notified` once the email went out. Customers can `unsubscribe` from the
+ * link in the email or their account.
+ *
+ * @module models/ProductSubscription
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class ProductSubscription extends Model {
+    static associate(models) {
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      if (models.CatalogProduct) {
+        this.belongsTo(models.CatalogProduct, {
+          foreignKey: 'product_id',
+          as: 'product',
+          constraints: false
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Where the notification goes, taken from the account when subscribing
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Printify product ID'
+    },
+    // Null for the launch of the product
+    variant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Printify variant ID'
+    },
+    kind: {
+      type: DataTypes.ENUM('launch', 'back_in_stock'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'notified', 'unsubscribed'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    // When the catalog showed the product published or the variant available
+    available_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // SHA-256 of the token in the email's unsubscribe link
+    unsubscribe_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    unsubscribed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'ProductSubscription',
+    tableName: 'product_subscriptions',
+    timestamps: true,
+    indexes: [
+      { fields: ['product_id', 'status'] },
+      { fields: ['user_id', 'product_id', 'variant_id'] },
+      { fields: ['status', 'available_at'] }
+    ]
+  });
+
+  ProductSubscription.init(attributes, options);
+
+  return ProductSubscription;
+};
@@ -0,0 +1,118 @@
+/**
+ * Promotion Model
+ *
+ * A discount code customers enter in the cart. A promotion takes a
+ * percentage or a fixed amount off the lines it applies to, or makes
+ * shipping free. It can require a minimum spend, be limited to products or
+ * categories, be used a limited number of times overall and per customer,
+ * and only work between two dates.
+ *
+ * Promotions that were used are soft-deleted (paranoid) so the orders and
+ * redemptions they were applied to still resolve.
+ *
+ * @module models/Promotion
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Promotion extends Model {
+    static associate(models) {
+      this.hasMany(models.PromotionRedemption, {
+        foreignKey: 'promotion_id',
+        as: 'redemptions'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Stored upper case; codes are matched without regard to case
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      set(value) {
+        this.setDataValue('code', String(value).trim().toUpperCase());
+      }
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('percent', 'fixed', 'free_shipping'),
+      allowNull: false
+    },
+    // Percent off (0-100) or dollars off; unused for free shipping
+    value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // Dollars the lines the promotion applies to must add up to
+    min_subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    // Printify product IDs and category slugs the promotion is limited to;
+    // a line matching either qualifies, and neither set means every line
+    product_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    category_slugs: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Null for no limit
+    usage_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    usage_limit_per_user: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    times_used: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Promotion',
+    tableName: 'promotions',
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { unique: true, fields: ['code'] },
+      { fields: ['is_active', 'starts_at', 'ends_at'] }
+    ]
+  });
+
+  Promotion.init(attributes, options);
+
+  return Promotion;
+};
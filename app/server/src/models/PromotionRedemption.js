@@ -0,0 +1,96 @@
+/**
+ * PromotionRedemption Model
+ *
+ * A promotion used on a paid order, with the discount it gave, or held for
+ * a checkout session that is not paid yet. Usage limits count these rows;
+ * the per-customer limit counts them by account and by email so guests are
+ * limited too.
+ *
+ * @module models/PromotionRedemption
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class PromotionRedemption extends Model {
+    static associate(models) {
+      this.belongsTo(models.Promotion, {
+        foreignKey: 'promotion_id',
+        as: 'promotion'
+      });
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    promotion_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    // One promotion per order; null while the checkout holding it is open
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      unique: true,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    // Checkout session holding the redemption
+    stripe_session_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Null for guest orders
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Dollars taken off the order, shipping included
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'PromotionRedemption',
+    tableName: 'promotion_redemptions',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['order_id'] },
+      { fields: ['promotion_id', 'user_id'] },
+      { fields: ['promotion_id', 'email'] },
+      { fields: ['stripe_session_id'] }
+    ]
+  });
+
+  PromotionRedemption.init(attributes, options);
+
+  return PromotionRedemption;
+};
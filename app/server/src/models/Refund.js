@@ -0,0 +1,180 @@
+/**
+ * Refund Model
+ *
+ * One refund of an order's payment, optionally for a single order line.
+ * Refunds issued from the admin, by a cancellation or for a return are
+ * recorded before Stripe is called, so the amount is reserved against the
+ * order's refundable balance; refunds made in the Stripe dashboard are
+ * recorded when Stripe reports them. A refund can also be paid out as store
+ * credit instead of to the card.
+ *
+ * @module models/Refund
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Refund extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      this.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'orderItem'
+      });
+
+      if (models.GiftCard) {
+        this.belongsTo(models.GiftCard, {
+          foreignKey: 'gift_card_id',
+          as: 'giftCard'
+        });
+      }
+
+      if (models.Return) {
+        this.belongsTo(models.Return, {
+          foreignKey: 'return_id',
+          as: 'return'
+        });
+      }
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    // Set when the refund is for one order line
+    order_item_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    return_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'returns',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'usd'
+    },
+    // Mirrors the Stripe refund status; store credit succeeds when issued
+    status: {
+      type: DataTypes.ENUM('pending', 'requires_action', 'succeeded', 'failed', 'canceled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Stripe's refund reason
+    reason: {
+      type: DataTypes.ENUM('duplicate', 'fraudulent', 'requested_by_customer'),
+      allowNull: true
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.ENUM('admin', 'cancellation', 'return', 'stripe'),
+      allowNull: false,
+      defaultValue: 'admin'
+    },
+    // Paid back to the card, or as store credit
+    method: {
+      type: DataTypes.ENUM('original_payment', 'store_credit'),
+      allowNull: false,
+      defaultValue: 'original_payment'
+    },
+    // Store credit the refund was paid out as
+    gift_card_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'gift_cards',
+        key: 'id'
+      }
+    },
+    stripe_refund_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    // Payment a card refund went to; null for the order's own payment. A
+    // pre-order paid in two parts also has the payment of its balance
+    stripe_payment_intent_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Retrying the same request returns this refund instead of issuing another
+    idempotency_key: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    // User who issued the refund; null for refunds made in Stripe
+    refunded_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    failure_reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    refunded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Refund',
+    tableName: 'refunds',
+    timestamps: true,
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['order_item_id'] },
+      { fields: ['return_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  Refund.init(attributes, options);
+
+  return Refund;
+};
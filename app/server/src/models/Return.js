@@ -0,0 +1,137 @@
+/**
+ * Return Model
+ *
+ * A customer's return or damaged-item claim (RMA) against an order. It moves
+ * through requested → approved → reprinted/refunded → closed (or requested →
+ * rejected → closed); the allowed transitions live in returnService.
+ *
+ * @module models/Return
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Return extends Model {
+    static associate(models) {
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      this.hasMany(models.ReturnItem, {
+        foreignKey: 'return_id',
+        as: 'items'
+      });
+      this.hasMany(models.ReturnAttachment, {
+        foreignKey: 'return_id',
+        as: 'attachments'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    rma_number: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: 'Customer-facing reference, e.g. RMA-250401-7F3A'
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    customer_email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    reason_code: {
+      type: DataTypes.ENUM(
+        'damaged',
+        'defective',
+        'misprint',
+        'wrong_item',
+        'wrong_size',
+        'not_as_described',
+        'other'
+      ),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('requested', 'approved', 'rejected', 'reprinted', 'refunded', 'closed'),
+      allowNull: false,
+      defaultValue: 'requested'
+    },
+    resolution: {
+      type: DataTypes.ENUM('refund', 'reprint'),
+      allowNull: true,
+      comment: 'How an approved return is settled'
+    },
+    refund_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    stripe_refund_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    replacement_printify_order_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    admin_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Return',
+    tableName: 'returns',
+    timestamps: true,
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['customer_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  Return.init(attributes, options);
+
+  return Return;
+};
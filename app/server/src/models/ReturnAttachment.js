@@ -0,0 +1,79 @@
+/**
+ * Return Attachment Model
+ *
+ * A photo the customer sent with a return, e.g. of a damaged print. The
+ * image is stored in the database so it survives redeploys and is only
+ * served to the customer and admins.
+ *
+ * @module models/ReturnAttachment
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class ReturnAttachment extends Model {
+    static associate(models) {
+      this.belongsTo(models.Return, {
+        foreignKey: 'return_id',
+        as: 'return'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    return_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'returns',
+        key: 'id'
+      }
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    content_type: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Size in bytes'
+    },
+    data: {
+      type: DataTypes.BLOB('medium'),
+      allowNull: false
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'ReturnAttachment',
+    tableName: 'return_attachments',
+    timestamps: true,
+    // Keep image bytes out of list queries unless asked for
+    defaultScope: {
+      attributes: { exclude: ['data'] }
+    },
+    scopes: {
+      withData: {}
+    },
+    indexes: [
+      { fields: ['return_id'] }
+    ]
+  });
+
+  ReturnAttachment.init(attributes, options);
+
+  return ReturnAttachment;
+};
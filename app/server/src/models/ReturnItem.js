@@ -0,0 +1,73 @@
+/**
+ * Return Item Model
+ *
+ * An order line, and how many of it, included in a return.
+ *
+ * @module models/ReturnItem
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class ReturnItem extends Model {
+    static associate(models) {
+      this.belongsTo(models.Return, {
+        foreignKey: 'return_id',
+        as: 'return'
+      });
+      this.belongsTo(models.OrderItem, {
+        foreignKey: 'order_item_id',
+        as: 'orderItem'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    return_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'returns',
+        key: 'id'
+      }
+    },
+    order_item_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'ReturnItem',
+    tableName: 'return_items',
+    timestamps: true,
+    indexes: [
+      { fields: ['return_id'] },
+      { fields: ['order_item_id'] }
+    ]
+  });
+
+  ReturnItem.init(attributes, options);
+
+  return ReturnItem;
+};
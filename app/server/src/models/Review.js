@@ -0,0 +1,137 @@
+/**
+ * Review Model
+ *
+ * A customer's rating and review of a product. Only customers with a paid
+ * order for the product can write one, so every review is a verified
+ * purchase of `order_id`. Reviews wait as `pending` until an admin approves
+ * or rejects them; an approved review that enough customers report goes back
+ * to `pending` for another look.
+ *
+ * @module models/Review
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Review extends Model {
+    static associate(models) {
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      this.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+
+      this.hasMany(models.ReviewPhoto, {
+        foreignKey: 'review_id',
+        as: 'photos'
+      });
+
+      this.hasMany(models.ReviewReport, {
+        foreignKey: 'review_id',
+        as: 'reports'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Printify product ID'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Paid order the customer bought the product with
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Orders',
+        key: 'id'
+      }
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        max: 5
+      }
+    },
+    title: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Shown with the review, e.g. "Jane D.", taken from the account when writing it
+    author_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    verified_purchase: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Open abuse reports
+    report_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    moderated_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    moderated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    moderation_note: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Review',
+    tableName: 'reviews',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['user_id', 'product_id'] },
+      { fields: ['product_id', 'status', 'rating'] },
+      { fields: ['status', 'created_at'] }
+    ]
+  });
+
+  Review.init(attributes, options);
+
+  return Review;
+};
@@ -0,0 +1,79 @@
+/**
+ * Review Photo Model
+ *
+ * A photo a customer added to their review. Like return attachments, the
+ * image is stored in the database so it survives redeploys. Photos of
+ * approved reviews are public.
+ *
+ * @module models/ReviewPhoto
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class ReviewPhoto extends Model {
+    static associate(models) {
+      this.belongsTo(models.Review, {
+        foreignKey: 'review_id',
+        as: 'review'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    review_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'reviews',
+        key: 'id'
+      }
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    content_type: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Size in bytes'
+    },
+    data: {
+      type: DataTypes.BLOB('medium'),
+      allowNull: false
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'ReviewPhoto',
+    tableName: 'review_photos',
+    timestamps: true,
+    // Keep image bytes out of list queries unless asked for
+    defaultScope: {
+      attributes: { exclude: ['data'] }
+    },
+    scopes: {
+      withData: {}
+    },
+    indexes: [
+      { fields: ['review_id'] }
+    ]
+  });
+
+  ReviewPhoto.init(attributes, options);
+
+  return ReviewPhoto;
+};
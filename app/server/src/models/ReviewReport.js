@@ -0,0 +1,85 @@
+/**
+ * Review Report Model
+ *
+ * A customer reporting a review as abusive. Each customer can report a
+ * review once. Reports stay `open` until an admin moderates the review.
+ *
+ * @module models/ReviewReport
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class ReviewReport extends Model {
+    static associate(models) {
+      this.belongsTo(models.Review, {
+        foreignKey: 'review_id',
+        as: 'review'
+      });
+
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    review_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'reviews',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.ENUM('spam', 'offensive', 'off_topic', 'fake', 'other'),
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.STRING(1000),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'ReviewReport',
+    tableName: 'review_reports',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['review_id', 'user_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  ReviewReport.init(attributes, options);
+
+  return ReviewReport;
+};
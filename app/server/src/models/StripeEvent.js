@@ -0,0 +1,88 @@
+/**
+ * Stripe Event Model
+ *
+ * Stores every Stripe webhook event exactly once (keyed by the Stripe event
+ * ID) with its processing status, so duplicate deliveries are skipped and
+ * failed events can be replayed.
+ *
+ * @module models/StripeEvent
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class StripeEvent extends Model {}
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    event_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      comment: 'Stripe event ID (evt_...)'
+    },
+    type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    livemode: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('received', 'processing', 'processed', 'ignored', 'failed'),
+      allowNull: false,
+      defaultValue: 'received'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    locked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When processing started; stale locks are reclaimed'
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'StripeEvent',
+    tableName: 'stripe_events',
+    timestamps: true,
+    indexes: [
+      { fields: ['type'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  StripeEvent.init(attributes, options);
+
+  return StripeEvent;
+};
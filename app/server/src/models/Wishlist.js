@@ -0,0 +1,76 @@
+/**
+ * Wishlist Model
+ *
+ * A named list of products a customer saved for later. A list is shared by
+ * giving it a `share_token`; anyone with the link can see it until the
+ * customer stops sharing. With `notify_changes` on, the customer gets an
+ * email when a saved option drops in price or comes back in stock.
+ *
+ * @module models/Wishlist
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class Wishlist extends Model {
+    static associate(models) {
+      this.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+
+      this.hasMany(models.WishlistItem, {
+        foreignKey: 'wishlist_id',
+        as: 'items'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // Null while the list is private
+    share_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    notify_changes: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'Wishlist',
+    tableName: 'wishlists',
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id'] }
+    ]
+  });
+
+  Wishlist.init(attributes, options);
+
+  return Wishlist;
+};
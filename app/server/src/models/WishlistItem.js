@@ -0,0 +1,94 @@
+/**
+ * Wishlist Item Model
+ *
+ * A product option saved on a wishlist, with the customer's note. The price
+ * and availability last seen in the catalog are kept so a drop in price or
+ * the option coming back in stock can be told apart from any other change.
+ * A pending `alert` waits for the next email.
+ *
+ * @module models/WishlistItem
+ */
+
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { enhanceModelOptions, standardizeAttributes } = require('../utils/modelEnhancer');
+
+module.exports = (sequelize) => {
+  class WishlistItem extends Model {
+    static associate(models) {
+      this.belongsTo(models.Wishlist, {
+        foreignKey: 'wishlist_id',
+        as: 'wishlist'
+      });
+    }
+  }
+
+  const attributes = standardizeAttributes({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    wishlist_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'wishlists',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Printify product ID'
+    },
+    variant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Printify variant ID'
+    },
+    note: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    // Price in cents the customer was last told about
+    price_seen: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    available_seen: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    alert: {
+      type: DataTypes.ENUM('price_drop', 'back_in_stock'),
+      allowNull: true
+    },
+    alert_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  const options = enhanceModelOptions({
+    sequelize,
+    modelName: 'WishlistItem',
+    tableName: 'wishlist_items',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['wishlist_id', 'product_id', 'variant_id'] },
+      { fields: ['product_id'] },
+      { fields: ['alert', 'alert_at'] }
+    ]
+  });
+
+  WishlistItem.init(attributes, options);
+
+  return WishlistItem;
+};
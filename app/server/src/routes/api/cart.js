@@ -0,0 +1,116 @@
+/**
+ * Cart Routes
+ * Customer carts, abandoned cart recovery and recovery stats
+ * @module routes/api/cart
+ */
+const cartController = require('../../controllers/cartController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validateCartSave,
+  validateCartItemAdd,
+  validateCartItemUpdate,
+  validateCartVersion,
+  validateCartMerge,
+  validateCartRecover
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for cart endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  // Customer endpoints
+  CART: '/',
+  ITEMS: '/items',
+  ITEM: '/items/:productId/:variantId',
+  MERGE: '/merge',
+  RECOVER: '/recover',
+
+  // Admin endpoints
+  RECOVERY_STATS: '/admin/abandoned/stats'
+};
+
+// Recovery tokens cannot be guessed; this only slows down scripted attempts
+const recoverLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many requests, please try again later.'
+});
+
+/**
+ * Register cart routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const cartRoutes = (router) => {
+  // Own cart, re-priced against the catalog
+  router.get(
+    ROUTES.CART,
+    authenticateToken,
+    cartController.getCart
+  );
+
+  // Replace own cart
+  router.put(
+    ROUTES.CART,
+    authenticateToken,
+    validateCartSave,
+    cartController.saveCart
+  );
+
+  router.delete(
+    ROUTES.CART,
+    authenticateToken,
+    validateCartVersion,
+    cartController.clearCart
+  );
+
+  router.post(
+    ROUTES.ITEMS,
+    authenticateToken,
+    validateCartItemAdd,
+    cartController.addItem
+  );
+
+  router.put(
+    ROUTES.ITEM,
+    authenticateToken,
+    validateCartItemUpdate,
+    cartController.updateItem
+  );
+
+  router.delete(
+    ROUTES.ITEM,
+    authenticateToken,
+    validateCartVersion,
+    cartController.removeItem
+  );
+
+  // Merge the cart built before signing in
+  router.post(
+    ROUTES.MERGE,
+    authenticateToken,
+    validateCartMerge,
+    cartController.mergeCart
+  );
+
+  // Restore an abandoned cart from its emailed link (public, rate limited)
+  router.post(
+    ROUTES.RECOVER,
+    recoverLimiter,
+    validateCartRecover,
+    cartController.recoverCart
+  );
+
+  // === ADMIN CART ROUTES ===
+
+  router.get(
+    ROUTES.RECOVERY_STATS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    cartController.getRecoveryStats
+  );
+};
+
+module.exports = cartRoutes;
@@ -0,0 +1,58 @@
+/**
+ * Currency Routes
+ * Currencies the storefront shows prices in, and admin management of their
+ * exchange rates; the currency is picked per cart preview and checkout
+ * @module routes/api/currencies
+ */
+const currencyController = require('../../controllers/currencyController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const { validateExchangeRate } = require('../../middleware/validation');
+
+/**
+ * Route definitions for currency endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  CURRENCIES: '/',
+
+  // Admin endpoints
+  RATES: '/admin',
+  RATE_DETAIL: '/admin/:currency'
+};
+
+/**
+ * Register currency routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const currencyRoutes = (router) => {
+  // === PUBLIC CURRENCY ROUTES ===
+
+  router.get(ROUTES.CURRENCIES, currencyController.getCurrencies);
+
+  // === ADMIN EXCHANGE RATE ROUTES ===
+
+  router.get(
+    ROUTES.RATES,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    currencyController.getRates
+  );
+
+  router.put(
+    ROUTES.RATE_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateExchangeRate,
+    currencyController.setRate
+  );
+
+  router.delete(
+    ROUTES.RATE_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    currencyController.deleteRate
+  );
+};
+
+module.exports = currencyRoutes;
@@ -0,0 +1,141 @@
+/**
+ * Gift Card Routes
+ * Buying gift cards, balances and store credit, and admin management of
+ * the ledger; gift cards are paid with through /api/payment/cart/preview
+ * and checkout
+ * @module routes/api/giftCards
+ */
+const giftCardController = require('../../controllers/giftCardController');
+const { authenticateToken, optionalAuth } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validateGiftCardBalance,
+  validateGiftCardPurchase,
+  validateGiftCardIssue,
+  validateGiftCardAdjust,
+  validateGiftCardUpdate,
+  validateGiftCardResend,
+  validateGiftCardList
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for gift card endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  OPTIONS: '/options',
+  PURCHASE: '/purchase',
+  BALANCE: '/balance',
+  CREDIT: '/credit',
+
+  // Admin endpoints
+  GIFT_CARDS: '/admin',
+  GIFT_CARD_DETAIL: '/admin/:giftCardId',
+  GIFT_CARD_ADJUST: '/admin/:giftCardId/adjust',
+  GIFT_CARD_RESEND: '/admin/:giftCardId/resend'
+};
+
+// Codes are long and random; this only slows down scripted guessing
+const balanceLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many balance checks, please try again later.'
+});
+
+// Each purchase opens a Stripe checkout session
+const purchaseLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many requests, please try again later.'
+});
+
+/**
+ * Register gift card routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const giftCardRoutes = (router) => {
+  // === PUBLIC GIFT CARD ROUTES ===
+
+  router.get(
+    ROUTES.OPTIONS,
+    giftCardController.getOptions
+  );
+
+  // Signed-in customers, or guests when guest checkout is enabled
+  router.post(
+    ROUTES.PURCHASE,
+    purchaseLimiter,
+    optionalAuth,
+    validateGiftCardPurchase,
+    giftCardController.purchaseGiftCard
+  );
+
+  router.post(
+    ROUTES.BALANCE,
+    balanceLimiter,
+    validateGiftCardBalance,
+    giftCardController.checkBalance
+  );
+
+  // === USER GIFT CARD ROUTES ===
+
+  router.get(
+    ROUTES.CREDIT,
+    authenticateToken,
+    giftCardController.getStoreCredit
+  );
+
+  // === ADMIN GIFT CARD ROUTES ===
+
+  router.get(
+    ROUTES.GIFT_CARDS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateGiftCardList,
+    giftCardController.getGiftCards
+  );
+
+  router.post(
+    ROUTES.GIFT_CARDS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateGiftCardIssue,
+    giftCardController.issueGiftCard
+  );
+
+  // Includes the ledger of the card
+  router.get(
+    ROUTES.GIFT_CARD_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    giftCardController.getGiftCard
+  );
+
+  router.put(
+    ROUTES.GIFT_CARD_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateGiftCardUpdate,
+    giftCardController.updateGiftCard
+  );
+
+  router.post(
+    ROUTES.GIFT_CARD_ADJUST,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateGiftCardAdjust,
+    giftCardController.adjustGiftCard
+  );
+
+  // Replaces the code; the old one stops working
+  router.post(
+    ROUTES.GIFT_CARD_RESEND,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateGiftCardResend,
+    giftCardController.resendGiftCard
+  );
+};
+
+module.exports = giftCardRoutes;
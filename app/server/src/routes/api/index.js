@@ -19,6 +19,16 @@ const configRoutes = require('./config');
 const auditRoutes = require('./audit');
 const systemRoutes = require('./system');
 const featuredProductRoutes = require('./featuredProducts');
+const returnRoutes = require('./returns');
+const cartRoutes = require('./cart');
+const promotionRoutes = require('./promotions');
+const giftCardRoutes = require('./giftCards');
+const currencyRoutes = require('./currencies');
+const productSubscriptionRoutes = require('./productSubscriptions');
+const preorderRoutes = require('./preorders');
+const reviewRoutes = require('./reviews');
+const wishlistRoutes = require('./wishlists');
+const recommendationRoutes = require('./recommendations');
 const documentationRoutes = require('../documentationRoutes');
 
 /**
@@ -79,6 +89,56 @@ const featuredProductsRouter = express.Router();
 featuredProductRoutes(featuredProductsRouter);
 router.use('/featured-products', featuredProductsRouter);
 
+// Return (RMA) Routes
+const returnsRouter = express.Router();
+returnRoutes(returnsRouter);
+router.use('/returns', returnsRouter);
+
+// Cart Routes
+const cartRouter = express.Router();
+cartRoutes(cartRouter);
+router.use('/cart', cartRouter);
+
+// Promotion Routes
+const promotionsRouter = express.Router();
+promotionRoutes(promotionsRouter);
+router.use('/promotions', promotionsRouter);
+
+// Gift Card Routes
+const giftCardsRouter = express.Router();
+giftCardRoutes(giftCardsRouter);
+router.use('/gift-cards', giftCardsRouter);
+
+// Currency Routes
+const currenciesRouter = express.Router();
+currencyRoutes(currenciesRouter);
+router.use('/currencies', currenciesRouter);
+
+// Product Subscription Routes
+const productSubscriptionsRouter = express.Router();
+productSubscriptionRoutes(productSubscriptionsRouter);
+router.use('/product-subscriptions', productSubscriptionsRouter);
+
+// Pre-order Routes
+const preordersRouter = express.Router();
+preorderRoutes(preordersRouter);
+router.use('/preorders', preordersRouter);
+
+// Review Routes
+const reviewsRouter = express.Router();
+reviewRoutes(reviewsRouter);
+router.use('/reviews', reviewsRouter);
+
+// Wishlist Routes
+const wishlistsRouter = express.Router();
+wishlistRoutes(wishlistsRouter);
+router.use('/wishlists', wishlistsRouter);
+
+// Recommendation Routes
+const recommendationsRouter = express.Router();
+recommendationRoutes(recommendationsRouter);
+router.use('/recommendations', recommendationsRouter);
+
 // Debug Routes - Only available in development mode
 if (process.env.NODE_ENV !== 'production') {
   const debugRouter = express.Router();
@@ -4,9 +4,24 @@
  * @module routes/api/payments
  */
 const paymentController = require('../../controllers/paymentController');
-const { authenticateToken } = require('../../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../../middleware/auth');
 const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
 const rawBodyMiddleware = require('../../middleware/rawBodyMiddleware');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validateShippingQuote,
+  validateCart,
+  validateCartPreview,
+  validateCheckout,
+  validateOrderCancel,
+  validateOrderLookup,
+  validateOrderAccess,
+  validateOrderClaim,
+  validateOrderShippingAddress,
+  validateOrderRefund,
+  validatePackingSlips,
+  validateTaxReport
+} = require('../../middleware/validation');
 
 /**
  * Route definitions for payment endpoints
@@ -16,21 +31,60 @@ const ROUTES = {
   // Customer endpoints
   CREATE_CHECKOUT: '/create-checkout',
   ORDERS: '/orders',
+  ORDERS_CLAIM: '/orders/claim',
   USER_ORDERS: '/user/:userId/orders',
   ORDER_BY_ID: '/order/:orderId',
   ORDER_BY_SESSION: '/order/:sessionId',
+  ORDER_CANCEL: '/order/:orderId/cancel',
+  ORDER_SHIPPING_ADDRESS: '/order/:orderId/shipping-address',
+  ORDER_INVOICE: '/order/:orderId/invoice.pdf',
+  ORDER_TIMELINE: '/order/:orderId/timeline',
+  ORDER_LOOKUP: '/order/lookup',
+  ORDER_ACCESS: '/order/access',
   SUCCESS: '/success',
   CANCEL: '/cancel',
+  SHIPPING_COUNTRIES: '/shipping/countries',
+  SHIPPING_QUOTE: '/shipping/quote',
+  VALIDATE_CART: '/cart/validate',
+  PREVIEW_CART: '/cart/preview',
   
   // Admin endpoints
   ALL_ORDERS: '/admin/orders',
   ORDER_STATS: '/admin/stats',
+  TAX_REPORT: '/admin/tax-report',
+  ADMIN_ORDER: '/admin/orders/:orderId',
+  ADMIN_ORDER_CANCEL: '/admin/orders/:orderId/cancel',
+  PACKING_SLIP: '/admin/orders/:orderId/packing-slip.pdf',
+  PACKING_SLIPS: '/admin/orders/packing-slips',
   REFUND: '/admin/refund/:orderId',
+  WEBHOOK_EVENTS: '/admin/webhook-events',
+  WEBHOOK_EVENT_REPLAY: '/admin/webhook-events/:eventId/replay',
   
   // External integration
   WEBHOOK: '/webhook'
 };
 
+// Guests guess at most this many email and order number pairs
+const orderLookupLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many order lookups, please try again later.'
+});
+
+// Discount codes can be guessed; limits how many a script can try
+const cartPreviewLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: 'Too many requests, please try again later.'
+});
+
+// Access tokens cannot be guessed; this only slows down scripted attempts
+const orderAccessLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many requests, please try again later.'
+});
+
 /**
  * Register payment routes with role-based permissions
  * @param {Express.Router} router - Express router instance
@@ -38,13 +92,23 @@ const ROUTES = {
 const paymentRoutes = (router) => {
   // === USER PAYMENT ROUTES ===
   
-  // Create checkout session (any authenticated user)
+  // Create checkout session (signed-in customers, or guests when guest
+  // checkout is enabled; checked by the controller)
   router.post(
     ROUTES.CREATE_CHECKOUT, 
-    authenticateToken, 
+    optionalAuth, 
+    validateCheckout,
     paymentController.createCheckoutSession
   );
 
+  // Add guest orders placed with own email to the account
+  router.post(
+    ROUTES.ORDERS_CLAIM,
+    authenticateToken,
+    validateOrderClaim,
+    paymentController.claimGuestOrders
+  );
+
   // Get user's own order history
   router.get(
     ROUTES.ORDERS, 
@@ -52,6 +116,80 @@ const paymentRoutes = (router) => {
     paymentController.getUserOrderHistory
   );
 
+  // Shipping countries and quotes for the cart (public)
+  router.get(ROUTES.SHIPPING_COUNTRIES, paymentController.getShippingCountries);
+  router.post(
+    ROUTES.SHIPPING_QUOTE,
+    validateShippingQuote,
+    paymentController.getShippingQuote
+  );
+
+  // Re-price the cart against the catalog before checkout (public)
+  router.post(
+    ROUTES.VALIDATE_CART,
+    validateCart,
+    paymentController.validateCart
+  );
+
+  // Cart totals with a discount code (public; signed-in customers are
+  // checked against per-customer code limits)
+  router.post(
+    ROUTES.PREVIEW_CART,
+    cartPreviewLimiter,
+    optionalAuth,
+    validateCartPreview,
+    paymentController.previewCart
+  );
+
+  // Cancel own order before production (ownership checked by the controller)
+  router.post(
+    ROUTES.ORDER_CANCEL,
+    authenticateToken,
+    validateOrderCancel,
+    paymentController.cancelOrder
+  );
+
+  // Change own order's shipping address during the modification window
+  router.put(
+    ROUTES.ORDER_SHIPPING_ADDRESS,
+    authenticateToken,
+    validateOrderShippingAddress,
+    paymentController.updateOrderShippingAddress
+  );
+
+  // Download own order's invoice; admins can download any invoice
+  // (access checked by the controller)
+  router.get(
+    ROUTES.ORDER_INVOICE,
+    authenticateToken,
+    paymentController.getOrderInvoice
+  );
+
+  // Fulfillment timeline and tracking of own order; admins can see any order
+  // (access checked by the controller)
+  router.get(
+    ROUTES.ORDER_TIMELINE,
+    authenticateToken,
+    paymentController.getOrderTimeline
+  );
+
+  // Guest order tracking by email and order number (public, rate limited)
+  router.post(
+    ROUTES.ORDER_LOOKUP,
+    orderLookupLimiter,
+    validateOrderLookup,
+    paymentController.lookupOrder
+  );
+
+  // Guest order opened from the link in its confirmation email
+  // (public, rate limited)
+  router.post(
+    ROUTES.ORDER_ACCESS,
+    orderAccessLimiter,
+    validateOrderAccess,
+    paymentController.getGuestOrder
+  );
+
   // Success and cancel endpoints for Stripe redirection
   router.get(ROUTES.SUCCESS, paymentController.handlePaymentSuccess);
   router.get(ROUTES.CANCEL, paymentController.handlePaymentCancel);
@@ -96,14 +234,72 @@ const paymentRoutes = (router) => {
     paymentController.getOrderStatistics
   );
   
-  // Process refund (admin only)
+  // Sales tax by jurisdiction and period, as JSON or CSV (admin only)
+  router.get(
+    ROUTES.TAX_REPORT,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateTaxReport,
+    paymentController.getTaxReport
+  );
+  
+  // Order detail with refund history (admin only)
+  router.get(
+    ROUTES.ADMIN_ORDER,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    paymentController.getAdminOrder
+  );
+  
+  // Cancel any order before production (admin only)
+  router.post(
+    ROUTES.ADMIN_ORDER_CANCEL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_REFUND),
+    validateOrderCancel,
+    paymentController.adminCancelOrder
+  );
+  
+  // Packing slip of one order, or a zip of slips for several (admin only)
+  router.get(
+    ROUTES.PACKING_SLIP,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    paymentController.getPackingSlip
+  );
+  router.post(
+    ROUTES.PACKING_SLIPS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validatePackingSlips,
+    paymentController.getPackingSlips
+  );
+  
+  // Refund all or part of an order, or one of its lines (admin only)
   router.post(
     ROUTES.REFUND,
     authenticateToken,
     checkPermission(PERMISSIONS.PAYMENT_REFUND),
+    validateOrderRefund,
     paymentController.processRefund
   );
 
+  // List stored Stripe webhook events, e.g. ?status=failed (admin only)
+  router.get(
+    ROUTES.WEBHOOK_EVENTS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    paymentController.getWebhookEvents
+  );
+
+  // Replay a failed Stripe webhook event (admin only)
+  router.post(
+    ROUTES.WEBHOOK_EVENT_REPLAY,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    paymentController.replayWebhookEvent
+  );
+
   // === EXTERNAL INTEGRATION ROUTES ===
   
   // Webhook handler - needs raw body for Stripe signature verification
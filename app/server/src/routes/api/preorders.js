@@ -0,0 +1,100 @@
+/**
+ * Preorder Routes
+ * Pre-ordering upcoming products, paying a declined balance, and admin
+ * pre-order settings, counts and bulk cancellation
+ * @module routes/api/preorders
+ */
+const preorderController = require('../../controllers/preorderController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validatePreorderCheckout,
+  validatePreorderSettings,
+  validatePreorderCancel
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for pre-order endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  PREORDERS: '/',
+  OFFERS: '/offers',
+  CHECKOUT: '/checkout',
+  BALANCE_CHECKOUT: '/:preorderId/balance-checkout',
+
+  // Admin endpoints
+  SUMMARY: '/admin/summary',
+  PRODUCT_SETTINGS: '/admin/products/:productId',
+  PRODUCT_CANCEL: '/admin/products/:productId/cancel'
+};
+
+// Each checkout opens a Stripe checkout session
+const checkoutLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many checkout attempts, please try again later.'
+});
+
+/**
+ * Register pre-order routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const preorderRoutes = (router) => {
+  // === ADMIN PREORDER ROUTES ===
+
+  router.get(
+    ROUTES.SUMMARY,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    preorderController.getSummary
+  );
+
+  router.put(
+    ROUTES.PRODUCT_SETTINGS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    validatePreorderSettings,
+    preorderController.updateSettings
+  );
+
+  router.post(
+    ROUTES.PRODUCT_CANCEL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    validatePreorderCancel,
+    preorderController.cancelProduct
+  );
+
+  // === USER PREORDER ROUTES ===
+
+  router.get(
+    ROUTES.OFFERS,
+    authenticateToken,
+    preorderController.getOffers
+  );
+
+  router.get(
+    ROUTES.PREORDERS,
+    authenticateToken,
+    preorderController.getPreorders
+  );
+
+  router.post(
+    ROUTES.CHECKOUT,
+    authenticateToken,
+    checkoutLimiter,
+    validatePreorderCheckout,
+    preorderController.createCheckout
+  );
+
+  router.post(
+    ROUTES.BALANCE_CHECKOUT,
+    authenticateToken,
+    checkoutLimiter,
+    preorderController.createBalanceCheckout
+  );
+};
+
+module.exports = preorderRoutes;
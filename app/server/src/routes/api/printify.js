@@ -9,9 +9,19 @@
  */
 const printifyController = require('../../controllers/printifyController');
 const paymentController = require('../../controllers/paymentController');
+const categoryController = require('../../controllers/categoryController');
+const printifyWebhookController = require('../../controllers/printifyWebhookController');
+const orderSubmissionController = require('../../controllers/orderSubmissionController');
+const recommendationController = require('../../controllers/recommendationController');
 const { authenticateToken } = require('../../middleware/auth');
 const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
 const rawBodyMiddleware = require('../../middleware/rawBodyMiddleware');
+const {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryRule,
+  validateCheckout
+} = require('../../middleware/validation');
 
 /**
  * Route definitions for Printify API endpoints
@@ -21,6 +31,7 @@ const ROUTES = {
   // Public routes (no authentication required)
   PRODUCTS: '/products',
   PRODUCT_DETAIL: '/products/:productId',
+  PRODUCT_RELATED: '/products/:productId/related',
   CATEGORIES: '/categories',
   SEARCH: '/search',
   UPCOMING_PRODUCTS: '/upcoming-products',
@@ -36,6 +47,9 @@ const ROUTES = {
   PAYMENT_SUCCESS: '/payment/success', 
   PAYMENT_CANCEL: '/payment/cancel',
   PAYMENT_WEBHOOK: '/payment/webhook',
+
+  // Printify webhook (product and order events)
+  WEBHOOK: '/webhook',
   
   // Admin routes (requires elevated permissions)
   ADMIN_PRODUCTS: '/admin/products',
@@ -43,7 +57,17 @@ const ROUTES = {
   ADMIN_SHOPS: '/admin/shops',
   ADMIN_SHOP_DETAIL: '/admin/shops/:shopId',
   ADMIN_SHOP_ORDERS: '/admin/shops/:shopId/orders',
-  ADMIN_ORDER_DETAIL: '/admin/orders/:orderId'
+  ADMIN_ORDER_DETAIL: '/admin/orders/:orderId',
+  ADMIN_CATALOG_SYNC: '/admin/catalog/sync',
+  ADMIN_CATALOG_SYNC_PRODUCT: '/admin/catalog/sync/:productId',
+  ADMIN_CATEGORIES: '/admin/categories',
+  ADMIN_CATEGORY_DETAIL: '/admin/categories/:categoryId',
+  ADMIN_CATEGORY_RULES: '/admin/categories/:categoryId/rules',
+  ADMIN_CATEGORY_RULE_DETAIL: '/admin/categories/:categoryId/rules/:ruleId',
+  ADMIN_ORDER_SUBMISSIONS: '/admin/order-submissions',
+  ADMIN_ORDER_SUBMISSION_DETAIL: '/admin/order-submissions/:submissionId',
+  ADMIN_ORDER_SUBMISSION_RETRY: '/admin/order-submissions/:submissionId/retry',
+  ADMIN_ORDER_SUBMISSION_CANCEL: '/admin/order-submissions/:submissionId/cancel'
 };
 
 /**
@@ -58,6 +82,9 @@ function printifyRoutes(router) {
   
   // Get single product details
   router.get(ROUTES.PRODUCT_DETAIL, printifyController.getPublicProduct);
+
+  // Get related products ("You May Also Like")
+  router.get(ROUTES.PRODUCT_RELATED, recommendationController.getRelatedProducts);
   
   // Get product categories
   router.get(ROUTES.CATEGORIES, printifyController.getCategories);
@@ -76,12 +103,20 @@ function printifyRoutes(router) {
     paymentController.handleStripeWebhook
   );
 
+  // Printify webhook handler - secured by Printify signature verification
+  router.post(
+    ROUTES.WEBHOOK,
+    rawBodyMiddleware,
+    printifyWebhookController.handleWebhook
+  );
+
   // === CUSTOMER ROUTES (Authentication Required) ===
   
   // Create checkout session
   router.post(
     ROUTES.PAYMENT_CHECKOUT, 
     authenticateToken,
+    validateCheckout,
     paymentController.createCheckoutSession
   );
   
@@ -172,6 +207,121 @@ function printifyRoutes(router) {
     checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
     printifyController.getAdminOrderDetail
   );
+
+  // Get catalog sync status and recent runs (admin only)
+  router.get(
+    ROUTES.ADMIN_CATALOG_SYNC,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    printifyController.getCatalogSyncStatus
+  );
+
+  // Start a full catalog sync (admin only)
+  router.post(
+    ROUTES.ADMIN_CATALOG_SYNC,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    printifyController.syncCatalog
+  );
+
+  // Re-sync a single product (admin only)
+  router.post(
+    ROUTES.ADMIN_CATALOG_SYNC_PRODUCT,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    printifyController.syncCatalogProduct
+  );
+
+  // List all categories with their rules (admin only)
+  router.get(
+    ROUTES.ADMIN_CATEGORIES,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    categoryController.getCategories
+  );
+
+  // Create a category (admin only)
+  router.post(
+    ROUTES.ADMIN_CATEGORIES,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    validateCategory,
+    categoryController.createCategory
+  );
+
+  // Get a category (admin only)
+  router.get(
+    ROUTES.ADMIN_CATEGORY_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    categoryController.getCategory
+  );
+
+  // Update a category (admin only)
+  router.put(
+    ROUTES.ADMIN_CATEGORY_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    validateCategoryUpdate,
+    categoryController.updateCategory
+  );
+
+  // Delete a category (admin only)
+  router.delete(
+    ROUTES.ADMIN_CATEGORY_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    categoryController.deleteCategory
+  );
+
+  // Add a tag/blueprint mapping rule to a category (admin only)
+  router.post(
+    ROUTES.ADMIN_CATEGORY_RULES,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    validateCategoryRule,
+    categoryController.addRule
+  );
+
+  // Remove a mapping rule from a category (admin only)
+  router.delete(
+    ROUTES.ADMIN_CATEGORY_RULE_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    categoryController.removeRule
+  );
+
+  // List Printify order submissions, e.g. ?status=dead_letter (admin only)
+  router.get(
+    ROUTES.ADMIN_ORDER_SUBMISSIONS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    orderSubmissionController.getSubmissions
+  );
+
+  // Get a submission with its attempt history (admin only)
+  router.get(
+    ROUTES.ADMIN_ORDER_SUBMISSION_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    orderSubmissionController.getSubmission
+  );
+
+  // Requeue a stuck or dead-lettered submission (admin only)
+  router.post(
+    ROUTES.ADMIN_ORDER_SUBMISSION_RETRY,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    orderSubmissionController.retrySubmission
+  );
+
+  // Stop retrying a submission (admin only)
+  router.post(
+    ROUTES.ADMIN_ORDER_SUBMISSION_CANCEL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    orderSubmissionController.cancelSubmission
+  );
 };
 
 module.exports = printifyRoutes;
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Product Subscription Routes
+ * Launch and back-in-stock notifications for customers, unsubscribing from
+ * the notification emails, and admin demand for upcoming products
+ * @module routes/api/productSubscriptions
+ */
+const productSubscriptionController = require('../../controllers/productSubscriptionController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validateProductSubscription,
+  validateProductUnsubscribe
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for product subscription endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  SUBSCRIPTIONS: '/',
+  SUBSCRIPTION: '/:subscriptionId',
+  UNSUBSCRIBE: '/unsubscribe',
+
+  // Admin endpoints
+  DEMAND: '/admin/demand'
+};
+
+// Unsubscribe tokens cannot be guessed; this only slows down scripted attempts
+const unsubscribeLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many requests, please try again later.'
+});
+
+/**
+ * Register product subscription routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const productSubscriptionRoutes = (router) => {
+  // === PUBLIC PRODUCT SUBSCRIPTION ROUTES ===
+
+  // Link in the notification emails
+  router.post(
+    ROUTES.UNSUBSCRIBE,
+    unsubscribeLimiter,
+    validateProductUnsubscribe,
+    productSubscriptionController.unsubscribeWithToken
+  );
+
+  // === ADMIN PRODUCT SUBSCRIPTION ROUTES ===
+
+  router.get(
+    ROUTES.DEMAND,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    productSubscriptionController.getDemand
+  );
+
+  // === USER PRODUCT SUBSCRIPTION ROUTES ===
+
+  router.get(
+    ROUTES.SUBSCRIPTIONS,
+    authenticateToken,
+    productSubscriptionController.getSubscriptions
+  );
+
+  router.post(
+    ROUTES.SUBSCRIPTIONS,
+    authenticateToken,
+    validateProductSubscription,
+    productSubscriptionController.subscribe
+  );
+
+  router.delete(
+    ROUTES.SUBSCRIPTION,
+    authenticateToken,
+    productSubscriptionController.unsubscribe
+  );
+};
+
+module.exports = productSubscriptionRoutes;
@@ -0,0 +1,71 @@
+/**
+ * Promotion Routes
+ * Admin management of discount codes; customers apply codes through
+ * /api/payment/cart/preview and checkout
+ * @module routes/api/promotions
+ */
+const promotionController = require('../../controllers/promotionController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const {
+  validatePromotionCreate,
+  validatePromotionUpdate
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for promotion endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  // Admin endpoints
+  PROMOTIONS: '/admin',
+  PROMOTION_DETAIL: '/admin/:promotionId'
+};
+
+/**
+ * Register promotion routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const promotionRoutes = (router) => {
+  // === ADMIN PROMOTION ROUTES ===
+
+  router.get(
+    ROUTES.PROMOTIONS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    promotionController.getPromotions
+  );
+
+  router.post(
+    ROUTES.PROMOTIONS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validatePromotionCreate,
+    promotionController.createPromotion
+  );
+
+  // Includes redemptions, discount total and revenue
+  router.get(
+    ROUTES.PROMOTION_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    promotionController.getPromotion
+  );
+
+  router.put(
+    ROUTES.PROMOTION_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validatePromotionUpdate,
+    promotionController.updatePromotion
+  );
+
+  router.delete(
+    ROUTES.PROMOTION_DETAIL,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    promotionController.deletePromotion
+  );
+};
+
+module.exports = promotionRoutes;
@@ -0,0 +1,26 @@
+/**
+ * Recommendation Routes
+ * Personal product picks for signed-in customers; related products are
+ * served under /api/printify/products/:productId/related
+ * @module routes/api/recommendations
+ */
+const recommendationController = require('../../controllers/recommendationController');
+const { authenticateToken } = require('../../middleware/auth');
+
+/**
+ * Route definitions for recommendation endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  ME: '/me'
+};
+
+/**
+ * Register recommendation routes
+ * @param {Express.Router} router - Express router instance
+ */
+const recommendationRoutes = (router) => {
+  router.get(ROUTES.ME, authenticateToken, recommendationController.getMyRecommendations);
+};
+
+module.exports = recommendationRoutes;
@@ -0,0 +1,135 @@
+/**
+ * Return Routes
+ * Customers request and follow returns; admins review and settle them
+ * @module routes/api/returns
+ */
+const returnController = require('../../controllers/returnController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const {
+  validateReturnRequest,
+  validateReturnApproval,
+  validateReturnNotes,
+  validateReturnRefund
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for return endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  // Customer endpoints
+  RETURNS: '/',
+  RETURN_BY_ID: '/:returnId',
+  RETURN_ATTACHMENT: '/:returnId/attachments/:attachmentId',
+
+  // Admin endpoints
+  ADMIN_RETURNS: '/admin',
+  ADMIN_RETURN_BY_ID: '/admin/:returnId',
+  ADMIN_RETURN_ATTACHMENT: '/admin/:returnId/attachments/:attachmentId',
+  ADMIN_APPROVE: '/admin/:returnId/approve',
+  ADMIN_REJECT: '/admin/:returnId/reject',
+  ADMIN_REFUND: '/admin/:returnId/refund',
+  ADMIN_REPRINT: '/admin/:returnId/reprint',
+  ADMIN_CLOSE: '/admin/:returnId/close'
+};
+
+/**
+ * Register return routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const returnRoutes = (router) => {
+  // === ADMIN RETURN ROUTES ===
+  // Registered first so '/admin' is not taken for a return ID
+
+  router.get(
+    ROUTES.ADMIN_RETURNS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    returnController.getReturns
+  );
+
+  router.get(
+    ROUTES.ADMIN_RETURN_BY_ID,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    returnController.getReturn
+  );
+
+  router.get(
+    ROUTES.ADMIN_RETURN_ATTACHMENT,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    returnController.getAttachment
+  );
+
+  router.post(
+    ROUTES.ADMIN_APPROVE,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateReturnApproval,
+    returnController.approveReturn
+  );
+
+  router.post(
+    ROUTES.ADMIN_REJECT,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateReturnNotes,
+    returnController.rejectReturn
+  );
+
+  // Refunds move money, so they need the refund permission
+  router.post(
+    ROUTES.ADMIN_REFUND,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_REFUND),
+    validateReturnRefund,
+    returnController.refundReturn
+  );
+
+  router.post(
+    ROUTES.ADMIN_REPRINT,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    returnController.reprintReturn
+  );
+
+  router.post(
+    ROUTES.ADMIN_CLOSE,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PAYMENT_MANAGE),
+    validateReturnNotes,
+    returnController.closeReturn
+  );
+
+  // === CUSTOMER RETURN ROUTES ===
+  // Ownership is checked by the controller
+
+  router.post(
+    ROUTES.RETURNS,
+    authenticateToken,
+    validateReturnRequest,
+    returnController.createReturn
+  );
+
+  router.get(
+    ROUTES.RETURNS,
+    authenticateToken,
+    returnController.getMyReturns
+  );
+
+  router.get(
+    ROUTES.RETURN_BY_ID,
+    authenticateToken,
+    returnController.getMyReturn
+  );
+
+  router.get(
+    ROUTES.RETURN_ATTACHMENT,
+    authenticateToken,
+    returnController.getMyAttachment
+  );
+};
+
+module.exports = returnRoutes;
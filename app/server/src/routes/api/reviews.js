@@ -0,0 +1,121 @@
+/**
+ * Review Routes
+ * Product reviews and ratings, writing and reporting reviews, and the admin
+ * moderation queue
+ * @module routes/api/reviews
+ */
+const reviewController = require('../../controllers/reviewController');
+const { authenticateToken } = require('../../middleware/auth');
+const { PERMISSIONS, checkPermission } = require('../../middleware/permissions');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validateReviewCreate,
+  validateReviewUpdate,
+  validateReviewList,
+  validateReviewReport,
+  validateReviewModeration
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for review endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  PRODUCT_REVIEWS: '/products/:productId',
+  PRODUCT_ELIGIBILITY: '/products/:productId/eligibility',
+  REVIEW: '/:reviewId',
+  REVIEW_PHOTO: '/:reviewId/photos/:photoId',
+  REVIEW_REPORT: '/:reviewId/report',
+
+  // Admin endpoints
+  ADMIN_REVIEWS: '/admin',
+  ADMIN_MODERATE: '/admin/:reviewId/moderate',
+  ADMIN_REVIEW_PHOTO: '/admin/:reviewId/photos/:photoId'
+};
+
+// Reviews carry photos; keep one account from flooding the queue
+const writeLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many reviews, please try again later.'
+});
+
+/**
+ * Register review routes with role-based permissions
+ * @param {Express.Router} router - Express router instance
+ */
+const reviewRoutes = (router) => {
+  // === ADMIN REVIEW ROUTES ===
+
+  router.get(
+    ROUTES.ADMIN_REVIEWS,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    reviewController.getReviews
+  );
+
+  router.post(
+    ROUTES.ADMIN_MODERATE,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    validateReviewModeration,
+    reviewController.moderateReview
+  );
+
+  router.get(
+    ROUTES.ADMIN_REVIEW_PHOTO,
+    authenticateToken,
+    checkPermission(PERMISSIONS.PRINTIFY_MANAGE),
+    reviewController.getAdminPhoto
+  );
+
+  // === PUBLIC REVIEW ROUTES ===
+
+  router.get(
+    ROUTES.PRODUCT_REVIEWS,
+    validateReviewList,
+    reviewController.getProductReviews
+  );
+
+  router.get(ROUTES.REVIEW_PHOTO, reviewController.getPhoto);
+
+  // === USER REVIEW ROUTES ===
+
+  router.get(
+    ROUTES.PRODUCT_ELIGIBILITY,
+    authenticateToken,
+    reviewController.getEligibility
+  );
+
+  router.post(
+    ROUTES.PRODUCT_REVIEWS,
+    authenticateToken,
+    writeLimiter,
+    validateReviewCreate,
+    reviewController.submitReview
+  );
+
+  router.put(
+    ROUTES.REVIEW,
+    authenticateToken,
+    writeLimiter,
+    validateReviewUpdate,
+    reviewController.updateReview
+  );
+
+  router.delete(
+    ROUTES.REVIEW,
+    authenticateToken,
+    reviewController.deleteReview
+  );
+
+  router.post(
+    ROUTES.REVIEW_REPORT,
+    authenticateToken,
+    writeLimiter,
+    validateReviewReport,
+    reviewController.reportReview
+  );
+};
+
+module.exports = reviewRoutes;
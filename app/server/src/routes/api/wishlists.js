@@ -0,0 +1,119 @@
+/**
+ * Wishlist Routes
+ * Customers' wishlists and their items, sharing lists, and opening a
+ * shared list
+ * @module routes/api/wishlists
+ */
+const wishlistController = require('../../controllers/wishlistController');
+const { authenticateToken } = require('../../middleware/auth');
+const { applyRateLimiter } = require('../../middleware/security');
+const {
+  validateWishlistCreate,
+  validateWishlistUpdate,
+  validateWishlistItem,
+  validateWishlistItemUpdate
+} = require('../../middleware/validation');
+
+/**
+ * Route definitions for wishlist endpoints
+ * Centralized path constants for maintainability
+ */
+const ROUTES = {
+  WISHLISTS: '/',
+  WISHLIST: '/:wishlistId',
+  ITEMS: '/:wishlistId/items',
+  ITEM: '/:wishlistId/items/:itemId',
+  SHARE: '/:wishlistId/share',
+
+  // Public endpoints
+  SHARED: '/shared/:token'
+};
+
+// Share tokens cannot be guessed; this only slows down scripted attempts
+const sharedLimiter = applyRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many requests, please try again later.'
+});
+
+/**
+ * Register wishlist routes
+ * @param {Express.Router} router - Express router instance
+ */
+const wishlistRoutes = (router) => {
+  // === PUBLIC WISHLIST ROUTES ===
+
+  router.get(
+    ROUTES.SHARED,
+    sharedLimiter,
+    wishlistController.getSharedWishlist
+  );
+
+  // === USER WISHLIST ROUTES ===
+
+  router.get(
+    ROUTES.WISHLISTS,
+    authenticateToken,
+    wishlistController.getWishlists
+  );
+
+  router.post(
+    ROUTES.WISHLISTS,
+    authenticateToken,
+    validateWishlistCreate,
+    wishlistController.createWishlist
+  );
+
+  router.get(
+    ROUTES.WISHLIST,
+    authenticateToken,
+    wishlistController.getWishlist
+  );
+
+  router.put(
+    ROUTES.WISHLIST,
+    authenticateToken,
+    validateWishlistUpdate,
+    wishlistController.updateWishlist
+  );
+
+  router.delete(
+    ROUTES.WISHLIST,
+    authenticateToken,
+    wishlistController.deleteWishlist
+  );
+
+  router.post(
+    ROUTES.ITEMS,
+    authenticateToken,
+    validateWishlistItem,
+    wishlistController.addItem
+  );
+
+  router.put(
+    ROUTES.ITEM,
+    authenticateToken,
+    validateWishlistItemUpdate,
+    wishlistController.updateItem
+  );
+
+  router.delete(
+    ROUTES.ITEM,
+    authenticateToken,
+    wishlistController.removeItem
+  );
+
+  router.post(
+    ROUTES.SHARE,
+    authenticateToken,
+    wishlistController.share
+  );
+
+  router.delete(
+    ROUTES.SHARE,
+    authenticateToken,
+    wishlistController.unshare
+  );
+};
+
+module.exports = wishlistRoutes;
@@ -0,0 +1,89 @@
+// printifyWebhooks.js
+// Management command for the shop's Printify webhooks
+//
+// Usage:
+//   npm run printify:webhooks -- list
+//   npm run printify:webhooks -- register [--url=<url>]
+//   npm run printify:webhooks -- unregister [--url=<url> | --all]
+//
+// The shop, endpoint URL and signing secret default to DEFAULT_PRINTIFY_SHOP_ID,
+// PRINTIFY_WEBHOOK_URL and PRINTIFY_WEBHOOK_SECRET.
+
+require('dotenv').config();
+const printifyWebhookService = require('../services/printifyWebhookService');
+const logger = require('../utils/logger');
+
+const loggerInstance = logger.child({ component: 'PrintifyWebhooksCommand' });
+
+/**
+ * Parse `--name=value` and `--flag` options
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Options by name
+ */
+function parseOptions(args) {
+  return args
+    .filter(arg => arg.startsWith('--'))
+    .reduce((options, arg) => {
+      const [name, ...value] = arg.slice(2).split('=');
+      options[name] = value.length ? value.join('=') : true;
+      return options;
+    }, {});
+}
+
+function printWebhooks(webhooks) {
+  if (!webhooks.length) {
+    console.log('No webhooks registered');
+    return;
+  }
+
+  webhooks.forEach(webhook => {
+    console.log(`${webhook.id}  ${webhook.topic.padEnd(28)} ${webhook.url}`);
+  });
+}
+
+async function run() {
+  const [command] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const options = parseOptions(process.argv.slice(2));
+  const shopId = options.shop || process.env.DEFAULT_PRINTIFY_SHOP_ID;
+  const url = options.url || process.env.PRINTIFY_WEBHOOK_URL;
+
+  switch (command) {
+    case 'list':
+      printWebhooks(await printifyWebhookService.listWebhooks(shopId));
+      break;
+
+    case 'register': {
+      const { created, existing } = await printifyWebhookService.registerWebhooks({ shopId, url });
+      loggerInstance.info('Printify webhooks registered', {
+        shopId,
+        url,
+        created: created.length,
+        existing: existing.length
+      });
+      printWebhooks([...existing, ...created]);
+      break;
+    }
+
+    case 'unregister': {
+      const removed = await printifyWebhookService.unregisterWebhooks({
+        shopId,
+        url: options.all ? null : url
+      });
+      loggerInstance.info('Printify webhooks removed', { shopId, removed: removed.length });
+      console.log(`Removed ${removed.length} webhook(s)`);
+      break;
+    }
+
+    default:
+      console.log('Usage: printifyWebhooks.js <list|register|unregister> [--shop=<id>] [--url=<url>] [--all]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    loggerInstance.error('Printify webhook command failed', { error: error.message });
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Seeder for Default Categories
+ *
+ * Creates the four storefront categories that used to be hard-coded in the
+ * Printify controller, each with a tag rule matching its slug so existing
+ * product tags keep working. Further categories and rules are managed
+ * through the admin API.
+ *
+ * @module seeders/default-categories
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Clothing', slug: 'clothing' },
+  { name: 'Accessories', slug: 'accessories' },
+  { name: 'Home Decor', slug: 'home-decor' },
+  { name: 'Wall Art', slug: 'wall-art' }
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const loggerInstance = logger.child({ component: 'DefaultCategoriesSeeder' });
+    loggerInstance.info('Starting default categories seeder');
+
+    try {
+      const now = new Date();
+
+      const categories = DEFAULT_CATEGORIES.map((category, index) => ({
+        id: uuidv4(),
+        parent_id: null,
+        name: category.name,
+        slug: category.slug,
+        description: null,
+        image_url: null,
+        display_order: index + 1,
+        is_active: true,
+        created_at: now,
+        updated_at: now
+      }));
+
+      const rules = categories.map(category => ({
+        id: uuidv4(),
+        category_id: category.id,
+        rule_type: 'tag',
+        match_value: category.slug,
+        created_at: now,
+        updated_at: now
+      }));
+
+      await queryInterface.bulkInsert('categories', categories);
+      await queryInterface.bulkInsert('category_rules', rules);
+
+      loggerInstance.info(`Successfully seeded ${categories.length} categories`);
+    } catch (error) {
+      loggerInstance.error('Error in default categories seeder', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const loggerInstance = logger.child({ component: 'DefaultCategoriesSeeder' });
+    loggerInstance.info('Reverting default categories seeder');
+
+    try {
+      await queryInterface.bulkDelete('categories', {
+        slug: DEFAULT_CATEGORIES.map(category => category.slug)
+      }, {});
+      loggerInstance.info('Successfully reverted default categories seeder');
+    } catch (error) {
+      loggerInstance.error('Error reverting default categories seeder', { error: error.message });
+      throw error;
+    }
+  }
+};
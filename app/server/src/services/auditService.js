@@ -50,7 +50,11 @@ class AuditService {
     ORDER_PLACED: 'ORDER_PLACED',
     ORDER_UPDATED: 'ORDER_UPDATED',
     ORDER_CANCELLED: 'ORDER_CANCELLED',
+    ORDER_REFUNDED: 'ORDER_REFUNDED',
+    ORDER_CLAIMED: 'ORDER_CLAIMED',
     PAYMENT_PROCESSED: 'PAYMENT_PROCESSED',
+    RETURN_REQUESTED: 'RETURN_REQUESTED',
+    RETURN_UPDATED: 'RETURN_UPDATED',
     EMAIL_SENT: 'EMAIL_SENT'
   };
 
@@ -63,10 +67,16 @@ class AuditService {
     PERMISSION: 'Permission',
     ORDER: 'Order',
     ORDER_ITEM: 'OrderItem',
+    RETURN: 'Return',
     SESSION: 'Session',
     SYSTEM: 'System',
     EMAIL: 'Email',
-    PAYMENT: 'Payment'
+    PAYMENT: 'Payment',
+    PROMOTION: 'Promotion',
+    GIFT_CARD: 'GiftCard',
+    EXCHANGE_RATE: 'ExchangeRate',
+    PREORDER_PRODUCT: 'PreorderProduct',
+    REVIEW: 'Review'
   };
 
   /**
@@ -6,6 +6,7 @@ const { User, Session } = require('../models');
 const { APIError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const EmailService = require('./emailService');
+const guestOrderService = require('./guestOrderService');
 const { redactSensitiveInfo, sanitizeObjectForLogs } = require('../utils/securityUtils');
 
 /**
@@ -319,6 +320,13 @@ try {
         verification_expires: null
       });
 
+      // Orders placed as a guest with this email now belong to the account
+      try {
+        await guestOrderService.claimOrders(user);
+      } catch (error) {
+        logger.error('Failed to claim guest orders after verification:', { userId: user.id, error: error.message });
+      }
+
       return {
         message: 'Email verified successfully',
         email: user.email
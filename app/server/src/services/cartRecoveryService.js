@@ -0,0 +1,242 @@
+/**
+ * Cart Recovery Service
+ *
+ * Emails a link back to carts that were left alone for
+ * `features.cart.abandonedCartTimeout` hours (config/application.json). The
+ * link restores the cart at current catalog prices; only the SHA-256 hash of
+ * its token is stored. A scheduled job sends the emails, once per cart.
+ *
+ * A cart counts as recovered when its link was opened, and its revenue as
+ * recovered when that cart was then paid.
+ *
+ * @module services/cartRecoveryService
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Cart, CartItem, Order } = require('../models');
+const pricingService = require('./pricingService');
+const currencyService = require('./currencyService');
+const schedulerService = require('./schedulerService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'abandoned-cart-recovery';
+
+const DEFAULT_CONFIG = {
+  // Hours without activity after which a cart is abandoned
+  abandonedCartTimeout: 72,
+  recoveryEmailsEnabled: true,
+  recoveryPollMinutes: 30,
+  recoveryBatchSize: 50,
+  // How long the emailed link restores the cart
+  recoveryLinkDays: 14
+};
+
+class CartRecoveryService {
+  constructor() {
+    this.logger = logger.child({ component: 'CartRecoveryService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.cart || {})
+    };
+  }
+
+  /**
+   * Email a recovery link for every cart that is due
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  async sendRecoveryEmails({ now = new Date() } = {}) {
+    const cutoff = new Date(now.getTime() - this.config.abandonedCartTimeout * 60 * 60 * 1000);
+
+    const carts = await Cart.findAll({
+      where: {
+        status: 'active',
+        email: { [Op.ne]: null },
+        recovery_email_sent_at: null,
+        subtotal: { [Op.gt]: 0 },
+        last_activity_at: { [Op.lt]: cutoff }
+      },
+      include: [{ model: CartItem, as: 'items' }],
+      order: [['last_activity_at', 'ASC']],
+      limit: this.config.recoveryBatchSize
+    });
+
+    const result = { sent: 0, failed: 0 };
+
+    for (const cart of carts) {
+      // Customers who ordered since leaving the cart get no reminder; the
+      // cart is closed without one
+      const ordered = await Order.count({
+        where: { customerEmail: cart.email, createdAt: { [Op.gte]: cart.last_activity_at } }
+      });
+
+      if (ordered > 0) {
+        await cart.update({ status: 'abandoned' });
+        continue;
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+
+      try {
+        // Sent first: a failed email leaves the cart due for the next run
+        await EmailService.sendCartRecoveryEmail(cart, this.getRecoveryUrl(cart, token));
+        await cart.update({
+          status: 'abandoned',
+          recovery_token_hash: this._hash(token),
+          recovery_email_sent_at: new Date()
+        });
+        result.sent++;
+      } catch (error) {
+        this.logger.error(`Failed to send recovery email for cart ${cart.id}`, { error: error.message });
+        result.failed++;
+      }
+    }
+
+    if (carts.length) {
+      this.logger.info('Abandoned cart recovery emails sent', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Link that restores a cart
+   *
+   * @param {Object} cart
+   * @param {string} token
+   * @returns {string}
+   */
+  getRecoveryUrl(cart, token) {
+    const params = new URLSearchParams({ recover: cart.id, token });
+    return `${process.env.CLIENT_URL}/cart?${params}`;
+  }
+
+  /**
+   * Restore a cart from its recovery link
+   * Lines are re-priced, so the customer sees current prices and which
+   * products are no longer available.
+   *
+   * @param {string} cartId
+   * @param {string} token
+   * @returns {Promise<Object>} { cartId, items, changes, unavailable }
+   * @throws 404 for a wrong or expired link, or a cart that was already paid
+   */
+  async recoverCart(cartId, token) {
+    const cart = await Cart.findByPk(cartId, {
+      include: [{ model: CartItem, as: 'items' }]
+    });
+
+    const expiresAt = cart?.recovery_email_sent_at
+      ? new Date(cart.recovery_email_sent_at).getTime() + this.config.recoveryLinkDays * 24 * 60 * 60 * 1000
+      : 0;
+
+    if (!cart || cart.status === 'converted' || expiresAt < Date.now() || !this._matches(cart.recovery_token_hash, token)) {
+      throw createError('This cart link is invalid or has expired', 404);
+    }
+
+    const pricing = await pricingService.priceCart(cart.items.map(item => ({
+      id: item.product_id,
+      variantId: item.variant_id,
+      quantity: item.quantity,
+      price: item.price,
+      title: item.title
+    })));
+
+    await cart.update({
+      status: 'recovered',
+      recovered_at: cart.recovered_at || new Date(),
+      last_activity_at: new Date()
+    });
+
+    this.logger.info(`Cart ${cart.id} recovered from email`, { items: pricing.items.length });
+
+    return {
+      cartId: cart.id,
+      items: pricing.items,
+      changes: pricing.changes,
+      unavailable: pricing.unavailable
+    };
+  }
+
+  /**
+   * Recovery results for carts emailed in a period
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.from] - Defaults to 30 days ago
+   * @param {Date|string} [options.to] - Defaults to now
+   * @returns {Promise<Object>} Counts, rates and recovered revenue in dollars of the
+   *   reporting currency
+   */
+  async getStats({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const carts = await Cart.findAll({
+      where: { recovery_email_sent_at: { [Op.between]: [start, end] } },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'totalAmount', 'exchangeRate'] }]
+    });
+
+    const recovered = carts.filter(cart => cart.recovered_at);
+    const converted = recovered.filter(cart => cart.status === 'converted' && cart.order);
+    // Carts are kept in the base currency; orders at the rate they were paid at
+    const rates = await currencyService.getRates();
+    const sum = (values) => Math.round(values.reduce((total, [value, exchangeRate]) => total
+      + currencyService.toReporting(value, exchangeRate, rates), 0) * 100) / 100;
+    const rate = (count) => (carts.length ? Math.round((count / carts.length) * 1000) / 10 : 0);
+
+    return {
+      from: start,
+      to: end,
+      emailsSent: carts.length,
+      recovered: recovered.length,
+      converted: converted.length,
+      recoveryRate: rate(recovered.length),
+      conversionRate: rate(converted.length),
+      abandonedValue: sum(carts.map(cart => [cart.subtotal, 1])),
+      recoveredRevenue: sum(converted.map(cart => [cart.order.totalAmount, cart.order.exchangeRate])),
+      currency: currencyService.getReportingCurrency()
+    };
+  }
+
+  /**
+   * Register the recovery email job with the scheduler
+   */
+  registerSchedule() {
+    if (this.config.recoveryEmailsEnabled === false) {
+      this.logger.info('Abandoned cart recovery emails are disabled in configuration');
+      return;
+    }
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.recoveryPollMinutes * 60 * 1000,
+      handler: () => this.sendRecoveryEmails()
+    });
+  }
+
+  /**
+   * @private
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _matches(hash, token) {
+    if (!hash || !token) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(this._hash(token), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = new CartRecoveryService();
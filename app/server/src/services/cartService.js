@@ -0,0 +1,506 @@
+/**
+ * Cart Service
+ *
+ * Keeps carts on the server so they follow a customer between devices and
+ * abandoned ones can be recovered. A signed-in customer has one open cart;
+ * the storefront changes it line by line, and merges the cart it built
+ * before signing in into it. Guests get a cart when they start checkout.
+ * Each Stripe checkout session carries its cart ID, so the cart is marked
+ * converted when the session is paid and notes when the session expired
+ * unpaid.
+ *
+ * Every change raises the cart's version. Changes sent with an older version
+ * than the cart's were made without seeing another device's changes and are
+ * refused with a 409, so the device can reload the cart and try again.
+ *
+ * Reading or merging a cart re-prices it against the catalog: lines take the
+ * current price and lines that can no longer be bought are removed.
+ *
+ * Saving a cart never fails checkout: errors are logged and checkout goes
+ * on without a saved cart.
+ *
+ * @module services/cartService
+ */
+
+const { sequelize, Cart, CartItem } = require('../models');
+const pricingService = require('./pricingService');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Carts a customer can still add to; converted carts are done
+const OPEN_STATUSES = ['active', 'abandoned', 'recovered'];
+
+const MAX_LINE_QUANTITY = 100;
+
+class CartService {
+  constructor() {
+    this.logger = logger.child({ component: 'CartService' });
+  }
+
+  /**
+   * Open cart of a customer, most recently used first
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   * @returns {Promise<Object|null>} Cart instance with its items
+   */
+  async getOpenCart(userId, { transaction } = {}) {
+    return Cart.findOne({
+      where: { user_id: userId, status: OPEN_STATUSES },
+      include: [{ model: CartItem, as: 'items' }],
+      order: [['last_activity_at', 'DESC']],
+      transaction
+    });
+  }
+
+  /**
+   * A customer's cart at current catalog prices
+   * Price changes and lines that can no longer be bought are saved, and
+   * reported so the storefront can tell the customer.
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @returns {Promise<Object>} { cart, changes, unavailable }
+   */
+  async getCart(user) {
+    const cart = await this.getOpenCart(user.id);
+
+    if (!cart) {
+      return { cart: this._format({ id: null, version: 0, status: 'active' }, []), changes: [], unavailable: [] };
+    }
+
+    const pricing = await pricingService.priceCart(cart.items.map(item => this._toLine(item)));
+
+    if (!pricing.changes.length && !pricing.unavailable.length) {
+      return { cart: this._format(cart, cart.items), changes: [], unavailable: [] };
+    }
+
+    const priced = new Map(pricing.items.map(line => [this._key(line.id, line.variantId), line]));
+
+    // Saved without a version: the catalog is right whichever device is behind
+    const updated = await this._mutate(user, undefined, async (locked, items, transaction) => {
+      for (const item of items) {
+        const line = priced.get(this._key(item.product_id, item.variant_id));
+
+        if (!line) {
+          await item.destroy({ transaction });
+        } else if (Number(item.price) !== line.price) {
+          await item.update({ price: line.price, title: line.title, variant_title: line.variantTitle, image: line.image }, { transaction });
+        }
+      }
+    });
+
+    return { cart: updated, changes: pricing.changes, unavailable: pricing.unavailable };
+  }
+
+  /**
+   * Add a product variant to a customer's cart, at its catalog price
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @param {Object} item - { id, variantId, quantity }
+   * @param {Object} [options]
+   * @param {number} [options.version] - Cart version the device last saw
+   * @returns {Promise<Object>} The cart
+   * @throws 409 when the variant cannot be bought or the cart changed since `version`
+   */
+  async addItem(user, item, { version } = {}) {
+    const pricing = await pricingService.priceCart([item]);
+
+    if (pricing.unavailable.length) {
+      throw createError(
+        'Product is not available',
+        409,
+        { unavailable: pricing.unavailable },
+        'This product is no longer available.'
+      );
+    }
+
+    const [line] = pricing.items;
+
+    return this._mutate(user, version, async (cart, items, transaction) => {
+      const existing = items.find(row => this._key(row.product_id, row.variant_id) === this._key(line.id, line.variantId));
+
+      if (existing) {
+        await existing.update({
+          quantity: Math.min(existing.quantity + line.quantity, MAX_LINE_QUANTITY),
+          price: line.price
+        }, { transaction });
+        return;
+      }
+
+      await CartItem.create({ cart_id: cart.id, ...this._toRow(line) }, { transaction });
+    });
+  }
+
+  /**
+   * Change the quantity of a line; 0 removes it
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @param {string} productId
+   * @param {string|number} variantId
+   * @param {number} quantity
+   * @param {Object} [options]
+   * @param {number} [options.version] - Cart version the device last saw
+   * @returns {Promise<Object>} The cart
+   * @throws 404 for a line that is not in the cart, 409 when the cart changed since `version`
+   */
+  async updateItem(user, productId, variantId, quantity, { version } = {}) {
+    return this._mutate(user, version, async (cart, items, transaction) => {
+      const existing = items.find(row => this._key(row.product_id, row.variant_id) === this._key(productId, variantId));
+
+      if (!existing) {
+        throw createError('Item is not in the cart', 404);
+      }
+
+      if (quantity > 0) {
+        await existing.update({ quantity: Math.min(quantity, MAX_LINE_QUANTITY) }, { transaction });
+      } else {
+        await existing.destroy({ transaction });
+      }
+    });
+  }
+
+  /**
+   * Remove a line from a customer's cart
+   * Removing a line that is not there is not an error.
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @param {string} productId
+   * @param {string|number} variantId
+   * @param {Object} [options]
+   * @param {number} [options.version] - Cart version the device last saw
+   * @returns {Promise<Object>} The cart
+   */
+  async removeItem(user, productId, variantId, { version } = {}) {
+    return this._mutate(user, version, async (cart, items, transaction) => {
+      const existing = items.find(row => this._key(row.product_id, row.variant_id) === this._key(productId, variantId));
+
+      if (existing) {
+        await existing.destroy({ transaction });
+      }
+    });
+  }
+
+  /**
+   * Empty a customer's cart
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @param {Object} [options]
+   * @param {number} [options.version] - Cart version the device last saw
+   * @returns {Promise<Object>} The cart
+   */
+  async clearCart(user, { version } = {}) {
+    return this._mutate(user, version, async (cart, items, transaction) => {
+      await CartItem.destroy({ where: { cart_id: cart.id }, transaction });
+    });
+  }
+
+  /**
+   * Replace the lines of a customer's cart
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @param {Array} items - Cart lines ({ id, variantId, quantity, price, title, variantTitle, image })
+   * @param {Object} [options]
+   * @param {number} [options.version] - Cart version the device last saw
+   * @returns {Promise<Object>} The cart
+   */
+  async saveCart(user, items, { version } = {}) {
+    return this._mutate(user, version, async (cart, existing, transaction) => {
+      await this._replaceItems(cart, items, { transaction });
+    });
+  }
+
+  /**
+   * Merge the cart built before signing in into the customer's cart
+   * Lines in both keep the larger quantity, so a cart that was already
+   * merged on an earlier sign-in is not doubled. The result is re-priced.
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @param {Array} items - Lines of the signed-out cart ({ id, variantId, quantity, price, title, variantTitle, image })
+   * @returns {Promise<Object>} { cart, changes, unavailable }
+   */
+  async mergeCart(user, items) {
+    await this._mutate(user, undefined, async (cart, existing, transaction) => {
+      const saved = new Map(existing.map(row => [this._key(row.product_id, row.variant_id), row]));
+
+      for (const [key, line] of this._collectLines(items)) {
+        const row = saved.get(key);
+
+        if (!row) {
+          await CartItem.create({ cart_id: cart.id, ...line }, { transaction });
+        } else if (line.quantity > row.quantity) {
+          await row.update({ quantity: line.quantity }, { transaction });
+        }
+      }
+    });
+
+    return this.getCart(user);
+  }
+
+  /**
+   * Save the cart a checkout is started for
+   * Customers check out their open cart; guests get a new cart, or keep the
+   * guest cart they came back to through a recovery link.
+   *
+   * @param {Array} items - Priced cart lines from pricingService
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Signed-in customer
+   * @param {string} [options.email] - Customer or guest email, if known
+   * @param {string} [options.cartId] - Guest cart restored from a recovery link
+   * @returns {Promise<Object|null>} Cart instance, or null when it could not be saved
+   */
+  async startCheckout(items, { userId = null, email = null, cartId = null } = {}) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        let cart = userId
+          ? await this.getOpenCart(userId, { transaction })
+          : await this._findGuestCart(cartId, { transaction });
+
+        if (!cart) {
+          cart = await Cart.create({ user_id: userId, email }, { transaction });
+        }
+
+        const rows = await this._replaceItems(cart, items, { transaction });
+        await this._touch(cart, rows, {
+          email: email || cart.email,
+          checkout_started_at: new Date(),
+          session_expired_at: null
+        }, { transaction });
+
+        return cart;
+      });
+    } catch (error) {
+      this.logger.error('Failed to save cart for checkout', { userId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Remember the Stripe session started for a cart
+   *
+   * @param {Object|null} cart - Cart from startCheckout
+   * @param {Object} session - Stripe checkout session
+   */
+  async attachSession(cart, session) {
+    if (!cart) return;
+
+    try {
+      await cart.update({ stripe_session_id: session.id });
+    } catch (error) {
+      this.logger.error(`Failed to link cart ${cart.id} to session ${session.id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Mark the cart of a paid checkout session as converted
+   * Never throws: the order exists whether or not its cart is found.
+   *
+   * @param {Object} session - Stripe checkout session
+   * @param {Object} order - Order created from the session
+   * @returns {Promise<Object|null>} The cart, or null
+   */
+  async markConverted(session, order) {
+    try {
+      const cart = await this._findSessionCart(session);
+
+      if (!cart || cart.status === 'converted') return cart;
+
+      await cart.update({
+        status: 'converted',
+        order_id: order.id,
+        converted_at: new Date(),
+        recovery_token_hash: null
+      });
+
+      return cart;
+    } catch (error) {
+      this.logger.error(`Failed to mark cart of session ${session.id} converted`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Handle an expired, unpaid Stripe checkout session
+   * Guests often type their email into Stripe before leaving, which makes
+   * their cart recoverable.
+   *
+   * @param {Object} session - Stripe checkout session from checkout.session.expired
+   * @returns {Promise<Object|null>} The cart, or null for sessions without one
+   */
+  async handleSessionExpired(session) {
+    const cart = await this._findSessionCart(session);
+
+    if (!cart || cart.status === 'converted') return cart;
+
+    await cart.update({
+      session_expired_at: new Date((session.expires_at || Date.now() / 1000) * 1000),
+      email: cart.email || session.customer_details?.email || null
+    });
+
+    this.logger.info(`Checkout session expired for cart ${cart.id}`, { sessionId: session.id });
+
+    return cart;
+  }
+
+  /**
+   * Change a customer's cart under a row lock and return it
+   * The cart is created on the first change.
+   * @private
+   */
+  async _mutate(user, version, change) {
+    return sequelize.transaction(async (transaction) => {
+      const cart = await Cart.findOne({
+        where: { user_id: user.id, status: OPEN_STATUSES },
+        order: [['last_activity_at', 'DESC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      }) || await Cart.create({ user_id: user.id, email: user.email }, { transaction });
+
+      if (version !== undefined && version !== null && Number(version) !== (cart.version || 0)) {
+        throw createError(
+          'Cart version conflict',
+          409,
+          { version: cart.version || 0 },
+          'Your cart was changed on another device.'
+        );
+      }
+
+      await change(cart, await CartItem.findAll({ where: { cart_id: cart.id }, transaction }), transaction);
+
+      const items = await CartItem.findAll({ where: { cart_id: cart.id }, order: [['created_at', 'ASC']], transaction });
+      await this._touch(cart, items, { email: user.email || cart.email }, { transaction });
+
+      return this._format(cart, items);
+    });
+  }
+
+  /**
+   * Record a change: new subtotal and version, and activity for abandonment
+   * @private
+   */
+  async _touch(cart, items, values, { transaction }) {
+    const subtotal = items.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0);
+
+    await cart.update({
+      ...values,
+      subtotal: Math.round(subtotal * 100) / 100,
+      version: (cart.version || 0) + 1,
+      // Changing a cart that was emailed about makes it a cart in use again
+      status: cart.status === 'abandoned' ? 'active' : cart.status,
+      last_activity_at: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * @private
+   */
+  async _findSessionCart(session) {
+    const cartId = session.metadata?.cartId;
+
+    return (cartId && await Cart.findByPk(cartId))
+      || Cart.findOne({ where: { stripe_session_id: session.id } });
+  }
+
+  /**
+   * @private
+   */
+  async _findGuestCart(cartId, { transaction }) {
+    if (!cartId) return null;
+
+    const cart = await Cart.findByPk(cartId, { transaction });
+
+    // Only guest carts that are still open can be checked out again
+    return cart && !cart.user_id && OPEN_STATUSES.includes(cart.status) ? cart : null;
+  }
+
+  /**
+   * Replace a cart's lines
+   * @private
+   * @returns {Promise<Array>} The new lines
+   */
+  async _replaceItems(cart, items, { transaction }) {
+    const rows = Array.from(this._collectLines(items).values()).map(line => ({ cart_id: cart.id, ...line }));
+
+    await CartItem.destroy({ where: { cart_id: cart.id }, transaction });
+
+    return rows.length ? CartItem.bulkCreate(rows, { transaction }) : [];
+  }
+
+  /**
+   * Cart lines as rows by product and variant, merging duplicate lines
+   * @private
+   * @returns {Map} key -> row values without cart_id
+   */
+  _collectLines(items) {
+    const lines = new Map();
+
+    for (const item of items || []) {
+      const key = this._key(item.id, item.variantId);
+      const line = lines.get(key);
+
+      if (line) {
+        line.quantity = Math.min(line.quantity + Number(item.quantity), MAX_LINE_QUANTITY);
+        continue;
+      }
+
+      lines.set(key, this._toRow(item));
+    }
+
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  _toRow(item) {
+    return {
+      product_id: String(item.id),
+      variant_id: String(item.variantId),
+      quantity: Math.min(Number(item.quantity), MAX_LINE_QUANTITY),
+      price: Number(item.price),
+      title: item.title || null,
+      variant_title: item.variantTitle || null,
+      image: item.image || null
+    };
+  }
+
+  /**
+   * Row as a cart line, the shape the storefront and pricingService use
+   * @private
+   */
+  _toLine(item) {
+    return {
+      id: item.product_id,
+      // Printify variant IDs are numbers; the storefront compares them as such
+      variantId: /^\d+$/.test(item.variant_id) ? Number(item.variant_id) : item.variant_id,
+      quantity: item.quantity,
+      price: Number(item.price),
+      title: item.title,
+      variantTitle: item.variant_title,
+      image: item.image
+    };
+  }
+
+  /**
+   * @private
+   */
+  _format(cart, items) {
+    return {
+      id: cart.id,
+      version: cart.version || 0,
+      status: cart.status,
+      subtotal: Number(cart.subtotal || 0),
+      items: items.map(item => this._toLine(item))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _key(productId, variantId) {
+    return `${productId}:${variantId}`;
+  }
+}
+
+module.exports = new CartService();
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
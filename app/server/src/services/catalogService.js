@@ -0,0 +1,131 @@
+/**
+ * Catalog Service
+ *
+ * Read access to the local product catalog that catalogSyncService keeps in
+ * step with Printify. Products are returned in the same shape the Printify
+ * API uses (prices in cents, snake_case fields) so controllers can format
+ * them exactly as they did when reading from Printify directly.
+ *
+ * @module services/catalogService
+ */
+
+const {
+  CatalogProduct,
+  CatalogVariant,
+  CatalogImage,
+  CatalogProductTag
+} = require('../models');
+const logger = require('../utils/logger');
+
+class CatalogService {
+  constructor() {
+    this.logger = logger.child({ component: 'CatalogService' });
+  }
+
+  /**
+   * Associations loaded with every product
+   * @private
+   */
+  _includes() {
+    return [
+      { model: CatalogVariant, as: 'variants' },
+      { model: CatalogImage, as: 'images' },
+      { model: CatalogProductTag, as: 'tags', attributes: ['tag'] }
+    ];
+  }
+
+  /**
+   * Get all products in the local catalog for a shop, published or not
+   *
+   * @param {string} [shopId] - Printify shop ID (all shops when omitted)
+   * @returns {Promise<Array>} Products in Printify API shape
+   */
+  async getProducts(shopId) {
+    const where = shopId ? { shop_id: String(shopId) } : {};
+
+    const products = await CatalogProduct.findAll({
+      where,
+      include: this._includes(),
+      order: [['printify_created_at', 'DESC']]
+    });
+
+    this.logger.debug(`Loaded ${products.length} products from local catalog`, { shopId });
+    return products.map(product => this.toPrintifyShape(product));
+  }
+
+  /**
+   * Get a single product from the local catalog
+   *
+   * @param {string} [shopId] - Printify shop ID
+   * @param {string} productId - Printify product ID
+   * @returns {Promise<Object|null>} Product in Printify API shape, or null
+   */
+  async getProduct(shopId, productId) {
+    const where = { id: String(productId) };
+
+    if (shopId) {
+      where.shop_id = String(shopId);
+    }
+
+    const product = await CatalogProduct.findOne({
+      where,
+      include: this._includes()
+    });
+
+    return product ? this.toPrintifyShape(product) : null;
+  }
+
+  /**
+   * Convert a CatalogProduct instance into the Printify API product shape
+   *
+   * @param {Object} product - CatalogProduct with variants, images and tags loaded
+   * @returns {Object} Plain product object
+   */
+  toPrintifyShape(product) {
+    const images = (product.images || [])
+      .slice()
+      .sort((a, b) => a.sort_order - b.sort_order)
+      .map(image => ({
+        src: image.src,
+        position: image.position,
+        is_default: image.is_default,
+        variant_ids: image.variant_ids || []
+      }));
+
+    const variants = (product.variants || [])
+      .slice()
+      .sort((a, b) => a.printify_variant_id - b.printify_variant_id)
+      .map(variant => ({
+        id: variant.printify_variant_id,
+        title: variant.title,
+        sku: variant.sku,
+        price: variant.price,
+        cost: variant.cost,
+        grams: variant.grams,
+        is_enabled: variant.is_enabled,
+        is_available: variant.is_available,
+        is_default: variant.is_default,
+        options: variant.options || []
+      }));
+
+    return {
+      id: product.id,
+      shop_id: product.shop_id,
+      title: product.title,
+      description: product.description || '',
+      visible: product.visible,
+      is_locked: product.is_locked,
+      blueprint_id: product.blueprint_id,
+      print_provider_id: product.print_provider_id,
+      options: product.options || [],
+      tags: (product.tags || []).map(tag => tag.tag),
+      images,
+      variants,
+      created_at: product.printify_created_at ? product.printify_created_at.toISOString() : null,
+      updated_at: product.printify_updated_at ? product.printify_updated_at.toISOString() : null,
+      last_synced_at: product.last_synced_at
+    };
+  }
+}
+
+module.exports = new CatalogService();
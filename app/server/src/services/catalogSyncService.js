@@ -0,0 +1,526 @@
+/**
+ * Catalog Sync Service
+ *
+ * Copies the Printify catalog (products, variants, images and tags) into the
+ * local catalog tables. Runs on a schedule, on demand from the admin API, and
+ * for single products when we learn that one changed.
+ *
+ * - Incremental: each product's synced fields are hashed and unchanged
+ *   products are skipped without touching the database.
+ * - Deletion detection: after a complete walk of the Printify catalog, local
+ *   products that were not seen are soft-deleted.
+ * - One full sync per shop at a time, across server instances: a run claims
+ *   the shop in its unique active_shop_id column and touches its row after
+ *   every page. A run that stopped touching it for staleRunMinutes (its
+ *   instance died) is marked failed so the next sync can start.
+ *
+ * @module services/catalogSyncService
+ */
+
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const {
+  sequelize,
+  CatalogProduct,
+  CatalogVariant,
+  CatalogImage,
+  CatalogProductTag,
+  CatalogSyncRun
+} = require('../models');
+const printifyService = require('./printifyService');
+const schedulerService = require('./schedulerService');
+const eventService = require('./EventService');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 50; // Printify's maximum page size for product listings
+const DEFAULT_INTERVAL_MINUTES = 30;
+const DEFAULT_STALE_RUN_MINUTES = 30;
+const SCHEDULE_JOB_NAME = 'catalog-sync';
+
+/**
+ * Catalog change events emitted on the shared event bus
+ */
+const CATALOG_EVENTS = {
+  PRODUCT_CREATED: 'catalog.product.created',
+  PRODUCT_UPDATED: 'catalog.product.updated',
+  PRODUCT_DELETED: 'catalog.product.deleted',
+  SYNC_COMPLETED: 'catalog.sync.completed'
+};
+
+class CatalogSyncService {
+  constructor() {
+    this.logger = logger.child({ component: 'CatalogSyncService' });
+    this.activeRun = null;
+    this.staleRunMinutes = applicationConfig.integration?.printify?.catalogSync?.staleRunMinutes
+      || DEFAULT_STALE_RUN_MINUTES;
+  }
+
+  /**
+   * Convert a raw Printify product into the rows we store locally
+   *
+   * @param {Object} raw - Product as returned by the Printify API
+   * @param {string} shopId - Shop the product belongs to
+   * @returns {Object} { product, variants, images, tags }
+   */
+  normalizeProduct(raw, shopId) {
+    const variants = (Array.isArray(raw.variants) ? raw.variants : []).map(variant => ({
+      printify_variant_id: variant.id,
+      title: variant.title || null,
+      sku: variant.sku || null,
+      price: Number.isFinite(Number(variant.price)) ? Math.round(Number(variant.price)) : 0,
+      cost: Number.isFinite(Number(variant.cost)) ? Math.round(Number(variant.cost)) : null,
+      grams: variant.grams ?? null,
+      is_enabled: variant.is_enabled !== false,
+      is_available: variant.is_available !== false,
+      is_default: variant.is_default === true,
+      options: Array.isArray(variant.options) ? variant.options : []
+    }));
+
+    const images = (Array.isArray(raw.images) ? raw.images : [])
+      .filter(image => image && image.src)
+      .map((image, index) => ({
+        src: image.src,
+        position: image.position || null,
+        is_default: image.is_default === true,
+        variant_ids: Array.isArray(image.variant_ids) ? image.variant_ids : [],
+        sort_order: index
+      }));
+
+    // Tags are compared case-insensitively everywhere, so store them that way
+    const tags = Array.from(new Set(
+      (Array.isArray(raw.tags) ? raw.tags : [])
+        .filter(tag => typeof tag === 'string' && tag.trim())
+        .map(tag => tag.trim().toLowerCase())
+    ));
+
+    const product = {
+      id: String(raw.id),
+      shop_id: String(raw.shop_id || shopId),
+      title: raw.title || 'Untitled Product',
+      description: raw.description || '',
+      visible: raw.visible === true,
+      is_locked: raw.is_locked === true,
+      blueprint_id: raw.blueprint_id || null,
+      print_provider_id: raw.print_provider_id || null,
+      options: Array.isArray(raw.options) ? raw.options : [],
+      printify_created_at: raw.created_at ? new Date(raw.created_at) : null,
+      printify_updated_at: raw.updated_at ? new Date(raw.updated_at) : null
+    };
+
+    product.content_hash = this.computeContentHash({ product, variants, images, tags });
+
+    return { product, variants, images, tags };
+  }
+
+  /**
+   * Hash the synced fields of a normalized product
+   * Timestamps are left out so a product only counts as changed when
+   * something we store actually changed.
+   *
+   * @param {Object} normalized - Output of normalizeProduct (hash may be absent)
+   * @returns {string} SHA-1 hex digest
+   */
+  computeContentHash({ product, variants, images, tags }) {
+    const { content_hash, printify_created_at, printify_updated_at, ...fields } = product;
+
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ fields, variants, images, tags }))
+      .digest('hex');
+  }
+
+  /**
+   * Decide what to do with a remote product given what we have locally
+   *
+   * @param {Object} normalized - Output of normalizeProduct
+   * @param {Object|undefined} existing - Local row ({ content_hash, deleted_at }) or undefined
+   * @returns {string} 'created' | 'updated' | 'unchanged'
+   */
+  classifyChange(normalized, existing) {
+    if (!existing) return 'created';
+    if (existing.deleted_at) return 'updated'; // Product came back, restore it
+    return existing.content_hash === normalized.product.content_hash ? 'unchanged' : 'updated';
+  }
+
+  /**
+   * Whether a full sync is currently running on this instance
+   * @returns {boolean}
+   */
+  isRunning() {
+    return !!this.activeRun;
+  }
+
+  /**
+   * Run a full catalog sync and wait for it to finish
+   *
+   * @param {Object} [options]
+   * @param {string} [options.trigger='schedule'] - What started the sync
+   * @param {string} [options.userId] - User who requested a manual sync
+   * @param {string} [options.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @returns {Promise<Object>} Finished CatalogSyncRun
+   */
+  async syncCatalog(options = {}) {
+    const run = await this._beginRun(options);
+    return this._executeRun(run);
+  }
+
+  /**
+   * Start a full catalog sync in the background
+   * Used by the admin endpoint so the request returns before Heroku's router timeout.
+   *
+   * @param {Object} [options] - Same as syncCatalog
+   * @returns {Promise<Object>} The CatalogSyncRun that was started
+   */
+  async startSync(options = {}) {
+    const run = await this._beginRun(options);
+
+    this._executeRun(run).catch(error => {
+      this.logger.error('Background catalog sync failed', { runId: run.id, error: error.message });
+    });
+
+    return run;
+  }
+
+  /**
+   * Sync a single product from Printify
+   * A 404 from Printify means the product was deleted there.
+   *
+   * @param {string} productId - Printify product ID
+   * @param {Object} [options]
+   * @param {string} [options.shopId] - Printify shop
+   * @returns {Promise<string>} 'created' | 'updated' | 'unchanged' | 'deleted'
+   */
+  async syncProduct(productId, { shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID } = {}) {
+    let raw;
+
+    try {
+      raw = await printifyService.getProductRaw(shopId, productId);
+    } catch (error) {
+      if (error.status === 404) {
+        const removed = await this.removeProduct(productId);
+        return removed ? 'deleted' : 'unchanged';
+      }
+      throw error;
+    }
+
+    const existing = await CatalogProduct.findByPk(String(productId), {
+      paranoid: false,
+      attributes: ['id', 'content_hash', 'deleted_at']
+    });
+
+    return this._applyProduct(this.normalizeProduct(raw, shopId), existing);
+  }
+
+  /**
+   * Soft-delete a product from the local catalog
+   *
+   * @param {string} productId - Printify product ID
+   * @returns {Promise<boolean>} true if a product was removed
+   */
+  async removeProduct(productId) {
+    const product = await CatalogProduct.findByPk(String(productId));
+
+    if (!product) return false;
+
+    await product.destroy();
+    this.logger.info(`Removed product ${productId} from local catalog`);
+    eventService.emit(CATALOG_EVENTS.PRODUCT_DELETED, { productId: product.id });
+
+    return true;
+  }
+
+  /**
+   * Get recent sync runs for the admin dashboard
+   * A run counts as running on any instance until it goes stale.
+   *
+   * @param {number} [limit=10] - Number of runs to return
+   * @returns {Promise<Object>} { running, activeRunId, lastCompletedAt, runs }
+   */
+  async getSyncStatus(limit = 10) {
+    const runs = await CatalogSyncRun.findAll({
+      order: [['started_at', 'DESC']],
+      limit
+    });
+
+    const lastCompleted = runs.find(run => run.status === 'completed');
+    const activeRun = await CatalogSyncRun.findOne({
+      where: { status: 'running', updated_at: { [Op.gte]: this._staleBefore() } },
+      order: [['started_at', 'DESC']]
+    });
+
+    return {
+      running: !!activeRun,
+      activeRunId: activeRun ? activeRun.id : null,
+      lastCompletedAt: lastCompleted ? lastCompleted.finished_at : null,
+      runs
+    };
+  }
+
+  /**
+   * Register the recurring sync with the scheduler using application config
+   * (integration.printify.catalogSync) with CATALOG_SYNC_INTERVAL_MINUTES as override.
+   */
+  registerSchedule() {
+    const syncConfig = applicationConfig.integration?.printify?.catalogSync || {};
+
+    if (syncConfig.enabled === false) {
+      this.logger.info('Scheduled catalog sync is disabled in configuration');
+      return;
+    }
+
+    const intervalMinutes = parseInt(
+      process.env.CATALOG_SYNC_INTERVAL_MINUTES || syncConfig.intervalMinutes || DEFAULT_INTERVAL_MINUTES,
+      10
+    );
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: intervalMinutes * 60 * 1000,
+      runOnStart: syncConfig.runOnStart !== false,
+      handler: async () => {
+        // A manual sync, here or on another instance, may already be walking the catalog
+        if (this.isRunning()) return;
+
+        try {
+          await this.syncCatalog({ trigger: 'schedule' });
+        } catch (error) {
+          if (error.statusCode !== 409) throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Create the run record and claim the sync slot
+   * The insert itself claims the shop (active_shop_id is unique), so two
+   * instances starting at once cannot both run. Stale runs are released
+   * first with a conditional update.
+   * @private
+   */
+  async _beginRun({ trigger = 'schedule', userId = null, shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID } = {}) {
+    if (this.activeRun) {
+      throw createError('A catalog sync is already running', 409, { runId: this.activeRun.id });
+    }
+
+    if (!shopId) {
+      throw createError('DEFAULT_PRINTIFY_SHOP_ID is not configured', 500);
+    }
+
+    // Claim the slot before the first await so concurrent callers are rejected
+    this.activeRun = { id: null };
+
+    try {
+      await this._releaseStaleRuns(String(shopId));
+
+      const run = await CatalogSyncRun.create({
+        shop_id: String(shopId),
+        active_shop_id: String(shopId),
+        trigger,
+        status: 'running',
+        started_by: userId,
+        started_at: new Date()
+      });
+
+      this.activeRun = run;
+      return run;
+    } catch (error) {
+      this.activeRun = null;
+
+      if (error instanceof UniqueConstraintError) {
+        const running = await CatalogSyncRun.findOne({ where: { active_shop_id: String(shopId) } });
+        throw createError('A catalog sync is already running', 409, { runId: running ? running.id : null });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Mark runs of a shop that stopped reporting progress as failed, freeing
+   * the shop for a new run
+   * @private
+   */
+  async _releaseStaleRuns(shopId) {
+    const [released] = await CatalogSyncRun.update({
+      status: 'failed',
+      active_shop_id: null,
+      error_message: `No progress for ${this.staleRunMinutes} minutes, the instance running it likely stopped`,
+      finished_at: new Date()
+    }, {
+      where: {
+        active_shop_id: shopId,
+        status: 'running',
+        updated_at: { [Op.lt]: this._staleBefore() }
+      }
+    });
+
+    if (released) {
+      this.logger.warn('Released a stale catalog sync run', { shopId, staleRunMinutes: this.staleRunMinutes });
+    }
+  }
+
+  /**
+   * Runs not touched since this are stale
+   * @private
+   */
+  _staleBefore() {
+    return new Date(Date.now() - this.staleRunMinutes * 60 * 1000);
+  }
+
+  /**
+   * Walk every Printify page, apply changes and detect deletions
+   * @private
+   */
+  async _executeRun(run) {
+    const startTime = Date.now();
+    const counters = {
+      products_seen: 0,
+      products_created: 0,
+      products_updated: 0,
+      products_unchanged: 0,
+      products_deleted: 0
+    };
+
+    this.logger.info('Catalog sync started', { runId: run.id, trigger: run.trigger, shopId: run.shop_id });
+
+    try {
+      // Index of everything we have locally, including soft-deleted rows so
+      // products that reappear are restored rather than duplicated
+      const localProducts = await CatalogProduct.findAll({
+        where: { shop_id: run.shop_id },
+        paranoid: false,
+        attributes: ['id', 'content_hash', 'deleted_at']
+      });
+      const localIndex = new Map(localProducts.map(product => [product.id, product]));
+      const seenIds = new Set();
+
+      let page = 1;
+      let lastPage = 1;
+
+      do {
+        const result = await printifyService.getProductsPage(run.shop_id, { page, limit: PAGE_SIZE });
+        lastPage = result.lastPage;
+
+        for (const raw of result.data) {
+          if (!raw || !raw.id) continue;
+
+          const normalized = this.normalizeProduct(raw, run.shop_id);
+          seenIds.add(normalized.product.id);
+          counters.products_seen++;
+
+          const outcome = await this._applyProduct(normalized, localIndex.get(normalized.product.id));
+          counters[`products_${outcome}`]++;
+        }
+
+        // Progress so far; also keeps the run from looking stale
+        await run.update({ ...counters });
+
+        page++;
+      } while (page <= lastPage);
+
+      // Every page was read, so anything we didn't see is gone from Printify
+      for (const local of localProducts) {
+        if (!local.deleted_at && !seenIds.has(local.id)) {
+          if (await this.removeProduct(local.id)) {
+            counters.products_deleted++;
+          }
+        }
+      }
+
+      await run.update({
+        ...counters,
+        status: 'completed',
+        active_shop_id: null,
+        finished_at: new Date()
+      });
+
+      this.logger.info(
+        this.logger.response.business({
+          success: true,
+          message: 'Catalog sync completed',
+          data: { runId: run.id, ...counters }
+        }).withPerformanceMetrics({
+          duration: Date.now() - startTime
+        })
+      );
+
+      eventService.emit(CATALOG_EVENTS.SYNC_COMPLETED, { runId: run.id, ...counters });
+
+      return run;
+    } catch (error) {
+      await run.update({
+        ...counters,
+        status: 'failed',
+        active_shop_id: null,
+        error_message: error.message,
+        finished_at: new Date()
+      });
+
+      this.logger.error('Catalog sync failed', {
+        runId: run.id,
+        error: error.message,
+        stack: error.stack
+      });
+
+      throw error;
+    } finally {
+      this.activeRun = null;
+    }
+  }
+
+  /**
+   * Write one normalized product (and its children) if it changed
+   * @private
+   * @returns {Promise<string>} 'created' | 'updated' | 'unchanged'
+   */
+  async _applyProduct(normalized, existing) {
+    const outcome = this.classifyChange(normalized, existing);
+    const { product, variants, images, tags } = normalized;
+
+    if (outcome === 'unchanged') {
+      return outcome;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (existing && existing.deleted_at) {
+        await CatalogProduct.restore({ where: { id: product.id }, transaction });
+      }
+
+      await CatalogProduct.upsert({
+        ...product,
+        last_synced_at: new Date()
+      }, { transaction });
+
+      // Children are small, so replacing them is simpler than diffing
+      await CatalogVariant.destroy({ where: { product_id: product.id }, transaction });
+      await CatalogImage.destroy({ where: { product_id: product.id }, transaction });
+      await CatalogProductTag.destroy({ where: { product_id: product.id }, transaction });
+
+      await CatalogVariant.bulkCreate(
+        variants.map(variant => ({ ...variant, product_id: product.id })),
+        { transaction }
+      );
+      await CatalogImage.bulkCreate(
+        images.map(image => ({ ...image, product_id: product.id })),
+        { transaction }
+      );
+      await CatalogProductTag.bulkCreate(
+        tags.map(tag => ({ tag, product_id: product.id })),
+        { transaction }
+      );
+    });
+
+    eventService.emit(
+      outcome === 'created' ? CATALOG_EVENTS.PRODUCT_CREATED : CATALOG_EVENTS.PRODUCT_UPDATED,
+      { productId: product.id, visible: product.visible }
+    );
+
+    return outcome;
+  }
+}
+
+const catalogSyncService = new CatalogSyncService();
+
+module.exports = catalogSyncService;
+module.exports.CATALOG_EVENTS = CATALOG_EVENTS;
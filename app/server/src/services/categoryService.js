@@ -0,0 +1,517 @@
+/**
+ * Category Service
+ *
+ * Manages the storefront category taxonomy and works out which categories a
+ * catalog product belongs to. Products are never assigned by hand: a product
+ * is in a category when one of its tags or its blueprint matches one of the
+ * category's rules, and it is also in every ancestor of that category.
+ *
+ * Rule matching runs against an in-memory snapshot of the taxonomy that is
+ * rebuilt after any change.
+ *
+ * @module services/categoryService
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Category, CategoryRule } = require('../models');
+const catalogService = require('./catalogService');
+const eventService = require('./EventService');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Events emitted on the shared event bus
+ */
+const CATEGORY_EVENTS = {
+  CHANGED: 'catalog.categories.changed'
+};
+
+const RULE_TYPES = ['tag', 'blueprint'];
+
+/**
+ * Turn a name into a URL slug ("Home Decor" -> "home-decor")
+ * @param {string} value - Text to slugify
+ * @returns {string} The slug
+ */
+const slugify = (value) => {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+class CategoryService {
+  constructor() {
+    this.logger = logger.child({ component: 'CategoryService' });
+    this.snapshot = null;
+    this.loading = null;
+  }
+
+  /**
+   * Get every category as a flat list, with its rules
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeInactive=true] - Include inactive categories
+   * @returns {Promise<Array>} Categories ordered by display_order
+   */
+  async listCategories({ includeInactive = true } = {}) {
+    return Category.findAll({
+      where: includeInactive ? {} : { is_active: true },
+      include: [{ model: CategoryRule, as: 'rules' }],
+      order: [['display_order', 'ASC'], ['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a category by ID or slug
+   *
+   * @param {string} idOrSlug - Category UUID or slug
+   * @returns {Promise<Object>} Category with rules and children
+   * @throws {APIError} 404 if not found
+   */
+  async getCategory(idOrSlug) {
+    const category = await Category.findOne({
+      where: { [Op.or]: [{ id: idOrSlug }, { slug: idOrSlug }] },
+      include: [
+        { model: CategoryRule, as: 'rules' },
+        { model: Category, as: 'children' }
+      ]
+    });
+
+    if (!category) {
+      throw createNotFoundError('Category', idOrSlug);
+    }
+
+    return category;
+  }
+
+  /**
+   * Get the active category tree with product counts for the storefront
+   * A category's count includes products in its subcategories.
+   *
+   * @param {string} [shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @returns {Promise<Array>} Top-level categories with nested children
+   */
+  async getCategoryTree(shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID) {
+    const resolve = await this.getResolver();
+    const products = await catalogService.getProducts(shopId);
+
+    const counts = new Map();
+    products
+      .filter(product => product.visible === true)
+      .forEach(product => {
+        resolve(product).forEach(slug => counts.set(slug, (counts.get(slug) || 0) + 1));
+      });
+
+    const nodes = new Map();
+    this.snapshot.categories.forEach(category => {
+      nodes.set(category.id, {
+        id: category.slug,
+        categoryId: category.id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        imageUrl: category.image_url,
+        displayOrder: category.display_order,
+        count: counts.get(category.slug) || 0,
+        children: []
+      });
+    });
+
+    const roots = [];
+    this.snapshot.categories.forEach(category => {
+      const node = nodes.get(category.id);
+      const parent = category.parent_id && nodes.get(category.parent_id);
+
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Create a category
+   *
+   * @param {Object} data - name, slug, description, image_url, parent_id, display_order, is_active
+   * @returns {Promise<Object>} The created category
+   */
+  async createCategory(data) {
+    const slug = data.slug ? slugify(data.slug) : slugify(data.name);
+
+    if (!slug) {
+      throw createError('Category name must contain letters or numbers', 400);
+    }
+
+    await this._assertSlugAvailable(slug);
+
+    if (data.parent_id) {
+      await this._findOrFail(data.parent_id, 'Parent category');
+    }
+
+    const category = await Category.create({
+      parent_id: data.parent_id || null,
+      name: data.name,
+      slug,
+      description: data.description || null,
+      image_url: data.image_url || null,
+      display_order: data.display_order ?? 0,
+      is_active: data.is_active !== false
+    });
+
+    this._changed();
+    return category;
+  }
+
+  /**
+   * Update a category
+   *
+   * @param {string} categoryId - Category UUID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} The updated category
+   */
+  async updateCategory(categoryId, data) {
+    const category = await this._findOrFail(categoryId);
+    const updates = { ...data };
+
+    if (updates.slug !== undefined) {
+      updates.slug = slugify(updates.slug);
+
+      if (!updates.slug) {
+        throw createError('Slug must contain letters or numbers', 400);
+      }
+
+      if (updates.slug !== category.slug) {
+        await this._assertSlugAvailable(updates.slug);
+      }
+    }
+
+    if (updates.parent_id) {
+      await this._findOrFail(updates.parent_id, 'Parent category');
+
+      if (await this._isDescendantOrSelf(updates.parent_id, category.id)) {
+        throw createError('A category cannot be moved under itself or one of its subcategories', 400);
+      }
+    }
+
+    await category.update(updates);
+
+    this._changed();
+    return category;
+  }
+
+  /**
+   * Delete a category
+   * Its subcategories move up to its parent and its rules are removed.
+   *
+   * @param {string} categoryId - Category UUID
+   * @returns {Promise<void>}
+   */
+  async deleteCategory(categoryId) {
+    const category = await this._findOrFail(categoryId);
+
+    await sequelize.transaction(async (transaction) => {
+      await Category.update(
+        { parent_id: category.parent_id },
+        { where: { parent_id: category.id }, transaction }
+      );
+      await CategoryRule.destroy({ where: { category_id: category.id }, transaction });
+      await category.destroy({ transaction });
+    });
+
+    this._changed();
+  }
+
+  /**
+   * Add a mapping rule to a category
+   *
+   * @param {string} categoryId - Category UUID
+   * @param {Object} rule - { rule_type: 'tag'|'blueprint', match_value }
+   * @returns {Promise<Object>} The created rule
+   */
+  async addRule(categoryId, { rule_type, match_value }) {
+    await this._findOrFail(categoryId);
+
+    if (!RULE_TYPES.includes(rule_type)) {
+      throw createError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`, 400);
+    }
+
+    const value = String(match_value ?? '').trim().toLowerCase();
+
+    if (!value) {
+      throw createError('Rule match value is required', 400);
+    }
+
+    if (rule_type === 'blueprint' && !/^\d+$/.test(value)) {
+      throw createError('Blueprint rules must match a numeric Printify blueprint ID', 400);
+    }
+
+    const existing = await CategoryRule.findOne({
+      where: { category_id: categoryId, rule_type, match_value: value }
+    });
+
+    if (existing) {
+      throw createError('This rule already exists for the category', 409, { ruleId: existing.id });
+    }
+
+    const rule = await CategoryRule.create({
+      category_id: categoryId,
+      rule_type,
+      match_value: value
+    });
+
+    this._changed();
+    return rule;
+  }
+
+  /**
+   * Remove a mapping rule from a category
+   *
+   * @param {string} categoryId - Category UUID
+   * @param {string} ruleId - Rule UUID
+   * @returns {Promise<void>}
+   */
+  async removeRule(categoryId, ruleId) {
+    const rule = await CategoryRule.findOne({
+      where: { id: ruleId, category_id: categoryId }
+    });
+
+    if (!rule) {
+      throw createNotFoundError('Category rule', ruleId);
+    }
+
+    await rule.destroy();
+    this._changed();
+  }
+
+  /**
+   * Get a function that maps a product to the slugs of its active categories
+   *
+   * @returns {Promise<Function>} (product) => string[]
+   */
+  async getResolver() {
+    await this._ensureSnapshot();
+    const snapshot = this.snapshot;
+
+    return (product) => this._resolve(product, snapshot);
+  }
+
+  /**
+   * Get active categories keyed by slug, for labelling facets
+   *
+   * @returns {Promise<Map<string, Object>>} slug -> { name, parentSlug, displayOrder, depth }
+   */
+  async getCategoryLabels() {
+    await this._ensureSnapshot();
+    const labels = new Map();
+
+    this.snapshot.categories.forEach(category => {
+      const parent = category.parent_id && this.snapshot.byId.get(category.parent_id);
+
+      labels.set(category.slug, {
+        name: category.name,
+        parentSlug: parent ? parent.slug : null,
+        displayOrder: category.display_order,
+        depth: this._ancestors(category, this.snapshot).length
+      });
+    });
+
+    return labels;
+  }
+
+  /**
+   * Get the categories a single product belongs to
+   * The primary category is the most specific (deepest) match.
+   *
+   * @param {Object} product - Product in Printify API shape
+   * @returns {Promise<Object>} { primary: { slug, name } | null, slugs }
+   */
+  async getProductCategories(product) {
+    await this._ensureSnapshot();
+    const snapshot = this.snapshot;
+    const slugs = this._resolve(product, snapshot);
+
+    let primary = null;
+    let primaryDepth = -1;
+
+    snapshot.categories
+      .filter(category => slugs.includes(category.slug))
+      .forEach(category => {
+        const depth = this._ancestors(category, snapshot).length;
+
+        if (depth > primaryDepth) {
+          primary = { slug: category.slug, name: category.name };
+          primaryDepth = depth;
+        }
+      });
+
+    return { primary, slugs };
+  }
+
+  /**
+   * Match a product against the snapshot
+   * @private
+   */
+  _resolve(product, snapshot) {
+    const matched = new Set();
+
+    (product.tags || []).forEach(tag => {
+      (snapshot.byTag.get(String(tag).toLowerCase()) || []).forEach(id => matched.add(id));
+    });
+
+    if (product.blueprint_id) {
+      (snapshot.byBlueprint.get(String(product.blueprint_id)) || []).forEach(id => matched.add(id));
+    }
+
+    const slugs = new Set();
+    matched.forEach(id => {
+      const category = snapshot.byId.get(id);
+      if (!category) return;
+
+      slugs.add(category.slug);
+      this._ancestors(category, snapshot).forEach(ancestor => slugs.add(ancestor.slug));
+    });
+
+    return Array.from(slugs);
+  }
+
+  /**
+   * Active ancestors of a category, nearest first
+   * An inactive ancestor hides everything below it.
+   * @private
+   */
+  _ancestors(category, snapshot) {
+    const ancestors = [];
+    const seen = new Set([category.id]);
+    let parentId = category.parent_id;
+
+    while (parentId && !seen.has(parentId)) {
+      const parent = snapshot.byId.get(parentId);
+      if (!parent) break;
+
+      ancestors.push(parent);
+      seen.add(parentId);
+      parentId = parent.parent_id;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Load the active categories and their rules into memory
+   * @private
+   */
+  async _ensureSnapshot() {
+    if (this.snapshot) return;
+
+    if (!this.loading) {
+      this.loading = this._loadSnapshot().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * @private
+   */
+  async _loadSnapshot() {
+    const all = await this.listCategories({ includeInactive: true });
+    const allById = new Map(all.map(category => [category.id, category]));
+
+    // A category is only visible if it and all of its ancestors are active
+    const isVisible = (category) => {
+      const seen = new Set();
+      let current = category;
+
+      while (current) {
+        if (!current.is_active || seen.has(current.id)) return false;
+        seen.add(current.id);
+        current = current.parent_id ? allById.get(current.parent_id) : null;
+      }
+
+      return true;
+    };
+
+    const categories = all.filter(isVisible);
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const byTag = new Map();
+    const byBlueprint = new Map();
+
+    categories.forEach(category => {
+      (category.rules || []).forEach(rule => {
+        const index = rule.rule_type === 'blueprint' ? byBlueprint : byTag;
+
+        if (!index.has(rule.match_value)) {
+          index.set(rule.match_value, []);
+        }
+        index.get(rule.match_value).push(category.id);
+      });
+    });
+
+    this.snapshot = { categories, byId, byTag, byBlueprint };
+  }
+
+  /**
+   * Drop the snapshot and tell listeners (the search index) to refresh
+   * @private
+   */
+  _changed() {
+    this.snapshot = null;
+    eventService.emit(CATEGORY_EVENTS.CHANGED, {});
+  }
+
+  /**
+   * @private
+   */
+  async _findOrFail(categoryId, resource = 'Category') {
+    const category = await Category.findByPk(categoryId);
+
+    if (!category) {
+      throw createNotFoundError(resource, categoryId);
+    }
+
+    return category;
+  }
+
+  /**
+   * @private
+   */
+  async _assertSlugAvailable(slug) {
+    const existing = await Category.findOne({ where: { slug }, paranoid: false });
+
+    if (existing) {
+      throw createError(`A category with the slug '${slug}' already exists`, 409, { categoryId: existing.id });
+    }
+  }
+
+  /**
+   * Whether candidateId is categoryId or one of its descendants
+   * @private
+   */
+  async _isDescendantOrSelf(candidateId, categoryId) {
+    const seen = new Set();
+    let currentId = candidateId;
+
+    while (currentId && !seen.has(currentId)) {
+      if (currentId === categoryId) return true;
+      seen.add(currentId);
+
+      const current = await Category.findByPk(currentId, { attributes: ['id', 'parent_id'] });
+      currentId = current ? current.parent_id : null;
+    }
+
+    return false;
+  }
+}
+
+module.exports = new CategoryService();
+module.exports.CATEGORY_EVENTS = CATEGORY_EVENTS;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.slugify = slugify;
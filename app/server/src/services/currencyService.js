@@ -0,0 +1,358 @@
+/**
+ * Currency Service
+ *
+ * Prices are kept in the shop's base currency (`features.shop.defaultCurrency`)
+ * and converted for customers who shop in another one. The currencies we
+ * sell in, their default exchange rates and their rounding rules are set
+ * under `features.currency` in config/application.json; admins keep the
+ * rates current in the exchange_rates table, which overrides the config.
+ *
+ * Rates are units of the currency per unit of the base currency. Product
+ * prices are rounded by the currency's rule, for example to the nearest
+ * 0.05 (`{ "increment": 0.05 }`) or to a price ending in .99
+ * (`{ "ending": 0.99 }`); shipping and fixed discounts are rounded to the
+ * cent. Only currencies with cents are supported, as amounts are handled in
+ * cents throughout.
+ *
+ * Orders keep the rate they were paid at, so sales can be reported in a
+ * single reporting currency.
+ *
+ * @module services/currencyService
+ */
+
+const { ExchangeRate } = require('../models');
+const cacheService = require('../utils/cacheService');
+const applicationConfig = require('../../config/application');
+const AuditService = require('./auditService');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG = {
+  reporting: null,
+  rateCacheMinutes: 10,
+  currencies: {},
+  // Country (ISO 3166-1 alpha-2) -> currency shown to visitors from there
+  countries: {}
+};
+
+const RATES_CACHE_KEY = 'currency:rates';
+
+class CurrencyService {
+  constructor() {
+    this.logger = logger.child({ component: 'CurrencyService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.currency || {})
+    };
+    this.base = String(applicationConfig.features?.shop?.defaultCurrency || 'USD').toUpperCase();
+  }
+
+  /**
+   * Currency prices are kept in
+   * @returns {string} ISO 4217 code, upper case
+   */
+  getBaseCurrency() {
+    return this.base;
+  }
+
+  /**
+   * Currency sales are reported in
+   * @returns {string}
+   */
+  getReportingCurrency() {
+    return String(this.config.reporting || this.base).toUpperCase();
+  }
+
+  /**
+   * Currencies customers can pay in, base currency first
+   * @returns {string[]}
+   */
+  getSupportedCurrencies() {
+    const codes = Object.keys(this.config.currencies).map(code => code.toUpperCase());
+    return [this.base, ...codes.filter(code => code !== this.base)];
+  }
+
+  /**
+   * @param {string} code
+   * @returns {boolean}
+   */
+  isSupported(code) {
+    return this.getSupportedCurrencies().includes(String(code || '').toUpperCase());
+  }
+
+  /**
+   * Current exchange rates, from the database over the config
+   * @returns {Promise<Object>} code -> units per unit of the base currency
+   */
+  async getRates() {
+    return cacheService.getOrSet(RATES_CACHE_KEY, this.config.rateCacheMinutes * 60, async () => {
+      const rates = { [this.base]: 1 };
+
+      for (const code of this.getSupportedCurrencies()) {
+        const configured = Number(this._settings(code).rate);
+        if (code !== this.base && configured > 0) rates[code] = configured;
+      }
+
+      for (const row of await ExchangeRate.findAll()) {
+        if (this.isSupported(row.currency) && row.currency !== this.base) {
+          rates[row.currency] = Number(row.rate);
+        }
+      }
+
+      return rates;
+    });
+  }
+
+  /**
+   * A currency to price a cart in, with its current rate
+   *
+   * @param {string} [code] - ISO 4217 code; the base currency when empty
+   * @returns {Promise<Object>} { code, currency: lower-case code for Stripe, rate, rounding, isBase }
+   * @throws {APIError} 400 for a currency we do not sell in or have no rate for
+   */
+  async getCurrency(code) {
+    const upper = String(code || this.base).toUpperCase();
+    const rate = this.isSupported(upper) ? (await this.getRates())[upper] : null;
+
+    if (!(rate > 0)) {
+      throw createError(`Currency ${upper} is not supported`, 400, {
+        currencies: this.getSupportedCurrencies()
+      }, `We cannot take payments in ${upper}.`);
+    }
+
+    return {
+      code: upper,
+      currency: upper.toLowerCase(),
+      rate,
+      rounding: this._settings(upper).rounding || null,
+      isBase: upper === this.base
+    };
+  }
+
+  /**
+   * Currencies for the storefront's currency picker
+   *
+   * @param {Object} [options]
+   * @param {string} [options.country] - Visitor's country, to suggest a currency
+   * @returns {Promise<Object>} { base, detected, currencies: [{ code, rate, rounding }] }
+   */
+  async getPublicCurrencies({ country = null } = {}) {
+    const rates = await this.getRates();
+    const currencies = this.getSupportedCurrencies()
+      .filter(code => rates[code] > 0)
+      .map(code => ({ code, rate: rates[code], rounding: this._settings(code).rounding || null }));
+    const suggested = country && this.config.countries[String(country).toUpperCase()];
+
+    return {
+      base: this.base,
+      detected: suggested && rates[suggested] > 0 ? suggested : this.base,
+      currencies
+    };
+  }
+
+  /**
+   * Convert cents of the base currency, rounded to the cent
+   *
+   * @param {number} cents - Amount in the base currency
+   * @param {Object} currency - Result of getCurrency
+   * @returns {number} Cents of the currency
+   */
+  convert(cents, currency) {
+    return currency.isBase ? cents : Math.round(cents * currency.rate);
+  }
+
+  /**
+   * Convert a product price, rounded by the currency's rule
+   *
+   * @param {number} cents - Unit price in the base currency
+   * @param {Object} currency - Result of getCurrency
+   * @returns {number} Cents of the currency
+   */
+  convertPrice(cents, currency) {
+    if (currency.isBase) return cents;
+
+    const converted = Math.round(cents * currency.rate);
+    const { increment, ending } = currency.rounding || {};
+
+    if (Number(ending) >= 0 && Number(ending) < 1) {
+      const end = Math.round(Number(ending) * 100);
+      const below = Math.floor((converted - end) / 100) * 100 + end;
+      const price = converted - below < below + 100 - converted ? below : below + 100;
+      return Math.max(price, end);
+    }
+
+    if (Number(increment) > 0) {
+      const step = Math.round(Number(increment) * 100);
+      return Math.max(Math.round(converted / step) * step, step);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Format cents for messages shown to customers, like "$12.50" or "€11.99"
+   *
+   * @param {number} cents
+   * @param {string} [code] - ISO 4217 code (base currency by default)
+   * @returns {string}
+   */
+  format(cents, code = this.base) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: String(code || this.base).toUpperCase() })
+      .format(cents / 100);
+  }
+
+  /**
+   * Price a cart priced by pricingService in another currency
+   * Price changes stay in the base currency the storefront cart is kept in.
+   *
+   * @param {Object} pricing - Result of pricingService.priceCart
+   * @param {Object} currency - Result of getCurrency
+   * @returns {Object} pricing with lines and subtotal in the currency
+   */
+  convertPricing(pricing, currency) {
+    if (currency.isBase) return pricing;
+
+    const items = pricing.items.map(item => {
+      const unitAmount = this.convertPrice(item.unitAmount, currency);
+      return { ...item, unitAmount, price: unitAmount / 100 };
+    });
+
+    return {
+      ...pricing,
+      items,
+      subtotal: items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0)
+    };
+  }
+
+  /**
+   * Amount paid in a currency, in the reporting currency
+   *
+   * @param {number} amount - Amount in the order's currency
+   * @param {number} exchangeRate - Rate the order was paid at (currency per base unit)
+   * @param {Object} rates - Result of getRates
+   * @returns {number} Amount in the reporting currency, unrounded
+   */
+  toReporting(amount, exchangeRate, rates) {
+    const inBase = Number(amount || 0) / (Number(exchangeRate) || 1);
+    return inBase * (rates[this.getReportingCurrency()] || 1);
+  }
+
+  /**
+   * Exchange rates with where each comes from, for admins
+   * @returns {Promise<Array>} [{ currency, rate, source: 'base'|'database'|'config', rounding, updatedAt, updatedBy }]
+   */
+  async listRates() {
+    const rows = new Map((await ExchangeRate.findAll()).map(row => [row.currency, row]));
+
+    return this.getSupportedCurrencies().map(code => {
+      const row = code === this.base ? null : rows.get(code);
+      const configured = Number(this._settings(code).rate) || null;
+
+      return {
+        currency: code,
+        rate: code === this.base ? 1 : (row ? Number(row.rate) : configured),
+        source: code === this.base ? 'base' : (row ? 'database' : 'config'),
+        rounding: this._settings(code).rounding || null,
+        updatedAt: row?.updated_at || null,
+        updatedBy: row?.updated_by || null
+      };
+    });
+  }
+
+  /**
+   * Set the exchange rate of a currency
+   *
+   * @param {string} code
+   * @param {number} rate - Units of the currency per unit of the base currency
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin setting it
+   * @param {Object} [options.req] - Request, for the audit log
+   * @returns {Promise<Object>} The exchange rate row
+   * @throws {APIError} 400 for the base currency or an unsupported one
+   */
+  async setRate(code, rate, { user = null, req = null } = {}) {
+    const currency = this._assertEditable(code);
+    const existing = await ExchangeRate.findOne({ where: { currency } });
+    const oldValues = existing ? { rate: Number(existing.rate) } : null;
+
+    const row = existing
+      ? await existing.update({ rate, updated_by: user?.id || null })
+      : await ExchangeRate.create({ currency, rate, updated_by: user?.id || null });
+
+    cacheService.del(RATES_CACHE_KEY);
+
+    await AuditService.create({
+      action: existing ? AuditService.ACTIONS.UPDATE : AuditService.ACTIONS.CREATE,
+      entityType: AuditService.ENTITIES.EXCHANGE_RATE,
+      entityId: row.id,
+      oldValues,
+      newValues: { currency, rate },
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    this.logger.info('Exchange rate set', { currency, rate, previous: oldValues?.rate ?? null });
+
+    return row;
+  }
+
+  /**
+   * Remove an admin-set rate, going back to the rate in the config
+   *
+   * @param {string} code
+   * @param {Object} [options]
+   * @param {Object} [options.user]
+   * @param {Object} [options.req]
+   * @throws {APIError} 404 when no rate was set
+   */
+  async deleteRate(code, { user = null, req = null } = {}) {
+    const currency = this._assertEditable(code);
+    const row = await ExchangeRate.findOne({ where: { currency } });
+
+    if (!row) {
+      throw createNotFoundError('Exchange rate', currency);
+    }
+
+    await row.destroy();
+    cacheService.del(RATES_CACHE_KEY);
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.DELETE,
+      entityType: AuditService.ENTITIES.EXCHANGE_RATE,
+      entityId: row.id,
+      oldValues: { currency, rate: Number(row.rate) },
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+  }
+
+  /**
+   * @private
+   */
+  _settings(code) {
+    const key = Object.keys(this.config.currencies).find(entry => entry.toUpperCase() === code);
+    return key ? this.config.currencies[key] || {} : {};
+  }
+
+  /**
+   * @private
+   * @returns {string} Upper-case code
+   */
+  _assertEditable(code) {
+    const currency = String(code || '').toUpperCase();
+
+    if (currency === this.base) {
+      throw createError('The base currency has no exchange rate', 400);
+    }
+
+    if (!this.isSupported(currency)) {
+      throw createError(`Currency ${currency} is not supported`, 400, { currencies: this.getSupportedCurrencies() });
+    }
+
+    return currency;
+  }
+}
+
+module.exports = new CurrencyService();
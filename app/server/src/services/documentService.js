@@ -0,0 +1,538 @@
+/**
+ * Document Service
+ *
+ * Renders order documents as PDF: invoices (line items, discount, shipping,
+ * tax and the company details from config/application.json) for customers,
+ * and packing slips (what to pack and where it goes, without prices) for
+ * the team, bundled into a zip when several are printed at once.
+ *
+ * Documents are generated on request from the order and its items, so they
+ * always reflect the current order, e.g. a corrected shipping address.
+ *
+ * @module services/documentService
+ */
+
+const { Op } = require('sequelize');
+const { Order, OrderItem } = require('../models');
+const catalogService = require('./catalogService');
+const taxService = require('./taxService');
+const PdfDocument = require('../utils/pdfDocument');
+const { createZip } = require('../utils/zipArchive');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+// Leave room for the footer before starting a new page
+const PAGE_BOTTOM = 700;
+
+const COLORS = {
+  text: applicationConfig.brand?.colors?.dark || '#343a40',
+  muted: applicationConfig.brand?.colors?.secondary || '#6c757d',
+  shade: applicationConfig.brand?.colors?.light || '#f8f9fa',
+  rule: '#dee2e6'
+};
+
+// Order statuses printed on the invoice instead of "Paid"
+const STATUS_LABELS = {
+  pending: 'Awaiting payment',
+  paid: 'Paid',
+  failed: 'Payment failed',
+  refunded: 'Refunded',
+  cancelled: 'Cancelled'
+};
+
+class DocumentService {
+  constructor() {
+    this.logger = logger.child({ component: 'DocumentService' });
+    this.company = applicationConfig.company || {};
+  }
+
+  /**
+   * Collect everything printed on an invoice
+   *
+   * @param {Object} order - Order instance
+   * @returns {Promise<Object>} {
+   *   number, orderId, issuedAt, status, currency, billTo, shipTo,
+   *   shippingMethod, items: [{ title, variantTitle, quantity, unitPrice, amount }],
+   *   taxLines: [{ jurisdiction, type, rate, amount }],
+   *   totals: { subtotal, discount, giftCard, shipping, tax, total }
+   * }
+   */
+  async getInvoiceData(order) {
+    const [items, taxLines] = await Promise.all([
+      this._getItems(order),
+      taxService.getOrderTaxLines(order)
+    ]);
+    const totals = order.metadata?.totals || {};
+    const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      number: this.getInvoiceNumber(order),
+      orderId: order.id,
+      issuedAt: new Date(order.createdAt || Date.now()),
+      status: order.status,
+      currency: String(order.currency || 'usd').toUpperCase(),
+      billTo: [order.customerName, order.customerEmail].filter(Boolean),
+      shipTo: this._addressLines(order.shippingAddress),
+      shippingMethod: order.shippingMethod || null,
+      items,
+      taxLines,
+      totals: {
+        subtotal: this._round(totals.subtotal ?? subtotal),
+        discount: this._round(totals.discount ?? 0),
+        giftCard: this._round(totals.giftCard ?? order.giftCardAmount ?? 0),
+        shipping: this._round(order.shippingCost ?? totals.shipping ?? 0),
+        tax: this._round(totals.tax ?? order.taxAmount ?? 0),
+        total: this._round(order.totalAmount)
+      }
+    };
+  }
+
+  /**
+   * Invoice number of an order, stable across downloads
+   * @param {Object} order
+   * @returns {string} e.g. INV-20250401-1A2B3C4D
+   */
+  getInvoiceNumber(order) {
+    const date = new Date(order.createdAt || Date.now()).toISOString().slice(0, 10).replace(/-/g, '');
+    return `INV-${date}-${String(order.id).replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+  }
+
+  /**
+   * @param {Object} order
+   * @returns {string} Download file name of the invoice
+   */
+  getInvoiceFilename(order) {
+    return `invoice-${this.getInvoiceNumber(order)}.pdf`;
+  }
+
+  /**
+   * @param {Object} order
+   * @returns {string} Download file name of the packing slip
+   */
+  getPackingSlipFilename(order) {
+    return `packing-slip-${order.id}.pdf`;
+  }
+
+  /**
+   * Render an order's invoice
+   *
+   * @param {Object} order - Order instance
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderInvoice(order) {
+    const invoice = await this.getInvoiceData(order);
+    const format = this._currencyFormatter(invoice.currency);
+    const doc = new PdfDocument({
+      info: { title: `Invoice ${invoice.number}`, author: this.company.name }
+    });
+
+    doc.addPage();
+    let y = this._drawHeader(doc, 'INVOICE', [
+      ['Invoice', invoice.number],
+      ['Order', invoice.orderId],
+      ['Date', this._formatDate(invoice.issuedAt)],
+      ['Status', STATUS_LABELS[invoice.status] || invoice.status]
+    ]);
+
+    y = this._drawAddresses(doc, y, [
+      ['Bill to', invoice.billTo],
+      ['Ship to', invoice.shipTo]
+    ]);
+
+    const columns = [
+      { label: 'Item', x: MARGIN, width: 290 },
+      { label: 'Qty', x: 380, align: 'right' },
+      { label: 'Unit price', x: 470, align: 'right' },
+      { label: 'Amount', x: doc.width - MARGIN, align: 'right' }
+    ];
+
+    y = this._drawTable(doc, y, columns, invoice.items.map(item => [
+      item.variantTitle ? `${item.title} - ${item.variantTitle}` : item.title,
+      String(item.quantity),
+      format(item.unitPrice),
+      format(item.amount)
+    ]));
+
+    const { totals } = invoice;
+    const rows = [
+      ['Subtotal', format(totals.subtotal)],
+      totals.discount > 0 && ['Discount', `-${format(totals.discount)}`],
+      totals.giftCard > 0 && ['Gift card', `-${format(totals.giftCard)}`],
+      [invoice.shippingMethod ? `Shipping (${invoice.shippingMethod})` : 'Shipping', format(totals.shipping)],
+      // One row per jurisdiction when the order kept its tax lines
+      ...(invoice.taxLines.length
+        ? invoice.taxLines.map(line => [`${line.jurisdiction} tax (${this._formatRate(line.rate)})`, format(line.amount)])
+        : [['Tax', format(totals.tax)]])
+    ].filter(Boolean);
+
+    y = this._ensureSpace(doc, y + 10, (rows.length + 2) * ROW_HEIGHT);
+
+    for (const [label, value] of rows) {
+      doc.text(label, 380, y, { color: COLORS.muted, maxWidth: 120 });
+      doc.text(value, doc.width - MARGIN, y, { align: 'right', color: COLORS.text });
+      y += ROW_HEIGHT;
+    }
+
+    doc.line(380, y, doc.width - MARGIN, y, { color: COLORS.rule });
+    y += 6;
+    doc.text('Total', 380, y, { font: 'bold', size: 11, color: COLORS.text });
+    doc.text(format(totals.total), doc.width - MARGIN, y, { font: 'bold', size: 11, align: 'right', color: COLORS.text });
+    y += ROW_HEIGHT * 2;
+
+    if (invoice.status === 'refunded' || invoice.status === 'cancelled') {
+      doc.text(
+        `This order was ${invoice.status}. Refunds are returned to the original payment method.`,
+        MARGIN,
+        y,
+        { color: COLORS.muted }
+      );
+    }
+
+    this._drawFooters(doc, 'Thank you for your order!');
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Render an order's packing slip
+   *
+   * @param {Object} order - Order instance
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPackingSlip(order) {
+    const items = await this._getItems(order);
+    const doc = new PdfDocument({
+      info: { title: `Packing slip ${order.id}`, author: this.company.name }
+    });
+
+    doc.addPage();
+    let y = this._drawHeader(doc, 'PACKING SLIP', [
+      ['Order', order.id],
+      ['Date', this._formatDate(new Date(order.createdAt || Date.now()))],
+      ['Shipping', order.shippingMethod || 'Standard'],
+      order.printifyOrderId && ['Printify', order.printifyOrderId]
+    ].filter(Boolean));
+
+    y = this._drawAddresses(doc, y, [
+      ['Ship to', this._addressLines(order.shippingAddress)],
+      ['Customer', [order.customerName, order.customerEmail].filter(Boolean)]
+    ]);
+
+    const columns = [
+      { label: 'Item', x: MARGIN, width: 210 },
+      { label: 'Variant', x: 270, width: 115 },
+      { label: 'Product / variant', x: 395, width: 125, size: 7 },
+      { label: 'Qty', x: doc.width - MARGIN, align: 'right' }
+    ];
+
+    y = this._drawTable(doc, y, columns, items.map(item => [
+      item.title,
+      item.variantTitle || '',
+      `${item.productId} / ${item.variantId}`,
+      String(item.quantity)
+    ]));
+
+    const count = items.reduce((sum, item) => sum + item.quantity, 0);
+    doc.text(`${count} ${count === 1 ? 'item' : 'items'}`, doc.width - MARGIN, y + 6, {
+      font: 'bold',
+      align: 'right',
+      color: COLORS.text
+    });
+
+    this._drawFooters(doc, 'Questions about your order? Contact us and quote the order number above.');
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Render packing slips for several orders into one zip
+   *
+   * @param {Array} orders - Order instances
+   * @returns {Promise<Buffer>} Zip with one PDF per order
+   */
+  async renderPackingSlips(orders) {
+    const entries = [];
+
+    for (const order of orders) {
+      entries.push({
+        name: this.getPackingSlipFilename(order),
+        data: await this.renderPackingSlip(order)
+      });
+    }
+
+    this.logger.info(`Rendered ${entries.length} packing slips`);
+
+    return createZip(entries);
+  }
+
+  /**
+   * Find orders for bulk packing slips by our order ID or their Printify order ID
+   *
+   * @param {string[]} orderIds
+   * @returns {Promise<Array>} Orders in the requested order
+   * @throws 404 listing any IDs that match no order
+   */
+  async findOrders(orderIds) {
+    const ids = [...new Set(orderIds.map(String))];
+    const orders = await Order.findAll({
+      where: {
+        [Op.or]: [
+          { id: { [Op.in]: ids } },
+          { printifyOrderId: { [Op.in]: ids } }
+        ]
+      }
+    });
+
+    const byId = new Map();
+    for (const order of orders) {
+      byId.set(String(order.id), order);
+      if (order.printifyOrderId) byId.set(String(order.printifyOrderId), order);
+    }
+
+    const missing = ids.filter(id => !byId.has(id));
+
+    if (missing.length) {
+      throw createError(`No orders found for ${missing.length} of the requested IDs`, 404, { missing });
+    }
+
+    return [...new Set(ids.map(id => byId.get(id)))];
+  }
+
+  /**
+   * Load the order's lines with titles, falling back to the catalog for
+   * orders whose lines were stored without them
+   * @private
+   * @returns {Promise<Array>} [{ productId, variantId, title, variantTitle, quantity, unitPrice, amount }]
+   */
+  async _getItems(order) {
+    const rows = order.items || await OrderItem.findAll({
+      where: { order_id: order.id },
+      order: [['created_at', 'ASC']]
+    });
+    const products = new Map();
+
+    for (const row of rows) {
+      if ((!row.title || !row.variant_title) && !products.has(row.product_id)) {
+        const product = await catalogService.getProduct(null, row.product_id).catch(error => {
+          this.logger.warn(`Could not load product ${row.product_id} for order ${order.id}`, { error: error.message });
+          return null;
+        });
+        products.set(row.product_id, product);
+      }
+    }
+
+    return rows.map(row => {
+      const product = products.get(row.product_id);
+      const variant = (product?.variants || []).find(v => String(v.id) === String(row.variant_id));
+      const quantity = Number(row.quantity);
+      const unitPrice = Number(row.price);
+
+      return {
+        productId: row.product_id,
+        variantId: row.variant_id,
+        title: row.title || product?.title || `Product ${row.product_id}`,
+        variantTitle: row.variant_title || variant?.title || null,
+        quantity,
+        unitPrice,
+        amount: this._round(unitPrice * quantity)
+      };
+    });
+  }
+
+  /**
+   * Company block on the left, document title and details on the right
+   * @private
+   * @returns {number} Next y position
+   */
+  _drawHeader(doc, title, details) {
+    const company = this.company;
+    const address = company.address || {};
+    const right = doc.width - MARGIN;
+
+    doc.text(company.name || applicationConfig.application?.name, MARGIN, MARGIN, { font: 'bold', size: 16, color: COLORS.text });
+
+    const companyLines = [
+      [address.street, address.unit].filter(Boolean).join(', '),
+      [address.city, [address.state, address.zip].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+      address.country
+    ].filter(Boolean);
+
+    companyLines.forEach((line, index) => {
+      doc.text(line, MARGIN, MARGIN + 24 + index * 13, { size: 9, color: COLORS.muted });
+    });
+
+    doc.text(title, right, MARGIN, { font: 'bold', size: 18, align: 'right', color: COLORS.text });
+
+    details.forEach(([label, value], index) => {
+      const y = MARGIN + 28 + index * 14;
+      doc.text(String(value), right, y, { size: 9, align: 'right', color: COLORS.text, maxWidth: 200 });
+      doc.text(label, right - 210, y, { size: 9, align: 'right', color: COLORS.muted });
+    });
+
+    const bottom = MARGIN + 28 + Math.max(companyLines.length * 13, details.length * 14) + 14;
+    doc.line(MARGIN, bottom, right, bottom, { color: COLORS.rule });
+
+    return bottom + 18;
+  }
+
+  /**
+   * Side-by-side address blocks, e.g. bill to / ship to
+   * @private
+   * @returns {number} Next y position
+   */
+  _drawAddresses(doc, y, blocks) {
+    const columnWidth = (doc.width - MARGIN * 2) / blocks.length;
+    let height = 0;
+
+    blocks.forEach(([label, lines], index) => {
+      const x = MARGIN + index * columnWidth;
+      doc.text(label.toUpperCase(), x, y, { font: 'bold', size: 8, color: COLORS.muted });
+
+      lines.forEach((line, lineIndex) => {
+        doc.text(line, x, y + 14 + lineIndex * 13, { color: COLORS.text, maxWidth: columnWidth - 20 });
+      });
+
+      height = Math.max(height, 14 + lines.length * 13);
+    });
+
+    return y + height + 24;
+  }
+
+  /**
+   * Table with a shaded header row, repeated on every new page
+   * @private
+   * @returns {number} Next y position
+   */
+  _drawTable(doc, y, columns, rows) {
+    const drawHeaderRow = (top) => {
+      doc.rect(MARGIN, top, doc.width - MARGIN * 2, ROW_HEIGHT, { color: COLORS.shade });
+      columns.forEach(column => {
+        doc.text(column.label, column.x + (column.align === 'right' ? -6 : 6), top + 5, {
+          font: 'bold',
+          size: 9,
+          align: column.align,
+          color: COLORS.text
+        });
+      });
+      return top + ROW_HEIGHT + 4;
+    };
+
+    let top = drawHeaderRow(y);
+
+    for (const row of rows) {
+      if (top + ROW_HEIGHT > PAGE_BOTTOM) {
+        doc.addPage();
+        top = drawHeaderRow(MARGIN);
+      }
+
+      row.forEach((value, index) => {
+        const column = columns[index];
+        doc.text(value, column.x + (column.align === 'right' ? -6 : 6), top + 4, {
+          size: column.size,
+          align: column.align,
+          maxWidth: column.width,
+          color: COLORS.text
+        });
+      });
+
+      top += ROW_HEIGHT;
+      doc.line(MARGIN, top, doc.width - MARGIN, top, { color: COLORS.rule });
+    }
+
+    return top + 8;
+  }
+
+  /**
+   * Start a new page when the next block would not fit
+   * @private
+   * @returns {number} y position for the block
+   */
+  _ensureSpace(doc, y, height) {
+    if (y + height <= PAGE_BOTTOM) return y;
+
+    doc.addPage();
+    return MARGIN;
+  }
+
+  /**
+   * Message, contact details and page numbers at the bottom of every page
+   * @private
+   */
+  _drawFooters(doc, message) {
+    const company = this.company;
+    const contact = [company.website, company.supportEmail, this._formatPhone(company.phone)]
+      .filter(Boolean)
+      .join('  |  ');
+    const { pageCount } = doc;
+
+    for (let index = 0; index < pageCount; index += 1) {
+      doc.switchToPage(index);
+      doc.line(MARGIN, 730, doc.width - MARGIN, 730, { color: COLORS.rule });
+      doc.text(message, MARGIN, 738, { size: 8, color: COLORS.muted });
+      doc.text(contact, MARGIN, 750, { size: 8, color: COLORS.muted });
+      doc.text(`Page ${index + 1} of ${pageCount}`, doc.width - MARGIN, 750, { size: 8, align: 'right', color: COLORS.muted });
+    }
+  }
+
+  /**
+   * Lines of a shipping address as stored on orders (Stripe's shape)
+   * @private
+   * @returns {string[]}
+   */
+  _addressLines(shippingAddress) {
+    const address = shippingAddress?.address || {};
+
+    return [
+      shippingAddress?.name,
+      address.line1,
+      address.line2,
+      [address.city, [address.state, address.postal_code].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+      address.country
+    ].filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _currencyFormatter(currency) {
+    const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+    return amount => formatter.format(Number(amount) || 0);
+  }
+
+  /**
+   * @private
+   */
+  _formatDate(date) {
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  /**
+   * A tax rate as a percentage, e.g. 0.0725 as 7.25%
+   * @private
+   */
+  _formatRate(rate) {
+    return `${Number((Number(rate) * 100).toFixed(4))}%`;
+  }
+
+  /**
+   * @private
+   */
+  _formatPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length === 10
+      ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`
+      : phone || null;
+  }
+
+  /**
+   * @private
+   */
+  _round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+}
+
+module.exports = new DocumentService();
@@ -14,6 +14,10 @@ const logger = require('../utils/logger').createLogger({
 const config = require('../config');
 const contactInfo = require('../config/contact');
 
+// Escapes text customers typed, like gift card messages, for HTML emails
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
 // Initialize SendGrid with API key if available
 if (process.env.SENDGRID_API_KEY) {
   sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -678,6 +682,478 @@ class EmailService {
       throw error;
     }
   }
+
+  /**
+   * Send order cancellation email
+   * @param {Object} order - Cancelled order with customerEmail, customerName, totalAmount
+   * @param {Object} [details]
+   * @param {number} [details.refundAmount] - Amount refunded to the card in dollars
+   * @param {number} [details.storeCreditAmount] - Amount given back as store credit in dollars
+   * @param {string} [details.reason] - Why the order was cancelled
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendOrderCancellationEmail(order, { refundAmount = null, storeCreditAmount = null, reason = null } = {}) {
+    const firstName = (order.customerName || '').split(' ')[0] || 'there';
+    const refund = refundAmount !== null ? Number(refundAmount).toFixed(2) : null;
+    const storeCredit = storeCreditAmount !== null ? Number(storeCreditAmount).toFixed(2) : null;
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_ORDER_CANCELLED_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: order.customerEmail,
+          templateId: process.env.SENDGRID_ORDER_CANCELLED_TEMPLATE_ID,
+          dynamicTemplateData: {
+            first_name: firstName,
+            order_id: order.id,
+            order_date: new Date(order.createdAt).toLocaleDateString(),
+            refund_amount: refund,
+            store_credit_amount: storeCredit,
+            reason
+          },
+          categories: ['order-cancelled', 'transactional']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      const refundLine = [
+        refund && `A refund of $${refund} has been issued to your original payment method. It can take 5-10 business days to appear.`,
+        storeCredit && `The $${storeCredit} you paid with a gift card or store credit has been added to your store credit.`
+      ].filter(Boolean).join(' ') || 'No payment was taken for this order.';
+
+      return await this.sendEmail({
+        to: order.customerEmail,
+        subject: `ILYTAT Designs - Order #${order.id} Cancelled`,
+        html: `
+          <h1>Order Cancelled</h1>
+          <p>Hello ${firstName},</p>
+          <p>Your order #${order.id} has been cancelled${reason ? ` (${reason})` : ''}.</p>
+          <p>${refundLine}</p>
+          <p>If you did not request this cancellation, please contact our support team at ${process.env.SUPPORT_EMAIL || 'support@ilytatdesigns.com'}.</p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+        `,
+        text: `Hello ${firstName},\n\nYour order #${order.id} has been cancelled${reason ? ` (${reason})` : ''}.\n\n${refundLine}\n\nIf you did not request this cancellation, please contact our support team at ${process.env.SUPPORT_EMAIL || 'support@ilytatdesigns.com'}.\n\nBest regards,\nThe ILYTAT Designs Team`,
+        categories: ['order-cancelled', 'transactional']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending order cancellation email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a guest order confirmation with a link to view the order
+   * @param {Object} order - Guest order with customerEmail, customerName, totalAmount
+   * @param {string} accessUrl - Link that opens the order without an account
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendGuestOrderEmail(order, accessUrl) {
+    const firstName = (order.customerName || '').split(' ')[0] || 'there';
+    const total = Number(order.totalAmount).toFixed(2);
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_GUEST_ORDER_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: order.customerEmail,
+          templateId: process.env.SENDGRID_GUEST_ORDER_TEMPLATE_ID,
+          dynamicTemplateData: {
+            first_name: firstName,
+            order_id: order.id,
+            order_date: new Date(order.createdAt).toLocaleDateString(),
+            order_total: total,
+            access_url: accessUrl
+          },
+          categories: ['order-confirmation', 'guest-order', 'transactional']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: order.customerEmail,
+        subject: `ILYTAT Designs - Order Confirmation #${order.id}`,
+        html: `
+          <h1>Order Confirmation</h1>
+          <p>Hello ${firstName},</p>
+          <p>Thank you for your order! We've received your order #${order.id} and are processing it now.</p>
+          <p>Total: $${total}</p>
+          <p><a href="${accessUrl}">View your order</a> to follow its progress. Keep this link private: anyone with it can see your order.</p>
+          <p>Create an account with this email address and your order will be added to it once you verify your email.</p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+        `,
+        text: `Hello ${firstName},\n\nThank you for your order! We've received your order #${order.id} and are processing it now.\n\nTotal: $${total}\n\nView your order: ${accessUrl}\nKeep this link private: anyone with it can see your order.\n\nCreate an account with this email address and your order will be added to it once you verify your email.\n\nBest regards,\nThe ILYTAT Designs Team`,
+        categories: ['order-confirmation', 'guest-order', 'transactional']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending guest order email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a reminder with a link back to an abandoned cart
+   * @param {Object} cart - Cart with email, subtotal and items (title, variant_title, quantity, price)
+   * @param {string} recoveryUrl - Link that restores the cart
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendCartRecoveryEmail(cart, recoveryUrl) {
+    const items = cart.items || [];
+    const subtotal = Number(cart.subtotal).toFixed(2);
+    const describe = item => `${item.quantity} × ${item.title || 'Item'}${item.variant_title ? ` (${item.variant_title})` : ''}`;
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_CART_RECOVERY_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: cart.email,
+          templateId: process.env.SENDGRID_CART_RECOVERY_TEMPLATE_ID,
+          dynamicTemplateData: {
+            items: items.map(item => ({
+              title: item.title,
+              variant_title: item.variant_title,
+              quantity: item.quantity,
+              price: Number(item.price).toFixed(2),
+              image: item.image
+            })),
+            subtotal,
+            recovery_url: recoveryUrl
+          },
+          categories: ['cart-recovery', 'marketing']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: cart.email,
+        subject: 'ILYTAT Designs - You left something in your cart',
+        html: `
+          <h1>Still thinking it over?</h1>
+          <p>You left these items in your cart:</p>
+          <ul>${items.map(item => `<li>${describe(item)}</li>`).join('')}</ul>
+          <p>Subtotal: $${subtotal}</p>
+          <p><a href="${recoveryUrl}">Return to your cart</a> to pick up where you left off.</p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+        `,
+        text: `You left these items in your cart:\n\n${items.map(item => `- ${describe(item)}`).join('\n')}\n\nSubtotal: $${subtotal}\n\nReturn to your cart: ${recoveryUrl}\n\nBest regards,\nThe ILYTAT Designs Team`,
+        categories: ['cart-recovery', 'marketing']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending cart recovery email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send the code of a gift card or store credit to its recipient
+   * @param {Object} card - GiftCard with kind, initial_amount, balance, recipient_email,
+   *   recipient_name, message and expires_at
+   * @param {string} code - The card's code; only its hash is stored
+   * @param {Object} [options]
+   * @param {string} [options.senderName] - Who bought the gift card
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendGiftCardEmail(card, code, { senderName = null } = {}) {
+    const isCredit = card.kind === 'store_credit';
+    const balance = Number(card.balance).toFixed(2);
+    const greeting = card.recipient_name ? `Hello ${escapeHtml(card.recipient_name)},` : 'Hello,';
+    const intro = isCredit
+      ? `You have $${balance} of store credit at ILYTAT Designs.`
+      : `${senderName ? `${senderName} sent` : 'You have received'} you a $${balance} ILYTAT Designs gift card.`;
+    const expiry = card.expires_at ? new Date(card.expires_at).toISOString().slice(0, 10) : null;
+    const shopUrl = process.env.CLIENT_URL;
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_GIFT_CARD_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: card.recipient_email,
+          templateId: process.env.SENDGRID_GIFT_CARD_TEMPLATE_ID,
+          dynamicTemplateData: {
+            kind: card.kind,
+            recipient_name: card.recipient_name,
+            sender_name: senderName,
+            message: card.message,
+            amount: balance,
+            code,
+            expires_at: expiry,
+            shop_url: shopUrl
+          },
+          categories: ['gift-card', 'transactional']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: card.recipient_email,
+        subject: isCredit ? 'ILYTAT Designs - Your store credit' : 'ILYTAT Designs - You received a gift card',
+        html: `
+          <h1>${isCredit ? 'Your Store Credit' : 'A Gift For You'}</h1>
+          <p>${greeting}</p>
+          <p>${escapeHtml(intro)}</p>
+          ${card.message ? `<blockquote>${escapeHtml(card.message)}</blockquote>` : ''}
+          <p>Your code: <strong>${code}</strong></p>
+          ${expiry ? `<p>Use it before ${expiry}.</p>` : ''}
+          <p>Enter the code at checkout${isCredit ? ', or sign in and your credit is applied for you' : ''}. <a href="${shopUrl}">Start shopping</a></p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+        `,
+        text: `${card.recipient_name ? `Hello ${card.recipient_name},` : 'Hello,'}\n\n${intro}\n\n${card.message ? `"${card.message}"\n\n` : ''}Your code: ${code}\n${expiry ? `Use it before ${expiry}.\n` : ''}\nEnter the code at checkout: ${shopUrl}\n\nBest regards,\nThe ILYTAT Designs Team`,
+        categories: ['gift-card', 'transactional']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending gift card email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a return (RMA) status update email
+   * @param {Object} returnRequest - Return with rma_number, status, customer_email,
+   *   refund_amount and admin_notes
+   * @param {Object} order - Order the return belongs to
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendReturnUpdateEmail(returnRequest, order) {
+    const firstName = (order.customerName || '').split(' ')[0] || 'there';
+    const rma = returnRequest.rma_number;
+    const refund = returnRequest.refund_amount ? Number(returnRequest.refund_amount).toFixed(2) : null;
+
+    const messages = {
+      requested: `We've received your return request ${rma} for order #${order.id}. Our team will review it within 2 business days.`,
+      approved: `Good news: your return request ${rma} has been approved. We'll follow up shortly with your ${returnRequest.resolution === 'reprint' ? 'replacement' : 'refund'}.`,
+      rejected: `Unfortunately we couldn't approve your return request ${rma}.`,
+      refunded: `We've refunded $${refund} for return ${rma} to your original payment method. It can take 5-10 business days to appear.`,
+      reprinted: `A replacement for return ${rma} is being printed and will ship to your original address. You'll get tracking details once it ships.`,
+      closed: `Your return ${rma} is now closed.`
+    };
+    const message = messages[returnRequest.status] || `Your return ${rma} is now ${returnRequest.status}.`;
+    const notes = returnRequest.admin_notes && ['approved', 'rejected', 'closed'].includes(returnRequest.status)
+      ? returnRequest.admin_notes
+      : null;
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_RETURN_UPDATE_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: returnRequest.customer_email,
+          templateId: process.env.SENDGRID_RETURN_UPDATE_TEMPLATE_ID,
+          dynamicTemplateData: {
+            first_name: firstName,
+            order_id: order.id,
+            rma_number: rma,
+            status: returnRequest.status,
+            resolution: returnRequest.resolution,
+            refund_amount: refund,
+            message,
+            notes
+          },
+          categories: ['return-update', 'transactional']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: returnRequest.customer_email,
+        subject: `ILYTAT Designs - Return ${rma} ${returnRequest.status.charAt(0).toUpperCase()}${returnRequest.status.slice(1)}`,
+        html: `
+          <h1>Return Update</h1>
+          <p>Hello ${firstName},</p>
+          <p>${message}</p>
+          ${notes ? `<p>Note from our team: ${notes}</p>` : ''}
+          <p>If you have any questions, reply to this email or contact ${process.env.SUPPORT_EMAIL || 'support@ilytatdesigns.com'}.</p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+        `,
+        text: `Hello ${firstName},\n\n${message}\n\n${notes ? `Note from our team: ${notes}\n\n` : ''}If you have any questions, reply to this email or contact ${process.env.SUPPORT_EMAIL || 'support@ilytatdesigns.com'}.\n\nBest regards,\nThe ILYTAT Designs Team`,
+        categories: ['return-update', 'transactional']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending return update email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Tell a customer a product they waited for launched or is back in stock
+   * @param {Object} notification
+   * @param {string} notification.email
+   * @param {string} notification.kind - 'launch' or 'back_in_stock'
+   * @param {Object} notification.product - Product with title and images
+   * @param {Array} notification.variants - Variants (title) back in stock; empty for a launch
+   * @param {string} productUrl - Product page
+   * @param {string} unsubscribeUrl - Link that stops product notifications
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendProductAvailableEmail({ email, kind, product, variants = [] }, productUrl, unsubscribeUrl) {
+    const isLaunch = kind === 'launch';
+    const title = product.title || 'A product you were waiting for';
+    const options = variants.map(variant => variant?.title).filter(Boolean);
+    const image = (product.images || []).find(entry => entry.is_default)?.src || product.images?.[0]?.src || null;
+    const message = isLaunch
+      ? `${title} is now available.`
+      : `${title}${options.length ? ` (${options.join(', ')})` : ''} is back in stock.`;
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_PRODUCT_AVAILABLE_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: email,
+          templateId: process.env.SENDGRID_PRODUCT_AVAILABLE_TEMPLATE_ID,
+          dynamicTemplateData: {
+            kind,
+            title,
+            options,
+            image,
+            message,
+            product_url: productUrl,
+            unsubscribe_url: unsubscribeUrl
+          },
+          categories: ['product-notification', 'marketing']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: email,
+        subject: isLaunch ? `ILYTAT Designs - ${title} is here` : `ILYTAT Designs - ${title} is back in stock`,
+        html: `
+          <h1>${isLaunch ? 'Now Available' : 'Back In Stock'}</h1>
+          ${image ? `<p><img src="${escapeHtml(image)}" alt="${escapeHtml(title)}" width="240"></p>` : ''}
+          <p>${escapeHtml(message)}</p>
+          <p><a href="${productUrl}">Shop it now</a> before it sells out.</p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+          <p style="font-size: 12px; color: #888;">You asked us to let you know. <a href="${unsubscribeUrl}">Stop product notifications</a></p>
+        `,
+        text: `${message}\n\nShop it now: ${productUrl}\n\nBest regards,\nThe ILYTAT Designs Team\n\nStop product notifications: ${unsubscribeUrl}`,
+        categories: ['product-notification', 'marketing']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending product notification email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Ask a customer to pay the balance of a pre-order whose product launched
+   * Sent when the card saved with the deposit could not be charged.
+   * @param {Object} order - The pre-order's order (customerEmail, customerName)
+   * @param {Object} balance
+   * @param {string} balance.title - Product title
+   * @param {number} balance.amount - Balance in dollars
+   * @param {string} [balance.currency='usd']
+   * @param {string} payUrl - Page the customer pays the balance on
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendPreorderBalanceDueEmail(order, { title, amount, currency = 'usd' }, payUrl) {
+    const firstName = (order.customerName || '').split(' ')[0] || 'there';
+    const balance = Number(amount).toFixed(2);
+    const code = String(currency).toUpperCase();
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_PREORDER_BALANCE_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: order.customerEmail,
+          templateId: process.env.SENDGRID_PREORDER_BALANCE_TEMPLATE_ID,
+          dynamicTemplateData: {
+            first_name: firstName,
+            order_id: order.id,
+            title,
+            balance,
+            currency: code,
+            pay_url: payUrl
+          },
+          categories: ['preorder', 'transactional']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: order.customerEmail,
+        subject: `ILYTAT Designs - ${title} is here, your balance is due`,
+        html: `
+          <h1>Your Pre-order Is Ready</h1>
+          <p>Hello ${escapeHtml(firstName)},</p>
+          <p>${escapeHtml(title)} has launched, but we could not charge the card you paid the deposit with.</p>
+          <p>Balance due: ${balance} ${code}</p>
+          <p><a href="${payUrl}">Pay the balance</a> and we will start making your order.</p>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+        `,
+        text: `Hello ${firstName},\n\n${title} has launched, but we could not charge the card you paid the deposit with.\n\nBalance due: ${balance} ${code}\n\nPay the balance and we will start making your order: ${payUrl}\n\nBest regards,\nThe ILYTAT Designs Team`,
+        categories: ['preorder', 'transactional']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending pre-order balance email:', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Tell a customer that products on their wishlists dropped in price or are back in stock
+   * @param {Object} recipient - { email, firstName }
+   * @param {Array} changes - [{ kind: 'price_drop' | 'back_in_stock', title,
+   *   variantTitle, previousPrice, price, url }] with prices in dollars
+   * @param {string} currency - Currency of the prices
+   * @param {string} wishlistsUrl - Page where the customer turns these emails off
+   * @returns {Promise<Object>} - Email sending response
+   */
+  static async sendWishlistAlertEmail({ email, firstName }, changes, currency, wishlistsUrl) {
+    const name = firstName || 'there';
+    const code = String(currency).toUpperCase();
+    const lines = changes.map(change => {
+      const label = `${change.title}${change.variantTitle ? ` (${change.variantTitle})` : ''}`;
+      const message = change.kind === 'price_drop'
+        ? `now ${change.price.toFixed(2)} ${code}, down from ${change.previousPrice.toFixed(2)} ${code}`
+        : `back in stock at ${change.price.toFixed(2)} ${code}`;
+
+      return { ...change, label, message };
+    });
+
+    try {
+      // If using SendGrid templates
+      if (process.env.SENDGRID_WISHLIST_ALERT_TEMPLATE_ID) {
+        return await this.sendEmail({
+          to: email,
+          templateId: process.env.SENDGRID_WISHLIST_ALERT_TEMPLATE_ID,
+          dynamicTemplateData: {
+            first_name: name,
+            currency: code,
+            items: lines.map(line => ({
+              kind: line.kind,
+              title: line.title,
+              variant_title: line.variantTitle,
+              previous_price: line.previousPrice.toFixed(2),
+              price: line.price.toFixed(2),
+              message: line.message,
+              url: line.url
+            })),
+            wishlists_url: wishlistsUrl
+          },
+          categories: ['wishlist', 'marketing']
+        });
+      }
+
+      // Fallback to standard email if template ID not configured
+      return await this.sendEmail({
+        to: email,
+        subject: lines.length === 1
+          ? `ILYTAT Designs - ${lines[0].title} ${lines[0].kind === 'price_drop' ? 'dropped in price' : 'is back in stock'}`
+          : 'ILYTAT Designs - Updates on your wishlist',
+        html: `
+          <h1>Good News From Your Wishlist</h1>
+          <p>Hello ${escapeHtml(name)},</p>
+          <ul>
+            ${lines.map(line => `<li><a href="${line.url}">${escapeHtml(line.label)}</a> is ${escapeHtml(line.message)}</li>`).join('')}
+          </ul>
+          <p>Best regards,<br>The ILYTAT Designs Team</p>
+          <p style="font-size: 12px; color: #888;">You turned on emails for this wishlist. <a href="${wishlistsUrl}">Manage your wishlists</a></p>
+        `,
+        text: `Hello ${name},\n\n${lines.map(line => `${line.label} is ${line.message}: ${line.url}`).join('\n')}\n\nBest regards,\nThe ILYTAT Designs Team\n\nManage your wishlists: ${wishlistsUrl}`,
+        categories: ['wishlist', 'marketing']
+      });
+    } catch (error) {
+      logger.error('[EMAIL SERVICE] Error sending wishlist alert email:', { error });
+      throw error;
+    }
+  }
 }
 
 module.exports = EmailService;
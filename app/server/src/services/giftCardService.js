@@ -0,0 +1,841 @@
+/**
+ * Gift Card Service
+ *
+ * Gift cards and store credit share one ledger: every card has a balance
+ * and a transaction for each change to it. Customers buy gift cards with
+ * their own checkout and pay with them (or with their store credit) at
+ * cart checkout; admins issue store credit directly or as a refund.
+ *
+ * Paying with a balance takes it off the card when the checkout session is
+ * created (a hold), so the same balance can never be spent twice. The hold
+ * becomes the order's redemption when the session is paid, and is released
+ * back onto the card when the session expires unpaid.
+ *
+ * Codes are shown once, when they are emailed; only their SHA-256 hash and
+ * last four characters are stored. Resending a code replaces it.
+ *
+ * Balances are in the shop's base currency and can only pay for checkouts
+ * in that currency.
+ *
+ * Configured under `features.giftCards` in config/application.json.
+ *
+ * @module services/giftCardService
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, GiftCard, GiftCardTransaction, Order } = require('../models');
+const EmailService = require('./emailService');
+const AuditService = require('./auditService');
+const currencyService = require('./currencyService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  // Amounts in dollars offered in the shop
+  amounts: [25, 50, 100],
+  minAmount: 10,
+  maxAmount: 500,
+  // How long a card can be used after it is issued; 0 never expires
+  expiryMonths: 0
+};
+
+// Product ID of gift cards on orders; the variant is the amount in cents
+const GIFT_CARD_PRODUCT_ID = 'gift-card';
+
+const KINDS = ['gift_card', 'store_credit'];
+
+// No 0/O or 1/I, so codes can be read out and typed back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+// Shown to customers for every code that cannot be used right now
+const INVALID_CODE_MESSAGE = 'This gift card code is not valid.';
+
+class GiftCardService {
+  constructor() {
+    this.logger = logger.child({ component: 'GiftCardService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.giftCards || {})
+    };
+  }
+
+  /**
+   * Whether the shop sells gift cards
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.config.enabled);
+  }
+
+  /**
+   * Amounts customers can buy, in dollars
+   * @returns {Object} { amounts, minAmount, maxAmount, currency }
+   */
+  getPurchaseOptions() {
+    return {
+      amounts: this.config.amounts,
+      minAmount: this.config.minAmount,
+      maxAmount: this.config.maxAmount,
+      currency: currencyService.getBaseCurrency().toLowerCase()
+    };
+  }
+
+  /**
+   * A new random code, formatted XXXX-XXXX-XXXX-XXXX
+   * @returns {string}
+   */
+  generateCode() {
+    const characters = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return characters.join('').match(/.{4}/g).join('-');
+  }
+
+  /**
+   * SHA-256 hash of a code, ignoring case, spaces and dashes
+   * @param {string} code
+   * @returns {string}
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(this._normalize(code)).digest('hex');
+  }
+
+  /**
+   * Balance of a code, for the storefront's balance check
+   *
+   * @param {string} code
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { kind, last4, balance, currency, expiresAt }
+   * @throws {APIError} 404 for codes that do not exist or cannot be used
+   */
+  async checkBalance(code, { now = new Date() } = {}) {
+    const card = await GiftCard.findOne({ where: { code_hash: this.hashCode(code) } });
+
+    if (!this._isUsable(card, now)) {
+      throw createError('Gift card not found', 404, null, INVALID_CODE_MESSAGE);
+    }
+
+    return this._summary(card);
+  }
+
+  /**
+   * Store credit of a customer that can be spent now
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { balance, currency, credits: [{ id, last4, balance, expiresAt }] }
+   */
+  async getStoreCredit(userId, { now = new Date() } = {}) {
+    const cards = (await this._findStoreCredit(userId)).filter(card => this._isUsable(card, now));
+
+    return {
+      balance: this._toDollars(cards.reduce((sum, card) => sum + this._toCents(card.balance), 0)),
+      currency: currencyService.getBaseCurrency().toLowerCase(),
+      credits: cards.map(card => this._summary(card))
+    };
+  }
+
+  /**
+   * What a gift card and/or the customer's store credit would pay of a cart,
+   * without holding anything; checkout holds it for real
+   *
+   * @param {Object} params
+   * @param {number} params.amount - Most to take, in cents
+   * @param {string} [params.code] - Gift card code the customer entered
+   * @param {string} [params.userId] - Customer whose store credit to use
+   * @param {string} [params.currency] - Currency of the checkout (base currency by default)
+   * @param {Date} [params.now]
+   * @returns {Promise<Object>} { amount: cents, giftCard: summary of the card | null, storeCredit: cents }
+   * @throws {APIError} 400 with a customer-facing message for a code that cannot be used, or a
+   *   checkout in another currency than the base currency
+   */
+  async previewBalance({ amount, code = null, userId = null, currency = null, now = new Date() }) {
+    this._assertCurrency(currency);
+
+    const card = code ? await GiftCard.findOne({ where: { code_hash: this.hashCode(code) } }) : null;
+
+    if (code && !this._isUsable(card, now)) {
+      throw createError('Gift card cannot be used', 400, null, INVALID_CODE_MESSAGE);
+    }
+
+    const credits = userId
+      ? (await this._findStoreCredit(userId)).filter(credit => this._isUsable(credit, now) && credit.id !== card?.id)
+      : [];
+    const fromCard = card ? Math.min(this._toCents(card.balance), Math.max(amount, 0)) : 0;
+    const storeCredit = Math.min(
+      credits.reduce((sum, credit) => sum + this._toCents(credit.balance), 0),
+      Math.max(amount - fromCard, 0)
+    );
+
+    return {
+      amount: fromCard + storeCredit,
+      giftCard: card ? this._summary(card) : null,
+      storeCredit
+    };
+  }
+
+  /**
+   * Take balance off a gift card and/or the customer's store credit to pay
+   * for a checkout
+   * The gift card is used first, then store credit expiring soonest.
+   *
+   * @param {Object} params
+   * @param {number} params.amount - Most to take, in cents
+   * @param {string} [params.code] - Gift card code the customer entered
+   * @param {string} [params.userId] - Customer whose store credit to use
+   * @param {string} [params.currency] - Currency of the checkout (base currency by default)
+   * @param {Date} [params.now]
+   * @returns {Promise<Object>} { amount: cents held, transactions }
+   * @throws {APIError} 400 with a customer-facing message for a code that cannot be used, or a
+   *   checkout in another currency than the base currency
+   */
+  async holdBalance({ amount, code = null, userId = null, currency = null, now = new Date() }) {
+    if (!(amount > 0) || (!code && !userId)) {
+      return { amount: 0, transactions: [] };
+    }
+
+    this._assertCurrency(currency);
+
+    return sequelize.transaction(async (transaction) => {
+      const cards = [];
+
+      if (code) {
+        const card = await GiftCard.findOne({
+          where: { code_hash: this.hashCode(code) },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!this._isUsable(card, now)) {
+          throw createError('Gift card cannot be used', 400, null, INVALID_CODE_MESSAGE);
+        }
+
+        if (!(this._toCents(card.balance) > 0)) {
+          throw createError('Gift card has no balance', 400, null, 'This gift card has no balance left.');
+        }
+
+        cards.push(card);
+      }
+
+      if (userId) {
+        const credits = await this._findStoreCredit(userId, { transaction });
+        cards.push(...credits.filter(card => this._isUsable(card, now) && !cards.some(held => held.id === card.id)));
+      }
+
+      const transactions = [];
+      let remaining = amount;
+
+      for (const card of cards) {
+        const take = Math.min(this._toCents(card.balance), remaining);
+        if (take <= 0) continue;
+
+        transactions.push(await this._record(card, 'redeem', -take, { note: 'Held for checkout' }, { transaction }));
+        remaining -= take;
+      }
+
+      return { amount: amount - remaining, transactions };
+    });
+  }
+
+  /**
+   * Link a hold to the checkout session it pays for
+   *
+   * @param {Object} hold - Result of holdBalance
+   * @param {Object} session - Stripe checkout session
+   */
+  async attachSession(hold, session) {
+    if (!hold?.transactions.length) return;
+
+    await GiftCardTransaction.update(
+      { stripe_session_id: session.id },
+      { where: { id: { [Op.in]: hold.transactions.map(entry => entry.id) } } }
+    );
+  }
+
+  /**
+   * Put a hold back on its cards, e.g. when the checkout session could not
+   * be created
+   *
+   * @param {Object} hold - Result of holdBalance
+   * @param {Object} [options]
+   * @param {string} [options.note]
+   */
+  async releaseHold(hold, { note = 'Checkout was not started' } = {}) {
+    if (!hold?.transactions.length) return;
+
+    await this._release(hold.transactions, { note });
+  }
+
+  /**
+   * Handle a checkout session that expired unpaid: its hold goes back on the
+   * cards, and a gift card it was buying is dropped
+   * Safe to call more than once for the same session.
+   *
+   * @param {Object} session - Stripe checkout session
+   * @returns {Promise<number>} Cents released
+   */
+  async releaseSession(session) {
+    const [held, released] = await Promise.all([
+      GiftCardTransaction.findAll({ where: { stripe_session_id: session.id, type: 'redeem', order_id: null } }),
+      GiftCardTransaction.count({ where: { stripe_session_id: session.id, type: 'release' } })
+    ]);
+
+    const amount = held.length && !released
+      ? await this._release(held, { stripeSessionId: session.id, note: 'Checkout expired' })
+      : 0;
+
+    await GiftCard.destroy({ where: { stripe_session_id: session.id, status: 'pending' } });
+
+    return amount;
+  }
+
+  /**
+   * Record the balance a paid checkout session used against its order
+   *
+   * @param {Object} session - Stripe checkout session
+   * @param {Object} order - Order created from the session
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   */
+  async recordRedemption(session, order, { transaction } = {}) {
+    await GiftCardTransaction.update(
+      { order_id: order.id, note: `Paid for order ${order.id}` },
+      { where: { stripe_session_id: session.id, type: 'redeem' }, transaction }
+    );
+  }
+
+  /**
+   * Create a gift card waiting to be paid for by its own checkout
+   *
+   * @param {Object} params
+   * @param {number} params.amount - Dollars
+   * @param {string} [params.recipientEmail] - Defaults to the purchaser
+   * @param {string} [params.recipientName]
+   * @param {string} [params.message]
+   * @param {string} [params.userId] - Signed-in purchaser
+   * @param {string} [params.purchaserEmail]
+   * @returns {Promise<Object>} The pending GiftCard
+   * @throws {APIError} 400 for an amount outside the configured range
+   */
+  async createPurchase({ amount, recipientEmail = null, recipientName = null, message = null, userId = null, purchaserEmail = null }) {
+    const value = Number(amount);
+
+    if (!(value >= this.config.minAmount && value <= this.config.maxAmount)) {
+      throw createError(
+        'Gift card amount is out of range',
+        400,
+        { minAmount: this.config.minAmount, maxAmount: this.config.maxAmount },
+        `Gift cards can be between $${this.config.minAmount} and $${this.config.maxAmount}.`
+      );
+    }
+
+    return GiftCard.create({
+      kind: 'gift_card',
+      initial_amount: value,
+      balance: 0,
+      status: 'pending',
+      user_id: userId,
+      purchaser_email: purchaserEmail ? String(purchaserEmail).toLowerCase() : null,
+      recipient_email: recipientEmail ? String(recipientEmail).toLowerCase() : null,
+      recipient_name: recipientName || null,
+      message: message || null
+    });
+  }
+
+  /**
+   * Link a pending gift card to the checkout session paying for it
+   *
+   * @param {Object} card - Pending GiftCard
+   * @param {Object} session - Stripe checkout session
+   */
+  async attachPurchaseSession(card, session) {
+    await card.update({ stripe_session_id: session.id });
+  }
+
+  /**
+   * Activate the gift card a paid checkout session bought and email its code
+   * Safe to call again for the same session; an active card is left alone.
+   *
+   * @param {Object} session - Stripe checkout session
+   * @param {Object} order - Order created from the session
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object|null>} The GiftCard
+   */
+  async completePurchase(session, order, { now = new Date() } = {}) {
+    const card = await GiftCard.findOne({ where: { stripe_session_id: session.id } });
+
+    if (!card) {
+      this.logger.warn(`No gift card for paid session ${session.id}`);
+      return null;
+    }
+
+    if (card.status !== 'pending') {
+      return card;
+    }
+
+    const code = this.generateCode();
+
+    await sequelize.transaction(async (transaction) => {
+      await card.update({
+        ...this._codeFields(code),
+        status: 'active',
+        order_id: order.id,
+        purchaser_email: card.purchaser_email || String(order.customerEmail).toLowerCase(),
+        recipient_email: card.recipient_email || String(order.customerEmail).toLowerCase(),
+        expires_at: this._expiresAt(now)
+      }, { transaction });
+
+      await this._record(card, 'issue', this._toCents(card.initial_amount), {
+        orderId: order.id,
+        note: `Bought with order ${order.id}`
+      }, { transaction });
+    });
+
+    this.logger.info(`Gift card ${card.id} bought with order ${order.id}`, { amount: Number(card.initial_amount) });
+
+    await this._sendCode(card, code);
+
+    return card;
+  }
+
+  /**
+   * Issue an active gift card or store credit, e.g. as a refund
+   *
+   * @param {Object} params
+   * @param {number} params.amount - Dollars
+   * @param {string} [params.kind='store_credit']
+   * @param {string} [params.email] - Where the code is emailed
+   * @param {string} [params.userId] - Customer the store credit belongs to
+   * @param {string} [params.orderId] - Order the credit is for
+   * @param {string} [params.refundId] - Refund paid out as this credit
+   * @param {Date} [params.expiresAt] - Defaults to the configured expiry
+   * @param {string} [params.note]
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin issuing it
+   * @param {Object} [options.req] - Request, for the audit log
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} The GiftCard
+   */
+  async issue(params, { user = null, req = null, now = new Date() } = {}) {
+    const {
+      amount,
+      kind = 'store_credit',
+      email = null,
+      userId = null,
+      orderId = null,
+      refundId = null,
+      expiresAt,
+      note = null
+    } = params;
+    const cents = this._toCents(amount);
+
+    if (!KINDS.includes(kind)) {
+      throw createError(`Kind must be one of ${KINDS.join(', ')}`, 400);
+    }
+
+    if (!(cents > 0)) {
+      throw createError('Amount must be above 0', 400);
+    }
+
+    if (!email && !userId) {
+      throw createError('Store credit needs a customer or an email to send it to', 400);
+    }
+
+    const code = this.generateCode();
+
+    const card = await sequelize.transaction(async (transaction) => {
+      const created = await GiftCard.create({
+        kind,
+        ...this._codeFields(code),
+        initial_amount: this._toDollars(cents),
+        balance: 0,
+        status: 'active',
+        user_id: userId,
+        recipient_email: email ? String(email).toLowerCase() : null,
+        order_id: orderId,
+        expires_at: expiresAt === undefined ? this._expiresAt(now) : expiresAt,
+        issued_by: user?.id || null
+      }, { transaction });
+
+      await this._record(created, 'issue', cents, { orderId, refundId, note, createdBy: user?.id || null }, { transaction });
+
+      return created;
+    });
+
+    this.logger.info(`Issued ${kind} ${card.id}`, { amount: this._toDollars(cents), orderId, refundId });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.CREATE,
+      entityType: AuditService.ENTITIES.GIFT_CARD,
+      entityId: card.id,
+      newValues: { kind, amount: this._toDollars(cents), userId, orderId, refundId },
+      userId: user?.id || null,
+      metadata: { note },
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    if (card.recipient_email) {
+      await this._sendCode(card, code);
+    }
+
+    return card;
+  }
+
+  /**
+   * List gift cards and store credit, newest first
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.kind]
+   * @param {string} [filters.status]
+   * @param {string} [filters.email] - Purchaser or recipient
+   * @param {string} [filters.last4] - Last four characters of the code
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   * @returns {Promise<Object>} { cards, total }
+   */
+  async listCards({ kind, status, email, last4, limit = 50, offset = 0 } = {}) {
+    const where = {
+      ...(kind && { kind }),
+      ...(status && { status }),
+      ...(last4 && { code_last4: String(last4).toUpperCase() }),
+      ...(email && {
+        [Op.or]: [
+          { purchaser_email: String(email).toLowerCase() },
+          { recipient_email: String(email).toLowerCase() }
+        ]
+      })
+    };
+
+    const { rows, count } = await GiftCard.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { cards: rows, total: count };
+  }
+
+  /**
+   * Get a gift card with its transactions, oldest first
+   *
+   * @param {string} giftCardId
+   * @returns {Promise<Object>}
+   * @throws {APIError} 404 if not found
+   */
+  async getCard(giftCardId) {
+    const card = await GiftCard.findByPk(giftCardId, {
+      include: [{ model: GiftCardTransaction, as: 'transactions' }],
+      order: [[{ model: GiftCardTransaction, as: 'transactions' }, 'created_at', 'ASC']]
+    });
+
+    if (!card) {
+      throw createNotFoundError('Gift card', giftCardId);
+    }
+
+    return card;
+  }
+
+  /**
+   * Correct the balance of a gift card
+   *
+   * @param {string} giftCardId
+   * @param {Object} params
+   * @param {number} params.amount - Dollars to add; negative to take off
+   * @param {string} params.note - Why, for the ledger
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin making the change
+   * @param {Object} [options.req] - Request, for the audit log
+   * @returns {Promise<Object>} The GiftCard
+   * @throws {APIError} 404 if not found, 409 when the balance would go below 0
+   */
+  async adjust(giftCardId, { amount, note }, { user = null, req = null } = {}) {
+    const cents = this._toCents(amount);
+
+    if (!cents) {
+      throw createError('Adjustment amount cannot be 0', 400);
+    }
+
+    const { card, oldBalance } = await sequelize.transaction(async (transaction) => {
+      const locked = await GiftCard.findByPk(giftCardId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!locked) {
+        throw createNotFoundError('Gift card', giftCardId);
+      }
+
+      const balance = Number(locked.balance);
+
+      if (this._toCents(balance) + cents < 0) {
+        throw createError('Balance cannot go below 0', 409, { balance });
+      }
+
+      await this._record(locked, 'adjust', cents, { note, createdBy: user?.id || null }, { transaction });
+
+      return { card: locked, oldBalance: balance };
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.UPDATE,
+      entityType: AuditService.ENTITIES.GIFT_CARD,
+      entityId: card.id,
+      oldValues: { balance: oldBalance },
+      newValues: { balance: Number(card.balance) },
+      userId: user?.id || null,
+      metadata: { adjustment: this._toDollars(cents), note },
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    return card;
+  }
+
+  /**
+   * Disable or re-enable a gift card, or change its expiry or recipient
+   *
+   * @param {string} giftCardId
+   * @param {Object} data - { status, expires_at, recipient_email, recipient_name }
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin making the change
+   * @param {Object} [options.req] - Request, for the audit log
+   * @returns {Promise<Object>} The GiftCard
+   * @throws {APIError} 404 if not found, 409 for a card that was never paid for
+   */
+  async updateCard(giftCardId, data, { user = null, req = null } = {}) {
+    const card = await GiftCard.findByPk(giftCardId);
+
+    if (!card) {
+      throw createNotFoundError('Gift card', giftCardId);
+    }
+
+    if (card.status === 'pending') {
+      throw createError('Gift card has not been paid for', 409);
+    }
+
+    const oldValues = card.get({ plain: true });
+    await card.update(data);
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.UPDATE,
+      entityType: AuditService.ENTITIES.GIFT_CARD,
+      entityId: card.id,
+      oldValues: { status: oldValues.status, expires_at: oldValues.expires_at, recipient_email: oldValues.recipient_email },
+      newValues: data,
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    return card;
+  }
+
+  /**
+   * Email a gift card's code again
+   * The code is replaced, since only its hash is stored; the old one stops working.
+   *
+   * @param {string} giftCardId
+   * @param {Object} [options]
+   * @param {string} [options.email] - Send to this address instead, and keep it as the recipient
+   * @param {Object} [options.user] - Admin resending it
+   * @param {Object} [options.req] - Request, for the audit log
+   * @returns {Promise<Object>} The GiftCard
+   * @throws {APIError} 404 if not found, 409 for a card that is not active
+   */
+  async resendCode(giftCardId, { email = null, user = null, req = null } = {}) {
+    const card = await GiftCard.findByPk(giftCardId);
+
+    if (!card) {
+      throw createNotFoundError('Gift card', giftCardId);
+    }
+
+    if (card.status !== 'active') {
+      throw createError('Only active gift cards can be resent', 409);
+    }
+
+    const recipient = email ? String(email).toLowerCase() : card.recipient_email;
+
+    if (!recipient) {
+      throw createError('Gift card has no email to send it to', 400);
+    }
+
+    const code = this.generateCode();
+    await card.update({ ...this._codeFields(code), recipient_email: recipient });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.UPDATE,
+      entityType: AuditService.ENTITIES.GIFT_CARD,
+      entityId: card.id,
+      newValues: { code_last4: card.code_last4, recipient_email: recipient },
+      userId: user?.id || null,
+      metadata: { resent: true },
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    await this._sendCode(card, code);
+
+    return card;
+  }
+
+  /**
+   * Put held redemptions back on their cards
+   * @private
+   * @returns {Promise<number>} Cents released
+   */
+  async _release(held, { stripeSessionId = null, note }) {
+    return sequelize.transaction(async (transaction) => {
+      let released = 0;
+
+      for (const entry of held) {
+        const card = await GiftCard.findByPk(entry.gift_card_id, { transaction, lock: transaction.LOCK.UPDATE });
+        const cents = -this._toCents(entry.amount);
+
+        await this._record(card, 'release', cents, { stripeSessionId, note }, { transaction });
+        released += cents;
+      }
+
+      return released;
+    });
+  }
+
+  /**
+   * Change a card's balance and add the transaction to its ledger
+   * @private
+   */
+  async _record(card, type, cents, { orderId = null, refundId = null, stripeSessionId = null, note = null, createdBy = null } = {}, { transaction } = {}) {
+    const balance = this._toDollars(this._toCents(card.balance) + cents);
+
+    await card.update({ balance }, { transaction });
+
+    return GiftCardTransaction.create({
+      gift_card_id: card.id,
+      type,
+      amount: this._toDollars(cents),
+      balance_after: balance,
+      order_id: orderId,
+      refund_id: refundId,
+      stripe_session_id: stripeSessionId,
+      note,
+      created_by: createdBy
+    }, { transaction });
+  }
+
+  /**
+   * Store credit of a customer, expiring soonest first
+   * @private
+   */
+  async _findStoreCredit(userId, { transaction } = {}) {
+    const cards = await GiftCard.findAll({
+      where: { user_id: userId, kind: 'store_credit', status: 'active', balance: { [Op.gt]: 0 } },
+      order: [['created_at', 'ASC']],
+      ...(transaction && { transaction, lock: transaction.LOCK.UPDATE })
+    });
+
+    const expiry = card => (card.expires_at ? new Date(card.expires_at).getTime() : Infinity);
+    return cards.sort((a, b) => expiry(a) - expiry(b));
+  }
+
+  /**
+   * @private
+   */
+  async _sendCode(card, code) {
+    try {
+      const order = card.order_id && card.kind === 'gift_card'
+        ? await Order.findByPk(card.order_id, { attributes: ['customerName'] })
+        : null;
+
+      await EmailService.sendGiftCardEmail(card, code, { senderName: order?.customerName || null });
+    } catch (error) {
+      // The card works regardless; an admin can resend the code
+      this.logger.error(`Failed to email gift card ${card.id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertCurrency(currency) {
+    const base = currencyService.getBaseCurrency();
+
+    if (currency && String(currency).toUpperCase() !== base) {
+      throw createError(
+        `Gift cards cannot pay for checkouts in ${String(currency).toUpperCase()}`,
+        400,
+        { currency: base },
+        `Gift cards and store credit can only be used when paying in ${base}.`
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isUsable(card, now) {
+    return Boolean(card)
+      && card.status === 'active'
+      && (!card.expires_at || new Date(card.expires_at) > now);
+  }
+
+  /**
+   * @private
+   */
+  _summary(card) {
+    return {
+      id: card.id,
+      kind: card.kind,
+      last4: card.code_last4,
+      balance: Number(card.balance),
+      currency: card.currency,
+      expiresAt: card.expires_at || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _codeFields(code) {
+    const normalized = this._normalize(code);
+    return { code_hash: this.hashCode(normalized), code_last4: normalized.slice(-4) };
+  }
+
+  /**
+   * @private
+   */
+  _expiresAt(now) {
+    if (!this.config.expiryMonths) return null;
+
+    const expiresAt = new Date(now);
+    expiresAt.setMonth(expiresAt.getMonth() + this.config.expiryMonths);
+    return expiresAt;
+  }
+
+  /**
+   * @private
+   */
+  _normalize(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * @private
+   */
+  _toCents(dollars) {
+    return Math.round((Number(dollars) || 0) * 100);
+  }
+
+  /**
+   * @private
+   */
+  _toDollars(cents) {
+    return Math.round(cents) / 100;
+  }
+}
+
+module.exports = new GiftCardService();
+module.exports.GIFT_CARD_PRODUCT_ID = GIFT_CARD_PRODUCT_ID;
+module.exports.KINDS = KINDS;
@@ -0,0 +1,237 @@
+/**
+ * Guest Order Service
+ *
+ * Orders placed without an account (`features.cart.guestCheckoutEnabled` in
+ * config/application.json) are recorded with `customerId: null` and
+ * `isGuest: true`. The customer gets an email with a link that opens the
+ * order; the link carries a random token of which only the SHA-256 hash is
+ * stored on the order.
+ *
+ * Once an account with the same email is verified, its guest orders are
+ * claimed into it. A signed-in customer can also claim a single order with
+ * its access link, as long as the emails match. Claimed orders lose their
+ * access link and are reached through the account like any other order.
+ *
+ * @module services/guestOrderService
+ */
+
+const crypto = require('crypto');
+const { Order, OrderItem } = require('../models');
+const eventService = require('./EventService');
+const AuditService = require('./auditService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG = {
+  guestCheckoutEnabled: false
+};
+
+/**
+ * Guest order events emitted on the shared event bus
+ */
+const GUEST_ORDER_EVENTS = {
+  CLAIMED: 'order.claimed'
+};
+
+class GuestOrderService {
+  constructor() {
+    this.logger = logger.child({ component: 'GuestOrderService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.cart || {})
+    };
+  }
+
+  /**
+   * Whether customers may check out without an account
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.config.guestCheckoutEnabled);
+  }
+
+  /**
+   * Give a guest order a new access token, replacing any earlier one
+   *
+   * @param {Object} order - Order instance
+   * @returns {Promise<string>} The token; only its hash is stored
+   */
+  async issueAccessToken(order) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await order.update({ accessTokenHash: this._hash(token) });
+
+    return token;
+  }
+
+  /**
+   * Link that opens a guest order
+   *
+   * @param {Object} order
+   * @param {string} token - Token from issueAccessToken
+   * @returns {string}
+   */
+  getAccessUrl(order, token) {
+    const params = new URLSearchParams({ order: order.id, token });
+    return `${process.env.CLIENT_URL}/order/access?${params}`;
+  }
+
+  /**
+   * Email the guest a link to their order
+   * Failures are logged: the order stands and can still be looked up by
+   * email and order number.
+   *
+   * @param {Object} order - Guest order instance
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async sendAccessLink(order) {
+    try {
+      const token = await this.issueAccessToken(order);
+      await EmailService.sendGuestOrderEmail(order, this.getAccessUrl(order, token));
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to send access link for guest order ${order.id}`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Open a guest order with the token from its access link
+   * A wrong token and an unknown order fail the same way.
+   *
+   * @param {string} orderId
+   * @param {string} token
+   * @returns {Promise<Object>} Order instance with its items
+   * @throws 404 when the link does not match an unclaimed guest order
+   */
+  async getOrderByAccessToken(orderId, token) {
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: OrderItem, as: 'items' }]
+    });
+
+    if (!order || !order.isGuest || order.customerId || !this._matches(order.accessTokenHash, token)) {
+      throw createError('This order link is invalid or has already been used', 404);
+    }
+
+    return order;
+  }
+
+  /**
+   * Claim every unclaimed guest order placed with the user's email
+   * Only verified accounts claim orders, so nobody gets another person's
+   * orders by registering with their address.
+   *
+   * @param {Object} user - User instance ({ id, email, is_verified })
+   * @param {Object} [options]
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Array>} Claimed orders
+   */
+  async claimOrders(user, { req = null } = {}) {
+    if (!user?.email || !this._isVerified(user)) return [];
+
+    const orders = await Order.findAll({
+      where: { isGuest: true, customerId: null, customerEmail: user.email }
+    });
+
+    // Email comparison in MySQL depends on the collation, so check it here too
+    const matching = orders.filter(order => this._sameEmail(order.customerEmail, user.email));
+
+    for (const order of matching) {
+      await this._claim(order, user, { req, method: 'email' });
+    }
+
+    return matching;
+  }
+
+  /**
+   * Claim one guest order with its access link
+   *
+   * @param {Object} user - User instance ({ id, email, is_verified })
+   * @param {string} orderId
+   * @param {string} token - Token from the access link
+   * @param {Object} [options]
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Object>} The claimed order
+   * @throws 404 for a bad link, 403 when the order was placed with another email
+   */
+  async claimOrder(user, orderId, token, { req = null } = {}) {
+    const order = await this.getOrderByAccessToken(orderId, token);
+
+    if (!this._sameEmail(order.customerEmail, user.email)) {
+      throw createError(
+        'Order email does not match account',
+        403,
+        null,
+        'This order was placed with a different email address than your account.'
+      );
+    }
+
+    return this._claim(order, user, { req, method: 'link' });
+  }
+
+  /**
+   * @private
+   */
+  async _claim(order, user, { req, method }) {
+    await order.update({
+      customerId: user.id,
+      claimedAt: new Date(),
+      accessTokenHash: null
+    });
+
+    this.logger.info(`Guest order ${order.id} claimed by user ${user.id}`, { method });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.ORDER_CLAIMED,
+      entityType: AuditService.ENTITIES.ORDER,
+      entityId: order.id,
+      newValues: { customerId: user.id },
+      userId: user.id,
+      metadata: { method },
+      severity: AuditService.SEVERITY.LOW,
+      req
+    });
+
+    eventService.emit(GUEST_ORDER_EVENTS.CLAIMED, { orderId: order.id, userId: user.id, method });
+
+    return order;
+  }
+
+  /**
+   * @private
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _matches(hash, token) {
+    if (!hash || !token) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(this._hash(token), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * @private
+   */
+  _isVerified(user) {
+    return Boolean(user.is_verified ?? user.isVerified);
+  }
+
+  /**
+   * @private
+   */
+  _sameEmail(a, b) {
+    return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+}
+
+module.exports = new GuestOrderService();
+module.exports.GUEST_ORDER_EVENTS = GUEST_ORDER_EVENTS;
@@ -0,0 +1,284 @@
+/**
+ * Order Event Service
+ *
+ * Keeps the fulfillment timeline of each order (`order_events`): paid,
+ * submitted to Printify, in production, shipped, delivered, refunded and
+ * cancelled. The Stripe and Printify webhooks, the submission queue, refunds
+ * and cancellations record their step here; customers read the timeline on
+ * the tracking page, guests by looking the order up with its email.
+ *
+ * Steps that happen once per order are recorded once, however often the
+ * webhook behind them is delivered. Recording never throws: a missing
+ * timeline entry must not fail the payment or fulfillment step it describes.
+ *
+ * @module services/orderEventService
+ */
+
+const { Order, OrderEvent } = require('../models');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Timeline steps, in the order they normally happen
+ */
+const EVENT_TYPES = {
+  PAID: 'paid',
+  SUBMITTED: 'submitted',
+  IN_PRODUCTION: 'in_production',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  REFUNDED: 'refunded',
+  CANCELLED: 'cancelled'
+};
+
+const EVENT_LABELS = {
+  paid: 'Payment confirmed',
+  submitted: 'Sent to production partner',
+  in_production: 'In production',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  refunded: 'Refunded',
+  cancelled: 'Cancelled'
+};
+
+// Steps that can only happen once; shipments and refunds can repeat
+const SINGLE_EVENT_TYPES = ['paid', 'submitted', 'in_production', 'delivered', 'cancelled'];
+
+const DEFAULT_CONFIG = {
+  // Tracking page per carrier code as Printify reports it; {trackingNumber}
+  // is replaced with the URL-encoded tracking number
+  carriers: {
+    usps: { name: 'USPS', url: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}' },
+    ups: { name: 'UPS', url: 'https://www.ups.com/track?tracknum={trackingNumber}' },
+    fedex: { name: 'FedEx', url: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}' },
+    dhl: { name: 'DHL', url: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id={trackingNumber}' },
+    dhl_ecommerce: { name: 'DHL eCommerce', url: 'https://webtrack.dhlecs.com/?trackingnumber={trackingNumber}' },
+    canada_post: { name: 'Canada Post', url: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={trackingNumber}' },
+    royal_mail: { name: 'Royal Mail', url: 'https://www.royalmail.com/track-your-item#/tracking-results/{trackingNumber}' },
+    australia_post: { name: 'Australia Post', url: 'https://auspost.com.au/mypost/track/details/{trackingNumber}' }
+  }
+};
+
+class OrderEventService {
+  constructor() {
+    this.logger = logger.child({ component: 'OrderEventService' });
+
+    const config = applicationConfig.features?.tracking || {};
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      carriers: { ...DEFAULT_CONFIG.carriers, ...(config.carriers || {}) }
+    };
+  }
+
+  /**
+   * Add a step to an order's timeline
+   *
+   * @param {Object|string} order - Order instance or ID
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} [details]
+   * @param {string} [details.source='system'] - 'stripe', 'printify', 'admin', 'customer' or 'system'
+   * @param {string} [details.carrier] - Carrier code of a shipment
+   * @param {string} [details.trackingNumber]
+   * @param {string} [details.trackingUrl] - Tracking link from Printify
+   * @param {string} [details.note]
+   * @param {Object} [details.data] - Extra details, e.g. a refund amount
+   * @param {string} [details.actorId] - User behind an admin or customer action
+   * @param {string} [details.dedupeKey] - Records the step once per order and key;
+   *   defaults to the type for steps that happen once
+   * @param {Date|string} [details.occurredAt] - Defaults to now
+   * @param {Object} [details.transaction]
+   * @returns {Promise<Object|null>} OrderEvent instance, or null when it could not be recorded
+   */
+  async record(order, type, details = {}) {
+    const orderId = typeof order === 'object' ? order.id : order;
+    const {
+      source = 'system',
+      carrier = null,
+      trackingNumber = null,
+      trackingUrl = null,
+      note = null,
+      data = null,
+      actorId = null,
+      occurredAt = new Date(),
+      transaction
+    } = details;
+    const dedupeKey = details.dedupeKey !== undefined
+      ? details.dedupeKey
+      : (SINGLE_EVENT_TYPES.includes(type) ? type : null);
+
+    const values = {
+      order_id: orderId,
+      type,
+      source,
+      carrier: carrier ? this.normalizeCarrier(carrier) : null,
+      tracking_number: trackingNumber,
+      tracking_url: trackingUrl,
+      note: note ? String(note).slice(0, 500) : null,
+      data,
+      actor_id: actorId,
+      dedupe_key: dedupeKey,
+      occurred_at: occurredAt ? new Date(occurredAt) : new Date()
+    };
+
+    try {
+      if (!dedupeKey) {
+        return await OrderEvent.create(values, { transaction });
+      }
+
+      const [event] = await OrderEvent.findOrCreate({
+        where: { order_id: orderId, dedupe_key: dedupeKey },
+        defaults: values,
+        transaction
+      });
+
+      return event;
+    } catch (error) {
+      this.logger.error(`Failed to record ${type} event for order ${orderId}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Timeline of an order, oldest step first, with its shipments
+   *
+   * Orders from before the timeline existed get their payment and
+   * shipments from the order itself.
+   *
+   * @param {Object} order - Order instance
+   * @param {Object} [options]
+   * @param {boolean} [options.internal=false] - Include notes and details meant for admins
+   * @returns {Promise<Object>} { order, events, shipments }
+   */
+  async getTimeline(order, { internal = false } = {}) {
+    const rows = await OrderEvent.findAll({
+      where: { order_id: order.id },
+      order: [['occurred_at', 'ASC'], ['created_at', 'ASC']]
+    });
+
+    const events = rows.map(row => this._formatEvent(row, { internal }));
+
+    if (!events.some(event => event.type === EVENT_TYPES.PAID) && order.stripePaymentIntentId) {
+      events.unshift(this._formatEvent({
+        id: null,
+        type: EVENT_TYPES.PAID,
+        source: 'stripe',
+        occurred_at: order.createdAt
+      }, { internal }));
+    }
+
+    if (!events.some(event => event.type === EVENT_TYPES.SHIPPED)) {
+      for (const shipment of order.metadata?.shipments || []) {
+        events.push(this._formatEvent({
+          id: null,
+          type: EVENT_TYPES.SHIPPED,
+          source: 'printify',
+          carrier: shipment.carrier,
+          tracking_number: shipment.trackingNumber,
+          tracking_url: shipment.trackingUrl,
+          occurred_at: shipment.shippedAt
+        }, { internal }));
+      }
+    }
+
+    events.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    return {
+      order: {
+        id: order.id,
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus,
+        shippingMethod: order.shippingMethod,
+        createdAt: order.createdAt,
+        cancelledAt: order.cancelledAt || null
+      },
+      events,
+      shipments: events
+        .filter(event => event.type === EVENT_TYPES.SHIPPED)
+        .map(({ carrier, carrierName, trackingNumber, trackingUrl, occurredAt }) => ({
+          carrier,
+          carrierName,
+          trackingNumber,
+          trackingUrl,
+          shippedAt: occurredAt
+        }))
+    };
+  }
+
+  /**
+   * Find an order for a guest by its email and order number
+   * A wrong email and an unknown order number fail the same way, so the
+   * lookup does not reveal which orders exist.
+   *
+   * @param {string} email - Email the order was placed with
+   * @param {string} orderNumber - Order ID as shown in emails, with or without '#'
+   * @returns {Promise<Object>} Order instance
+   * @throws 404 when no order matches both
+   */
+  async lookupOrder(email, orderNumber) {
+    const orderId = String(orderNumber || '').trim().replace(/^#/, '').toLowerCase();
+    const order = orderId ? await Order.findByPk(orderId) : null;
+
+    if (!order || String(order.customerEmail).toLowerCase() !== String(email).trim().toLowerCase()) {
+      throw createError('No order matches that email and order number', 404);
+    }
+
+    return order;
+  }
+
+  /**
+   * Carrier tracking page for a tracking number
+   *
+   * @param {string} carrier - Carrier code ('usps', 'UPS', 'Canada Post', ...)
+   * @param {string} trackingNumber
+   * @param {string} [fallbackUrl] - Used for carriers we have no URL for
+   * @returns {string|null}
+   */
+  getTrackingUrl(carrier, trackingNumber, fallbackUrl = null) {
+    const template = this.config.carriers[this.normalizeCarrier(carrier)]?.url;
+
+    if (!template || !trackingNumber) return fallbackUrl || null;
+
+    return template.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+  }
+
+  /**
+   * Carrier code in the form used by the carrier config ('Canada Post' → 'canada_post')
+   *
+   * @param {string} carrier
+   * @returns {string}
+   */
+  normalizeCarrier(carrier) {
+    return String(carrier || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  }
+
+  /**
+   * @private
+   */
+  _formatEvent(row, { internal }) {
+    const carrier = row.carrier ? this.normalizeCarrier(row.carrier) : null;
+
+    return {
+      id: row.id,
+      type: row.type,
+      label: EVENT_LABELS[row.type] || row.type,
+      occurredAt: row.occurred_at,
+      ...(carrier && {
+        carrier,
+        carrierName: this.config.carriers[carrier]?.name || row.carrier,
+        trackingNumber: row.tracking_number || null,
+        trackingUrl: this.getTrackingUrl(carrier, row.tracking_number, row.tracking_url)
+      }),
+      ...(internal && {
+        source: row.source,
+        note: row.note || null,
+        data: row.data || null,
+        actorId: row.actor_id || null
+      })
+    };
+  }
+}
+
+module.exports = new OrderEventService();
+module.exports.EVENT_TYPES = EVENT_TYPES;
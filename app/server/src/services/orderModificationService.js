@@ -0,0 +1,444 @@
+/**
+ * Order Modification Service
+ *
+ * Cancels paid orders and changes their shipping address before they go
+ * into production.
+ *
+ * For a configurable window after checkout (`features.orders.
+ * modificationWindowMinutes` in config/application.json) the order is held
+ * in the Printify submission queue, so the customer can still correct the
+ * shipping address or cancel without anything reaching Printify. After the
+ * window an order can still be cancelled for as long as Printify reports it
+ * as not yet in production.
+ *
+ * Cancelling stops fulfillment first (in the queue or at Printify), then
+ * refunds what is left of the payment, so a customer is never refunded for
+ * an order that is still being made. Each step records its result on the
+ * order, which makes a cancellation that failed halfway safe to retry.
+ *
+ * @module services/orderModificationService
+ */
+
+const { Order } = require('../models');
+const orderService = require('./orderService');
+const refundService = require('./refundService');
+const orderSubmissionService = require('./orderSubmissionService');
+const printifyService = require('./printifyService');
+const eventService = require('./EventService');
+const orderEventService = require('./orderEventService');
+const AuditService = require('./auditService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG = {
+  // 0 submits orders to Printify immediately and disables address edits
+  modificationWindowMinutes: 60
+};
+
+// Printify only cancels orders that have not been sent to production
+const PRINTIFY_CANCELLABLE_STATUSES = ['on-hold', 'payment-not-received'];
+
+// Submissions that have not reached Printify and can be stopped in the queue
+const QUEUED_SUBMISSION_STATUSES = ['pending', 'dead_letter'];
+
+/**
+ * Order events emitted on the shared event bus
+ */
+const ORDER_EVENTS = {
+  CANCELLED: 'order.cancelled',
+  ADDRESS_UPDATED: 'order.address_updated'
+};
+
+class OrderModificationService {
+  constructor() {
+    this.logger = logger.child({ component: 'OrderModificationService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.orders || {})
+    };
+  }
+
+  /**
+   * Get an order the customer placed
+   * Orders of other customers are reported as not found.
+   *
+   * @param {string} orderId
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @returns {Promise<Object>} Order
+   */
+  async getCustomerOrder(orderId, user) {
+    const order = await Order.findByPk(orderId);
+
+    if (!order || !this.isOwner(order, user)) {
+      throw createNotFoundError('Order', orderId);
+    }
+
+    return order;
+  }
+
+  /**
+   * Whether the user placed the order
+   * Orders placed before checkout recorded the customer are matched by email.
+   * Guest orders belong to an account only once it has claimed them.
+   *
+   * @param {Object} order
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @returns {boolean}
+   */
+  isOwner(order, user) {
+    if (!user) return false;
+    if (order.customerId) return String(order.customerId) === String(user.id);
+    if (order.isGuest) return false;
+
+    return Boolean(user.email)
+      && String(order.customerEmail).toLowerCase() === String(user.email).toLowerCase();
+  }
+
+  /**
+   * End of the window in which the customer may change the order
+   *
+   * @param {Object} order
+   * @returns {Date|null} The deadline, or null when it has passed or the
+   *   window is disabled
+   */
+  getModificationDeadline(order) {
+    const minutes = Number(this.config.modificationWindowMinutes) || 0;
+    if (minutes <= 0) return null;
+
+    const deadline = new Date(new Date(order.createdAt || Date.now()).getTime() + minutes * 60 * 1000);
+    return deadline > new Date() ? deadline : null;
+  }
+
+  /**
+   * Work out whether, and where, an order can still be cancelled
+   *
+   * @param {Object} order
+   * @returns {Promise<Object>} {
+   *   cancellable, stage ('queue' | 'printify' | 'none'), reason,
+   *   submission, printifyOrderId, printifyStatus, modifiableUntil
+   * }
+   */
+  async getCancellation(order) {
+    const result = {
+      cancellable: false,
+      stage: 'none',
+      reason: null,
+      submission: null,
+      printifyOrderId: null,
+      printifyStatus: null,
+      modifiableUntil: this.getModificationDeadline(order)
+    };
+
+    if (order.status === 'cancelled') {
+      return { ...result, reason: 'Order is already cancelled' };
+    }
+
+    // An earlier attempt stopped fulfillment but did not finish; the refund
+    // may already have gone through
+    if (order.fulfillmentStatus === 'cancelled' && ['preorder', 'paid', 'refunded'].includes(order.status)) {
+      return { ...result, cancellable: true };
+    }
+
+    // Pre-orders are not sent to Printify before their product is published
+    if (order.status === 'preorder') {
+      return { ...result, cancellable: true };
+    }
+
+    if (order.status !== 'paid') {
+      return { ...result, reason: `Order is ${order.status} and cannot be cancelled` };
+    }
+
+    const submission = await orderSubmissionService.getSubmissionForOrder(order.id);
+    result.submission = submission;
+
+    if (submission && QUEUED_SUBMISSION_STATUSES.includes(submission.status)) {
+      return { ...result, cancellable: true, stage: 'queue' };
+    }
+
+    if (submission?.status === 'processing') {
+      return { ...result, reason: 'Order is being sent to production, please try again in a minute' };
+    }
+
+    const printifyOrderId = order.printifyOrderId || submission?.printify_order_id;
+
+    if (!printifyOrderId) {
+      return { ...result, cancellable: true };
+    }
+
+    const printifyOrder = await printifyService.getOrder(this._shopId(submission), printifyOrderId);
+    result.printifyOrderId = printifyOrderId;
+    result.printifyStatus = printifyOrder.status;
+
+    if (printifyOrder.status === 'canceled') {
+      return { ...result, cancellable: true };
+    }
+
+    if (!PRINTIFY_CANCELLABLE_STATUSES.includes(printifyOrder.status)) {
+      return { ...result, reason: 'Order is already in production and can no longer be cancelled' };
+    }
+
+    return { ...result, cancellable: true, stage: 'printify' };
+  }
+
+  /**
+   * Cancel an order: stop fulfillment, refund the payment, record it and
+   * let the customer know
+   *
+   * @param {Object} order - Order instance
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {string} [options.userId] - User cancelling the order
+   * @param {string} [options.cancelledBy='customer'] - 'customer' or 'admin'
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Object>} { order, refunds } - refunds to the card and as store credit
+   */
+  async cancelOrder(order, { reason = null, userId = null, cancelledBy = 'customer', req = null } = {}) {
+    const cancellation = await this.getCancellation(order);
+
+    if (!cancellation.cancellable) {
+      throw createError(cancellation.reason, 409, {
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus,
+        printifyStatus: cancellation.printifyStatus
+      });
+    }
+
+    const before = { status: order.status, fulfillmentStatus: order.fulfillmentStatus };
+
+    if (cancellation.stage === 'queue') {
+      await orderSubmissionService.cancelSubmission(cancellation.submission.id, {
+        userId,
+        reason: reason || `Order cancelled by ${cancelledBy}`
+      });
+    } else if (cancellation.stage === 'printify') {
+      await printifyService.cancelOrder(this._shopId(cancellation.submission), cancellation.printifyOrderId);
+    }
+
+    // Recorded before the refund so a retry does not go back to Printify
+    if (order.fulfillmentStatus !== 'cancelled') {
+      await order.update({ fulfillmentStatus: 'cancelled' });
+    }
+
+    const refunds = await this._refund(order, { reason, userId, req });
+    const refundIds = refunds.map(refund => refund.id);
+
+    await order.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+      metadata: {
+        ...(order.metadata || {}),
+        cancellation: {
+          cancelledBy,
+          userId,
+          stage: cancellation.stage,
+          refundIds
+        }
+      }
+    });
+
+    await orderEventService.record(order, orderEventService.EVENT_TYPES.CANCELLED, {
+      source: cancelledBy,
+      note: reason,
+      actorId: userId,
+      occurredAt: order.cancelledAt
+    });
+
+    this.logger.info(`Order ${order.id} cancelled by ${cancelledBy}`, {
+      stage: cancellation.stage,
+      printifyOrderId: cancellation.printifyOrderId,
+      refundIds
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.ORDER_CANCELLED,
+      entityType: AuditService.ENTITIES.ORDER,
+      entityId: order.id,
+      oldValues: before,
+      newValues: { status: order.status, fulfillmentStatus: order.fulfillmentStatus },
+      userId,
+      metadata: {
+        cancelledBy,
+        reason,
+        stage: cancellation.stage,
+        printifyOrderId: cancellation.printifyOrderId,
+        refundIds,
+        refundAmount: this._refundTotal(refunds, 'original_payment'),
+        storeCreditAmount: this._refundTotal(refunds, 'store_credit')
+      },
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    try {
+      await EmailService.sendOrderCancellationEmail(order, {
+        refundAmount: this._refundTotal(refunds, 'original_payment'),
+        storeCreditAmount: this._refundTotal(refunds, 'store_credit'),
+        reason
+      });
+    } catch (error) {
+      // The order is cancelled either way; the email is a courtesy
+      this.logger.error(`Failed to send cancellation email for order ${order.id}`, { error: error.message });
+    }
+
+    eventService.emit(ORDER_EVENTS.CANCELLED, {
+      orderId: order.id,
+      cancelledBy,
+      reason,
+      refundIds
+    });
+
+    return { order, refunds };
+  }
+
+  /**
+   * Change the shipping address of an order that is still being held
+   * The destination country cannot change, since shipping was charged for it.
+   *
+   * @param {Object} order - Order instance
+   * @param {Object} address - { name, line1, line2, city, state, postal_code, country }
+   * @param {Object} [options]
+   * @param {string} [options.userId] - User changing the address
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Object>} The updated order
+   */
+  async updateShippingAddress(order, address, { userId = null, req = null } = {}) {
+    if (order.status !== 'paid' || order.fulfillmentStatus === 'cancelled') {
+      throw createError(`Order is ${order.status} and cannot be changed`, 409, { status: order.status });
+    }
+
+    if (!this.getModificationDeadline(order)) {
+      throw createError('The shipping address can no longer be changed for this order', 409);
+    }
+
+    const previous = order.shippingAddress;
+    const country = previous?.address?.country;
+
+    if (country && address.country !== country) {
+      throw createError(`The shipping address must stay in ${country}`, 400, { country });
+    }
+
+    const shippingAddress = {
+      name: address.name,
+      address: {
+        line1: address.line1,
+        line2: address.line2 || null,
+        city: address.city,
+        state: address.state || null,
+        postal_code: address.postal_code || null,
+        country: address.country
+      }
+    };
+
+    const submission = await orderSubmissionService.getSubmissionForOrder(order.id);
+
+    if (submission) {
+      const current = submission.payload?.address_to || {};
+      const payload = {
+        ...submission.payload,
+        address_to: orderService.toPrintifyAddress(shippingAddress, {
+          email: current.email || order.customerEmail,
+          phone: current.phone
+        })
+      };
+
+      if (!(await orderSubmissionService.updatePendingPayload(submission, payload))) {
+        throw createError('Order has already been sent to production and can no longer be changed', 409, {
+          submissionStatus: submission.status
+        });
+      }
+    }
+
+    await order.update({ shippingAddress });
+
+    this.logger.info(`Shipping address of order ${order.id} updated`, { userId });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.ORDER_UPDATED,
+      entityType: AuditService.ENTITIES.ORDER,
+      entityId: order.id,
+      oldValues: { shippingAddress: previous },
+      newValues: { shippingAddress },
+      userId,
+      metadata: { change: 'shipping_address' },
+      req
+    });
+
+    eventService.emit(ORDER_EVENTS.ADDRESS_UPDATED, { orderId: order.id, userId });
+
+    return order;
+  }
+
+  /**
+   * Refund whatever is left of the order
+   * The card share goes back to the card; what was paid with gift cards or
+   * store credit can only come back as store credit. Each part has its own
+   * idempotency key, so a retried cancellation reuses the refunds already
+   * made and only issues what is missing.
+   * @private
+   * @returns {Promise<Array>} Refund instances, card refunds first
+   */
+  async _refund(order, { reason, userId, req }) {
+    const { refundable, paymentRefundable } = await refundService.getRefundableBalance(order);
+
+    if (refundable <= 0) {
+      this.logger.info(`Order ${order.id} was already refunded in full`);
+      return [];
+    }
+
+    const params = {
+      source: 'cancellation',
+      note: reason ? `Order cancelled: ${reason}` : 'Order cancelled'
+    };
+    const toPayment = order.stripePaymentIntentId ? paymentRefundable : 0;
+    const toStoreCredit = Math.round((refundable - toPayment) * 100) / 100;
+    const refunds = [];
+
+    if (toPayment > 0) {
+      // Without an amount, a retry after a failed payment refunds what that left out
+      refunds.push(...await refundService.refundOrder(order, params, {
+        userId,
+        idempotencyKey: `order-cancel-${order.id}`,
+        req
+      }));
+    }
+
+    if (toStoreCredit > 0) {
+      refunds.push(...await refundService.refundOrder(order, {
+        ...params,
+        amount: toStoreCredit,
+        method: 'store_credit'
+      }, {
+        userId,
+        idempotencyKey: `order-cancel-credit-${order.id}`,
+        req
+      }));
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Dollars refunded by one method, or null when nothing was
+   * @private
+   */
+  _refundTotal(refunds, method) {
+    const matching = refunds.filter(refund => (refund.method || 'original_payment') === method);
+    if (matching.length === 0) return null;
+
+    return Math.round(matching.reduce((sum, refund) => sum + Number(refund.amount), 0) * 100) / 100;
+  }
+
+  /**
+   * @private
+   */
+  _shopId(submission) {
+    return submission?.shop_id || process.env.DEFAULT_PRINTIFY_SHOP_ID;
+  }
+}
+
+module.exports = new OrderModificationService();
+module.exports.ORDER_EVENTS = ORDER_EVENTS;
+module.exports.PRINTIFY_CANCELLABLE_STATUSES = PRINTIFY_CANCELLABLE_STATUSES;
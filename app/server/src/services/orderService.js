@@ -4,9 +4,15 @@
  */
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const logger = require('../utils/logger');
-const OrderModel = require('../models/Order');
-const OrderItemModel = require('../models/OrderItem');
-const { sequelize } = require('../models');
+const {
+  sequelize,
+  Order: OrderModel,
+  OrderItem: OrderItemModel
+} = require('../models');
+const orderEventService = require('./orderEventService');
+const promotionService = require('./promotionService');
+const giftCardService = require('./giftCardService');
+const taxService = require('./taxService');
 const { createError } = require('../utils/errorHandler');
 
 class OrderService {
@@ -18,11 +24,22 @@ class OrderService {
    * Create a new order from a Stripe session
    * @param {Object} session - Stripe checkout session
    * @param {Array} cartItems - Array of cart items
+   * @param {Object} [options]
+   * @param {Object} [options.shipping] - Selected shipping ({ method, printifyMethod, amount, tax } in cents)
+   * @param {string} [options.status='paid'] - 'preorder' holds the order until its product is published
    * @returns {Promise<Object>} Created order
    */
-  async createOrderFromStripeSession(session, cartItems) {
+  async createOrderFromStripeSession(session, cartItems, { shipping = null, status = 'paid' } = {}) {
+    // Sales tax by line and jurisdiction; the rate table charges it as a
+    // line item and in the shipping rate, which the totals leave out
+    const tax = await taxService.fromSession(session, cartItems, shipping);
+    const taxAmount = tax ? tax.amount : (session.total_details?.amount_tax ?? 0);
+    const taxCharged = tax?.charged || { lineItems: 0, shipping: 0 };
+
     // Use a transaction to ensure database operations are atomic
     const transaction = await sequelize.transaction();
+    const promotion = this._promotionFromSession(session, shipping);
+    const giftCardAmount = Number(session.metadata?.giftCardAmount) || 0;
     
     try {
       // Create order record in our database
@@ -32,23 +49,61 @@ class OrderService {
         customerEmail: session.customer_details.email,
         customerName: session.customer_details.name,
         totalAmount: session.amount_total / 100, // Convert from cents
-        status: 'paid',
-        shippingAddress: JSON.stringify({
+        // Charged in the customer's currency, at the rate set by createCheckoutSession
+        currency: session.currency || 'usd',
+        exchangeRate: Number(session.metadata?.exchangeRate) || 1,
+        status,
+        // The model serializes this to JSON
+        shippingAddress: {
           name: session.shipping_details?.name || session.customer_details.name,
           address: session.shipping_details?.address || session.customer_details.address
-        }),
+        },
+        shippingMethod: shipping?.method || null,
+        printifyShippingMethod: shipping?.printifyMethod || null,
+        shippingCost: shipping ? (shipping.amount - (shipping.tax || 0)) / 100 : null,
+        // Set by createCheckoutSession for signed-in customers
+        customerId: session.metadata?.userId || null,
+        isGuest: session.metadata?.checkout === 'guest',
+        promotionId: promotion.id,
+        promotionCode: promotion.code,
+        discountAmount: promotion.discount / 100,
+        giftCardAmount: giftCardAmount / 100,
+        taxAmount: taxAmount / 100,
+        // Breakdown of the total as charged, printed on invoices
+        metadata: {
+          totals: {
+            subtotal: ((session.amount_subtotal ?? 0) - taxCharged.lineItems) / 100,
+            discount: ((session.total_details?.amount_discount ?? 0) - giftCardAmount) / 100,
+            giftCard: giftCardAmount / 100,
+            shipping: ((session.total_details?.amount_shipping ?? 0) - taxCharged.shipping) / 100,
+            tax: taxAmount / 100
+          }
+        },
       }, { transaction });
       
       // Create order items
-      await Promise.all(cartItems.map(item => 
+      const orderItems = await Promise.all(cartItems.map((item, index) => 
         OrderItemModel.create({
-          orderId: order.id,
-          productId: item.id,
-          variantId: item.variantId,
+          order_id: order.id,
+          product_id: item.id,
+          variant_id: item.variantId,
           quantity: item.quantity,
           price: item.price,
+          tax_amount: (tax?.items[index]?.amount || 0) / 100,
+          ...(item.title && { title: item.title }),
         }, { transaction })
       ));
+
+      await taxService.recordOrderTax(order, orderItems, tax, { transaction });
+
+      await promotionService.recordRedemption(session, order, { transaction });
+      await giftCardService.recordRedemption(session, order, { transaction });
+
+      await orderEventService.record(order, orderEventService.EVENT_TYPES.PAID, {
+        source: 'stripe',
+        data: { amount: Number(order.totalAmount), currency: order.currency },
+        transaction
+      });
       
       // Commit the transaction
       await transaction.commit();
@@ -71,6 +126,82 @@ class OrderService {
     }
   }
 
+  /**
+   * Promotion applied to a checkout session and the cents it took off
+   * Stripe reports the coupon on the lines, less the gift card paid with
+   * the same coupon; free shipping was taken off the shipping rate before
+   * Stripe saw it, so it counts when the customer picked the rate that was
+   * made free.
+   * @private
+   * @returns {Object} { id, code, discount }
+   */
+  _promotionFromSession(session, shipping) {
+    const metadata = session.metadata || {};
+    const [freeMethod, freeAmount] = String(metadata.freeShipping || '').split(':');
+    const shippingDiscount = freeMethod && shipping?.method === freeMethod ? Number(freeAmount) || 0 : 0;
+
+    return {
+      id: metadata.promotionId || null,
+      code: metadata.promotionCode || null,
+      discount: (session.total_details?.amount_discount ?? 0) - (Number(metadata.giftCardAmount) || 0) + shippingDiscount
+    };
+  }
+
+  /**
+   * Build Printify's `address_to` from an order's shipping address
+   * @param {Object} shippingAddress - { name, address: { line1, line2, city, state, postal_code, country } }
+   *   as stored on the order (Stripe's shape)
+   * @param {Object} [contact]
+   * @param {string} [contact.email]
+   * @param {string} [contact.phone]
+   * @returns {Object} address_to for printifyService.createOrder
+   */
+  toPrintifyAddress(shippingAddress, { email = '', phone = '' } = {}) {
+    const address = shippingAddress?.address || {};
+    const [firstName = '', ...lastNames] = String(shippingAddress?.name || '').trim().split(/\s+/);
+
+    return {
+      first_name: firstName,
+      last_name: lastNames.join(' '),
+      email: email || '',
+      phone: phone || '',
+      country: address.country || '',
+      region: address.state || '',
+      address1: address.line1 || '',
+      address2: address.line2 || '',
+      city: address.city || '',
+      zip: address.postal_code || ''
+    };
+  }
+
+  /**
+   * Refund all or part of an order's payment in Stripe
+   * @param {Object} order - Order with stripePaymentIntentId
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Amount in dollars; the full payment when omitted
+   * @param {string} [options.reason='requested_by_customer'] - Stripe refund reason
+   * @param {Object} [options.metadata] - Extra Stripe metadata
+   * @param {string} [options.idempotencyKey] - Makes a retried refund reuse the first one
+   * @param {string} [options.paymentIntentId] - Another payment of the order
+   *   to refund, e.g. a pre-order's balance; defaults to stripePaymentIntentId
+   * @returns {Promise<Object>} Stripe refund
+   */
+  async refundPayment(order, { amount, reason = 'requested_by_customer', metadata = {}, idempotencyKey, paymentIntentId } = {}) {
+    if (!order.stripePaymentIntentId) {
+      throw createError('Order has no payment to refund', 409);
+    }
+
+    return stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId || order.stripePaymentIntentId,
+        ...(amount !== undefined && amount !== null && { amount: Math.round(Number(amount) * 100) }),
+        reason,
+        metadata: { orderId: order.id, ...metadata }
+      },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+  }
+
   /**
    * Get orders by user ID
    * @param {number} userId - User ID
@@ -80,7 +211,7 @@ class OrderService {
     try {
       // Find all orders for this user
       const orders = await OrderModel.findAll({
-        where: { userId },
+        where: { customerId: userId },
         include: [
           {
             model: OrderItemModel,
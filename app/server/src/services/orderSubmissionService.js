@@ -0,0 +1,523 @@
+/**
+ * Order Submission Service
+ *
+ * Durable queue that submits paid orders to Printify. Each order gets one
+ * PrintifyOrderSubmission row; a failed submission is retried with
+ * exponential backoff and every try is logged as a
+ * PrintifyOrderSubmissionAttempt. Submissions that run out of attempts, or
+ * that Printify rejects outright, are parked in the `dead_letter` state for
+ * an admin to retry or cancel.
+ *
+ * The queue lives in the database and is polled by the scheduler, so work
+ * survives restarts. Jobs are claimed with a conditional update, which keeps
+ * several dynos from submitting the same order, and a job left `processing`
+ * by a process that died is reclaimed once its lock goes stale.
+ *
+ * @module services/orderSubmissionService
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Order,
+  PrintifyOrderSubmission,
+  PrintifyOrderSubmissionAttempt
+} = require('../models');
+const printifyService = require('./printifyService');
+const schedulerService = require('./schedulerService');
+const eventService = require('./EventService');
+const orderEventService = require('./orderEventService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'printify-order-submissions';
+
+const STATUSES = ['pending', 'processing', 'submitted', 'dead_letter', 'cancelled'];
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  pollIntervalSeconds: 60,
+  batchSize: 10,
+  maxAttempts: 8,
+  baseDelaySeconds: 60,
+  maxDelayMinutes: 360,
+  staleLockMinutes: 10
+};
+
+// Printify rejected the order itself; sending it again will not help
+const PERMANENT_HTTP_STATUSES = [400, 404, 422];
+
+/**
+ * Submission events emitted on the shared event bus
+ */
+const SUBMISSION_EVENTS = {
+  SUBMITTED: 'order.submission.submitted',
+  DEAD_LETTERED: 'order.submission.dead_lettered'
+};
+
+class OrderSubmissionService {
+  constructor() {
+    this.logger = logger.child({ component: 'OrderSubmissionService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.integration?.printify?.orderQueue || {})
+    };
+  }
+
+  /**
+   * Queue an order for submission to Printify
+   * Idempotent per order: a second call returns the existing submission.
+   *
+   * @param {Object} order - Order instance
+   * @param {Object} payload - Order body for Printify's create order endpoint
+   * @param {Object} [options]
+   * @param {string} [options.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @param {Date} [options.holdUntil] - Do not submit before this time
+   * @returns {Promise<Object>} PrintifyOrderSubmission
+   */
+  async enqueue(order, payload, { shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID, holdUntil = null } = {}) {
+    if (!shopId) {
+      throw createError('DEFAULT_PRINTIFY_SHOP_ID is not configured', 500);
+    }
+
+    const [submission, created] = await PrintifyOrderSubmission.findOrCreate({
+      where: { order_id: order.id },
+      defaults: {
+        shop_id: String(shopId),
+        payload,
+        status: 'pending',
+        max_attempts: this.config.maxAttempts,
+        next_attempt_at: holdUntil || new Date()
+      }
+    });
+
+    if (created) {
+      this.logger.info(`Queued order ${order.id} for Printify submission`, { submissionId: submission.id });
+    }
+
+    return submission;
+  }
+
+  /**
+   * Try a submission right away instead of waiting for the next poll
+   *
+   * @param {Object} submission - PrintifyOrderSubmission instance
+   * @returns {Promise<Object>} The submission after the attempt (unchanged if
+   *   another worker holds it)
+   */
+  async submitNow(submission) {
+    const claimed = await this._claim(submission);
+    if (!claimed) return submission.reload();
+
+    return this._attempt(submission);
+  }
+
+  /**
+   * Work through submissions that are due, including stale claims
+   * Called by the scheduler.
+   *
+   * @returns {Promise<Object>} { processed, submitted, failed }
+   */
+  async processDue() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.config.staleLockMinutes * 60 * 1000);
+
+    const due = await PrintifyOrderSubmission.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending', next_attempt_at: { [Op.lte]: now } },
+          { status: 'processing', locked_at: { [Op.lt]: staleBefore } }
+        ]
+      },
+      order: [['next_attempt_at', 'ASC']],
+      limit: this.config.batchSize
+    });
+
+    const summary = { processed: 0, submitted: 0, failed: 0 };
+
+    for (const submission of due) {
+      if (!(await this._claim(submission))) continue;
+
+      const result = await this._attempt(submission);
+      summary.processed += 1;
+      summary[result.status === 'submitted' ? 'submitted' : 'failed'] += 1;
+    }
+
+    if (summary.processed) {
+      this.logger.info('Processed Printify order submissions', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Delay before the next try: exponential from the base delay, capped,
+   * with up to 10% jitter so retries from an outage do not arrive together
+   *
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const base = this.config.baseDelaySeconds * 1000;
+    const max = this.config.maxDelayMinutes * 60 * 1000;
+    const delay = Math.min(max, base * 2 ** Math.max(0, attempt - 1));
+
+    return delay + Math.floor(Math.random() * delay * 0.1);
+  }
+
+  /**
+   * Whether a failed submission is worth trying again
+   *
+   * @param {Error} error - Error from printifyService
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    return !PERMANENT_HTTP_STATUSES.includes(error.status);
+  }
+
+  /**
+   * List submissions for the admin dashboard
+   *
+   * @param {Object} [options]
+   * @param {string} [options.status] - Only submissions in this state
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object>} { submissions, total, page, limit }
+   */
+  async listSubmissions({ status, page = 1, limit = 20 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`Invalid status. Use one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const { rows, count } = await PrintifyOrderSubmission.findAndCountAll({
+      where: status ? { status } : {},
+      include: [{
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'stripeSessionId', 'customerEmail', 'totalAmount', 'status', 'fulfillmentStatus']
+      }],
+      order: [['created_at', 'DESC']],
+      offset: (page - 1) * limit,
+      limit
+    });
+
+    return { submissions: rows, total: count, page, limit };
+  }
+
+  /**
+   * Get a submission with its full attempt history
+   *
+   * @param {string} submissionId
+   * @returns {Promise<Object>} PrintifyOrderSubmission
+   */
+  async getSubmission(submissionId) {
+    const submission = await PrintifyOrderSubmission.findByPk(submissionId, {
+      include: [
+        {
+          model: PrintifyOrderSubmissionAttempt,
+          as: 'attemptLog'
+        },
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'stripeSessionId', 'customerEmail', 'totalAmount', 'status', 'fulfillmentStatus']
+        }
+      ],
+      order: [[{ model: PrintifyOrderSubmissionAttempt, as: 'attemptLog' }, 'attempt_number', 'ASC']]
+    });
+
+    if (!submission) {
+      throw createNotFoundError('Order submission', submissionId);
+    }
+
+    return submission;
+  }
+
+  /**
+   * Get the submission for an order, if it was queued
+   *
+   * @param {string} orderId
+   * @returns {Promise<Object|null>} PrintifyOrderSubmission
+   */
+  async getSubmissionForOrder(orderId) {
+    return PrintifyOrderSubmission.findOne({ where: { order_id: orderId } });
+  }
+
+  /**
+   * Replace the payload of a submission that has not been sent yet
+   * Only succeeds while the submission is still waiting in the queue, so a
+   * worker that already claimed it keeps sending what it read.
+   *
+   * @param {Object} submission - PrintifyOrderSubmission instance
+   * @param {Object} payload - New order body for Printify
+   * @returns {Promise<boolean>} Whether the payload was replaced
+   */
+  async updatePendingPayload(submission, payload) {
+    const [count] = await PrintifyOrderSubmission.update(
+      { payload },
+      { where: { id: submission.id, status: 'pending' } }
+    );
+
+    if (count !== 1) return false;
+
+    submission.payload = payload;
+    return true;
+  }
+
+  /**
+   * Put a stuck, dead-lettered or cancelled submission back in the queue
+   * with a fresh set of attempts, and try it immediately
+   *
+   * @param {string} submissionId
+   * @returns {Promise<Object>} The submission after the attempt
+   */
+  async retrySubmission(submissionId) {
+    const submission = await this.getSubmission(submissionId);
+
+    if (['submitted', 'processing'].includes(submission.status)) {
+      throw createError(`Submission is ${submission.status} and cannot be retried`, 409, {
+        status: submission.status
+      });
+    }
+
+    await submission.update({
+      status: 'pending',
+      max_attempts: submission.attempts + this.config.maxAttempts,
+      next_attempt_at: new Date(),
+      cancelled_by: null,
+      cancel_reason: null
+    });
+
+    this.logger.info(`Submission ${submission.id} requeued by admin`, { orderId: submission.order_id });
+
+    return this.submitNow(submission);
+  }
+
+  /**
+   * Stop trying to submit an order (e.g. it was fulfilled by hand)
+   *
+   * @param {string} submissionId
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Admin cancelling the submission
+   * @param {string} [options.reason]
+   * @returns {Promise<Object>} The cancelled submission
+   */
+  async cancelSubmission(submissionId, { userId = null, reason = null } = {}) {
+    const submission = await this.getSubmission(submissionId);
+
+    if (['submitted', 'processing'].includes(submission.status)) {
+      throw createError(`Submission is ${submission.status} and cannot be cancelled`, 409, {
+        status: submission.status
+      });
+    }
+
+    const values = {
+      status: 'cancelled',
+      next_attempt_at: null,
+      cancelled_by: userId,
+      cancel_reason: reason
+    };
+
+    // Conditional, so a worker that claims the job meanwhile wins
+    const [count] = await PrintifyOrderSubmission.update(values, {
+      where: { id: submission.id, status: submission.status }
+    });
+
+    if (count !== 1) {
+      throw createError('Submission changed while cancelling, please try again', 409);
+    }
+
+    Object.assign(submission, values);
+
+    this.logger.info(`Submission ${submission.id} cancelled`, { orderId: submission.order_id, userId });
+
+    return submission;
+  }
+
+  /**
+   * Register the queue worker with the scheduler
+   */
+  registerSchedule() {
+    if (this.config.enabled === false) {
+      this.logger.info('Printify order submission worker is disabled in configuration');
+      return;
+    }
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.pollIntervalSeconds * 1000,
+      // Pick up work left behind by the previous process right away
+      runOnStart: true,
+      handler: () => this.processDue()
+    });
+  }
+
+  /**
+   * Claim a submission for this worker
+   * Only succeeds if nobody changed it since it was read.
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _claim(submission) {
+    const where = { id: submission.id, status: submission.status };
+
+    if (submission.status === 'processing') {
+      where.locked_at = submission.locked_at;
+    } else if (submission.status !== 'pending') {
+      return false;
+    }
+
+    const lockedAt = new Date();
+    const [count] = await PrintifyOrderSubmission.update(
+      { status: 'processing', locked_at: lockedAt },
+      { where }
+    );
+
+    if (count !== 1) return false;
+
+    submission.status = 'processing';
+    submission.locked_at = lockedAt;
+    return true;
+  }
+
+  /**
+   * Make one attempt at a claimed submission and record the outcome
+   * @private
+   */
+  async _attempt(submission) {
+    const attemptNumber = submission.attempts + 1;
+    const startTime = Date.now();
+
+    try {
+      // An earlier try may have reached Printify before we lost the response
+      const existing = attemptNumber > 1 ? await this._findExistingPrintifyOrder(submission) : null;
+      const printifyOrder = existing || await printifyService.createOrder(submission.shop_id, submission.payload);
+
+      await this._markSubmitted(submission, printifyOrder, attemptNumber, Date.now() - startTime);
+    } catch (error) {
+      await this._markFailed(submission, error, attemptNumber, Date.now() - startTime);
+    }
+
+    return submission;
+  }
+
+  /**
+   * @private
+   */
+  async _markSubmitted(submission, printifyOrder, attemptNumber, duration) {
+    const printifyOrderId = String(printifyOrder.id);
+
+    await sequelize.transaction(async (transaction) => {
+      await PrintifyOrderSubmissionAttempt.create({
+        submission_id: submission.id,
+        attempt_number: attemptNumber,
+        outcome: 'succeeded',
+        duration_ms: duration,
+        attempted_at: new Date()
+      }, { transaction });
+
+      await submission.update({
+        status: 'submitted',
+        attempts: attemptNumber,
+        printify_order_id: printifyOrderId,
+        submitted_at: new Date(),
+        next_attempt_at: null,
+        locked_at: null,
+        last_error: null
+      }, { transaction });
+
+      const order = await Order.findByPk(submission.order_id, { transaction });
+
+      if (order) {
+        order.printifyOrderId = printifyOrderId;
+        if (!order.fulfillmentStatus) {
+          order.fulfillmentStatus = 'pending';
+        }
+        await order.save({ transaction });
+
+        await orderEventService.record(order, orderEventService.EVENT_TYPES.SUBMITTED, {
+          data: { printifyOrderId },
+          transaction
+        });
+      }
+    });
+
+    this.logger.info(`Order ${submission.order_id} submitted to Printify`, {
+      submissionId: submission.id,
+      printifyOrderId,
+      attempt: attemptNumber
+    });
+
+    eventService.emit(SUBMISSION_EVENTS.SUBMITTED, {
+      submissionId: submission.id,
+      orderId: submission.order_id,
+      printifyOrderId
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _markFailed(submission, error, attemptNumber, duration) {
+    const exhausted = attemptNumber >= submission.max_attempts;
+    const deadLetter = exhausted || !this.isRetryable(error);
+
+    await PrintifyOrderSubmissionAttempt.create({
+      submission_id: submission.id,
+      attempt_number: attemptNumber,
+      outcome: 'failed',
+      http_status: error.status || null,
+      error_message: error.message,
+      duration_ms: duration,
+      attempted_at: new Date()
+    });
+
+    await submission.update({
+      status: deadLetter ? 'dead_letter' : 'pending',
+      attempts: attemptNumber,
+      next_attempt_at: deadLetter ? null : new Date(Date.now() + this.getBackoffDelay(attemptNumber)),
+      locked_at: null,
+      last_error: error.message
+    });
+
+    if (deadLetter) {
+      this.logger.error(`Order ${submission.order_id} moved to dead letter`, {
+        submissionId: submission.id,
+        attempts: attemptNumber,
+        reason: exhausted ? 'attempts exhausted' : 'rejected by Printify',
+        error: error.message
+      });
+
+      eventService.emit(SUBMISSION_EVENTS.DEAD_LETTERED, {
+        submissionId: submission.id,
+        orderId: submission.order_id,
+        error: error.message
+      });
+    } else {
+      this.logger.warn(`Printify submission for order ${submission.order_id} failed, will retry`, {
+        submissionId: submission.id,
+        attempt: attemptNumber,
+        nextAttemptAt: submission.next_attempt_at,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Look for a Printify order already created for this submission
+   * @private
+   */
+  async _findExistingPrintifyOrder(submission) {
+    const externalId = submission.payload && submission.payload.external_id;
+    if (!externalId) return null;
+
+    const result = await printifyService.getOrders(submission.shop_id);
+    const orders = Array.isArray(result) ? result : (result && result.data) || [];
+
+    return orders.find(order => order.external_id === externalId) || null;
+  }
+}
+
+module.exports = new OrderSubmissionService();
+module.exports.STATUSES = STATUSES;
+module.exports.SUBMISSION_EVENTS = SUBMISSION_EVENTS;
@@ -0,0 +1,884 @@
+/**
+ * Preorder Service
+ *
+ * Lets signed-in customers order upcoming products before they are
+ * published. An admin turns pre-orders on per product and picks whether
+ * customers pay in full or a deposit at checkout. A pre-order is an order in
+ * the `preorder` status: it is paid, but nothing goes to Printify until the
+ * product is published. Catalog changes, from the scheduled sync and from
+ * Printify webhooks alike, arrive as catalog events and release the
+ * product's pre-orders; a scheduled job catches any the events missed.
+ *
+ * On release, full-payment orders are queued for Printify. Deposit orders
+ * are first charged the balance (the rest of the price, the cheapest
+ * shipping rate and sales tax) on the card saved with the deposit. When the
+ * card is declined the customer is emailed a link to pay the balance, and
+ * the order waits until they do.
+ *
+ * Pre-orders are charged in the shop's base currency, without discount
+ * codes or gift cards. They are cancelled like any other order
+ * (orderModificationService), which refunds what was paid; an admin can
+ * cancel all pre-orders of a product at once.
+ *
+ * @module services/preorderService
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { Op, fn, col } = require('sequelize');
+const { sequelize, Order, OrderItem, Preorder, PreorderProduct } = require('../models');
+const catalogService = require('./catalogService');
+const pricingService = require('./pricingService');
+const shippingService = require('./shippingService');
+const taxService = require('./taxService');
+const currencyService = require('./currencyService');
+const orderService = require('./orderService');
+const orderSubmissionService = require('./orderSubmissionService');
+const orderModificationService = require('./orderModificationService');
+const eventService = require('./EventService');
+const { CATALOG_EVENTS } = require('./catalogSyncService');
+const schedulerService = require('./schedulerService');
+const AuditService = require('./auditService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'preorder-release';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  // Safety net for catalog events that were missed
+  releasePollMinutes: 15,
+  // Used when an admin picks deposits without a percentage
+  defaultDepositPercent: 25
+};
+
+// Pre-orders that have not gone to Printify yet
+const OPEN_STATUSES = ['waiting', 'balance_due'];
+
+class PreorderService {
+  constructor() {
+    this.logger = logger.child({ component: 'PreorderService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.preorders || {})
+    };
+
+    this._subscribe();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * Upcoming products customers can pre-order
+   *
+   * @returns {Promise<Array>} [{ productId, payment, depositPercent, expectedReleaseAt }]
+   */
+  async getOffers() {
+    if (!this.isEnabled()) return [];
+
+    const settings = await PreorderProduct.findAll({ where: { enabled: true } });
+    const products = await Promise.all(settings.map(entry => catalogService.getProduct(null, entry.product_id)));
+
+    return settings
+      .filter((entry, index) => products[index] && products[index].visible === false)
+      .map(entry => this._toOffer(entry));
+  }
+
+  /**
+   * Turn pre-orders of an upcoming product on or off, or change how they are paid
+   *
+   * @param {string} productId
+   * @param {Object} data - { enabled, payment, depositPercent, expectedReleaseAt }
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin making the change
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Object>} The PreorderProduct
+   * @throws {APIError} 404 for an unknown product, 409 when turning on
+   *   pre-orders of a published product
+   */
+  async updateSettings(productId, data, { user = null, req = null } = {}) {
+    const product = await catalogService.getProduct(null, productId);
+
+    if (!product) {
+      throw createNotFoundError('Product', productId);
+    }
+
+    const existing = await PreorderProduct.findOne({ where: { product_id: String(productId) } });
+    const enabled = data.enabled ?? existing?.enabled ?? true;
+    const payment = data.payment || existing?.payment || 'full';
+
+    if (enabled && product.visible) {
+      throw createError('Product is already published', 409, { productId },
+        'This product is already published and can be bought normally.');
+    }
+
+    const values = {
+      enabled,
+      payment,
+      deposit_percent: payment === 'deposit'
+        ? data.depositPercent || existing?.deposit_percent || this.config.defaultDepositPercent
+        : null,
+      expected_release_at: data.expectedReleaseAt !== undefined
+        ? data.expectedReleaseAt
+        : existing?.expected_release_at || null,
+      updated_by: user?.id || null
+    };
+
+    const oldValues = existing ? this._toOffer(existing) : null;
+    const settings = existing
+      ? await existing.update(values)
+      : await PreorderProduct.create({ product_id: String(productId), ...values });
+
+    await AuditService.create({
+      action: existing ? AuditService.ACTIONS.UPDATE : AuditService.ACTIONS.CREATE,
+      entityType: AuditService.ENTITIES.PREORDER_PRODUCT,
+      entityId: settings.id,
+      oldValues,
+      newValues: this._toOffer(settings),
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    return settings;
+  }
+
+  /**
+   * Start a Stripe checkout for a pre-order
+   * Full payment charges the price, shipping and tax like a normal checkout.
+   * A deposit charges part of the price and saves the card for the balance.
+   *
+   * @param {Object} user - Signed-in customer ({ id, email })
+   * @param {Object} params
+   * @param {string} params.productId
+   * @param {number} params.variantId
+   * @param {number} [params.quantity=1]
+   * @param {Object} params.shippingAddress - Destination ({ country, state, zip })
+   * @returns {Promise<Object>} { url, sessionId }
+   * @throws {APIError} 404 when the product cannot be pre-ordered, 409 when
+   *   it is already published or the variant cannot be ordered
+   */
+  async createCheckout(user, { productId, variantId, quantity = 1, shippingAddress }) {
+    const settings = this.isEnabled()
+      ? await PreorderProduct.findOne({ where: { product_id: String(productId), enabled: true } })
+      : null;
+    const product = settings && await catalogService.getProduct(null, productId);
+
+    if (!product) {
+      throw createError('Product cannot be pre-ordered', 404, { productId },
+        'This product is not available for pre-order.');
+    }
+
+    if (product.visible) {
+      throw createError('Product is already published', 409, { productId },
+        'This product is already available. Add it to your cart instead.');
+    }
+
+    const pricing = await pricingService.priceCart([{ id: productId, variantId, quantity }], { includeHidden: true });
+
+    if (pricing.unavailable.length) {
+      throw createError('Variant cannot be pre-ordered', 409, { unavailable: pricing.unavailable },
+        'This option cannot be pre-ordered.');
+    }
+
+    const [item] = pricing.items;
+    const currency = currencyService.getBaseCurrency().toLowerCase();
+    // Checks we ship there before taking any money
+    const quote = await shippingService.getQuote({ items: pricing.items, address: shippingAddress });
+    const deposit = settings.payment === 'deposit'
+      ? this.getDepositAmount(pricing.subtotal, settings.deposit_percent)
+      : null;
+
+    const sessionParams = {
+      payment_method_types: ['card'],
+      mode: 'payment',
+      line_items: [{
+        price_data: {
+          currency,
+          product_data: {
+            name: deposit === null ? item.title : `Deposit: ${item.title}`,
+            description: deposit === null
+              ? `Pre-order${item.variantTitle ? `, ${item.variantTitle}` : ''}`
+              : `${settings.deposit_percent}% deposit on ${item.quantity} × ${item.variantTitle || item.title}`,
+            images: item.image ? [item.image] : [],
+            metadata: {
+              product_id: item.id,
+              variant_id: item.variantId
+            }
+          },
+          unit_amount: deposit === null ? item.unitAmount : deposit
+        },
+        quantity: deposit === null ? item.quantity : 1
+      }],
+      success_url: `${process.env.CLIENT_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.CLIENT_URL}/dashboard/upcoming-products`,
+      shipping_address_collection: {
+        allowed_countries: [quote.country]
+      },
+      customer_email: user.email,
+      metadata: {
+        userId: String(user.id),
+        preorderProductId: String(productId),
+        preorderPayment: settings.payment,
+        exchangeRate: '1',
+        cartItems: JSON.stringify([{
+          id: item.id,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          price: item.price
+        }])
+      }
+    };
+
+    if (deposit === null) {
+      sessionParams.shipping_options = shippingService.toStripeShippingOptions(quote);
+      await taxService.prepareCheckout(sessionParams, { items: pricing.items, address: shippingAddress, currency });
+    } else {
+      // Shipping and tax are charged with the balance, on the card saved here
+      sessionParams.customer_creation = 'always';
+      sessionParams.payment_intent_data = { setup_future_usage: 'off_session' };
+    }
+
+    const session = await stripe.checkout.sessions.create(sessionParams);
+
+    this.logger.info('Pre-order checkout session created', {
+      sessionId: session.id,
+      productId,
+      variantId: item.variantId,
+      payment: settings.payment
+    });
+
+    return { url: session.url, sessionId: session.id };
+  }
+
+  /**
+   * Deposit on a pre-order in cents, at least one cent short of the price
+   *
+   * @param {number} amount - Price of the pre-order in cents
+   * @param {number} percent
+   * @returns {number}
+   */
+  getDepositAmount(amount, percent) {
+    return Math.min(Math.max(Math.round(amount * Number(percent) / 100), 1), amount - 1);
+  }
+
+  /**
+   * Record the pre-order of a paid pre-order checkout
+   * A replayed webhook finds the pre-order it created the first time.
+   *
+   * @param {Object} session - Completed Stripe checkout session
+   * @param {Object} order - Order created from the session
+   * @param {Object|null} shipping - Result of shippingService.getSelectedMethod;
+   *   null for deposits, which pick shipping on release
+   * @returns {Promise<Object>} The Preorder
+   */
+  async recordPreorder(session, order, shipping = null) {
+    const existing = await Preorder.findOne({ where: { order_id: order.id } });
+    if (existing) return existing;
+
+    const [item] = JSON.parse(session.metadata.cartItems);
+    const preorder = await Preorder.create({
+      order_id: order.id,
+      user_id: session.metadata.userId,
+      product_id: String(item.id),
+      variant_id: item.variantId,
+      quantity: item.quantity,
+      payment: session.metadata.preorderPayment === 'deposit' ? 'deposit' : 'full',
+      deposit_amount: session.amount_total / 100,
+      payload: {
+        external_id: session.id,
+        shipping_method: shipping?.printifyMethod ?? null,
+        address_to: orderService.toPrintifyAddress(order.shippingAddress, {
+          email: session.customer_details?.email,
+          phone: session.customer_details?.phone
+        }),
+        line_items: [{
+          product_id: String(item.id),
+          variant_id: item.variantId,
+          quantity: item.quantity
+        }]
+      }
+    });
+
+    this.logger.info(`Pre-order recorded for order ${order.id}`, {
+      preorderId: preorder.id,
+      productId: preorder.product_id,
+      payment: preorder.payment
+    });
+
+    return preorder;
+  }
+
+  /**
+   * A customer's pre-orders, newest first
+   *
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getCustomerPreorders(userId) {
+    const preorders = await Preorder.findAll({
+      where: { user_id: userId },
+      attributes: { exclude: ['payload', 'balance', 'balance_error'] },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'status', 'totalAmount', 'currency', 'createdAt'] }],
+      order: [['created_at', 'DESC']]
+    });
+
+    const titles = await this._productTitles(preorders.map(preorder => preorder.product_id));
+
+    return preorders.map(preorder => ({
+      ...preorder.toJSON(),
+      title: titles.get(preorder.product_id) || null
+    }));
+  }
+
+  /**
+   * Release the pre-orders of a product once it is published
+   *
+   * @param {string} productId
+   * @returns {Promise<Object>} { released, balanceDue, failed }
+   */
+  async releaseProduct(productId) {
+    const result = { released: 0, balanceDue: 0, failed: 0 };
+    const preorders = await Preorder.findAll({
+      where: { product_id: String(productId), status: 'waiting' },
+      order: [['created_at', 'ASC']]
+    });
+
+    if (!preorders.length) return result;
+
+    const product = await catalogService.getProduct(null, productId);
+    if (!product?.visible) return result;
+
+    for (const preorder of preorders) {
+      try {
+        const status = await this.release(preorder);
+
+        if (status === 'released') result.released++;
+        if (status === 'balance_due') result.balanceDue++;
+      } catch (error) {
+        // Left waiting for the next run
+        this.logger.error(`Failed to release pre-order ${preorder.id}`, { orderId: preorder.order_id, error: error.message });
+        result.failed++;
+      }
+    }
+
+    this.logger.info(`Released pre-orders of product ${productId}`, result);
+
+    return result;
+  }
+
+  /**
+   * Release the pre-orders of every product that was published
+   * Run by the scheduler in case a catalog event was missed.
+   *
+   * @returns {Promise<Object>} { released, balanceDue, failed }
+   */
+  async releaseDue() {
+    const rows = await Preorder.findAll({
+      attributes: [[fn('DISTINCT', col('product_id')), 'product_id']],
+      where: { status: 'waiting' },
+      raw: true
+    });
+
+    const totals = { released: 0, balanceDue: 0, failed: 0 };
+
+    for (const { product_id: productId } of rows) {
+      const result = await this.releaseProduct(productId);
+      Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+    }
+
+    return totals;
+  }
+
+  /**
+   * Release one pre-order: send full-payment orders to Printify, charge the
+   * balance of deposit orders first
+   *
+   * @param {Object} preorder - Preorder instance
+   * @returns {Promise<string>} The pre-order's status afterwards
+   */
+  async release(preorder) {
+    const order = await Order.findByPk(preorder.order_id);
+
+    if (!order || order.status !== 'preorder') {
+      // Cancelled before its product came out
+      if (order?.status === 'cancelled') await this._markCancelled(preorder, order);
+      return preorder.status;
+    }
+
+    if (preorder.payment === 'full') {
+      await this._complete(preorder, order);
+      return preorder.status;
+    }
+
+    if (!preorder.balance) {
+      await this._quoteBalance(preorder, order);
+    }
+
+    const { paymentIntent, error } = await this._chargeBalance(preorder, order);
+
+    if (paymentIntent) {
+      await this.completeBalance(preorder, paymentIntent.id);
+      return preorder.status;
+    }
+
+    await preorder.update({ status: 'balance_due', balance_error: String(error).slice(0, 255) });
+
+    this.logger.warn(`Balance of pre-order ${preorder.id} could not be charged`, { orderId: order.id, error });
+
+    try {
+      await EmailService.sendPreorderBalanceDueEmail(order, {
+        title: await this._productTitle(preorder.product_id),
+        amount: Number(preorder.balance_amount),
+        currency: order.currency
+      }, this.getPreordersUrl());
+    } catch (emailError) {
+      // The customer also sees the balance with their pre-orders
+      this.logger.error(`Failed to send balance email for pre-order ${preorder.id}`, { error: emailError.message });
+    }
+
+    return preorder.status;
+  }
+
+  /**
+   * Start a Stripe checkout for the balance the saved card did not pay
+   *
+   * @param {Object} user - Signed-in customer
+   * @param {string} preorderId
+   * @returns {Promise<Object>} { url, sessionId }
+   * @throws {APIError} 404 for another customer's pre-order, 409 when no
+   *   balance is due
+   */
+  async createBalanceCheckout(user, preorderId) {
+    const preorder = await Preorder.findOne({ where: { id: preorderId, user_id: user.id } });
+
+    if (!preorder) {
+      throw createNotFoundError('Pre-order', preorderId);
+    }
+
+    if (preorder.status !== 'balance_due') {
+      throw createError('No balance is due on this pre-order', 409, { status: preorder.status },
+        'There is nothing left to pay on this pre-order.');
+    }
+
+    const order = await Order.findByPk(preorder.order_id);
+
+    if (order.status !== 'preorder') {
+      throw createError(`Order is ${order.status}`, 409, { status: order.status },
+        'This pre-order can no longer be paid.');
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'payment',
+      line_items: [{
+        price_data: {
+          currency: order.currency || 'usd',
+          product_data: {
+            name: `Balance: ${await this._productTitle(preorder.product_id) || 'your pre-order'}`,
+            description: 'Rest of the price, shipping and tax'
+          },
+          unit_amount: Math.round(Number(preorder.balance_amount) * 100)
+        },
+        quantity: 1
+      }],
+      success_url: `${this.getPreordersUrl()}?paid=1`,
+      cancel_url: this.getPreordersUrl(),
+      customer_email: order.customerEmail,
+      metadata: {
+        userId: String(user.id),
+        preorderId: preorder.id
+      }
+    });
+
+    await preorder.update({ balance_session_id: session.id });
+
+    return { url: session.url, sessionId: session.id };
+  }
+
+  /**
+   * Record a paid balance and send the order to Printify
+   *
+   * @param {Object} preorder - Preorder instance
+   * @param {string} paymentIntentId - Payment of the balance
+   * @returns {Promise<Object>} The Preorder
+   */
+  async completeBalance(preorder, paymentIntentId) {
+    if (preorder.status === 'released') return preorder;
+
+    const order = await Order.findByPk(preorder.order_id);
+
+    if (order.status !== 'preorder') {
+      // Paid from a checkout left open after the order was cancelled
+      this.logger.error(`Balance of pre-order ${preorder.id} paid on a ${order.status} order, refund it in Stripe`, {
+        orderId: order.id,
+        paymentIntentId
+      });
+      return preorder;
+    }
+
+    const balance = preorder.balance;
+    const items = await OrderItem.findAll({ where: { order_id: order.id } });
+    const subtotal = items.reduce((sum, item) => sum + Math.round(Number(item.price) * 100) * item.quantity, 0);
+    const taxAmount = balance.tax?.amount || 0;
+
+    await this._complete(preorder, order, {
+      order: {
+        totalAmount: Math.round((Number(order.totalAmount) + Number(preorder.balance_amount)) * 100) / 100,
+        shippingMethod: balance.method,
+        printifyShippingMethod: balance.printifyMethod,
+        shippingCost: balance.shipping / 100,
+        taxAmount: taxAmount / 100,
+        metadata: {
+          ...(order.metadata || {}),
+          totals: {
+            subtotal: subtotal / 100,
+            discount: 0,
+            giftCard: 0,
+            shipping: balance.shipping / 100,
+            tax: taxAmount / 100
+          },
+          // Card refunds take back the balance payment first, then the deposit
+          preorder: { balancePaymentIntentId: paymentIntentId, balanceAmount: Number(preorder.balance_amount) }
+        }
+      },
+      preorder: { balance_payment_intent_id: paymentIntentId, balance_error: null },
+      payload: { ...preorder.payload, shipping_method: balance.printifyMethod },
+      items
+    });
+
+    return preorder;
+  }
+
+  /**
+   * Pre-orders by product for admins, with what customers paid so far
+   *
+   * @returns {Promise<Array>} [{ productId, title, visible, settings, waiting, balanceDue,
+   *   released, cancelled, units, paid }]; units and paid count open pre-orders
+   */
+  async getSummary() {
+    const [counts, settings] = await Promise.all([
+      Preorder.findAll({
+        attributes: [
+          'product_id',
+          'status',
+          [fn('COUNT', col('id')), 'count'],
+          [fn('SUM', col('quantity')), 'units'],
+          [fn('SUM', col('deposit_amount')), 'paid']
+        ],
+        group: ['product_id', 'status'],
+        raw: true
+      }),
+      PreorderProduct.findAll()
+    ]);
+
+    const summary = new Map();
+    const entry = productId => {
+      if (!summary.has(productId)) {
+        summary.set(productId, {
+          productId,
+          settings: null,
+          waiting: 0,
+          balanceDue: 0,
+          released: 0,
+          cancelled: 0,
+          units: 0,
+          paid: 0
+        });
+      }
+      return summary.get(productId);
+    };
+
+    settings.forEach(row => { entry(row.product_id).settings = this._toOffer(row); });
+
+    for (const row of counts) {
+      const product = entry(row.product_id);
+      const key = row.status === 'balance_due' ? 'balanceDue' : row.status;
+
+      product[key] += Number(row.count);
+
+      if (OPEN_STATUSES.includes(row.status)) {
+        product.units += Number(row.units);
+        product.paid = Math.round((product.paid + Number(row.paid)) * 100) / 100;
+      }
+    }
+
+    const products = await Promise.all(
+      Array.from(summary.keys()).map(productId => catalogService.getProduct(null, productId))
+    );
+
+    return Array.from(summary.values())
+      .map((product, index) => ({
+        ...product,
+        title: products[index]?.title || null,
+        visible: products[index] ? products[index].visible : null
+      }))
+      .sort((a, b) => (b.waiting + b.balanceDue) - (a.waiting + a.balanceDue));
+  }
+
+  /**
+   * Cancel and refund every pre-order of a product that has not gone to
+   * Printify, and stop new pre-orders of it
+   *
+   * @param {string} productId
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {Object} [options.user] - Admin cancelling the pre-orders
+   * @param {Object} [options.req] - Express request, for the audit records
+   * @returns {Promise<Object>} { cancelled, failed: [{ orderId, error }] }
+   */
+  async cancelProduct(productId, { reason = null, user = null, req = null } = {}) {
+    await PreorderProduct.update({ enabled: false }, { where: { product_id: String(productId) } });
+
+    const preorders = await Preorder.findAll({
+      where: { product_id: String(productId), status: { [Op.in]: OPEN_STATUSES } }
+    });
+    const result = { cancelled: 0, failed: [] };
+
+    for (const preorder of preorders) {
+      try {
+        const order = await Order.findByPk(preorder.order_id);
+
+        await orderModificationService.cancelOrder(order, {
+          reason: reason || 'Pre-order cancelled',
+          userId: user?.id || null,
+          cancelledBy: 'admin',
+          req
+        });
+        await this._markCancelled(preorder, order);
+
+        result.cancelled++;
+      } catch (error) {
+        this.logger.error(`Failed to cancel pre-order ${preorder.id}`, { orderId: preorder.order_id, error: error.message });
+        result.failed.push({ orderId: preorder.order_id, error: error.message });
+      }
+    }
+
+    this.logger.info(`Cancelled pre-orders of product ${productId}`, {
+      cancelled: result.cancelled,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Where customers see their pre-orders and pay a balance
+   * @returns {string}
+   */
+  getPreordersUrl() {
+    return `${process.env.CLIENT_URL}/dashboard/order/preorders`;
+  }
+
+  /**
+   * Register the release job with the scheduler
+   */
+  registerSchedule() {
+    if (!this.isEnabled()) {
+      this.logger.info('Pre-orders are disabled in configuration');
+      return;
+    }
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.releasePollMinutes * 60 * 1000,
+      handler: () => this.releaseDue()
+    });
+  }
+
+  /**
+   * Mark the order paid and the pre-order released, then queue the order
+   * for Printify. The order row is locked so a release that runs twice
+   * updates it once.
+   * @private
+   */
+  async _complete(preorder, order, { order: changes = {}, preorder: preorderChanges = {}, payload = preorder.payload, items = null } = {}) {
+    const completed = await sequelize.transaction(async (transaction) => {
+      const locked = await Order.findByPk(order.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (locked.status !== 'preorder') return false;
+
+      await order.update({ status: 'paid', ...changes }, { transaction });
+
+      if (items && preorder.balance?.tax) {
+        await taxService.recordOrderTax(order, items, preorder.balance.tax, { transaction });
+      }
+
+      await preorder.update({
+        status: 'released',
+        released_at: new Date(),
+        ...preorderChanges
+      }, { transaction });
+
+      return true;
+    });
+
+    if (!completed) return;
+
+    // Picked up by the submission worker; releases come in batches
+    await orderSubmissionService.enqueue(order, payload);
+
+    this.logger.info(`Pre-order ${preorder.id} released`, { orderId: order.id, productId: preorder.product_id });
+  }
+
+  /**
+   * Work out the balance of a deposit pre-order: the rest of the price, the
+   * cheapest shipping rate and sales tax on the whole order
+   * @private
+   */
+  async _quoteBalance(preorder, order) {
+    const items = await OrderItem.findAll({ where: { order_id: order.id } });
+    const lines = items.map(item => ({
+      id: item.product_id,
+      variantId: item.variant_id,
+      quantity: item.quantity,
+      unitAmount: Math.round(Number(item.price) * 100)
+    }));
+    const address = order.shippingAddress?.address || {};
+    const quote = await shippingService.getQuote({ items: lines, address });
+    const [shipping] = quote.options;
+    const tax = await taxService.calculate({
+      items: lines,
+      shipping: shipping.amount,
+      address,
+      currency: order.currency || 'usd'
+    });
+
+    const subtotal = lines.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+    const rest = subtotal - Math.round(Number(preorder.deposit_amount) * 100);
+
+    await preorder.update({
+      balance: {
+        items: rest,
+        shipping: shipping.amount,
+        method: shipping.method,
+        printifyMethod: shipping.printifyMethod,
+        tax
+      },
+      balance_amount: (rest + shipping.amount + (tax?.amount || 0)) / 100
+    });
+  }
+
+  /**
+   * Charge the balance on the card saved with the deposit
+   * @private
+   * @returns {Promise<Object>} { paymentIntent, error } - error when the card
+   *   was declined or none was saved
+   */
+  async _chargeBalance(preorder, order) {
+    const deposit = await stripe.paymentIntents.retrieve(order.stripePaymentIntentId);
+
+    if (!deposit.customer || !deposit.payment_method) {
+      return { paymentIntent: null, error: 'No card was saved with the deposit' };
+    }
+
+    try {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(Number(preorder.balance_amount) * 100),
+        currency: order.currency || 'usd',
+        customer: deposit.customer,
+        payment_method: deposit.payment_method,
+        off_session: true,
+        confirm: true,
+        description: `Balance of pre-order ${order.id}`,
+        metadata: { orderId: order.id, preorderId: preorder.id }
+      }, { idempotencyKey: `preorder-balance-${preorder.id}` });
+
+      return { paymentIntent, error: null };
+    } catch (error) {
+      // Declined, or the bank wants the customer to confirm the payment
+      if (error.type === 'StripeCardError') {
+        return { paymentIntent: null, error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _markCancelled(preorder, order) {
+    if (!OPEN_STATUSES.includes(preorder.status)) return;
+
+    await preorder.update({ status: 'cancelled', cancelled_at: order?.cancelledAt || new Date() });
+
+    // A balance checkout left open could otherwise still be paid
+    if (preorder.balance_session_id) {
+      await stripe.checkout.sessions.expire(preorder.balance_session_id).catch(error => {
+        this.logger.warn(`Could not expire balance checkout of pre-order ${preorder.id}`, { error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Release pre-orders when their product is published, and close the
+   * pre-order of an order cancelled by the customer or an admin
+   * @private
+   */
+  _subscribe() {
+    const release = async ({ productId, visible }) => {
+      if (!visible) return;
+
+      try {
+        await this.releaseProduct(productId);
+      } catch (error) {
+        this.logger.error('Failed to release pre-orders', { productId, error: error.message });
+      }
+    };
+
+    eventService.on(CATALOG_EVENTS.PRODUCT_CREATED, release);
+    eventService.on(CATALOG_EVENTS.PRODUCT_UPDATED, release);
+
+    eventService.on(orderModificationService.ORDER_EVENTS.CANCELLED, async ({ orderId }) => {
+      try {
+        const preorder = await Preorder.findOne({ where: { order_id: orderId } });
+        if (preorder) await this._markCancelled(preorder, await Order.findByPk(orderId));
+      } catch (error) {
+        this.logger.error('Failed to close pre-order of cancelled order', { orderId, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _toOffer(settings) {
+    return {
+      productId: settings.product_id,
+      enabled: settings.enabled,
+      payment: settings.payment,
+      depositPercent: settings.deposit_percent,
+      expectedReleaseAt: settings.expected_release_at
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _productTitle(productId) {
+    const product = await catalogService.getProduct(null, productId);
+    return product?.title || null;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Map>} product ID -> title
+   */
+  async _productTitles(productIds) {
+    const titles = new Map();
+
+    for (const productId of new Set(productIds)) {
+      titles.set(productId, await this._productTitle(productId));
+    }
+
+    return titles;
+  }
+}
+
+module.exports = new PreorderService();
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
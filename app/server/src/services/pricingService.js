@@ -0,0 +1,156 @@
+/**
+ * Pricing Service
+ *
+ * Prices a cart on the server. Titles, images and unit prices come from the
+ * local catalog (falling back to Printify for products the catalog sync has
+ * not picked up yet), never from the client, and disabled or unavailable
+ * variants are refused.
+ *
+ * Comparing the server price with the price the client showed tells the
+ * storefront exactly which cart lines changed since they were added.
+ *
+ * @module services/pricingService
+ */
+
+const catalogService = require('./catalogService');
+const printifyService = require('./printifyService');
+const logger = require('../utils/logger');
+
+const UNAVAILABLE_REASONS = {
+  PRODUCT_NOT_FOUND: 'product_not_found',
+  VARIANT_NOT_FOUND: 'variant_not_found',
+  VARIANT_DISABLED: 'variant_disabled',
+  OUT_OF_STOCK: 'out_of_stock'
+};
+
+class PricingService {
+  constructor() {
+    this.logger = logger.child({ component: 'PricingService' });
+  }
+
+  /**
+   * Price every line of a cart from the catalog
+   *
+   * @param {Array} items - Cart lines from the client ({ id, variantId, quantity, price })
+   *   where price is the unit price in dollars the client displayed
+   * @param {Object} [options]
+   * @param {string} [options.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @param {boolean} [options.includeHidden=false] - Price products that are not
+   *   published yet, for pre-orders
+   * @returns {Promise<Object>} {
+   *   items: priced lines ({ id, variantId, quantity, title, variantTitle, image, unitAmount, price }),
+   *   changes: lines whose price differs from the client's ({ id, variantId, title, variantTitle, previousPrice, price }),
+   *   unavailable: lines that cannot be bought ({ id, variantId, title, reason }),
+   *   subtotal: sum of available lines in cents
+   * }
+   */
+  async priceCart(items, { shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID, includeHidden = false } = {}) {
+    const products = await this._loadProducts(items.map(item => item.id), shopId);
+    const result = { items: [], changes: [], unavailable: [], subtotal: 0 };
+
+    for (const item of items) {
+      const product = products.get(String(item.id));
+      const variant = product && (product.variants || []).find(v => String(v.id) === String(item.variantId));
+      const reason = this._unavailableReason(product, variant, { includeHidden });
+
+      if (reason) {
+        result.unavailable.push({
+          id: item.id,
+          variantId: item.variantId,
+          title: product?.title || item.title || null,
+          reason
+        });
+        continue;
+      }
+
+      const unitAmount = Math.round(Number(variant.price));
+      const line = {
+        id: String(product.id),
+        variantId: variant.id,
+        quantity: Number(item.quantity),
+        title: product.title,
+        variantTitle: variant.title || null,
+        image: this._variantImage(product, variant.id),
+        unitAmount,
+        price: unitAmount / 100
+      };
+
+      result.items.push(line);
+      result.subtotal += unitAmount * line.quantity;
+
+      const clientAmount = Math.round(Number(item.price) * 100);
+
+      if (clientAmount !== unitAmount) {
+        result.changes.push({
+          id: line.id,
+          variantId: line.variantId,
+          title: line.title,
+          variantTitle: line.variantTitle,
+          previousPrice: Number.isFinite(clientAmount) ? clientAmount / 100 : null,
+          price: line.price
+        });
+      }
+    }
+
+    if (result.changes.length || result.unavailable.length) {
+      this.logger.info('Cart differs from catalog', {
+        changed: result.changes.length,
+        unavailable: result.unavailable.length
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Load each distinct product once, from the catalog or from Printify
+   * @private
+   * @returns {Promise<Map>} product ID -> product (Printify shape) or null
+   */
+  async _loadProducts(productIds, shopId) {
+    const products = new Map();
+
+    for (const productId of new Set(productIds.map(String))) {
+      let product = await catalogService.getProduct(null, productId);
+
+      if (!product) {
+        product = await printifyService.getProductRaw(shopId, productId).catch(error => {
+          if (error.status === 404) return null;
+          throw error;
+        });
+      }
+
+      products.set(productId, product);
+    }
+
+    return products;
+  }
+
+  /**
+   * @private
+   * @returns {string|null}
+   */
+  _unavailableReason(product, variant, { includeHidden = false } = {}) {
+    if (!product || (product.visible === false && !includeHidden)) return UNAVAILABLE_REASONS.PRODUCT_NOT_FOUND;
+    if (!variant) return UNAVAILABLE_REASONS.VARIANT_NOT_FOUND;
+    if (variant.is_enabled === false) return UNAVAILABLE_REASONS.VARIANT_DISABLED;
+    if (variant.is_available === false) return UNAVAILABLE_REASONS.OUT_OF_STOCK;
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _variantImage(product, variantId) {
+    const images = product.images || [];
+    const image = images.find(img => (img.variant_ids || []).includes(variantId) && img.is_default)
+      || images.find(img => (img.variant_ids || []).includes(variantId))
+      || images.find(img => img.is_default)
+      || images[0];
+
+    return image ? image.src : null;
+  }
+}
+
+module.exports = new PricingService();
+module.exports.UNAVAILABLE_REASONS = UNAVAILABLE_REASONS;
@@ -194,6 +194,45 @@ class PrintifyService {
         }
     }
 
+    /**
+     * Get a single page of products for a shop
+     * Unlike getProducts, this exposes Printify's pagination metadata so callers
+     * can walk the full catalog and know when they have seen every product.
+     * @param {string} shopId - The ID of the shop
+     * @param {Object} options - Pagination options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Page size (Printify allows up to 50)
+     * @returns {Promise<Object>} Page with data, currentPage and lastPage
+     */
+    async getProductsPage(shopId, { page = 1, limit = 50 } = {}) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this.logger.debug(`Fetching products page ${page} for shop ${shopId}`, { limit });
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.get(`/shops/${shopId}/products.json`, {
+                    params: { page, limit }
+                }),
+                'getProductsPage'
+            );
+
+            const body = response.data || {};
+            const data = Array.isArray(body) ? body : (Array.isArray(body.data) ? body.data : []);
+
+            return {
+                data,
+                currentPage: body.current_page || page,
+                // A bare array response means Printify returned everything at once
+                lastPage: Array.isArray(body) ? page : (body.last_page || page),
+                total: body.total || data.length
+            };
+        } catch (error) {
+            this.logger.error(`Error fetching products page ${page} for shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'getProductsPage');
+        }
+    }
+
     /**
      * Get a specific product's details
      * @param {string} shopId - The ID of the shop
@@ -312,6 +351,32 @@ class PrintifyService {
         }
     }
 
+    /**
+     * Get a product exactly as Printify returns it
+     * Unlike getProduct, errors are thrown (with their HTTP status) rather than
+     * turned into placeholder products, so callers can detect deleted products.
+     * @param {string} shopId - The ID of the shop
+     * @param {string} productId - The ID of the product
+     * @returns {Promise<Object>} Raw Printify product
+     */
+    async getProductRaw(shopId, productId) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('productId', productId);
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.get(`/shops/${shopId}/products/${productId}.json`),
+                'getProductRaw'
+            );
+
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error fetching raw product ${productId} from shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'getProductRaw');
+        }
+    }
+
     /**
      * Get all orders for a shop
      * @param {string} shopId - The ID of the shop
@@ -362,6 +427,206 @@ class PrintifyService {
         }
     }
 
+    /**
+     * Calculate shipping cost for a set of line items and a destination
+     * @param {string} shopId - The ID of the shop
+     * @param {Object} data - { line_items: [{ product_id, variant_id, quantity }], address_to: { country, region, zip, ... } }
+     * @returns {Promise<Object>} Cost per shipping method in cents, e.g. { standard: 499, express: 1299 }
+     */
+    async calculateShipping(shopId, data) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('data', data);
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.post(`/shops/${shopId}/orders/shipping.json`, data),
+                'calculateShipping'
+            );
+
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error calculating shipping for shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'calculateShipping');
+        }
+    }
+
+    /**
+     * Get a single order
+     * @param {string} shopId - The ID of the shop
+     * @param {string} orderId - Printify order ID
+     * @returns {Promise<Object>} Order details
+     */
+    async getOrder(shopId, orderId) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('orderId', orderId);
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.get(`/shops/${shopId}/orders/${orderId}.json`),
+                'getOrder'
+            );
+
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error fetching order ${orderId} from shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'getOrder');
+        }
+    }
+
+    /**
+     * Cancel an order that has not gone into production yet
+     * Printify only accepts this while the order is `on-hold` or `payment-not-received`.
+     * @param {string} shopId - The ID of the shop
+     * @param {string} orderId - Printify order ID
+     * @returns {Promise<Object>} The cancelled order
+     */
+    async cancelOrder(shopId, orderId) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('orderId', orderId);
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.post(`/shops/${shopId}/orders/${orderId}/cancel.json`),
+                'cancelOrder'
+            );
+
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error cancelling order ${orderId} in shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'cancelOrder');
+        }
+    }
+
+    /**
+     * Get the webhooks registered for a shop
+     * @param {string} shopId - The ID of the shop
+     * @returns {Promise<Array>} Webhooks ({ id, topic, url, shop_id })
+     */
+    async getWebhooks(shopId) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.get(`/shops/${shopId}/webhooks.json`),
+                'getWebhooks'
+            );
+
+            return Array.isArray(response.data) ? response.data : [];
+        } catch (error) {
+            this.logger.error(`Error fetching webhooks for shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'getWebhooks');
+        }
+    }
+
+    /**
+     * Register a webhook for a shop
+     * @param {string} shopId - The ID of the shop
+     * @param {Object} webhook - { topic, url, secret }
+     * @returns {Promise<Object>} Created webhook
+     */
+    async createWebhook(shopId, { topic, url, secret }) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('topic', topic);
+            this._validateParameter('url', url);
+
+            const response = await this._makeRequestWithRetry(
+                () => this.client.post(`/shops/${shopId}/webhooks.json`, { topic, url, secret }),
+                'createWebhook'
+            );
+
+            this.logger.info(`Registered Printify webhook ${topic} for shop ${shopId}`, { webhookId: response.data.id });
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error registering webhook ${topic} for shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'createWebhook');
+        }
+    }
+
+    /**
+     * Remove a webhook from a shop
+     * @param {string} shopId - The ID of the shop
+     * @param {string} webhookId - Printify webhook ID
+     * @param {string} host - Host of the webhook URL (required by Printify)
+     * @returns {Promise<void>}
+     */
+    async deleteWebhook(shopId, webhookId, host) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('webhookId', webhookId);
+
+            await this._makeRequestWithRetry(
+                () => this.client.delete(`/shops/${shopId}/webhooks/${webhookId}.json`, {
+                    params: host ? { host } : {}
+                }),
+                'deleteWebhook'
+            );
+
+            this.logger.info(`Removed Printify webhook ${webhookId} from shop ${shopId}`);
+        } catch (error) {
+            this.logger.error(`Error removing webhook ${webhookId} from shop ${shopId}`, { error: error.message });
+            throw this._handleError(error, 'deleteWebhook');
+        }
+    }
+
+    /**
+     * Tell Printify a product was published to our storefront
+     * @param {string} shopId - The ID of the shop
+     * @param {string} productId - Printify product ID
+     * @param {Object} external - { id, handle } of the product in our store
+     * @returns {Promise<void>}
+     */
+    async publishingSucceeded(shopId, productId, external) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('productId', productId);
+
+            await this._makeRequestWithRetry(
+                () => this.client.post(
+                    `/shops/${shopId}/products/${productId}/publishing_succeeded.json`,
+                    { external }
+                ),
+                'publishingSucceeded'
+            );
+        } catch (error) {
+            this.logger.error(`Error confirming publish of product ${productId}`, { error: error.message });
+            throw this._handleError(error, 'publishingSucceeded');
+        }
+    }
+
+    /**
+     * Tell Printify publishing a product to our storefront failed
+     * @param {string} shopId - The ID of the shop
+     * @param {string} productId - Printify product ID
+     * @param {string} reason - Why publishing failed
+     * @returns {Promise<void>}
+     */
+    async publishingFailed(shopId, productId, reason) {
+        try {
+            this._validateApiKey();
+            this._validateParameter('shopId', shopId);
+            this._validateParameter('productId', productId);
+
+            await this._makeRequestWithRetry(
+                () => this.client.post(
+                    `/shops/${shopId}/products/${productId}/publishing_failed.json`,
+                    { reason }
+                ),
+                'publishingFailed'
+            );
+        } catch (error) {
+            this.logger.error(`Error reporting failed publish of product ${productId}`, { error: error.message });
+            throw this._handleError(error, 'publishingFailed');
+        }
+    }
+
     /**
      * Validate that the API key is set
      * @private
@@ -400,19 +665,25 @@ class PrintifyService {
     _handleError(error, operation) {
         if (error.response) {
             const { status, data } = error.response;
+            let message;
             
             // Handle specific error codes
             if (status === 401) {
-                return new Error(`Printify API Authentication failed: Invalid or missing API key. Please check your PRINTIFY_API_KEY environment variable.`);
+                message = `Printify API Authentication failed: Invalid or missing API key. Please check your PRINTIFY_API_KEY environment variable.`;
             } else if (status === 403) {
-                return new Error(`Printify API Access denied: Your account does not have permission to perform this operation.`);
+                message = `Printify API Access denied: Your account does not have permission to perform this operation.`;
             } else if (status === 404) {
-                return new Error(`Printify API Resource not found: The requested resource does not exist.`);
+                message = `Printify API Resource not found: The requested resource does not exist.`;
             } else if (status === 429) {
-                return new Error(`Printify API Rate limit exceeded: Too many requests. Please try again later.`);
+                message = `Printify API Rate limit exceeded: Too many requests. Please try again later.`;
+            } else {
+                message = `Printify API Error during ${operation}: ${status} - ${JSON.stringify(data)}`;
             }
             
-            return new Error(`Printify API Error during ${operation}: ${status} - ${JSON.stringify(data)}`);
+            // Keep the HTTP status so callers can tell "gone" apart from "failed"
+            const apiError = new Error(message);
+            apiError.status = status;
+            return apiError;
         } else if (error.request) {
             // Request was made but no response received
             return new Error(`Printify API No response: The request was made but no response was received. Check your network connection.`);
@@ -0,0 +1,540 @@
+/**
+ * Printify Webhook Service
+ *
+ * Verifies and stores webhook deliveries from Printify and applies them to
+ * the local catalog and to order fulfillment status. Every delivery is
+ * recorded once by its Printify event ID; redeliveries of an event that was
+ * already handled are acknowledged without being applied again.
+ *
+ * Deliveries are acknowledged before they are applied, so Printify never
+ * sends a failed event again. A scheduled sweep applies events that were
+ * stored but never processed, e.g. because the process restarted, and
+ * retries failed ones every `retryDelayMinutes` up to `maxAttempts` times.
+ * A worker claims an event before applying it, so the sweep and the
+ * webhook request never apply the same event twice.
+ *
+ * Also registers and removes the shop's webhooks on the Printify side.
+ *
+ * @module services/printifyWebhookService
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { PrintifyWebhookEvent, Order } = require('../models');
+const printifyService = require('./printifyService');
+const catalogSyncService = require('./catalogSyncService');
+const eventService = require('./EventService');
+const orderEventService = require('./orderEventService');
+const schedulerService = require('./schedulerService');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SIGNATURE_HEADER = 'x-pfy-signature';
+
+const SCHEDULE_JOB_NAME = 'printify-webhook-sweep';
+
+// Events that were handled, or are being handled, and must not be applied again
+const SETTLED_STATUSES = ['processing', 'processed', 'ignored'];
+
+const DEFAULT_CONFIG = {
+  sweepIntervalSeconds: 60,
+  // Leave freshly stored events to the request that stored them
+  sweepDelaySeconds: 60,
+  staleLockMinutes: 10,
+  retryDelayMinutes: 5,
+  maxAttempts: 5
+};
+
+/**
+ * Webhook topics we subscribe to and handle
+ */
+const TOPICS = {
+  PRODUCT_PUBLISH_STARTED: 'product:publish:started',
+  PRODUCT_DELETED: 'product:deleted',
+  ORDER_CREATED: 'order:created',
+  ORDER_SENT_TO_PRODUCTION: 'order:sent-to-production',
+  ORDER_SHIPMENT_CREATED: 'order:shipment:created',
+  ORDER_SHIPMENT_DELIVERED: 'order:shipment:delivered'
+};
+
+/**
+ * Fulfillment status each order topic moves an order to
+ */
+const ORDER_TOPIC_STATUS = {
+  [TOPICS.ORDER_CREATED]: 'pending',
+  [TOPICS.ORDER_SENT_TO_PRODUCTION]: 'processing',
+  [TOPICS.ORDER_SHIPMENT_CREATED]: 'shipped',
+  [TOPICS.ORDER_SHIPMENT_DELIVERED]: 'delivered'
+};
+
+/**
+ * Timeline step each order topic records; order:created is recorded by the
+ * submission queue when it submits the order
+ */
+const ORDER_TOPIC_EVENT = {
+  [TOPICS.ORDER_SENT_TO_PRODUCTION]: 'in_production',
+  [TOPICS.ORDER_SHIPMENT_CREATED]: 'shipped',
+  [TOPICS.ORDER_SHIPMENT_DELIVERED]: 'delivered'
+};
+
+// Fulfillment only moves forward; Printify may deliver events out of order
+const FULFILLMENT_RANK = {
+  pending: 0,
+  processing: 1,
+  shipped: 2,
+  delivered: 3
+};
+
+const FULFILLMENT_EVENTS = {
+  UPDATED: 'order.fulfillment.updated'
+};
+
+class PrintifyWebhookService {
+  constructor() {
+    this.logger = logger.child({ component: 'PrintifyWebhookService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.integration?.printify?.webhookEvents || {})
+    };
+  }
+
+  /**
+   * Check the X-Pfy-Signature header against the raw request body
+   *
+   * Printify signs each delivery with HMAC-SHA256 of the body using the
+   * secret given when the webhook was registered: `sha256=<hex digest>`.
+   *
+   * @param {string|Buffer} rawBody - Exact request body
+   * @param {string} signature - Value of the signature header
+   * @param {string} [secret] - Webhook secret (defaults to PRINTIFY_WEBHOOK_SECRET)
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifySignature(rawBody, signature, secret = process.env.PRINTIFY_WEBHOOK_SECRET) {
+    if (!secret) {
+      throw createError('PRINTIFY_WEBHOOK_SECRET is not configured', 500);
+    }
+
+    if (!rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const received = signature.trim().toLowerCase();
+
+    if (received.length !== expected.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  /**
+   * Store a webhook delivery, once per Printify event ID
+   *
+   * @param {Object} payload - Parsed webhook body ({ id, type, resource })
+   * @returns {Promise<Object>} { event, duplicate } - duplicate is true when the
+   *   event was already processed or ignored, or is being processed, and must
+   *   not be applied again
+   */
+  async recordEvent(payload) {
+    if (!payload || !payload.id || !payload.type) {
+      throw createError('Malformed Printify webhook payload', 400);
+    }
+
+    const resource = payload.resource || {};
+
+    const [event, created] = await PrintifyWebhookEvent.findOrCreate({
+      where: { event_id: String(payload.id) },
+      defaults: {
+        topic: payload.type,
+        resource_type: resource.type || null,
+        resource_id: resource.id != null ? String(resource.id) : null,
+        shop_id: resource.data && resource.data.shop_id != null ? String(resource.data.shop_id) : null,
+        payload,
+        received_at: new Date()
+      }
+    });
+
+    const duplicate = !created && SETTLED_STATUSES.includes(event.status);
+
+    if (duplicate) {
+      this.logger.info(`Ignoring redelivered Printify event ${payload.id}`, { topic: payload.type });
+    }
+
+    return { event, duplicate };
+  }
+
+  /**
+   * Claim a stored event, apply it and record the outcome on it
+   *
+   * @param {Object} event - PrintifyWebhookEvent instance
+   * @returns {Promise<Object>} The updated event (unchanged if another worker
+   *   holds it)
+   */
+  async processEvent(event) {
+    if (!(await this._claim(event))) {
+      return event;
+    }
+
+    try {
+      const handled = await this._dispatch(event.topic, event.payload);
+
+      event.status = handled ? 'processed' : 'ignored';
+      event.error_message = null;
+      event.processed_at = new Date();
+    } catch (error) {
+      event.status = 'failed';
+      event.error_message = error.message;
+
+      this.logger.error(`Failed to process Printify event ${event.event_id}`, {
+        topic: event.topic,
+        resourceId: event.resource_id,
+        attempt: event.attempts,
+        error: error.message
+      });
+    }
+
+    event.locked_at = null;
+    await event.save();
+    return event;
+  }
+
+  /**
+   * Apply events that were stored but never processed, events whose worker
+   * died mid-processing, and failed events that are due for a retry. Called
+   * by the scheduler.
+   *
+   * @returns {Promise<number>} Number of events processed
+   */
+  async processPending() {
+    const now = Date.now();
+
+    const pending = await PrintifyWebhookEvent.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'received', received_at: { [Op.lt]: new Date(now - this.config.sweepDelaySeconds * 1000) } },
+          { status: 'processing', locked_at: { [Op.lt]: new Date(now - this.config.staleLockMinutes * 60 * 1000) } },
+          {
+            status: 'failed',
+            attempts: { [Op.lt]: this.config.maxAttempts },
+            updated_at: { [Op.lt]: new Date(now - this.config.retryDelayMinutes * 60 * 1000) }
+          }
+        ]
+      },
+      order: [['received_at', 'ASC']],
+      limit: 20
+    });
+
+    for (const event of pending) {
+      await this.processEvent(event);
+    }
+
+    if (pending.length) {
+      this.logger.info(`Swept ${pending.length} pending Printify event(s)`);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Register the sweep with the scheduler
+   */
+  registerSchedule() {
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.sweepIntervalSeconds * 1000,
+      runOnStart: true,
+      handler: () => this.processPending()
+    });
+  }
+
+  /**
+   * Mark an event as processing unless someone else already did
+   * The attempt count doubles as the version, so of two workers holding the
+   * same event only the first gets it.
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _claim(event) {
+    if (['processed', 'ignored'].includes(event.status)) return false;
+
+    const lockedAt = new Date();
+    const [count] = await PrintifyWebhookEvent.update(
+      { status: 'processing', locked_at: lockedAt, attempts: event.attempts + 1 },
+      { where: { id: event.id, status: event.status, attempts: event.attempts } }
+    );
+
+    if (count !== 1) return false;
+
+    event.status = 'processing';
+    event.locked_at = lockedAt;
+    event.attempts += 1;
+    return true;
+  }
+
+  /**
+   * Route an event to its handler
+   *
+   * @private
+   * @returns {Promise<boolean>} false when the event does not apply to us
+   */
+  async _dispatch(topic, payload) {
+    const resource = payload.resource || {};
+    const data = resource.data || {};
+    const shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID;
+
+    if (shopId && data.shop_id != null && String(data.shop_id) !== String(shopId)) {
+      this.logger.warn(`Ignoring Printify event for unknown shop ${data.shop_id}`, { topic });
+      return false;
+    }
+
+    switch (topic) {
+      case TOPICS.PRODUCT_PUBLISH_STARTED:
+        return this._handleProductPublish(resource.id, data.shop_id || shopId, data);
+      case TOPICS.PRODUCT_DELETED:
+        await catalogSyncService.removeProduct(resource.id);
+        return true;
+      case TOPICS.ORDER_CREATED:
+      case TOPICS.ORDER_SENT_TO_PRODUCTION:
+      case TOPICS.ORDER_SHIPMENT_CREATED:
+      case TOPICS.ORDER_SHIPMENT_DELIVERED:
+        return this._handleOrderEvent(topic, resource.id, data.shop_id || shopId, data);
+      default:
+        this.logger.info(`No handler for Printify topic ${topic}`);
+        return false;
+    }
+  }
+
+  /**
+   * Pull a product that is being published into the local catalog and
+   * report the outcome back to Printify
+   *
+   * @private
+   */
+  async _handleProductPublish(productId, shopId, data) {
+    if (data.action === 'delete') {
+      await catalogSyncService.removeProduct(productId);
+      return true;
+    }
+
+    try {
+      const result = await catalogSyncService.syncProduct(productId, { shopId });
+
+      await printifyService.publishingSucceeded(shopId, productId, {
+        id: String(productId),
+        handle: `${process.env.CLIENT_URL || ''}/product/${productId}`
+      });
+
+      this.logger.info(`Published Printify product ${productId}`, { result });
+    } catch (error) {
+      await printifyService.publishingFailed(shopId, productId, error.message)
+        .catch(reportError => this.logger.error(`Could not report publish failure for ${productId}`, {
+          error: reportError.message
+        }));
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Move the matching local order's fulfillment status forward
+   *
+   * @private
+   */
+  async _handleOrderEvent(topic, printifyOrderId, shopId, data) {
+    const order = await this._findOrder(printifyOrderId, shopId, data);
+
+    if (!order) {
+      this.logger.warn(`No local order for Printify order ${printifyOrderId}`, { topic });
+      return false;
+    }
+
+    const previousStatus = order.fulfillmentStatus;
+    const nextStatus = ORDER_TOPIC_STATUS[topic];
+
+    if (!order.printifyOrderId) {
+      order.printifyOrderId = String(printifyOrderId);
+    }
+
+    if (topic === TOPICS.ORDER_SHIPMENT_CREATED && data.carrier) {
+      const metadata = order.metadata || {};
+      const shipments = Array.isArray(metadata.shipments) ? metadata.shipments : [];
+
+      shipments.push({
+        carrier: data.carrier.code || null,
+        trackingNumber: data.carrier.tracking_number || null,
+        trackingUrl: data.carrier.tracking_url || null,
+        shippedAt: data.shipped_at || new Date().toISOString()
+      });
+      order.metadata = { ...metadata, shipments };
+    }
+
+    if (this.canTransition(previousStatus, nextStatus)) {
+      order.fulfillmentStatus = nextStatus;
+    }
+
+    await order.save();
+
+    if (ORDER_TOPIC_EVENT[topic]) {
+      await this._recordOrderEvent(order, topic, data);
+    }
+
+    if (order.fulfillmentStatus !== previousStatus) {
+      eventService.emit(FULFILLMENT_EVENTS.UPDATED, {
+        orderId: order.id,
+        printifyOrderId: order.printifyOrderId,
+        previousStatus,
+        status: order.fulfillmentStatus,
+        topic
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Add the step of an order topic to the order's timeline
+   * Each shipment is recorded once per tracking number.
+   *
+   * @private
+   */
+  async _recordOrderEvent(order, topic, data) {
+    const type = ORDER_TOPIC_EVENT[topic];
+    const carrier = data.carrier || {};
+
+    if (type === 'shipped') {
+      return orderEventService.record(order, type, {
+        source: 'printify',
+        carrier: carrier.code || null,
+        trackingNumber: carrier.tracking_number || null,
+        trackingUrl: carrier.tracking_url || null,
+        dedupeKey: carrier.tracking_number ? `shipment:${carrier.tracking_number}` : null,
+        occurredAt: data.shipped_at || new Date()
+      });
+    }
+
+    return orderEventService.record(order, type, {
+      source: 'printify',
+      occurredAt: (type === 'delivered' && data.delivered_at) || new Date()
+    });
+  }
+
+  /**
+   * Whether fulfillment may move from one status to another
+   *
+   * @param {string|null} from - Current fulfillment status
+   * @param {string} to - Proposed fulfillment status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    if (from === 'cancelled') return false;
+    if (!from) return true;
+    return FULFILLMENT_RANK[to] > FULFILLMENT_RANK[from];
+  }
+
+  /**
+   * Find the local order for a Printify order
+   *
+   * Orders are submitted with the Stripe checkout session ID as Printify's
+   * external_id, so an order we have not linked yet can still be matched.
+   *
+   * @private
+   */
+  async _findOrder(printifyOrderId, shopId, data) {
+    const linked = await Order.findOne({ where: { printifyOrderId: String(printifyOrderId) } });
+    if (linked) return linked;
+
+    let externalId = data.external_id;
+
+    if (!externalId) {
+      const printifyOrder = await printifyService.getOrder(shopId, printifyOrderId);
+      externalId = printifyOrder && printifyOrder.external_id;
+    }
+
+    if (!externalId) return null;
+
+    return Order.findOne({ where: { stripeSessionId: String(externalId) } });
+  }
+
+  /**
+   * Register our endpoint for every handled topic that is not yet registered
+   *
+   * @param {Object} options
+   * @param {string} [options.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @param {string} [options.url] - Endpoint URL (defaults to PRINTIFY_WEBHOOK_URL)
+   * @param {string} [options.secret] - Signing secret (defaults to PRINTIFY_WEBHOOK_SECRET)
+   * @returns {Promise<Object>} { created, existing }
+   */
+  async registerWebhooks({
+    shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID,
+    url = process.env.PRINTIFY_WEBHOOK_URL,
+    secret = process.env.PRINTIFY_WEBHOOK_SECRET
+  } = {}) {
+    if (!shopId) throw createError('DEFAULT_PRINTIFY_SHOP_ID is not configured', 500);
+    if (!url) throw createError('PRINTIFY_WEBHOOK_URL is not configured', 500);
+    if (!secret) throw createError('PRINTIFY_WEBHOOK_SECRET is not configured', 500);
+
+    const registered = await printifyService.getWebhooks(shopId);
+    const created = [];
+    const existing = [];
+
+    for (const topic of Object.values(TOPICS)) {
+      const match = registered.find(webhook => webhook.topic === topic && webhook.url === url);
+
+      if (match) {
+        existing.push(match);
+        continue;
+      }
+
+      created.push(await printifyService.createWebhook(shopId, { topic, url, secret }));
+    }
+
+    return { created, existing };
+  }
+
+  /**
+   * Remove webhooks pointing at our endpoint
+   *
+   * @param {Object} options
+   * @param {string} [options.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @param {string} [options.url] - Only remove webhooks for this URL
+   *   (defaults to PRINTIFY_WEBHOOK_URL; pass null to remove all)
+   * @returns {Promise<Array>} Removed webhooks
+   */
+  async unregisterWebhooks({
+    shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID,
+    url = process.env.PRINTIFY_WEBHOOK_URL
+  } = {}) {
+    if (!shopId) throw createError('DEFAULT_PRINTIFY_SHOP_ID is not configured', 500);
+
+    const registered = await printifyService.getWebhooks(shopId);
+    const targets = url ? registered.filter(webhook => webhook.url === url) : registered;
+
+    for (const webhook of targets) {
+      await printifyService.deleteWebhook(shopId, webhook.id, new URL(webhook.url).host);
+    }
+
+    return targets;
+  }
+
+  /**
+   * List webhooks registered for the shop
+   *
+   * @param {string} [shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @returns {Promise<Array>}
+   */
+  async listWebhooks(shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID) {
+    if (!shopId) throw createError('DEFAULT_PRINTIFY_SHOP_ID is not configured', 500);
+    return printifyService.getWebhooks(shopId);
+  }
+}
+
+module.exports = new PrintifyWebhookService();
+module.exports.TOPICS = TOPICS;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.FULFILLMENT_EVENTS = FULFILLMENT_EVENTS;
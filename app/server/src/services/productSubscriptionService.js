@@ -0,0 +1,414 @@
+/**
+ * Product Subscription Service
+ *
+ * Lets signed-in customers ask to hear when an upcoming product launches or
+ * an unavailable variant comes back in stock. Catalog changes, from the
+ * scheduled sync and from Printify webhooks alike, arrive as catalog events;
+ * subscriptions whose product or variant they show available become due. A
+ * scheduled job emails the due ones in batches of
+ * `features.productNotifications.batchSize`, one email per customer and
+ * product, each with a link that stops further notifications.
+ *
+ * @module services/productSubscriptionService
+ */
+
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const { ProductSubscription } = require('../models');
+const catalogService = require('./catalogService');
+const eventService = require('./EventService');
+const { CATALOG_EVENTS } = require('./catalogSyncService');
+const schedulerService = require('./schedulerService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'product-notifications';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  notificationPollMinutes: 5,
+  // Emails sent per run of the job
+  batchSize: 100
+};
+
+class ProductSubscriptionService {
+  constructor() {
+    this.logger = logger.child({ component: 'ProductSubscriptionService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.productNotifications || {})
+    };
+
+    this._subscribe();
+  }
+
+  /**
+   * Subscribe a customer to the launch of a product, or to a variant coming
+   * back in stock. Subscribing twice returns the first subscription.
+   *
+   * @param {Object} user - Signed-in customer ({ id, email })
+   * @param {Object} params
+   * @param {string} params.productId
+   * @param {number} [params.variantId] - Omit for the launch of the product
+   * @returns {Promise<Object>} The ProductSubscription
+   * @throws {APIError} 404 for an unknown product or variant, 409 when it is
+   *   already available
+   */
+  async subscribe(user, { productId, variantId = null }) {
+    const product = await catalogService.getProduct(null, productId);
+
+    if (!product) {
+      throw createNotFoundError('Product', productId);
+    }
+
+    if (variantId !== null && !product.variants.some(variant => variant.id === Number(variantId))) {
+      throw createNotFoundError('Variant', variantId);
+    }
+
+    const kind = variantId === null ? 'launch' : 'back_in_stock';
+
+    if (this.isAvailable(product, variantId)) {
+      throw createError('Product is already available', 409, { productId, variantId },
+        kind === 'launch' ? 'This product is already available.' : 'This option is in stock.');
+    }
+
+    const where = { user_id: user.id, product_id: String(productId), variant_id: variantId, status: 'active' };
+    const existing = await ProductSubscription.findOne({ where });
+
+    if (existing) return existing;
+
+    const subscription = await ProductSubscription.create({
+      user_id: user.id,
+      email: user.email,
+      product_id: String(productId),
+      variant_id: variantId,
+      kind
+    });
+
+    this.logger.info('Product subscription created', { subscriptionId: subscription.id, productId, variantId, kind });
+
+    return subscription;
+  }
+
+  /**
+   * A customer's subscriptions that have not been notified yet
+   *
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getSubscriptions(userId) {
+    return ProductSubscription.findAll({
+      where: { user_id: userId, status: 'active' },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Cancel one of a customer's subscriptions
+   *
+   * @param {string} userId
+   * @param {string} subscriptionId
+   * @throws {APIError} 404 when the customer has no such subscription
+   */
+  async unsubscribe(userId, subscriptionId) {
+    const subscription = await ProductSubscription.findOne({
+      where: { id: subscriptionId, user_id: userId, status: 'active' }
+    });
+
+    if (!subscription) {
+      throw createNotFoundError('Product subscription', subscriptionId);
+    }
+
+    await subscription.update({ status: 'unsubscribed', unsubscribed_at: new Date() });
+  }
+
+  /**
+   * Unsubscribe from the link in a notification email
+   * Cancels every subscription of the customer that is still waiting.
+   *
+   * @param {string} subscriptionId - Subscription the email was about
+   * @param {string} token
+   * @returns {Promise<Object>} { unsubscribed } - Number of subscriptions cancelled
+   * @throws {APIError} 404 for a wrong link
+   */
+  async unsubscribeWithToken(subscriptionId, token) {
+    const subscription = await ProductSubscription.findByPk(subscriptionId);
+
+    if (!subscription || !this._matches(subscription.unsubscribe_token_hash, token)) {
+      throw createError('This unsubscribe link is invalid', 404);
+    }
+
+    const [unsubscribed] = await ProductSubscription.update(
+      { status: 'unsubscribed', unsubscribed_at: new Date() },
+      { where: { user_id: subscription.user_id, status: 'active' } }
+    );
+
+    this.logger.info('Unsubscribed from product notifications', { userId: subscription.user_id, unsubscribed });
+
+    return { unsubscribed };
+  }
+
+  /**
+   * Whether a product is published, or a variant of it can be bought
+   *
+   * @param {Object} product - Product from catalogService
+   * @param {number} [variantId]
+   * @returns {boolean}
+   */
+  isAvailable(product, variantId = null) {
+    if (!product || !product.visible) return false;
+    if (variantId === null || variantId === undefined) return true;
+
+    const variant = product.variants.find(entry => entry.id === Number(variantId));
+    return !!variant && variant.is_enabled !== false && variant.is_available !== false;
+  }
+
+  /**
+   * Mark the subscriptions a product change satisfies as due
+   *
+   * @param {string} productId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<number>} Number of subscriptions that became due
+   */
+  async checkProduct(productId, { now = new Date() } = {}) {
+    const subscriptions = await ProductSubscription.findAll({
+      where: { product_id: String(productId), status: 'active', available_at: null },
+      attributes: ['id', 'variant_id']
+    });
+
+    if (!subscriptions.length) return 0;
+
+    const product = await catalogService.getProduct(null, productId);
+    const due = subscriptions.filter(subscription => this.isAvailable(product, subscription.variant_id));
+
+    if (!due.length) return 0;
+
+    await ProductSubscription.update(
+      { available_at: now },
+      { where: { id: due.map(subscription => subscription.id) } }
+    );
+
+    this.logger.info(`${due.length} product subscriptions due`, { productId });
+
+    return due.length;
+  }
+
+  /**
+   * Email the next batch of due subscriptions
+   * Subscriptions whose variant went out of stock again before the email
+   * went out wait for the next change.
+   *
+   * @returns {Promise<Object>} { sent, failed, skipped }
+   */
+  async sendNotifications() {
+    const subscriptions = await ProductSubscription.findAll({
+      where: { status: 'active', available_at: { [Op.ne]: null } },
+      order: [['available_at', 'ASC']],
+      limit: this.config.batchSize
+    });
+
+    const result = { sent: 0, failed: 0, skipped: 0 };
+    const products = new Map();
+    const groups = new Map();
+
+    // One email per customer and product, listing every variant they waited for
+    for (const subscription of subscriptions) {
+      const key = `${subscription.user_id}:${subscription.product_id}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(subscription);
+    }
+
+    for (const group of groups.values()) {
+      const productId = group[0].product_id;
+
+      if (!products.has(productId)) {
+        products.set(productId, await catalogService.getProduct(null, productId));
+      }
+
+      const product = products.get(productId);
+      const available = group.filter(subscription => this.isAvailable(product, subscription.variant_id));
+      const gone = group.filter(subscription => !available.includes(subscription));
+
+      if (gone.length) {
+        await ProductSubscription.update({ available_at: null }, { where: { id: gone.map(entry => entry.id) } });
+        result.skipped += gone.length;
+      }
+
+      if (!available.length) continue;
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const variants = available
+        .filter(subscription => subscription.variant_id !== null)
+        .map(subscription => product.variants.find(variant => variant.id === subscription.variant_id));
+
+      try {
+        // Sent first: a failed email leaves the subscriptions due for the next run
+        await EmailService.sendProductAvailableEmail({
+          email: available[0].email,
+          kind: available.some(subscription => subscription.kind === 'launch') ? 'launch' : 'back_in_stock',
+          product,
+          variants
+        }, this.getProductUrl(productId), this.getUnsubscribeUrl(available[0], token));
+
+        await ProductSubscription.update({
+          status: 'notified',
+          notified_at: new Date(),
+          unsubscribe_token_hash: this._hash(token)
+        }, { where: { id: available.map(entry => entry.id) } });
+
+        result.sent++;
+      } catch (error) {
+        this.logger.error(`Failed to send product notification for product ${productId}`, {
+          subscriptionIds: available.map(entry => entry.id),
+          error: error.message
+        });
+        result.failed++;
+      }
+    }
+
+    if (subscriptions.length) {
+      this.logger.info('Product notifications sent', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Demand for products customers are waiting for, most wanted first
+   *
+   * @returns {Promise<Array>} [{ productId, title, visible, waiting, notified, launch,
+   *   variants: [{ variantId, title, waiting }] }]
+   */
+  async getDemand() {
+    const counts = await ProductSubscription.findAll({
+      attributes: ['product_id', 'variant_id', 'status', [fn('COUNT', col('id')), 'count']],
+      where: { status: { [Op.in]: ['active', 'notified'] } },
+      group: ['product_id', 'variant_id', 'status'],
+      raw: true
+    });
+
+    const demand = new Map();
+
+    for (const row of counts) {
+      if (!demand.has(row.product_id)) {
+        demand.set(row.product_id, { productId: row.product_id, waiting: 0, notified: 0, launch: 0, variants: new Map() });
+      }
+
+      const entry = demand.get(row.product_id);
+      const count = Number(row.count);
+
+      if (row.status === 'notified') {
+        entry.notified += count;
+        continue;
+      }
+
+      entry.waiting += count;
+
+      if (row.variant_id === null) {
+        entry.launch += count;
+      } else {
+        entry.variants.set(row.variant_id, (entry.variants.get(row.variant_id) || 0) + count);
+      }
+    }
+
+    const products = await Promise.all(
+      Array.from(demand.keys()).map(productId => catalogService.getProduct(null, productId))
+    );
+
+    return Array.from(demand.values())
+      .map((entry, index) => {
+        const product = products[index];
+
+        return {
+          productId: entry.productId,
+          title: product?.title || null,
+          visible: product ? product.visible : null,
+          waiting: entry.waiting,
+          notified: entry.notified,
+          launch: entry.launch,
+          variants: Array.from(entry.variants, ([variantId, waiting]) => ({
+            variantId,
+            title: product?.variants.find(variant => variant.id === variantId)?.title || null,
+            waiting
+          })).sort((a, b) => b.waiting - a.waiting)
+        };
+      })
+      .sort((a, b) => b.waiting - a.waiting);
+  }
+
+  /**
+   * @param {string} productId
+   * @returns {string}
+   */
+  getProductUrl(productId) {
+    return `${process.env.CLIENT_URL}/product/${encodeURIComponent(productId)}`;
+  }
+
+  /**
+   * Link that stops a customer's product notifications
+   *
+   * @param {Object} subscription
+   * @param {string} token
+   * @returns {string}
+   */
+  getUnsubscribeUrl(subscription, token) {
+    const params = new URLSearchParams({ subscription: subscription.id, token });
+    return `${process.env.CLIENT_URL}/notifications/unsubscribe?${params}`;
+  }
+
+  /**
+   * Register the notification job with the scheduler
+   */
+  registerSchedule() {
+    if (this.config.enabled === false) {
+      this.logger.info('Product notifications are disabled in configuration');
+      return;
+    }
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.notificationPollMinutes * 60 * 1000,
+      handler: () => this.sendNotifications()
+    });
+  }
+
+  /**
+   * Check subscriptions whenever the catalog sync or a webhook changes a product
+   * @private
+   */
+  _subscribe() {
+    const check = async ({ productId }) => {
+      try {
+        await this.checkProduct(productId);
+      } catch (error) {
+        this.logger.error('Failed to check product subscriptions', { productId, error: error.message });
+      }
+    };
+
+    eventService.on(CATALOG_EVENTS.PRODUCT_CREATED, check);
+    eventService.on(CATALOG_EVENTS.PRODUCT_UPDATED, check);
+  }
+
+  /**
+   * @private
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _matches(hash, token) {
+    if (!hash || !token) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(this._hash(token), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = new ProductSubscriptionService();
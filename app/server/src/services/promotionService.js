@@ -0,0 +1,662 @@
+/**
+ * Promotion Service
+ *
+ * Discount codes: admin management, working out what a code takes off a cart
+ * and recording the orders it was used on.
+ *
+ * A code applies to the cart lines it is scoped to (products or categories,
+ * or every line). Percent and fixed promotions take their discount off those
+ * lines; free shipping promotions make the cheapest shipping option free.
+ * The cart preview and checkout price the discount the same way, and
+ * checkout hands it to Stripe as a single-use coupon for the exact amount,
+ * so Stripe charges what the cart showed.
+ *
+ * Usage limits are checked when the code is applied, and checkout holds a
+ * redemption for its session one code at a time, so checkouts open at the
+ * same time cannot use a code past its limits. The hold becomes the order's
+ * redemption when the session is paid and is released when it expires.
+ *
+ * @module services/promotionService
+ */
+
+const { Op } = require('sequelize');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { sequelize, Promotion, PromotionRedemption, Order } = require('../models');
+const catalogService = require('./catalogService');
+const pricingService = require('./pricingService');
+const shippingService = require('./shippingService');
+const categoryService = require('./categoryService');
+const giftCardService = require('./giftCardService');
+const taxService = require('./taxService');
+const currencyService = require('./currencyService');
+const AuditService = require('./auditService');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'free_shipping'];
+
+// Shown to customers for every code that cannot be used right now
+const INVALID_CODE_MESSAGE = 'This code is not valid.';
+
+class PromotionService {
+  constructor() {
+    this.logger = logger.child({ component: 'PromotionService' });
+  }
+
+  /**
+   * List promotions, newest first
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeInactive=true]
+   * @returns {Promise<Array>}
+   */
+  async listPromotions({ includeInactive = true } = {}) {
+    return Promotion.findAll({
+      where: includeInactive ? {} : { is_active: true },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a promotion with its results
+   *
+   * @param {string} promotionId
+   * @returns {Promise<Object>} Promotion with stats: { redemptions, discountTotal, revenue, currency },
+   *   amounts in the reporting currency
+   * @throws {APIError} 404 if not found
+   */
+  async getPromotion(promotionId) {
+    const promotion = await this._findOrFail(promotionId);
+    const redemptions = await PromotionRedemption.findAll({
+      // Paid orders only, not checkouts still holding a redemption
+      where: { promotion_id: promotion.id, order_id: { [Op.ne]: null } },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'totalAmount', 'exchangeRate'] }]
+    });
+    const rates = await currencyService.getRates();
+    const sum = (amountOf) => Math.round(redemptions.reduce((total, redemption) => total
+      + currencyService.toReporting(amountOf(redemption), redemption.order?.exchangeRate, rates), 0) * 100) / 100;
+
+    return {
+      ...promotion.toJSON(),
+      stats: {
+        redemptions: redemptions.length,
+        discountTotal: sum(redemption => redemption.discount_amount),
+        revenue: sum(redemption => redemption.order?.totalAmount),
+        currency: currencyService.getReportingCurrency()
+      }
+    };
+  }
+
+  /**
+   * Create a promotion
+   *
+   * @param {Object} data - Promotion attributes (snake_case)
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin creating it
+   * @param {Object} [options.req] - Request, for the audit log
+   * @returns {Promise<Object>} The promotion
+   * @throws {APIError} 409 if the code is taken
+   */
+  async createPromotion(data, { user = null, req = null } = {}) {
+    this._assertValid(data);
+    await this._assertCodeAvailable(data.code);
+
+    const promotion = await Promotion.create(data);
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.CREATE,
+      entityType: AuditService.ENTITIES.PROMOTION,
+      entityId: promotion.id,
+      newValues: data,
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    return promotion;
+  }
+
+  /**
+   * Update a promotion
+   *
+   * @param {string} promotionId
+   * @param {Object} data - Attributes to change
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin changing it
+   * @param {Object} [options.req] - Request, for the audit log
+   * @returns {Promise<Object>} The promotion
+   * @throws {APIError} 404 if not found, 409 if the new code is taken
+   */
+  async updatePromotion(promotionId, data, { user = null, req = null } = {}) {
+    const promotion = await this._findOrFail(promotionId);
+
+    this._assertValid({ ...promotion.get(), ...data });
+
+    if (data.code && String(data.code).trim().toUpperCase() !== promotion.code) {
+      await this._assertCodeAvailable(data.code);
+    }
+
+    const oldValues = promotion.get({ plain: true });
+    await promotion.update(data);
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.UPDATE,
+      entityType: AuditService.ENTITIES.PROMOTION,
+      entityId: promotion.id,
+      oldValues,
+      newValues: data,
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    return promotion;
+  }
+
+  /**
+   * Delete a promotion
+   * Orders it was used on keep their code and discount.
+   *
+   * @param {string} promotionId
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin deleting it
+   * @param {Object} [options.req] - Request, for the audit log
+   * @throws {APIError} 404 if not found
+   */
+  async deletePromotion(promotionId, { user = null, req = null } = {}) {
+    const promotion = await this._findOrFail(promotionId);
+
+    await promotion.destroy();
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.DELETE,
+      entityType: AuditService.ENTITIES.PROMOTION,
+      entityId: promotion.id,
+      oldValues: { code: promotion.code },
+      userId: user?.id || null,
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+  }
+
+  /**
+   * Work out what a code takes off a priced cart
+   *
+   * @param {string} code - Code the customer entered
+   * @param {Array} items - Priced lines from pricingService ({ id, variantId, quantity, unitAmount })
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Signed-in customer, for the per-customer limit
+   * @param {string} [options.email] - Customer email, for the per-customer limit of guests
+   * @param {Object} [options.currency] - Currency the lines are priced in (currencyService.getCurrency);
+   *   fixed discounts and minimums are converted from the base currency
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} {
+   *   promotion,
+   *   discount: cents off the lines,
+   *   freeShipping: whether the cheapest shipping option is free,
+   *   lines: the lines the code applies to ({ id, variantId })
+   * }
+   * @throws {APIError} 400 with a customer-facing message when the code cannot be used
+   */
+  async applyCode(code, items, { userId = null, email = null, currency = null, now = new Date() } = {}) {
+    const promotion = await Promotion.findOne({
+      where: { code: String(code || '').trim().toUpperCase() }
+    });
+
+    if (!promotion || !promotion.is_active
+      || (promotion.starts_at && new Date(promotion.starts_at) > now)
+      || (promotion.ends_at && new Date(promotion.ends_at) <= now)) {
+      throw this._invalid(code, 'Promotion code is not active');
+    }
+
+    if (promotion.usage_limit !== null && promotion.usage_limit !== undefined
+      && promotion.times_used >= promotion.usage_limit) {
+      throw this._invalid(code, 'Promotion code is used up', 'This code has been used up.');
+    }
+
+    if (promotion.usage_limit_per_user && (userId || email)
+      && await this._countCustomerUses(promotion, { userId, email }) >= promotion.usage_limit_per_user) {
+      throw this._invalid(code, 'Promotion code already used by customer', 'You have already used this code.');
+    }
+
+    const lines = await this._eligibleLines(promotion, items);
+    const eligibleSubtotal = lines.reduce((sum, line) => sum + line.unitAmount * line.quantity, 0);
+
+    if (!lines.length) {
+      throw this._invalid(code, 'No cart line qualifies for the promotion', 'This code does not apply to the items in your cart.');
+    }
+
+    const toCurrency = cents => (currency ? currencyService.convert(cents, currency) : cents);
+    const minimum = toCurrency(Math.round(Number(promotion.min_subtotal || 0) * 100));
+
+    if (eligibleSubtotal < minimum) {
+      throw this._invalid(
+        code,
+        'Cart is below the promotion minimum',
+        `Spend ${currencyService.format(minimum, currency?.code)} on qualifying items to use this code.`
+      );
+    }
+
+    return {
+      promotion,
+      discount: this._discount(promotion, eligibleSubtotal, toCurrency),
+      freeShipping: promotion.type === 'free_shipping',
+      lines: lines.map(line => ({ id: line.id, variantId: line.variantId }))
+    };
+  }
+
+  /**
+   * Price a cart with a discount code, as checkout will charge it
+   *
+   * @param {Array} items - Cart lines from the client ({ id, variantId, quantity, price })
+   * @param {Object} [options]
+   * @param {string} [options.code] - Discount code the customer entered
+   * @param {Object} [options.address] - Shipping destination ({ country, region, zip }); without
+   *   one the totals leave shipping and tax out
+   * @param {string} [options.userId]
+   * @param {string} [options.email]
+   * @param {string} [options.giftCardCode] - Gift card code the customer entered
+   * @param {boolean} [options.useStoreCredit] - Pay with the signed-in customer's store credit
+   * @param {string} [options.currency] - Currency to price the cart in (base currency by default)
+   * @returns {Promise<Object>} {
+   *   items, changes, unavailable: as from pricingService, items priced in the currency and
+   *     changes in the base currency,
+   *   currency: ISO 4217 code the amounts are in,
+   *   promotion: { code, type, description, freeShipping } | null,
+   *   giftCard: { last4, balance, storeCredit } | null,
+   *   shipping: quote with the free option applied | null,
+   *   tax: { lines: [{ jurisdiction, type, rate, amount }] } | null,
+   *   totals: { subtotal, discount, giftCard, shipping, tax, total } in dollars, shipping at the
+   *     cheapest option; gift cards pay for items, not shipping; tax is null when
+   *     the address is not enough to work it out
+   * }
+   * @throws {APIError} 400 when the discount or gift card code or the currency cannot be used
+   */
+  async previewCart(items, { code = null, address = null, userId = null, email = null, giftCardCode = null, useStoreCredit = false, currency: currencyCode = null } = {}) {
+    const currency = await currencyService.getCurrency(currencyCode);
+    const pricing = currencyService.convertPricing(await pricingService.priceCart(items), currency);
+    const applied = code && pricing.items.length
+      ? await this.applyCode(code, pricing.items, { userId, email, currency })
+      : null;
+    const discount = applied?.discount || 0;
+    const giftCard = (giftCardCode || (useStoreCredit && userId)) && pricing.items.length
+      ? await giftCardService.previewBalance({
+        amount: pricing.subtotal - discount,
+        code: giftCardCode,
+        userId: useStoreCredit ? userId : null,
+        currency: currency.code
+      })
+      : null;
+
+    let shipping = null;
+
+    if (address?.country && pricing.items.length) {
+      shipping = await shippingService.getQuote({ items: pricing.items, address, currency });
+
+      if (applied?.freeShipping) {
+        shipping = this.applyFreeShipping(shipping).quote;
+      }
+    }
+
+    const giftCardAmount = giftCard?.amount || 0;
+    const shippingAmount = shipping ? Math.min(...shipping.options.map(option => option.amount)) : 0;
+    const tax = shipping
+      ? await taxService.calculate({
+        items: pricing.items,
+        promotion: applied,
+        giftCardAmount,
+        shipping: shippingAmount,
+        address,
+        currency: currency.currency
+      })
+      : null;
+    const taxAmount = tax?.amount || 0;
+
+    return {
+      items: pricing.items,
+      changes: pricing.changes,
+      unavailable: pricing.unavailable,
+      currency: currency.code,
+      promotion: applied && {
+        code: applied.promotion.code,
+        type: applied.promotion.type,
+        description: applied.promotion.description,
+        freeShipping: applied.freeShipping
+      },
+      giftCard: giftCard && {
+        last4: giftCard.giftCard?.last4 || null,
+        balance: giftCard.giftCard?.balance ?? null,
+        storeCredit: giftCard.storeCredit / 100
+      },
+      shipping,
+      tax: tax && {
+        lines: taxService.summarize(tax.lines).map(line => ({
+          jurisdiction: line.jurisdiction,
+          type: line.type,
+          rate: line.rate,
+          amount: line.amount / 100
+        }))
+      },
+      totals: {
+        subtotal: pricing.subtotal / 100,
+        discount: discount / 100,
+        giftCard: giftCardAmount / 100,
+        shipping: shipping ? shippingAmount / 100 : null,
+        tax: tax ? taxAmount / 100 : null,
+        total: (pricing.subtotal - discount - giftCardAmount + shippingAmount + taxAmount) / 100
+      }
+    };
+  }
+
+  /**
+   * Make the cheapest shipping option of a quote free
+   *
+   * @param {Object} quote - Result of shippingService.getQuote
+   * @returns {Object} { quote, method, amount } - the changed quote, and the
+   *   method made free with the cents it would have cost
+   */
+  applyFreeShipping(quote) {
+    const cheapest = quote.options.reduce((best, option) => (!best || option.amount < best.amount ? option : best), null);
+
+    if (!cheapest) {
+      return { quote, method: null, amount: 0 };
+    }
+
+    return {
+      quote: {
+        ...quote,
+        options: quote.options.map(option => (option === cheapest
+          ? { ...option, amount: 0, label: `${option.label} (free)` }
+          : option))
+      },
+      method: cheapest.method,
+      amount: cheapest.amount
+    };
+  }
+
+  /**
+   * Stripe `discounts` for a checkout session
+   * The discount becomes a single-use coupon for its exact amount. A session
+   * takes one coupon, so a gift card or store credit paying for part of the
+   * cart goes into the same coupon. Stripe Tax then taxes less by it, which
+   * taxService allows for.
+   *
+   * @param {Object|null} applied - Result of applyCode
+   * @param {string} currency
+   * @param {Object} [options]
+   * @param {number} [options.giftCardAmount=0] - Cents paid with gift cards and store credit
+   * @returns {Promise<Array>} discounts for stripe.checkout.sessions.create
+   */
+  async toStripeDiscounts(applied, currency, { giftCardAmount = 0 } = {}) {
+    const amount = (applied?.discount || 0) + giftCardAmount;
+
+    if (!amount) return [];
+
+    const coupon = await stripe.coupons.create({
+      amount_off: amount,
+      currency,
+      duration: 'once',
+      max_redemptions: 1,
+      name: [applied?.discount && applied.promotion.code, giftCardAmount && 'Gift card'].filter(Boolean).join(' + '),
+      metadata: {
+        ...(applied && { promotion_id: applied.promotion.id }),
+        ...(giftCardAmount && { gift_card_amount: String(giftCardAmount) })
+      }
+    });
+
+    return [{ coupon: coupon.id }];
+  }
+
+  /**
+   * Hold a redemption of an applied code for a checkout, checking its usage
+   * limits again with checkouts still open counted as uses
+   * The promotion is locked while checking, so two checkouts cannot both
+   * take the last use.
+   *
+   * @param {Object|null} applied - Result of applyCode
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Signed-in customer
+   * @param {string} [options.email] - Customer email
+   * @returns {Promise<Object|null>} The held redemption, or null without a promotion
+   * @throws {APIError} 400 with a customer-facing message when the code was used up meanwhile
+   */
+  async holdRedemption(applied, { userId = null, email = null } = {}) {
+    if (!applied) return null;
+
+    return sequelize.transaction(async (transaction) => {
+      const promotion = await Promotion.findByPk(applied.promotion.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!promotion) {
+        throw this._invalid(applied.promotion.code, 'Promotion code is not active');
+      }
+
+      if (promotion.usage_limit !== null && promotion.usage_limit !== undefined) {
+        const held = await PromotionRedemption.count({
+          where: { promotion_id: promotion.id, order_id: null },
+          transaction
+        });
+
+        if (promotion.times_used + held >= promotion.usage_limit) {
+          throw this._invalid(promotion.code, 'Promotion code is used up', 'This code has been used up.');
+        }
+      }
+
+      if (promotion.usage_limit_per_user && (userId || email)
+        && await this._countCustomerUses(promotion, { userId, email, transaction }) >= promotion.usage_limit_per_user) {
+        throw this._invalid(promotion.code, 'Promotion code already used by customer', 'You have already used this code.');
+      }
+
+      return PromotionRedemption.create({
+        promotion_id: promotion.id,
+        order_id: null,
+        user_id: userId,
+        email: String(email || '').toLowerCase(),
+        // In the checkout's currency until the order records its discount
+        discount_amount: applied.discount / 100
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Link a held redemption to the checkout session it is for
+   *
+   * @param {Object|null} hold - Result of holdRedemption
+   * @param {Object} session - Stripe checkout session
+   */
+  async attachSession(hold, session) {
+    if (!hold) return;
+
+    await PromotionRedemption.update(
+      { stripe_session_id: session.id },
+      { where: { id: hold.id } }
+    );
+  }
+
+  /**
+   * Release a held redemption, e.g. when the checkout session could not be
+   * created
+   *
+   * @param {Object|null} hold - Result of holdRedemption
+   */
+  async releaseHold(hold) {
+    if (!hold) return;
+
+    await PromotionRedemption.destroy({ where: { id: hold.id, order_id: null } });
+  }
+
+  /**
+   * Release the redemption held by a checkout session that expired unpaid
+   * Safe to call more than once for the same session.
+   *
+   * @param {Object} session - Stripe checkout session
+   * @returns {Promise<number>} Redemptions released
+   */
+  async releaseSession(session) {
+    return PromotionRedemption.destroy({ where: { stripe_session_id: session.id, order_id: null } });
+  }
+
+  /**
+   * Record the promotion used on a new order and count its use
+   * The redemption held by the session becomes the order's; sessions opened
+   * before holds existed get a new one.
+   *
+   * @param {Object} session - Stripe checkout session the order was paid with
+   * @param {Object} order - Order created from the session
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   */
+  async recordRedemption(session, order, { transaction } = {}) {
+    if (!order.promotionId) return;
+
+    const redemption = {
+      order_id: order.id,
+      user_id: order.customerId || null,
+      email: String(order.customerEmail).toLowerCase(),
+      discount_amount: order.discountAmount
+    };
+
+    const [held] = await PromotionRedemption.update(redemption, {
+      where: { promotion_id: order.promotionId, stripe_session_id: session.id, order_id: null },
+      transaction
+    });
+
+    if (!held) {
+      await PromotionRedemption.create({ promotion_id: order.promotionId, ...redemption }, { transaction });
+    }
+
+    await Promotion.increment('times_used', {
+      by: 1,
+      where: { id: order.promotionId },
+      paranoid: false,
+      transaction
+    });
+  }
+
+  /**
+   * Redemptions of a promotion by a customer, held ones included
+   * @private
+   */
+  async _countCustomerUses(promotion, { userId = null, email = null, transaction } = {}) {
+    return PromotionRedemption.count({
+      where: {
+        promotion_id: promotion.id,
+        [Op.or]: [
+          ...(userId ? [{ user_id: userId }] : []),
+          ...(email ? [{ email: String(email).toLowerCase() }] : [])
+        ]
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Cart lines a promotion applies to
+   * @private
+   */
+  async _eligibleLines(promotion, items) {
+    const productIds = (promotion.product_ids || []).map(String);
+    const categorySlugs = promotion.category_slugs || [];
+
+    if (!productIds.length && !categorySlugs.length) {
+      return items;
+    }
+
+    const resolve = categorySlugs.length ? await categoryService.getResolver() : null;
+    const lines = [];
+
+    for (const item of items) {
+      if (productIds.includes(String(item.id))) {
+        lines.push(item);
+        continue;
+      }
+
+      if (resolve) {
+        const product = await catalogService.getProduct(null, item.id);
+
+        if (product && resolve(product).some(slug => categorySlugs.includes(slug))) {
+          lines.push(item);
+        }
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Cents a promotion takes off the lines it applies to
+   * @private
+   * @param {Function} toCurrency - Converts base currency cents to the cart's currency
+   */
+  _discount(promotion, eligibleSubtotal, toCurrency = cents => cents) {
+    switch (promotion.type) {
+      case 'percent':
+        return Math.round(eligibleSubtotal * Math.min(Number(promotion.value), 100) / 100);
+      case 'fixed':
+        return Math.min(toCurrency(Math.round(Number(promotion.value) * 100)), eligibleSubtotal);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _invalid(code, message, userMessage = INVALID_CODE_MESSAGE) {
+    return createError(message, 400, { code }, userMessage);
+  }
+
+  /**
+   * @private
+   */
+  _assertValid(data) {
+    if (!PROMOTION_TYPES.includes(data.type)) {
+      throw createError(`Promotion type must be one of ${PROMOTION_TYPES.join(', ')}`, 400);
+    }
+
+    if (data.type !== 'free_shipping' && !(Number(data.value) > 0)) {
+      throw createError('Percent and fixed promotions need a value above 0', 400);
+    }
+
+    if (data.type === 'percent' && Number(data.value) > 100) {
+      throw createError('A percent promotion cannot take off more than 100%', 400);
+    }
+
+    if (data.starts_at && data.ends_at && new Date(data.ends_at) <= new Date(data.starts_at)) {
+      throw createError('Promotion must end after it starts', 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _assertCodeAvailable(code) {
+    // Deleted promotions keep their code; orders still refer to it
+    const existing = await Promotion.findOne({
+      where: { code: String(code).trim().toUpperCase() },
+      paranoid: false
+    });
+
+    if (existing) {
+      throw createError(`Promotion code ${existing.code} already exists`, 409);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findOrFail(promotionId) {
+    const promotion = await Promotion.findByPk(promotionId);
+
+    if (!promotion) {
+      throw createNotFoundError('Promotion', promotionId);
+    }
+
+    return promotion;
+  }
+}
+
+module.exports = new PromotionService();
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
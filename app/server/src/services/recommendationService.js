@@ -0,0 +1,385 @@
+/**
+ * Recommendation Service
+ *
+ * Related products ("You May Also Like") and personal picks for signed-in
+ * customers. Two products are related when they share tags or a Printify
+ * blueprint, and when customers buy them in the same order. Each pair of
+ * published products is scored once, when the results are built, and only
+ * the best `relatedLimit` matches of every product are kept in memory, so
+ * requests only look them up.
+ *
+ * The results are built on the first request and rebuilt every
+ * `features.recommendations.rebuildMinutes` by a scheduled job. Catalog
+ * events keep the products themselves current in between: hidden and
+ * deleted products drop out right away, new ones get their matches on the
+ * next rebuild.
+ *
+ * Personal picks add up the related products of what the customer bought,
+ * favouring recent orders, and leave out what they already have. Customers
+ * without orders get the best sellers.
+ *
+ * @module services/recommendationService
+ */
+
+const { Op } = require('sequelize');
+const { Order, OrderItem } = require('../models');
+const catalogService = require('./catalogService');
+const eventService = require('./EventService');
+const { CATALOG_EVENTS } = require('./catalogSyncService');
+const schedulerService = require('./schedulerService');
+const applicationConfig = require('../../config/application');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'recommendations-rebuild';
+
+/** Orders that count as purchases; pre-orders are paid and waiting for launch */
+const PURCHASED_STATUSES = ['paid', 'preorder'];
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  rebuildMinutes: 60,
+  // Matches kept per product
+  relatedLimit: 12,
+  // Orders older than this do not count towards "bought together"
+  lookbackDays: 365,
+  // How much each signal adds to a pair's score; each signal is between 0 and 1
+  weights: {
+    tags: 1,
+    blueprint: 0.25,
+    boughtTogether: 2
+  },
+  // Recent orders of the customer that personal picks are based on
+  historyOrders: 20
+};
+
+class RecommendationService {
+  constructor() {
+    this.logger = logger.child({ component: 'RecommendationService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.recommendations || {})
+    };
+    this.config.weights = {
+      ...DEFAULT_CONFIG.weights,
+      ...(applicationConfig.features?.recommendations?.weights || {})
+    };
+
+    this._reset();
+    this.building = null;
+    this._subscribed = false;
+  }
+
+  /**
+   * Products related to a product, best match first
+   * Products without matches, including ones published since the last
+   * rebuild, get the best sellers instead.
+   *
+   * @param {string} productId
+   * @param {Object} [options]
+   * @param {number} [options.limit=4]
+   * @returns {Promise<Array>} Products in Printify API shape
+   */
+  async getRelated(productId, { limit = 4 } = {}) {
+    await this.ensureBuilt();
+
+    const related = this._available((this.related.get(String(productId)) || []).map(match => match.productId));
+    const exclude = new Set([String(productId), ...related]);
+
+    return [...related, ...this._popular(exclude)]
+      .slice(0, limit)
+      .map(id => this.products.get(id));
+  }
+
+  /**
+   * Personal picks for a customer from their order history
+   * Orders placed as a guest with the account's email count too.
+   *
+   * @param {Object} user - { id, email }
+   * @param {Object} [options]
+   * @param {number} [options.limit=8]
+   * @returns {Promise<Object>} { products, personalized } - personalized is
+   *   false when the picks are best sellers because nothing matched
+   */
+  async getForUser(user, { limit = 8 } = {}) {
+    await this.ensureBuilt();
+
+    const orders = await Order.findAll({
+      where: {
+        status: { [Op.in]: PURCHASED_STATUSES },
+        [Op.or]: [
+          { customerId: user.id },
+          ...(user.email ? [{ customerId: null, customerEmail: user.email }] : [])
+        ]
+      },
+      attributes: ['id', 'createdAt'],
+      include: [{ model: OrderItem, as: 'items', attributes: ['product_id'] }],
+      order: [['createdAt', 'DESC']],
+      limit: this.config.historyOrders
+    });
+
+    const owned = new Set(orders.flatMap(order => order.items.map(item => String(item.product_id))));
+    const scores = new Map();
+
+    orders.forEach((order, index) => {
+      // The latest order counts fully, older ones less and less
+      const recency = 1 / (index + 1);
+
+      new Set(order.items.map(item => String(item.product_id))).forEach(productId => {
+        (this.related.get(productId) || []).forEach(({ productId: relatedId, score }) => {
+          if (owned.has(relatedId)) return;
+          scores.set(relatedId, (scores.get(relatedId) || 0) + score * recency);
+        });
+      });
+    });
+
+    const picks = this._available([...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([productId]) => productId));
+
+    const ids = [...picks, ...this._popular(new Set([...owned, ...picks]))].slice(0, limit);
+
+    return {
+      products: ids.map(id => this.products.get(id)),
+      personalized: picks.length > 0
+    };
+  }
+
+  /**
+   * Build the results if they haven't been built yet
+   * Concurrent callers share the same build.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureBuilt() {
+    this._subscribe();
+
+    if (this.ready) return;
+
+    if (!this.building) {
+      this.building = this.rebuild().finally(() => {
+        this.building = null;
+      });
+    }
+
+    await this.building;
+  }
+
+  /**
+   * Score every pair of published products and keep each product's best matches
+   *
+   * @param {Object} [options]
+   * @param {string} [options.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { products, related }
+   */
+  async rebuild({ shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID, now = new Date() } = {}) {
+    const startTime = Date.now();
+    const since = new Date(now.getTime() - this.config.lookbackDays * 24 * 60 * 60 * 1000);
+
+    const [catalog, orders] = await Promise.all([
+      catalogService.getProducts(shopId),
+      Order.findAll({
+        where: { status: { [Op.in]: PURCHASED_STATUSES }, createdAt: { [Op.gte]: since } },
+        attributes: ['id'],
+        include: [{ model: OrderItem, as: 'items', attributes: ['product_id'] }]
+      })
+    ]);
+
+    const products = new Map(catalog.filter(product => product.visible).map(product => [product.id, product]));
+    const { sales, pairs } = this._countOrders(orders, products);
+    const tags = new Map([...products.values()].map(product => [
+      product.id,
+      new Set((product.tags || []).map(tag => tag.toLowerCase()))
+    ]));
+
+    const related = new Map();
+
+    for (const product of products.values()) {
+      const matches = [];
+
+      for (const other of products.values()) {
+        if (other.id === product.id) continue;
+
+        const score = this._score(product, other, { tags, sales, pairs });
+        if (score > 0) matches.push({ productId: other.id, score });
+      }
+
+      // Best sellers first among equal scores
+      matches.sort((a, b) => b.score - a.score || (sales.get(b.productId) || 0) - (sales.get(a.productId) || 0));
+      related.set(product.id, matches.slice(0, this.config.relatedLimit));
+    }
+
+    this.products = products;
+    this.related = related;
+    this.popular = [...products.keys()]
+      .filter(id => sales.has(id))
+      .sort((a, b) => sales.get(b) - sales.get(a));
+    this.builtAt = now;
+    this.ready = true;
+
+    this.logger.info(`Recommendations built for ${products.size} products`, {
+      orders: orders.length,
+      duration: Date.now() - startTime
+    });
+
+    return { products: products.size, related: related.size };
+  }
+
+  /**
+   * Get build statistics
+   * @returns {Object} { ready, products, builtAt }
+   */
+  getStats() {
+    return {
+      ready: this.ready,
+      products: this.products.size,
+      builtAt: this.builtAt
+    };
+  }
+
+  /**
+   * Register the rebuild job with the scheduler
+   */
+  registerSchedule() {
+    if (this.config.enabled === false) {
+      this.logger.info('Recommendations are disabled in configuration');
+      return;
+    }
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.rebuildMinutes * 60 * 1000,
+      handler: () => this.rebuild(),
+      runOnStart: true
+    });
+  }
+
+  /**
+   * Orders with each published product, and with each pair of them
+   * @private
+   */
+  _countOrders(orders, products) {
+    const sales = new Map();
+    const pairs = new Map();
+
+    orders.forEach(order => {
+      const ids = [...new Set(order.items.map(item => String(item.product_id)))]
+        .filter(id => products.has(id))
+        .sort();
+
+      ids.forEach((id, index) => {
+        sales.set(id, (sales.get(id) || 0) + 1);
+
+        ids.slice(index + 1).forEach(otherId => {
+          const key = this._pairKey(id, otherId);
+          pairs.set(key, (pairs.get(key) || 0) + 1);
+        });
+      });
+    });
+
+    return { sales, pairs };
+  }
+
+  /**
+   * How related two products are
+   * Tags count by the share of tags in common, orders by how often the
+   * products are bought together compared to how often each one sells.
+   * @private
+   */
+  _score(product, other, { tags, sales, pairs }) {
+    const { weights } = this.config;
+    let score = 0;
+
+    const ownTags = tags.get(product.id);
+    const otherTags = tags.get(other.id);
+    if (ownTags.size > 0 && otherTags.size > 0) {
+      const shared = [...ownTags].filter(tag => otherTags.has(tag)).length;
+      score += weights.tags * shared / (ownTags.size + otherTags.size - shared);
+    }
+
+    if (product.blueprint_id && product.blueprint_id === other.blueprint_id) {
+      score += weights.blueprint;
+    }
+
+    const together = pairs.get(this._pairKey(product.id, other.id)) || 0;
+    if (together > 0) {
+      score += weights.boughtTogether * together / Math.sqrt(sales.get(product.id) * sales.get(other.id));
+    }
+
+    return score;
+  }
+
+  /**
+   * @private
+   */
+  _pairKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Products that are still published and have an option in stock
+   * @private
+   */
+  _available(productIds) {
+    return productIds.filter(id => {
+      const product = this.products.get(id);
+      return product && (product.variants || [])
+        .some(variant => variant.is_enabled !== false && variant.is_available !== false);
+    });
+  }
+
+  /**
+   * Best sellers, then the newest products, leaving out `exclude`
+   * @private
+   */
+  _popular(exclude) {
+    const newest = [...this.products.values()]
+      .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0))
+      .map(product => product.id);
+
+    return this._available([...new Set([...this.popular, ...newest])].filter(id => !exclude.has(id)));
+  }
+
+  /**
+   * @private
+   */
+  _reset() {
+    this.products = new Map();
+    this.related = new Map();
+    this.popular = [];
+    this.builtAt = null;
+    this.ready = false;
+  }
+
+  /**
+   * Keep the products in step with the catalog sync between rebuilds
+   * @private
+   */
+  _subscribe() {
+    if (this._subscribed) return;
+    this._subscribed = true;
+
+    const refresh = async ({ productId }) => {
+      if (!this.ready) return;
+
+      try {
+        const product = await catalogService.getProduct(null, productId);
+        if (product && product.visible) {
+          this.products.set(product.id, product);
+        } else {
+          this.products.delete(String(productId));
+        }
+      } catch (error) {
+        this.logger.error('Failed to refresh product in recommendations', {
+          productId,
+          error: error.message
+        });
+      }
+    };
+
+    eventService.on(CATALOG_EVENTS.PRODUCT_CREATED, refresh);
+    eventService.on(CATALOG_EVENTS.PRODUCT_UPDATED, refresh);
+    eventService.on(CATALOG_EVENTS.PRODUCT_DELETED, ({ productId }) => this.products.delete(String(productId)));
+  }
+}
+
+module.exports = new RecommendationService();
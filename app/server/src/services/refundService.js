@@ -0,0 +1,668 @@
+/**
+ * Refund Service
+ *
+ * Refunds an order's payment in any number of (partial) refunds, each
+ * optionally for one order line, and keeps the history in the `refunds`
+ * table. Admin refunds, cancellations and returns all go through
+ * refundOrder(); refunds made in the Stripe dashboard are picked up from the
+ * `charge.refunded` webhook.
+ *
+ * A pre-order paid with a deposit has a second payment, its balance. Card
+ * refunds take back the balance first, then the deposit, and a refund that
+ * spans both is recorded as one refund per payment.
+ *
+ * A refund can also be paid out as store credit instead of to the card. The
+ * part of an order paid with a gift card or store credit can only be
+ * refunded that way.
+ *
+ * A refund is recorded as pending before Stripe is called, while the order
+ * row is locked, so concurrent refunds are checked against each other and
+ * can never add up to more than was paid. The refund ID travels to Stripe
+ * in the refund metadata, which lets the webhook match a refund whose
+ * request timed out after Stripe had already made it.
+ *
+ * @module services/refundService
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderItem, Refund, Preorder } = require('../models');
+const orderService = require('./orderService');
+const eventService = require('./EventService');
+const orderEventService = require('./orderEventService');
+const giftCardService = require('./giftCardService');
+const AuditService = require('./auditService');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Stripe's refund reasons
+const REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+const SOURCES = ['admin', 'cancellation', 'return', 'stripe'];
+
+// Where the money goes: back to the card, or onto a store credit
+const METHODS = ['original_payment', 'store_credit'];
+
+// Who the timeline shows behind a refund of each source; refunds of a
+// cancellation follow from the cancellation itself
+const TIMELINE_SOURCES = {
+  admin: 'admin',
+  return: 'admin',
+  cancellation: 'system',
+  stripe: 'stripe'
+};
+
+// Refunds that count against the refundable balance; failed and canceled
+// refunds gave the money back to the balance
+const COUNTED_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+/**
+ * Refund events emitted on the shared event bus
+ */
+const REFUND_EVENTS = {
+  CREATED: 'order.refunded',
+  SYNCED: 'order.refund_synced'
+};
+
+class RefundService {
+  constructor() {
+    this.logger = logger.child({ component: 'RefundService' });
+  }
+
+  /**
+   * How much of an order, and of each of its lines, can still be refunded
+   *
+   * @param {Object} order - Order instance
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   * @returns {Promise<Object>} {
+   *   currency, total, refunded, refundable, paymentRefundable,
+   *   items: [{ orderItemId, productId, variantId, quantity, amount, refunded, refundable }],
+   *   payments: [{ paymentIntentId, amount, refunded, refundable }]
+   * }
+   *   Amounts are in dollars; the total includes what was paid with gift cards,
+   *   which only store credit refunds can give back (paymentRefundable is what
+   *   can still go back to the card). A line's refundable amount never exceeds
+   *   the order's. Payments are in the order card refunds take them back.
+   */
+  async getRefundableBalance(order, { transaction } = {}) {
+    const [refunds, items] = await Promise.all([
+      Refund.findAll({
+        where: { order_id: order.id, status: { [Op.in]: COUNTED_STATUSES } },
+        transaction
+      }),
+      OrderItem.findAll({ where: { order_id: order.id }, transaction })
+    ]);
+
+    const paid = this._round(order.totalAmount);
+    const total = this._round(paid + Number(order.giftCardAmount || 0));
+    const refunded = this._round(refunds.reduce((sum, refund) => sum + Number(refund.amount), 0));
+    const refundable = Math.max(this._round(total - refunded), 0);
+    const cardRefunds = refunds.filter(refund => (refund.method || 'original_payment') === 'original_payment');
+    const refundedToPayment = this._round(cardRefunds.reduce((sum, refund) => sum + Number(refund.amount), 0));
+
+    return {
+      currency: order.currency || 'usd',
+      total,
+      refunded,
+      refundable,
+      paymentRefundable: Math.min(Math.max(this._round(paid - refundedToPayment), 0), refundable),
+      items: items.map(item => {
+        // The line's sales tax goes back with it
+        const amount = this._round(Number(item.price) * item.quantity + Number(item.tax_amount || 0));
+        const lineRefunded = this._round(refunds
+          .filter(refund => refund.order_item_id === item.id)
+          .reduce((sum, refund) => sum + Number(refund.amount), 0));
+
+        return {
+          orderItemId: item.id,
+          productId: item.product_id,
+          variantId: item.variant_id,
+          title: item.title || null,
+          quantity: item.quantity,
+          amount,
+          refunded: lineRefunded,
+          refundable: Math.min(Math.max(this._round(amount - lineRefunded), 0), refundable)
+        };
+      }),
+      payments: this._payments(order).map(payment => {
+        const paymentRefunded = this._round(cardRefunds
+          .filter(refund => (refund.stripe_payment_intent_id || order.stripePaymentIntentId) === payment.paymentIntentId)
+          .reduce((sum, refund) => sum + Number(refund.amount), 0));
+
+        return {
+          ...payment,
+          refunded: paymentRefunded,
+          refundable: Math.max(this._round(payment.amount - paymentRefunded), 0)
+        };
+      })
+    };
+  }
+
+  /**
+   * Refund history of an order, newest first
+   *
+   * @param {string} orderId
+   * @returns {Promise<Array>} Refund instances
+   */
+  async listRefunds(orderId) {
+    return Refund.findAll({
+      where: { order_id: orderId },
+      include: [{ model: OrderItem, as: 'orderItem', attributes: ['id', 'product_id', 'variant_id', 'title', 'variant_title'] }],
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Refund (part of) an order's payment
+   * A card refund of a pre-order takes back the balance payment first, then
+   * the deposit, with one refund for each payment it reaches.
+   *
+   * @param {Object} order - Order instance
+   * @param {Object} [params]
+   * @param {number} [params.amount] - Dollars; defaults to what is left to
+   *   refund on the line (or its quantity), or on the whole order
+   * @param {string} [params.orderItemId] - Refund against one order line
+   * @param {number} [params.quantity] - Units of the line being refunded
+   * @param {string} [params.reason='requested_by_customer'] - Stripe refund reason
+   * @param {string} [params.note] - Free-text note for the history
+   * @param {string} [params.source='admin'] - 'admin', 'cancellation' or 'return'
+   * @param {string} [params.returnId] - Return the refund settles
+   * @param {string} [params.method='original_payment'] - 'original_payment', or
+   *   'store_credit' to issue the amount as store credit instead of refunding the card
+   * @param {Object} [options]
+   * @param {string} [options.userId] - User issuing the refund
+   * @param {string} [options.idempotencyKey] - A repeated call with the same
+   *   key returns the first refunds instead of refunding again; it only
+   *   refunds what a failed payment left out of the amount, or without an
+   *   amount, what is still left to refund
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Array>} Refund instances, one per payment
+   * @throws 409 when the amount exceeds what is left to refund
+   */
+  async refundOrder(order, params = {}, { userId = null, idempotencyKey = null, req = null } = {}) {
+    const {
+      amount,
+      orderItemId = null,
+      quantity = null,
+      reason = 'requested_by_customer',
+      note = null,
+      source = 'admin',
+      returnId = null,
+      method = 'original_payment'
+    } = params;
+    const toStoreCredit = method === 'store_credit';
+
+    if (!METHODS.includes(method)) {
+      throw createError(`Refund method must be one of ${METHODS.join(', ')}`, 400);
+    }
+
+    if (!toStoreCredit && !order.stripePaymentIntentId) {
+      throw createError('Order has no payment to refund', 409);
+    }
+
+    const earlier = idempotencyKey
+      ? await Refund.findAll({
+        where: { idempotency_key: { [Op.in]: this._partKeys(idempotencyKey) } },
+        order: [['created_at', 'ASC']]
+      })
+      : [];
+    const settled = this._round(earlier.reduce((sum, refund) => sum + Number(refund.amount), 0));
+    const hasAmount = amount !== undefined && amount !== null;
+
+    if (earlier.length > 0) {
+      if (hasAmount && settled >= this._round(amount)) return earlier;
+
+      if (!hasAmount) {
+        const balance = await this.getRefundableBalance(order);
+        if ((toStoreCredit ? balance.refundable : balance.paymentRefundable) <= 0) return earlier;
+      }
+    }
+
+    // What a payment that failed last time left out
+    const requested = hasAmount ? this._round(amount - settled) : null;
+
+    const refunds = await sequelize.transaction(async (transaction) => {
+      // Serializes refunds of the same order
+      await Order.findByPk(order.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const balance = await this.getRefundableBalance(order, { transaction });
+      const line = orderItemId ? balance.items.find(item => item.orderItemId === orderItemId) : null;
+
+      if (orderItemId && !line) {
+        throw createNotFoundError('Order item', orderItemId);
+      }
+
+      if (quantity && line && quantity > line.quantity) {
+        throw createError(`Only ${line.quantity} of this item were ordered`, 400, { quantity: line.quantity });
+      }
+
+      const limit = Math.min(
+        line ? line.refundable : balance.refundable,
+        toStoreCredit ? balance.refundable : balance.paymentRefundable
+      );
+      const refundAmount = this._round(requested ?? (line && quantity
+        ? Math.min((line.amount / line.quantity) * quantity, limit)
+        : limit));
+
+      if (!(refundAmount > 0) || refundAmount > limit) {
+        throw createError(
+          limit > 0
+            ? `Refund amount must be between 0.01 and ${limit.toFixed(2)}`
+            : `Nothing left to refund on this ${line ? 'item' : 'order'}`,
+          409,
+          { refundable: limit, refunded: line ? line.refunded : balance.refunded }
+        );
+      }
+
+      const parts = toStoreCredit
+        ? [{ paymentIntentId: null, amount: refundAmount }]
+        : this._allocate(balance.payments, refundAmount);
+
+      const created = [];
+      for (const [index, part] of parts.entries()) {
+        created.push(await Refund.create({
+          order_id: order.id,
+          order_item_id: orderItemId,
+          quantity: orderItemId && index === 0 ? quantity : null,
+          return_id: returnId,
+          amount: part.amount,
+          currency: balance.currency,
+          status: 'pending',
+          reason,
+          note,
+          source,
+          method,
+          // Null stands for the order's own payment
+          stripe_payment_intent_id: part.paymentIntentId === order.stripePaymentIntentId ? null : part.paymentIntentId,
+          idempotency_key: idempotencyKey ? this._partKeys(idempotencyKey)[earlier.length + index] : null,
+          refunded_by: userId
+        }, { transaction }));
+      }
+      return created;
+    });
+
+    if (toStoreCredit) {
+      return [...earlier, await this._refundToStoreCredit(order, refunds[0], { source, reason, userId, req })];
+    }
+
+    const issued = [];
+
+    for (const [index, refund] of refunds.entries()) {
+      try {
+        issued.push(await this._refundToPayment(order, refund, { source, reason, note, orderItemId, returnId, userId, req }));
+      } catch (error) {
+        // Refunds not sent to Stripe yet give their amount back too
+        for (const skipped of refunds.slice(index + 1)) {
+          await skipped.update({ status: 'failed', failure_reason: 'Not attempted', idempotency_key: null });
+        }
+        throw error;
+      }
+    }
+
+    return [...earlier, ...issued];
+  }
+
+  /**
+   * Send a recorded card refund to Stripe
+   * @private
+   * @returns {Promise<Object>} Refund instance
+   */
+  async _refundToPayment(order, refund, { source, reason, note, orderItemId, returnId, userId, req }) {
+    let stripeRefund;
+
+    try {
+      stripeRefund = await orderService.refundPayment(order, {
+        amount: Number(refund.amount),
+        reason,
+        metadata: {
+          refundId: refund.id,
+          ...(orderItemId && { orderItemId }),
+          ...(returnId && { returnId })
+        },
+        idempotencyKey: `refund-${refund.id}`,
+        paymentIntentId: refund.stripe_payment_intent_id
+      });
+    } catch (error) {
+      // Frees the reserved amount; the key is released so the caller can retry
+      await refund.update({
+        status: 'failed',
+        failure_reason: String(error.message).slice(0, 255),
+        idempotency_key: null
+      });
+
+      this.logger.error(`Refund of order ${order.id} failed`, { refundId: refund.id, error: error.message });
+      throw error;
+    }
+
+    await refund.update(this._fromStripe(stripeRefund));
+    await this._syncOrderStatus(order);
+
+    this.logger.info(`Refunded ${refund.amount} of order ${order.id}`, {
+      refundId: refund.id,
+      stripeRefundId: stripeRefund.id,
+      source
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.ORDER_REFUNDED,
+      entityType: AuditService.ENTITIES.ORDER,
+      entityId: order.id,
+      newValues: { refundId: refund.id, amount: Number(refund.amount), status: refund.status },
+      userId,
+      metadata: {
+        source,
+        reason,
+        note,
+        orderItemId,
+        returnId,
+        stripeRefundId: stripeRefund.id
+      },
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    await this._recordTimeline(order, refund, { source, actorId: userId });
+
+    eventService.emit(REFUND_EVENTS.CREATED, {
+      orderId: order.id,
+      refundId: refund.id,
+      amount: Number(refund.amount),
+      source
+    });
+
+    return refund;
+  }
+
+  /**
+   * Pay a recorded refund out as store credit for the order's customer
+   * @private
+   * @returns {Promise<Object>} Refund instance
+   */
+  async _refundToStoreCredit(order, refund, { source, reason, userId, req }) {
+    let credit;
+
+    try {
+      credit = await giftCardService.issue({
+        kind: 'store_credit',
+        // Store credit is kept in the base currency; orders paid in another
+        // currency are credited at the rate they were paid at
+        amount: Math.round(Number(refund.amount) / (Number(order.exchangeRate) || 1) * 100) / 100,
+        userId: order.customerId || null,
+        email: order.customerEmail,
+        orderId: order.id,
+        refundId: refund.id,
+        note: refund.note || `Refund of order ${order.id}`
+      }, { user: userId ? { id: userId } : null, req });
+    } catch (error) {
+      await refund.update({
+        status: 'failed',
+        failure_reason: String(error.message).slice(0, 255),
+        idempotency_key: null
+      });
+
+      this.logger.error(`Store credit refund of order ${order.id} failed`, { refundId: refund.id, error: error.message });
+      throw error;
+    }
+
+    await refund.update({ status: 'succeeded', gift_card_id: credit.id, refunded_at: new Date() });
+    await this._syncOrderStatus(order);
+
+    this.logger.info(`Refunded ${refund.amount} of order ${order.id} as store credit`, {
+      refundId: refund.id,
+      giftCardId: credit.id,
+      source
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.ORDER_REFUNDED,
+      entityType: AuditService.ENTITIES.ORDER,
+      entityId: order.id,
+      newValues: { refundId: refund.id, amount: Number(refund.amount), status: refund.status, method: 'store_credit' },
+      userId,
+      metadata: { source, reason, note: refund.note, giftCardId: credit.id },
+      severity: AuditService.SEVERITY.MEDIUM,
+      req
+    });
+
+    await this._recordTimeline(order, refund, { source, actorId: userId });
+
+    eventService.emit(REFUND_EVENTS.CREATED, {
+      orderId: order.id,
+      refundId: refund.id,
+      amount: Number(refund.amount),
+      source,
+      method: 'store_credit'
+    });
+
+    return refund;
+  }
+
+  /**
+   * Record the refunds of a charge reported by the `charge.refunded` webhook
+   * Refunds we issued are updated; refunds made in the Stripe dashboard are added.
+   *
+   * @param {Object} charge - Stripe charge
+   * @returns {Promise<Array>} Refund instances of the charge
+   */
+  async syncChargeRefunds(charge) {
+    const order = await this._findOrderByPayment(charge.payment_intent);
+
+    if (!order) {
+      this.logger.warn(`No order for refunded charge ${charge.id}`, { paymentIntent: charge.payment_intent });
+      return [];
+    }
+
+    // Charges no longer embed their refunds unless expanded
+    const stripeRefunds = charge.refunds?.data && !charge.refunds.has_more
+      ? charge.refunds.data
+      : (await stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+
+    const refunds = [];
+    for (const stripeRefund of stripeRefunds) {
+      refunds.push(await this.syncStripeRefund(stripeRefund, order));
+    }
+
+    await this._syncOrderStatus(order);
+
+    return refunds;
+  }
+
+  /**
+   * Create or update the Refund for one Stripe refund
+   * Also handles `charge.refund.updated`, e.g. a refund failing after the fact.
+   *
+   * @param {Object} stripeRefund - Stripe refund
+   * @param {Object} [order] - Order instance, looked up by payment intent when omitted
+   * @returns {Promise<Object|null>} Refund instance, or null for an unknown payment
+   */
+  async syncStripeRefund(stripeRefund, order = null) {
+    const existing = await Refund.findOne({ where: { stripe_refund_id: stripeRefund.id } })
+      || (stripeRefund.metadata?.refundId && await Refund.findByPk(stripeRefund.metadata.refundId));
+
+    if (existing) {
+      const changes = this._fromStripe(stripeRefund);
+
+      if (existing.status !== changes.status || existing.stripe_refund_id !== changes.stripe_refund_id) {
+        await existing.update(changes);
+        this.logger.info(`Refund ${existing.id} is now ${existing.status}`, { stripeRefundId: stripeRefund.id });
+
+        if (!order) {
+          const refundedOrder = await Order.findByPk(existing.order_id);
+          if (refundedOrder) await this._syncOrderStatus(refundedOrder);
+        }
+      }
+
+      return existing;
+    }
+
+    const refundedOrder = order || await this._findOrderByPayment(stripeRefund.payment_intent);
+
+    if (!refundedOrder) {
+      this.logger.warn(`No order for Stripe refund ${stripeRefund.id}`, { paymentIntent: stripeRefund.payment_intent });
+      return null;
+    }
+
+    const refund = await Refund.create({
+      order_id: refundedOrder.id,
+      amount: stripeRefund.amount / 100,
+      currency: stripeRefund.currency || refundedOrder.currency || 'usd',
+      reason: REASONS.includes(stripeRefund.reason) ? stripeRefund.reason : null,
+      note: 'Refunded in the Stripe dashboard',
+      source: 'stripe',
+      stripe_payment_intent_id: stripeRefund.payment_intent && stripeRefund.payment_intent !== refundedOrder.stripePaymentIntentId
+        ? stripeRefund.payment_intent
+        : null,
+      ...this._fromStripe(stripeRefund)
+    });
+
+    this.logger.info(`Recorded Stripe refund ${stripeRefund.id} of order ${refundedOrder.id}`, {
+      amount: Number(refund.amount)
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.ORDER_REFUNDED,
+      entityType: AuditService.ENTITIES.ORDER,
+      entityId: refundedOrder.id,
+      newValues: { refundId: refund.id, amount: Number(refund.amount), status: refund.status },
+      metadata: { source: 'stripe', stripeRefundId: stripeRefund.id },
+      severity: AuditService.SEVERITY.MEDIUM
+    });
+
+    if (!order) await this._syncOrderStatus(refundedOrder);
+
+    await this._recordTimeline(refundedOrder, refund, { source: 'stripe' });
+
+    eventService.emit(REFUND_EVENTS.SYNCED, {
+      orderId: refundedOrder.id,
+      refundId: refund.id,
+      amount: Number(refund.amount),
+      source: 'stripe'
+    });
+
+    return refund;
+  }
+
+  /**
+   * Order paid by a payment intent, the balance of a pre-order included
+   * @private
+   */
+  async _findOrderByPayment(paymentIntentId) {
+    const order = await Order.findOne({ where: { stripePaymentIntentId: paymentIntentId } });
+    if (order || !paymentIntentId) return order;
+
+    const preorder = await Preorder.findOne({ where: { balance_payment_intent_id: paymentIntentId } });
+    return preorder ? Order.findByPk(preorder.order_id) : null;
+  }
+
+  /**
+   * Card payments of an order, in the order refunds take them back: the
+   * balance of a pre-order before its deposit
+   * @private
+   */
+  _payments(order) {
+    if (!order.stripePaymentIntentId) return [];
+
+    const paid = this._round(order.totalAmount);
+    const balance = order.metadata?.preorder;
+
+    if (!balance?.balancePaymentIntentId) {
+      return [{ paymentIntentId: order.stripePaymentIntentId, amount: paid }];
+    }
+
+    const balanceAmount = Math.min(this._round(balance.balanceAmount), paid);
+
+    return [
+      { paymentIntentId: balance.balancePaymentIntentId, amount: balanceAmount },
+      { paymentIntentId: order.stripePaymentIntentId, amount: this._round(paid - balanceAmount) }
+    ];
+  }
+
+  /**
+   * Split a card refund over the payments with something left to refund
+   * @private
+   */
+  _allocate(payments, amount) {
+    const parts = [];
+    let remaining = amount;
+
+    for (const payment of payments) {
+      const part = Math.min(remaining, payment.refundable);
+      if (part > 0) {
+        parts.push({ paymentIntentId: payment.paymentIntentId, amount: part });
+        remaining = this._round(remaining - part);
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Idempotency keys of the refunds of one request; a refund spans two
+   * payments at most, and a retry can add the one that failed
+   * @private
+   */
+  _partKeys(idempotencyKey) {
+    return [idempotencyKey, `${idempotencyKey}:2`];
+  }
+
+  /**
+   * Add a refund to the order's timeline, once per refund
+   * @private
+   */
+  async _recordTimeline(order, refund, { source, actorId = null }) {
+    return orderEventService.record(order, orderEventService.EVENT_TYPES.REFUNDED, {
+      source: TIMELINE_SOURCES[source] || 'system',
+      note: refund.note,
+      data: { refundId: refund.id, amount: Number(refund.amount), currency: refund.currency },
+      actorId,
+      dedupeKey: `refund:${refund.id}`,
+      occurredAt: refund.refunded_at || new Date()
+    });
+  }
+
+  /**
+   * Fields of a Refund that mirror the Stripe refund
+   * @private
+   */
+  _fromStripe(stripeRefund) {
+    return {
+      stripe_refund_id: stripeRefund.id,
+      status: stripeRefund.status,
+      failure_reason: stripeRefund.failure_reason || null,
+      refunded_at: stripeRefund.status === 'succeeded'
+        ? new Date((stripeRefund.created || Date.now() / 1000) * 1000)
+        : null
+    };
+  }
+
+  /**
+   * Mark a paid order refunded once nothing is left to refund, and back to
+   * paid if a refund failed afterwards. Cancelled orders keep their status.
+   * @private
+   */
+  async _syncOrderStatus(order) {
+    if (!['paid', 'refunded'].includes(order.status)) return;
+
+    const { refundable } = await this.getRefundableBalance(order);
+    const status = refundable > 0 ? 'paid' : 'refunded';
+
+    if (order.status !== status) {
+      await order.update({ status });
+      this.logger.info(`Order ${order.id} is now ${status}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+}
+
+module.exports = new RefundService();
+module.exports.REASONS = REASONS;
+module.exports.SOURCES = SOURCES;
+module.exports.METHODS = METHODS;
+module.exports.REFUND_EVENTS = REFUND_EVENTS;
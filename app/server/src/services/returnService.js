@@ -0,0 +1,664 @@
+/**
+ * Return Service
+ *
+ * Returns and damaged-item claims (RMAs). A customer requests a return for
+ * some lines of a shipped order, with a reason code and optional photos; an
+ * admin approves it with a resolution or rejects it, then settles it with a
+ * (partial) refund or a replacement Printify order, and finally closes it:
+ *
+ *   requested → approved → refunded | reprinted → closed
+ *   requested → rejected → closed
+ *
+ * Every step is written to the audit log, emailed to the customer and
+ * emitted on the event bus. Transitions are conditional updates, so two
+ * admins acting on the same return cannot both settle it.
+ *
+ * @module services/returnService
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Order,
+  OrderItem,
+  Return,
+  ReturnItem,
+  ReturnAttachment
+} = require('../models');
+const orderService = require('./orderService');
+const refundService = require('./refundService');
+const orderSubmissionService = require('./orderSubmissionService');
+const printifyService = require('./printifyService');
+const eventService = require('./EventService');
+const AuditService = require('./auditService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const { decodePhoto } = require('../utils/photoUpload');
+const logger = require('../utils/logger');
+
+const REASON_CODES = [
+  'damaged',
+  'defective',
+  'misprint',
+  'wrong_item',
+  'wrong_size',
+  'not_as_described',
+  'other'
+];
+
+const STATUSES = ['requested', 'approved', 'rejected', 'reprinted', 'refunded', 'closed'];
+
+const RESOLUTIONS = ['refund', 'reprint'];
+
+// Allowed status transitions
+const TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['refunded', 'reprinted'],
+  rejected: ['closed'],
+  refunded: ['closed'],
+  reprinted: ['closed'],
+  closed: []
+};
+
+// Returns that still count against the quantity a customer can return
+const OPEN_STATUSES = ['requested', 'approved', 'refunded', 'reprinted', 'closed'];
+
+// Only fulfilled orders can have returns
+const RETURNABLE_FULFILLMENT_STATUSES = ['shipped', 'delivered'];
+
+const DEFAULT_CONFIG = {
+  windowDays: 30,
+  maxPhotos: 4,
+  maxPhotoBytes: 4 * 1024 * 1024
+};
+
+/**
+ * Return events emitted on the shared event bus
+ */
+const RETURN_EVENTS = {
+  REQUESTED: 'return.requested',
+  STATUS_CHANGED: 'return.status_changed'
+};
+
+class ReturnService {
+  constructor() {
+    this.logger = logger.child({ component: 'ReturnService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.returns || {})
+    };
+  }
+
+  /**
+   * Open a return for lines of a fulfilled order
+   *
+   * @param {Object} order - Order instance the customer owns
+   * @param {Object} request
+   * @param {Array} request.items - [{ orderItemId, quantity }]
+   * @param {string} request.reasonCode - One of REASON_CODES
+   * @param {string} [request.description]
+   * @param {Array} [request.photos] - [{ filename, contentType, data }] with
+   *   base64 (or data URL) encoded images
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Customer opening the return
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Object>} The return with items and attachment metadata
+   */
+  async requestReturn(order, { items, reasonCode, description = null, photos = [] }, { userId = null, req = null } = {}) {
+    this._assertReturnable(order);
+
+    const lines = await this._resolveLines(order, items);
+    const attachments = photos.map(photo => decodePhoto(photo, { maxBytes: this.config.maxPhotoBytes }));
+
+    if (attachments.length > this.config.maxPhotos) {
+      throw createError(`You can attach up to ${this.config.maxPhotos} photos`, 400);
+    }
+
+    const returnRequest = await sequelize.transaction(async (transaction) => {
+      const created = await Return.create({
+        rma_number: this._rmaNumber(),
+        order_id: order.id,
+        customer_id: order.customerId || userId,
+        customer_email: order.customerEmail,
+        reason_code: reasonCode,
+        description,
+        status: 'requested'
+      }, { transaction });
+
+      await ReturnItem.bulkCreate(lines.map(line => ({
+        return_id: created.id,
+        order_item_id: line.orderItem.id,
+        quantity: line.quantity
+      })), { transaction });
+
+      if (attachments.length) {
+        await ReturnAttachment.bulkCreate(attachments.map(attachment => ({
+          ...attachment,
+          return_id: created.id
+        })), { transaction });
+      }
+
+      return created;
+    });
+
+    this.logger.info(`Return ${returnRequest.rma_number} requested for order ${order.id}`, {
+      returnId: returnRequest.id,
+      reasonCode,
+      lines: lines.length,
+      photos: attachments.length
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.RETURN_REQUESTED,
+      entityType: AuditService.ENTITIES.RETURN,
+      entityId: returnRequest.id,
+      newValues: { status: 'requested', reasonCode },
+      userId,
+      metadata: {
+        orderId: order.id,
+        rmaNumber: returnRequest.rma_number,
+        items: lines.map(line => ({ orderItemId: line.orderItem.id, quantity: line.quantity }))
+      },
+      req
+    });
+
+    await this._notify(returnRequest, order);
+
+    eventService.emit(RETURN_EVENTS.REQUESTED, {
+      returnId: returnRequest.id,
+      orderId: order.id,
+      reasonCode
+    });
+
+    return this.getReturn(returnRequest.id);
+  }
+
+  /**
+   * Returns opened by a customer, newest first
+   *
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @returns {Promise<Array>}
+   */
+  async listCustomerReturns(user) {
+    return Return.findAll({
+      where: this._customerWhere(user),
+      include: this._includes(),
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a return the customer opened
+   * Returns of other customers are reported as not found.
+   *
+   * @param {string} returnId
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @returns {Promise<Object>}
+   */
+  async getCustomerReturn(returnId, user) {
+    const returnRequest = await Return.findOne({
+      where: { id: returnId, ...this._customerWhere(user) },
+      include: this._includes()
+    });
+
+    if (!returnRequest) {
+      throw createNotFoundError('Return', returnId);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * List returns for the admin dashboard
+   *
+   * @param {Object} [options]
+   * @param {string} [options.status]
+   * @param {string} [options.orderId]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object>} { returns, total, page, limit }
+   */
+  async listReturns({ status, orderId, page = 1, limit = 20 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`Invalid status. Use one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const where = {};
+    if (status) where.status = status;
+    if (orderId) where.order_id = orderId;
+
+    const { rows, count } = await Return.findAndCountAll({
+      where,
+      include: this._includes(),
+      order: [['created_at', 'DESC']],
+      offset: (page - 1) * limit,
+      limit,
+      distinct: true
+    });
+
+    return { returns: rows, total: count, page, limit };
+  }
+
+  /**
+   * Get a return with its items, photos (without image data) and order
+   *
+   * @param {string} returnId
+   * @returns {Promise<Object>}
+   */
+  async getReturn(returnId) {
+    const returnRequest = await Return.findByPk(returnId, { include: this._includes() });
+
+    if (!returnRequest) {
+      throw createNotFoundError('Return', returnId);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Get a photo attached to a return, with its image data
+   *
+   * @param {string} returnId
+   * @param {string} attachmentId
+   * @returns {Promise<Object>} ReturnAttachment
+   */
+  async getAttachment(returnId, attachmentId) {
+    const attachment = await ReturnAttachment.scope('withData').findOne({
+      where: { id: attachmentId, return_id: returnId }
+    });
+
+    if (!attachment) {
+      throw createNotFoundError('Attachment', attachmentId);
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Approve a requested return and choose how it is settled
+   *
+   * @param {string} returnId
+   * @param {Object} decision
+   * @param {string} decision.resolution - 'refund' or 'reprint'
+   * @param {string} [decision.notes] - Shown to the customer
+   * @param {Object} [options] - { userId, req }
+   * @returns {Promise<Object>} The updated return
+   */
+  async approveReturn(returnId, { resolution, notes = null }, options = {}) {
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw createError(`Invalid resolution. Use one of: ${RESOLUTIONS.join(', ')}`, 400);
+    }
+
+    return this._transition(returnId, 'approved', {
+      resolution,
+      admin_notes: notes,
+      reviewed_by: options.userId || null,
+      reviewed_at: new Date()
+    }, options);
+  }
+
+  /**
+   * Reject a requested return
+   *
+   * @param {string} returnId
+   * @param {Object} decision
+   * @param {string} [decision.notes] - Why, shown to the customer
+   * @param {Object} [options] - { userId, req }
+   * @returns {Promise<Object>} The updated return
+   */
+  async rejectReturn(returnId, { notes = null } = {}, options = {}) {
+    return this._transition(returnId, 'rejected', {
+      admin_notes: notes,
+      reviewed_by: options.userId || null,
+      reviewed_at: new Date()
+    }, options);
+  }
+
+  /**
+   * Refund an approved return
+   * Defaults to the price of the returned lines; admins may refund a
+   * different (partial) amount, up to what is left to refund on the order.
+   * Without a method, the card gets back what it can and the rest, the
+   * share paid with gift cards, is issued as store credit.
+   *
+   * @param {string} returnId
+   * @param {Object} [params]
+   * @param {number} [params.amount] - Amount in dollars
+   * @param {string} [params.method] - 'original_payment' or 'store_credit' to
+   *   refund the whole amount one way
+   * @param {Object} [options] - { userId, req }
+   * @returns {Promise<Object>} The updated return
+   */
+  async refundReturn(returnId, { amount, method } = {}, options = {}) {
+    const returnRequest = await this.getReturn(returnId);
+    this._assertTransition(returnRequest, 'refunded');
+
+    const order = returnRequest.order;
+    const total = amount ?? this.getReturnValue(returnRequest);
+    const refund = (refundAmount, refundMethod) => refundService.refundOrder(order, {
+      amount: refundAmount,
+      method: refundMethod,
+      source: 'return',
+      returnId: returnRequest.id,
+      note: `Return ${returnRequest.rma_number}`
+    }, {
+      userId: options.userId,
+      idempotencyKey: refundMethod === 'store_credit'
+        ? `return-refund-credit-${returnRequest.id}`
+        : `return-refund-${returnRequest.id}`,
+      req: options.req
+    });
+
+    let refunds;
+
+    if (method) {
+      refunds = await refund(total, method);
+    } else {
+      // Store credit goes first: issuing it leaves what the card can take
+      // unchanged, so a retry after a failed card refund splits the same way
+      const { paymentRefundable } = await refundService.getRefundableBalance(order);
+      const toStoreCredit = Math.max(Math.round((total - (order.stripePaymentIntentId ? paymentRefundable : 0)) * 100) / 100, 0);
+      refunds = toStoreCredit > 0 ? await refund(toStoreCredit, 'store_credit') : [];
+
+      const credited = refunds.reduce((sum, entry) => sum + Number(entry.amount), 0);
+      const toPayment = Math.round((total - credited) * 100) / 100;
+      if (toPayment > 0) refunds.push(...await refund(toPayment, 'original_payment'));
+    }
+
+    const cardRefund = refunds.find(entry => entry.method !== 'store_credit');
+
+    return this._transition(returnRequest, 'refunded', {
+      refund_amount: refunds.reduce((sum, entry) => Math.round((sum + Number(entry.amount)) * 100) / 100, 0),
+      stripe_refund_id: cardRefund ? cardRefund.stripe_refund_id : null,
+      resolved_at: new Date()
+    }, options);
+  }
+
+  /**
+   * Send an approved return's lines to Printify again as a replacement order
+   *
+   * @param {string} returnId
+   * @param {Object} [options] - { userId, req }
+   * @returns {Promise<Object>} The updated return
+   */
+  async reprintReturn(returnId, options = {}) {
+    const returnRequest = await this.getReturn(returnId);
+    this._assertTransition(returnRequest, 'reprinted');
+
+    const order = returnRequest.order;
+    const submission = await orderSubmissionService.getSubmissionForOrder(order.id);
+    const shopId = submission?.shop_id || process.env.DEFAULT_PRINTIFY_SHOP_ID;
+
+    const replacement = await printifyService.createOrder(shopId, {
+      // Printify rejects a second order with the same external ID, which
+      // keeps a retried reprint from printing twice
+      external_id: `${order.stripeSessionId}-${returnRequest.rma_number}`,
+      label: returnRequest.rma_number,
+      shipping_method: order.printifyShippingMethod || 1,
+      send_shipping_notification: true,
+      address_to: submission?.payload?.address_to
+        || orderService.toPrintifyAddress(order.shippingAddress, { email: order.customerEmail }),
+      line_items: returnRequest.items.map(item => ({
+        product_id: item.orderItem.product_id,
+        variant_id: Number(item.orderItem.variant_id),
+        quantity: item.quantity
+      }))
+    });
+
+    return this._transition(returnRequest, 'reprinted', {
+      replacement_printify_order_id: String(replacement.id),
+      resolved_at: new Date()
+    }, options);
+  }
+
+  /**
+   * Close a settled or rejected return
+   *
+   * @param {string} returnId
+   * @param {Object} [params]
+   * @param {string} [params.notes]
+   * @param {Object} [options] - { userId, req }
+   * @returns {Promise<Object>} The updated return
+   */
+  async closeReturn(returnId, { notes } = {}, options = {}) {
+    return this._transition(returnId, 'closed', {
+      ...(notes && { admin_notes: notes }),
+      closed_at: new Date()
+    }, options);
+  }
+
+  /**
+   * Price of the returned lines in dollars
+   *
+   * @param {Object} returnRequest - Return with items.orderItem
+   * @returns {number}
+   */
+  getReturnValue(returnRequest) {
+    const cents = returnRequest.items.reduce(
+      (total, item) => total + Math.round(Number(item.orderItem.price) * 100) * item.quantity,
+      0
+    );
+
+    return cents / 100;
+  }
+
+  /**
+   * Move a return to a new status, then audit, email and emit it
+   * @private
+   */
+  async _transition(returnOrId, status, changes, { userId = null, req = null } = {}) {
+    const returnRequest = typeof returnOrId === 'string'
+      ? await this.getReturn(returnOrId)
+      : returnOrId;
+    const previous = returnRequest.status;
+
+    this._assertTransition(returnRequest, status);
+
+    const values = { ...changes, status };
+    const [count] = await Return.update(values, {
+      where: { id: returnRequest.id, status: previous }
+    });
+
+    if (count !== 1) {
+      throw createError('Return was changed by someone else, please reload it', 409);
+    }
+
+    Object.assign(returnRequest, values);
+
+    this.logger.info(`Return ${returnRequest.rma_number} ${previous} → ${status}`, {
+      returnId: returnRequest.id,
+      userId
+    });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.RETURN_UPDATED,
+      entityType: AuditService.ENTITIES.RETURN,
+      entityId: returnRequest.id,
+      oldValues: { status: previous },
+      newValues: values,
+      userId,
+      metadata: {
+        orderId: returnRequest.order_id,
+        rmaNumber: returnRequest.rma_number
+      },
+      severity: status === 'refunded' ? AuditService.SEVERITY.MEDIUM : AuditService.SEVERITY.LOW,
+      req
+    });
+
+    await this._notify(returnRequest, returnRequest.order || await Order.findByPk(returnRequest.order_id));
+
+    eventService.emit(RETURN_EVENTS.STATUS_CHANGED, {
+      returnId: returnRequest.id,
+      orderId: returnRequest.order_id,
+      from: previous,
+      to: status
+    });
+
+    return returnRequest;
+  }
+
+  /**
+   * @private
+   */
+  _assertTransition(returnRequest, status) {
+    if (!TRANSITIONS[returnRequest.status].includes(status)) {
+      throw createError(`Return is ${returnRequest.status} and cannot be ${status}`, 409, {
+        status: returnRequest.status,
+        allowed: TRANSITIONS[returnRequest.status]
+      });
+    }
+
+    if (['refunded', 'reprinted'].includes(status)) {
+      const expected = status === 'refunded' ? 'refund' : 'reprint';
+
+      if (returnRequest.resolution !== expected) {
+        throw createError(`Return was approved for a ${returnRequest.resolution}, not a ${expected}`, 409);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertReturnable(order) {
+    if (order.status !== 'paid' || !RETURNABLE_FULFILLMENT_STATUSES.includes(order.fulfillmentStatus)) {
+      throw createError('Only orders that have shipped can be returned', 409, {
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus
+      });
+    }
+
+    const windowEnds = new Date(order.createdAt).getTime() + this.config.windowDays * 24 * 60 * 60 * 1000;
+
+    if (Date.now() > windowEnds) {
+      throw createError(`Returns must be requested within ${this.config.windowDays} days of the order`, 409);
+    }
+  }
+
+  /**
+   * Match requested lines to the order and check quantities against what
+   * earlier returns already cover
+   * @private
+   * @returns {Promise<Array>} [{ orderItem, quantity }]
+   */
+  async _resolveLines(order, items) {
+    const orderItems = await OrderItem.findAll({ where: { order_id: order.id } });
+    const byId = new Map(orderItems.map(item => [String(item.id), item]));
+
+    const alreadyReturned = await ReturnItem.findAll({
+      attributes: ['order_item_id', [sequelize.fn('SUM', sequelize.col('quantity')), 'quantity']],
+      include: [{
+        model: Return,
+        as: 'return',
+        attributes: [],
+        where: { order_id: order.id, status: { [Op.in]: OPEN_STATUSES } }
+      }],
+      group: ['order_item_id'],
+      raw: true
+    });
+    const returned = new Map(alreadyReturned.map(row => [String(row.order_item_id), Number(row.quantity)]));
+
+    const requested = new Map();
+    for (const item of items) {
+      const id = String(item.orderItemId);
+      requested.set(id, (requested.get(id) || 0) + Number(item.quantity));
+    }
+
+    return [...requested.entries()].map(([id, quantity]) => {
+      const orderItem = byId.get(id);
+
+      if (!orderItem) {
+        throw createError(`Item ${id} is not part of this order`, 400);
+      }
+
+      const available = orderItem.quantity - (returned.get(id) || 0);
+
+      if (quantity > available) {
+        throw createError(`Only ${available} of item ${id} can still be returned`, 409, { orderItemId: id, available });
+      }
+
+      return { orderItem, quantity };
+    });
+  }
+
+  /**
+   * Email the customer about the return's current status
+   * A failed email never undoes the step it reports.
+   * @private
+   */
+  async _notify(returnRequest, order) {
+    try {
+      await EmailService.sendReturnUpdateEmail(returnRequest, order);
+    } catch (error) {
+      this.logger.error(`Failed to send return update email for ${returnRequest.rma_number}`, {
+        status: returnRequest.status,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _customerWhere(user) {
+    return {
+      [Op.or]: [
+        { customer_id: user.id },
+        ...(user.email ? [{ customer_id: null, customer_email: user.email }] : [])
+      ]
+    };
+  }
+
+  /**
+   * @private
+   */
+  _includes() {
+    return [
+      {
+        model: ReturnItem,
+        as: 'items',
+        include: [{ model: OrderItem, as: 'orderItem' }]
+      },
+      {
+        model: ReturnAttachment,
+        as: 'attachments'
+      },
+      {
+        model: Order,
+        as: 'order',
+        attributes: [
+          'id',
+          'stripeSessionId',
+          'stripePaymentIntentId',
+          'customerName',
+          'customerEmail',
+          'totalAmount',
+          'status',
+          'fulfillmentStatus',
+          'printifyOrderId',
+          'printifyShippingMethod',
+          'shippingAddress',
+          'createdAt'
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Customer-facing reference, e.g. RMA-250401-7F3A
+   * @private
+   */
+  _rmaNumber() {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    return `RMA-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+}
+
+module.exports = new ReturnService();
+module.exports.REASON_CODES = REASON_CODES;
+module.exports.STATUSES = STATUSES;
+module.exports.RESOLUTIONS = RESOLUTIONS;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.RETURN_EVENTS = RETURN_EVENTS;
@@ -0,0 +1,571 @@
+/**
+ * Review Service
+ *
+ * Product ratings and reviews. Only customers with a paid order for a
+ * product can review it, once, and the review records that order as the
+ * verified purchase. New and edited reviews wait in the moderation queue
+ * until an admin approves or rejects them (unless
+ * `features.reviews.requireModeration` is off). Customers can report an
+ * approved review; once `reportThreshold` customers have, it is taken down
+ * and goes back to the queue.
+ *
+ * Only approved reviews are public, and only they count towards the rating
+ * of a product.
+ *
+ * @module services/reviewService
+ */
+
+const { Op, fn, col } = require('sequelize');
+const {
+  sequelize,
+  Order,
+  OrderItem,
+  Review,
+  ReviewPhoto,
+  ReviewReport,
+  User
+} = require('../models');
+const AuditService = require('./auditService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const { decodePhoto } = require('../utils/photoUpload');
+const logger = require('../utils/logger');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+const SORTS = {
+  newest: [['created_at', 'DESC']],
+  oldest: [['created_at', 'ASC']],
+  highest: [['rating', 'DESC'], ['created_at', 'DESC']],
+  lowest: [['rating', 'ASC'], ['created_at', 'DESC']]
+};
+
+// What the storefront sees of a review; never the customer or their order
+const PUBLIC_ATTRIBUTES = [
+  'id',
+  'product_id',
+  'rating',
+  'title',
+  'body',
+  'author_name',
+  'verified_purchase',
+  'created_at',
+  'updated_at'
+];
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  requireModeration: true,
+  // Open reports that take an approved review down
+  reportThreshold: 3,
+  maxPhotos: 4,
+  maxPhotoBytes: 4 * 1024 * 1024
+};
+
+class ReviewService {
+  constructor() {
+    this.logger = logger.child({ component: 'ReviewService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.reviews || {})
+    };
+  }
+
+  /**
+   * Approved reviews of a product, with the product's rating
+   *
+   * @param {string} productId
+   * @param {Object} [options]
+   * @param {string} [options.sort=newest] - newest, oldest, highest or lowest
+   * @param {number} [options.rating] - Only reviews with this many stars
+   * @param {boolean} [options.withPhotos] - Only reviews with photos
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Object>} { reviews, total, page, limit, summary }
+   */
+  async getProductReviews(productId, { sort = 'newest', rating = null, withPhotos = false, page = 1, limit = 10 } = {}) {
+    const where = { product_id: String(productId), status: 'approved' };
+    if (rating) where.rating = Number(rating);
+
+    const [{ rows, count }, summary] = await Promise.all([
+      Review.findAndCountAll({
+        where,
+        attributes: PUBLIC_ATTRIBUTES,
+        include: [{
+          model: ReviewPhoto,
+          as: 'photos',
+          attributes: ['id', 'filename', 'content_type', 'size'],
+          required: withPhotos
+        }],
+        order: SORTS[sort] || SORTS.newest,
+        offset: (page - 1) * limit,
+        limit,
+        distinct: true
+      }),
+      this.getRatingSummary(productId)
+    ]);
+
+    return { reviews: rows, total: count, page, limit, summary };
+  }
+
+  /**
+   * Average rating, number of reviews and how many gave each rating
+   *
+   * @param {string} productId
+   * @returns {Promise<Object>} { average, count, distribution } - average is
+   *   null without reviews; distribution maps 1-5 stars to counts
+   */
+  async getRatingSummary(productId) {
+    const rows = await Review.findAll({
+      where: { product_id: String(productId), status: 'approved' },
+      attributes: ['rating', [fn('COUNT', col('id')), 'count']],
+      group: ['rating'],
+      raw: true
+    });
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const row of rows) {
+      distribution[row.rating] = Number(row.count);
+    }
+
+    const count = Object.values(distribution).reduce((sum, n) => sum + n, 0);
+    const total = Object.entries(distribution).reduce((sum, [stars, n]) => sum + Number(stars) * n, 0);
+
+    return {
+      average: count ? Math.round((total / count) * 10) / 10 : null,
+      count,
+      distribution
+    };
+  }
+
+  /**
+   * Whether a customer can review a product, and their review if they did
+   *
+   * @param {Object} user - Signed-in customer ({ id, email })
+   * @param {string} productId
+   * @returns {Promise<Object>} { canReview, reason, review } - reason is
+   *   `already_reviewed` or `not_purchased` when they cannot
+   */
+  async getEligibility(user, productId) {
+    const review = await Review.findOne({
+      where: { user_id: user.id, product_id: String(productId) },
+      include: [{ model: ReviewPhoto, as: 'photos' }]
+    });
+
+    if (review) {
+      return { canReview: false, reason: 'already_reviewed', review };
+    }
+
+    const order = await this.findVerifiedOrder(user, productId);
+
+    return {
+      canReview: !!order,
+      reason: order ? null : 'not_purchased',
+      review: null
+    };
+  }
+
+  /**
+   * The customer's latest paid order with the product
+   * Guest orders only count once claimed into the account, which needs a
+   * verified email (guestOrderService.claimOrders); matching them by email
+   * alone would let anyone register with someone else's address.
+   *
+   * @param {Object} user - { id, email }
+   * @param {string} productId
+   * @returns {Promise<Object|null>} Order
+   */
+  async findVerifiedOrder(user, productId) {
+    return Order.findOne({
+      where: {
+        status: 'paid',
+        customerId: user.id
+      },
+      attributes: ['id'],
+      include: [{
+        model: OrderItem,
+        as: 'items',
+        where: { product_id: String(productId) },
+        attributes: ['id']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Write a review of a product the customer bought
+   *
+   * @param {Object} user - Signed-in customer ({ id, email, firstName, lastName })
+   * @param {string} productId
+   * @param {Object} review
+   * @param {number} review.rating - 1 to 5
+   * @param {string} [review.title]
+   * @param {string} [review.body]
+   * @param {Array} [review.photos] - [{ filename, contentType, data }] with
+   *   base64 (or data URL) encoded images
+   * @returns {Promise<Object>} The review with photo metadata
+   * @throws {APIError} 403 without a paid order for the product, 409 when
+   *   the customer already reviewed it
+   */
+  async submitReview(user, productId, { rating, title = null, body = null, photos = [] }) {
+    this._assertEnabled();
+
+    const existing = await Review.findOne({ where: { user_id: user.id, product_id: String(productId) } });
+
+    if (existing) {
+      throw createError('Product already reviewed', 409, { reviewId: existing.id },
+        'You already reviewed this product. You can edit your review instead.');
+    }
+
+    const order = await this.findVerifiedOrder(user, productId);
+
+    if (!order) {
+      throw createError('No paid order for product', 403, { productId },
+        'Only customers who bought this product can review it.');
+    }
+
+    const decoded = photos.map(photo => decodePhoto(photo, { maxBytes: this.config.maxPhotoBytes }));
+
+    if (decoded.length > this.config.maxPhotos) {
+      throw createError(`You can add up to ${this.config.maxPhotos} photos`, 400);
+    }
+
+    const review = await sequelize.transaction(async (transaction) => {
+      const created = await Review.create({
+        product_id: String(productId),
+        user_id: user.id,
+        order_id: order.id,
+        rating,
+        title: title || null,
+        body: body || null,
+        author_name: this._authorName(user),
+        verified_purchase: true,
+        status: this.config.requireModeration ? 'pending' : 'approved'
+      }, { transaction });
+
+      if (decoded.length) {
+        await ReviewPhoto.bulkCreate(decoded.map(photo => ({
+          ...photo,
+          review_id: created.id
+        })), { transaction });
+      }
+
+      return created;
+    });
+
+    this.logger.info('Review submitted', {
+      reviewId: review.id,
+      productId,
+      rating,
+      photos: decoded.length,
+      status: review.status
+    });
+
+    return this._findReview({ id: review.id });
+  }
+
+  /**
+   * Change the rating or text of the customer's own review
+   * An edited review is moderated again.
+   *
+   * @param {Object} user
+   * @param {string} reviewId
+   * @param {Object} changes - { rating?, title?, body? }
+   * @returns {Promise<Object>} The review
+   * @throws {APIError} 404 when the customer has no such review
+   */
+  async updateReview(user, reviewId, changes) {
+    this._assertEnabled();
+
+    const review = await Review.findOne({ where: { id: reviewId, user_id: user.id } });
+
+    if (!review) {
+      throw createNotFoundError('Review', reviewId);
+    }
+
+    const updates = {};
+    if (changes.rating !== undefined) updates.rating = changes.rating;
+    if (changes.title !== undefined) updates.title = changes.title || null;
+    if (changes.body !== undefined) updates.body = changes.body || null;
+
+    if (this.config.requireModeration) {
+      Object.assign(updates, { status: 'pending', moderated_by: null, moderated_at: null, moderation_note: null });
+    }
+
+    await review.update(updates);
+
+    return this._findReview({ id: review.id });
+  }
+
+  /**
+   * Delete the customer's own review
+   *
+   * @param {Object} user
+   * @param {string} reviewId
+   * @throws {APIError} 404 when the customer has no such review
+   */
+  async deleteReview(user, reviewId) {
+    const review = await Review.findOne({ where: { id: reviewId, user_id: user.id } });
+
+    if (!review) {
+      throw createNotFoundError('Review', reviewId);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await ReviewPhoto.destroy({ where: { review_id: review.id }, transaction });
+      await ReviewReport.destroy({ where: { review_id: review.id }, transaction });
+      await review.destroy({ transaction });
+    });
+
+    this.logger.info('Review deleted by its author', { reviewId, productId: review.product_id });
+  }
+
+  /**
+   * A photo of a review
+   *
+   * @param {string} reviewId
+   * @param {string} photoId
+   * @param {Object} [options]
+   * @param {boolean} [options.approvedOnly=true] - Admins also see photos of
+   *   reviews that are not public
+   * @returns {Promise<Object>} ReviewPhoto with its data
+   * @throws {APIError} 404
+   */
+  async getPhoto(reviewId, photoId, { approvedOnly = true } = {}) {
+    const photo = await ReviewPhoto.scope('withData').findOne({
+      where: { id: photoId, review_id: reviewId },
+      include: [{
+        model: Review,
+        as: 'review',
+        attributes: ['id', 'status'],
+        where: approvedOnly ? { status: 'approved' } : undefined
+      }]
+    });
+
+    if (!photo) {
+      throw createNotFoundError('Photo', photoId);
+    }
+
+    return photo;
+  }
+
+  /**
+   * Report an approved review as abusive
+   * Each customer can report a review once. A review reported by
+   * `reportThreshold` customers goes back to the moderation queue.
+   *
+   * @param {Object} user
+   * @param {string} reviewId
+   * @param {Object} report
+   * @param {string} report.reason - One of REPORT_REASONS
+   * @param {string} [report.details]
+   * @returns {Promise<Object>} { reported: true }
+   * @throws {APIError} 404 for a review that is not public, 400 for the
+   *   customer's own review, 409 when they already reported it
+   */
+  async reportReview(user, reviewId, { reason, details = null }) {
+    const result = await sequelize.transaction(async (transaction) => {
+      const review = await Review.findOne({
+        where: { id: reviewId, status: 'approved' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!review) {
+        throw createNotFoundError('Review', reviewId);
+      }
+
+      if (review.user_id === user.id) {
+        throw createError('Cannot report own review', 400, null, 'You cannot report your own review.');
+      }
+
+      const existing = await ReviewReport.findOne({
+        where: { review_id: review.id, user_id: user.id },
+        transaction
+      });
+
+      if (existing) {
+        throw createError('Review already reported', 409, null, 'You already reported this review.');
+      }
+
+      await ReviewReport.create({
+        review_id: review.id,
+        user_id: user.id,
+        reason,
+        details: details || null
+      }, { transaction });
+
+      const reportCount = review.report_count + 1;
+      const takenDown = reportCount >= this.config.reportThreshold;
+
+      await review.update({
+        report_count: reportCount,
+        ...(takenDown && {
+          status: 'pending',
+          moderation_note: `Taken down after ${reportCount} reports`
+        })
+      }, { transaction });
+
+      return { reportCount, takenDown };
+    });
+
+    this.logger.info('Review reported', {
+      reviewId,
+      reason,
+      reportCount: result.reportCount,
+      takenDown: result.takenDown
+    });
+
+    return { reported: true };
+  }
+
+  /**
+   * Reviews for the moderation queue
+   *
+   * @param {Object} [options]
+   * @param {string} [options.status=pending]
+   * @param {boolean} [options.reported] - Only reviews with open reports
+   * @param {string} [options.productId]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object>} { reviews, total, page, limit }
+   */
+  async listReviews({ status = 'pending', reported = false, productId, page = 1, limit = 20 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`Invalid status. Use one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const where = {};
+    if (status) where.status = status;
+    if (reported) where.report_count = { [Op.gt]: 0 };
+    if (productId) where.product_id = String(productId);
+
+    const { rows, count } = await Review.findAndCountAll({
+      where,
+      include: this._adminIncludes(),
+      // Oldest first, so the queue is worked in order
+      order: [['report_count', 'DESC'], ['created_at', 'ASC']],
+      offset: (page - 1) * limit,
+      limit,
+      distinct: true
+    });
+
+    return { reviews: rows, total: count, page, limit };
+  }
+
+  /**
+   * Approve or reject a review
+   * Either way, its open reports are resolved.
+   *
+   * @param {string} reviewId
+   * @param {Object} decision
+   * @param {string} decision.action - approve or reject
+   * @param {string} [decision.note] - Why, for other admins
+   * @param {Object} [options]
+   * @param {Object} [options.user] - Admin moderating the review
+   * @param {Object} [options.req] - Express request, for the audit record
+   * @returns {Promise<Object>} The review
+   * @throws {APIError} 404
+   */
+  async moderateReview(reviewId, { action, note = null }, { user = null, req = null } = {}) {
+    const review = await Review.findByPk(reviewId);
+
+    if (!review) {
+      throw createNotFoundError('Review', reviewId);
+    }
+
+    const oldValues = { status: review.status, reportCount: review.report_count };
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    const now = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      await review.update({
+        status,
+        report_count: 0,
+        moderated_by: user?.id || null,
+        moderated_at: now,
+        moderation_note: note || null
+      }, { transaction });
+
+      await ReviewReport.update(
+        { status: 'resolved', resolved_at: now },
+        { where: { review_id: review.id, status: 'open' }, transaction }
+      );
+    });
+
+    this.logger.info(`Review ${status}`, { reviewId, productId: review.product_id, moderatedBy: user?.id });
+
+    await AuditService.create({
+      action: AuditService.ACTIONS.UPDATE,
+      entityType: AuditService.ENTITIES.REVIEW,
+      entityId: review.id,
+      oldValues,
+      newValues: { status, note: note || null },
+      userId: user?.id,
+      metadata: { productId: review.product_id },
+      req
+    });
+
+    return this._findReview({ id: review.id }, { admin: true });
+  }
+
+  /**
+   * @private
+   */
+  _assertEnabled() {
+    if (!this.config.enabled) {
+      throw createError('Reviews are disabled', 403, null, 'Reviews are not available right now.');
+    }
+  }
+
+  /**
+   * Name shown with a review: first name and last initial
+   * @private
+   */
+  _authorName(user) {
+    if (!user.firstName) return 'Customer';
+
+    const initial = user.lastName ? ` ${user.lastName.charAt(0).toUpperCase()}.` : '';
+    return `${user.firstName}${initial}`.slice(0, 100);
+  }
+
+  /**
+   * @private
+   */
+  async _findReview(where, { admin = false } = {}) {
+    return Review.findOne({
+      where,
+      include: admin ? this._adminIncludes() : [{ model: ReviewPhoto, as: 'photos' }]
+    });
+  }
+
+  /**
+   * @private
+   */
+  _adminIncludes() {
+    return [
+      {
+        model: ReviewPhoto,
+        as: 'photos'
+      },
+      {
+        model: ReviewReport,
+        as: 'reports',
+        required: false,
+        where: { status: 'open' }
+      },
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'email', 'username']
+      }
+    ];
+  }
+}
+
+module.exports = new ReviewService();
+module.exports.STATUSES = STATUSES;
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.SORTS = SORTS;
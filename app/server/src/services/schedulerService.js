@@ -0,0 +1,163 @@
+/**
+ * Scheduler Service
+ *
+ * Runs recurring background jobs (catalog sync, queue workers, ...) inside the
+ * web process. Each job runs on a fixed interval and never overlaps with
+ * itself: if a run is still in progress when the timer fires, that tick is
+ * skipped.
+ *
+ * @module services/schedulerService
+ */
+
+const logger = require('../utils/logger');
+
+class SchedulerService {
+  constructor() {
+    this.logger = logger.child({ component: 'SchedulerService' });
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a recurring job
+   *
+   * @param {string} name - Unique job name
+   * @param {Object} options - Job options
+   * @param {number} options.intervalMs - Time between runs in milliseconds
+   * @param {Function} options.handler - Async function to run
+   * @param {boolean} [options.runOnStart=false] - Run once as soon as the scheduler starts
+   * @returns {SchedulerService} this instance for chaining
+   */
+  register(name, { intervalMs, handler, runOnStart = false }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Scheduled job '${name}' is already registered`);
+    }
+
+    if (!intervalMs || intervalMs <= 0) {
+      throw new Error(`Scheduled job '${name}' needs a positive interval`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      runOnStart,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null
+    });
+
+    // Jobs registered after start() begin immediately
+    if (this.started) {
+      this._startJob(this.jobs.get(name));
+    }
+
+    this.logger.info(`Registered scheduled job: ${name}`, { intervalMs });
+    return this;
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.jobs.forEach(job => this._startJob(job));
+    this.logger.info(`Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all jobs. In-flight runs are allowed to finish.
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+    this.started = false;
+    this.logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Run a job immediately, outside its schedule
+   *
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} false if the job was already running
+   */
+  async runNow(name) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new Error(`Unknown scheduled job '${name}'`);
+    }
+
+    return this._runJob(job);
+  }
+
+  /**
+   * Get the state of every registered job
+   *
+   * @returns {Array<Object>} Job status list
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _startJob(job) {
+    job.timer = setInterval(() => this._runJob(job), job.intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (job.timer.unref) {
+      job.timer.unref();
+    }
+
+    if (job.runOnStart) {
+      setImmediate(() => this._runJob(job));
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _runJob(job) {
+    if (job.running) {
+      this.logger.debug(`Skipping scheduled job ${job.name}: previous run still in progress`);
+      return false;
+    }
+
+    job.running = true;
+    const startTime = Date.now();
+
+    try {
+      await job.handler();
+      job.lastError = null;
+      this.logger.debug(`Scheduled job ${job.name} finished`, { duration: Date.now() - startTime });
+    } catch (error) {
+      job.lastError = error.message;
+      this.logger.error(`Scheduled job ${job.name} failed`, {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+
+    return true;
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,517 @@
+/**
+ * Search Service
+ *
+ * In-memory inverted index over the published products in the local catalog.
+ * The index is built lazily from catalogService on the first search and kept
+ * current from the catalog sync events, so searches never hit Printify or
+ * scan the product tables.
+ *
+ * - Relevance: BM25 scoring across title, tags and description, with titles
+ *   weighted highest.
+ * - Typo tolerance: query terms also match indexed terms by prefix and by a
+ *   small edit distance, at a reduced score.
+ * - Facets: category, tag, price bucket and availability counts for the
+ *   current query. Each facet is counted with every filter applied except
+ *   its own, so a sidebar can show how many results picking another option
+ *   would give.
+ *
+ * @module services/searchService
+ */
+
+const catalogService = require('./catalogService');
+const eventService = require('./EventService');
+const { CATALOG_EVENTS } = require('./catalogSyncService');
+const categoryService = require('./categoryService');
+const { CATEGORY_EVENTS } = require('./categoryService');
+const { analyze, editDistance } = require('../utils/textAnalyzer');
+const logger = require('../utils/logger');
+
+/** Relative weight of a term match in each field */
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1
+};
+
+/** BM25 parameters */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/** Score multipliers for inexact term matches */
+const PREFIX_MATCH_WEIGHT = 0.8;
+const FUZZY_MATCH_WEIGHT = 0.6;
+
+/**
+ * Price buckets in dollars, upper bound exclusive
+ */
+const PRICE_BUCKETS = [
+  { key: 'under-25', label: 'Under $25', min: 0, max: 25 },
+  { key: '25-50', label: '$25 - $50', min: 25, max: 50 },
+  { key: '50-100', label: '$50 - $100', min: 50, max: 100 },
+  { key: '100-plus', label: '$100+', min: 100, max: null }
+];
+
+const AVAILABILITY = {
+  IN_STOCK: 'in_stock',
+  OUT_OF_STOCK: 'out_of_stock'
+};
+
+const SORT_OPTIONS = ['relevance', 'price-asc', 'price-desc', 'newest', 'oldest'];
+
+class SearchService {
+  constructor() {
+    this.logger = logger.child({ component: 'SearchService' });
+    this._reset();
+    this.building = null;
+    this._subscribed = false;
+  }
+
+  /**
+   * Search published products
+   *
+   * @param {Object} [params]
+   * @param {string} [params.query] - Free text query
+   * @param {string} [params.category] - Category slug (includes its subcategories)
+   * @param {string[]} [params.tags] - Only products with any of these tags
+   * @param {string} [params.priceBucket] - Key from PRICE_BUCKETS
+   * @param {number} [params.minPrice] - Minimum price in dollars
+   * @param {number} [params.maxPrice] - Maximum price in dollars
+   * @param {string} [params.availability] - 'in_stock' or 'out_of_stock'
+   * @param {string} [params.sort] - One of SORT_OPTIONS (relevance by default when there is a query)
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Page size
+   * @returns {Promise<Object>} { products, total, page, limit, facets }
+   */
+  async search(params = {}) {
+    await this.ensureIndex();
+
+    const {
+      query = '',
+      category,
+      tags = [],
+      priceBucket,
+      minPrice,
+      maxPrice,
+      availability,
+      page = 1,
+      limit = 20
+    } = params;
+    const sort = SORT_OPTIONS.includes(params.sort) ? params.sort : (query ? 'relevance' : 'newest');
+
+    // Score every document that matches the query
+    const scores = this._scoreQuery(query);
+    const candidates = scores
+      ? Array.from(scores.keys())
+      : Array.from(this.documents.keys());
+
+    const wantedTags = new Set(tags.map(tag => String(tag).toLowerCase()));
+    const bucket = PRICE_BUCKETS.find(b => b.key === priceBucket);
+
+    const filters = {
+      category: doc => !category || doc.categories.includes(category),
+      tags: doc => wantedTags.size === 0 || doc.tags.some(tag => wantedTags.has(tag)),
+      price: doc => this._inPriceRange(doc.price, bucket, minPrice, maxPrice),
+      availability: doc => !availability || doc.availability === availability
+    };
+
+    const facets = this._buildFacets(candidates, filters);
+
+    const matches = candidates
+      .map(id => this.documents.get(id))
+      .filter(doc => Object.values(filters).every(filter => filter(doc)));
+
+    this._sortDocuments(matches, sort, scores);
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const start = (pageNumber - 1) * pageSize;
+
+    return {
+      products: matches.slice(start, start + pageSize).map(doc => ({
+        ...doc.product,
+        score: scores ? Number(scores.get(doc.id).toFixed(4)) : null
+      })),
+      total: matches.length,
+      page: pageNumber,
+      limit: pageSize,
+      sort,
+      facets
+    };
+  }
+
+  /**
+   * Build the index if it hasn't been built yet
+   * Concurrent callers share the same build.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    this._subscribe();
+
+    if (this.ready) return;
+
+    if (!this.building) {
+      this.building = this.rebuild().finally(() => {
+        this.building = null;
+      });
+    }
+
+    await this.building;
+  }
+
+  /**
+   * Rebuild the whole index from the local catalog
+   *
+   * @param {string} [shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @returns {Promise<number>} Number of indexed products
+   */
+  async rebuild(shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID) {
+    const startTime = Date.now();
+    const [products, resolveCategories, categoryLabels] = await Promise.all([
+      catalogService.getProducts(shopId),
+      categoryService.getResolver(),
+      categoryService.getCategoryLabels()
+    ]);
+
+    this._reset();
+    this.resolveCategories = resolveCategories;
+    this.categoryLabels = categoryLabels;
+    products.forEach(product => this.indexProduct(product));
+    this.ready = true;
+
+    this.logger.info(`Search index built with ${this.documents.size} products`, {
+      duration: Date.now() - startTime
+    });
+
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace a product in the index
+   * Hidden products are removed instead, since search only covers the storefront.
+   *
+   * @param {Object} product - Product in Printify API shape (from catalogService)
+   */
+  indexProduct(product) {
+    this.removeProduct(product.id);
+
+    if (!product.visible) return;
+
+    const fields = {
+      title: analyze(product.title),
+      tags: (product.tags || []).flatMap(tag => analyze(tag)),
+      description: analyze(product.description)
+    };
+
+    const enabledVariants = (product.variants || []).filter(variant => variant.is_enabled !== false);
+    const prices = enabledVariants.map(variant => variant.price / 100);
+
+    const doc = {
+      id: product.id,
+      product,
+      lengths: {},
+      tags: (product.tags || []).map(tag => tag.toLowerCase()),
+      categories: this.resolveCategories(product),
+      price: prices.length > 0 ? Math.min(...prices) : 0,
+      availability: enabledVariants.some(variant => variant.is_available !== false)
+        ? AVAILABILITY.IN_STOCK
+        : AVAILABILITY.OUT_OF_STOCK,
+      createdAt: product.created_at ? new Date(product.created_at).getTime() : 0
+    };
+
+    Object.entries(fields).forEach(([field, terms]) => {
+      doc.lengths[field] = terms.length;
+      this.totalLengths[field] += terms.length;
+
+      terms.forEach(term => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+
+        const posting = this.postings.get(term);
+        if (!posting.has(doc.id)) {
+          posting.set(doc.id, { title: 0, tags: 0, description: 0 });
+        }
+        posting.get(doc.id)[field] += 1;
+      });
+    });
+
+    this.documents.set(doc.id, doc);
+  }
+
+  /**
+   * Remove a product from the index
+   *
+   * @param {string} productId - Printify product ID
+   * @returns {boolean} Whether the product was indexed
+   */
+  removeProduct(productId) {
+    const doc = this.documents.get(productId);
+    if (!doc) return false;
+
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      this.totalLengths[field] -= doc.lengths[field];
+    });
+
+    this.postings.forEach((posting, term) => {
+      if (posting.delete(productId) && posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.documents.delete(productId);
+    return true;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} { ready, documents, terms }
+   */
+  getStats() {
+    return {
+      ready: this.ready,
+      documents: this.documents.size,
+      terms: this.postings.size
+    };
+  }
+
+  /**
+   * @private
+   */
+  _reset() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLengths = { title: 0, tags: 0, description: 0 };
+    this.resolveCategories = () => [];
+    this.categoryLabels = new Map();
+    this.ready = false;
+  }
+
+  /**
+   * Keep the index in step with the catalog sync
+   * @private
+   */
+  _subscribe() {
+    if (this._subscribed) return;
+    this._subscribed = true;
+
+    const refresh = async ({ productId }) => {
+      if (!this.ready) return;
+
+      try {
+        const product = await catalogService.getProduct(null, productId);
+        if (product) {
+          this.indexProduct(product);
+        } else {
+          this.removeProduct(productId);
+        }
+      } catch (error) {
+        this.logger.error('Failed to refresh product in search index', {
+          productId,
+          error: error.message
+        });
+      }
+    };
+
+    eventService.on(CATALOG_EVENTS.PRODUCT_CREATED, refresh);
+    eventService.on(CATALOG_EVENTS.PRODUCT_UPDATED, refresh);
+    eventService.on(CATALOG_EVENTS.PRODUCT_DELETED, ({ productId }) => this.removeProduct(productId));
+
+    // Category rules decide which products are in which category, so any
+    // change to the taxonomy means rebuilding on the next search
+    eventService.on(CATEGORY_EVENTS.CHANGED, () => {
+      this.ready = false;
+    });
+  }
+
+  /**
+   * Expand a query term to the indexed terms it matches
+   * @private
+   * @returns {Array<{term: string, weight: number}>}
+   */
+  _expandTerm(term, allowPrefix) {
+    if (this.postings.has(term)) {
+      return [{ term, weight: 1 }];
+    }
+
+    const maxDistance = term.length >= 8 ? 2 : (term.length >= 4 ? 1 : 0);
+    const expansions = [];
+
+    this.postings.forEach((_, indexed) => {
+      if (allowPrefix && term.length >= 2 && indexed.startsWith(term)) {
+        expansions.push({ term: indexed, weight: PREFIX_MATCH_WEIGHT });
+      } else if (maxDistance > 0 && editDistance(term, indexed, maxDistance) <= maxDistance) {
+        expansions.push({ term: indexed, weight: FUZZY_MATCH_WEIGHT });
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Score documents against a query
+   * Every query term has to match (exactly or approximately) for a document
+   * to be returned.
+   * @private
+   * @returns {Map<string, number>|null} Scores by document ID, or null for an empty query
+   */
+  _scoreQuery(query) {
+    const terms = Array.from(new Set(analyze(query)));
+    if (terms.length === 0) return null;
+
+    const docCount = this.documents.size;
+    let scores = null;
+
+    terms.forEach((term, index) => {
+      // The last term may still be being typed, so allow prefix matches for it
+      const expansions = this._expandTerm(term, index === terms.length - 1);
+      const termScores = new Map();
+
+      expansions.forEach(({ term: indexed, weight }) => {
+        const posting = this.postings.get(indexed);
+        const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+        posting.forEach((counts, docId) => {
+          const doc = this.documents.get(docId);
+          let score = 0;
+
+          Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+            const tf = counts[field];
+            if (!tf) return;
+
+            const avgLength = this.totalLengths[field] / docCount || 1;
+            const norm = 1 - BM25_B + BM25_B * (doc.lengths[field] / avgLength);
+            score += fieldWeight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+          });
+
+          // Keep the best expansion per document so typo variants don't stack
+          termScores.set(docId, Math.max(termScores.get(docId) || 0, score * weight));
+        });
+      });
+
+      if (scores === null) {
+        scores = termScores;
+        return;
+      }
+
+      const combined = new Map();
+      scores.forEach((score, docId) => {
+        if (termScores.has(docId)) {
+          combined.set(docId, score + termScores.get(docId));
+        }
+      });
+      scores = combined;
+    });
+
+    return scores;
+  }
+
+  /**
+   * @private
+   */
+  _inPriceRange(price, bucket, minPrice, maxPrice) {
+    if (bucket) {
+      if (price < bucket.min) return false;
+      if (bucket.max !== null && price >= bucket.max) return false;
+    }
+
+    const min = parseFloat(minPrice);
+    const max = parseFloat(maxPrice);
+
+    if (Number.isFinite(min) && price < min) return false;
+    if (Number.isFinite(max) && price > max) return false;
+
+    return true;
+  }
+
+  /**
+   * Count facet values, applying every filter except the facet's own
+   * @private
+   */
+  _buildFacets(candidates, filters) {
+    const categoryCounts = new Map();
+    const tagCounts = new Map();
+    const priceCounts = new Map(PRICE_BUCKETS.map(bucket => [bucket.key, 0]));
+    const availabilityCounts = new Map(Object.values(AVAILABILITY).map(value => [value, 0]));
+
+    candidates.forEach(id => {
+      const doc = this.documents.get(id);
+      const matches = Object.fromEntries(
+        Object.entries(filters).map(([name, filter]) => [name, filter(doc)])
+      );
+      const matchesAllExcept = (facet) => Object.entries(matches)
+        .every(([name, matched]) => name === facet || matched);
+
+      if (matchesAllExcept('category')) {
+        doc.categories.forEach(slug => categoryCounts.set(slug, (categoryCounts.get(slug) || 0) + 1));
+      }
+
+      if (matchesAllExcept('tags')) {
+        doc.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+      }
+
+      if (matchesAllExcept('price')) {
+        const bucket = PRICE_BUCKETS.find(b => doc.price >= b.min && (b.max === null || doc.price < b.max));
+        if (bucket) priceCounts.set(bucket.key, priceCounts.get(bucket.key) + 1);
+      }
+
+      if (matchesAllExcept('availability')) {
+        availabilityCounts.set(doc.availability, availabilityCounts.get(doc.availability) + 1);
+      }
+    });
+
+    return {
+      // Every active category, in taxonomy order, so the sidebar can show the full tree
+      categories: Array.from(this.categoryLabels.entries()).map(([slug, label]) => ({
+        value: slug,
+        label: label.name,
+        parent: label.parentSlug,
+        depth: label.depth,
+        count: categoryCounts.get(slug) || 0
+      })),
+      tags: Array.from(tagCounts.entries())
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      price: PRICE_BUCKETS.map(bucket => ({
+        value: bucket.key,
+        label: bucket.label,
+        min: bucket.min,
+        max: bucket.max,
+        count: priceCounts.get(bucket.key)
+      })),
+      availability: Array.from(availabilityCounts.entries())
+        .map(([value, count]) => ({ value, count }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _sortDocuments(docs, sort, scores) {
+    switch (sort) {
+      case 'price-asc':
+        docs.sort((a, b) => a.price - b.price);
+        break;
+      case 'price-desc':
+        docs.sort((a, b) => b.price - a.price);
+        break;
+      case 'oldest':
+        docs.sort((a, b) => a.createdAt - b.createdAt);
+        break;
+      case 'relevance':
+        if (scores) {
+          docs.sort((a, b) => scores.get(b.id) - scores.get(a.id) || b.createdAt - a.createdAt);
+          break;
+        }
+      // falls through: relevance without a query is newest first
+      case 'newest':
+      default:
+        docs.sort((a, b) => b.createdAt - a.createdAt);
+    }
+  }
+}
+
+module.exports = new SearchService();
+module.exports.PRICE_BUCKETS = PRICE_BUCKETS;
+module.exports.AVAILABILITY = AVAILABILITY;
+module.exports.SORT_OPTIONS = SORT_OPTIONS;
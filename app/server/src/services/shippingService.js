@@ -0,0 +1,209 @@
+/**
+ * Shipping Service
+ *
+ * Quotes shipping for a cart from Printify's shipping calculator and turns
+ * the quote into Stripe Checkout shipping options. Which methods we offer
+ * (standard, express) and which countries we ship to are configured under
+ * `features.shipping` in config/application.json.
+ *
+ * Quotes are cached briefly per cart and destination, since the cart page
+ * and the checkout usually ask for the same quote within seconds.
+ *
+ * @module services/shippingService
+ */
+
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const printifyService = require('./printifyService');
+const currencyService = require('./currencyService');
+const cacheService = require('../utils/cacheService');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG = {
+  allowedCountries: ['US', 'CA'],
+  quoteCacheMinutes: 15,
+  methods: {
+    standard: { label: 'Standard shipping', printifyMethod: 1 }
+  }
+};
+
+class ShippingService {
+  constructor() {
+    this.logger = logger.child({ component: 'ShippingService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.shipping || {})
+    };
+  }
+
+  /**
+   * Countries we ship to (ISO 3166-1 alpha-2)
+   * @returns {string[]}
+   */
+  getAllowedCountries() {
+    return this.config.allowedCountries.map(country => country.toUpperCase());
+  }
+
+  /**
+   * Quote every configured shipping method for a cart and destination
+   *
+   * @param {Object} params
+   * @param {Array} params.items - Cart items ({ id, variantId, quantity })
+   * @param {Object} params.address - Destination ({ country, region, zip })
+   * @param {string} [params.shopId] - Printify shop (defaults to DEFAULT_PRINTIFY_SHOP_ID)
+   * @param {Object} [params.currency] - Currency to quote in (currencyService.getCurrency); Printify
+   *   quotes in the base currency
+   * @returns {Promise<Object>} { country, currency, options: [{ method, label, amount, printifyMethod, deliveryDays }] }
+   *   with amounts in cents, cheapest first
+   */
+  async getQuote({ items, address = {}, shopId = process.env.DEFAULT_PRINTIFY_SHOP_ID, currency = null }) {
+    const country = String(address.country || '').toUpperCase();
+
+    if (!this.getAllowedCountries().includes(country)) {
+      throw createError(`We do not ship to ${country || 'that country'}`, 400, {
+        allowedCountries: this.getAllowedCountries()
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createError('Cart is empty', 400);
+    }
+
+    const request = {
+      line_items: items.map(item => ({
+        product_id: String(item.id),
+        variant_id: Number(item.variantId),
+        quantity: Number(item.quantity) || 1
+      }))
+        // Stable order so the same cart always hits the same cache entry
+        .sort((a, b) => `${a.product_id}:${a.variant_id}`.localeCompare(`${b.product_id}:${b.variant_id}`)),
+      address_to: {
+        country,
+        region: address.region || address.state || '',
+        zip: address.zip || address.postal_code || ''
+      }
+    };
+
+    const rates = await cacheService.getOrSet(
+      this._cacheKey(shopId, request),
+      this.config.quoteCacheMinutes * 60,
+      () => printifyService.calculateShipping(shopId, request)
+    );
+
+    const options = Object.entries(this.config.methods)
+      .filter(([method]) => Number.isFinite(Number(rates?.[method])))
+      .map(([method, settings]) => ({
+        method,
+        label: settings.label,
+        amount: currency
+          ? currencyService.convert(Math.round(Number(rates[method])), currency)
+          : Math.round(Number(rates[method])),
+        printifyMethod: settings.printifyMethod,
+        deliveryDays: settings.deliveryDays || null
+      }))
+      .sort((a, b) => a.amount - b.amount);
+
+    if (!options.length) {
+      throw createError('No shipping methods are available for this destination', 422, { country });
+    }
+
+    return {
+      country,
+      currency: currency ? currency.currency : currencyService.getBaseCurrency().toLowerCase(),
+      options
+    };
+  }
+
+  /**
+   * Build Stripe Checkout `shipping_options` from a quote
+   * The method name travels in the rate metadata so we can map the
+   * customer's choice back to a Printify shipping method.
+   *
+   * @param {Object} quote - Result of getQuote
+   * @returns {Array} shipping_options for stripe.checkout.sessions.create
+   */
+  toStripeShippingOptions(quote) {
+    return quote.options.map(option => ({
+      shipping_rate_data: {
+        type: 'fixed_amount',
+        display_name: option.label,
+        fixed_amount: {
+          amount: option.amount,
+          currency: quote.currency
+        },
+        ...(option.deliveryDays && {
+          delivery_estimate: {
+            minimum: { unit: 'business_day', value: option.deliveryDays.min },
+            maximum: { unit: 'business_day', value: option.deliveryDays.max }
+          }
+        }),
+        metadata: {
+          shipping_method: option.method,
+          printify_method: String(option.printifyMethod)
+        }
+      }
+    }));
+  }
+
+  /**
+   * Work out which shipping method the customer picked in Checkout
+   *
+   * @param {Object} session - Completed Stripe checkout session
+   * @returns {Promise<Object>} { method, printifyMethod, amount, tax } in cents; amount is
+   *   what the customer paid for shipping, including the sales tax the tax
+   *   service added to the rate (tax)
+   */
+  async getSelectedMethod(session) {
+    const shippingCost = session.shipping_cost;
+    const fallback = Object.entries(this.config.methods)[0];
+    const selected = {
+      method: fallback[0],
+      printifyMethod: fallback[1].printifyMethod,
+      amount: shippingCost?.amount_total || 0,
+      tax: 0
+    };
+
+    if (!shippingCost?.shipping_rate) {
+      return selected;
+    }
+
+    const rate = typeof shippingCost.shipping_rate === 'object'
+      ? shippingCost.shipping_rate
+      : await stripe.shippingRates.retrieve(shippingCost.shipping_rate);
+
+    const method = rate.metadata?.shipping_method;
+    const settings = method && this.config.methods[method];
+    selected.tax = Number(rate.metadata?.tax_amount) || 0;
+
+    if (!settings) {
+      this.logger.warn('Checkout used an unknown shipping rate, falling back to default method', {
+        sessionId: session.id,
+        shippingRate: rate.id
+      });
+      return selected;
+    }
+
+    return {
+      method,
+      printifyMethod: Number(rate.metadata.printify_method) || settings.printifyMethod,
+      amount: selected.amount,
+      tax: selected.tax
+    };
+  }
+
+  /**
+   * @private
+   */
+  _cacheKey(shopId, request) {
+    const digest = crypto
+      .createHash('sha1')
+      .update(JSON.stringify(request))
+      .digest('hex');
+
+    return `shipping-quote:${shopId}:${digest}`;
+  }
+}
+
+module.exports = new ShippingService();
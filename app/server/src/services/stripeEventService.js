@@ -0,0 +1,280 @@
+/**
+ * Stripe Event Service
+ *
+ * Event store for Stripe webhooks. Each verified event is saved once, keyed
+ * by its Stripe event ID, before the webhook is acknowledged; handlers run
+ * afterwards and their outcome (status, attempts, error) is recorded on the
+ * event. Duplicate deliveries of an event are skipped, so a Stripe retry can
+ * never create a second order or submit one to Printify twice.
+ *
+ * Handlers are registered per event type by the code that owns the
+ * behaviour (see paymentController). Events that were stored but never
+ * processed, e.g. because the process restarted, are picked up by a
+ * scheduled sweep; failed events are replayed by an admin.
+ *
+ * @module services/stripeEventService
+ */
+
+const { Op } = require('sequelize');
+const { StripeEvent } = require('../models');
+const schedulerService = require('./schedulerService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'stripe-event-sweep';
+
+const STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+// Statuses an admin may replay from
+const REPLAYABLE_STATUSES = ['failed', 'ignored', 'received'];
+
+const DEFAULT_CONFIG = {
+  sweepIntervalSeconds: 60,
+  // Leave freshly stored events to the request that stored them
+  sweepDelaySeconds: 60,
+  staleLockMinutes: 10
+};
+
+class StripeEventService {
+  constructor() {
+    this.logger = logger.child({ component: 'StripeEventService' });
+    this.handlers = new Map();
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.integration?.stripe?.webhookEvents || {})
+    };
+  }
+
+  /**
+   * Register the handler for a Stripe event type
+   *
+   * @param {string} type - Stripe event type, e.g. 'checkout.session.completed'
+   * @param {Function} handler - async (dataObject, event) => void; throw to mark the event failed
+   * @returns {StripeEventService} this instance for chaining
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Store a verified Stripe event, once per event ID
+   *
+   * @param {Object} event - Event returned by stripe.webhooks.constructEvent
+   * @returns {Promise<Object>} { record, duplicate } - duplicate is true when the
+   *   event was already stored and has been picked up
+   */
+  async recordEvent(event) {
+    const [record, created] = await StripeEvent.findOrCreate({
+      where: { event_id: event.id },
+      defaults: {
+        type: event.type,
+        livemode: Boolean(event.livemode),
+        payload: event,
+        received_at: new Date()
+      }
+    });
+
+    // A redelivery of an event we stored but never got to is processed now
+    const duplicate = !created && record.status !== 'received';
+
+    if (duplicate) {
+      this.logger.info(`Skipping duplicate Stripe event ${event.id}`, {
+        type: event.type,
+        status: record.status
+      });
+    }
+
+    return { record, duplicate };
+  }
+
+  /**
+   * Claim a stored event and run its handler
+   *
+   * @param {Object} record - StripeEvent instance
+   * @returns {Promise<Object>} The event record after processing (unchanged if
+   *   another worker holds it)
+   */
+  async processEvent(record) {
+    if (!(await this._claim(record))) {
+      return record;
+    }
+
+    const handler = this.handlers.get(record.type);
+    const payload = record.payload;
+
+    try {
+      if (handler) {
+        await handler(payload.data.object, payload);
+      } else {
+        this.logger.info(`No handler for Stripe event type ${record.type}`, { eventId: record.event_id });
+      }
+
+      await record.update({
+        status: handler ? 'processed' : 'ignored',
+        error_message: null,
+        locked_at: null,
+        processed_at: new Date()
+      });
+    } catch (error) {
+      this.logger.error(`Failed to process Stripe event ${record.event_id}`, {
+        type: record.type,
+        attempt: record.attempts,
+        error: error.message
+      });
+
+      await record.update({
+        status: 'failed',
+        error_message: error.message,
+        locked_at: null
+      });
+    }
+
+    return record;
+  }
+
+  /**
+   * Process a failed (or ignored) event again
+   *
+   * @param {string} id - StripeEvent ID or Stripe event ID
+   * @returns {Promise<Object>} The event record after processing
+   */
+  async replayEvent(id) {
+    const record = await this.getEvent(id);
+
+    if (!REPLAYABLE_STATUSES.includes(record.status)) {
+      throw createError(`Event is ${record.status} and cannot be replayed`, 409, {
+        status: record.status
+      });
+    }
+
+    this.logger.info(`Replaying Stripe event ${record.event_id}`, {
+      type: record.type,
+      previousStatus: record.status
+    });
+
+    return this.processEvent(record);
+  }
+
+  /**
+   * Get a stored event
+   *
+   * @param {string} id - StripeEvent ID or Stripe event ID
+   * @returns {Promise<Object>} StripeEvent
+   */
+  async getEvent(id) {
+    const record = await StripeEvent.findOne({
+      where: String(id).startsWith('evt_') ? { event_id: id } : { id }
+    });
+
+    if (!record) {
+      throw createNotFoundError('Stripe event', id);
+    }
+
+    return record;
+  }
+
+  /**
+   * List stored events for the admin dashboard
+   *
+   * @param {Object} [options]
+   * @param {string} [options.status]
+   * @param {string} [options.type]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object>} { events, total, page, limit }
+   */
+  async listEvents({ status, type, page = 1, limit = 20 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw createError(`Invalid status. Use one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const { rows, count } = await StripeEvent.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload'] },
+      order: [['received_at', 'DESC']],
+      offset: (page - 1) * limit,
+      limit
+    });
+
+    return { events: rows, total: count, page, limit };
+  }
+
+  /**
+   * Process events that were stored but never handled, and events whose
+   * worker died mid-processing. Called by the scheduler.
+   *
+   * @returns {Promise<number>} Number of events processed
+   */
+  async processPending() {
+    const now = Date.now();
+
+    const pending = await StripeEvent.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'received', received_at: { [Op.lt]: new Date(now - this.config.sweepDelaySeconds * 1000) } },
+          { status: 'processing', locked_at: { [Op.lt]: new Date(now - this.config.staleLockMinutes * 60 * 1000) } }
+        ]
+      },
+      order: [['received_at', 'ASC']],
+      limit: 20
+    });
+
+    for (const record of pending) {
+      await this.processEvent(record);
+    }
+
+    if (pending.length) {
+      this.logger.info(`Swept ${pending.length} pending Stripe event(s)`);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Register the sweep with the scheduler
+   */
+  registerSchedule() {
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.sweepIntervalSeconds * 1000,
+      runOnStart: true,
+      handler: () => this.processPending()
+    });
+  }
+
+  /**
+   * Mark an event as processing unless someone else already did
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _claim(record) {
+    const where = { id: record.id, status: record.status };
+
+    if (record.status === 'processing') {
+      where.locked_at = record.locked_at;
+    } else if (record.status === 'processed') {
+      return false;
+    }
+
+    const lockedAt = new Date();
+    const [count] = await StripeEvent.update(
+      { status: 'processing', locked_at: lockedAt, attempts: record.attempts + 1 },
+      { where }
+    );
+
+    if (count !== 1) return false;
+
+    record.status = 'processing';
+    record.locked_at = lockedAt;
+    record.attempts += 1;
+    return true;
+  }
+}
+
+module.exports = new StripeEventService();
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,167 @@
+/**
+ * Stripe Tax Provider
+ *
+ * Leaves sales tax to Stripe Tax: Checkout works it out from the address
+ * the customer enters there, and the cart preview asks the Tax Calculations
+ * API. Needs Stripe Tax set up (origin address and registrations) in the
+ * Stripe dashboard.
+ *
+ * Stripe Tax taxes what is left after the session's coupon, and gift cards
+ * and store credit are part of that coupon, so with this provider they
+ * lower the tax like a discount (see taxService).
+ *
+ * @module services/tax/stripeTaxProvider
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+class StripeTaxProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.giftCardsLowerTax = true;
+  }
+
+  /**
+   * Tax on cart lines and shipping, from Stripe Tax
+   *
+   * @param {Object} params
+   * @param {Array} params.items - Taxable lines ({ key, amount } in cents, after discounts)
+   * @param {number} [params.shipping=0] - Shipping in cents
+   * @param {Object} params.address - { country, state, zip }
+   * @param {string} [params.currency='usd']
+   * @returns {Promise<Object>} { amount, items: [{ key, amount }], shipping, lines }
+   */
+  async calculate({ items, shipping = 0, address, currency = 'usd' }) {
+    const calculation = await stripe.tax.calculations.create({
+      currency,
+      line_items: items
+        .filter(item => item.amount > 0)
+        .map(item => ({ amount: item.amount, reference: String(item.key), tax_behavior: 'exclusive' })),
+      ...(shipping > 0 && { shipping_cost: { amount: shipping, tax_behavior: 'exclusive' } }),
+      customer_details: {
+        address: { country: address.country, state: address.state || undefined, postal_code: address.zip || undefined },
+        address_source: 'shipping'
+      },
+      expand: ['line_items.data.tax_breakdown']
+    });
+
+    const lines = [];
+    const itemTaxes = items.map(item => {
+      const line = calculation.line_items.data.find(entry => entry.reference === String(item.key));
+
+      for (const entry of line?.tax_breakdown || []) {
+        lines.push(this._breakdownLine(item.key, entry));
+      }
+
+      return { key: item.key, amount: line?.amount_tax || 0 };
+    });
+
+    for (const entry of calculation.shipping_cost?.tax_breakdown || []) {
+      lines.push(this._breakdownLine(null, entry));
+    }
+
+    return {
+      amount: calculation.tax_amount_exclusive,
+      items: itemTaxes,
+      shipping: calculation.shipping_cost?.amount_tax || 0,
+      lines: lines.filter(line => line.amount > 0)
+    };
+  }
+
+  /**
+   * Turn on Stripe Tax for a checkout session
+   *
+   * @param {Object} sessionParams - Params for stripe.checkout.sessions.create, changed in place
+   * @returns {Promise<Object>} { amount: 0 } - tax is only known once Checkout has the address
+   */
+  async prepareCheckout(sessionParams) {
+    sessionParams.automatic_tax = { enabled: true };
+
+    for (const item of sessionParams.line_items) {
+      item.price_data.tax_behavior = 'exclusive';
+    }
+
+    for (const option of sessionParams.shipping_options || []) {
+      option.shipping_rate_data.tax_behavior = 'exclusive';
+    }
+
+    return { amount: 0 };
+  }
+
+  /**
+   * Tax Stripe charged in a paid checkout session
+   *
+   * @param {Object} session - Completed Stripe checkout session
+   * @param {Object} context
+   * @param {Array} context.items - Cart lines ({ key }), in the order of the session's line items
+   * @returns {Promise<Object>} { amount, items, shipping, lines, charged: { lineItems, shipping } }
+   */
+  async fromSession(session, { items }) {
+    const { data: lineItems } = await stripe.checkout.sessions.listLineItems(session.id, {
+      limit: 100,
+      expand: ['data.taxes']
+    });
+    const lines = [];
+
+    const itemTaxes = items.map((item, index) => {
+      const taxes = lineItems[index]?.taxes || [];
+
+      for (const tax of taxes) {
+        lines.push(this._rateLine(item.key, tax));
+      }
+
+      return { key: item.key, amount: taxes.reduce((sum, tax) => sum + tax.amount, 0) };
+    });
+
+    const shippingTaxes = session.shipping_cost?.taxes || [];
+
+    for (const tax of shippingTaxes) {
+      lines.push(this._rateLine(null, tax));
+    }
+
+    return {
+      amount: session.total_details?.amount_tax ?? 0,
+      items: itemTaxes,
+      shipping: shippingTaxes.reduce((sum, tax) => sum + tax.amount, 0),
+      lines: lines.filter(line => line.amount > 0),
+      // Stripe reports the tax apart from the lines and shipping
+      charged: { lineItems: 0, shipping: 0 }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _breakdownLine(key, entry) {
+    return {
+      key,
+      country: entry.jurisdiction?.country || null,
+      state: entry.jurisdiction?.state || null,
+      jurisdiction: entry.jurisdiction?.display_name || entry.jurisdiction?.country || 'Unknown',
+      type: entry.jurisdiction?.level || 'state',
+      rate: Number(entry.tax_rate_details?.percentage_decimal || 0) / 100,
+      taxable: entry.taxable_amount,
+      amount: entry.amount
+    };
+  }
+
+  /**
+   * @private
+   */
+  _rateLine(key, tax) {
+    const rate = typeof tax.rate === 'object' ? tax.rate : {};
+
+    return {
+      key,
+      country: rate.country || null,
+      state: rate.state || null,
+      jurisdiction: rate.jurisdiction || rate.display_name || 'Unknown',
+      type: rate.jurisdiction_level || 'state',
+      rate: Number(rate.percentage || 0) / 100,
+      taxable: tax.taxable_amount ?? null,
+      amount: tax.amount
+    };
+  }
+}
+
+module.exports = StripeTaxProvider;
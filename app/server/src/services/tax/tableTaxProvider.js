@@ -0,0 +1,245 @@
+/**
+ * Rate Table Tax Provider
+ *
+ * Works out US sales tax from the rate table we maintain as a CSV file
+ * (config/tax-rates.csv). Each row is one jurisdiction:
+ *
+ *   state,zip,jurisdiction,type,rate,shipping_taxable
+ *   CA,,California,state,0.0725,false
+ *   CA,900,Los Angeles County,county,0.0225,false
+ *
+ * A row without a zip applies to the whole state; a row with a zip, or the
+ * first digits of one, applies to addresses whose zip starts with it. Every
+ * matching row is charged, so county and city rates add to the state rate.
+ * States missing from the table are not taxed.
+ *
+ * Tax is quoted for the address the customer gives before checkout and
+ * charged as a "Sales tax" line of the Stripe session; tax on shipping is
+ * added to the price of each shipping option. Checkout lets the customer
+ * enter another address, so paid orders are checked with sameRates (see
+ * taxService.getTaxAddressMismatch).
+ *
+ * @module services/tax/tableTaxProvider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const currencyService = require('../currencyService');
+const { createError } = require('../../utils/errorHandler');
+const logger = require('../../utils/logger');
+
+const TRUE_VALUES = ['true', 'yes', '1'];
+
+class TableTaxProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.ratesFile - CSV path, relative to the server root
+   */
+  constructor({ ratesFile }) {
+    this.name = 'table';
+    this.ratesFile = path.resolve(__dirname, '../../..', ratesFile);
+    this.rates = null;
+    this.logger = logger.child({ component: 'TableTaxProvider' });
+  }
+
+  /**
+   * Read the rate table from its CSV file
+   * @returns {Array} [{ state, zip, jurisdiction, type, rate, shippingTaxable }]
+   * @throws {Error} When a row cannot be read, so a broken table is not
+   *   silently charged as no tax
+   */
+  load() {
+    const lines = fs.readFileSync(this.ratesFile, 'utf8').split(/\r?\n/);
+    let columns = null;
+    const rates = [];
+
+    lines.forEach((line, index) => {
+      const text = line.trim();
+
+      if (!text || text.startsWith('#')) return;
+
+      const values = text.split(',').map(value => value.trim());
+
+      if (!columns) {
+        columns = values.map(value => value.toLowerCase());
+        return;
+      }
+
+      const row = Object.fromEntries(columns.map((column, position) => [column, values[position] || '']));
+      const rate = Number(row.rate);
+
+      if (!/^[A-Z]{2}$/i.test(row.state) || !/^\d{0,5}$/.test(row.zip) || !(rate >= 0 && rate < 1)) {
+        throw new Error(`Invalid tax rate on line ${index + 1} of ${this.ratesFile}`);
+      }
+
+      rates.push({
+        state: row.state.toUpperCase(),
+        zip: row.zip,
+        jurisdiction: row.jurisdiction || row.state.toUpperCase(),
+        type: row.type || (row.zip ? 'local' : 'state'),
+        rate,
+        shippingTaxable: TRUE_VALUES.includes(String(row.shipping_taxable).toLowerCase())
+      });
+    });
+
+    this.rates = rates;
+    this.logger.info('Tax rate table loaded', { rates: rates.length });
+
+    return rates;
+  }
+
+  /**
+   * Rates charged at an address
+   * @param {Object} address - { country, state, zip }
+   * @returns {Array} Matching rows of the table, state first
+   */
+  getRates(address) {
+    if (!this.rates) this.load();
+
+    const zip = String(address.zip || '').replace(/\D/g, '').slice(0, 5);
+
+    return this.rates
+      .filter(row => row.state === address.state && (!row.zip || zip.startsWith(row.zip)))
+      .sort((a, b) => a.zip.length - b.zip.length);
+  }
+
+  /**
+   * Whether two addresses are charged the same rates
+   * @param {Object} quoted - { country, state, zip }
+   * @param {Object} shippedTo - { country, state, zip }
+   * @returns {boolean}
+   */
+  sameRates(quoted, shippedTo) {
+    const rateKeys = address => this.getRates(address).map(rate => `${rate.state}:${rate.zip}`).join(',');
+
+    return quoted.country === shippedTo.country && rateKeys(quoted) === rateKeys(shippedTo);
+  }
+
+  /**
+   * Tax on cart lines and shipping
+   *
+   * @param {Object} params
+   * @param {Array} params.items - Taxable lines ({ key, amount } in cents, after discounts)
+   * @param {number} [params.shipping=0] - Shipping in cents
+   * @param {Object} params.address - { country, state, zip }
+   * @returns {Promise<Object>} { amount, items: [{ key, amount }], shipping, lines }
+   */
+  async calculate({ items, shipping = 0, address }) {
+    const rates = this.getRates(address);
+    const lines = [];
+
+    const charge = (key, amount, rate) => {
+      const tax = Math.round(amount * rate.rate);
+
+      lines.push({
+        key,
+        country: address.country,
+        state: rate.state,
+        jurisdiction: rate.jurisdiction,
+        type: rate.type,
+        rate: rate.rate,
+        taxable: amount,
+        amount: tax
+      });
+
+      return tax;
+    };
+
+    const itemTaxes = items.map(item => ({
+      key: item.key,
+      amount: item.amount > 0 ? rates.reduce((sum, rate) => sum + charge(item.key, item.amount, rate), 0) : 0
+    }));
+    const shippingTax = shipping > 0
+      ? rates.filter(rate => rate.shippingTaxable).reduce((sum, rate) => sum + charge(null, shipping, rate), 0)
+      : 0;
+
+    return {
+      amount: itemTaxes.reduce((sum, item) => sum + item.amount, 0) + shippingTax,
+      items: itemTaxes,
+      shipping: shippingTax,
+      lines: lines.filter(line => line.amount > 0)
+    };
+  }
+
+  /**
+   * Charge the quoted tax in a Stripe checkout session
+   * Item tax becomes a "Sales tax" line; tax on shipping is added to each
+   * shipping option, whose metadata keeps the tax so the order can separate it.
+   *
+   * @param {Object} sessionParams - Params for stripe.checkout.sessions.create, changed in place
+   * @param {Object} context
+   * @param {Array} context.items - Taxable lines ({ key, amount })
+   * @param {Object} context.address - { country, state, zip }
+   * @param {string} context.currency
+   * @returns {Promise<Object>} { amount } - cents of item tax charged
+   * @throws {APIError} 400 without a state to look rates up for
+   */
+  async prepareCheckout(sessionParams, { items, address, currency }) {
+    if (!address.state) {
+      throw createError('State is required to calculate tax', 400, null, 'Please enter your state and ZIP code.');
+    }
+
+    const quote = await this.calculate({ items, address });
+
+    if (quote.amount > 0) {
+      sessionParams.line_items.push({
+        price_data: {
+          currency,
+          product_data: { name: 'Sales tax' },
+          unit_amount: quote.amount
+        },
+        quantity: 1
+      });
+    }
+
+    for (const option of sessionParams.shipping_options || []) {
+      const rate = option.shipping_rate_data;
+      const { shipping } = await this.calculate({ items: [], shipping: rate.fixed_amount.amount, address });
+
+      if (shipping > 0) {
+        rate.fixed_amount.amount += shipping;
+        rate.display_name = `${rate.display_name} (incl. ${currencyService.format(shipping, currency)} tax)`;
+        rate.metadata = { ...rate.metadata, tax_amount: String(shipping) };
+      }
+    }
+
+    return { amount: quote.amount };
+  }
+
+  /**
+   * Tax charged by a paid checkout session
+   * Worked out again from the quoted address and the shipping the customer
+   * picked.
+   *
+   * @param {Object} session - Completed Stripe checkout session
+   * @param {Object} context
+   * @param {Array} context.items - Taxable lines ({ key, amount })
+   * @param {Object} context.shipping - Selected shipping ({ amount, tax } in cents)
+   * @param {Object} context.address - Quoted address ({ country, state, zip })
+   * @returns {Promise<Object>} { amount, items, shipping, lines, charged: { lineItems, shipping } }
+   */
+  async fromSession(session, { items, shipping, address }) {
+    const shippingTax = shipping?.tax || 0;
+    const result = await this.calculate({
+      items,
+      shipping: (shipping?.amount || 0) - shippingTax,
+      address
+    });
+    const charged = Number(session.metadata?.taxAmount) || 0;
+
+    if (result.amount !== charged + shippingTax) {
+      this.logger.warn('Tax worked out for a paid checkout differs from what it charged', {
+        sessionId: session.id,
+        charged: charged + shippingTax,
+        calculated: result.amount
+      });
+    }
+
+    return {
+      ...result,
+      charged: { lineItems: charged, shipping: shippingTax }
+    };
+  }
+}
+
+module.exports = TableTaxProvider;
@@ -0,0 +1,528 @@
+/**
+ * Tax Service
+ *
+ * Sales tax on orders shipped to the countries under `features.tax` in
+ * config/application.json. The tax itself comes from a provider:
+ *
+ * - `table` (default): our own rate table by state and zip, from the CSV
+ *   file in `ratesFile` (see services/tax/tableTaxProvider)
+ * - `stripe`: Stripe Tax (see services/tax/stripeTaxProvider)
+ *
+ * A provider implements `calculate` (tax on taxable lines and shipping, for
+ * the cart preview), `prepareCheckout` (make a Stripe checkout session
+ * charge the tax) and `fromSession` (the tax a paid session charged), all
+ * in cents and with the same result shape. Other providers are added with
+ * registerProvider.
+ *
+ * Tax is charged on what the customer pays for items after discounts, and
+ * on shipping where the jurisdiction taxes it. Gift cards pay like money,
+ * so they do not lower it, except with providers that set
+ * `giftCardsLowerTax`: Stripe Tax taxes what is left after the checkout's
+ * coupon, and a gift card can only be taken off as part of it. The cart
+ * preview taxes the same amounts as checkout. Each order keeps its tax by
+ * line and jurisdiction in order_tax_lines, which the tax report adds up.
+ *
+ * @module services/taxService
+ */
+
+const { Op } = require('sequelize');
+const { Order, OrderTaxLine } = require('../models');
+const TableTaxProvider = require('./tax/tableTaxProvider');
+const StripeTaxProvider = require('./tax/stripeTaxProvider');
+const currencyService = require('./currencyService');
+const applicationConfig = require('../../config/application');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  provider: 'table',
+  countries: ['US'],
+  ratesFile: 'config/tax-rates.csv'
+};
+
+const REPORT_PERIODS = ['day', 'month', 'quarter', 'year'];
+
+// Orders whose tax was collected and kept; refunded and cancelled orders
+// gave it back
+const REPORTED_STATUSES = ['paid'];
+
+class TaxService {
+  constructor() {
+    this.logger = logger.child({ component: 'TaxService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.tax || {})
+    };
+    this.providers = new Map();
+
+    this
+      .registerProvider(new TableTaxProvider({ ratesFile: this.config.ratesFile }))
+      .registerProvider(new StripeTaxProvider());
+  }
+
+  /**
+   * Add a tax provider, or replace the one with the same name
+   * @param {Object} provider - { name, calculate, prepareCheckout, fromSession },
+   *   and optionally giftCardsLowerTax and sameRates (see getTaxAddressMismatch)
+   * @returns {TaxService} For chaining
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * @param {string} [name] - Defaults to the configured provider
+   * @returns {Object} The provider
+   */
+  getProvider(name = this.config.provider) {
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw createError(`Unknown tax provider "${name}"`, 500);
+    }
+
+    return provider;
+  }
+
+  /**
+   * @returns {boolean} Whether tax is charged at all
+   */
+  isEnabled() {
+    return Boolean(this.config.enabled);
+  }
+
+  /**
+   * Whether orders shipped to an address are taxed
+   * @param {Object} address - { country }
+   * @returns {boolean}
+   */
+  appliesTo(address) {
+    return this.isEnabled()
+      && this.config.countries.map(country => country.toUpperCase()).includes(String(address?.country || '').toUpperCase());
+  }
+
+  /**
+   * What each cart line is taxed on: its price less its part of the discount
+   * The discount is split over the lines the promotion applies to in
+   * proportion to their price. A gift card amount passed in is then split
+   * over every line the same way, as Stripe splits a coupon.
+   *
+   * @param {Array} items - Priced cart lines ({ id, variantId, unitAmount, quantity })
+   * @param {Object|null} [promotion] - Result of promotionService.applyCode
+   * @param {Object} [options]
+   * @param {number} [options.giftCardAmount=0] - Cents paid with balances, for providers
+   *   where they lower tax
+   * @returns {Array} [{ key, amount }] in cents; key is the index of the line
+   */
+  getTaxableAmounts(items, promotion = null, { giftCardAmount = 0 } = {}) {
+    const amounts = items.map((item, key) => ({ key, amount: item.unitAmount * item.quantity }));
+    const discount = promotion?.discount || 0;
+
+    if (discount) {
+      this._spread(amounts.filter(({ key }) => promotion.lines.some(line =>
+        String(line.id) === String(items[key].id) && String(line.variantId) === String(items[key].variantId))), discount);
+    }
+
+    if (giftCardAmount) {
+      this._spread(amounts, giftCardAmount);
+    }
+
+    return amounts;
+  }
+
+  /**
+   * Tax on a cart, for the cart preview
+   *
+   * @param {Object} params
+   * @param {Array} params.items - Priced cart lines
+   * @param {Object|null} [params.promotion] - Result of promotionService.applyCode
+   * @param {number} [params.giftCardAmount=0] - Cents paid with gift cards and store credit
+   * @param {number} [params.shipping=0] - Shipping in cents
+   * @param {Object} params.address - Shipping destination ({ country, region, zip })
+   * @param {string} [params.currency='usd']
+   * @returns {Promise<Object|null>} { provider, amount, items, shipping, lines } in cents,
+   *   or null when the address is not taxed or too vague to look up
+   */
+  async calculate({ items, promotion = null, giftCardAmount = 0, shipping = 0, address, currency = 'usd' }) {
+    const destination = this._address(address);
+
+    if (!this.appliesTo(destination) || (!destination.state && !destination.zip)) {
+      return null;
+    }
+
+    const provider = this.getProvider();
+    const result = await provider.calculate({
+      items: this.getTaxableAmounts(items, promotion, {
+        giftCardAmount: provider.giftCardsLowerTax ? giftCardAmount : 0
+      }),
+      shipping,
+      address: destination,
+      currency
+    });
+
+    return { provider: provider.name, ...result };
+  }
+
+  /**
+   * Make a Stripe checkout session charge tax
+   * The session metadata records the provider and what was taxed, so the
+   * order gets the same tax when the session is paid.
+   *
+   * @param {Object} sessionParams - Params for stripe.checkout.sessions.create, changed in place
+   * @param {Object} context
+   * @param {Array} context.items - Priced cart lines, in the order of the session's line items
+   * @param {Object|null} [context.promotion] - Result of promotionService.applyCode
+   * @param {number} [context.giftCardAmount=0] - Cents paid with gift cards and store credit
+   * @param {Object} context.address - Shipping destination ({ country, region, zip })
+   * @param {string} [context.currency='usd']
+   * @returns {Promise<Object|null>} { provider, amount } with the item tax charged in cents,
+   *   or null when the address is not taxed
+   */
+  async prepareCheckout(sessionParams, { items, promotion = null, giftCardAmount = 0, address, currency = 'usd' }) {
+    const destination = this._address(address);
+
+    if (!this.appliesTo(destination)) return null;
+
+    const provider = this.getProvider();
+    const taxable = this.getTaxableAmounts(items, promotion, {
+      giftCardAmount: provider.giftCardsLowerTax ? giftCardAmount : 0
+    });
+    const result = await provider.prepareCheckout(sessionParams, { items: taxable, address: destination, currency });
+
+    sessionParams.metadata = {
+      ...sessionParams.metadata,
+      taxProvider: provider.name,
+      taxAddress: [destination.country, destination.state, destination.zip].join(':'),
+      // Cents taxed on each line, in the order of cartItems
+      taxable: taxable.map(line => line.amount).join(','),
+      taxAmount: String(result.amount)
+    };
+
+    return { provider: provider.name, amount: result.amount };
+  }
+
+  /**
+   * Tax a paid checkout session charged
+   *
+   * @param {Object} session - Completed Stripe checkout session
+   * @param {Array} cartItems - Cart lines from the session metadata
+   * @param {Object|null} shipping - Result of shippingService.getSelectedMethod
+   * @returns {Promise<Object|null>} {
+   *   provider, amount, items: [{ key, amount }], shipping, lines,
+   *   charged: { lineItems, shipping } - cents of the tax Stripe counted as
+   *     a line item or as shipping
+   * } in cents, or null for sessions charged no tax
+   */
+  async fromSession(session, cartItems, shipping = null) {
+    const metadata = session.metadata || {};
+
+    if (!metadata.taxProvider) return null;
+
+    const provider = this.getProvider(metadata.taxProvider);
+    const taxable = metadata.taxable ? String(metadata.taxable).split(',').map(Number) : [];
+    const [country, state, zip] = String(metadata.taxAddress || '').split(':');
+    const result = await provider.fromSession(session, {
+      items: cartItems.map((item, key) => ({
+        key,
+        amount: Number.isFinite(taxable[key]) ? taxable[key] : Math.round(Number(item.price) * 100) * item.quantity
+      })),
+      shipping,
+      address: { country, state, zip }
+    });
+
+    return { provider: provider.name, ...result };
+  }
+  /**
+   * Where a paid session ships to, when its tax was charged for another
+   * address
+   * Providers that charge a quote (the rate table) tax the address given
+   * before checkout, and Checkout lets the customer enter a different one.
+   *
+   * @param {Object} session - Completed Stripe checkout session
+   * @returns {Object|null} { quoted, shippedTo } ({ country, state, zip }), or null when
+   *   the tax was charged for rates of the address the order ships to
+   */
+  getTaxAddressMismatch(session) {
+    const metadata = session.metadata || {};
+    const provider = metadata.taxProvider ? this.getProvider(metadata.taxProvider) : null;
+    const address = session.shipping_details?.address || session.customer_details?.address;
+
+    if (!provider?.sameRates || !address) return null;
+
+    const [country, state, zip] = String(metadata.taxAddress || '').split(':');
+    const quoted = { country, state, zip };
+    const shippedTo = this._address(address);
+
+    return provider.sameRates(quoted, shippedTo) ? null : { quoted, shippedTo };
+  }
+
+
+  /**
+   * Store the tax of a new order by line and jurisdiction
+   *
+   * @param {Object} order
+   * @param {Array} orderItems - The order's items, in the order of cartItems
+   * @param {Object|null} tax - Result of fromSession
+   * @param {Object} [options]
+   * @param {Object} [options.transaction]
+   * @returns {Promise<Array>} The tax lines
+   */
+  async recordOrderTax(order, orderItems, tax, { transaction } = {}) {
+    if (!tax?.lines.length) return [];
+
+    return OrderTaxLine.bulkCreate(tax.lines.map(line => ({
+      order_id: order.id,
+      order_item_id: line.key === null ? null : orderItems[line.key]?.id || null,
+      provider: tax.provider,
+      country: line.country,
+      state: line.state,
+      jurisdiction: line.jurisdiction,
+      jurisdiction_type: line.type,
+      rate: line.rate,
+      taxable_amount: line.taxable === null ? null : line.taxable / 100,
+      tax_amount: line.amount / 100
+    })), { transaction });
+  }
+
+  /**
+   * Add up tax lines by jurisdiction and rate
+   * @param {Array} lines - Tax lines ({ country, state, jurisdiction, type, rate, taxable, amount })
+   * @returns {Array} One line per jurisdiction and rate, state first
+   */
+  summarize(lines) {
+    const byJurisdiction = new Map();
+
+    for (const line of lines) {
+      const key = [line.state, line.jurisdiction, line.type, line.rate].join('|');
+      const total = byJurisdiction.get(key)
+        || { country: line.country, state: line.state, jurisdiction: line.jurisdiction, type: line.type, rate: line.rate, taxable: 0, amount: 0 };
+
+      total.taxable += line.taxable || 0;
+      total.amount += line.amount;
+      byJurisdiction.set(key, total);
+    }
+
+    return [...byJurisdiction.values()].sort((a, b) =>
+      (a.type === 'state' ? 0 : 1) - (b.type === 'state' ? 0 : 1) || a.jurisdiction.localeCompare(b.jurisdiction));
+  }
+
+  /**
+   * Tax of an order by jurisdiction, as printed on its invoice
+   * @param {Object} order
+   * @returns {Promise<Array>} [{ jurisdiction, type, rate, amount }] in dollars
+   */
+  async getOrderTaxLines(order) {
+    const rows = order.taxLines || await OrderTaxLine.findAll({ where: { order_id: order.id } });
+
+    return this.summarize(rows.map(row => this._fromRow(row))).map(line => ({
+      jurisdiction: line.jurisdiction,
+      type: line.type,
+      rate: line.rate,
+      amount: line.amount / 100
+    }));
+  }
+
+  /**
+   * Tax collected by jurisdiction and period, for filing
+   * Counts paid orders placed in the date range; refunded and cancelled
+   * orders gave their tax back. Partial refunds are not taken off. Amounts
+   * are in the reporting currency, converted at the rate each order was
+   * paid at.
+   *
+   * @param {Object} [params]
+   * @param {Date|string} [params.from] - Start date (defaults to the start of this month)
+   * @param {Date|string} [params.to] - End date, included (defaults to now)
+   * @param {string} [params.period='month'] - day, month, quarter or year
+   * @returns {Promise<Object>} {
+   *   from, to (excluded), period, currency,
+   *   rows: [{ period, country, state, jurisdiction, type, rate, orders, taxable, tax }],
+   *   totals: { orders, taxable, tax }
+   * } in dollars of the reporting currency
+   */
+  async getReport({ from, to, period = 'month' } = {}) {
+    if (!REPORT_PERIODS.includes(period)) {
+      throw createError(`Period must be one of ${REPORT_PERIODS.join(', ')}`, 400);
+    }
+
+    const now = new Date();
+    const start = from ? new Date(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end = to ? this._endOfDay(new Date(to)) : now;
+
+    if (!(start < end)) {
+      throw createError('The report must start before it ends', 400);
+    }
+
+    const rows = await OrderTaxLine.findAll({
+      include: [{
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'createdAt', 'exchangeRate'],
+        where: {
+          createdAt: { [Op.gte]: start, [Op.lt]: end },
+          status: { [Op.in]: REPORTED_STATUSES }
+        }
+      }]
+    });
+
+    const rates = await currencyService.getRates();
+    const groups = new Map();
+    const orders = new Set();
+
+    for (const row of rows) {
+      const toReporting = cents => Math.round(currencyService.toReporting(cents, row.order.exchangeRate, rates));
+      const paid = this._fromRow(row);
+      const line = {
+        period: this._periodOf(new Date(row.order.createdAt), period),
+        ...paid,
+        taxable: paid.taxable === null ? null : toReporting(paid.taxable),
+        amount: toReporting(paid.amount)
+      };
+      const key = [line.period, line.state, line.jurisdiction, line.type, line.rate].join('|');
+      const group = groups.get(key) || { ...line, taxable: 0, amount: 0, orders: new Set() };
+
+      group.taxable += line.taxable || 0;
+      group.amount += line.amount;
+      group.orders.add(row.order_id);
+      orders.add(row.order_id);
+      groups.set(key, group);
+    }
+
+    const reportRows = [...groups.values()]
+      .sort((a, b) => a.period.localeCompare(b.period)
+        || String(a.state).localeCompare(String(b.state))
+        || (a.type === 'state' ? 0 : 1) - (b.type === 'state' ? 0 : 1)
+        || a.jurisdiction.localeCompare(b.jurisdiction))
+      .map(group => ({
+        period: group.period,
+        country: group.country,
+        state: group.state,
+        jurisdiction: group.jurisdiction,
+        type: group.type,
+        rate: group.rate,
+        orders: group.orders.size,
+        taxable: group.taxable / 100,
+        tax: group.amount / 100
+      }));
+
+    return {
+      from: start,
+      to: end,
+      period,
+      currency: currencyService.getReportingCurrency(),
+      rows: reportRows,
+      totals: {
+        orders: orders.size,
+        taxable: reportRows.reduce((sum, row) => Math.round((sum + row.taxable) * 100) / 100, 0),
+        tax: reportRows.reduce((sum, row) => Math.round((sum + row.tax) * 100) / 100, 0)
+      }
+    };
+  }
+
+  /**
+   * The tax report as CSV, one row per period and jurisdiction
+   * @param {Object} report - Result of getReport
+   * @returns {string}
+   */
+  reportToCsv(report) {
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const header = 'period,country,state,jurisdiction,type,rate,orders,taxable,tax\n';
+
+    return header + report.rows.map(row => [
+      quote(row.period),
+      quote(row.country),
+      quote(row.state),
+      quote(row.jurisdiction),
+      quote(row.type),
+      row.rate,
+      row.orders,
+      row.taxable.toFixed(2),
+      row.tax.toFixed(2)
+    ].join(',')).join('\n') + (report.rows.length ? '\n' : '');
+  }
+
+  /**
+   * Take cents off lines in proportion to their amount, the last line
+   * taking what rounding leaves
+   * @private
+   */
+  _spread(lines, cents) {
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    let remaining = cents;
+
+    lines.forEach((line, index) => {
+      const share = index === lines.length - 1
+        ? remaining
+        : Math.round(cents * line.amount / total);
+
+      line.amount -= Math.min(share, line.amount);
+      remaining -= share;
+    });
+  }
+
+  /**
+   * Normalize an address from the cart or checkout
+   * @private
+   */
+  _address(address = {}) {
+    return {
+      country: String(address?.country || '').toUpperCase(),
+      state: String(address?.state || address?.region || '').trim().toUpperCase(),
+      zip: String(address?.zip || address?.postal_code || '').trim()
+    };
+  }
+
+  /**
+   * A stored tax line in cents
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      country: row.country,
+      state: row.state,
+      jurisdiction: row.jurisdiction,
+      type: row.jurisdiction_type,
+      rate: Number(row.rate),
+      taxable: row.taxable_amount === null || row.taxable_amount === undefined
+        ? null
+        : Math.round(Number(row.taxable_amount) * 100),
+      amount: Math.round(Number(row.tax_amount) * 100)
+    };
+  }
+
+  /**
+   * Dates without a time include the whole day
+   * @private
+   */
+  _endOfDay(date) {
+    const end = new Date(date);
+
+    if (end.getUTCHours() === 0 && end.getUTCMinutes() === 0 && end.getUTCSeconds() === 0 && end.getUTCMilliseconds() === 0) {
+      end.setUTCDate(end.getUTCDate() + 1);
+    }
+
+    return end;
+  }
+
+  /**
+   * @private
+   */
+  _periodOf(date, period) {
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+
+    switch (period) {
+      case 'day':
+        return date.toISOString().slice(0, 10);
+      case 'quarter':
+        return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+      case 'year':
+        return String(year);
+      default:
+        return `${year}-${month}`;
+    }
+  }
+}
+
+module.exports = new TaxService();
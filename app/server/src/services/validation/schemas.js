@@ -98,6 +98,389 @@ const passwordReset = Joi.object({
   newPassword: password.required()
 });
 
+// Category schemas
+const slug = Joi.string().max(120).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/);
+
+const categoryCreate = Joi.object({
+  name: Joi.string().required().min(1).max(100),
+  slug,
+  description: Joi.string().allow('', null).max(2000),
+  image_url: Joi.string().uri().allow('', null).max(1024),
+  parent_id: id.allow(null),
+  display_order: Joi.number().integer().min(0),
+  is_active: isActive
+});
+
+const categoryUpdate = Joi.object({
+  name: Joi.string().min(1).max(100),
+  slug,
+  description: Joi.string().allow('', null).max(2000),
+  image_url: Joi.string().uri().allow('', null).max(1024),
+  parent_id: id.allow(null),
+  display_order: Joi.number().integer().min(0),
+  is_active: isActive
+}).min(1);
+
+const categoryRuleCreate = Joi.object({
+  rule_type: Joi.string().required().valid('tag', 'blueprint'),
+  match_value: Joi.alternatives().try(Joi.string().max(100), Joi.number().integer()).required()
+});
+
+const shippingAddress = Joi.object({
+  country: Joi.string().required().length(2).uppercase(),
+  region: Joi.string().allow('').max(100),
+  zip: Joi.string().allow('').max(20)
+});
+
+const cartItems = Joi.array().min(1).max(100).items(Joi.object({
+  id: Joi.string().required(),
+  variantId: Joi.alternatives().try(Joi.string(), Joi.number().integer()).required(),
+  quantity: Joi.number().integer().min(1).max(100).required(),
+  // Unit price in dollars the storefront displayed; compared, never charged
+  price: Joi.number().min(0)
+}).unknown(true));
+
+// ISO 4217 code of a currency we sell in; the base currency when left out
+const currencyCode = Joi.string().trim().length(3).uppercase();
+
+const shippingQuote = Joi.object({
+  items: cartItems.required(),
+  address: shippingAddress.required(),
+  currency: currencyCode
+});
+
+const cartValidate = Joi.object({
+  items: cartItems.required()
+});
+
+// Dashes and spaces are ignored, so codes can be typed as printed
+const giftCardCode = Joi.string().trim().max(32);
+
+const cartPreview = Joi.object({
+  items: cartItems.required(),
+  promotionCode: Joi.string().trim().max(50).allow(''),
+  giftCardCode: giftCardCode.allow(''),
+  // Signed-in customers only
+  useStoreCredit: Joi.boolean(),
+  // Without an address the preview leaves shipping out
+  shippingAddress: shippingAddress,
+  // Lets guests see whether they already used a code
+  email: Joi.string().trim().email(),
+  currency: currencyCode
+});
+
+const checkout = Joi.object({
+  items: cartItems.required(),
+  shippingAddress: shippingAddress.required(),
+  // Required from guests, who get their order link by email (see paymentController)
+  email: Joi.string().trim().email().max(255),
+  currency: currencyCode,
+  promotionCode: Joi.string().trim().max(50).allow(''),
+  giftCardCode: giftCardCode.allow(''),
+  // Signed-in customers only
+  useStoreCredit: Joi.boolean(),
+  // Stripe customer ID of a signed-in customer
+  customerId: Joi.string().trim().max(255),
+  // Guest cart restored from a recovery link
+  cartId: Joi.string().trim().guid()
+});
+
+// Units of the currency per unit of the base currency
+const exchangeRateUpdate = Joi.object({
+  rate: Joi.number().positive().precision(8).required()
+});
+
+const promotionFields = {
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(3).max(50),
+  description: Joi.string().trim().max(500).allow('', null),
+  type: Joi.string().valid('percent', 'fixed', 'free_shipping'),
+  // Percent off, or dollars off; not used by free shipping
+  value: Joi.number().positive().precision(2).allow(null),
+  min_subtotal: Joi.number().min(0).precision(2).allow(null),
+  product_ids: Joi.array().items(Joi.string().trim()).max(500).allow(null),
+  category_slugs: Joi.array().items(Joi.string().trim().lowercase()).max(100).allow(null),
+  usage_limit: Joi.number().integer().min(1).allow(null),
+  usage_limit_per_user: Joi.number().integer().min(1).allow(null),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null),
+  is_active: Joi.boolean()
+};
+
+const promotionCreate = Joi.object({
+  ...promotionFields,
+  code: promotionFields.code.required(),
+  type: promotionFields.type.required()
+});
+
+const promotionUpdate = Joi.object(promotionFields).min(1);
+
+const giftCardBalance = Joi.object({
+  code: giftCardCode.required()
+});
+
+const giftCardPurchase = Joi.object({
+  // Dollars; the range is checked against the shop's configuration
+  amount: Joi.number().positive().precision(2).required(),
+  recipientEmail: Joi.string().trim().email().max(255),
+  recipientName: Joi.string().trim().max(100).allow(''),
+  message: Joi.string().trim().max(500).allow(''),
+  // Purchaser email of guests
+  email: Joi.string().trim().email().max(255)
+});
+
+const giftCardIssue = Joi.object({
+  kind: Joi.string().valid('gift_card', 'store_credit').default('store_credit'),
+  amount: Joi.number().positive().precision(2).required(),
+  email: Joi.string().trim().email().max(255),
+  userId: Joi.string().guid(),
+  expiresAt: Joi.date().iso().allow(null),
+  note: Joi.string().trim().max(500).allow('')
+}).or('email', 'userId');
+
+const giftCardAdjust = Joi.object({
+  // Dollars to add; negative to take off
+  amount: Joi.number().precision(2).invalid(0).required(),
+  note: Joi.string().trim().max(500).required()
+});
+
+const giftCardUpdate = Joi.object({
+  status: Joi.string().valid('active', 'disabled'),
+  expires_at: Joi.date().iso().allow(null),
+  recipient_email: Joi.string().trim().email().max(255),
+  recipient_name: Joi.string().trim().max(100).allow('', null)
+}).min(1);
+
+const giftCardResend = Joi.object({
+  // Send to this address instead of the recipient on file
+  email: Joi.string().trim().email().max(255)
+});
+
+const giftCardListQuery = Joi.object({
+  kind: Joi.string().valid('gift_card', 'store_credit'),
+  status: Joi.string().valid('pending', 'active', 'disabled'),
+  email: Joi.string().trim().email(),
+  last4: Joi.string().trim().alphanum().length(4),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const productSubscription = Joi.object({
+  productId: Joi.string().trim().max(64).required(),
+  // Omit to hear about the launch of the product
+  variantId: Joi.number().integer().positive()
+});
+
+const productUnsubscribe = Joi.object({
+  subscriptionId: Joi.string().trim().guid().required(),
+  token: Joi.string().trim().hex().length(64).required()
+});
+
+const preorderCheckout = Joi.object({
+  productId: Joi.string().trim().max(64).required(),
+  variantId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().min(1).max(100).default(1),
+  shippingAddress: shippingAddress.required()
+});
+
+const preorderSettings = Joi.object({
+  enabled: Joi.boolean(),
+  payment: Joi.string().valid('full', 'deposit'),
+  // Share of the price charged at checkout; the configured default when left out
+  depositPercent: Joi.number().integer().min(1).max(99),
+  expectedReleaseAt: Joi.date().iso().allow(null)
+}).min(1);
+
+const preorderCancel = Joi.object({
+  reason: Joi.string().trim().max(500).allow('')
+});
+
+const reviewPhotos = Joi.array().max(10).items(Joi.object({
+  filename: Joi.string().trim().required().max(255),
+  contentType: Joi.string().required().valid('image/jpeg', 'image/png', 'image/webp'),
+  // Base64, optionally as a data URL
+  data: Joi.string().required()
+}));
+
+const reviewCreate = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().max(150).allow(''),
+  body: Joi.string().trim().max(5000).allow(''),
+  photos: reviewPhotos
+});
+
+const reviewUpdate = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().max(150).allow(''),
+  body: Joi.string().trim().max(5000).allow('')
+}).min(1);
+
+const reviewListQuery = Joi.object({
+  sort: Joi.string().valid('newest', 'oldest', 'highest', 'lowest').default('newest'),
+  rating: Joi.number().integer().min(1).max(5),
+  withPhotos: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const reviewReport = Joi.object({
+  reason: Joi.string().required().valid('spam', 'offensive', 'off_topic', 'fake', 'other'),
+  details: Joi.string().trim().max(1000).allow('')
+});
+
+const reviewModeration = Joi.object({
+  action: Joi.string().required().valid('approve', 'reject'),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+const wishlistCreate = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  // Email when saved options drop in price or come back in stock
+  notifyChanges: Joi.boolean()
+});
+
+const wishlistUpdate = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  notifyChanges: Joi.boolean()
+}).min(1);
+
+const wishlistItem = Joi.object({
+  productId: Joi.string().trim().max(64).required(),
+  variantId: Joi.number().integer().positive().required(),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+const wishlistItemUpdate = Joi.object({
+  note: Joi.string().trim().max(500).allow('').required()
+});
+
+// Cart version the device last saw; changes made on an older one are refused
+const cartVersion = Joi.number().integer().min(0);
+
+// An emptied cart is saved too
+const cartSave = Joi.object({
+  items: cartItems.min(0).required(),
+  version: cartVersion
+});
+
+const cartItemAdd = Joi.object({
+  id: Joi.string().required(),
+  variantId: Joi.alternatives().try(Joi.string(), Joi.number().integer()).required(),
+  quantity: Joi.number().integer().min(1).max(100).required(),
+  version: cartVersion
+});
+
+// Quantity 0 removes the line
+const cartItemUpdate = Joi.object({
+  quantity: Joi.number().integer().min(0).max(100).required(),
+  version: cartVersion
+});
+
+const cartVersionQuery = Joi.object({
+  version: cartVersion
+});
+
+// The cart built before signing in
+const cartMerge = Joi.object({
+  items: cartItems.min(0).required()
+});
+
+const cartRecover = Joi.object({
+  cartId: Joi.string().trim().guid().required(),
+  token: Joi.string().trim().hex().length(64).required()
+});
+
+const orderCancel = Joi.object({
+  reason: Joi.string().trim().max(500).allow('')
+});
+
+const orderLookup = Joi.object({
+  email: Joi.string().trim().email().required().max(255),
+  // Order ID as shown in order emails, optionally prefixed with '#'
+  orderNumber: Joi.string().trim().required().max(64)
+});
+
+// Token from the link emailed for a guest order
+const orderAccess = Joi.object({
+  orderId: Joi.string().trim().guid().required(),
+  token: Joi.string().trim().hex().length(64).required()
+});
+
+// Without a link, claims every guest order placed with the account's email
+const orderClaim = Joi.object({
+  orderId: Joi.string().trim().guid(),
+  token: Joi.string().trim().hex().length(64)
+}).and('orderId', 'token');
+
+const orderShippingAddress = Joi.object({
+  name: Joi.string().trim().required().max(200),
+  line1: Joi.string().trim().required().max(200),
+  line2: Joi.string().trim().allow('').max(200),
+  city: Joi.string().trim().required().max(100),
+  state: Joi.string().trim().allow('').max(100),
+  postal_code: Joi.string().trim().allow('').max(20),
+  country: Joi.string().required().length(2).uppercase()
+});
+
+const returnRequest = Joi.object({
+  orderId: Joi.string().guid().required(),
+  items: Joi.array().min(1).max(50).required().items(Joi.object({
+    orderItemId: Joi.string().guid().required(),
+    quantity: Joi.number().integer().min(1).max(100).required()
+  })),
+  reasonCode: Joi.string().required().valid(
+    'damaged', 'defective', 'misprint', 'wrong_item', 'wrong_size', 'not_as_described', 'other'
+  ),
+  description: Joi.string().trim().max(2000).allow(''),
+  photos: Joi.array().max(10).items(Joi.object({
+    filename: Joi.string().trim().required().max(255),
+    contentType: Joi.string().required().valid('image/jpeg', 'image/png', 'image/webp'),
+    // Base64, optionally as a data URL
+    data: Joi.string().required()
+  }))
+});
+
+const returnApproval = Joi.object({
+  resolution: Joi.string().required().valid('refund', 'reprint'),
+  notes: Joi.string().trim().max(2000).allow('')
+});
+
+const returnNotes = Joi.object({
+  notes: Joi.string().trim().max(2000).allow('')
+});
+
+const returnRefund = Joi.object({
+  // Dollars; defaults to the price of the returned lines
+  amount: Joi.number().positive().precision(2),
+  // Refunds the whole amount one way; by default the card gets back what it
+  // can and the rest is issued as store credit
+  method: Joi.string().valid('original_payment', 'store_credit')
+});
+
+const orderRefund = Joi.object({
+  // Dollars; defaults to what is left on the line or the order
+  amount: Joi.number().positive().precision(2),
+  refundAll: Joi.boolean(),
+  orderItemId: Joi.string().guid(),
+  quantity: Joi.number().integer().min(1).max(100),
+  reason: Joi.string().valid('duplicate', 'fraudulent', 'requested_by_customer'),
+  note: Joi.string().trim().max(500).allow(''),
+  // store_credit issues the amount as store credit instead of refunding the card
+  method: Joi.string().valid('original_payment', 'store_credit')
+}).with('quantity', 'orderItemId');
+
+const packingSlips = Joi.object({
+  // Our order IDs or Printify order IDs
+  orderIds: Joi.array().items(Joi.string().trim().max(64)).min(1).max(100).unique().required()
+});
+
+const taxReportQuery = Joi.object({
+  from: Joi.date().iso(),
+  // Included; a date without a time covers the whole day
+  to: Joi.date().iso().min(Joi.ref('from')),
+  period: Joi.string().valid('day', 'month', 'quarter', 'year').default('month'),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
 module.exports = {
   userRegistration,
   userLogin,
@@ -110,5 +493,54 @@ module.exports = {
   rolePermissionsUpdate,
   userRolesUpdate,
   forgotPassword,
-  passwordReset
+  passwordReset,
+  categoryCreate,
+  categoryUpdate,
+  categoryRuleCreate,
+  shippingQuote,
+  cartValidate,
+  cartPreview,
+  checkout,
+  exchangeRateUpdate,
+  cartSave,
+  cartItemAdd,
+  cartItemUpdate,
+  cartVersionQuery,
+  cartMerge,
+  cartRecover,
+  orderCancel,
+  promotionCreate,
+  promotionUpdate,
+  giftCardBalance,
+  giftCardPurchase,
+  giftCardIssue,
+  giftCardAdjust,
+  giftCardUpdate,
+  giftCardResend,
+  giftCardListQuery,
+  productSubscription,
+  productUnsubscribe,
+  preorderCheckout,
+  preorderSettings,
+  preorderCancel,
+  reviewCreate,
+  reviewUpdate,
+  reviewListQuery,
+  reviewReport,
+  reviewModeration,
+  wishlistCreate,
+  wishlistUpdate,
+  wishlistItem,
+  wishlistItemUpdate,
+  orderLookup,
+  orderAccess,
+  orderClaim,
+  orderShippingAddress,
+  returnRequest,
+  returnApproval,
+  returnNotes,
+  returnRefund,
+  orderRefund,
+  packingSlips,
+  taxReportQuery
 };
@@ -0,0 +1,644 @@
+/**
+ * Wishlist Service
+ *
+ * Named wishlists of product options that signed-in customers save for
+ * later, each with an optional note. A list can be shared through a link
+ * with a random token, which anyone can open until the customer stops
+ * sharing it.
+ *
+ * Lists with `notify_changes` on get price-drop and back-in-stock emails.
+ * Catalog changes, from the scheduled sync and from Printify webhooks alike,
+ * arrive as catalog events. An option that comes back in stock, or whose
+ * price drops by at least `features.wishlists.minPriceDropPercent` from the
+ * price the customer last saw, gets an alert. A scheduled job emails the
+ * alerts in batches, one email per customer.
+ *
+ * @module services/wishlistService
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Wishlist, WishlistItem, User } = require('../models');
+const catalogService = require('./catalogService');
+const currencyService = require('./currencyService');
+const eventService = require('./EventService');
+const { CATALOG_EVENTS } = require('./catalogSyncService');
+const schedulerService = require('./schedulerService');
+const EmailService = require('./emailService');
+const applicationConfig = require('../../config/application');
+const { createError, createNotFoundError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const SCHEDULE_JOB_NAME = 'wishlist-alerts';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  maxLists: 20,
+  maxItemsPerList: 100,
+  // Smaller drops do not trigger an email
+  minPriceDropPercent: 5,
+  alertPollMinutes: 15,
+  // Wishlist items emailed about per run of the job
+  batchSize: 200
+};
+
+class WishlistService {
+  constructor() {
+    this.logger = logger.child({ component: 'WishlistService' });
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...(applicationConfig.features?.wishlists || {})
+    };
+
+    this._subscribe();
+  }
+
+  /**
+   * A customer's wishlists with their items
+   *
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getWishlists(userId) {
+    const wishlists = await Wishlist.findAll({
+      where: { user_id: userId },
+      include: [{ model: WishlistItem, as: 'items' }],
+      order: [['created_at', 'ASC'], [{ model: WishlistItem, as: 'items' }, 'created_at', 'DESC']]
+    });
+
+    return this._present(wishlists);
+  }
+
+  /**
+   * One of a customer's wishlists with its items
+   *
+   * @param {string} userId
+   * @param {string} wishlistId
+   * @returns {Promise<Object>}
+   * @throws {APIError} 404 when the customer has no such list
+   */
+  async getWishlist(userId, wishlistId) {
+    const wishlist = await this._findOwned(userId, wishlistId, { withItems: true });
+    const [presented] = await this._present([wishlist]);
+
+    return presented;
+  }
+
+  /**
+   * Open a shared wishlist
+   * Shows the list, its items and the owner's first name; not whether they
+   * get emails.
+   *
+   * @param {string} token
+   * @returns {Promise<Object>} { name, ownerName, items }
+   * @throws {APIError} 404 for a list that is not shared (any more)
+   */
+  async getSharedWishlist(token) {
+    const wishlist = await Wishlist.findOne({
+      where: { share_token: String(token) },
+      include: [
+        { model: WishlistItem, as: 'items' },
+        { model: User, as: 'user', attributes: ['first_name'] }
+      ],
+      order: [[{ model: WishlistItem, as: 'items' }, 'created_at', 'DESC']]
+    });
+
+    if (!wishlist) {
+      throw createError('This wishlist is not shared', 404, null, 'This wishlist link is no longer valid.');
+    }
+
+    const [presented] = await this._present([wishlist]);
+
+    return {
+      name: presented.name,
+      ownerName: wishlist.user?.first_name || null,
+      items: presented.items.map(({ id, product_id, variant_id, note, product }) => ({
+        id,
+        product_id,
+        variant_id,
+        note,
+        product
+      }))
+    };
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {boolean} [data.notifyChanges=false]
+   * @returns {Promise<Object>} The Wishlist
+   * @throws {APIError} 409 at `maxLists` lists
+   */
+  async createWishlist(userId, { name, notifyChanges = false }) {
+    const count = await Wishlist.count({ where: { user_id: userId } });
+
+    if (count >= this.config.maxLists) {
+      throw createError('Too many wishlists', 409, { maxLists: this.config.maxLists },
+        `You can have up to ${this.config.maxLists} wishlists.`);
+    }
+
+    const wishlist = await Wishlist.create({
+      user_id: userId,
+      name,
+      notify_changes: notifyChanges
+    });
+
+    const [presented] = await this._present([wishlist]);
+
+    return presented;
+  }
+
+  /**
+   * Rename a wishlist or turn its emails on or off
+   *
+   * @param {string} userId
+   * @param {string} wishlistId
+   * @param {Object} changes - { name?, notifyChanges? }
+   * @returns {Promise<Object>}
+   */
+  async updateWishlist(userId, wishlistId, { name, notifyChanges }) {
+    const wishlist = await this._findOwned(userId, wishlistId);
+    const updates = {};
+
+    if (name !== undefined) updates.name = name;
+    if (notifyChanges !== undefined) updates.notify_changes = notifyChanges;
+
+    await wishlist.update(updates);
+
+    // Alerts found while the emails were off are not sent later
+    if (notifyChanges === false) {
+      await WishlistItem.update(
+        { alert: null, alert_at: null },
+        { where: { wishlist_id: wishlist.id, alert: { [Op.ne]: null } } }
+      );
+    }
+
+    return this.getWishlist(userId, wishlistId);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} wishlistId
+   */
+  async deleteWishlist(userId, wishlistId) {
+    const wishlist = await this._findOwned(userId, wishlistId);
+
+    await WishlistItem.destroy({ where: { wishlist_id: wishlist.id } });
+    await wishlist.destroy();
+  }
+
+  /**
+   * Save a product option on a wishlist
+   * Saving an option that is already on the list updates its note.
+   *
+   * @param {string} userId
+   * @param {string} wishlistId
+   * @param {Object} entry
+   * @param {string} entry.productId
+   * @param {number} entry.variantId
+   * @param {string} [entry.note]
+   * @returns {Promise<Object>} The WishlistItem
+   * @throws {APIError} 404 for an unknown or unpublished product or option,
+   *   409 at `maxItemsPerList` items
+   */
+  async addItem(userId, wishlistId, { productId, variantId, note }) {
+    const wishlist = await this._findOwned(userId, wishlistId);
+    const product = await catalogService.getProduct(null, productId);
+
+    if (!product || !product.visible) {
+      throw createNotFoundError('Product', productId);
+    }
+
+    const variant = product.variants.find(entry => entry.id === Number(variantId));
+
+    if (!variant || variant.is_enabled === false) {
+      throw createNotFoundError('Variant', variantId);
+    }
+
+    const where = { wishlist_id: wishlist.id, product_id: String(productId), variant_id: Number(variantId) };
+    const existing = await WishlistItem.findOne({ where });
+
+    if (existing) {
+      if (note !== undefined) await existing.update({ note: note || null });
+      return existing;
+    }
+
+    const count = await WishlistItem.count({ where: { wishlist_id: wishlist.id } });
+
+    if (count >= this.config.maxItemsPerList) {
+      throw createError('Wishlist is full', 409, { maxItemsPerList: this.config.maxItemsPerList },
+        `A wishlist can hold up to ${this.config.maxItemsPerList} items.`);
+    }
+
+    return WishlistItem.create({
+      ...where,
+      note: note || null,
+      price_seen: variant.price,
+      available_seen: this.isAvailable(product, variant.id)
+    });
+  }
+
+  /**
+   * Change the note of a saved item
+   *
+   * @param {string} userId
+   * @param {string} wishlistId
+   * @param {string} itemId
+   * @param {Object} changes - { note }
+   * @returns {Promise<Object>} The WishlistItem
+   */
+  async updateItem(userId, wishlistId, itemId, { note }) {
+    const item = await this._findOwnedItem(userId, wishlistId, itemId);
+
+    await item.update({ note: note || null });
+
+    return item;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} wishlistId
+   * @param {string} itemId
+   */
+  async removeItem(userId, wishlistId, itemId) {
+    const item = await this._findOwnedItem(userId, wishlistId, itemId);
+
+    await item.destroy();
+  }
+
+  /**
+   * Share a wishlist, or get a new link for it
+   * A new link stops the old one from working.
+   *
+   * @param {string} userId
+   * @param {string} wishlistId
+   * @returns {Promise<Object>} { shareToken, shareUrl }
+   */
+  async share(userId, wishlistId) {
+    const wishlist = await this._findOwned(userId, wishlistId);
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await wishlist.update({ share_token: token });
+
+    return { shareToken: token, shareUrl: this.getShareUrl(token) };
+  }
+
+  /**
+   * Stop sharing a wishlist
+   *
+   * @param {string} userId
+   * @param {string} wishlistId
+   */
+  async unshare(userId, wishlistId) {
+    const wishlist = await this._findOwned(userId, wishlistId);
+
+    await wishlist.update({ share_token: null });
+  }
+
+  /**
+   * Whether a product option can be bought
+   *
+   * @param {Object} product - Product from catalogService
+   * @param {number} variantId
+   * @returns {boolean}
+   */
+  isAvailable(product, variantId) {
+    if (!product || !product.visible) return false;
+
+    const variant = product.variants.find(entry => entry.id === Number(variantId));
+    return !!variant && variant.is_enabled !== false && variant.is_available !== false;
+  }
+
+  /**
+   * Compare a product's saved options with the catalog
+   * Options on lists with emails on that came back in stock or dropped in
+   * price get an alert. Elsewhere the last seen price and availability
+   * follow the catalog.
+   *
+   * @param {string} productId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<number>} Number of new alerts
+   */
+  async checkProduct(productId, { now = new Date() } = {}) {
+    const items = await WishlistItem.findAll({
+      where: { product_id: String(productId) },
+      include: [{ model: Wishlist, as: 'wishlist', attributes: ['id', 'notify_changes'] }]
+    });
+
+    if (!items.length) return 0;
+
+    const product = await catalogService.getProduct(null, productId);
+    let alerts = 0;
+
+    for (const item of items) {
+      // Already waiting for the next email
+      if (item.alert) continue;
+
+      const notify = !!item.wishlist?.notify_changes;
+      const current = this._state(product, item.variant_id);
+      const updates = {};
+
+      if (notify && current.available) {
+        if (!item.available_seen) {
+          updates.alert = 'back_in_stock';
+        } else if (this._isPriceDrop(item.price_seen, current.price)) {
+          updates.alert = 'price_drop';
+        }
+      }
+
+      if (updates.alert) {
+        updates.alert_at = now;
+        alerts++;
+      } else {
+        if (current.available !== item.available_seen) updates.available_seen = current.available;
+
+        // Small drops add up: with emails on, only a rise moves the price we compare with
+        const priceChanged = current.price !== null && current.price !== item.price_seen;
+        if (priceChanged && (!notify || item.price_seen === null || current.price > item.price_seen)) {
+          updates.price_seen = current.price;
+        }
+      }
+
+      if (Object.keys(updates).length) {
+        await item.update(updates);
+      }
+    }
+
+    if (alerts) {
+      this.logger.info(`${alerts} wishlist alerts`, { productId });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Email the next batch of wishlist alerts, one email per customer
+   * Alerts the catalog no longer bears out, e.g. an option that sold out
+   * again, are dropped.
+   *
+   * @returns {Promise<Object>} { sent, failed, skipped }
+   */
+  async sendAlerts() {
+    const items = await WishlistItem.findAll({
+      where: { alert: { [Op.ne]: null } },
+      include: [{
+        model: Wishlist,
+        as: 'wishlist',
+        attributes: ['id', 'user_id', 'notify_changes'],
+        include: [{ model: User, as: 'user', attributes: ['id', 'email', 'first_name'] }]
+      }],
+      order: [['alert_at', 'ASC']],
+      limit: this.config.batchSize
+    });
+
+    const result = { sent: 0, failed: 0, skipped: 0 };
+    const products = new Map();
+    const groups = new Map();
+
+    for (const item of items) {
+      const userId = item.wishlist.user_id;
+      if (!groups.has(userId)) groups.set(userId, []);
+      groups.get(userId).push(item);
+    }
+
+    for (const group of groups.values()) {
+      const changes = [];
+
+      for (const item of group) {
+        if (!products.has(item.product_id)) {
+          products.set(item.product_id, await catalogService.getProduct(null, item.product_id));
+        }
+
+        const product = products.get(item.product_id);
+        const current = this._state(product, item.variant_id);
+        const stillTrue = item.wishlist.notify_changes && current.available && (
+          item.alert === 'back_in_stock' || this._isPriceDrop(item.price_seen, current.price)
+        );
+
+        if (!stillTrue) {
+          await item.update({ alert: null, alert_at: null, available_seen: current.available, price_seen: current.price ?? item.price_seen });
+          result.skipped++;
+          continue;
+        }
+
+        changes.push({ item, product, current });
+      }
+
+      if (!changes.length) continue;
+
+      const user = group[0].wishlist.user;
+
+      try {
+        // Sent first: a failed email leaves the alerts for the next run
+        await EmailService.sendWishlistAlertEmail(
+          { email: user.email, firstName: user.first_name },
+          changes.map(({ item, product, current }) => ({
+            kind: item.alert,
+            title: product.title,
+            variantTitle: product.variants.find(variant => variant.id === item.variant_id)?.title || null,
+            previousPrice: item.price_seen / 100,
+            price: current.price / 100,
+            url: this.getProductUrl(item.product_id)
+          })),
+          currencyService.getBaseCurrency(),
+          this.getWishlistsUrl()
+        );
+
+        const now = new Date();
+
+        for (const { item, current } of changes) {
+          await item.update({
+            alert: null,
+            alert_at: null,
+            notified_at: now,
+            available_seen: true,
+            price_seen: current.price
+          });
+        }
+
+        result.sent++;
+      } catch (error) {
+        this.logger.error('Failed to send wishlist alert email', {
+          userId: user.id,
+          itemIds: changes.map(({ item }) => item.id),
+          error: error.message
+        });
+        result.failed++;
+      }
+    }
+
+    if (items.length) {
+      this.logger.info('Wishlist alerts sent', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {string} token
+   * @returns {string}
+   */
+  getShareUrl(token) {
+    return `${process.env.CLIENT_URL}/wishlists/shared/${token}`;
+  }
+
+  /**
+   * @param {string} productId
+   * @returns {string}
+   */
+  getProductUrl(productId) {
+    return `${process.env.CLIENT_URL}/product/${encodeURIComponent(productId)}`;
+  }
+
+  /**
+   * Page where customers manage their wishlists and their emails
+   * @returns {string}
+   */
+  getWishlistsUrl() {
+    return `${process.env.CLIENT_URL}/dashboard/wishlists`;
+  }
+
+  /**
+   * Register the alert job with the scheduler
+   */
+  registerSchedule() {
+    if (this.config.enabled === false) {
+      this.logger.info('Wishlists are disabled in configuration');
+      return;
+    }
+
+    schedulerService.register(SCHEDULE_JOB_NAME, {
+      intervalMs: this.config.alertPollMinutes * 60 * 1000,
+      handler: () => this.sendAlerts()
+    });
+  }
+
+  /**
+   * Lists with each item's product as the storefront shows it
+   * @private
+   */
+  async _present(wishlists) {
+    const productIds = new Set();
+
+    for (const wishlist of wishlists) {
+      for (const item of wishlist.items || []) productIds.add(item.product_id);
+    }
+
+    const products = new Map(await Promise.all(
+      Array.from(productIds).map(async productId => [productId, await catalogService.getProduct(null, productId)])
+    ));
+
+    return wishlists.map(wishlist => {
+      const { share_token: shareToken, items = [], user, ...values } = wishlist.toJSON();
+
+      return {
+        ...values,
+        shared: !!shareToken,
+        shareUrl: shareToken ? this.getShareUrl(shareToken) : null,
+        items: items.map(item => ({
+          ...item,
+          product: this._summary(products.get(item.product_id), item.variant_id)
+        }))
+      };
+    });
+  }
+
+  /**
+   * What a wishlist shows of a saved option; null once the product is gone
+   * @private
+   */
+  _summary(product, variantId) {
+    if (!product) return null;
+
+    const variant = product.variants.find(entry => entry.id === Number(variantId));
+    const image = (product.images || []).find(entry => entry.variant_ids?.includes(Number(variantId)))
+      || (product.images || []).find(entry => entry.is_default)
+      || product.images?.[0];
+
+    return {
+      id: product.id,
+      title: product.title,
+      image: image?.src || null,
+      visible: product.visible,
+      variant: variant
+        ? { id: variant.id, title: variant.title, price: variant.price }
+        : null,
+      available: this.isAvailable(product, variantId)
+    };
+  }
+
+  /**
+   * Price in cents and availability of an option in the catalog
+   * @private
+   */
+  _state(product, variantId) {
+    const variant = product?.variants.find(entry => entry.id === Number(variantId));
+
+    return {
+      price: variant ? variant.price : null,
+      available: this.isAvailable(product, variantId)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _isPriceDrop(previous, current) {
+    if (previous === null || previous === undefined || current === null) return false;
+
+    return current < previous && (previous - current) / previous * 100 >= this.config.minPriceDropPercent;
+  }
+
+  /**
+   * @private
+   */
+  async _findOwned(userId, wishlistId, { withItems = false } = {}) {
+    const wishlist = await Wishlist.findOne({
+      where: { id: wishlistId, user_id: userId },
+      ...(withItems && {
+        include: [{ model: WishlistItem, as: 'items' }],
+        order: [[{ model: WishlistItem, as: 'items' }, 'created_at', 'DESC']]
+      })
+    });
+
+    if (!wishlist) {
+      throw createNotFoundError('Wishlist', wishlistId);
+    }
+
+    return wishlist;
+  }
+
+  /**
+   * @private
+   */
+  async _findOwnedItem(userId, wishlistId, itemId) {
+    const wishlist = await this._findOwned(userId, wishlistId);
+    const item = await WishlistItem.findOne({ where: { id: itemId, wishlist_id: wishlist.id } });
+
+    if (!item) {
+      throw createNotFoundError('Wishlist item', itemId);
+    }
+
+    return item;
+  }
+
+  /**
+   * Check saved options whenever the catalog sync or a webhook changes a product
+   * @private
+   */
+  _subscribe() {
+    const check = async ({ productId }) => {
+      try {
+        await this.checkProduct(productId);
+      } catch (error) {
+        this.logger.error('Failed to check wishlist items', { productId, error: error.message });
+      }
+    };
+
+    eventService.on(CATALOG_EVENTS.PRODUCT_UPDATED, check);
+  }
+}
+
+module.exports = new WishlistService();
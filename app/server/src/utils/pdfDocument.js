@@ -0,0 +1,347 @@
+const zlib = require('zlib');
+
+/**
+ * PdfDocument writes simple text-and-line PDF documents (invoices, packing
+ * slips) without any external dependency.
+ *
+ * It uses the standard Helvetica fonts every PDF reader ships with, so
+ * nothing is embedded and text is limited to the WinAnsi (Latin-1) character
+ * set. Coordinates are in points from the top-left corner of the page.
+ *
+ * @example
+ * const doc = new PdfDocument();
+ * doc.addPage();
+ * doc.text('Invoice', 50, 50, { font: 'bold', size: 18 });
+ * doc.line(50, 80, 562, 80);
+ * const buffer = doc.toBuffer();
+ */
+
+// US Letter
+const PAGE_SIZE = [612, 792];
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) of character codes 32-126, from the standard
+// Helvetica font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Width used for Latin-1 characters above the ASCII range
+const DEFAULT_WIDTH = 556;
+
+// Characters WinAnsiEncoding places in the 0x80-0x9F range
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96,
+  '—': 0x97, '™': 0x99
+};
+
+class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.size] - Page size in points ([width, height])
+   * @param {Object} [options.info] - Document info ({ title, author, subject })
+   */
+  constructor({ size = PAGE_SIZE, info = {} } = {}) {
+    this.width = size[0];
+    this.height = size[1];
+    this.info = info;
+    this.pages = [];
+    this.current = -1;
+  }
+
+  /**
+   * Number of pages added so far
+   * @returns {number}
+   */
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Start a new page; later drawing goes to it
+   * @returns {PdfDocument}
+   */
+  addPage() {
+    this.pages.push([]);
+    this.current = this.pages.length - 1;
+    return this;
+  }
+
+  /**
+   * Go back to an earlier page, e.g. to add page numbers once the document
+   * is complete
+   * @param {number} index - Zero-based page index
+   * @returns {PdfDocument}
+   */
+  switchToPage(index) {
+    if (index < 0 || index >= this.pages.length) {
+      throw new RangeError(`Page ${index} does not exist`);
+    }
+
+    this.current = index;
+    return this;
+  }
+
+  /**
+   * Draw a line of text
+   *
+   * @param {string} value
+   * @param {number} x - Left edge (or right edge with align: 'right')
+   * @param {number} y - Top of the line
+   * @param {Object} [options]
+   * @param {string} [options.font='regular'] - 'regular' or 'bold'
+   * @param {number} [options.size=10] - Font size in points
+   * @param {string} [options.align='left'] - 'left' or 'right'
+   * @param {number} [options.maxWidth] - Truncate with an ellipsis to fit
+   * @param {string} [options.color] - Hex color, e.g. '#6c757d'
+   * @returns {PdfDocument}
+   */
+  text(value, x, y, { font = 'regular', size = 10, align = 'left', maxWidth, color } = {}) {
+    let text = String(value ?? '');
+    if (maxWidth) text = this.truncate(text, maxWidth, { font, size });
+    if (!text) return this;
+
+    const left = align === 'right' ? x - this.widthOfString(text, { font, size }) : x;
+    // PDF places text on its baseline, measured from the bottom of the page
+    const baseline = this.height - y - size * 0.8;
+
+    this._draw(
+      `BT ${this._fill(color)}/${FONTS[font].name} ${size} Tf ${this._n(left)} ${this._n(baseline)} Td (${this._escape(text)}) Tj ET`
+    );
+
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   *
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @param {Object} [options]
+   * @param {number} [options.width=0.5] - Line width in points
+   * @param {string} [options.color='#000000']
+   * @returns {PdfDocument}
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+    this._draw(
+      `${this._rgb(color)} RG ${this._n(width)} w ${this._n(x1)} ${this._n(this.height - y1)} m ${this._n(x2)} ${this._n(this.height - y2)} l S`
+    );
+
+    return this;
+  }
+
+  /**
+   * Draw a filled rectangle
+   *
+   * @param {number} x
+   * @param {number} y - Top edge
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} [options]
+   * @param {string} [options.color='#f8f9fa'] - Fill color
+   * @returns {PdfDocument}
+   */
+  rect(x, y, width, height, { color = '#f8f9fa' } = {}) {
+    this._draw(
+      `${this._rgb(color)} rg ${this._n(x)} ${this._n(this.height - y - height)} ${this._n(width)} ${this._n(height)} re f`
+    );
+
+    return this;
+  }
+
+  /**
+   * Width of a string in points
+   *
+   * @param {string} value
+   * @param {Object} [options]
+   * @param {string} [options.font='regular']
+   * @param {number} [options.size=10]
+   * @returns {number}
+   */
+  widthOfString(value, { font = 'regular', size = 10 } = {}) {
+    const widths = WIDTHS[font];
+    let total = 0;
+
+    for (const code of this._encode(String(value ?? ''))) {
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Shorten a string with an ellipsis so it fits a width
+   *
+   * @param {string} value
+   * @param {number} maxWidth - In points
+   * @param {Object} [options] - Font options, as for text()
+   * @returns {string}
+   */
+  truncate(value, maxWidth, options = {}) {
+    const text = String(value ?? '');
+    if (this.widthOfString(text, options) <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 0 && this.widthOfString(`${text.slice(0, end).trimEnd()}…`, options) > maxWidth) {
+      end -= 1;
+    }
+
+    return end > 0 ? `${text.slice(0, end).trimEnd()}…` : '';
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file contents
+   */
+  toBuffer() {
+    if (this.pages.length === 0) this.addPage();
+
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontIds = Object.fromEntries(Object.entries(FONTS).map(([key, font]) => [
+      key,
+      add(Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`))
+    ]));
+    const fontResources = Object.entries(FONTS)
+      .map(([key, font]) => `/${font.name} ${fontIds[key]} 0 R`)
+      .join(' ');
+
+    const pageIds = this.pages.map(operations => {
+      const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contentId = add(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+        content,
+        Buffer.from('\nendstream')
+      ]));
+
+      return add(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] `
+        + `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      ));
+    });
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    );
+
+    const infoEntries = Object.entries({ Title: this.info.title, Author: this.info.author, Subject: this.info.subject })
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} (${this._escape(value)})`);
+    const infoId = add(Buffer.from(`<< ${infoEntries.join(' ')} /Producer (ILYTAT) >>`, 'latin1'));
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((body, index) => {
+      const object = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      offsets.push(length);
+      chunks.push(object);
+      length += object.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`));
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * @private
+   */
+  _draw(operation) {
+    if (this.pages.length === 0) this.addPage();
+    this.pages[this.current].push(operation);
+  }
+
+  /**
+   * Map a string to WinAnsi character codes; unsupported characters become '?'
+   * @private
+   * @returns {number[]}
+   */
+  _encode(value) {
+    return Array.from(value, char => {
+      if (WIN_ANSI[char]) return WIN_ANSI[char];
+      const code = char.codePointAt(0);
+      if (code === 0x202f) return 0xa0; // Narrow no-break space used by Intl
+      return (code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+    });
+  }
+
+  /**
+   * Encode and escape a string for a PDF literal
+   * @private
+   */
+  _escape(value) {
+    return String.fromCharCode(...this._encode(String(value)))
+      .replace(/[\\()]/g, match => `\\${match}`);
+  }
+
+  /**
+   * @private
+   */
+  _fill(color) {
+    return `${this._rgb(color || '#000000')} rg `;
+  }
+
+  /**
+   * Convert a hex color to PDF RGB components
+   * @private
+   */
+  _rgb(color) {
+    const hex = String(color).replace('#', '');
+    return [0, 2, 4]
+      .map(offset => this._n(parseInt(hex.slice(offset, offset + 2), 16) / 255))
+      .join(' ');
+  }
+
+  /**
+   * Format a number for the content stream
+   * @private
+   */
+  _n(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+}
+
+module.exports = PdfDocument;
+module.exports.PAGE_SIZE = PAGE_SIZE;
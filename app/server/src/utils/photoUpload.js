@@ -0,0 +1,50 @@
+const { createError } = require('./errorHandler');
+
+/**
+ * Photos customers upload with returns and reviews. They arrive as base64
+ * in the JSON body and are checked by their bytes, not by the content type
+ * the client claims.
+ */
+
+// Magic bytes of the photo formats we accept
+const PHOTO_SIGNATURES = {
+  'image/jpeg': buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/png': buffer => buffer.length > 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a',
+  'image/webp': buffer => buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+};
+
+/**
+ * Decode and check an uploaded photo
+ * @param {Object} photo - { filename, contentType, data } with base64 (or
+ *   data URL) encoded data
+ * @param {Object} options
+ * @param {number} options.maxBytes
+ * @returns {Object} { filename, content_type, size, data }
+ * @throws {APIError} 400 for anything but a JPEG, PNG or WebP image, or one
+ *   that is too large
+ */
+const decodePhoto = ({ filename, contentType, data }, { maxBytes }) => {
+  const base64 = String(data).replace(/^data:[^;]+;base64,/, '');
+  const buffer = Buffer.from(base64, 'base64');
+  const matches = PHOTO_SIGNATURES[contentType];
+
+  if (!matches || !matches(buffer)) {
+    throw createError(`${filename} is not a JPEG, PNG or WebP image`, 400);
+  }
+
+  if (buffer.length > maxBytes) {
+    throw createError(`${filename} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`, 400);
+  }
+
+  return {
+    filename: String(filename).slice(0, 255),
+    content_type: contentType,
+    size: buffer.length,
+    data: buffer
+  };
+};
+
+module.exports = {
+  PHOTO_TYPES: Object.keys(PHOTO_SIGNATURES),
+  decodePhoto
+};
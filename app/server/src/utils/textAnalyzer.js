@@ -0,0 +1,124 @@
+/**
+ * TextAnalyzer - Utility for turning free text into search terms
+ *
+ * Used by the product search index. Text is lowercased, stripped of accents
+ * and punctuation, split into words, filtered for stop words and reduced to
+ * a simple stem so that "shirts", "shirt" and "shirting" match each other.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to',
+  'with', 'your', 'you'
+]);
+
+/**
+ * Split text into lowercase words without accents or punctuation
+ * @param {string} text - Text to split
+ * @returns {string[]} Words in order of appearance
+ */
+const tokenize = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .replace(/<[^>]*>/g, ' ') // Product descriptions are HTML
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Reduce an English word to a simple stem
+ * A small suffix stripper rather than a full Porter stemmer: good enough
+ * for product titles and tags, and predictable for typo matching.
+ * @param {string} word - Lowercase word
+ * @returns {string} The stem
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let result = word;
+
+  if (/(ss|sh|ch|x|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies') && result.length > 4) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) {
+    result = result.slice(0, -1);
+  } else if (result.endsWith('ing') && result.length > 5) {
+    result = collapseDouble(result.slice(0, -3));
+  } else if (result.endsWith('ed') && result.length > 4) {
+    result = collapseDouble(result.slice(0, -2));
+  } else if (result.endsWith('ly') && result.length > 4) {
+    result = result.slice(0, -2);
+  }
+
+  // "hoodie"/"hoodies" and "puppy"/"puppies" should end up the same
+  if (result.length > 4 && result.endsWith('e')) result = result.slice(0, -1);
+  if (result.length > 3 && result.endsWith('y')) result = `${result.slice(0, -1)}i`;
+
+  return result;
+};
+
+/**
+ * Collapse a trailing doubled consonant left by suffix stripping ("runn" -> "run")
+ * @private
+ */
+const collapseDouble = (word) => {
+  return /([^aeioulsz])\1$/.test(word) ? word.slice(0, -1) : word;
+};
+
+/**
+ * Tokenize, drop stop words and stem
+ * @param {string} text - Text to analyze
+ * @returns {string[]} Search terms (may contain duplicates)
+ */
+const analyze = (text) => {
+  return tokenize(text)
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+/**
+ * Levenshtein distance between two strings, giving up past a maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [max=2] - Largest distance worth computing
+ * @returns {number} The distance, or max + 1 if it exceeds max
+ */
+const editDistance = (a, b, max = 2) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  stem,
+  analyze,
+  editDistance
+};
@@ -28,6 +28,27 @@ const mockPrintifyService = {
   getOrders: sinon.stub()
 };
 
+const mockCatalogService = {
+  getProducts: sinon.stub(),
+  getProduct: sinon.stub()
+};
+
+const mockSearchService = {
+  search: sinon.stub(),
+  SORT_OPTIONS: ['relevance', 'price-asc', 'price-desc', 'newest', 'oldest']
+};
+
+const mockCategoryService = {
+  getCategoryTree: sinon.stub(),
+  getProductCategories: sinon.stub()
+};
+
+const mockCatalogSyncService = {
+  startSync: sinon.stub(),
+  syncProduct: sinon.stub(),
+  getSyncStatus: sinon.stub()
+};
+
 // Response mocks
 const mockResponse = {
   sendSuccess: sinon.stub().returns({}),
@@ -48,6 +69,10 @@ const mockCreateNotFoundError = sinon.stub();
 // Import controller with dependencies injected
 const PrintifyController = proxyquire('../../src/controllers/printifyController', {
   '../services/printifyService': mockPrintifyService,
+  '../services/catalogService': mockCatalogService,
+  '../services/catalogSyncService': mockCatalogSyncService,
+  '../services/searchService': mockSearchService,
+  '../services/categoryService': mockCategoryService,
   '../utils/logger': mockLogger,
   '../utils/errorHandler': {
     createNotFoundError: mockCreateNotFoundError,
@@ -71,7 +96,7 @@ describe('PrintifyController', () => {
     // Configure default response behavior
     mockResponse.sendSuccess.returns({});
     mockResponse.sendError.returns({});
-    mockPrintifyService.getProducts.resolves([]);
+    mockCatalogService.getProducts.resolves([]);
   });
   
   afterEach(() => {
@@ -82,7 +107,7 @@ describe('PrintifyController', () => {
   describe('getUpcomingProducts', () => {
     it('should handle null API response properly', async () => {
       // Setup
-      mockPrintifyService.getProducts.resolves(null);
+      mockCatalogService.getProducts.resolves(null);
       
       // Execute
       await controller.getUpcomingProducts(mockRequest, mockResponse);
@@ -96,7 +121,7 @@ describe('PrintifyController', () => {
     
     it('should handle empty array API response', async () => {
       // Setup
-      mockPrintifyService.getProducts.resolves([]);
+      mockCatalogService.getProducts.resolves([]);
       
       // Execute
       await controller.getUpcomingProducts(mockRequest, mockResponse);
@@ -108,7 +133,7 @@ describe('PrintifyController', () => {
     
     it('should filter out null products before processing', async () => {
       // Setup - array with some null entries
-      mockPrintifyService.getProducts.resolves([
+      mockCatalogService.getProducts.resolves([
         { id: '1', title: 'Product 1', visible: false },
         null,
         { id: '2', title: 'Product 2', visible: true },
@@ -139,7 +164,7 @@ describe('PrintifyController', () => {
     
     it('should handle products with missing visibility property', async () => {
       // Setup - products with missing visible property
-      mockPrintifyService.getProducts.resolves([
+      mockCatalogService.getProducts.resolves([
         { id: '1', title: 'Product 1' }, // No visible property
         { id: '2', title: 'Product 2', visible: false },
         { id: '3', title: 'Product 3', visible: true }
@@ -159,7 +184,7 @@ describe('PrintifyController', () => {
         { id: '1', title: 'Product 1', visible: false, images: [], variants: [] },
         { id: '2', title: 'Product 2', visible: false, images: [], variants: [] }
       ];
-      mockPrintifyService.getProducts.resolves(mockProducts);
+      mockCatalogService.getProducts.resolves(mockProducts);
       
       // Execute
       await controller.getUpcomingProducts(mockRequest, mockResponse);
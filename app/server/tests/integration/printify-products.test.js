@@ -7,10 +7,10 @@
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
 const app = require('../../src/app');
-const printifyService = require('../../src/services/printifyService');
+const catalogService = require('../../src/services/catalogService');
 
-// Mock the printifyService
-jest.mock('../../src/services/printifyService');
+// Mock the local catalog the storefront endpoints read from
+jest.mock('../../src/services/catalogService');
 
 describe('Printify Products API Integration Tests', () => {
   let authToken;
@@ -47,8 +47,8 @@ describe('Printify Products API Integration Tests', () => {
     });
     
     it('should handle null API response', async () => {
-      // Mock the printifyService to return null
-      printifyService.getProducts.mockResolvedValue(null);
+      // Mock the catalogService to return null
+      catalogService.getProducts.mockResolvedValue(null);
       
       // Test with auth token
       const response = await request(app)
@@ -62,8 +62,8 @@ describe('Printify Products API Integration Tests', () => {
     });
     
     it('should handle empty products array', async () => {
-      // Mock the printifyService to return empty array
-      printifyService.getProducts.mockResolvedValue([]);
+      // Mock the catalogService to return empty array
+      catalogService.getProducts.mockResolvedValue([]);
       
       // Test with auth token
       const response = await request(app)
@@ -77,8 +77,8 @@ describe('Printify Products API Integration Tests', () => {
     });
     
     it('should filter out visible products', async () => {
-      // Mock the printifyService to return a mix of visible and non-visible products
-      printifyService.getProducts.mockResolvedValue([
+      // Mock the catalogService to return a mix of visible and non-visible products
+      catalogService.getProducts.mockResolvedValue([
         { id: '1', title: 'Product 1', visible: true, images: [], variants: [] },
         { id: '2', title: 'Product 2', visible: false, images: [], variants: [] },
         { id: '3', title: 'Product 3', visible: false, images: [], variants: [] }
@@ -101,8 +101,8 @@ describe('Printify Products API Integration Tests', () => {
     });
     
     it('should handle malformed products array with null items', async () => {
-      // Mock the printifyService to return array with null items
-      printifyService.getProducts.mockResolvedValue([
+      // Mock the catalogService to return array with null items
+      catalogService.getProducts.mockResolvedValue([
         null,
         { id: '1', title: 'Valid Product', visible: false, images: [], variants: [] },
         undefined,
@@ -127,8 +127,8 @@ describe('Printify Products API Integration Tests', () => {
     });
     
     it('should handle API service errors', async () => {
-      // Mock the printifyService to throw an error
-      printifyService.getProducts.mockRejectedValue(new Error('API Connection Error'));
+      // Mock the catalogService to throw an error
+      catalogService.getProducts.mockRejectedValue(new Error('API Connection Error'));
       
       // Test with auth token
       const response = await request(app)
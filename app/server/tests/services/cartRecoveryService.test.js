@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for Cart Recovery Service
+ *
+ * Covers emailing recovery links for abandoned carts, restoring a cart from
+ * its link and the recovered revenue stats.
+ */
+
+jest.mock('../../src/models', () => ({
+  Cart: { findAll: jest.fn(), findByPk: jest.fn() },
+  CartItem: {},
+  Order: { count: jest.fn() },
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) }
+}));
+jest.mock('../../src/services/pricingService', () => ({ priceCart: jest.fn() }));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+jest.mock('../../src/services/emailService', () => ({ sendCartRecoveryEmail: jest.fn() }));
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Cart, Order } = require('../../src/models');
+const pricingService = require('../../src/services/pricingService');
+const EmailService = require('../../src/services/emailService');
+const cartRecoveryService = require('../../src/services/cartRecoveryService');
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const cart = (overrides = {}) => {
+  const row = {
+    id: 'cart-1',
+    status: 'active',
+    email: 'jane@example.com',
+    subtotal: '40.00',
+    last_activity_at: new Date('2025-04-01T12:00:00Z'),
+    items: [{ product_id: 'prod-1', variant_id: '101', quantity: 2, price: '20.00', title: 'Tee' }],
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  return row;
+};
+
+describe('Cart Recovery Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CLIENT_URL = 'https://shop.example';
+    Order.count.mockResolvedValue(0);
+  });
+
+  describe('sendRecoveryEmails', () => {
+    it('should email carts left alone past the timeout once', async () => {
+      const abandoned = cart();
+      Cart.findAll.mockResolvedValue([abandoned]);
+
+      const result = await cartRecoveryService.sendRecoveryEmails({ now: new Date('2025-04-05T12:00:00Z') });
+
+      const { where } = Cart.findAll.mock.calls[0][0];
+      expect(where).toMatchObject({ status: 'active', recovery_email_sent_at: null });
+      expect(where.last_activity_at[Op.lt]).toEqual(new Date('2025-04-02T12:00:00Z'));
+
+      const [, url] = EmailService.sendCartRecoveryEmail.mock.calls[0];
+      const token = new URL(url).searchParams.get('token');
+      expect(url).toMatch(/^https:\/\/shop\.example\/cart\?recover=cart-1&token=/);
+      expect(abandoned).toMatchObject({ status: 'abandoned', recovery_token_hash: hash(token) });
+      expect(result).toEqual({ sent: 1, failed: 0 });
+    });
+
+    it('should leave the cart due when the email fails', async () => {
+      const abandoned = cart();
+      Cart.findAll.mockResolvedValue([abandoned]);
+      EmailService.sendCartRecoveryEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      await expect(cartRecoveryService.sendRecoveryEmails()).resolves.toEqual({ sent: 0, failed: 1 });
+      expect(abandoned.update).not.toHaveBeenCalled();
+    });
+
+    it('should not remind customers who ordered since', async () => {
+      const abandoned = cart();
+      Cart.findAll.mockResolvedValue([abandoned]);
+      Order.count.mockResolvedValue(1);
+
+      await cartRecoveryService.sendRecoveryEmails();
+
+      expect(EmailService.sendCartRecoveryEmail).not.toHaveBeenCalled();
+      expect(abandoned.status).toBe('abandoned');
+    });
+  });
+
+  describe('recoverCart', () => {
+    it('should restore the cart at current prices', async () => {
+      const token = 'a'.repeat(64);
+      const emailed = cart({ status: 'abandoned', recovery_token_hash: hash(token), recovery_email_sent_at: new Date() });
+      Cart.findByPk.mockResolvedValue(emailed);
+      pricingService.priceCart.mockResolvedValue({
+        items: [{ id: 'prod-1', variantId: 101, quantity: 2, price: 22 }],
+        changes: [{ id: 'prod-1', variantId: 101, previousPrice: 20, price: 22 }],
+        unavailable: []
+      });
+
+      const restored = await cartRecoveryService.recoverCart('cart-1', token);
+
+      expect(pricingService.priceCart).toHaveBeenCalledWith([
+        { id: 'prod-1', variantId: '101', quantity: 2, price: '20.00', title: 'Tee' }
+      ]);
+      expect(restored).toMatchObject({ cartId: 'cart-1', changes: [expect.objectContaining({ price: 22 })] });
+      expect(emailed.status).toBe('recovered');
+      expect(emailed.recovered_at).toBeInstanceOf(Date);
+    });
+
+    it('should refuse expired links and paid carts', async () => {
+      const token = 'a'.repeat(64);
+      Cart.findByPk
+        .mockResolvedValueOnce(cart({ recovery_token_hash: hash(token), recovery_email_sent_at: new Date('2020-01-01') }))
+        .mockResolvedValueOnce(cart({ status: 'converted', recovery_token_hash: hash(token), recovery_email_sent_at: new Date() }));
+
+      await expect(cartRecoveryService.recoverCart('cart-1', token)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(cartRecoveryService.recoverCart('cart-1', token)).rejects.toMatchObject({ statusCode: 404 });
+      expect(pricingService.priceCart).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should count revenue only of recovered carts that were paid', async () => {
+    Cart.findAll.mockResolvedValue([
+      cart({ subtotal: '40.00', recovered_at: new Date(), status: 'converted', order: { totalAmount: '46.50' } }),
+      cart({ subtotal: '30.00', recovered_at: new Date(), status: 'recovered', order: null }),
+      cart({ subtotal: '30.00', recovered_at: null, status: 'converted', order: { totalAmount: '35.00' } }),
+      cart({ subtotal: '20.00', recovered_at: null, status: 'abandoned', order: null })
+    ]);
+
+    const stats = await cartRecoveryService.getStats({ from: '2025-04-01', to: '2025-04-30' });
+
+    expect(stats).toMatchObject({
+      emailsSent: 4,
+      recovered: 2,
+      converted: 1,
+      recoveryRate: 50,
+      conversionRate: 25,
+      abandonedValue: 120,
+      recoveredRevenue: 46.5
+    });
+  });
+});
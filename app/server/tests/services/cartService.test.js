@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for Cart Service
+ *
+ * Covers saving carts with merged lines, versioned changes, merging the
+ * signed-out cart on sign-in, re-pricing, the cart a checkout is started for
+ * and following the Stripe session to conversion or expiry.
+ */
+
+jest.mock('../../src/models', () => ({
+  sequelize: { transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } })) },
+  Cart: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  CartItem: { findAll: jest.fn(), create: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() }
+}));
+
+jest.mock('../../src/services/pricingService', () => ({
+  priceCart: jest.fn()
+}));
+
+const { Cart, CartItem } = require('../../src/models');
+const pricingService = require('../../src/services/pricingService');
+const cartService = require('../../src/services/cartService');
+
+const row = (values) => {
+  const record = { ...values };
+  record.update = jest.fn(changes => Object.assign(record, changes));
+  record.setDataValue = jest.fn((key, value) => { record[key] = value; });
+  return record;
+};
+
+const line = (overrides = {}) => ({ id: 'prod-1', variantId: 101, quantity: 1, price: 20, title: 'Tee', ...overrides });
+
+// Cart lines as stored, shared by the CartItem mocks
+let stored = [];
+
+const storedRow = (values) => {
+  const record = row(values);
+  record.destroy = jest.fn(() => { stored = stored.filter(item => item !== record); });
+  return record;
+};
+
+const user = { id: 'user-1', email: 'jane@example.com' };
+
+// Open cart found by both the locked and the reading lookups
+const openCart = (values) => {
+  const cart = row({ id: 'cart-1', status: 'active', ...values });
+  Cart.findOne.mockImplementation(() => Promise.resolve(Object.assign(cart, { items: [...stored] })));
+  return cart;
+};
+
+describe('Cart Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = [];
+    Cart.findOne.mockResolvedValue(null);
+    Cart.create.mockImplementation(values => Promise.resolve(row({ id: 'cart-1', status: 'active', version: 0, ...values })));
+    CartItem.findAll.mockImplementation(() => Promise.resolve([...stored]));
+    CartItem.create.mockImplementation(values => {
+      stored.push(storedRow(values));
+      return Promise.resolve(stored[stored.length - 1]);
+    });
+    CartItem.destroy.mockImplementation(() => { stored = []; });
+    CartItem.bulkCreate.mockImplementation(rows => {
+      stored = rows.map(storedRow);
+      return Promise.resolve(stored);
+    });
+  });
+
+  describe('saveCart', () => {
+    it('should merge lines of the same variant and total the cart', async () => {
+      const cart = await cartService.saveCart(
+        user,
+        [line(), line({ quantity: 2 }), line({ id: 'prod-2', variantId: 202, price: 15.5 })]
+      );
+
+      expect(CartItem.destroy).toHaveBeenCalledWith({ where: { cart_id: 'cart-1' }, transaction: expect.any(Object) });
+      expect(CartItem.bulkCreate.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ product_id: 'prod-1', variant_id: '101', quantity: 3, price: 20 }),
+        expect.objectContaining({ product_id: 'prod-2', variant_id: '202', quantity: 1, price: 15.5 })
+      ]);
+      expect(Cart.create).toHaveBeenCalledWith({ user_id: 'user-1', email: 'jane@example.com' }, expect.any(Object));
+      expect(cart).toMatchObject({ id: 'cart-1', version: 1, subtotal: 75.5 });
+      expect(cart.items[0]).toMatchObject({ id: 'prod-1', variantId: 101, quantity: 3 });
+    });
+
+    it('should make a cart that was emailed about active again', async () => {
+      Cart.findOne.mockResolvedValue(row({ id: 'cart-1', status: 'abandoned', version: 4 }));
+
+      const cart = await cartService.saveCart(user, [line()]);
+
+      expect(cart).toMatchObject({ status: 'active', version: 5 });
+      expect(Cart.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('versioned changes', () => {
+    it('should refuse a change made without seeing the latest version', async () => {
+      Cart.findOne.mockResolvedValue(row({ id: 'cart-1', status: 'active', version: 3 }));
+
+      const error = await cartService.updateItem(user, 'prod-1', '101', 2, { version: 2 }).catch(err => err);
+
+      expect(error).toMatchObject({ statusCode: 409 });
+      expect(CartItem.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should add to the quantity of a line already in the cart at the catalog price', async () => {
+      const cart = row({ id: 'cart-1', status: 'active', version: 2 });
+      Cart.findOne.mockResolvedValue(cart);
+      stored = [storedRow({ product_id: 'prod-1', variant_id: '101', quantity: 2, price: 20 })];
+      pricingService.priceCart.mockResolvedValue({
+        items: [line({ quantity: 1, price: 22 })],
+        changes: [],
+        unavailable: []
+      });
+
+      const result = await cartService.addItem(user, { id: 'prod-1', variantId: 101, quantity: 1 }, { version: 2 });
+
+      expect(CartItem.create).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ version: 3, subtotal: 66 });
+      expect(result.items).toEqual([expect.objectContaining({ quantity: 3, price: 22 })]);
+    });
+
+    it('should not add a variant that cannot be bought', async () => {
+      pricingService.priceCart.mockResolvedValue({
+        items: [],
+        changes: [],
+        unavailable: [{ id: 'prod-1', variantId: 101, reason: 'out_of_stock' }]
+      });
+
+      await expect(cartService.addItem(user, line())).rejects.toMatchObject({ statusCode: 409 });
+      expect(Cart.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should remove a line when its quantity is set to 0', async () => {
+      Cart.findOne.mockResolvedValue(row({ id: 'cart-1', status: 'active', version: 1, subtotal: 20 }));
+      stored = [storedRow({ product_id: 'prod-1', variant_id: '101', quantity: 1, price: 20 })];
+
+      const cart = await cartService.updateItem(user, 'prod-1', '101', 0, { version: 1 });
+
+      expect(cart).toMatchObject({ items: [], subtotal: 0, version: 2 });
+    });
+  });
+
+  describe('mergeCart', () => {
+    it('should keep the larger quantity of lines in both carts and add the rest', async () => {
+      const cart = openCart({ version: 5 });
+      stored = [storedRow({ product_id: 'prod-1', variant_id: '101', quantity: 2, price: 20 })];
+      pricingService.priceCart.mockImplementation(items => Promise.resolve({ items, changes: [], unavailable: [] }));
+
+      await cartService.mergeCart(user, [
+        line({ quantity: 1 }),
+        line({ id: 'prod-2', variantId: 202, quantity: 3, price: 10 })
+      ]);
+
+      expect(stored.map(item => [item.product_id, item.quantity])).toEqual([['prod-1', 2], ['prod-2', 3]]);
+      expect(cart).toMatchObject({ version: 6, subtotal: 70 });
+    });
+
+    it('should re-price the merged cart and drop lines that cannot be bought', async () => {
+      openCart({ version: 1 });
+      pricingService.priceCart.mockImplementation(items => Promise.resolve({
+        items: [{ ...items[0], price: 25 }],
+        changes: [{ id: 'prod-1', variantId: 101, previousPrice: 20, price: 25 }],
+        unavailable: [{ id: 'prod-2', variantId: 202, reason: 'discontinued' }]
+      }));
+
+      const result = await cartService.mergeCart(user, [line(), line({ id: 'prod-2', variantId: 202 })]);
+
+      expect(result.changes).toHaveLength(1);
+      expect(result.unavailable).toHaveLength(1);
+      expect(result.cart.items).toEqual([expect.objectContaining({ id: 'prod-1', price: 25 })]);
+      expect(result.cart).toMatchObject({ version: 3, subtotal: 25 });
+    });
+  });
+
+  describe('startCheckout', () => {
+    it('should reuse an open guest cart restored from a recovery link', async () => {
+      const restored = row({ id: 'cart-9', user_id: null, status: 'recovered', email: 'guest@example.com' });
+      Cart.findByPk.mockResolvedValue(restored);
+
+      const cart = await cartService.startCheckout([line()], { cartId: 'cart-9' });
+
+      expect(cart).toBe(restored);
+      expect(cart.checkout_started_at).toBeInstanceOf(Date);
+      expect(Cart.create).not.toHaveBeenCalled();
+    });
+
+    it('should not take over the cart of a customer for a guest', async () => {
+      Cart.findByPk.mockResolvedValue(row({ id: 'cart-9', user_id: 'user-1', status: 'active' }));
+
+      const cart = await cartService.startCheckout([line()], { cartId: 'cart-9', email: 'guest@example.com' });
+
+      expect(cart).toMatchObject({ id: 'cart-1', user_id: null, email: 'guest@example.com' });
+    });
+
+    it('should not fail checkout when the cart cannot be saved', async () => {
+      Cart.create.mockRejectedValue(new Error('deadlock'));
+
+      await expect(cartService.startCheckout([line()])).resolves.toBeNull();
+    });
+  });
+
+  it('should mark the cart of a paid session converted', async () => {
+    const cart = row({ id: 'cart-1', status: 'recovered', recovery_token_hash: 'f'.repeat(64) });
+    Cart.findByPk.mockResolvedValue(cart);
+
+    await cartService.markConverted({ id: 'cs_1', metadata: { cartId: 'cart-1' } }, { id: 'order-1' });
+
+    expect(cart).toMatchObject({ status: 'converted', order_id: 'order-1', recovery_token_hash: null });
+  });
+
+  it('should keep the email a guest typed into an expired session', async () => {
+    const cart = row({ id: 'cart-1', status: 'active', email: null });
+    Cart.findOne.mockResolvedValue(cart);
+
+    await cartService.handleSessionExpired({
+      id: 'cs_1',
+      metadata: {},
+      expires_at: 1743508800,
+      customer_details: { email: 'guest@example.com' }
+    });
+
+    expect(Cart.findOne).toHaveBeenCalledWith({ where: { stripe_session_id: 'cs_1' } });
+    expect(cart).toMatchObject({ email: 'guest@example.com', session_expired_at: new Date(1743508800 * 1000) });
+  });
+});
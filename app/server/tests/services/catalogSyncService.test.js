@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for Catalog Sync Service
+ *
+ * Covers the pure parts of the sync: normalizing Printify products,
+ * content hashing and change classification. Also covers claiming a shop
+ * for a run so instances cannot sync it at the same time.
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+
+jest.mock('../../src/models', () => ({
+  sequelize: {},
+  CatalogProduct: { findAll: jest.fn() },
+  CatalogVariant: {},
+  CatalogImage: {},
+  CatalogProductTag: {},
+  CatalogSyncRun: { create: jest.fn(), update: jest.fn(), findOne: jest.fn() }
+}));
+jest.mock('../../src/services/printifyService', () => ({ getProductsPage: jest.fn() }));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+
+const { CatalogProduct, CatalogSyncRun } = require('../../src/models');
+const printifyService = require('../../src/services/printifyService');
+const catalogSyncService = require('../../src/services/catalogSyncService');
+
+const rawProduct = {
+  id: 'prod-1',
+  shop_id: 123,
+  title: 'Sunset Tee',
+  description: '<p>Soft cotton</p>',
+  visible: true,
+  blueprint_id: 6,
+  print_provider_id: 99,
+  tags: ['T-Shirts', 'summer', 't-shirts', ''],
+  options: [{ name: 'Size', type: 'size', values: [{ id: 1, title: 'M' }] }],
+  variants: [
+    { id: 11, title: 'M', sku: 'SKU-M', price: 2500, cost: 1200, is_enabled: true, is_available: true, options: [1] }
+  ],
+  images: [
+    { src: 'https://images.example.com/1.png', position: 'front', is_default: true, variant_ids: [11] },
+    { src: null }
+  ],
+  created_at: '2025-01-01 10:00:00+00:00',
+  updated_at: '2025-02-01 10:00:00+00:00'
+};
+
+describe('Catalog Sync Service', () => {
+  describe('normalizeProduct', () => {
+    it('should map a Printify product onto local rows', () => {
+      const { product, variants, images, tags } = catalogSyncService.normalizeProduct(rawProduct, '123');
+
+      expect(product.id).toBe('prod-1');
+      expect(product.shop_id).toBe('123');
+      expect(product.visible).toBe(true);
+      expect(product.content_hash).toHaveLength(40);
+      expect(variants).toEqual([
+        expect.objectContaining({ printify_variant_id: 11, price: 2500, cost: 1200, is_default: false })
+      ]);
+      expect(images).toHaveLength(1);
+      expect(images[0]).toEqual(expect.objectContaining({ position: 'front', sort_order: 0 }));
+      expect(tags).toEqual(['t-shirts', 'summer']);
+    });
+
+    it('should default missing fields', () => {
+      const { product, variants, images, tags } = catalogSyncService.normalizeProduct({ id: 42 }, '123');
+
+      expect(product.id).toBe('42');
+      expect(product.title).toBe('Untitled Product');
+      expect(product.visible).toBe(false);
+      expect(variants).toEqual([]);
+      expect(images).toEqual([]);
+      expect(tags).toEqual([]);
+    });
+  });
+
+  describe('computeContentHash', () => {
+    it('should ignore Printify timestamps', () => {
+      const first = catalogSyncService.normalizeProduct(rawProduct, '123');
+      const second = catalogSyncService.normalizeProduct(
+        { ...rawProduct, updated_at: '2025-03-01 10:00:00+00:00' },
+        '123'
+      );
+
+      expect(second.product.content_hash).toBe(first.product.content_hash);
+    });
+
+    it('should change when a synced field changes', () => {
+      const first = catalogSyncService.normalizeProduct(rawProduct, '123');
+      const second = catalogSyncService.normalizeProduct(
+        { ...rawProduct, variants: [{ ...rawProduct.variants[0], price: 2700 }] },
+        '123'
+      );
+
+      expect(second.product.content_hash).not.toBe(first.product.content_hash);
+    });
+  });
+
+  describe('classifyChange', () => {
+    const normalized = catalogSyncService.normalizeProduct(rawProduct, '123');
+
+    it('should report new products as created', () => {
+      expect(catalogSyncService.classifyChange(normalized, undefined)).toBe('created');
+    });
+
+    it('should skip products whose hash matches', () => {
+      const existing = { content_hash: normalized.product.content_hash, deleted_at: null };
+      expect(catalogSyncService.classifyChange(normalized, existing)).toBe('unchanged');
+    });
+
+    it('should update products whose hash differs', () => {
+      const existing = { content_hash: 'stale', deleted_at: null };
+      expect(catalogSyncService.classifyChange(normalized, existing)).toBe('updated');
+    });
+
+    it('should restore soft-deleted products that reappear', () => {
+      const existing = { content_hash: normalized.product.content_hash, deleted_at: new Date() };
+      expect(catalogSyncService.classifyChange(normalized, existing)).toBe('updated');
+    });
+  });
+
+  describe('run claims', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      CatalogSyncRun.update.mockResolvedValue([0]);
+      CatalogProduct.findAll.mockResolvedValue([]);
+      printifyService.getProductsPage.mockResolvedValue({ data: [], lastPage: 1 });
+    });
+
+    it('should claim the shop for the run and free it when the run finishes', async () => {
+      const run = { id: 'run-1', shop_id: '123', trigger: 'manual', update: jest.fn() };
+      CatalogSyncRun.create.mockResolvedValue(run);
+
+      await catalogSyncService.syncCatalog({ trigger: 'manual', shopId: '123' });
+
+      expect(CatalogSyncRun.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'failed', active_shop_id: null }),
+        { where: { active_shop_id: '123', status: 'running', updated_at: { [Op.lt]: expect.any(Date) } } }
+      );
+      expect(CatalogSyncRun.create).toHaveBeenCalledWith(expect.objectContaining({ shop_id: '123', active_shop_id: '123' }));
+      expect(run.update).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'completed', active_shop_id: null }));
+      expect(catalogSyncService.isRunning()).toBe(false);
+    });
+
+    it('should refuse to start while another instance is syncing the shop', async () => {
+      CatalogSyncRun.create.mockRejectedValue(new UniqueConstraintError({}));
+      CatalogSyncRun.findOne.mockResolvedValue({ id: 'run-elsewhere' });
+
+      await expect(catalogSyncService.startSync({ trigger: 'manual', shopId: '123' }))
+        .rejects.toMatchObject({ statusCode: 409, data: { runId: 'run-elsewhere' } });
+      expect(CatalogSyncRun.findOne).toHaveBeenCalledWith({ where: { active_shop_id: '123' } });
+      expect(catalogSyncService.isRunning()).toBe(false);
+    });
+  });
+});
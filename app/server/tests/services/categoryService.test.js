@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Category Service
+ *
+ * Covers slug generation and how category rules map products to categories.
+ */
+
+const mockCategories = [
+  { id: 'c1', parent_id: null, name: 'Clothing', slug: 'clothing', is_active: true, rules: [] },
+  {
+    id: 'c2', parent_id: 'c1', name: 'Hoodies', slug: 'hoodies', is_active: true,
+    rules: [{ rule_type: 'tag', match_value: 'hoodies' }, { rule_type: 'blueprint', match_value: '77' }]
+  },
+  {
+    id: 'c3', parent_id: null, name: 'Archive', slug: 'archive', is_active: false,
+    rules: [{ rule_type: 'tag', match_value: 'summer' }]
+  },
+  {
+    id: 'c4', parent_id: 'c3', name: 'Old Mugs', slug: 'old-mugs', is_active: true,
+    rules: [{ rule_type: 'tag', match_value: 'mugs' }]
+  }
+];
+
+jest.mock('../../src/models', () => ({
+  sequelize: {},
+  Category: { findAll: jest.fn(() => Promise.resolve(mockCategories)) },
+  CategoryRule: {}
+}));
+jest.mock('../../src/services/catalogService', () => ({}));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+
+const categoryService = require('../../src/services/categoryService');
+const { slugify } = require('../../src/services/categoryService');
+
+describe('Category Service', () => {
+  describe('slugify', () => {
+    it('should build URL slugs from names', () => {
+      expect(slugify('Home Decor')).toBe('home-decor');
+      expect(slugify('  Café & Bar!! ')).toBe('cafe-bar');
+    });
+  });
+
+  describe('getResolver', () => {
+    it('should match tags and blueprints and include parent categories', async () => {
+      const resolve = await categoryService.getResolver();
+
+      expect(resolve({ tags: ['Hoodies'] }).sort()).toEqual(['clothing', 'hoodies']);
+      expect(resolve({ tags: [], blueprint_id: 77 }).sort()).toEqual(['clothing', 'hoodies']);
+      expect(resolve({ tags: ['unmapped'] })).toEqual([]);
+    });
+
+    it('should skip inactive categories and everything below them', async () => {
+      const resolve = await categoryService.getResolver();
+
+      expect(resolve({ tags: ['summer', 'mugs'] })).toEqual([]);
+    });
+  });
+
+  describe('getProductCategories', () => {
+    it('should pick the most specific category as primary', async () => {
+      const result = await categoryService.getProductCategories({ tags: ['hoodies'] });
+
+      expect(result.primary).toEqual({ slug: 'hoodies', name: 'Hoodies' });
+      expect(result.slugs.sort()).toEqual(['clothing', 'hoodies']);
+    });
+
+    it('should return no primary category for unmapped products', async () => {
+      const result = await categoryService.getProductCategories({ tags: [] });
+
+      expect(result).toEqual({ primary: null, slugs: [] });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Currency Service
+ *
+ * Covers admin rates over the configured ones, rounding rules for prices,
+ * converting a priced cart, reporting amounts paid in other currencies and
+ * setting rates.
+ */
+
+jest.mock('../../src/models', () => ({
+  ExchangeRate: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() }
+}));
+
+jest.mock('../../src/utils/cacheService', () => ({
+  getOrSet: jest.fn((key, ttl, factory) => factory()),
+  del: jest.fn()
+}));
+
+jest.mock('../../src/services/auditService', () => ({
+  create: jest.fn(),
+  ACTIONS: { CREATE: 'create', UPDATE: 'update', DELETE: 'delete' },
+  ENTITIES: { EXCHANGE_RATE: 'ExchangeRate' },
+  SEVERITY: { MEDIUM: 'medium' }
+}));
+
+const { ExchangeRate } = require('../../src/models');
+const cacheService = require('../../src/utils/cacheService');
+const AuditService = require('../../src/services/auditService');
+const currencyService = require('../../src/services/currencyService');
+
+describe('Currency Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    currencyService.base = 'USD';
+    currencyService.config = {
+      ...currencyService.config,
+      reporting: 'USD',
+      currencies: {
+        CAD: { rate: 1.36, rounding: { increment: 0.05 } },
+        EUR: { rate: 0.9, rounding: { ending: 0.99 } },
+        GBP: { rate: 0.79 }
+      },
+      countries: { CA: 'CAD', DE: 'EUR' }
+    };
+    ExchangeRate.findAll.mockResolvedValue([]);
+  });
+
+  it('should take rates set by admins over the configured ones', async () => {
+    ExchangeRate.findAll.mockResolvedValue([{ currency: 'EUR', rate: '0.92000000' }, { currency: 'JPY', rate: '150' }]);
+
+    await expect(currencyService.getRates()).resolves.toEqual({ USD: 1, CAD: 1.36, EUR: 0.92, GBP: 0.79 });
+    await expect(currencyService.getCurrency('eur')).resolves.toEqual({
+      code: 'EUR',
+      currency: 'eur',
+      rate: 0.92,
+      rounding: { ending: 0.99 },
+      isBase: false
+    });
+    await expect(currencyService.getCurrency()).resolves.toMatchObject({ code: 'USD', rate: 1, isBase: true });
+    await expect(currencyService.getCurrency('JPY')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should suggest the currency of the visitor\'s country', async () => {
+    const canadian = await currencyService.getPublicCurrencies({ country: 'ca' });
+    const french = await currencyService.getPublicCurrencies({ country: 'FR' });
+
+    expect(canadian.detected).toBe('CAD');
+    expect(canadian.currencies.map(currency => currency.code)).toEqual(['USD', 'CAD', 'EUR', 'GBP']);
+    expect(french.detected).toBe('USD');
+  });
+
+  it('should round prices by the currency\'s rule and other amounts to the cent', async () => {
+    const eur = await currencyService.getCurrency('EUR');
+    const cad = await currencyService.getCurrency('CAD');
+    const gbp = await currencyService.getCurrency('GBP');
+
+    // 18.00, 13.50 and 0.45 in euros
+    expect([2000, 1500, 50].map(cents => currencyService.convertPrice(cents, eur))).toEqual([1799, 1399, 99]);
+    // 27.20 and 20.37 in Canadian dollars
+    expect([2000, 1498].map(cents => currencyService.convertPrice(cents, cad))).toEqual([2720, 2035]);
+    expect(currencyService.convertPrice(1999, gbp)).toBe(1579);
+    expect(currencyService.convert(499, eur)).toBe(449);
+  });
+
+  it('should price a cart in the currency and leave price changes in the base currency', async () => {
+    const pricing = {
+      items: [{ id: 'prod-1', variantId: 101, quantity: 2, unitAmount: 2000, price: 20 }],
+      changes: [{ id: 'prod-1', variantId: 101, previousPrice: 18, price: 20 }],
+      unavailable: [],
+      subtotal: 4000
+    };
+
+    const converted = currencyService.convertPricing(pricing, await currencyService.getCurrency('EUR'));
+
+    expect(converted.items[0]).toMatchObject({ unitAmount: 1799, price: 17.99 });
+    expect(converted.subtotal).toBe(3598);
+    expect(converted.changes).toBe(pricing.changes);
+    expect(pricing.items[0].unitAmount).toBe(2000);
+  });
+
+  it('should report amounts at the rate they were paid at', () => {
+    const rates = { USD: 1, EUR: 0.92 };
+
+    expect(currencyService.toReporting(46, 0.92, rates)).toBeCloseTo(50);
+    expect(currencyService.toReporting('25.00', '1.00000000', rates)).toBe(25);
+
+    currencyService.config.reporting = 'EUR';
+    expect(currencyService.toReporting(46, 0.92, rates)).toBeCloseTo(46);
+  });
+
+  it('should set a rate, clear the cached rates and audit the change', async () => {
+    const existing = { id: 'rate-1', currency: 'EUR', rate: '0.90000000', update: jest.fn(function (data) { return Promise.resolve({ ...this, ...data }); }) };
+    ExchangeRate.findOne.mockResolvedValue(existing);
+
+    const row = await currencyService.setRate('eur', 0.93, { user: { id: 'admin-1' } });
+
+    expect(existing.update).toHaveBeenCalledWith({ rate: 0.93, updated_by: 'admin-1' });
+    expect(row.rate).toBe(0.93);
+    expect(cacheService.del).toHaveBeenCalled();
+    expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'update',
+      entityType: 'ExchangeRate',
+      oldValues: { rate: 0.9 },
+      newValues: { currency: 'EUR', rate: 0.93 }
+    }));
+
+    await expect(currencyService.setRate('USD', 1)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(currencyService.setRate('JPY', 150)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for Document Service
+ *
+ * Covers the invoice figures, rendering invoices and packing slips to PDF,
+ * and finding orders for bulk packing slips.
+ */
+
+const zlib = require('zlib');
+
+jest.mock('../../src/models', () => ({
+  Order: { findAll: jest.fn() },
+  OrderItem: { findAll: jest.fn() }
+}));
+jest.mock('../../src/services/catalogService', () => ({ getProduct: jest.fn() }));
+jest.mock('../../src/services/taxService', () => ({ getOrderTaxLines: jest.fn() }));
+
+const { Order, OrderItem } = require('../../src/models');
+const catalogService = require('../../src/services/catalogService');
+const taxService = require('../../src/services/taxService');
+const documentService = require('../../src/services/documentService');
+
+const order = (overrides = {}) => ({
+  id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+  status: 'paid',
+  currency: 'usd',
+  customerName: 'Jane Doe',
+  customerEmail: 'jane@example.com',
+  createdAt: new Date('2025-04-01T12:00:00Z'),
+  shippingAddress: {
+    name: 'Jane Doe',
+    address: { line1: '1 Main St', city: 'Chicago', state: 'IL', postal_code: '60612', country: 'US' }
+  },
+  shippingMethod: 'Standard shipping',
+  shippingCost: '4.99',
+  totalAmount: '57.96',
+  metadata: { totals: { subtotal: 55.97, discount: 5, shipping: 4.99, tax: 2 } },
+  ...overrides
+});
+
+const lines = [
+  { product_id: 'prod-1', variant_id: '101', quantity: 2, price: '24.99', title: 'Logo Tee', variant_title: 'Black / L' },
+  { product_id: 'prod-2', variant_id: '202', quantity: 1, price: '5.99', title: null, variant_title: null }
+];
+
+// Text drawn on the pages of a generated PDF
+const pdfText = (buffer) => {
+  const streams = buffer.toString('latin1').match(/stream\n[\s\S]*?\nendstream/g) || [];
+  return streams
+    .map(stream => zlib.inflateSync(Buffer.from(stream.slice(7, -10), 'latin1')).toString('latin1'))
+    .join('\n');
+};
+
+describe('Document Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrderItem.findAll.mockResolvedValue(lines);
+    taxService.getOrderTaxLines.mockResolvedValue([]);
+    catalogService.getProduct.mockResolvedValue({
+      id: 'prod-2',
+      title: 'Sticker',
+      variants: [{ id: 202, title: '3x3 in' }]
+    });
+  });
+
+  describe('getInvoiceData', () => {
+    it('should use the totals charged at checkout and catalog titles for untitled lines', async () => {
+      const invoice = await documentService.getInvoiceData(order());
+
+      expect(invoice.number).toBe('INV-20250401-0F8FAD5B');
+      expect(invoice.items).toEqual([
+        expect.objectContaining({ title: 'Logo Tee', variantTitle: 'Black / L', quantity: 2, amount: 49.98 }),
+        expect.objectContaining({ title: 'Sticker', variantTitle: '3x3 in', quantity: 1, amount: 5.99 })
+      ]);
+      expect(invoice.totals).toEqual({ subtotal: 55.97, discount: 5, giftCard: 0, shipping: 4.99, tax: 2, total: 57.96 });
+      expect(invoice.shipTo).toEqual(['Jane Doe', '1 Main St', 'Chicago, IL 60612', 'US']);
+      expect(catalogService.getProduct).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the line items for orders without stored totals', async () => {
+      const invoice = await documentService.getInvoiceData(order({ metadata: null }));
+
+      expect(invoice.totals).toMatchObject({ subtotal: 55.97, discount: 0, tax: 0, shipping: 4.99 });
+    });
+  });
+
+  it('should render an invoice with the company details, lines and totals', async () => {
+    const pdf = await documentService.renderInvoice(order());
+    const text = pdfText(pdf);
+
+    expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    expect(text).toContain('(INV-20250401-0F8FAD5B)');
+    expect(text).toContain('(ILYTAT LLC)');
+    expect(text).toContain('(Logo Tee - Black / L)');
+    expect(text).toContain('(-$5.00)');
+    expect(text).toContain('($57.96)');
+  });
+
+  it('should print the tax of each jurisdiction', async () => {
+    taxService.getOrderTaxLines.mockResolvedValue([
+      { jurisdiction: 'Illinois', type: 'state', rate: 0.0625, amount: 1.2 },
+      { jurisdiction: 'Chicago', type: 'city', rate: 0.04, amount: 0.8 }
+    ]);
+
+    const text = pdfText(await documentService.renderInvoice(order()));
+
+    expect(text).toContain('(Illinois tax \\(6.25%\\))');
+    expect(text).toContain('($1.20)');
+    expect(text).toContain('(Chicago tax \\(4%\\))');
+  });
+
+  it('should leave prices off packing slips', async () => {
+    const text = pdfText(await documentService.renderPackingSlip(order()));
+
+    expect(text).toContain('(PACKING SLIP)');
+    expect(text).toContain('(prod-1 / 101)');
+    expect(text).not.toContain('$24.99');
+  });
+
+  it('should zip one packing slip per order', async () => {
+    const zip = await documentService.renderPackingSlips([order(), order({ id: 'order-2' })]);
+    const names = zip.toString('latin1').match(/packing-slip-[\w-]+\.pdf/g);
+
+    expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+    expect([...new Set(names)]).toEqual([
+      'packing-slip-0f8fad5b-d9cb-469f-a165-70867728950e.pdf',
+      'packing-slip-order-2.pdf'
+    ]);
+  });
+
+  describe('findOrders', () => {
+    it('should find orders by their Printify order ID', async () => {
+      const row = order({ printifyOrderId: 'pf-1' });
+      Order.findAll.mockResolvedValue([row]);
+
+      await expect(documentService.findOrders(['pf-1', row.id])).resolves.toEqual([row]);
+    });
+
+    it('should report IDs that match no order', async () => {
+      Order.findAll.mockResolvedValue([order()]);
+
+      await expect(documentService.findOrders(['0f8fad5b-d9cb-469f-a165-70867728950e', 'missing']))
+        .rejects.toMatchObject({ statusCode: 404, data: { missing: ['missing'] } });
+    });
+  });
+});
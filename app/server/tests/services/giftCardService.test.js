@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for Gift Card Service
+ *
+ * Covers codes, holding gift card and store credit balances for a checkout,
+ * releasing holds of expired sessions, activating bought gift cards,
+ * issuing store credit and admin adjustments.
+ */
+
+jest.mock('../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  },
+  GiftCard: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn(), destroy: jest.fn() },
+  GiftCardTransaction: { findAll: jest.fn(), count: jest.fn(), create: jest.fn(), update: jest.fn() },
+  Order: { findByPk: jest.fn() }
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendGiftCardEmail: jest.fn()
+}));
+
+jest.mock('../../src/services/auditService', () => ({
+  create: jest.fn(),
+  ACTIONS: { CREATE: 'CREATE', UPDATE: 'UPDATE' },
+  ENTITIES: { GIFT_CARD: 'GiftCard' },
+  SEVERITY: { MEDIUM: 'medium' }
+}));
+
+const { GiftCard, GiftCardTransaction } = require('../../src/models');
+const EmailService = require('../../src/services/emailService');
+const AuditService = require('../../src/services/auditService');
+const giftCardService = require('../../src/services/giftCardService');
+
+const card = (overrides = {}) => {
+  const row = {
+    id: 'card-1',
+    kind: 'gift_card',
+    status: 'active',
+    currency: 'usd',
+    initial_amount: '50.00',
+    balance: '50.00',
+    code_last4: 'WXYZ',
+    expires_at: null,
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  return row;
+};
+
+const now = new Date('2025-04-10T12:00:00Z');
+
+describe('Gift Card Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GiftCard.findAll.mockResolvedValue([]);
+    GiftCardTransaction.create.mockImplementation(values => Promise.resolve({ id: `tx-${values.gift_card_id}`, ...values }));
+  });
+
+  it('should generate readable codes and match them regardless of case and dashes', () => {
+    const code = giftCardService.generateCode();
+
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}(-[A-HJ-NP-Z2-9]{4}){3}$/);
+    expect(giftCardService.hashCode(code.toLowerCase().replace(/-/g, ' '))).toBe(giftCardService.hashCode(code));
+  });
+
+  describe('holdBalance', () => {
+    it('should use the gift card first, then store credit expiring soonest', async () => {
+      const giftCard = card({ balance: '20.00' });
+      const lasting = card({ id: 'credit-1', kind: 'store_credit', balance: '30.00' });
+      const expiring = card({ id: 'credit-2', kind: 'store_credit', balance: '15.00', expires_at: new Date('2025-05-01T00:00:00Z') });
+      GiftCard.findOne.mockResolvedValue(giftCard);
+      GiftCard.findAll.mockResolvedValue([lasting, expiring]);
+
+      const hold = await giftCardService.holdBalance({ amount: 4000, code: 'abcd-efgh-jkmn-wxyz', userId: 'user-1', now });
+
+      expect(hold.amount).toBe(4000);
+      expect(hold.transactions.map(entry => [entry.gift_card_id, entry.amount])).toEqual([
+        ['card-1', -20],
+        ['credit-2', -15],
+        ['credit-1', -5]
+      ]);
+      expect([giftCard.balance, expiring.balance, lasting.balance]).toEqual([0, 0, 25]);
+      expect(GiftCard.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE' }));
+    });
+
+    it('should hold no more than the card has', async () => {
+      GiftCard.findOne.mockResolvedValue(card({ balance: '12.50' }));
+
+      const hold = await giftCardService.holdBalance({ amount: 4000, code: 'ABCD', now });
+
+      expect(hold.amount).toBe(1250);
+    });
+
+    it('should refuse codes that are disabled, expired or unknown', async () => {
+      GiftCard.findOne
+        .mockResolvedValueOnce(card({ status: 'disabled' }))
+        .mockResolvedValueOnce(card({ expires_at: new Date('2025-04-01T00:00:00Z') }))
+        .mockResolvedValueOnce(null);
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await expect(giftCardService.holdBalance({ amount: 1000, code: 'ABCD', now }))
+          .rejects.toMatchObject({ statusCode: 400, userMessage: 'This gift card code is not valid.' });
+      }
+      expect(GiftCardTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should only pay for checkouts in the base currency', async () => {
+      GiftCard.findOne.mockResolvedValue(card());
+
+      await expect(giftCardService.holdBalance({ amount: 1000, code: 'ABCD', currency: 'EUR', now }))
+        .rejects.toMatchObject({ statusCode: 400, userMessage: 'Gift cards and store credit can only be used when paying in USD.' });
+      await expect(giftCardService.holdBalance({ amount: 1000, code: 'ABCD', currency: 'usd', now }))
+        .resolves.toMatchObject({ amount: 1000 });
+    });
+  });
+
+  it('should release the hold of an expired session once and drop the card it was buying', async () => {
+    const held = card({ balance: '30.00' });
+    GiftCard.findByPk.mockResolvedValue(held);
+    GiftCardTransaction.findAll.mockResolvedValue([{ id: 'tx-1', gift_card_id: 'card-1', amount: '-20.00' }]);
+    GiftCardTransaction.count.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+    await expect(giftCardService.releaseSession({ id: 'cs_1' })).resolves.toBe(2000);
+    await expect(giftCardService.releaseSession({ id: 'cs_1' })).resolves.toBe(0);
+
+    expect(held.balance).toBe(50);
+    expect(GiftCardTransaction.create).toHaveBeenCalledTimes(1);
+    expect(GiftCardTransaction.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'release', amount: 20, balance_after: 50, stripe_session_id: 'cs_1' }),
+      expect.anything()
+    );
+    expect(GiftCard.destroy).toHaveBeenCalledWith({ where: { stripe_session_id: 'cs_1', status: 'pending' } });
+  });
+
+  it('should activate a bought gift card once and email its code', async () => {
+    const pending = card({ status: 'pending', balance: '0.00', recipient_email: 'friend@example.com', order_id: null });
+    GiftCard.findOne.mockResolvedValue(pending);
+    const order = { id: 'order-1', customerEmail: 'Buyer@Example.com' };
+
+    await giftCardService.completePurchase({ id: 'cs_1' }, order, { now });
+    await giftCardService.completePurchase({ id: 'cs_1' }, order, { now });
+
+    expect(pending).toMatchObject({
+      status: 'active',
+      balance: 50,
+      order_id: 'order-1',
+      purchaser_email: 'buyer@example.com',
+      recipient_email: 'friend@example.com'
+    });
+    expect(pending.code_hash).toHaveLength(64);
+    expect(GiftCardTransaction.create).toHaveBeenCalledTimes(1);
+    expect(EmailService.sendGiftCardEmail).toHaveBeenCalledTimes(1);
+
+    const [, code] = EmailService.sendGiftCardEmail.mock.calls[0];
+    expect(giftCardService.hashCode(code)).toBe(pending.code_hash);
+  });
+
+  it('should issue store credit to a customer and audit it', async () => {
+    GiftCard.create.mockImplementation(values => Promise.resolve(card({ id: 'credit-1', ...values })));
+
+    const credit = await giftCardService.issue(
+      { amount: 25, userId: 'user-1', email: 'Jane@Example.com', orderId: 'order-1', refundId: 'refund-1' },
+      { user: { id: 'admin-1' }, now }
+    );
+
+    expect(credit).toMatchObject({ kind: 'store_credit', status: 'active', balance: 25, user_id: 'user-1', recipient_email: 'jane@example.com' });
+    expect(GiftCardTransaction.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'issue', amount: 25, refund_id: 'refund-1', created_by: 'admin-1' }),
+      expect.anything()
+    );
+    expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({ entityType: 'GiftCard', entityId: 'credit-1' }));
+    expect(EmailService.sendGiftCardEmail).toHaveBeenCalled();
+  });
+
+  it('should not let an adjustment take the balance below zero', async () => {
+    GiftCard.findByPk.mockResolvedValue(card({ balance: '10.00' }));
+
+    await expect(giftCardService.adjust('card-1', { amount: -15, note: 'Correction' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(GiftCardTransaction.create).not.toHaveBeenCalled();
+  });
+});
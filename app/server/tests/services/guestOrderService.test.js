@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Guest Order Service
+ *
+ * Covers access links of guest orders, opening an order with its link and
+ * claiming guest orders into a verified account.
+ */
+
+jest.mock('../../src/models', () => ({
+  Order: { findByPk: jest.fn(), findAll: jest.fn() },
+  OrderItem: {}
+}));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/emailService', () => ({ sendGuestOrderEmail: jest.fn() }));
+jest.mock('../../src/services/auditService', () => {
+  const AuditService = { create: jest.fn() };
+  AuditService.ACTIONS = { ORDER_CLAIMED: 'ORDER_CLAIMED' };
+  AuditService.ENTITIES = { ORDER: 'Order' };
+  AuditService.SEVERITY = { LOW: 'low' };
+  return AuditService;
+});
+
+const { Order } = require('../../src/models');
+const EmailService = require('../../src/services/emailService');
+const AuditService = require('../../src/services/auditService');
+const guestOrderService = require('../../src/services/guestOrderService');
+
+const order = (overrides = {}) => {
+  const row = {
+    id: 'order-1',
+    isGuest: true,
+    customerId: null,
+    customerEmail: 'Jane@Example.com',
+    accessTokenHash: null,
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  return row;
+};
+
+const verifiedUser = { id: 'user-1', email: 'jane@example.com', is_verified: true };
+
+describe('Guest Order Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CLIENT_URL = 'https://shop.example';
+  });
+
+  describe('sendAccessLink', () => {
+    it('should store only the hash of the emailed token', async () => {
+      const guestOrder = order();
+
+      await expect(guestOrderService.sendAccessLink(guestOrder)).resolves.toBe(true);
+
+      const [, url] = EmailService.sendGuestOrderEmail.mock.calls[0];
+      const token = new URL(url).searchParams.get('token');
+      expect(url).toMatch(/^https:\/\/shop\.example\/order\/access\?order=order-1&token=[0-9a-f]{64}$/);
+      expect(guestOrder.accessTokenHash).toHaveLength(64);
+      expect(guestOrder.accessTokenHash).not.toBe(token);
+    });
+
+    it('should not fail the order when the email cannot be sent', async () => {
+      EmailService.sendGuestOrderEmail.mockRejectedValue(new Error('SMTP down'));
+
+      await expect(guestOrderService.sendAccessLink(order())).resolves.toBe(false);
+    });
+  });
+
+  describe('getOrderByAccessToken', () => {
+    it('should open the order with the token from its link', async () => {
+      const guestOrder = order();
+      const token = await guestOrderService.issueAccessToken(guestOrder);
+      Order.findByPk.mockResolvedValue(guestOrder);
+
+      await expect(guestOrderService.getOrderByAccessToken('order-1', token)).resolves.toBe(guestOrder);
+    });
+
+    it('should refuse a wrong token and a claimed order the same way', async () => {
+      const guestOrder = order();
+      const token = await guestOrderService.issueAccessToken(guestOrder);
+      Order.findByPk
+        .mockResolvedValueOnce(guestOrder)
+        .mockResolvedValueOnce({ ...guestOrder, customerId: 'user-1' });
+
+      const wrongToken = await guestOrderService.getOrderByAccessToken('order-1', 'a'.repeat(64)).catch(error => error);
+      const claimed = await guestOrderService.getOrderByAccessToken('order-1', token).catch(error => error);
+
+      expect(wrongToken).toMatchObject({ statusCode: 404 });
+      expect(claimed.message).toBe(wrongToken.message);
+    });
+  });
+
+  describe('claimOrders', () => {
+    it('should move guest orders with the verified email into the account', async () => {
+      const guestOrder = order({ accessTokenHash: 'f'.repeat(64) });
+      Order.findAll.mockResolvedValue([guestOrder]);
+
+      const claimed = await guestOrderService.claimOrders(verifiedUser);
+
+      expect(Order.findAll).toHaveBeenCalledWith({
+        where: { isGuest: true, customerId: null, customerEmail: 'jane@example.com' }
+      });
+      expect(claimed).toEqual([guestOrder]);
+      expect(guestOrder).toMatchObject({ customerId: 'user-1', accessTokenHash: null });
+      expect(guestOrder.claimedAt).toBeInstanceOf(Date);
+      expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'ORDER_CLAIMED',
+        entityId: 'order-1',
+        metadata: { method: 'email' }
+      }));
+    });
+
+    it('should not claim anything for an unverified account', async () => {
+      await expect(guestOrderService.claimOrders({ ...verifiedUser, is_verified: false })).resolves.toEqual([]);
+      expect(Order.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claimOrder', () => {
+    it('should refuse to claim an order placed with another email', async () => {
+      const guestOrder = order({ customerEmail: 'someone@example.com' });
+      const token = await guestOrderService.issueAccessToken(guestOrder);
+      Order.findByPk.mockResolvedValue(guestOrder);
+
+      await expect(guestOrderService.claimOrder(verifiedUser, 'order-1', token))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(guestOrder.customerId).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Order Event Service
+ *
+ * Covers recording timeline steps once, carrier tracking links, the timeline
+ * of older orders and guest order lookups.
+ */
+
+jest.mock('../../src/models', () => ({
+  Order: { findByPk: jest.fn() },
+  OrderEvent: { create: jest.fn(), findOrCreate: jest.fn(), findAll: jest.fn() }
+}));
+
+const { Order, OrderEvent } = require('../../src/models');
+const orderEventService = require('../../src/services/orderEventService');
+
+const order = (overrides = {}) => ({
+  id: 'order-1',
+  status: 'paid',
+  fulfillmentStatus: 'shipped',
+  customerEmail: 'Jane@Example.com',
+  stripePaymentIntentId: 'pi_1',
+  shippingMethod: 'standard',
+  createdAt: new Date('2025-04-01T12:00:00Z'),
+  metadata: null,
+  ...overrides
+});
+
+describe('Order Event Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrderEvent.findAll.mockResolvedValue([]);
+    OrderEvent.findOrCreate.mockImplementation(({ defaults }) => Promise.resolve([defaults, true]));
+  });
+
+  describe('record', () => {
+    it('should record steps that happen once per order only once', async () => {
+      await orderEventService.record(order(), 'delivered', { source: 'printify' });
+
+      expect(OrderEvent.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { order_id: 'order-1', dedupe_key: 'delivered' }
+      }));
+      expect(OrderEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should record shipments without a key every time', async () => {
+      await orderEventService.record('order-1', 'shipped', { carrier: 'Canada Post', trackingNumber: '123' });
+
+      expect(OrderEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({ order_id: 'order-1', carrier: 'canada_post', tracking_number: '123', dedupe_key: null }),
+        { transaction: undefined }
+      );
+    });
+
+    it('should not fail the caller when the event cannot be stored', async () => {
+      OrderEvent.findOrCreate.mockRejectedValue(new Error('deadlock'));
+
+      await expect(orderEventService.record(order(), 'paid')).resolves.toBeNull();
+    });
+  });
+
+  it('should link known carriers to their tracking page and fall back to Printify\'s link', () => {
+    expect(orderEventService.getTrackingUrl('USPS', '9400 1')).toBe(
+      'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400%201'
+    );
+    expect(orderEventService.getTrackingUrl('acme', '1', 'https://track.example/1')).toBe('https://track.example/1');
+    expect(orderEventService.getTrackingUrl('acme', '1')).toBeNull();
+  });
+
+  describe('getTimeline', () => {
+    it('should list steps with tracking and keep notes for admins', async () => {
+      OrderEvent.findAll.mockResolvedValue([
+        { id: 'ev-1', type: 'paid', source: 'stripe', occurred_at: new Date('2025-04-01T12:00:00Z') },
+        {
+          id: 'ev-2',
+          type: 'shipped',
+          source: 'printify',
+          carrier: 'ups',
+          tracking_number: '1Z999',
+          note: 'Left warehouse',
+          occurred_at: new Date('2025-04-03T12:00:00Z')
+        }
+      ]);
+
+      const timeline = await orderEventService.getTimeline(order());
+      const adminTimeline = await orderEventService.getTimeline(order(), { internal: true });
+
+      expect(timeline.events.map(event => event.type)).toEqual(['paid', 'shipped']);
+      expect(timeline.shipments).toEqual([expect.objectContaining({
+        carrierName: 'UPS',
+        trackingNumber: '1Z999',
+        trackingUrl: 'https://www.ups.com/track?tracknum=1Z999'
+      })]);
+      expect(timeline.events[1]).not.toHaveProperty('note');
+      expect(adminTimeline.events[1]).toMatchObject({ note: 'Left warehouse', source: 'printify' });
+    });
+
+    it('should build the timeline of older orders from the order itself', async () => {
+      const timeline = await orderEventService.getTimeline(order({
+        metadata: { shipments: [{ carrier: 'usps', trackingNumber: '9400', shippedAt: '2025-04-03T12:00:00Z' }] }
+      }));
+
+      expect(timeline.events.map(event => event.type)).toEqual(['paid', 'shipped']);
+      expect(timeline.shipments[0]).toMatchObject({ carrierName: 'USPS', trackingNumber: '9400' });
+    });
+  });
+
+  describe('lookupOrder', () => {
+    it('should find the order by order number and email, ignoring case and #', async () => {
+      const row = order();
+      Order.findByPk.mockResolvedValue(row);
+
+      await expect(orderEventService.lookupOrder(' jane@example.com', '#ORDER-1')).resolves.toBe(row);
+      expect(Order.findByPk).toHaveBeenCalledWith('order-1');
+    });
+
+    it('should fail the same way for a wrong email and an unknown order', async () => {
+      Order.findByPk.mockResolvedValueOnce(order()).mockResolvedValueOnce(null);
+
+      const wrongEmail = await orderEventService.lookupOrder('someone@example.com', 'order-1').catch(error => error);
+      const unknown = await orderEventService.lookupOrder('jane@example.com', 'order-2').catch(error => error);
+
+      expect(wrongEmail).toMatchObject({ statusCode: 404 });
+      expect(unknown.message).toBe(wrongEmail.message);
+    });
+  });
+});
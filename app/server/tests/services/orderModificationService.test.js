@@ -0,0 +1,276 @@
+/**
+ * Unit Tests for Order Modification Service
+ *
+ * Covers where an order can be cancelled (queue or Printify), the refund and
+ * audit trail of a cancellation, and shipping address edits during the
+ * modification window.
+ */
+
+jest.mock('stripe', () => () => ({}));
+jest.mock('../../src/models', () => ({
+  Order: { findByPk: jest.fn() }
+}));
+jest.mock('../../src/services/orderSubmissionService', () => ({
+  getSubmissionForOrder: jest.fn(),
+  cancelSubmission: jest.fn(),
+  updatePendingPayload: jest.fn()
+}));
+jest.mock('../../src/services/printifyService', () => ({
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+jest.mock('../../src/services/refundService', () => ({
+  getRefundableBalance: jest.fn(),
+  refundOrder: jest.fn()
+}));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/orderEventService', () => {
+  const orderEventService = { record: jest.fn() };
+  orderEventService.EVENT_TYPES = { CANCELLED: 'cancelled' };
+  return orderEventService;
+});
+jest.mock('../../src/services/auditService', () => {
+  const AuditService = { create: jest.fn() };
+  AuditService.ACTIONS = { ORDER_CANCELLED: 'ORDER_CANCELLED', ORDER_UPDATED: 'ORDER_UPDATED' };
+  AuditService.ENTITIES = { ORDER: 'Order' };
+  AuditService.SEVERITY = { MEDIUM: 'medium' };
+  return AuditService;
+});
+jest.mock('../../src/services/emailService', () => ({ sendOrderCancellationEmail: jest.fn() }));
+
+const orderSubmissionService = require('../../src/services/orderSubmissionService');
+const printifyService = require('../../src/services/printifyService');
+const refundService = require('../../src/services/refundService');
+const orderEventService = require('../../src/services/orderEventService');
+const AuditService = require('../../src/services/auditService');
+const EmailService = require('../../src/services/emailService');
+const orderModificationService = require('../../src/services/orderModificationService');
+
+const order = (overrides = {}) => {
+  const row = {
+    id: 'order-1',
+    status: 'paid',
+    fulfillmentStatus: null,
+    stripePaymentIntentId: 'pi_1',
+    printifyOrderId: null,
+    customerId: 'user-1',
+    customerEmail: 'jane@example.com',
+    customerName: 'Jane Doe',
+    createdAt: new Date(),
+    metadata: null,
+    shippingAddress: { name: 'Jane Doe', address: { line1: '1 Old St', city: 'Chicago', country: 'US' } },
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  return row;
+};
+
+describe('Order Modification Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orderSubmissionService.getSubmissionForOrder.mockResolvedValue(null);
+    orderSubmissionService.updatePendingPayload.mockResolvedValue(true);
+    refundService.getRefundableBalance.mockResolvedValue({ refundable: 45.99, paymentRefundable: 45.99 });
+    refundService.refundOrder.mockResolvedValue([{
+      id: 'refund-1', amount: '45.99', method: 'original_payment', status: 'succeeded'
+    }]);
+  });
+
+  describe('getCancellation', () => {
+    it('should cancel queued orders in the queue', async () => {
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue({ id: 'sub-1', status: 'pending' });
+
+      const cancellation = await orderModificationService.getCancellation(order());
+
+      expect(cancellation).toMatchObject({ cancellable: true, stage: 'queue' });
+      expect(printifyService.getOrder).not.toHaveBeenCalled();
+    });
+
+    it('should ask Printify whether a submitted order is still on hold', async () => {
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue({
+        id: 'sub-1', status: 'submitted', shop_id: 'shop-1', printify_order_id: 'pf-1'
+      });
+      printifyService.getOrder.mockResolvedValue({ id: 'pf-1', status: 'on-hold' });
+
+      const cancellation = await orderModificationService.getCancellation(order({ printifyOrderId: 'pf-1' }));
+
+      expect(printifyService.getOrder).toHaveBeenCalledWith('shop-1', 'pf-1');
+      expect(cancellation).toMatchObject({ cancellable: true, stage: 'printify', printifyStatus: 'on-hold' });
+    });
+
+    it('should refuse orders that are in production', async () => {
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue({ id: 'sub-1', status: 'submitted', shop_id: 'shop-1' });
+      printifyService.getOrder.mockResolvedValue({ id: 'pf-1', status: 'in-production' });
+
+      const cancellation = await orderModificationService.getCancellation(order({ printifyOrderId: 'pf-1' }));
+
+      expect(cancellation.cancellable).toBe(false);
+    });
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel at Printify, refund, audit and email the customer', async () => {
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue({ id: 'sub-1', status: 'submitted', shop_id: 'shop-1' });
+      printifyService.getOrder.mockResolvedValue({ id: 'pf-1', status: 'on-hold' });
+      const row = order({ printifyOrderId: 'pf-1' });
+
+      const { refunds } = await orderModificationService.cancelOrder(row, { reason: 'Ordered the wrong size', userId: 'user-1' });
+
+      expect(printifyService.cancelOrder).toHaveBeenCalledWith('shop-1', 'pf-1');
+      expect(refundService.refundOrder).toHaveBeenCalledTimes(1);
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        row,
+        // Without an amount the card gets back what is left on it
+        { source: 'cancellation', note: 'Order cancelled: Ordered the wrong size' },
+        expect.objectContaining({ userId: 'user-1', idempotencyKey: 'order-cancel-order-1' })
+      );
+      expect(refunds.map(refund => refund.id)).toEqual(['refund-1']);
+      expect(row).toMatchObject({ status: 'cancelled', fulfillmentStatus: 'cancelled', cancellationReason: 'Ordered the wrong size' });
+      expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'ORDER_CANCELLED',
+        entityId: 'order-1',
+        oldValues: { status: 'paid', fulfillmentStatus: null }
+      }));
+      expect(EmailService.sendOrderCancellationEmail).toHaveBeenCalledWith(row, expect.objectContaining({ refundAmount: 45.99 }));
+      expect(orderEventService.record).toHaveBeenCalledWith(row, 'cancelled', expect.objectContaining({
+        source: 'customer',
+        note: 'Ordered the wrong size'
+      }));
+    });
+
+    it('should stop a queued submission without calling Printify', async () => {
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue({ id: 'sub-1', status: 'pending' });
+
+      await orderModificationService.cancelOrder(order(), { userId: 'user-1' });
+
+      expect(orderSubmissionService.cancelSubmission).toHaveBeenCalledWith('sub-1', expect.objectContaining({ userId: 'user-1' }));
+      expect(printifyService.cancelOrder).not.toHaveBeenCalled();
+    });
+
+    it('should not refund when the order cannot be cancelled', async () => {
+      await expect(orderModificationService.cancelOrder(order({ status: 'cancelled' })))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(refundService.refundOrder).not.toHaveBeenCalled();
+    });
+
+    it('should finish a retried cancellation without refunding twice', async () => {
+      refundService.getRefundableBalance.mockResolvedValue({ refundable: 0, paymentRefundable: 0 });
+      const row = order({ status: 'refunded', fulfillmentStatus: 'cancelled' });
+
+      const { refunds } = await orderModificationService.cancelOrder(row);
+
+      expect(refunds).toEqual([]);
+      expect(refundService.refundOrder).not.toHaveBeenCalled();
+      expect(row.status).toBe('cancelled');
+    });
+
+    it('should refund the card share to the card and the gift card share as store credit', async () => {
+      refundService.getRefundableBalance.mockResolvedValue({ refundable: 45.99, paymentRefundable: 25.99 });
+      refundService.refundOrder
+        .mockResolvedValueOnce([{ id: 'refund-1', amount: '25.99', method: 'original_payment', status: 'succeeded' }])
+        .mockResolvedValueOnce([{ id: 'refund-2', amount: '20.00', method: 'store_credit', status: 'succeeded' }]);
+      const row = order();
+
+      const { refunds } = await orderModificationService.cancelOrder(row, { userId: 'user-1' });
+
+      expect(refundService.refundOrder).toHaveBeenNthCalledWith(1,
+        row,
+        { source: 'cancellation', note: 'Order cancelled' },
+        expect.objectContaining({ idempotencyKey: 'order-cancel-order-1' })
+      );
+      expect(refundService.refundOrder).toHaveBeenNthCalledWith(2,
+        row,
+        expect.objectContaining({ amount: 20, method: 'store_credit' }),
+        expect.objectContaining({ idempotencyKey: 'order-cancel-credit-order-1' })
+      );
+      expect(refunds.map(refund => refund.id)).toEqual(['refund-1', 'refund-2']);
+      expect(row.metadata.cancellation.refundIds).toEqual(['refund-1', 'refund-2']);
+      expect(EmailService.sendOrderCancellationEmail).toHaveBeenCalledWith(row, expect.objectContaining({
+        refundAmount: 25.99,
+        storeCreditAmount: 20
+      }));
+    });
+
+    it('should only issue the store credit once the card share is already refunded', async () => {
+      refundService.getRefundableBalance.mockResolvedValue({ refundable: 20, paymentRefundable: 0 });
+      refundService.refundOrder.mockResolvedValue([{ id: 'refund-2', amount: '20.00', method: 'store_credit', status: 'succeeded' }]);
+      const row = order({ fulfillmentStatus: 'cancelled' });
+
+      await orderModificationService.cancelOrder(row);
+
+      expect(refundService.refundOrder).toHaveBeenCalledTimes(1);
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        row,
+        expect.objectContaining({ amount: 20, method: 'store_credit' }),
+        expect.anything()
+      );
+      expect(row.status).toBe('cancelled');
+    });
+
+    it('should give a gift card paid order back as store credit', async () => {
+      refundService.getRefundableBalance.mockResolvedValue({ refundable: 45.99, paymentRefundable: 0 });
+      refundService.refundOrder.mockResolvedValue([{ id: 'refund-2', amount: '45.99', method: 'store_credit', status: 'succeeded' }]);
+      const row = order({ stripePaymentIntentId: null });
+
+      const { refunds } = await orderModificationService.cancelOrder(row);
+
+      expect(refundService.refundOrder).toHaveBeenCalledTimes(1);
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        row,
+        expect.objectContaining({ amount: 45.99, method: 'store_credit' }),
+        expect.objectContaining({ idempotencyKey: 'order-cancel-credit-order-1' })
+      );
+      expect(refunds).toHaveLength(1);
+      expect(EmailService.sendOrderCancellationEmail).toHaveBeenCalledWith(row, expect.objectContaining({
+        refundAmount: null,
+        storeCreditAmount: 45.99
+      }));
+    });
+
+    it('should keep the fulfillment cancellation when the refund fails', async () => {
+      refundService.refundOrder.mockRejectedValue(new Error('card_declined'));
+      const row = order();
+
+      await expect(orderModificationService.cancelOrder(row)).rejects.toThrow('card_declined');
+
+      expect(row).toMatchObject({ status: 'paid', fulfillmentStatus: 'cancelled' });
+    });
+  });
+
+  describe('updateShippingAddress', () => {
+    const address = { name: 'Jane Doe', line1: '2 New St', city: 'Chicago', postal_code: '60612', country: 'US' };
+
+    it('should update the order and the queued Printify payload', async () => {
+      const submission = { id: 'sub-1', status: 'pending', payload: { external_id: 'cs_1', address_to: { email: 'jane@example.com' } } };
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue(submission);
+      const row = order();
+
+      await orderModificationService.updateShippingAddress(row, address, { userId: 'user-1' });
+
+      expect(row.shippingAddress.address.line1).toBe('2 New St');
+      expect(orderSubmissionService.updatePendingPayload).toHaveBeenCalledWith(submission, expect.objectContaining({
+        external_id: 'cs_1',
+        address_to: expect.objectContaining({ first_name: 'Jane', last_name: 'Doe', address1: '2 New St', zip: '60612' })
+      }));
+    });
+
+    it('should refuse once the modification window has passed', async () => {
+      const row = order({ createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+
+      await expect(orderModificationService.updateShippingAddress(row, address)).rejects.toMatchObject({ statusCode: 409 });
+      expect(row.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move the order to another country', async () => {
+      await expect(orderModificationService.updateShippingAddress(order(), { ...address, country: 'CA' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse when the submission was already sent', async () => {
+      orderSubmissionService.getSubmissionForOrder.mockResolvedValue({ id: 'sub-1', status: 'submitted', payload: {} });
+      orderSubmissionService.updatePendingPayload.mockResolvedValue(false);
+
+      await expect(orderModificationService.updateShippingAddress(order(), address)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
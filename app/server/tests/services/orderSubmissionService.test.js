@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for Order Submission Service
+ *
+ * Covers claiming, backoff, dead-lettering and admin retry/cancel of the
+ * Printify order submission queue.
+ */
+
+jest.mock('../../src/models', () => ({
+  sequelize: { transaction: jest.fn(callback => callback('tx')) },
+  Order: { findByPk: jest.fn() },
+  PrintifyOrderSubmission: {
+    findOrCreate: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  PrintifyOrderSubmissionAttempt: { create: jest.fn() }
+}));
+jest.mock('../../src/services/printifyService', () => ({
+  createOrder: jest.fn(),
+  getOrders: jest.fn()
+}));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/orderEventService', () => {
+  const orderEventService = { record: jest.fn() };
+  orderEventService.EVENT_TYPES = { SUBMITTED: 'submitted' };
+  return orderEventService;
+});
+
+const {
+  Order,
+  PrintifyOrderSubmission,
+  PrintifyOrderSubmissionAttempt
+} = require('../../src/models');
+const printifyService = require('../../src/services/printifyService');
+const eventService = require('../../src/services/EventService');
+const orderEventService = require('../../src/services/orderEventService');
+const orderSubmissionService = require('../../src/services/orderSubmissionService');
+
+const submission = (overrides = {}) => {
+  const row = {
+    id: 'sub-1',
+    order_id: 'order-1',
+    shop_id: '42',
+    payload: { external_id: 'cs_test_1' },
+    status: 'pending',
+    attempts: 0,
+    max_attempts: 3,
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  row.reload = jest.fn().mockResolvedValue(row);
+  return row;
+};
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+describe('Order Submission Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PrintifyOrderSubmission.update.mockResolvedValue([1]);
+  });
+
+  it('should submit a claimed order and link it to the Printify order', async () => {
+    const job = submission();
+    const order = { fulfillmentStatus: null, save: jest.fn() };
+    printifyService.createOrder.mockResolvedValue({ id: 'po-1' });
+    Order.findByPk.mockResolvedValue(order);
+
+    await orderSubmissionService.submitNow(job);
+
+    expect(PrintifyOrderSubmission.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'processing' }),
+      { where: { id: 'sub-1', status: 'pending' } }
+    );
+    expect(printifyService.createOrder).toHaveBeenCalledWith('42', job.payload);
+    expect(job.status).toBe('submitted');
+    expect(job.printify_order_id).toBe('po-1');
+    expect(order.printifyOrderId).toBe('po-1');
+    expect(order.fulfillmentStatus).toBe('pending');
+    expect(orderEventService.record).toHaveBeenCalledWith(order, 'submitted', {
+      data: { printifyOrderId: 'po-1' },
+      transaction: 'tx'
+    });
+    expect(PrintifyOrderSubmissionAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({ attempt_number: 1, outcome: 'succeeded' }),
+      { transaction: 'tx' }
+    );
+  });
+
+  it('should leave a submission alone when another worker claimed it', async () => {
+    PrintifyOrderSubmission.update.mockResolvedValue([0]);
+    const job = submission();
+
+    await orderSubmissionService.submitNow(job);
+
+    expect(printifyService.createOrder).not.toHaveBeenCalled();
+    expect(job.reload).toHaveBeenCalled();
+  });
+
+  it('should schedule a retry with backoff after a transient failure', async () => {
+    const job = submission();
+    printifyService.createOrder.mockRejectedValue(httpError('rate limited', 429));
+    const before = Date.now();
+
+    await orderSubmissionService.submitNow(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.attempts).toBe(1);
+    expect(job.last_error).toBe('rate limited');
+    expect(job.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    expect(PrintifyOrderSubmissionAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+      outcome: 'failed',
+      http_status: 429,
+      error_message: 'rate limited'
+    }));
+  });
+
+  it('should dead-letter when attempts run out or Printify rejects the order', async () => {
+    const exhausted = submission({ attempts: 2 });
+    const rejected = submission({ id: 'sub-2' });
+    printifyService.getOrders.mockResolvedValue({ data: [] });
+    printifyService.createOrder
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockRejectedValueOnce(httpError('invalid address', 400));
+
+    await orderSubmissionService.submitNow(exhausted);
+    await orderSubmissionService.submitNow(rejected);
+
+    expect(exhausted.status).toBe('dead_letter');
+    expect(rejected.status).toBe('dead_letter');
+    expect(rejected.attempts).toBe(1);
+    expect(eventService.emit).toHaveBeenCalledWith('order.submission.dead_lettered', expect.objectContaining({
+      submissionId: 'sub-2'
+    }));
+  });
+
+  it('should reuse a Printify order created by an earlier attempt', async () => {
+    const job = submission({ attempts: 1 });
+    printifyService.getOrders.mockResolvedValue({ data: [{ id: 'po-9', external_id: 'cs_test_1' }] });
+    Order.findByPk.mockResolvedValue(null);
+
+    await orderSubmissionService.submitNow(job);
+
+    expect(printifyService.createOrder).not.toHaveBeenCalled();
+    expect(job.printify_order_id).toBe('po-9');
+  });
+
+  it('should grow the backoff exponentially up to the cap', () => {
+    const first = orderSubmissionService.getBackoffDelay(1);
+    const third = orderSubmissionService.getBackoffDelay(3);
+    const late = orderSubmissionService.getBackoffDelay(30);
+
+    expect(first).toBeGreaterThanOrEqual(60 * 1000);
+    expect(first).toBeLessThan(66 * 1000);
+    expect(third).toBeGreaterThanOrEqual(240 * 1000);
+    expect(late).toBeLessThanOrEqual(360 * 60 * 1000 * 1.1);
+  });
+
+  describe('admin actions', () => {
+    it('should requeue a dead-lettered submission with a fresh set of attempts', async () => {
+      const job = submission({ status: 'dead_letter', attempts: 3 });
+      PrintifyOrderSubmission.findByPk.mockResolvedValue(job);
+      printifyService.getOrders.mockResolvedValue([]);
+      printifyService.createOrder.mockResolvedValue({ id: 'po-1' });
+
+      const result = await orderSubmissionService.retrySubmission('sub-1');
+
+      expect(job.max_attempts).toBe(11);
+      expect(result.status).toBe('submitted');
+    });
+
+    it('should refuse to cancel a submitted order', async () => {
+      PrintifyOrderSubmission.findByPk.mockResolvedValue(submission({ status: 'submitted' }));
+
+      await expect(orderSubmissionService.cancelSubmission('sub-1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should cancel a pending submission', async () => {
+      const job = submission();
+      PrintifyOrderSubmission.findByPk.mockResolvedValue(job);
+
+      await orderSubmissionService.cancelSubmission('sub-1', { userId: 'admin-1', reason: 'fulfilled by hand' });
+
+      expect(job.status).toBe('cancelled');
+      expect(job.cancelled_by).toBe('admin-1');
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Unit Tests for Preorder Service
+ *
+ * Covers pre-order checkouts paid in full or with a deposit, releasing
+ * pre-orders when their product is published (charging the balance of
+ * deposits, or asking for it when the card is declined), cancelling every
+ * pre-order of a product and the admin counts.
+ */
+
+const mockStripe = {
+  checkout: { sessions: { create: jest.fn(), expire: jest.fn() } },
+  paymentIntents: { retrieve: jest.fn(), create: jest.fn() }
+};
+
+jest.mock('stripe', () => () => mockStripe);
+jest.mock('../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  },
+  Order: { findByPk: jest.fn() },
+  OrderItem: { findAll: jest.fn() },
+  Preorder: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  PreorderProduct: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(), update: jest.fn() }
+}));
+jest.mock('../../src/services/catalogService', () => ({ getProduct: jest.fn() }));
+jest.mock('../../src/services/pricingService', () => ({ priceCart: jest.fn() }));
+jest.mock('../../src/services/shippingService', () => ({
+  getQuote: jest.fn(),
+  toStripeShippingOptions: jest.fn(() => [{ shipping_rate_data: {} }])
+}));
+jest.mock('../../src/services/taxService', () => ({
+  prepareCheckout: jest.fn(),
+  calculate: jest.fn(),
+  recordOrderTax: jest.fn()
+}));
+jest.mock('../../src/services/currencyService', () => ({ getBaseCurrency: () => 'USD' }));
+jest.mock('../../src/services/orderService', () => ({ toPrintifyAddress: jest.fn(() => ({ country: 'US' })) }));
+jest.mock('../../src/services/orderSubmissionService', () => ({ enqueue: jest.fn() }));
+jest.mock('../../src/services/orderModificationService', () => ({
+  cancelOrder: jest.fn(),
+  ORDER_EVENTS: { CANCELLED: 'order.cancelled' }
+}));
+jest.mock('../../src/services/catalogSyncService', () => ({
+  CATALOG_EVENTS: { PRODUCT_CREATED: 'catalog.product.created', PRODUCT_UPDATED: 'catalog.product.updated' }
+}));
+jest.mock('../../src/services/EventService', () => ({ on: jest.fn() }));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+jest.mock('../../src/services/auditService', () => {
+  const AuditService = { create: jest.fn() };
+  AuditService.ACTIONS = { CREATE: 'CREATE', UPDATE: 'UPDATE' };
+  AuditService.ENTITIES = { PREORDER_PRODUCT: 'PreorderProduct' };
+  AuditService.SEVERITY = { MEDIUM: 'medium' };
+  return AuditService;
+});
+jest.mock('../../src/services/emailService', () => ({ sendPreorderBalanceDueEmail: jest.fn() }));
+
+const { Order, OrderItem, Preorder, PreorderProduct } = require('../../src/models');
+const catalogService = require('../../src/services/catalogService');
+const pricingService = require('../../src/services/pricingService');
+const shippingService = require('../../src/services/shippingService');
+const taxService = require('../../src/services/taxService');
+const orderSubmissionService = require('../../src/services/orderSubmissionService');
+const orderModificationService = require('../../src/services/orderModificationService');
+const eventService = require('../../src/services/EventService');
+const EmailService = require('../../src/services/emailService');
+const preorderService = require('../../src/services/preorderService');
+
+// Registered when the service loads, before the mocks are cleared
+const listeners = Object.fromEntries(eventService.on.mock.calls);
+
+const record = (values) => {
+  const row = { ...values };
+  row.update = jest.fn(changes => Object.assign(row, changes));
+  return row;
+};
+
+const product = (overrides = {}) => ({
+  id: 'prod-1',
+  title: 'Comet Hoodie',
+  visible: false,
+  variants: [{ id: 101, title: 'M', price: 5000, is_enabled: true, is_available: true }],
+  ...overrides
+});
+
+const priced = {
+  items: [{ id: 'prod-1', variantId: 101, quantity: 2, title: 'Comet Hoodie', variantTitle: 'M', image: null, unitAmount: 5000, price: 50 }],
+  changes: [],
+  unavailable: [],
+  subtotal: 10000
+};
+
+const quote = {
+  country: 'US',
+  currency: 'usd',
+  options: [
+    { method: 'standard', label: 'Standard', amount: 800, printifyMethod: 1 },
+    { method: 'express', label: 'Express', amount: 1500, printifyMethod: 2 }
+  ]
+};
+
+const preorder = (overrides = {}) => record({
+  id: 'pre-1',
+  order_id: 'order-1',
+  user_id: 'user-1',
+  product_id: 'prod-1',
+  variant_id: 101,
+  quantity: 2,
+  payment: 'deposit',
+  status: 'waiting',
+  deposit_amount: '25.00',
+  balance: null,
+  balance_amount: null,
+  payload: { external_id: 'cs_1', shipping_method: null, address_to: { country: 'US' }, line_items: [] },
+  ...overrides
+});
+
+const order = (overrides = {}) => record({
+  id: 'order-1',
+  status: 'preorder',
+  currency: 'usd',
+  totalAmount: '25.00',
+  stripePaymentIntentId: 'pi_deposit',
+  customerEmail: 'jane@example.com',
+  shippingAddress: { name: 'Jane', address: { country: 'US', state: 'CA', postal_code: '94110' } },
+  metadata: { totals: { subtotal: 25 } },
+  ...overrides
+});
+
+describe('Preorder Service', () => {
+  const user = { id: 'user-1', email: 'jane@example.com' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CLIENT_URL = 'https://shop.example';
+    mockStripe.checkout.sessions.create.mockResolvedValue({ id: 'cs_1', url: 'https://checkout.stripe.com/cs_1' });
+    pricingService.priceCart.mockResolvedValue(priced);
+    shippingService.getQuote.mockResolvedValue(quote);
+  });
+
+  describe('createCheckout', () => {
+    const params = { productId: 'prod-1', variantId: 101, quantity: 2, shippingAddress: { country: 'US', region: 'CA' } };
+
+    it('should charge a deposit and save the card for the balance', async () => {
+      PreorderProduct.findOne.mockResolvedValue({ product_id: 'prod-1', payment: 'deposit', deposit_percent: 25 });
+      catalogService.getProduct.mockResolvedValue(product());
+
+      await expect(preorderService.createCheckout(user, params))
+        .resolves.toEqual({ url: 'https://checkout.stripe.com/cs_1', sessionId: 'cs_1' });
+
+      expect(pricingService.priceCart).toHaveBeenCalledWith([{ id: 'prod-1', variantId: 101, quantity: 2 }], { includeHidden: true });
+
+      const [sessionParams] = mockStripe.checkout.sessions.create.mock.calls[0];
+      expect(sessionParams.line_items).toHaveLength(1);
+      expect(sessionParams.line_items[0]).toMatchObject({ price_data: { currency: 'usd', unit_amount: 2500 }, quantity: 1 });
+      expect(sessionParams).toMatchObject({
+        customer_creation: 'always',
+        payment_intent_data: { setup_future_usage: 'off_session' },
+        metadata: { userId: 'user-1', preorderProductId: 'prod-1', preorderPayment: 'deposit' }
+      });
+      expect(sessionParams.shipping_options).toBeUndefined();
+      expect(taxService.prepareCheckout).not.toHaveBeenCalled();
+    });
+
+    it('should charge the full price with shipping and tax', async () => {
+      PreorderProduct.findOne.mockResolvedValue({ product_id: 'prod-1', payment: 'full', deposit_percent: null });
+      catalogService.getProduct.mockResolvedValue(product());
+
+      await preorderService.createCheckout(user, params);
+
+      const [sessionParams] = mockStripe.checkout.sessions.create.mock.calls[0];
+      expect(sessionParams.line_items[0]).toMatchObject({ price_data: { unit_amount: 5000 }, quantity: 2 });
+      expect(sessionParams.shipping_options).toHaveLength(1);
+      expect(sessionParams.payment_intent_data).toBeUndefined();
+      expect(taxService.prepareCheckout).toHaveBeenCalledWith(sessionParams, expect.objectContaining({ items: priced.items }));
+    });
+
+    it('should refuse products without pre-orders and products already published', async () => {
+      PreorderProduct.findOne.mockResolvedValue(null);
+
+      await expect(preorderService.createCheckout(user, params)).rejects.toMatchObject({ statusCode: 404 });
+
+      PreorderProduct.findOne.mockResolvedValue({ product_id: 'prod-1', payment: 'full' });
+      catalogService.getProduct.mockResolvedValue(product({ visible: true }));
+
+      await expect(preorderService.createCheckout(user, params)).rejects.toMatchObject({ statusCode: 409 });
+      expect(mockStripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should keep deposits between one cent and one cent short of the price', () => {
+    expect(preorderService.getDepositAmount(10000, 25)).toBe(2500);
+    expect(preorderService.getDepositAmount(3, 1)).toBe(1);
+    expect(preorderService.getDepositAmount(3, 99)).toBe(2);
+  });
+
+  describe('releasing pre-orders', () => {
+    it('should release the pre-orders of a product when the catalog shows it published', async () => {
+      const full = preorder({ payment: 'full', deposit_amount: '108.00', payload: { external_id: 'cs_1', shipping_method: 1 } });
+      const fullOrder = order({ totalAmount: '108.00' });
+      Preorder.findAll.mockResolvedValue([full]);
+      catalogService.getProduct.mockResolvedValue(product({ visible: true }));
+      Order.findByPk.mockResolvedValue(fullOrder);
+
+      await listeners['catalog.product.updated']({ productId: 'prod-1', visible: true });
+
+      expect(fullOrder.update).toHaveBeenCalledWith({ status: 'paid' }, expect.anything());
+      expect(full.status).toBe('released');
+      expect(orderSubmissionService.enqueue).toHaveBeenCalledWith(fullOrder, full.payload);
+
+      // Hidden products keep their pre-orders waiting
+      jest.clearAllMocks();
+      await listeners['catalog.product.updated']({ productId: 'prod-1', visible: false });
+      expect(Preorder.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should charge the balance of a deposit on the saved card', async () => {
+      const deposit = preorder();
+      const depositOrder = order();
+      Order.findByPk.mockResolvedValue(depositOrder);
+      OrderItem.findAll.mockResolvedValue([{ id: 'item-1', product_id: 'prod-1', variant_id: 101, quantity: 2, price: '50.00' }]);
+      taxService.calculate.mockResolvedValue({ provider: 'table', amount: 870, items: [], lines: [{ key: 0, amount: 870 }] });
+      mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_deposit', customer: 'cus_1', payment_method: 'pm_1' });
+      mockStripe.paymentIntents.create.mockResolvedValue({ id: 'pi_balance', status: 'succeeded' });
+
+      await expect(preorderService.release(deposit)).resolves.toBe('released');
+
+      // 75.00 left of the price, the cheapest rate and tax
+      expect(deposit.balance_amount).toBe(91.7);
+      expect(mockStripe.paymentIntents.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 9170, customer: 'cus_1', payment_method: 'pm_1', off_session: true, confirm: true }),
+        { idempotencyKey: 'preorder-balance-pre-1' }
+      );
+      expect(depositOrder).toMatchObject({
+        status: 'paid',
+        totalAmount: 116.7,
+        shippingMethod: 'standard',
+        taxAmount: 8.7,
+        metadata: { totals: { subtotal: 100, shipping: 8, tax: 8.7 }, preorder: { balancePaymentIntentId: 'pi_balance', balanceAmount: 91.7 } }
+      });
+      expect(taxService.recordOrderTax).toHaveBeenCalled();
+      expect(orderSubmissionService.enqueue).toHaveBeenCalledWith(depositOrder, expect.objectContaining({ shipping_method: 1 }));
+    });
+
+    it('should ask for the balance when the saved card is declined', async () => {
+      const deposit = preorder({
+        balance: { items: 7500, shipping: 800, method: 'standard', printifyMethod: 1, tax: null },
+        balance_amount: '83.00'
+      });
+      Order.findByPk.mockResolvedValue(order());
+      mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_deposit', customer: 'cus_1', payment_method: 'pm_1' });
+      mockStripe.paymentIntents.create.mockRejectedValue(Object.assign(new Error('Your card was declined.'), { type: 'StripeCardError' }));
+      catalogService.getProduct.mockResolvedValue(product({ visible: true }));
+
+      await expect(preorderService.release(deposit)).resolves.toBe('balance_due');
+
+      expect(deposit.balance_error).toBe('Your card was declined.');
+      expect(EmailService.sendPreorderBalanceDueEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'order-1' }),
+        { title: 'Comet Hoodie', amount: 83, currency: 'usd' },
+        'https://shop.example/dashboard/order/preorders'
+      );
+      expect(orderSubmissionService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should cancel and refund every open pre-order of a product', async () => {
+    const first = preorder();
+    const second = preorder({ id: 'pre-2', order_id: 'order-2', status: 'balance_due' });
+    Preorder.findAll.mockResolvedValue([first, second]);
+    Order.findByPk.mockImplementation(id => Promise.resolve(order({ id })));
+    orderModificationService.cancelOrder
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Stripe is down'));
+
+    const result = await preorderService.cancelProduct('prod-1', { reason: 'Design pulled', user: { id: 'admin-1' } });
+
+    expect(result).toEqual({ cancelled: 1, failed: [{ orderId: 'order-2', error: 'Stripe is down' }] });
+    expect(PreorderProduct.update).toHaveBeenCalledWith({ enabled: false }, { where: { product_id: 'prod-1' } });
+    expect(orderModificationService.cancelOrder).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'order-1' }),
+      expect.objectContaining({ reason: 'Design pulled', userId: 'admin-1', cancelledBy: 'admin' })
+    );
+    expect(first.status).toBe('cancelled');
+    expect(second.status).toBe('balance_due');
+  });
+
+  it('should count pre-orders by product', async () => {
+    Preorder.findAll.mockResolvedValue([
+      { product_id: 'prod-1', status: 'waiting', count: 3, units: '4', paid: '100.00' },
+      { product_id: 'prod-1', status: 'balance_due', count: '1', units: 1, paid: '25.00' },
+      { product_id: 'prod-1', status: 'cancelled', count: 2, units: 2, paid: '50.00' }
+    ]);
+    PreorderProduct.findAll.mockResolvedValue([
+      { product_id: 'prod-1', enabled: true, payment: 'deposit', deposit_percent: 25, expected_release_at: null }
+    ]);
+    catalogService.getProduct.mockResolvedValue(product());
+
+    await expect(preorderService.getSummary()).resolves.toEqual([{
+      productId: 'prod-1',
+      title: 'Comet Hoodie',
+      visible: false,
+      settings: { productId: 'prod-1', enabled: true, payment: 'deposit', depositPercent: 25, expectedReleaseAt: null },
+      waiting: 3,
+      balanceDue: 1,
+      released: 0,
+      cancelled: 2,
+      units: 5,
+      paid: 125
+    }]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Pricing Service
+ *
+ * Covers server-side pricing from the catalog, reporting price changes
+ * against the client's cart and refusing unavailable variants.
+ */
+
+jest.mock('../../src/services/catalogService', () => ({
+  getProduct: jest.fn()
+}));
+jest.mock('../../src/services/printifyService', () => ({
+  getProductRaw: jest.fn()
+}));
+
+const catalogService = require('../../src/services/catalogService');
+const printifyService = require('../../src/services/printifyService');
+const pricingService = require('../../src/services/pricingService');
+
+const product = (overrides = {}) => ({
+  id: 'prod-1',
+  title: 'Logo Tee',
+  visible: true,
+  variants: [
+    { id: 101, title: 'S / Black', price: 2500, is_enabled: true, is_available: true },
+    { id: 102, title: 'M / Black', price: 2500, is_enabled: false, is_available: true },
+    { id: 103, title: 'L / Black', price: 2700, is_enabled: true, is_available: false }
+  ],
+  images: [
+    { src: 'https://img/default.png', variant_ids: [101, 102, 103], is_default: true }
+  ],
+  ...overrides
+});
+
+describe('Pricing Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    catalogService.getProduct.mockResolvedValue(product());
+  });
+
+  it('should price lines from the catalog, not the client', async () => {
+    const result = await pricingService.priceCart([
+      { id: 'prod-1', variantId: 101, quantity: 2, price: 25, title: 'Cheap Tee' }
+    ]);
+
+    expect(result.items).toEqual([expect.objectContaining({
+      id: 'prod-1',
+      variantId: 101,
+      title: 'Logo Tee',
+      variantTitle: 'S / Black',
+      image: 'https://img/default.png',
+      unitAmount: 2500,
+      price: 25
+    })]);
+    expect(result.changes).toEqual([]);
+    expect(result.subtotal).toBe(5000);
+  });
+
+  it('should list lines whose price changed', async () => {
+    const result = await pricingService.priceCart([
+      { id: 'prod-1', variantId: '101', quantity: 1, price: 19.99 }
+    ]);
+
+    expect(result.changes).toEqual([{
+      id: 'prod-1',
+      variantId: 101,
+      title: 'Logo Tee',
+      variantTitle: 'S / Black',
+      previousPrice: 19.99,
+      price: 25
+    }]);
+  });
+
+  it('should refuse disabled, out of stock and unknown variants', async () => {
+    const result = await pricingService.priceCart([
+      { id: 'prod-1', variantId: 102, quantity: 1, price: 25 },
+      { id: 'prod-1', variantId: 103, quantity: 1, price: 27 },
+      { id: 'prod-1', variantId: 999, quantity: 1, price: 25 }
+    ]);
+
+    expect(result.items).toEqual([]);
+    expect(result.unavailable.map(item => item.reason)).toEqual([
+      'variant_disabled',
+      'out_of_stock',
+      'variant_not_found'
+    ]);
+    expect(catalogService.getProduct).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to Printify for products missing from the catalog', async () => {
+    catalogService.getProduct.mockResolvedValue(null);
+    printifyService.getProductRaw.mockResolvedValue(product());
+
+    const result = await pricingService.priceCart([{ id: 'prod-1', variantId: 101, quantity: 1, price: 25 }]);
+
+    expect(printifyService.getProductRaw).toHaveBeenCalledWith(process.env.DEFAULT_PRINTIFY_SHOP_ID, 'prod-1');
+    expect(result.items).toHaveLength(1);
+  });
+
+  it('should report products that no longer exist', async () => {
+    catalogService.getProduct.mockResolvedValue(null);
+    printifyService.getProductRaw.mockRejectedValue(Object.assign(new Error('Not found'), { status: 404 }));
+
+    const result = await pricingService.priceCart([{ id: 'gone', variantId: 1, quantity: 1, price: 10, title: 'Old Mug' }]);
+
+    expect(result.unavailable).toEqual([{ id: 'gone', variantId: 1, title: 'Old Mug', reason: 'product_not_found' }]);
+  });
+});
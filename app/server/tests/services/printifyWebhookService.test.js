@@ -0,0 +1,243 @@
+/**
+ * Unit Tests for Printify Webhook Service
+ *
+ * Covers signature verification, idempotent event storage, how order
+ * events move an order's fulfillment status, and the sweep that retries
+ * events that failed or were never applied.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+jest.mock('../../src/models', () => ({
+  PrintifyWebhookEvent: { findOrCreate: jest.fn(), findAll: jest.fn(), update: jest.fn() },
+  Order: { findOne: jest.fn() }
+}));
+jest.mock('../../src/services/printifyService', () => ({
+  getOrder: jest.fn(),
+  getWebhooks: jest.fn(),
+  createWebhook: jest.fn(),
+  publishingSucceeded: jest.fn(),
+  publishingFailed: jest.fn()
+}));
+jest.mock('../../src/services/catalogSyncService', () => ({
+  syncProduct: jest.fn(),
+  removeProduct: jest.fn()
+}));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/orderEventService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+
+const { PrintifyWebhookEvent, Order } = require('../../src/models');
+const printifyService = require('../../src/services/printifyService');
+const catalogSyncService = require('../../src/services/catalogSyncService');
+const eventService = require('../../src/services/EventService');
+const orderEventService = require('../../src/services/orderEventService');
+const schedulerService = require('../../src/services/schedulerService');
+const printifyWebhookService = require('../../src/services/printifyWebhookService');
+
+const SECRET = 'test-secret';
+
+const sign = body => 'sha256=' + crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+const storedEvent = (topic, resource, overrides = {}) => ({
+  id: 'row-1',
+  event_id: 'evt-1',
+  topic,
+  status: 'received',
+  attempts: 0,
+  ...overrides,
+  payload: { id: 'evt-1', type: topic, resource },
+  save: jest.fn().mockResolvedValue()
+});
+
+const order = (overrides = {}) => ({
+  id: 'order-1',
+  printifyOrderId: null,
+  fulfillmentStatus: null,
+  metadata: null,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('Printify Webhook Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.DEFAULT_PRINTIFY_SHOP_ID;
+    PrintifyWebhookEvent.update.mockResolvedValue([1]);
+  });
+
+  describe('verifySignature', () => {
+    const body = JSON.stringify({ id: 'evt-1', type: 'order:created' });
+
+    it('should accept a body signed with the shared secret', () => {
+      expect(printifyWebhookService.verifySignature(body, sign(body), SECRET)).toBe(true);
+    });
+
+    it('should reject tampered bodies and missing signatures', () => {
+      expect(printifyWebhookService.verifySignature(`${body} `, sign(body), SECRET)).toBe(false);
+      expect(printifyWebhookService.verifySignature(body, undefined, SECRET)).toBe(false);
+      expect(printifyWebhookService.verifySignature(body, 'sha256=abc', SECRET)).toBe(false);
+    });
+  });
+
+  describe('recordEvent', () => {
+    it('should flag redeliveries of processed events as duplicates', async () => {
+      PrintifyWebhookEvent.findOrCreate.mockResolvedValue([{ status: 'processed' }, false]);
+
+      const { duplicate } = await printifyWebhookService.recordEvent({ id: 'evt-1', type: 'order:created' });
+
+      expect(duplicate).toBe(true);
+    });
+
+    it('should not apply an event again while it is being processed', async () => {
+      PrintifyWebhookEvent.findOrCreate.mockResolvedValue([{ status: 'processing' }, false]);
+
+      const { duplicate } = await printifyWebhookService.recordEvent({ id: 'evt-1', type: 'order:created' });
+
+      expect(duplicate).toBe(true);
+    });
+
+    it('should let failed events be processed again', async () => {
+      PrintifyWebhookEvent.findOrCreate.mockResolvedValue([{ status: 'failed' }, false]);
+
+      const { duplicate } = await printifyWebhookService.recordEvent({ id: 'evt-1', type: 'order:created' });
+
+      expect(duplicate).toBe(false);
+    });
+  });
+
+  describe('processEvent', () => {
+    it('should link an order by external ID and mark it shipped with tracking', async () => {
+      const localOrder = order({ fulfillmentStatus: 'processing' });
+      Order.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(localOrder);
+      printifyService.getOrder.mockResolvedValue({ external_id: 'cs_test_1' });
+
+      const event = await printifyWebhookService.processEvent(storedEvent('order:shipment:created', {
+        id: 'po-1',
+        type: 'order',
+        data: { shop_id: 1, carrier: { code: 'usps', tracking_number: '9400' } }
+      }));
+
+      expect(Order.findOne).toHaveBeenLastCalledWith({ where: { stripeSessionId: 'cs_test_1' } });
+      expect(localOrder.printifyOrderId).toBe('po-1');
+      expect(localOrder.fulfillmentStatus).toBe('shipped');
+      expect(localOrder.metadata.shipments[0]).toMatchObject({ carrier: 'usps', trackingNumber: '9400' });
+      expect(orderEventService.record).toHaveBeenCalledWith(localOrder, 'shipped', expect.objectContaining({
+        source: 'printify',
+        carrier: 'usps',
+        trackingNumber: '9400',
+        dedupeKey: 'shipment:9400'
+      }));
+      expect(eventService.emit).toHaveBeenCalledWith('order.fulfillment.updated', expect.objectContaining({
+        previousStatus: 'processing',
+        status: 'shipped'
+      }));
+      expect(event.status).toBe('processed');
+    });
+
+    it('should never move fulfillment backwards', async () => {
+      const localOrder = order({ printifyOrderId: 'po-1', fulfillmentStatus: 'delivered' });
+      Order.findOne.mockResolvedValue(localOrder);
+
+      await printifyWebhookService.processEvent(storedEvent('order:sent-to-production', { id: 'po-1', data: {} }));
+
+      expect(localOrder.fulfillmentStatus).toBe('delivered');
+      expect(eventService.emit).not.toHaveBeenCalled();
+      // Still part of the order's history
+      expect(orderEventService.record).toHaveBeenCalledWith(localOrder, 'in_production', expect.anything());
+    });
+
+    it('should sync published products and confirm the publish to Printify', async () => {
+      catalogSyncService.syncProduct.mockResolvedValue('created');
+
+      const event = await printifyWebhookService.processEvent(storedEvent('product:publish:started', {
+        id: 'prod-1',
+        type: 'product',
+        data: { shop_id: 1, action: 'create' }
+      }));
+
+      expect(catalogSyncService.syncProduct).toHaveBeenCalledWith('prod-1', { shopId: 1 });
+      expect(printifyService.publishingSucceeded).toHaveBeenCalledWith(1, 'prod-1', expect.objectContaining({ id: 'prod-1' }));
+      expect(event.status).toBe('processed');
+    });
+
+    it('should record failures and report failed publishes', async () => {
+      catalogSyncService.syncProduct.mockRejectedValue(new Error('boom'));
+      printifyService.publishingFailed.mockResolvedValue();
+
+      const event = await printifyWebhookService.processEvent(storedEvent('product:publish:started', {
+        id: 'prod-1',
+        data: { shop_id: 1 }
+      }));
+
+      expect(printifyService.publishingFailed).toHaveBeenCalledWith(1, 'prod-1', 'boom');
+      expect(event.status).toBe('failed');
+      expect(event.error_message).toBe('boom');
+      expect(event.attempts).toBe(1);
+    });
+
+    it('should ignore events for other shops', async () => {
+      process.env.DEFAULT_PRINTIFY_SHOP_ID = '1';
+
+      const event = await printifyWebhookService.processEvent(storedEvent('product:deleted', {
+        id: 'prod-1',
+        data: { shop_id: 2 }
+      }));
+
+      expect(catalogSyncService.removeProduct).not.toHaveBeenCalled();
+      expect(event.status).toBe('ignored');
+    });
+
+    it('should claim the event before applying it', async () => {
+      const event = await printifyWebhookService.processEvent(storedEvent('product:deleted', { id: 'prod-1', data: {} }, {
+        status: 'failed',
+        attempts: 2
+      }));
+
+      expect(PrintifyWebhookEvent.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'processing', attempts: 3 }),
+        { where: { id: 'row-1', status: 'failed', attempts: 2 } }
+      );
+      expect(event).toMatchObject({ status: 'processed', attempts: 3, locked_at: null });
+    });
+
+    it('should leave an event another worker claimed first', async () => {
+      PrintifyWebhookEvent.update.mockResolvedValue([0]);
+      const stored = storedEvent('product:deleted', { id: 'prod-1', data: {} });
+
+      await printifyWebhookService.processEvent(stored);
+
+      expect(catalogSyncService.removeProduct).not.toHaveBeenCalled();
+      expect(stored.save).not.toHaveBeenCalled();
+      expect(stored.status).toBe('received');
+    });
+  });
+
+  describe('processPending', () => {
+    it('should apply events never processed, stuck or due for a retry', async () => {
+      const failed = storedEvent('product:deleted', { id: 'prod-1', data: {} }, { status: 'failed', attempts: 1 });
+      PrintifyWebhookEvent.findAll.mockResolvedValue([failed]);
+
+      await expect(printifyWebhookService.processPending()).resolves.toBe(1);
+
+      const { where } = PrintifyWebhookEvent.findAll.mock.calls[0][0];
+      expect(where[Op.or]).toEqual([
+        expect.objectContaining({ status: 'received' }),
+        expect.objectContaining({ status: 'processing' }),
+        expect.objectContaining({ status: 'failed', attempts: { [Op.lt]: printifyWebhookService.config.maxAttempts } })
+      ]);
+      expect(catalogSyncService.removeProduct).toHaveBeenCalledWith('prod-1');
+      expect(failed.status).toBe('processed');
+    });
+
+    it('should run on a schedule, starting with the server', () => {
+      printifyWebhookService.registerSchedule();
+
+      expect(schedulerService.register).toHaveBeenCalledWith('printify-webhook-sweep', expect.objectContaining({
+        intervalMs: printifyWebhookService.config.sweepIntervalSeconds * 1000,
+        runOnStart: true
+      }));
+    });
+  });
+});
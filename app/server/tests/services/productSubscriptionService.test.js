@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for Product Subscription Service
+ *
+ * Covers subscribing to launches and back-in-stock variants, catalog
+ * changes making subscriptions due, sending the notifications in batches,
+ * unsubscribing from the email link and the demand report.
+ */
+
+jest.mock('../../src/models', () => ({
+  ProductSubscription: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+}));
+jest.mock('../../src/services/catalogService', () => ({ getProduct: jest.fn() }));
+jest.mock('../../src/services/catalogSyncService', () => ({
+  CATALOG_EVENTS: { PRODUCT_CREATED: 'catalog.product.created', PRODUCT_UPDATED: 'catalog.product.updated' }
+}));
+jest.mock('../../src/services/EventService', () => ({ on: jest.fn() }));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+jest.mock('../../src/services/emailService', () => ({ sendProductAvailableEmail: jest.fn() }));
+
+const crypto = require('crypto');
+const { ProductSubscription } = require('../../src/models');
+const catalogService = require('../../src/services/catalogService');
+const eventService = require('../../src/services/EventService');
+const EmailService = require('../../src/services/emailService');
+const productSubscriptionService = require('../../src/services/productSubscriptionService');
+
+// Registered when the service loads, before the mocks are cleared
+const catalogListeners = eventService.on.mock.calls.map(([event]) => event);
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const product = (overrides = {}) => ({
+  id: 'prod-1',
+  title: 'Sunset Tee',
+  visible: true,
+  images: [],
+  variants: [
+    { id: 101, title: 'S', is_enabled: true, is_available: true },
+    { id: 102, title: 'M', is_enabled: true, is_available: false }
+  ],
+  ...overrides
+});
+
+const subscription = (overrides = {}) => ({
+  id: 'sub-1',
+  user_id: 'user-1',
+  email: 'jane@example.com',
+  product_id: 'prod-1',
+  variant_id: null,
+  kind: 'launch',
+  ...overrides
+});
+
+describe('Product Subscription Service', () => {
+  const user = { id: 'user-1', email: 'jane@example.com' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CLIENT_URL = 'https://shop.example';
+    ProductSubscription.update.mockResolvedValue([1]);
+  });
+
+  describe('subscribe', () => {
+    it('should subscribe to the launch of an upcoming product and to a variant that is out of stock', async () => {
+      ProductSubscription.findOne.mockResolvedValue(null);
+      ProductSubscription.create.mockImplementation(values => Promise.resolve({ id: 'sub-1', ...values }));
+      catalogService.getProduct.mockResolvedValue(product({ visible: false }));
+
+      const launch = await productSubscriptionService.subscribe(user, { productId: 'prod-1' });
+
+      expect(launch).toMatchObject({ kind: 'launch', variant_id: null, email: 'jane@example.com' });
+
+      catalogService.getProduct.mockResolvedValue(product());
+      const restock = await productSubscriptionService.subscribe(user, { productId: 'prod-1', variantId: 102 });
+
+      expect(restock).toMatchObject({ kind: 'back_in_stock', variant_id: 102 });
+    });
+
+    it('should refuse what can already be bought and keep one subscription per variant', async () => {
+      catalogService.getProduct.mockResolvedValue(product());
+
+      await expect(productSubscriptionService.subscribe(user, { productId: 'prod-1' }))
+        .rejects.toMatchObject({ statusCode: 409, userMessage: 'This product is already available.' });
+      await expect(productSubscriptionService.subscribe(user, { productId: 'prod-1', variantId: 101 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(productSubscriptionService.subscribe(user, { productId: 'prod-1', variantId: 999 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      const existing = subscription({ variant_id: 102, kind: 'back_in_stock' });
+      ProductSubscription.findOne.mockResolvedValue(existing);
+
+      await expect(productSubscriptionService.subscribe(user, { productId: 'prod-1', variantId: 102 })).resolves.toBe(existing);
+      expect(ProductSubscription.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should make subscriptions due when a catalog change shows them available', async () => {
+    ProductSubscription.findAll.mockResolvedValue([
+      subscription(),
+      subscription({ id: 'sub-2', variant_id: 101 }),
+      subscription({ id: 'sub-3', variant_id: 102 })
+    ]);
+    catalogService.getProduct.mockResolvedValue(product());
+
+    const now = new Date('2025-04-11T10:00:00Z');
+    await expect(productSubscriptionService.checkProduct('prod-1', { now })).resolves.toBe(2);
+
+    expect(ProductSubscription.update).toHaveBeenCalledWith({ available_at: now }, { where: { id: ['sub-1', 'sub-2'] } });
+    expect(catalogListeners).toEqual(['catalog.product.created', 'catalog.product.updated']);
+  });
+
+  describe('sendNotifications', () => {
+    it('should send one email per customer and product with an unsubscribe link', async () => {
+      ProductSubscription.findAll.mockResolvedValue([
+        subscription({ id: 'sub-1', variant_id: 101, kind: 'back_in_stock' }),
+        subscription({ id: 'sub-2', variant_id: 103, kind: 'back_in_stock' }),
+        subscription({ id: 'sub-3', user_id: 'user-2', email: 'sam@example.com', variant_id: 102, kind: 'back_in_stock' })
+      ]);
+      catalogService.getProduct.mockResolvedValue(product({
+        variants: [
+          { id: 101, title: 'S', is_enabled: true, is_available: true },
+          { id: 102, title: 'M', is_enabled: true, is_available: false },
+          { id: 103, title: 'L', is_enabled: true, is_available: true }
+        ]
+      }));
+
+      const result = await productSubscriptionService.sendNotifications();
+
+      expect(result).toEqual({ sent: 1, failed: 0, skipped: 1 });
+      expect(catalogService.getProduct).toHaveBeenCalledTimes(1);
+
+      const [notification, productUrl, unsubscribeUrl] = EmailService.sendProductAvailableEmail.mock.calls[0];
+      expect(notification).toMatchObject({ email: 'jane@example.com', kind: 'back_in_stock' });
+      expect(notification.variants.map(variant => variant.title)).toEqual(['S', 'L']);
+      expect(productUrl).toBe('https://shop.example/product/prod-1');
+
+      const token = new URL(unsubscribeUrl).searchParams.get('token');
+      expect(ProductSubscription.update).toHaveBeenCalledWith({ available_at: null }, { where: { id: ['sub-3'] } });
+      expect(ProductSubscription.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'notified', unsubscribe_token_hash: hash(token) }),
+        { where: { id: ['sub-1', 'sub-2'] } }
+      );
+    });
+
+    it('should leave subscriptions due when the email fails', async () => {
+      ProductSubscription.findAll.mockResolvedValue([subscription()]);
+      catalogService.getProduct.mockResolvedValue(product());
+      EmailService.sendProductAvailableEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      await expect(productSubscriptionService.sendNotifications()).resolves.toEqual({ sent: 0, failed: 1, skipped: 0 });
+      expect(ProductSubscription.update).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should stop every waiting notification of the customer from the email link', async () => {
+    ProductSubscription.findByPk.mockResolvedValue(subscription({ unsubscribe_token_hash: hash('a'.repeat(64)) }));
+    ProductSubscription.update.mockResolvedValue([3]);
+
+    await expect(productSubscriptionService.unsubscribeWithToken('sub-1', 'a'.repeat(64))).resolves.toEqual({ unsubscribed: 3 });
+    expect(ProductSubscription.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'unsubscribed' }),
+      { where: { user_id: 'user-1', status: 'active' } }
+    );
+
+    await expect(productSubscriptionService.unsubscribeWithToken('sub-1', 'b'.repeat(64)))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should report how many customers wait for each product', async () => {
+    ProductSubscription.findAll.mockResolvedValue([
+      { product_id: 'prod-1', variant_id: null, status: 'active', count: 2 },
+      { product_id: 'prod-1', variant_id: 102, status: 'active', count: '3' },
+      { product_id: 'prod-1', variant_id: 101, status: 'notified', count: 4 },
+      { product_id: 'prod-2', variant_id: null, status: 'active', count: 7 }
+    ]);
+    catalogService.getProduct.mockImplementation((shopId, productId) => Promise.resolve(
+      productId === 'prod-1' ? product() : product({ id: 'prod-2', title: 'Night Hoodie', visible: false })
+    ));
+
+    const demand = await productSubscriptionService.getDemand();
+
+    expect(demand).toEqual([
+      { productId: 'prod-2', title: 'Night Hoodie', visible: false, waiting: 7, notified: 0, launch: 7, variants: [] },
+      {
+        productId: 'prod-1',
+        title: 'Sunset Tee',
+        visible: true,
+        waiting: 5,
+        notified: 4,
+        launch: 2,
+        variants: [{ variantId: 102, title: 'M', waiting: 3 }]
+      }
+    ]);
+  });
+});
@@ -0,0 +1,396 @@
+/**
+ * Unit Tests for Promotion Service
+ *
+ * Covers when a code can be used, what percent, fixed and free shipping
+ * promotions take off, product and category scoping, the cart preview with
+ * gift cards, the Stripe coupon, holding redemptions for checkouts and
+ * recording them.
+ */
+
+const mockCreateCoupon = jest.fn();
+
+jest.mock('stripe', () => () => ({
+  coupons: { create: mockCreateCoupon }
+}));
+jest.mock('../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  },
+  Promotion: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn(), increment: jest.fn() },
+  PromotionRedemption: {
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+    findAll: jest.fn()
+  },
+  Order: {},
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) }
+}));
+
+jest.mock('../../src/services/catalogService', () => ({
+  getProduct: jest.fn()
+}));
+
+jest.mock('../../src/services/categoryService', () => ({
+  getResolver: jest.fn()
+}));
+
+jest.mock('../../src/services/pricingService', () => ({
+  priceCart: jest.fn()
+}));
+
+jest.mock('../../src/services/shippingService', () => ({
+  getQuote: jest.fn()
+}));
+
+jest.mock('../../src/services/giftCardService', () => ({
+  previewBalance: jest.fn()
+}));
+
+jest.mock('../../src/services/taxService', () => ({
+  calculate: jest.fn(),
+  summarize: jest.fn(lines => lines)
+}));
+
+jest.mock('../../src/utils/cacheService', () => ({
+  getOrSet: jest.fn((key, ttl, factory) => factory()),
+  del: jest.fn()
+}));
+
+jest.mock('../../src/services/auditService', () => ({
+  create: jest.fn(),
+  ACTIONS: {},
+  ENTITIES: {},
+  SEVERITY: {}
+}));
+
+const { sequelize, Promotion, PromotionRedemption, ExchangeRate } = require('../../src/models');
+const catalogService = require('../../src/services/catalogService');
+const categoryService = require('../../src/services/categoryService');
+const pricingService = require('../../src/services/pricingService');
+const shippingService = require('../../src/services/shippingService');
+const giftCardService = require('../../src/services/giftCardService');
+const taxService = require('../../src/services/taxService');
+const currencyService = require('../../src/services/currencyService');
+const promotionService = require('../../src/services/promotionService');
+
+const promotion = (overrides = {}) => ({
+  id: 'promo-1',
+  code: 'SPRING20',
+  type: 'percent',
+  value: '20.00',
+  min_subtotal: null,
+  product_ids: null,
+  category_slugs: null,
+  usage_limit: null,
+  usage_limit_per_user: null,
+  times_used: 0,
+  starts_at: null,
+  ends_at: null,
+  is_active: true,
+  ...overrides
+});
+
+// Priced lines as pricingService returns them
+const items = [
+  { id: 'prod-1', variantId: 101, quantity: 2, unitAmount: 2000, price: 20 },
+  { id: 'prod-2', variantId: 202, quantity: 1, unitAmount: 1500, price: 15 }
+];
+
+const now = new Date('2025-04-10T12:00:00Z');
+
+describe('Promotion Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PromotionRedemption.count.mockResolvedValue(0);
+    taxService.calculate.mockResolvedValue(null);
+  });
+
+  describe('applyCode', () => {
+    it('should take a percentage off the whole cart, ignoring the case of the code', async () => {
+      Promotion.findOne.mockResolvedValue(promotion());
+
+      const applied = await promotionService.applyCode(' spring20 ', items, { now });
+
+      expect(Promotion.findOne).toHaveBeenCalledWith({ where: { code: 'SPRING20' } });
+      expect(applied).toMatchObject({ discount: 1100, freeShipping: false });
+    });
+
+    it('should never take more than the qualifying lines off with a fixed amount', async () => {
+      Promotion.findOne.mockResolvedValue(promotion({ type: 'fixed', value: '25.00', product_ids: ['prod-2'] }));
+
+      const applied = await promotionService.applyCode('SPRING20', items, { now });
+
+      expect(applied.discount).toBe(1500);
+      expect(applied.lines).toEqual([{ id: 'prod-2', variantId: 202 }]);
+    });
+
+    it('should apply to lines in the promotion\'s categories', async () => {
+      Promotion.findOne.mockResolvedValue(promotion({ category_slugs: ['mugs'] }));
+      catalogService.getProduct.mockImplementation((shopId, id) => Promise.resolve({ id }));
+      categoryService.getResolver.mockResolvedValue(product => (product.id === 'prod-1' ? ['drinkware', 'mugs'] : ['apparel']));
+
+      const applied = await promotionService.applyCode('SPRING20', items, { now });
+
+      expect(applied.discount).toBe(800);
+      expect(applied.lines).toEqual([{ id: 'prod-1', variantId: 101 }]);
+    });
+
+    it('should refuse codes that are inactive, not started or over', async () => {
+      Promotion.findOne
+        .mockResolvedValueOnce(promotion({ is_active: false }))
+        .mockResolvedValueOnce(promotion({ starts_at: new Date('2025-05-01T00:00:00Z') }))
+        .mockResolvedValueOnce(promotion({ ends_at: new Date('2025-04-01T00:00:00Z') }))
+        .mockResolvedValueOnce(null);
+
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await expect(promotionService.applyCode('SPRING20', items, { now }))
+          .rejects.toMatchObject({ statusCode: 400, userMessage: 'This code is not valid.' });
+      }
+    });
+
+    it('should refuse a code that is used up, or already used by the customer', async () => {
+      Promotion.findOne
+        .mockResolvedValueOnce(promotion({ usage_limit: 100, times_used: 100 }))
+        .mockResolvedValueOnce(promotion({ usage_limit_per_user: 1 }));
+      PromotionRedemption.count.mockResolvedValue(1);
+
+      await expect(promotionService.applyCode('SPRING20', items, { now })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(promotionService.applyCode('SPRING20', items, { now, email: 'Jane@Example.com' }))
+        .rejects.toMatchObject({ userMessage: 'You have already used this code.' });
+      expect(PromotionRedemption.count.mock.calls[0][0].where).toMatchObject({ promotion_id: 'promo-1' });
+    });
+
+    it('should require the minimum spend on qualifying lines', async () => {
+      Promotion.findOne.mockResolvedValue(promotion({ min_subtotal: '60.00' }));
+
+      await expect(promotionService.applyCode('SPRING20', items, { now }))
+        .rejects.toMatchObject({ userMessage: 'Spend $60.00 on qualifying items to use this code.' });
+    });
+  });
+
+  it('should make the cheapest shipping option free', () => {
+    const quote = {
+      country: 'US',
+      currency: 'usd',
+      options: [
+        { method: 'standard', label: 'Standard', amount: 499 },
+        { method: 'express', label: 'Express', amount: 1299 }
+      ]
+    };
+
+    const result = promotionService.applyFreeShipping(quote);
+
+    expect(result).toMatchObject({ method: 'standard', amount: 499 });
+    expect(result.quote.options.map(option => option.amount)).toEqual([0, 1299]);
+    expect(quote.options[0].amount).toBe(499);
+  });
+
+  it('should preview the totals checkout will charge', async () => {
+    Promotion.findOne.mockResolvedValue(promotion({ type: 'free_shipping', value: null }));
+    pricingService.priceCart.mockResolvedValue({ items, changes: [], unavailable: [], subtotal: 5500 });
+    shippingService.getQuote.mockResolvedValue({
+      country: 'US',
+      currency: 'usd',
+      options: [{ method: 'standard', label: 'Standard', amount: 499 }]
+    });
+
+    const preview = await promotionService.previewCart(items, { code: 'SPRING20', address: { country: 'US' } });
+
+    expect(preview.promotion).toMatchObject({ code: 'SPRING20', freeShipping: true });
+    expect(preview.totals).toEqual({ subtotal: 55, discount: 0, giftCard: 0, shipping: 0, tax: null, total: 55 });
+  });
+
+  it('should add the tax of the destination to the preview', async () => {
+    const applied = promotion();
+    Promotion.findOne.mockResolvedValue(applied);
+    pricingService.priceCart.mockResolvedValue({ items, changes: [], unavailable: [], subtotal: 5500 });
+    shippingService.getQuote.mockResolvedValue({
+      country: 'US',
+      currency: 'usd',
+      options: [{ method: 'standard', label: 'Standard', amount: 500 }]
+    });
+    taxService.calculate.mockResolvedValue({
+      provider: 'table',
+      amount: 506,
+      lines: [{ jurisdiction: 'Illinois', type: 'state', rate: 0.0625, taxable: 4900, amount: 306 }]
+    });
+
+    const address = { country: 'US', region: 'IL', zip: '60612' };
+    const preview = await promotionService.previewCart(items, { code: 'SPRING20', address });
+
+    expect(taxService.calculate).toHaveBeenCalledWith(expect.objectContaining({
+      items,
+      promotion: expect.objectContaining({ discount: 1100 }),
+      shipping: 500,
+      address
+    }));
+    expect(preview.tax.lines).toEqual([{ jurisdiction: 'Illinois', type: 'state', rate: 0.0625, amount: 3.06 }]);
+    expect(preview.totals).toEqual({ subtotal: 55, discount: 11, giftCard: 0, shipping: 5, tax: 5.06, total: 54.06 });
+  });
+
+  it('should take a gift card off what is left after the discount', async () => {
+    Promotion.findOne.mockResolvedValue(promotion());
+    pricingService.priceCart.mockResolvedValue({ items, changes: [], unavailable: [], subtotal: 5500 });
+    giftCardService.previewBalance.mockResolvedValue({
+      amount: 2500,
+      giftCard: { last4: 'WXYZ', balance: 25 },
+      storeCredit: 0
+    });
+
+    const preview = await promotionService.previewCart(items, { code: 'SPRING20', giftCardCode: 'ABCD-WXYZ' });
+
+    expect(giftCardService.previewBalance).toHaveBeenCalledWith({ amount: 4400, code: 'ABCD-WXYZ', userId: null, currency: 'USD' });
+    expect(preview.giftCard).toEqual({ last4: 'WXYZ', balance: 25, storeCredit: 0 });
+    expect(preview.totals).toEqual({ subtotal: 55, discount: 11, giftCard: 25, shipping: null, tax: null, total: 19 });
+  });
+
+  it('should price the preview in the customer\'s currency and convert fixed discounts', async () => {
+    currencyService.config = { ...currencyService.config, currencies: { EUR: { rate: 0.9, rounding: { ending: 0.99 } } } };
+    ExchangeRate.findAll.mockResolvedValueOnce([{ currency: 'EUR', rate: '0.92000000' }]);
+    Promotion.findOne.mockResolvedValue(promotion({ type: 'fixed', value: '10.00', min_subtotal: '50.00' }));
+    pricingService.priceCart.mockResolvedValue({ items, changes: [], unavailable: [], subtotal: 5500 });
+
+    const preview = await promotionService.previewCart(items, { code: 'SPRING20', currency: 'eur' });
+
+    // 20.00 -> 18.40 -> 17.99 and 15.00 -> 13.80 -> 13.99; 10.00 off -> 9.20 off
+    expect(preview.currency).toBe('EUR');
+    expect(preview.items.map(item => item.unitAmount)).toEqual([1799, 1399]);
+    expect(preview.totals).toEqual({ subtotal: 49.97, discount: 9.2, giftCard: 0, shipping: null, tax: null, total: 40.77 });
+
+    await expect(promotionService.previewCart(items, { currency: 'JPY' }))
+      .rejects.toMatchObject({ statusCode: 400, userMessage: 'We cannot take payments in JPY.' });
+  });
+
+  it('should put the discount and gift card into one Stripe coupon', async () => {
+    mockCreateCoupon.mockResolvedValue({ id: 'coupon_1' });
+
+    const discounts = await promotionService.toStripeDiscounts(
+      { promotion: promotion(), discount: 1100 },
+      'usd',
+      { giftCardAmount: 2500 }
+    );
+
+    expect(discounts).toEqual([{ coupon: 'coupon_1' }]);
+    expect(mockCreateCoupon).toHaveBeenCalledWith(expect.objectContaining({
+      amount_off: 3600,
+      max_redemptions: 1,
+      name: 'SPRING20 + Gift card',
+      metadata: { promotion_id: 'promo-1', gift_card_amount: '2500' }
+    }));
+  });
+
+  describe('recordRedemption', () => {
+    const order = {
+      id: 'order-1',
+      promotionId: 'promo-1',
+      customerId: null,
+      customerEmail: 'Guest@Example.com',
+      discountAmount: 11
+    };
+
+    it('should turn the session\'s held redemption into the order\'s and count the use', async () => {
+      PromotionRedemption.update.mockResolvedValue([1]);
+
+      await promotionService.recordRedemption({ id: 'cs_1' }, order, { transaction: 'tx' });
+
+      expect(PromotionRedemption.update).toHaveBeenCalledWith(
+        expect.objectContaining({ order_id: 'order-1', email: 'guest@example.com', discount_amount: 11 }),
+        { where: { promotion_id: 'promo-1', stripe_session_id: 'cs_1', order_id: null }, transaction: 'tx' }
+      );
+      expect(PromotionRedemption.create).not.toHaveBeenCalled();
+      expect(Promotion.increment).toHaveBeenCalledWith('times_used', expect.objectContaining({ where: { id: 'promo-1' } }));
+    });
+
+    it('should record a new redemption for a session without a hold', async () => {
+      PromotionRedemption.update.mockResolvedValue([0]);
+
+      await promotionService.recordRedemption({ id: 'cs_1' }, order, { transaction: 'tx' });
+
+      expect(PromotionRedemption.create).toHaveBeenCalledWith(
+        expect.objectContaining({ promotion_id: 'promo-1', order_id: 'order-1', email: 'guest@example.com' }),
+        { transaction: 'tx' }
+      );
+      expect(Promotion.increment).toHaveBeenCalled();
+    });
+  });
+
+  describe('holdRedemption', () => {
+    const applied = { promotion: promotion(), discount: 1100 };
+
+    it('should hold a redemption with the promotion locked', async () => {
+      Promotion.findByPk.mockResolvedValue(promotion({ usage_limit: 10, times_used: 3 }));
+      PromotionRedemption.count.mockResolvedValue(2);
+      PromotionRedemption.create.mockImplementation(async values => ({ id: 'held-1', ...values }));
+
+      const hold = await promotionService.holdRedemption(applied, { userId: 'user-1', email: 'Jane@Example.com' });
+
+      expect(Promotion.findByPk).toHaveBeenCalledWith('promo-1', expect.objectContaining({ lock: 'UPDATE' }));
+      expect(hold).toMatchObject({
+        id: 'held-1',
+        promotion_id: 'promo-1',
+        order_id: null,
+        user_id: 'user-1',
+        email: 'jane@example.com',
+        discount_amount: 11
+      });
+    });
+
+    it('should count held redemptions toward the usage limits', async () => {
+      Promotion.findByPk
+        .mockResolvedValueOnce(promotion({ usage_limit: 10, times_used: 8 }))
+        .mockResolvedValueOnce(promotion({ usage_limit_per_user: 1 }));
+      PromotionRedemption.count.mockResolvedValue(2);
+
+      await expect(promotionService.holdRedemption(applied, { email: 'jane@example.com' }))
+        .rejects.toMatchObject({ statusCode: 400, userMessage: 'This code has been used up.' });
+      expect(PromotionRedemption.count.mock.calls[0][0].where).toEqual({ promotion_id: 'promo-1', order_id: null });
+
+      await expect(promotionService.holdRedemption(applied, { email: 'jane@example.com' }))
+        .rejects.toMatchObject({ userMessage: 'You have already used this code.' });
+      expect(PromotionRedemption.create).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two checkouts started at once take the last use', async () => {
+      // Transactions wait for the one holding the promotion's lock
+      let lock = Promise.resolve();
+      sequelize.transaction.mockImplementation(callback => {
+        const run = lock.then(() => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+        lock = run.catch(() => {});
+        return run;
+      });
+
+      const rows = [];
+      Promotion.findByPk.mockResolvedValue(promotion({ usage_limit: 5, times_used: 4 }));
+      PromotionRedemption.count.mockImplementation(async ({ where }) =>
+        rows.filter(row => row.promotion_id === where.promotion_id && row.order_id === null).length);
+      PromotionRedemption.create.mockImplementation(async values => {
+        await new Promise(resolve => setImmediate(resolve));
+        rows.push(values);
+        return { id: `held-${rows.length}`, ...values };
+      });
+
+      const results = await Promise.allSettled([
+        promotionService.holdRedemption(applied, { userId: 'user-1', email: 'a@example.com' }),
+        promotionService.holdRedemption(applied, { userId: 'user-2', email: 'b@example.com' })
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toMatchObject({ userMessage: 'This code has been used up.' });
+      expect(rows).toHaveLength(1);
+    });
+
+    it('should not hold anything without a promotion', async () => {
+      await expect(promotionService.holdRedemption(null, { userId: 'user-1' })).resolves.toBeNull();
+      expect(Promotion.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should release the redemption of a session that expired unpaid', async () => {
+      PromotionRedemption.destroy.mockResolvedValue(1);
+
+      await expect(promotionService.releaseSession({ id: 'cs_1' })).resolves.toBe(1);
+      expect(PromotionRedemption.destroy).toHaveBeenCalledWith({ where: { stripe_session_id: 'cs_1', order_id: null } });
+    });
+  });
+});
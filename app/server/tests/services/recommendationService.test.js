@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Recommendation Service
+ *
+ * Covers related products from shared tags, blueprints and orders, the best
+ * seller fallback, personal picks and keeping products current between
+ * rebuilds.
+ */
+
+jest.mock('../../src/models', () => ({
+  Order: { findAll: jest.fn() },
+  OrderItem: {}
+}));
+jest.mock('../../src/services/catalogService', () => ({ getProducts: jest.fn(), getProduct: jest.fn() }));
+jest.mock('../../src/services/catalogSyncService', () => ({
+  CATALOG_EVENTS: {
+    PRODUCT_CREATED: 'catalog.product.created',
+    PRODUCT_UPDATED: 'catalog.product.updated',
+    PRODUCT_DELETED: 'catalog.product.deleted'
+  }
+}));
+jest.mock('../../src/services/EventService', () => ({ on: jest.fn() }));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+
+const { Order } = require('../../src/models');
+const catalogService = require('../../src/services/catalogService');
+const eventService = require('../../src/services/EventService');
+const schedulerService = require('../../src/services/schedulerService');
+const recommendationService = require('../../src/services/recommendationService');
+
+const product = (id, overrides = {}) => ({
+  id,
+  title: `Product ${id}`,
+  visible: true,
+  tags: [],
+  blueprint_id: null,
+  created_at: '2025-01-01T00:00:00.000Z',
+  variants: [{ id: 1, price: 2000, is_enabled: true, is_available: true }],
+  ...overrides
+});
+
+const order = (...productIds) => ({ items: productIds.map(product_id => ({ product_id })) });
+
+const ids = products => products.map(entry => entry.id);
+
+describe('Recommendation Service', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    recommendationService._reset();
+
+    catalogService.getProducts.mockResolvedValue([
+      product('tee', { tags: ['Cats', 'Summer'], blueprint_id: 6 }),
+      product('hoodie', { tags: ['cats', 'winter'], blueprint_id: 77 }),
+      product('tank', { tags: ['beach'], blueprint_id: 6 }),
+      product('mug', { tags: ['kitchen'] }),
+      product('poster', { tags: ['art'], created_at: '2025-03-01T00:00:00.000Z' }),
+      product('hidden', { tags: ['cats'], visible: false })
+    ]);
+    Order.findAll.mockResolvedValue([
+      order('tee', 'mug'),
+      order('tee', 'mug'),
+      order('mug'),
+      order('hoodie')
+    ]);
+  });
+
+  describe('getRelated', () => {
+    it('should rank products bought together, then shared tags, then the same blueprint', async () => {
+      const related = await recommendationService.getRelated('tee', { limit: 3 });
+
+      expect(ids(related)).toEqual(['mug', 'hoodie', 'tank']);
+    });
+
+    it('should fill up with best sellers and never include the product or hidden ones', async () => {
+      const related = await recommendationService.getRelated('poster', { limit: 4 });
+
+      expect(ids(related)).toEqual(['mug', 'tee', 'hoodie', 'tank']);
+    });
+
+    it('should build once for concurrent requests', async () => {
+      await Promise.all([
+        recommendationService.getRelated('tee'),
+        recommendationService.getRelated('mug')
+      ]);
+
+      expect(catalogService.getProducts).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave out sold out products', async () => {
+      catalogService.getProducts.mockResolvedValue([
+        product('tee', { tags: ['cats'] }),
+        product('hoodie', { tags: ['cats'], variants: [{ id: 1, is_enabled: true, is_available: false }] })
+      ]);
+
+      expect(await recommendationService.getRelated('tee')).toEqual([]);
+    });
+  });
+
+  describe('getForUser', () => {
+    it('should pick related products the customer does not have yet', async () => {
+      await recommendationService.ensureBuilt();
+      Order.findAll.mockResolvedValue([order('hoodie'), order('tee')]);
+
+      const result = await recommendationService.getForUser({ id: 'user-1', email: 'jane@example.com' }, { limit: 2 });
+
+      expect(result.personalized).toBe(true);
+      expect(ids(result.products)).toEqual(['mug', 'tank']);
+      expect(Order.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+        limit: recommendationService.config.historyOrders
+      }));
+    });
+
+    it('should give customers without orders the best sellers', async () => {
+      await recommendationService.ensureBuilt();
+      Order.findAll.mockResolvedValue([]);
+
+      const result = await recommendationService.getForUser({ id: 'user-1' }, { limit: 2 });
+
+      expect(result.personalized).toBe(false);
+      expect(ids(result.products)).toEqual(['mug', 'tee']);
+    });
+  });
+
+  describe('catalog events', () => {
+    it('should drop products that are unpublished before the next rebuild', async () => {
+      // Listeners are registered on the first build; register them again now the mocks are cleared
+      recommendationService._subscribed = false;
+      await recommendationService.ensureBuilt();
+      const listener = eventService.on.mock.calls
+        .find(([event]) => event === 'catalog.product.updated')[1];
+
+      catalogService.getProduct.mockResolvedValue(product('mug', { visible: false }));
+      await listener({ productId: 'mug' });
+
+      expect(ids(await recommendationService.getRelated('tee', { limit: 3 }))).toEqual(['hoodie', 'tank', 'poster']);
+    });
+  });
+
+  it('should rebuild on a schedule, starting with the server', () => {
+    recommendationService.registerSchedule();
+
+    expect(schedulerService.register).toHaveBeenCalledWith('recommendations-rebuild', expect.objectContaining({
+      intervalMs: recommendationService.config.rebuildMinutes * 60 * 1000,
+      runOnStart: true
+    }));
+  });
+});
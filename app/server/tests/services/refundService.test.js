@@ -0,0 +1,322 @@
+/**
+ * Unit Tests for Refund Service
+ *
+ * Covers the refundable balance of orders and lines, refusing refunds beyond
+ * it, refunds paid out as store credit, releasing a failed refund, splitting
+ * refunds of pre-orders over their balance and deposit payments, and
+ * recording refunds made in the Stripe dashboard.
+ */
+
+const { Op } = require('sequelize');
+
+const mockListRefunds = jest.fn();
+
+jest.mock('stripe', () => () => ({
+  refunds: { list: mockListRefunds }
+}));
+jest.mock('../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  },
+  Order: { findByPk: jest.fn(), findOne: jest.fn() },
+  OrderItem: { findAll: jest.fn() },
+  Refund: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  Preorder: { findOne: jest.fn() }
+}));
+jest.mock('../../src/services/orderService', () => ({ refundPayment: jest.fn() }));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/giftCardService', () => ({ issue: jest.fn() }));
+jest.mock('../../src/services/orderEventService', () => {
+  const orderEventService = { record: jest.fn() };
+  orderEventService.EVENT_TYPES = { REFUNDED: 'refunded' };
+  return orderEventService;
+});
+jest.mock('../../src/services/auditService', () => {
+  const AuditService = { create: jest.fn() };
+  AuditService.ACTIONS = { ORDER_REFUNDED: 'ORDER_REFUNDED' };
+  AuditService.ENTITIES = { ORDER: 'Order' };
+  AuditService.SEVERITY = { MEDIUM: 'medium' };
+  return AuditService;
+});
+
+const { Order, OrderItem, Refund, Preorder } = require('../../src/models');
+const orderService = require('../../src/services/orderService');
+const AuditService = require('../../src/services/auditService');
+const orderEventService = require('../../src/services/orderEventService');
+const giftCardService = require('../../src/services/giftCardService');
+const refundService = require('../../src/services/refundService');
+
+const order = (overrides = {}) => {
+  const row = {
+    id: 'order-1',
+    status: 'paid',
+    currency: 'usd',
+    totalAmount: '60.00',
+    stripePaymentIntentId: 'pi_1',
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  return row;
+};
+
+const row = (values) => {
+  const record = { ...values };
+  record.update = jest.fn(changes => Object.assign(record, changes));
+  return record;
+};
+
+const lines = [
+  { id: 'item-1', product_id: 'prod-1', variant_id: '101', quantity: 2, price: '20.00' },
+  { id: 'item-2', product_id: 'prod-2', variant_id: '202', quantity: 1, price: '15.00' }
+];
+
+describe('Refund Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrderItem.findAll.mockResolvedValue(lines);
+    Refund.findAll.mockResolvedValue([]);
+    Refund.findOne.mockResolvedValue(null);
+    Preorder.findOne.mockResolvedValue(null);
+    Refund.create.mockImplementation(values => Promise.resolve(row({ id: 'refund-1', ...values })));
+    orderService.refundPayment.mockResolvedValue({ id: 're_1', status: 'succeeded', created: 1743508800 });
+  });
+
+  describe('getRefundableBalance', () => {
+    it('should subtract earlier refunds from the order and their lines', async () => {
+      Refund.findAll.mockResolvedValue([
+        { amount: '20.00', order_item_id: 'item-1' },
+        { amount: '5.00', order_item_id: null }
+      ]);
+
+      const balance = await refundService.getRefundableBalance(order());
+
+      expect(balance).toMatchObject({ total: 60, refunded: 25, refundable: 35 });
+      expect(balance.items).toEqual([
+        expect.objectContaining({ orderItemId: 'item-1', amount: 40, refunded: 20, refundable: 20 }),
+        expect.objectContaining({ orderItemId: 'item-2', amount: 15, refunded: 0, refundable: 15 })
+      ]);
+    });
+
+    it('should never offer more on a line than is left on the order', async () => {
+      Refund.findAll.mockResolvedValue([{ amount: '50.00', order_item_id: null }]);
+
+      const balance = await refundService.getRefundableBalance(order());
+
+      expect(balance.items[0].refundable).toBe(10);
+    });
+  });
+
+  describe('refundOrder', () => {
+    it('should refund units of a line and record the Stripe refund', async () => {
+      const [refund] = await refundService.refundOrder(order(), { orderItemId: 'item-1', quantity: 1 }, { userId: 'admin-1' });
+
+      expect(Order.findByPk).toHaveBeenCalledWith('order-1', expect.objectContaining({ lock: 'UPDATE' }));
+      expect(orderService.refundPayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'order-1' }), expect.objectContaining({
+        amount: 20,
+        metadata: { refundId: 'refund-1', orderItemId: 'item-1' },
+        idempotencyKey: 'refund-refund-1'
+      }));
+      expect(refund).toMatchObject({ amount: 20, status: 'succeeded', stripe_refund_id: 're_1', refunded_by: 'admin-1' });
+      expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'ORDER_REFUNDED', entityId: 'order-1' }));
+      expect(orderEventService.record).toHaveBeenCalledWith(expect.objectContaining({ id: 'order-1' }), 'refunded', expect.objectContaining({
+        source: 'admin',
+        actorId: 'admin-1',
+        dedupeKey: 'refund:refund-1'
+      }));
+    });
+
+    it('should refuse to refund more than is left on the order', async () => {
+      Refund.findAll.mockResolvedValue([{ amount: '50.00', order_item_id: null }]);
+
+      await expect(refundService.refundOrder(order(), { amount: 15 }))
+        .rejects.toMatchObject({ statusCode: 409, data: { refundable: 10, refunded: 50 } });
+      expect(Refund.create).not.toHaveBeenCalled();
+      expect(orderService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    it('should issue store credit instead of refunding the card', async () => {
+      giftCardService.issue.mockResolvedValue({ id: 'credit-1' });
+
+      const [refund] = await refundService.refundOrder(
+        order({ customerId: 'user-1', customerEmail: 'jane@example.com' }),
+        { amount: 25, method: 'store_credit' },
+        { userId: 'admin-1' }
+      );
+
+      expect(orderService.refundPayment).not.toHaveBeenCalled();
+      expect(giftCardService.issue).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'store_credit',
+        amount: 25,
+        userId: 'user-1',
+        email: 'jane@example.com',
+        refundId: 'refund-1'
+      }), expect.anything());
+      expect(refund).toMatchObject({ method: 'store_credit', status: 'succeeded', gift_card_id: 'credit-1' });
+    });
+
+    it('should refund the part paid with a gift card only as store credit', async () => {
+      const paidWithGiftCard = order({ totalAmount: '40.00', giftCardAmount: '20.00' });
+
+      await expect(refundService.refundOrder(paidWithGiftCard, { amount: 50 }))
+        .rejects.toMatchObject({ statusCode: 409, data: { refundable: 40 } });
+
+      giftCardService.issue.mockResolvedValue({ id: 'credit-1' });
+      await expect(refundService.refundOrder(paidWithGiftCard, { amount: 50, method: 'store_credit' }))
+        .resolves.toEqual([expect.objectContaining({ amount: 50, status: 'succeeded' })]);
+    });
+
+    it('should refuse more units than were ordered', async () => {
+      await expect(refundService.refundOrder(order(), { orderItemId: 'item-2', quantity: 2 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should mark the order refunded once nothing is left', async () => {
+      const refunded = order();
+      Refund.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValue([{ amount: '60.00', order_item_id: null }]);
+
+      const [refund] = await refundService.refundOrder(refunded);
+
+      expect(refund.amount).toBe(60);
+      expect(refunded.status).toBe('refunded');
+    });
+
+    it('should release the amount and the key when Stripe refuses', async () => {
+      orderService.refundPayment.mockRejectedValue(new Error('charge_already_refunded'));
+      const pending = row({ id: 'refund-1', amount: 60 });
+      Refund.create.mockResolvedValue(pending);
+
+      await expect(refundService.refundOrder(order(), {}, { idempotencyKey: 'order-cancel-order-1' }))
+        .rejects.toThrow('charge_already_refunded');
+
+      expect(pending).toMatchObject({ status: 'failed', idempotency_key: null, failure_reason: 'charge_already_refunded' });
+    });
+
+    it('should return the earlier refund for a repeated idempotency key', async () => {
+      const earlier = row({ id: 'refund-0', amount: '60.00', method: 'original_payment' });
+      Refund.findAll.mockResolvedValue([earlier]);
+
+      await expect(refundService.refundOrder(order(), {}, { idempotencyKey: 'order-cancel-order-1' })).resolves.toEqual([earlier]);
+      expect(Refund.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { idempotency_key: { [Op.in]: ['order-cancel-order-1', 'order-cancel-order-1:2'] } }
+      }));
+      expect(orderService.refundPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pre-orders paid in two parts', () => {
+    // $20 deposit, then a $40 balance on its own payment
+    const preorder = () => order({
+      metadata: { preorder: { balancePaymentIntentId: 'pi_balance', balanceAmount: 40 } }
+    });
+
+    beforeEach(() => {
+      let id = 0;
+      Refund.create.mockImplementation(values => Promise.resolve(row({ id: `refund-${++id}`, ...values })));
+    });
+
+    it('should count refunds against the payment they went to', async () => {
+      Refund.findAll.mockResolvedValue([
+        { amount: '10.00', method: 'original_payment', stripe_payment_intent_id: 'pi_balance' },
+        { amount: '5.00', method: 'original_payment', stripe_payment_intent_id: null }
+      ]);
+
+      const { payments } = await refundService.getRefundableBalance(preorder());
+
+      expect(payments).toEqual([
+        { paymentIntentId: 'pi_balance', amount: 40, refunded: 10, refundable: 30 },
+        { paymentIntentId: 'pi_1', amount: 20, refunded: 5, refundable: 15 }
+      ]);
+    });
+
+    it('should refund the balance payment first, then the deposit', async () => {
+      const refunds = await refundService.refundOrder(preorder(), { amount: 50 }, { idempotencyKey: 'order-cancel-order-1' });
+
+      expect(refunds).toEqual([
+        expect.objectContaining({ amount: 40, stripe_payment_intent_id: 'pi_balance', idempotency_key: 'order-cancel-order-1' }),
+        expect.objectContaining({ amount: 10, stripe_payment_intent_id: null, idempotency_key: 'order-cancel-order-1:2' })
+      ]);
+      expect(orderService.refundPayment).toHaveBeenNthCalledWith(1, expect.anything(), expect.objectContaining({
+        amount: 40,
+        paymentIntentId: 'pi_balance'
+      }));
+      expect(orderService.refundPayment).toHaveBeenNthCalledWith(2, expect.anything(), expect.objectContaining({
+        amount: 10,
+        paymentIntentId: null
+      }));
+    });
+
+    it('should only refund the deposit on a retry after its refund failed', async () => {
+      const balanceRefund = row({ id: 'refund-0', amount: '40.00', method: 'original_payment', stripe_payment_intent_id: 'pi_balance' });
+      Refund.findAll.mockResolvedValue([balanceRefund]);
+
+      const refunds = await refundService.refundOrder(preorder(), { amount: 50 }, { idempotencyKey: 'order-cancel-order-1' });
+
+      expect(orderService.refundPayment).toHaveBeenCalledTimes(1);
+      expect(orderService.refundPayment).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        amount: 10,
+        paymentIntentId: null
+      }));
+      expect(refunds).toEqual([
+        balanceRefund,
+        expect.objectContaining({ amount: 10, idempotency_key: 'order-cancel-order-1:2' })
+      ]);
+    });
+
+    it('should give back the deposit share when the balance refund fails', async () => {
+      orderService.refundPayment.mockRejectedValueOnce(new Error('card_declined'));
+
+      await expect(refundService.refundOrder(preorder(), { amount: 50 })).rejects.toThrow('card_declined');
+
+      const created = await Promise.all(Refund.create.mock.results.map(result => result.value));
+      expect(created.map(refund => refund.status)).toEqual(['failed', 'failed']);
+      expect(orderService.refundPayment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('syncChargeRefunds', () => {
+    it('should add refunds made in the Stripe dashboard and update our own', async () => {
+      const refunded = order();
+      const ours = row({ id: 'refund-1', status: 'pending', stripe_refund_id: null });
+      Order.findOne.mockResolvedValue(refunded);
+      Refund.findByPk.mockResolvedValue(ours);
+      mockListRefunds.mockResolvedValue({
+        data: [
+          { id: 're_1', amount: 1000, status: 'succeeded', metadata: { refundId: 'refund-1' } },
+          { id: 're_2', amount: 500, currency: 'usd', status: 'succeeded', reason: 'duplicate', metadata: {} }
+        ]
+      });
+
+      const refunds = await refundService.syncChargeRefunds({ id: 'ch_1', payment_intent: 'pi_1', refunds: { has_more: true } });
+
+      expect(mockListRefunds).toHaveBeenCalledWith({ charge: 'ch_1', limit: 100 });
+      expect(ours).toMatchObject({ status: 'succeeded', stripe_refund_id: 're_1' });
+      expect(Refund.create).toHaveBeenCalledTimes(1);
+      expect(refunds[1]).toMatchObject({ order_id: 'order-1', amount: 5, source: 'stripe', reason: 'duplicate', stripe_refund_id: 're_2' });
+    });
+
+    it('should find the order of a pre-order balance payment', async () => {
+      const refunded = order({ metadata: { preorder: { balancePaymentIntentId: 'pi_balance', balanceAmount: 40 } } });
+      Order.findOne.mockResolvedValue(null);
+      Preorder.findOne.mockResolvedValue({ order_id: 'order-1' });
+      Order.findByPk.mockResolvedValue(refunded);
+
+      const [refund] = await refundService.syncChargeRefunds({
+        id: 'ch_2',
+        payment_intent: 'pi_balance',
+        refunds: { has_more: false, data: [{ id: 're_3', amount: 1000, payment_intent: 'pi_balance', status: 'succeeded', metadata: {} }] }
+      });
+
+      expect(Preorder.findOne).toHaveBeenCalledWith({ where: { balance_payment_intent_id: 'pi_balance' } });
+      expect(refund).toMatchObject({ order_id: 'order-1', amount: 10, source: 'stripe', stripe_payment_intent_id: 'pi_balance' });
+    });
+
+    it('should ignore charges of unknown orders', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(refundService.syncChargeRefunds({ id: 'ch_1', payment_intent: 'pi_x' })).resolves.toEqual([]);
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+  });
+});
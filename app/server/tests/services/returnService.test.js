@@ -0,0 +1,274 @@
+/**
+ * Unit Tests for Return Service
+ *
+ * Covers opening returns (eligibility, quantities, photos), the status
+ * machine, and settling returns with a partial refund, store credit or a
+ * reprint.
+ */
+
+jest.mock('../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback('tx')),
+    fn: jest.fn(),
+    col: jest.fn()
+  },
+  Order: { findByPk: jest.fn() },
+  OrderItem: { findAll: jest.fn() },
+  Return: { create: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  ReturnItem: { bulkCreate: jest.fn(), findAll: jest.fn() },
+  ReturnAttachment: { bulkCreate: jest.fn() }
+}));
+jest.mock('../../src/services/orderService', () => ({
+  toPrintifyAddress: jest.fn(() => ({ country: 'US' }))
+}));
+jest.mock('../../src/services/refundService', () => ({
+  refundOrder: jest.fn(),
+  getRefundableBalance: jest.fn()
+}));
+jest.mock('../../src/services/orderSubmissionService', () => ({
+  getSubmissionForOrder: jest.fn()
+}));
+jest.mock('../../src/services/printifyService', () => ({ createOrder: jest.fn() }));
+jest.mock('../../src/services/EventService', () => ({ emit: jest.fn() }));
+jest.mock('../../src/services/auditService', () => {
+  const AuditService = { create: jest.fn() };
+  AuditService.ACTIONS = { RETURN_REQUESTED: 'RETURN_REQUESTED', RETURN_UPDATED: 'RETURN_UPDATED' };
+  AuditService.ENTITIES = { RETURN: 'Return' };
+  AuditService.SEVERITY = { LOW: 'low', MEDIUM: 'medium' };
+  return AuditService;
+});
+jest.mock('../../src/services/emailService', () => ({ sendReturnUpdateEmail: jest.fn() }));
+
+const { OrderItem, Return, ReturnItem, ReturnAttachment } = require('../../src/models');
+const refundService = require('../../src/services/refundService');
+const orderSubmissionService = require('../../src/services/orderSubmissionService');
+const printifyService = require('../../src/services/printifyService');
+const AuditService = require('../../src/services/auditService');
+const EmailService = require('../../src/services/emailService');
+const returnService = require('../../src/services/returnService');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64');
+
+const order = (overrides = {}) => ({
+  id: 'order-1',
+  status: 'paid',
+  fulfillmentStatus: 'delivered',
+  customerId: 'user-1',
+  customerEmail: 'jane@example.com',
+  stripeSessionId: 'cs_1',
+  stripePaymentIntentId: 'pi_1',
+  printifyShippingMethod: 1,
+  totalAmount: '60.00',
+  createdAt: new Date(),
+  ...overrides
+});
+
+const storedReturn = (overrides = {}) => ({
+  id: 'ret-1',
+  rma_number: 'RMA-250401-ABC123',
+  order_id: 'order-1',
+  status: 'approved',
+  resolution: 'refund',
+  order: order(),
+  items: [
+    { quantity: 1, orderItem: { product_id: 'prod-1', variant_id: '101', price: '25.00' } },
+    { quantity: 2, orderItem: { product_id: 'prod-2', variant_id: '202', price: '5.50' } }
+  ],
+  ...overrides
+});
+
+describe('Return Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrderItem.findAll.mockResolvedValue([{ id: 'item-1', quantity: 2, price: '25.00' }]);
+    ReturnItem.findAll.mockResolvedValue([]);
+    refundService.getRefundableBalance.mockResolvedValue({ refundable: 60, paymentRefundable: 60 });
+    Return.create.mockImplementation(values => ({ id: 'ret-1', ...values }));
+    Return.update.mockResolvedValue([1]);
+  });
+
+  describe('requestReturn', () => {
+    const request = {
+      items: [{ orderItemId: 'item-1', quantity: 1 }],
+      reasonCode: 'damaged',
+      photos: [{ filename: 'crack.png', contentType: 'image/png', data: `data:image/png;base64,${PNG}` }]
+    };
+
+    it('should store the return with its lines and photos, then audit and email', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn({ status: 'requested' }));
+
+      await returnService.requestReturn(order(), request, { userId: 'user-1' });
+
+      expect(Return.create).toHaveBeenCalledWith(expect.objectContaining({
+        order_id: 'order-1',
+        reason_code: 'damaged',
+        status: 'requested',
+        rma_number: expect.stringMatching(/^RMA-\d{6}-[0-9A-F]{6}$/)
+      }), { transaction: 'tx' });
+      expect(ReturnItem.bulkCreate).toHaveBeenCalledWith(
+        [{ return_id: 'ret-1', order_item_id: 'item-1', quantity: 1 }],
+        { transaction: 'tx' }
+      );
+      expect(ReturnAttachment.bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ filename: 'crack.png', content_type: 'image/png', size: 16 })],
+        { transaction: 'tx' }
+      );
+      expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'RETURN_REQUESTED' }));
+      expect(EmailService.sendReturnUpdateEmail).toHaveBeenCalled();
+    });
+
+    it('should refuse orders that have not shipped', async () => {
+      await expect(returnService.requestReturn(order({ fulfillmentStatus: 'processing' }), request))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Return.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse more than is left to return', async () => {
+      ReturnItem.findAll.mockResolvedValue([{ order_item_id: 'item-1', quantity: '2' }]);
+
+      await expect(returnService.requestReturn(order(), request)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse files that are not images', async () => {
+      const photos = [{ filename: 'notes.png', contentType: 'image/png', data: Buffer.from('hello').toString('base64') }];
+
+      await expect(returnService.requestReturn(order(), { ...request, photos }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('status machine', () => {
+    it('should approve a requested return with a resolution', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn({ status: 'requested', resolution: null }));
+
+      const result = await returnService.approveReturn('ret-1', { resolution: 'reprint' }, { userId: 'admin-1' });
+
+      expect(Return.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'approved', resolution: 'reprint', reviewed_by: 'admin-1' }),
+        { where: { id: 'ret-1', status: 'requested' } }
+      );
+      expect(result.status).toBe('approved');
+    });
+
+    it('should refuse transitions the machine does not allow', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn({ status: 'requested' }));
+
+      await expect(returnService.closeReturn('ret-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(Return.update).not.toHaveBeenCalled();
+    });
+
+    it('should fail when another admin changed the return first', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn({ status: 'requested' }));
+      Return.update.mockResolvedValue([0]);
+
+      await expect(returnService.rejectReturn('ret-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(EmailService.sendReturnUpdateEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundReturn', () => {
+    it('should refund the price of the returned lines by default', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn());
+      refundService.refundOrder.mockResolvedValue([{ id: 'refund-1', amount: '36.00', stripe_refund_id: 're_1' }]);
+
+      const result = await returnService.refundReturn('ret-1');
+
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'order-1' }),
+        expect.objectContaining({ amount: 36, source: 'return', returnId: 'ret-1' }),
+        expect.objectContaining({ idempotencyKey: 'return-refund-ret-1' })
+      );
+      expect(result).toMatchObject({ status: 'refunded', refund_amount: 36, stripe_refund_id: 're_1' });
+    });
+
+    it('should refund a partial amount chosen by the admin', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn());
+      refundService.refundOrder.mockResolvedValue([{ id: 'refund-1', amount: '10.00', stripe_refund_id: 're_1' }]);
+
+      await returnService.refundReturn('ret-1', { amount: 10 });
+
+      expect(refundService.refundOrder).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ amount: 10 }), expect.anything());
+    });
+
+    it('should issue what the card cannot take back as store credit', async () => {
+      // $20 of the order was paid with a gift card
+      Return.findByPk.mockResolvedValue(storedReturn());
+      refundService.getRefundableBalance.mockResolvedValue({ refundable: 60, paymentRefundable: 30 });
+      refundService.refundOrder
+        .mockResolvedValueOnce([{ id: 'refund-1', amount: '6.00', method: 'store_credit', stripe_refund_id: null }])
+        .mockResolvedValueOnce([{ id: 'refund-2', amount: '30.00', method: 'original_payment', stripe_refund_id: 're_2' }]);
+
+      const result = await returnService.refundReturn('ret-1');
+
+      expect(refundService.refundOrder).toHaveBeenNthCalledWith(
+        1,
+        expect.anything(),
+        expect.objectContaining({ amount: 6, method: 'store_credit' }),
+        expect.objectContaining({ idempotencyKey: 'return-refund-credit-ret-1' })
+      );
+      expect(refundService.refundOrder).toHaveBeenNthCalledWith(
+        2,
+        expect.anything(),
+        expect.objectContaining({ amount: 30, method: 'original_payment' }),
+        expect.objectContaining({ idempotencyKey: 'return-refund-ret-1' })
+      );
+      expect(result).toMatchObject({ refund_amount: 36, stripe_refund_id: 're_2' });
+    });
+
+    it('should refund an order paid only with gift cards as store credit', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn({ order: order({ stripePaymentIntentId: null, totalAmount: '0.00' }) }));
+      refundService.getRefundableBalance.mockResolvedValue({ refundable: 60, paymentRefundable: 0 });
+      refundService.refundOrder.mockResolvedValue([{ id: 'refund-1', amount: '36.00', method: 'store_credit', stripe_refund_id: null }]);
+
+      const result = await returnService.refundReturn('ret-1');
+
+      expect(refundService.refundOrder).toHaveBeenCalledTimes(1);
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ amount: 36, method: 'store_credit' }),
+        expect.anything()
+      );
+      expect(result).toMatchObject({ refund_amount: 36, stripe_refund_id: null });
+    });
+
+    it('should refund the whole amount with the method chosen by the admin', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn());
+      refundService.refundOrder.mockResolvedValue([{ id: 'refund-1', amount: '36.00', method: 'store_credit', stripe_refund_id: null }]);
+
+      await returnService.refundReturn('ret-1', { method: 'store_credit' });
+
+      expect(refundService.getRefundableBalance).not.toHaveBeenCalled();
+      expect(refundService.refundOrder).toHaveBeenCalledTimes(1);
+      expect(refundService.refundOrder).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ amount: 36, method: 'store_credit' }),
+        expect.objectContaining({ idempotencyKey: 'return-refund-credit-ret-1' })
+      );
+    });
+
+    it('should not refund a return approved for a reprint', async () => {
+      Return.findByPk.mockResolvedValue(storedReturn({ resolution: 'reprint' }));
+
+      await expect(returnService.refundReturn('ret-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(refundService.refundOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should create a replacement Printify order for a reprint', async () => {
+    Return.findByPk.mockResolvedValue(storedReturn({ resolution: 'reprint' }));
+    orderSubmissionService.getSubmissionForOrder.mockResolvedValue({ shop_id: 'shop-1', payload: { address_to: { city: 'Chicago' } } });
+    printifyService.createOrder.mockResolvedValue({ id: 'pf-2' });
+
+    const result = await returnService.reprintReturn('ret-1', { userId: 'admin-1' });
+
+    expect(printifyService.createOrder).toHaveBeenCalledWith('shop-1', expect.objectContaining({
+      external_id: 'cs_1-RMA-250401-ABC123',
+      address_to: { city: 'Chicago' },
+      line_items: [
+        { product_id: 'prod-1', variant_id: 101, quantity: 1 },
+        { product_id: 'prod-2', variant_id: 202, quantity: 2 }
+      ]
+    }));
+    expect(result).toMatchObject({ status: 'reprinted', replacement_printify_order_id: 'pf-2' });
+  });
+});
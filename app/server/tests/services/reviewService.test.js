@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for Review Service
+ *
+ * Covers verified-purchase checks when writing a review, the rating
+ * summary, abuse reports taking a review down, and moderation.
+ */
+
+jest.mock('../../src/models', () => ({
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  },
+  Order: { findOne: jest.fn() },
+  OrderItem: {},
+  Review: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn() },
+  ReviewPhoto: { bulkCreate: jest.fn() },
+  ReviewReport: { create: jest.fn(), findOne: jest.fn(), update: jest.fn() },
+  User: {}
+}));
+jest.mock('../../src/services/auditService', () => {
+  const AuditService = { create: jest.fn() };
+  AuditService.ACTIONS = { UPDATE: 'UPDATE' };
+  AuditService.ENTITIES = { REVIEW: 'Review' };
+  return AuditService;
+});
+
+const { Order, Review, ReviewPhoto, ReviewReport } = require('../../src/models');
+const AuditService = require('../../src/services/auditService');
+const reviewService = require('../../src/services/reviewService');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64');
+
+const user = { id: 'user-1', email: 'jane@example.com', firstName: 'Jane', lastName: 'doe' };
+
+describe('Review Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Review.findOne.mockResolvedValue(null);
+    Order.findOne.mockResolvedValue({ id: 'order-1' });
+    Review.create.mockImplementation(async values => ({ id: 'review-1', ...values }));
+  });
+
+  describe('submitReview', () => {
+    it('should store a pending verified review with its photos', async () => {
+      Review.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'review-1', status: 'pending' });
+
+      await reviewService.submitReview(user, 'prod-1', {
+        rating: 5,
+        title: 'Great shirt',
+        photos: [{ filename: 'me.png', contentType: 'image/png', data: PNG }]
+      });
+
+      expect(Order.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ status: 'paid' })
+      }));
+      expect(Review.create).toHaveBeenCalledWith(expect.objectContaining({
+        product_id: 'prod-1',
+        order_id: 'order-1',
+        rating: 5,
+        author_name: 'Jane D.',
+        verified_purchase: true,
+        status: 'pending'
+      }), expect.anything());
+      expect(ReviewPhoto.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ review_id: 'review-1', content_type: 'image/png' })
+      ], expect.anything());
+    });
+
+    it('should refuse customers without a paid order for the product', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(reviewService.submitReview(user, 'prod-1', { rating: 4 }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Review.create).not.toHaveBeenCalled();
+    });
+
+    it('should not count guest orders of an unverified account with the same email', async () => {
+      // A paid guest order placed with jane@example.com, never claimed
+      Order.findOne.mockImplementation(async ({ where }) => (where.customerId === 'user-1' ? null : { id: 'guest-order' }));
+
+      await expect(reviewService.submitReview({ ...user, is_verified: false }, 'prod-1', { rating: 5 }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Order.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { status: 'paid', customerId: 'user-1' }
+      }));
+      expect(Review.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second review of the same product', async () => {
+      Review.findOne.mockResolvedValue({ id: 'review-0' });
+
+      await expect(reviewService.submitReview(user, 'prod-1', { rating: 4 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse files that are not images', async () => {
+      const photos = [{ filename: 'notes.png', contentType: 'image/png', data: Buffer.from('hello').toString('base64') }];
+
+      await expect(reviewService.submitReview(user, 'prod-1', { rating: 4, photos }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(Review.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRatingSummary', () => {
+    it('should average approved ratings to one decimal', async () => {
+      Review.findAll.mockResolvedValue([
+        { rating: 5, count: '2' },
+        { rating: 4, count: '1' }
+      ]);
+
+      const summary = await reviewService.getRatingSummary('prod-1');
+
+      expect(summary).toEqual({
+        average: 4.7,
+        count: 3,
+        distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 2 }
+      });
+    });
+
+    it('should have no average without reviews', async () => {
+      Review.findAll.mockResolvedValue([]);
+
+      expect(await reviewService.getRatingSummary('prod-1')).toMatchObject({ average: null, count: 0 });
+    });
+  });
+
+  describe('reportReview', () => {
+    const reported = (overrides = {}) => ({
+      id: 'review-1',
+      user_id: 'user-2',
+      status: 'approved',
+      report_count: 0,
+      update: jest.fn(),
+      ...overrides
+    });
+
+    it('should count the report and keep the review up below the threshold', async () => {
+      const review = reported();
+      Review.findOne.mockResolvedValue(review);
+      ReviewReport.findOne.mockResolvedValue(null);
+
+      await reviewService.reportReview(user, 'review-1', { reason: 'spam' });
+
+      expect(ReviewReport.create).toHaveBeenCalledWith(expect.objectContaining({
+        review_id: 'review-1',
+        user_id: 'user-1',
+        reason: 'spam'
+      }), expect.anything());
+      expect(review.update).toHaveBeenCalledWith({ report_count: 1 }, expect.anything());
+    });
+
+    it('should send the review back to moderation at the threshold', async () => {
+      const review = reported({ report_count: reviewService.config.reportThreshold - 1 });
+      Review.findOne.mockResolvedValue(review);
+      ReviewReport.findOne.mockResolvedValue(null);
+
+      await reviewService.reportReview(user, 'review-1', { reason: 'offensive' });
+
+      expect(review.update).toHaveBeenCalledWith(expect.objectContaining({
+        report_count: reviewService.config.reportThreshold,
+        status: 'pending'
+      }), expect.anything());
+    });
+
+    it('should not let customers report their own review or report twice', async () => {
+      Review.findOne.mockResolvedValue(reported({ user_id: 'user-1' }));
+      await expect(reviewService.reportReview(user, 'review-1', { reason: 'spam' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      Review.findOne.mockResolvedValue(reported());
+      ReviewReport.findOne.mockResolvedValue({ id: 'report-1' });
+      await expect(reviewService.reportReview(user, 'review-1', { reason: 'spam' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      expect(ReviewReport.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moderateReview', () => {
+    it('should approve the review, resolve its reports and audit', async () => {
+      const review = { id: 'review-1', product_id: 'prod-1', status: 'pending', report_count: 3, update: jest.fn() };
+      Review.findByPk.mockResolvedValue(review);
+
+      await reviewService.moderateReview('review-1', { action: 'approve' }, { user: { id: 'admin-1' } });
+
+      expect(review.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'approved',
+        report_count: 0,
+        moderated_by: 'admin-1'
+      }), expect.anything());
+      expect(ReviewReport.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'resolved' }),
+        expect.objectContaining({ where: { review_id: 'review-1', status: 'open' } })
+      );
+      expect(AuditService.create).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'Review',
+        oldValues: { status: 'pending', reportCount: 3 },
+        newValues: { status: 'approved', note: null }
+      }));
+    });
+  });
+});
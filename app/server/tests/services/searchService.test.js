@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Search Service
+ *
+ * Builds the index from a mocked catalog and checks ranking, typo tolerance,
+ * filtering and facet counts.
+ */
+
+jest.mock('../../src/services/catalogService', () => ({
+  getProducts: jest.fn(),
+  getProduct: jest.fn()
+}));
+jest.mock('../../src/services/catalogSyncService', () => ({
+  CATALOG_EVENTS: {
+    PRODUCT_CREATED: 'catalog.product.created',
+    PRODUCT_UPDATED: 'catalog.product.updated',
+    PRODUCT_DELETED: 'catalog.product.deleted'
+  }
+}));
+jest.mock('../../src/services/categoryService', () => ({
+  CATEGORY_EVENTS: { CHANGED: 'catalog.categories.changed' },
+  // "clothing" > "hoodies" via a tag rule on "hoodies"
+  getResolver: jest.fn().mockResolvedValue(product =>
+    (product.tags || []).includes('hoodies') ? ['hoodies', 'clothing'] : []
+  ),
+  getCategoryLabels: jest.fn().mockResolvedValue(new Map([
+    ['clothing', { name: 'Clothing', parentSlug: null, depth: 0 }],
+    ['hoodies', { name: 'Hoodies', parentSlug: 'clothing', depth: 1 }]
+  ]))
+}));
+jest.mock('../../src/services/EventService', () => ({ on: jest.fn() }));
+
+const catalogService = require('../../src/services/catalogService');
+const searchService = require('../../src/services/searchService');
+
+const product = (id, title, tags, price, overrides = {}) => ({
+  id,
+  title,
+  description: `<p>${title} printed on demand</p>`,
+  visible: true,
+  tags,
+  variants: [{ id: 1, price, is_enabled: true, is_available: true }],
+  images: [],
+  created_at: '2025-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const catalog = [
+  product('p1', 'Sunset Hoodie', ['hoodies', 'summer'], 4500),
+  product('p2', 'Sunset Coffee Mug', ['mugs', 'summer'], 1500, { created_at: '2025-03-01T00:00:00.000Z' }),
+  product('p3', 'Mountain Hoodie', ['hoodies'], 5500, {
+    variants: [{ id: 1, price: 5500, is_enabled: true, is_available: false }]
+  }),
+  product('p4', 'Hidden Draft', ['hoodies'], 1000, { visible: false })
+];
+
+describe('Search Service', () => {
+  beforeEach(async () => {
+    catalogService.getProducts.mockResolvedValue(catalog);
+    await searchService.rebuild('shop-1');
+  });
+
+  it('should only index visible products', () => {
+    expect(searchService.getStats().documents).toBe(3);
+  });
+
+  it('should rank title matches and require every query term', async () => {
+    const result = await searchService.search({ query: 'sunset hoodies' });
+
+    expect(result.total).toBe(1);
+    expect(result.products[0].id).toBe('p1');
+    expect(result.sort).toBe('relevance');
+  });
+
+  it('should tolerate typos and partial words', async () => {
+    const typo = await searchService.search({ query: 'hodie' });
+    const prefix = await searchService.search({ query: 'moun' });
+
+    expect(typo.products.map(p => p.id).sort()).toEqual(['p1', 'p3']);
+    expect(prefix.products.map(p => p.id)).toEqual(['p3']);
+  });
+
+  it('should filter by tag, price bucket and availability', async () => {
+    const byTag = await searchService.search({ tags: ['mugs'] });
+    const byPrice = await searchService.search({ priceBucket: '50-100' });
+    const inStock = await searchService.search({ availability: 'in_stock' });
+
+    expect(byTag.products.map(p => p.id)).toEqual(['p2']);
+    expect(byPrice.products.map(p => p.id)).toEqual(['p3']);
+    expect(inStock.total).toBe(2);
+  });
+
+  it('should filter by category including subcategories', async () => {
+    const result = await searchService.search({ category: 'clothing' });
+
+    expect(result.products.map(p => p.id).sort()).toEqual(['p1', 'p3']);
+    expect(result.facets.categories).toEqual([
+      { value: 'clothing', label: 'Clothing', parent: null, depth: 0, count: 2 },
+      { value: 'hoodies', label: 'Hoodies', parent: 'clothing', depth: 1, count: 2 }
+    ]);
+  });
+
+  it('should count each facet without its own filter', async () => {
+    const { facets } = await searchService.search({ tags: ['mugs'] });
+
+    expect(facets.tags).toEqual(expect.arrayContaining([
+      { value: 'hoodies', count: 2 },
+      { value: 'mugs', count: 1 },
+      { value: 'summer', count: 2 }
+    ]));
+    expect(facets.price.find(bucket => bucket.value === 'under-25').count).toBe(1);
+    expect(facets.price.find(bucket => bucket.value === '25-50').count).toBe(0);
+    expect(facets.availability).toEqual([
+      { value: 'in_stock', count: 1 },
+      { value: 'out_of_stock', count: 0 }
+    ]);
+  });
+
+  it('should update the index when a product changes', async () => {
+    searchService.indexProduct(product('p2', 'Sunset Tumbler', ['drinkware'], 1500));
+    const result = await searchService.search({ query: 'mug' });
+
+    expect(result.total).toBe(0);
+    expect(searchService.removeProduct('p2')).toBe(true);
+    expect(searchService.getStats().documents).toBe(2);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Shipping Service
+ *
+ * Covers quoting from Printify rates, caching, Stripe shipping options and
+ * mapping the customer's choice back to a Printify shipping method.
+ */
+
+const mockRetrieveShippingRate = jest.fn();
+
+jest.mock('stripe', () => () => ({
+  shippingRates: { retrieve: mockRetrieveShippingRate }
+}));
+jest.mock('../../src/services/printifyService', () => ({
+  calculateShipping: jest.fn()
+}));
+
+const printifyService = require('../../src/services/printifyService');
+const cacheService = require('../../src/utils/cacheService');
+const shippingService = require('../../src/services/shippingService');
+
+const items = [
+  { id: 'prod-2', variantId: 7, quantity: 1 },
+  { id: 'prod-1', variantId: '12', quantity: 2 }
+];
+
+describe('Shipping Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.flush();
+    printifyService.calculateShipping.mockResolvedValue({ standard: 499, express: 1299, economy: 299 });
+  });
+
+  describe('getQuote', () => {
+    it('should offer the configured methods Printify quoted, cheapest first', async () => {
+      const quote = await shippingService.getQuote({ items, address: { country: 'us', zip: '10001' } });
+
+      expect(quote.country).toBe('US');
+      expect(quote.options.map(option => [option.method, option.amount, option.printifyMethod])).toEqual([
+        ['standard', 499, 1],
+        ['express', 1299, 2]
+      ]);
+      expect(printifyService.calculateShipping).toHaveBeenCalledWith(process.env.DEFAULT_PRINTIFY_SHOP_ID, expect.objectContaining({
+        address_to: { country: 'US', region: '', zip: '10001' },
+        line_items: [
+          { product_id: 'prod-1', variant_id: 12, quantity: 2 },
+          { product_id: 'prod-2', variant_id: 7, quantity: 1 }
+        ]
+      }));
+    });
+
+    it('should reuse a cached quote for the same cart in any order', async () => {
+      await shippingService.getQuote({ items, address: { country: 'US' } });
+      await shippingService.getQuote({ items: [...items].reverse(), address: { country: 'US' } });
+
+      expect(printifyService.calculateShipping).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject countries we do not ship to', async () => {
+      await expect(shippingService.getQuote({ items, address: { country: 'BR' } }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(printifyService.calculateShipping).not.toHaveBeenCalled();
+    });
+
+    it('should fail when no configured method can ship the cart', async () => {
+      printifyService.calculateShipping.mockResolvedValue({ economy: 299 });
+
+      await expect(shippingService.getQuote({ items, address: { country: 'CA' } }))
+        .rejects.toMatchObject({ statusCode: 422 });
+    });
+  });
+
+  it('should build Stripe shipping options carrying the method in metadata', async () => {
+    const quote = await shippingService.getQuote({ items, address: { country: 'US' } });
+    const [standard] = shippingService.toStripeShippingOptions(quote);
+
+    expect(standard.shipping_rate_data).toMatchObject({
+      type: 'fixed_amount',
+      fixed_amount: { amount: 499, currency: 'usd' },
+      metadata: { shipping_method: 'standard', printify_method: '1' }
+    });
+  });
+
+  describe('getSelectedMethod', () => {
+    it('should read the chosen method from the Stripe shipping rate', async () => {
+      mockRetrieveShippingRate.mockResolvedValue({
+        id: 'shr_1',
+        metadata: { shipping_method: 'express', printify_method: '2' }
+      });
+
+      const selected = await shippingService.getSelectedMethod({
+        id: 'cs_1',
+        shipping_cost: { shipping_rate: 'shr_1', amount_total: 1299 }
+      });
+
+      expect(selected).toEqual({ method: 'express', printifyMethod: 2, amount: 1299, tax: 0 });
+    });
+
+    it('should fall back to the default method without a shipping rate', async () => {
+      const selected = await shippingService.getSelectedMethod({ id: 'cs_1' });
+
+      expect(selected).toEqual({ method: 'standard', printifyMethod: 1, amount: 0, tax: 0 });
+      expect(mockRetrieveShippingRate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Stripe Event Service
+ *
+ * Covers duplicate detection, handler dispatch and replay of failed events.
+ */
+
+jest.mock('../../src/models', () => ({
+  StripeEvent: {
+    findOrCreate: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn()
+  }
+}));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+
+const { StripeEvent } = require('../../src/models');
+const stripeEventService = require('../../src/services/stripeEventService');
+
+const stripeEvent = (type = 'checkout.session.completed') => ({
+  id: 'evt_1',
+  type,
+  livemode: false,
+  data: { object: { id: 'cs_test_1' } }
+});
+
+const record = (overrides = {}) => {
+  const row = {
+    id: 'row-1',
+    event_id: 'evt_1',
+    type: 'checkout.session.completed',
+    payload: stripeEvent(),
+    status: 'received',
+    attempts: 0,
+    ...overrides
+  };
+  row.update = jest.fn(values => Object.assign(row, values));
+  return row;
+};
+
+describe('Stripe Event Service', () => {
+  const handler = jest.fn();
+
+  beforeAll(() => {
+    stripeEventService.registerHandler('checkout.session.completed', handler);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StripeEvent.update.mockResolvedValue([1]);
+  });
+
+  describe('recordEvent', () => {
+    it('should store new events', async () => {
+      StripeEvent.findOrCreate.mockResolvedValue([record(), true]);
+
+      const { duplicate } = await stripeEventService.recordEvent(stripeEvent());
+
+      expect(duplicate).toBe(false);
+      expect(StripeEvent.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { event_id: 'evt_1' }
+      }));
+    });
+
+    it('should skip events that were already picked up', async () => {
+      StripeEvent.findOrCreate.mockResolvedValue([record({ status: 'processed' }), false]);
+
+      const { duplicate } = await stripeEventService.recordEvent(stripeEvent());
+
+      expect(duplicate).toBe(true);
+    });
+  });
+
+  describe('processEvent', () => {
+    it('should run the registered handler and mark the event processed', async () => {
+      const event = await stripeEventService.processEvent(record());
+
+      expect(handler).toHaveBeenCalledWith({ id: 'cs_test_1' }, expect.objectContaining({ id: 'evt_1' }));
+      expect(event.status).toBe('processed');
+      expect(event.attempts).toBe(1);
+    });
+
+    it('should not run the handler when another worker claimed the event', async () => {
+      StripeEvent.update.mockResolvedValue([0]);
+
+      await stripeEventService.processEvent(record());
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should record handler errors', async () => {
+      handler.mockRejectedValueOnce(new Error('db down'));
+
+      const event = await stripeEventService.processEvent(record());
+
+      expect(event.status).toBe('failed');
+      expect(event.error_message).toBe('db down');
+    });
+
+    it('should ignore event types without a handler', async () => {
+      const event = await stripeEventService.processEvent(record({ type: 'customer.created' }));
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(event.status).toBe('ignored');
+    });
+  });
+
+  describe('replayEvent', () => {
+    it('should process a failed event again', async () => {
+      StripeEvent.findOne.mockResolvedValue(record({ status: 'failed', attempts: 1 }));
+
+      const event = await stripeEventService.replayEvent('evt_1');
+
+      expect(StripeEvent.findOne).toHaveBeenCalledWith({ where: { event_id: 'evt_1' } });
+      expect(event.status).toBe('processed');
+      expect(event.attempts).toBe(2);
+    });
+
+    it('should refuse to replay processed events', async () => {
+      StripeEvent.findOne.mockResolvedValue(record({ status: 'processed' }));
+
+      await expect(stripeEventService.replayEvent('row-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Unit Tests for Tax Service
+ *
+ * Covers the rate table provider, taxing discounted lines and gift card
+ * payments, charging tax in a checkout session and reading it back for the
+ * order, orders shipped elsewhere than tax was charged for, storing tax
+ * lines and the tax report.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('stripe', () => () => ({}));
+jest.mock('../../src/models', () => ({
+  Order: {},
+  OrderTaxLine: { bulkCreate: jest.fn(), findAll: jest.fn() },
+  ExchangeRate: { findAll: jest.fn().mockResolvedValue([]) }
+}));
+
+const { OrderTaxLine } = require('../../src/models');
+const TableTaxProvider = require('../../src/services/tax/tableTaxProvider');
+const taxService = require('../../src/services/taxService');
+
+const RATES = [
+  'state,zip,jurisdiction,type,rate,shipping_taxable',
+  'IL,,Illinois,state,0.0625,true',
+  'IL,606,Chicago,city,0.04,true',
+  'CA,,California,state,0.0725,false',
+  'CA,900,Los Angeles County,county,0.0225,false'
+].join('\n');
+
+// Priced lines as pricingService returns them
+const items = [
+  { id: 'prod-1', variantId: 101, quantity: 2, unitAmount: 2000, price: 20 },
+  { id: 'prod-2', variantId: 202, quantity: 1, unitAmount: 1000, price: 10 }
+];
+
+const chicago = { country: 'US', region: 'il', zip: '60612' };
+
+describe('Tax Service', () => {
+  let ratesFile;
+
+  beforeAll(() => {
+    ratesFile = path.join(os.tmpdir(), `tax-rates-${process.pid}.csv`);
+    fs.writeFileSync(ratesFile, RATES);
+    taxService.registerProvider(new TableTaxProvider({ ratesFile }));
+    taxService.config = { ...taxService.config, enabled: true, provider: 'table', countries: ['US'] };
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(ratesFile);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('rate table', () => {
+    it('should add local rates to the state rate and tax shipping where the state does', async () => {
+      const provider = taxService.getProvider('table');
+
+      const illinois = await provider.calculate({
+        items: [{ key: 0, amount: 5000 }],
+        shipping: 1000,
+        address: { country: 'US', state: 'IL', zip: '60612-1234' }
+      });
+      const california = await provider.calculate({
+        items: [{ key: 0, amount: 5000 }],
+        shipping: 1000,
+        address: { country: 'US', state: 'CA', zip: '90012' }
+      });
+      const oregon = await provider.calculate({
+        items: [{ key: 0, amount: 5000 }],
+        shipping: 1000,
+        address: { country: 'US', state: 'OR', zip: '97201' }
+      });
+
+      expect(illinois).toMatchObject({ amount: 616, items: [{ key: 0, amount: 513 }], shipping: 103 });
+      expect(illinois.lines.map(line => [line.key, line.jurisdiction, line.amount])).toEqual([
+        [0, 'Illinois', 313],
+        [0, 'Chicago', 200],
+        [null, 'Illinois', 63],
+        [null, 'Chicago', 40]
+      ]);
+      expect(california).toMatchObject({ amount: 476, shipping: 0 });
+      expect(oregon).toMatchObject({ amount: 0, lines: [] });
+    });
+
+    it('should refuse a table with a broken row', () => {
+      const broken = path.join(os.tmpdir(), `tax-rates-broken-${process.pid}.csv`);
+      fs.writeFileSync(broken, `${RATES}\nNY,,New York,state,four percent,true`);
+
+      try {
+        expect(() => new TableTaxProvider({ ratesFile: broken }).load()).toThrow('Invalid tax rate on line 6');
+      } finally {
+        fs.unlinkSync(broken);
+      }
+    });
+  });
+
+  it('should tax discounted lines on what is left after their part of the discount', () => {
+    const taxable = taxService.getTaxableAmounts(items, {
+      discount: 1000,
+      lines: [{ id: 'prod-1', variantId: 101 }, { id: 'prod-2', variantId: 202 }]
+    });
+    const scoped = taxService.getTaxableAmounts(items, { discount: 500, lines: [{ id: 'prod-2', variantId: 202 }] });
+
+    expect(taxable).toEqual([{ key: 0, amount: 3200 }, { key: 1, amount: 800 }]);
+    expect(scoped).toEqual([{ key: 0, amount: 4000 }, { key: 1, amount: 500 }]);
+  });
+
+  it('should only take gift cards off the taxed amounts for providers where they lower tax', async () => {
+    const promotion = { discount: 1000, lines: [{ id: 'prod-2', variantId: 202 }] };
+    const couponTaxed = {
+      name: 'coupon-taxed',
+      giftCardsLowerTax: true,
+      calculate: jest.fn(async ({ items: taxable }) => ({ amount: 0, items: taxable, shipping: 0, lines: [] }))
+    };
+
+    expect(taxService.getTaxableAmounts(items, promotion, { giftCardAmount: 2000 }))
+      .toEqual([{ key: 0, amount: 2000 }, { key: 1, amount: 0 }]);
+
+    const table = await taxService.calculate({ items, giftCardAmount: 2000, address: chicago });
+    expect(table.items.map(item => item.amount)).toEqual([410, 103]);
+
+    taxService.registerProvider(couponTaxed);
+    taxService.config.provider = 'coupon-taxed';
+
+    try {
+      await taxService.calculate({ items, giftCardAmount: 2500, address: chicago });
+    } finally {
+      taxService.config.provider = 'table';
+    }
+
+    expect(couponTaxed.calculate).toHaveBeenCalledWith(expect.objectContaining({
+      items: [{ key: 0, amount: 2000 }, { key: 1, amount: 500 }]
+    }));
+  });
+
+  describe('prepareCheckout', () => {
+    const sessionParams = () => ({
+      line_items: [{ price_data: { currency: 'usd', unit_amount: 2000 }, quantity: 2 }],
+      shipping_options: [
+        { shipping_rate_data: { display_name: 'Standard shipping', fixed_amount: { amount: 500, currency: 'usd' }, metadata: { shipping_method: 'standard' } } },
+        { shipping_rate_data: { display_name: 'Standard shipping (free)', fixed_amount: { amount: 0, currency: 'usd' }, metadata: { shipping_method: 'express' } } }
+      ],
+      metadata: { userId: 'user-1' }
+    });
+
+    it('should charge item tax as a line and shipping tax in the shipping rates', async () => {
+      const params = sessionParams();
+
+      const tax = await taxService.prepareCheckout(params, { items, address: chicago });
+
+      expect(tax).toEqual({ provider: 'table', amount: 513 });
+      expect(params.line_items[1]).toEqual({
+        price_data: { currency: 'usd', product_data: { name: 'Sales tax' }, unit_amount: 513 },
+        quantity: 1
+      });
+      expect(params.shipping_options[0].shipping_rate_data).toMatchObject({
+        display_name: 'Standard shipping (incl. $0.51 tax)',
+        fixed_amount: { amount: 551 },
+        metadata: { shipping_method: 'standard', tax_amount: '51' }
+      });
+      expect(params.shipping_options[1].shipping_rate_data.fixed_amount.amount).toBe(0);
+      expect(params.metadata).toEqual({
+        userId: 'user-1',
+        taxProvider: 'table',
+        taxAddress: 'US:IL:60612',
+        taxable: '4000,1000',
+        taxAmount: '513'
+      });
+    });
+
+    it('should need a state for the rate table and leave untaxed countries alone', async () => {
+      await expect(taxService.prepareCheckout(sessionParams(), { items, address: { country: 'US', zip: '60612' } }))
+        .rejects.toMatchObject({ statusCode: 400, userMessage: 'Please enter your state and ZIP code.' });
+
+      const params = sessionParams();
+      await expect(taxService.prepareCheckout(params, { items, address: { country: 'CA', region: 'ON' } })).resolves.toBeNull();
+      expect(params.line_items).toHaveLength(1);
+    });
+  });
+
+  it('should read the tax of a paid session back without the tax in its shipping rate', async () => {
+    const session = {
+      id: 'cs_1',
+      metadata: { taxProvider: 'table', taxAddress: 'US:IL:60612', taxable: '4000,1000', taxAmount: '513' },
+      shipping_details: { address: { state: 'IL' } }
+    };
+    const cartItems = [
+      { id: 'prod-1', variantId: 101, quantity: 2, price: 20 },
+      { id: 'prod-2', variantId: 202, quantity: 1, price: 10 }
+    ];
+
+    const tax = await taxService.fromSession(session, cartItems, { method: 'standard', amount: 551, tax: 51 });
+
+    expect(tax).toMatchObject({
+      provider: 'table',
+      amount: 564,
+      items: [{ key: 0, amount: 410 }, { key: 1, amount: 103 }],
+      shipping: 51,
+      charged: { lineItems: 513, shipping: 51 }
+    });
+    await expect(taxService.fromSession({ id: 'cs_2', metadata: {} }, cartItems)).resolves.toBeNull();
+  });
+
+  it('should notice a paid session shipped where other rates apply than it was taxed for', () => {
+    const session = address => ({
+      id: 'cs_1',
+      metadata: { taxProvider: 'table', taxAddress: 'US:IL:60612' },
+      shipping_details: { address }
+    });
+
+    expect(taxService.getTaxAddressMismatch(session({ country: 'US', state: 'IL', postal_code: '60601' }))).toBeNull();
+    expect(taxService.getTaxAddressMismatch(session({ country: 'US', state: 'IL', postal_code: '62701' }))).toEqual({
+      quoted: { country: 'US', state: 'IL', zip: '60612' },
+      shippedTo: { country: 'US', state: 'IL', zip: '62701' }
+    });
+    expect(taxService.getTaxAddressMismatch(session({ country: 'US', state: 'CA', postal_code: '60612' })))
+      .toMatchObject({ shippedTo: { state: 'CA' } });
+    expect(taxService.getTaxAddressMismatch({ id: 'cs_2', metadata: {}, shipping_details: { address: { state: 'CA' } } }))
+      .toBeNull();
+  });
+
+  it('should store the tax lines against the order items and shipping', async () => {
+    OrderTaxLine.bulkCreate.mockImplementation(rows => Promise.resolve(rows));
+
+    const rows = await taxService.recordOrderTax({ id: 'order-1' }, [{ id: 'item-1' }, { id: 'item-2' }], {
+      provider: 'table',
+      lines: [
+        { key: 1, country: 'US', state: 'IL', jurisdiction: 'Illinois', type: 'state', rate: 0.0625, taxable: 1000, amount: 63 },
+        { key: null, country: 'US', state: 'IL', jurisdiction: 'Illinois', type: 'state', rate: 0.0625, taxable: 500, amount: 31 }
+      ]
+    }, { transaction: 'tx' });
+
+    expect(rows.map(row => [row.order_item_id, row.taxable_amount, row.tax_amount])).toEqual([
+      ['item-2', 10, 0.63],
+      [null, 5, 0.31]
+    ]);
+    expect(OrderTaxLine.bulkCreate).toHaveBeenCalledWith(expect.any(Array), { transaction: 'tx' });
+  });
+
+  it('should report tax by period and jurisdiction and export it as CSV', async () => {
+    const row = (orderId, createdAt, jurisdiction, rate, taxable, tax) => ({
+      order_id: orderId,
+      order: { id: orderId, createdAt: new Date(createdAt) },
+      country: 'US',
+      state: 'IL',
+      jurisdiction,
+      jurisdiction_type: jurisdiction === 'Illinois' ? 'state' : 'city',
+      rate: String(rate),
+      taxable_amount: String(taxable),
+      tax_amount: String(tax)
+    });
+    OrderTaxLine.findAll.mockResolvedValue([
+      row('order-1', '2025-01-10T10:00:00Z', 'Chicago', 0.04, 40, 1.6),
+      row('order-1', '2025-01-10T10:00:00Z', 'Illinois', 0.0625, 40, 2.5),
+      row('order-2', '2025-01-20T10:00:00Z', 'Illinois', 0.0625, 10.5, 0.66),
+      row('order-3', '2025-02-02T10:00:00Z', 'Illinois', 0.0625, 20, 1.25)
+    ]);
+
+    const report = await taxService.getReport({ from: '2025-01-01', to: '2025-03-31', period: 'month' });
+
+    expect(report.to).toEqual(new Date('2025-04-01T00:00:00Z'));
+    expect(report.rows.map(entry => [entry.period, entry.jurisdiction, entry.orders, entry.taxable, entry.tax])).toEqual([
+      ['2025-01', 'Illinois', 2, 50.5, 3.16],
+      ['2025-01', 'Chicago', 1, 40, 1.6],
+      ['2025-02', 'Illinois', 1, 20, 1.25]
+    ]);
+    expect(report.totals).toEqual({ orders: 3, taxable: 110.5, tax: 6.01 });
+    expect(taxService.reportToCsv(report).split('\n').slice(0, 2)).toEqual([
+      'period,country,state,jurisdiction,type,rate,orders,taxable,tax',
+      '"2025-01","US","IL","Illinois","state",0.0625,2,50.50,3.16'
+    ]);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for Wishlist Service
+ *
+ * Covers saving options on a wishlist, sharing a list, catalog changes
+ * raising price-drop and back-in-stock alerts, and emailing the alerts.
+ */
+
+jest.mock('../../src/models', () => ({
+  Wishlist: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  WishlistItem: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  User: {}
+}));
+jest.mock('../../src/services/catalogService', () => ({ getProduct: jest.fn() }));
+jest.mock('../../src/services/currencyService', () => ({ getBaseCurrency: jest.fn(() => 'USD') }));
+jest.mock('../../src/services/catalogSyncService', () => ({
+  CATALOG_EVENTS: { PRODUCT_CREATED: 'catalog.product.created', PRODUCT_UPDATED: 'catalog.product.updated' }
+}));
+jest.mock('../../src/services/EventService', () => ({ on: jest.fn() }));
+jest.mock('../../src/services/schedulerService', () => ({ register: jest.fn() }));
+jest.mock('../../src/services/emailService', () => ({ sendWishlistAlertEmail: jest.fn() }));
+
+const { Wishlist, WishlistItem } = require('../../src/models');
+const catalogService = require('../../src/services/catalogService');
+const eventService = require('../../src/services/EventService');
+const EmailService = require('../../src/services/emailService');
+const wishlistService = require('../../src/services/wishlistService');
+
+// Registered when the service loads, before the mocks are cleared
+const catalogListeners = eventService.on.mock.calls.map(([event]) => event);
+
+const product = (overrides = {}) => ({
+  id: 'prod-1',
+  title: 'Sunset Tee',
+  visible: true,
+  images: [],
+  variants: [
+    { id: 101, title: 'S', price: 2000, is_enabled: true, is_available: true },
+    { id: 102, title: 'M', price: 2000, is_enabled: true, is_available: false }
+  ],
+  ...overrides
+});
+
+const item = (overrides = {}) => ({
+  id: 'item-1',
+  product_id: 'prod-1',
+  variant_id: 101,
+  price_seen: 2000,
+  available_seen: true,
+  alert: null,
+  wishlist: { id: 'list-1', user_id: 'user-1', notify_changes: true },
+  update: jest.fn(),
+  ...overrides
+});
+
+describe('Wishlist Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    catalogService.getProduct.mockResolvedValue(product());
+  });
+
+  it('should check wishlists when the catalog changes a product', () => {
+    expect(catalogListeners).toContain('catalog.product.updated');
+  });
+
+  describe('addItem', () => {
+    beforeEach(() => {
+      Wishlist.findOne.mockResolvedValue({ id: 'list-1' });
+      WishlistItem.findOne.mockResolvedValue(null);
+      WishlistItem.count.mockResolvedValue(0);
+    });
+
+    it('should save the option with its current price and availability', async () => {
+      await wishlistService.addItem('user-1', 'list-1', { productId: 'prod-1', variantId: 102, note: 'For Sam' });
+
+      expect(WishlistItem.create).toHaveBeenCalledWith({
+        wishlist_id: 'list-1',
+        product_id: 'prod-1',
+        variant_id: 102,
+        note: 'For Sam',
+        price_seen: 2000,
+        available_seen: false
+      });
+    });
+
+    it('should update the note of an option already on the list', async () => {
+      const existing = { id: 'item-1', update: jest.fn() };
+      WishlistItem.findOne.mockResolvedValue(existing);
+
+      await wishlistService.addItem('user-1', 'list-1', { productId: 'prod-1', variantId: 101, note: 'Gift' });
+
+      expect(existing.update).toHaveBeenCalledWith({ note: 'Gift' });
+      expect(WishlistItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse products that are not published and other customers\' lists', async () => {
+      catalogService.getProduct.mockResolvedValue(product({ visible: false }));
+      await expect(wishlistService.addItem('user-1', 'list-1', { productId: 'prod-1', variantId: 101 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      Wishlist.findOne.mockResolvedValue(null);
+      await expect(wishlistService.addItem('user-2', 'list-1', { productId: 'prod-1', variantId: 101 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      expect(WishlistItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a full list', async () => {
+      WishlistItem.count.mockResolvedValue(wishlistService.config.maxItemsPerList);
+
+      await expect(wishlistService.addItem('user-1', 'list-1', { productId: 'prod-1', variantId: 101 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('share', () => {
+    it('should give the list a new random token and return its link', async () => {
+      const wishlist = { id: 'list-1', update: jest.fn() };
+      Wishlist.findOne.mockResolvedValue(wishlist);
+
+      const { shareToken, shareUrl } = await wishlistService.share('user-1', 'list-1');
+
+      expect(shareToken).toMatch(/^[0-9a-f]{48}$/);
+      expect(shareUrl).toContain(`/wishlists/shared/${shareToken}`);
+      expect(wishlist.update).toHaveBeenCalledWith({ share_token: shareToken });
+    });
+
+    it('should not open a list that is not shared', async () => {
+      Wishlist.findOne.mockResolvedValue(null);
+
+      await expect(wishlistService.getSharedWishlist('nope')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('checkProduct', () => {
+    it('should raise an alert for an option back in stock', async () => {
+      const saved = item({ available_seen: false });
+      WishlistItem.findAll.mockResolvedValue([saved]);
+
+      const alerts = await wishlistService.checkProduct('prod-1', { now: new Date('2025-04-14T00:00:00Z') });
+
+      expect(alerts).toBe(1);
+      expect(saved.update).toHaveBeenCalledWith({
+        alert: 'back_in_stock',
+        alert_at: new Date('2025-04-14T00:00:00Z')
+      });
+    });
+
+    it('should raise an alert for a big enough price drop only', async () => {
+      const dropped = item({ price_seen: 2500 });
+      const barely = item({ id: 'item-2', price_seen: 2050 });
+      WishlistItem.findAll.mockResolvedValue([dropped, barely]);
+
+      await wishlistService.checkProduct('prod-1');
+
+      expect(dropped.update).toHaveBeenCalledWith(expect.objectContaining({ alert: 'price_drop' }));
+      // Small drops add up, so the price compared with stays put
+      expect(barely.update).not.toHaveBeenCalled();
+    });
+
+    it('should follow the catalog on lists without emails', async () => {
+      const saved = item({ price_seen: 2500, available_seen: false, wishlist: { notify_changes: false } });
+      WishlistItem.findAll.mockResolvedValue([saved]);
+
+      expect(await wishlistService.checkProduct('prod-1')).toBe(0);
+      expect(saved.update).toHaveBeenCalledWith({ available_seen: true, price_seen: 2000 });
+    });
+  });
+
+  describe('sendAlerts', () => {
+    const withUser = overrides => item({
+      wishlist: {
+        id: 'list-1',
+        user_id: 'user-1',
+        notify_changes: true,
+        user: { id: 'user-1', email: 'jane@example.com', first_name: 'Jane' }
+      },
+      ...overrides
+    });
+
+    it('should send one email per customer and clear the alerts', async () => {
+      const drop = withUser({ alert: 'price_drop', price_seen: 2500 });
+      const back = withUser({ id: 'item-2', alert: 'back_in_stock', available_seen: false });
+      WishlistItem.findAll.mockResolvedValue([drop, back]);
+
+      const result = await wishlistService.sendAlerts();
+
+      expect(result).toEqual({ sent: 1, failed: 0, skipped: 0 });
+      expect(EmailService.sendWishlistAlertEmail).toHaveBeenCalledTimes(1);
+      expect(EmailService.sendWishlistAlertEmail).toHaveBeenCalledWith(
+        { email: 'jane@example.com', firstName: 'Jane' },
+        [
+          expect.objectContaining({ kind: 'price_drop', previousPrice: 25, price: 20, variantTitle: 'S' }),
+          expect.objectContaining({ kind: 'back_in_stock' })
+        ],
+        'USD',
+        expect.stringContaining('/dashboard/wishlists')
+      );
+      expect(drop.update).toHaveBeenCalledWith(expect.objectContaining({ alert: null, price_seen: 2000 }));
+    });
+
+    it('should drop alerts the catalog no longer bears out', async () => {
+      const soldOut = withUser({ alert: 'back_in_stock', variant_id: 102, available_seen: false });
+      WishlistItem.findAll.mockResolvedValue([soldOut]);
+
+      const result = await wishlistService.sendAlerts();
+
+      expect(result).toEqual({ sent: 0, failed: 0, skipped: 1 });
+      expect(EmailService.sendWishlistAlertEmail).not.toHaveBeenCalled();
+      expect(soldOut.update).toHaveBeenCalledWith(expect.objectContaining({ alert: null, available_seen: false }));
+    });
+
+    it('should keep the alerts for the next run when the email fails', async () => {
+      const drop = withUser({ alert: 'price_drop', price_seen: 2500 });
+      WishlistItem.findAll.mockResolvedValue([drop]);
+      EmailService.sendWishlistAlertEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const result = await wishlistService.sendAlerts();
+
+      expect(result).toEqual({ sent: 0, failed: 1, skipped: 0 });
+      expect(drop.update).not.toHaveBeenCalled();
+    });
+  });
+});